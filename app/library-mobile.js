@@ -2021,6 +2021,21 @@ window.registerOverlay = window.registerOverlay || function(cfg) {
         groupSection.appendChild(groupRow);
         chatsSection.appendChild(groupSection);
 
+        // Message content search (mirrors the desktop toggle button)
+        const contentSearchSection = createSection('Search');
+        const contentSearchChip = createChip('<i class="fa-solid fa-file-lines"></i> Search message contents');
+        contentSearchChip.style.width = '100%';
+        function syncContentSearch() {
+            const real = document.getElementById('chatsContentSearchBtn');
+            contentSearchChip.classList.toggle('active', !!real?.classList.contains('active'));
+        }
+        contentSearchChip.addEventListener('click', () => {
+            const real = document.getElementById('chatsContentSearchBtn');
+            if (real) { real.click(); setTimeout(syncContentSearch, 100); }
+        });
+        contentSearchSection.appendChild(contentSearchChip);
+        chatsSection.appendChild(contentSearchSection);
+
         // Refresh
         const chatsRefresh = createSection('');
         const chatsRefreshBtn = createChip('<i class="fa-solid fa-sync"></i> Refresh Chats');
@@ -2067,6 +2082,7 @@ window.registerOverlay = window.registerOverlay || function(cfg) {
                 }
             } else if (activeView === 'chats') {
                 syncGrouping();
+                syncContentSearch();
                 chatsSortChip._syncLabel();
             } else {
                 sortChip._syncLabel();
@@ -577,6 +577,13 @@ const DEFAULT_SETTINGS = {
     // ---- Duplicate Detection ----
     duplicateMinScore: 35,
 
+    // ---- Semantic Search ----
+    embeddingSource: 'off',     // 'off' | 'local' | 'endpoint'
+    embeddingUrl: '',
+    embeddingModel: '',
+    embeddingApiKey: null,
+    relatedMode: 'metadata',    // Related tab: 'metadata' | 'meaning'
+
     // ---- Online / Browse ----
     possibleMatchMinScore: 65,
 
@@ -591,14 +598,17 @@ const DEFAULT_SETTINGS = {
     mediaLocalizationPerChar: {},
     importMediaAction: 'ask',
     importDirectDownloads: false,
+    importQueueConcurrency: 2,
     fastFilenameSkip: false,
     fastSkipValidateHeaders: false,
+    perceptualDedup: false,
     includeExternalGalleries: true,
     galleryThumbnails: true,
     galleryThumbPrewarm: true,
 
     // ---- UI & Display ----
     chatCardDensity: 'comfortable',
+    chatContentSearch: false,
     buttonStyle: 'glass',
     uiScale: 3,
     modalSize: 2,
@@ -645,6 +655,13 @@ const DEFAULT_SETTINGS = {
     // ---- Versions ----
     autoSnapshotOnEdit: true,
     maxAutoBackups: 10,
+
+    // ---- Card Updates ----
+    backgroundUpdateChecks: false,
+    backgroundUpdateInterval: 24,
+
+    // ---- Saved Searches ----
+    savedSearchInterval: 6,
 };
 
 // Debug logging helper - only logs when debug mode is enabled
@@ -1664,6 +1681,7 @@ function setupSettingsModal() {
     const possibleMatchScoreSlider = document.getElementById('settingsPossibleMatchScore');
     const possibleMatchScoreValue = document.getElementById('possibleMatchScoreValue');
     const importDirectDownloadsCheckbox = document.getElementById('settingsImportDirectDownloads');
+    const importQueueConcurrencyInput = document.getElementById('settingsImportQueueConcurrency');
     
     // Search defaults
     const searchNameCheckbox = document.getElementById('settingsSearchName');
@@ -1690,6 +1708,7 @@ function setupSettingsModal() {
     const includeLorebookCheckbox = document.getElementById('settingsIncludeLorebook');
     const fastFilenameSkipCheckbox = document.getElementById('settingsFastFilenameSkip');
     const fastSkipValidateHeadersCheckbox = document.getElementById('settingsFastSkipValidateHeaders');
+    const perceptualDedupCheckbox = document.getElementById('settingsPerceptualDedup');
     const importMediaActionSelect = document.getElementById('settingsImportMediaAction');
     const fastSkipValidateRow = document.getElementById('fastSkipValidateRow');
     const includeExternalGalleriesCheckbox = document.getElementById('settingsIncludeExternalGalleries');
@@ -1745,6 +1764,20 @@ function setupSettingsModal() {
     const autoSnapshotOnEditCheckbox = document.getElementById('settingsAutoSnapshotOnEdit');
     const maxAutoBackupsInput = document.getElementById('settingsMaxAutoBackups');
 
+    // Semantic Search
+    const embeddingSourceSelect = document.getElementById('settingsEmbeddingSource');
+    const embeddingUrlInput = document.getElementById('settingsEmbeddingUrl');
+    const embeddingModelInput = document.getElementById('settingsEmbeddingModel');
+    const embeddingApiKeyInput = document.getElementById('settingsEmbeddingApiKey');
+    const embeddingEndpointRows = document.getElementById('embeddingEndpointRows');
+    const embeddingIndexRow = document.getElementById('embeddingIndexRow');
+    const embeddingIndexStatus = document.getElementById('embeddingIndexStatus');
+
+    // Card Updates
+    const backgroundUpdateChecksCheckbox = document.getElementById('settingsBackgroundUpdateChecks');
+    const backgroundUpdateIntervalSelect = document.getElementById('settingsBackgroundUpdateInterval');
+    const backgroundUpdateIntervalRow = document.getElementById('backgroundUpdateIntervalRow');
+
     // Unique Gallery Folders
     const uniqueGalleryFoldersCheckbox = document.getElementById('settingsUniqueGalleryFolders');
     const migrateGalleryFoldersBtn = document.getElementById('migrateGalleryFoldersBtn');
@@ -2620,6 +2653,138 @@ function setupSettingsModal() {
             });
         }
 
+        // Custom (JSON-defined) providers: stored in a user file, applied on reload
+        const customProvidersList = document.getElementById('customProvidersList');
+        const customProviderJson = document.getElementById('customProviderJson');
+        const customProviderErrors = document.getElementById('customProviderErrors');
+        window.renderCustomProviderSettings = async function () {
+            if (!customProvidersList) return;
+            customProvidersList.innerHTML = '<span class="settings-hint"><i class="fa-solid fa-spinner fa-spin"></i></span>';
+            const defs = await window.getCustomProviderDefinitions?.() || [];
+            if (defs.length === 0) {
+                customProvidersList.innerHTML = '<span class="settings-hint">No custom providers defined</span>';
+                return;
+            }
+            customProvidersList.innerHTML = defs.map(def => {
+                const loaded = window.ProviderRegistry?.getProvider(def.id)?.isCustom === true;
+                return `
+                    <div class="custom-provider-row" data-provider-id="${escapeHtml(String(def.id))}">
+                        <span class="cpr-name">${escapeHtml(String(def.name || def.id))}</span>
+                        <span class="cpr-id">${escapeHtml(String(def.id))}${loaded ? '' : ' · not loaded'}</span>
+                        <button class="glass-btn icon-only cpr-edit" title="Edit definition"><i class="fa-solid fa-pen"></i></button>
+                        <button class="glass-btn icon-only cpr-remove" title="Remove"><i class="fa-solid fa-xmark"></i></button>
+                    </div>`;
+            }).join('');
+            customProvidersList._defs = defs;
+        };
+        // This block re-runs on every settings open; property handlers keep it from stacking listeners
+        if (customProvidersList) {
+            customProvidersList.onclick = async (e) => {
+                const row = e.target.closest('[data-provider-id]');
+                if (!row) return;
+                const id = row.dataset.providerId;
+                if (e.target.closest('.cpr-edit')) {
+                    const def = customProvidersList._defs?.find(d => String(d.id) === id);
+                    if (def && customProviderJson) customProviderJson.value = JSON.stringify(def, null, 2);
+                    return;
+                }
+                if (!e.target.closest('.cpr-remove')) return;
+                const ok = await showConfirm({
+                    title: 'Remove custom provider?',
+                    message: `Remove the "${id}" definition? Characters keep their links; they just won't resolve until it is added back. Takes effect after reload.`,
+                    confirmLabel: 'Remove',
+                    cancelLabel: 'Cancel',
+                    danger: true,
+                });
+                if (!ok) return;
+                try {
+                    await window.removeCustomProviderDefinition(id);
+                    showToast('Custom provider removed. Reload to apply.', 'success');
+                } catch (err) {
+                    showToast(`Failed to remove: ${err.message}`, 'error');
+                }
+                window.renderCustomProviderSettings();
+            };
+        }
+        const customProviderAddBtn = document.getElementById('customProviderAddBtn');
+        if (customProviderAddBtn) customProviderAddBtn.onclick = async () => {
+            if (!customProviderJson || !window.saveCustomProviderDefinition) return;
+            if (customProviderErrors) customProviderErrors.textContent = '';
+            let parsed;
+            try {
+                parsed = JSON.parse(customProviderJson.value);
+            } catch (err) {
+                if (customProviderErrors) customProviderErrors.textContent = `Invalid JSON: ${err.message}`;
+                return;
+            }
+            try {
+                const result = await window.saveCustomProviderDefinition(parsed);
+                if (!result.ok) {
+                    if (customProviderErrors) customProviderErrors.innerHTML = result.errors.map(escapeHtml).join('<br>');
+                    return;
+                }
+                customProviderJson.value = '';
+                showToast(`Saved custom provider "${result.id}". Reload to apply.`, 'success');
+                window.renderCustomProviderSettings();
+            } catch (err) {
+                showToast(`Failed to save: ${err.message}`, 'error');
+            }
+        };
+
+        // Local Folder provider: the root lives in cl-helper (server-wide), not in settings
+        const localFolderPluginBanner = document.getElementById('localFolderPluginBanner');
+        const localFolderSettingsFields = document.getElementById('localFolderSettingsFields');
+        const localFolderStatus = document.getElementById('localFolderStatus');
+        const localFolderPathInput = document.getElementById('settingsLocalFolderPath');
+        const setLocalFolderStatus = (active, text) => {
+            if (!localFolderStatus) return;
+            localFolderStatus.className = `settings-status-badge ${active ? 'active' : 'inactive'}`;
+            localFolderStatus.innerHTML = `<i class="fa-solid fa-circle"></i> ${escapeHtml(text)}`;
+        };
+        const renderLocalFolderStatus = async ({ rescan = false } = {}) => {
+            try {
+                if (rescan) {
+                    setLocalFolderStatus(true, 'Scanning...');
+                    const scan = await apiRequest('/plugins/cl-helper/local-library/index?refresh=1');
+                    if (!scan.ok) throw new Error((await scan.json().catch(() => null))?.error || `HTTP ${scan.status}`);
+                }
+                const resp = await apiRequest('/plugins/cl-helper/local-library/status');
+                if (!resp.ok) throw new Error(resp.status === 404 ? 'cl-helper too old' : `HTTP ${resp.status}`);
+                const status = await resp.json();
+                if (localFolderPathInput && status.root !== null && document.activeElement !== localFolderPathInput) {
+                    localFolderPathInput.value = status.root || '';
+                }
+                if (localFolderPathInput) localFolderPathInput.disabled = status.root === null && status.configured;
+                if (!status.configured) {
+                    setLocalFolderStatus(false, 'No folder set');
+                } else if (!status.indexedAt) {
+                    setLocalFolderStatus(true, 'Not scanned yet');
+                } else {
+                    setLocalFolderStatus(true, `${status.count} card${status.count === 1 ? '' : 's'}${status.truncated ? ' (partial)' : ''}`);
+                }
+            } catch (err) {
+                setLocalFolderStatus(false, err.message);
+            }
+        };
+        const localFolderSaveBtn = document.getElementById('localFolderSaveBtn');
+        if (localFolderSaveBtn) localFolderSaveBtn.onclick = async () => {
+            const path = localFolderPathInput?.value.trim() || '';
+            localFolderSaveBtn.disabled = true;
+            try {
+                const resp = await apiRequest('/plugins/cl-helper/local-library/set-root', 'POST', { path });
+                const result = await resp.json().catch(() => null);
+                if (!resp.ok || !result?.ok) throw new Error(result?.error || `HTTP ${resp.status}`);
+                showToast(result.root ? 'Local folder set. Scanning...' : 'Local folder cleared', 'success');
+                await renderLocalFolderStatus({ rescan: !!result.root });
+            } catch (err) {
+                showToast(`Could not set folder: ${err.message}`, 'error');
+            } finally {
+                localFolderSaveBtn.disabled = false;
+            }
+        };
+        const localFolderRescanBtn = document.getElementById('localFolderRescanBtn');
+        if (localFolderRescanBtn) localFolderRescanBtn.onclick = () => renderLocalFolderStatus({ rescan: true });
+
         // Check cl-helper plugin availability for provider + cl-helper-backed feature sections
         const gridThumbsClHelperBanner = document.getElementById('gridThumbsClHelperBanner');
         const settingsGridThumbClHelperFields = document.getElementById('settingsGridThumbClHelperFields');
@@ -2630,6 +2795,7 @@ function setupSettingsModal() {
             botbooruPluginBanner, botbooruSettingsFields,
             ctPluginBanner, ctSettingsFields,
             datacatPluginBanner, datacatSettingsFields,
+            localFolderPluginBanner, localFolderSettingsFields,
             gridThumbsClHelperBanner, settingsGridThumbClHelperFields,
             galleryThumbsClHelperBanner, galleryThumbsClHelperFields,
         ).then(available => {
@@ -2643,6 +2809,8 @@ function setupSettingsModal() {
                     updateDatacatSessionStatus();
                 }
             }
+            if (available) renderLocalFolderStatus();
+            else setLocalFolderStatus(false, 'Plugin missing');
         });
         
         const minScore = getSetting('duplicateMinScore') || 35;
@@ -2658,6 +2826,9 @@ function setupSettingsModal() {
         if (importDirectDownloadsCheckbox) {
             importDirectDownloadsCheckbox.checked = getSetting('importDirectDownloads') === true;
         }
+        if (importQueueConcurrencyInput) {
+            importQueueConcurrencyInput.value = getSetting('importQueueConcurrency') ?? 2;
+        }
         
         // Search defaults
         searchNameCheckbox.checked = getSetting('searchInName') !== false;
@@ -2704,6 +2875,9 @@ function setupSettingsModal() {
         if (fastSkipValidateHeadersCheckbox) {
             fastSkipValidateHeadersCheckbox.checked = getSetting('fastSkipValidateHeaders') || false;
         }
+        if (perceptualDedupCheckbox) {
+            perceptualDedupCheckbox.checked = getSetting('perceptualDedup') === true;
+        }
         if (includeExternalGalleriesCheckbox) {
             includeExternalGalleriesCheckbox.checked = getSetting('includeExternalGalleries') !== false;
         }
@@ -2822,6 +2996,24 @@ function setupSettingsModal() {
             maxAutoBackupsInput.value = getSetting('maxAutoBackups') ?? 10;
         }
 
+        // Semantic Search
+        if (embeddingSourceSelect) {
+            embeddingSourceSelect.value = getSetting('embeddingSource') || 'off';
+            if (embeddingUrlInput) embeddingUrlInput.value = getSetting('embeddingUrl') || '';
+            if (embeddingModelInput) embeddingModelInput.value = getSetting('embeddingModel') || '';
+            if (embeddingApiKeyInput) embeddingApiKeyInput.value = getSetting('embeddingApiKey') || '';
+            syncEmbeddingRows();
+        }
+
+        // Card Updates
+        if (backgroundUpdateChecksCheckbox) {
+            backgroundUpdateChecksCheckbox.checked = getSetting('backgroundUpdateChecks') === true;
+            if (backgroundUpdateIntervalRow) backgroundUpdateIntervalRow.style.display = backgroundUpdateChecksCheckbox.checked ? '' : 'none';
+        }
+        if (backgroundUpdateIntervalSelect) {
+            backgroundUpdateIntervalSelect.value = String(getSetting('backgroundUpdateInterval') || 24);
+        }
+
         // Unique Gallery Folders
         if (uniqueGalleryFoldersCheckbox) {
             uniqueGalleryFoldersCheckbox.checked = getSetting('uniqueGalleryFolders') || false;
@@ -2835,6 +3027,7 @@ function setupSettingsModal() {
         buildInfiniteScrollUI();
         populateAllExcludeTagPills();
         window.renderBotbooruFavTagPills?.();
+        window.renderCustomProviderSettings?.();
         
         // Reset to first section
         switchSettingsSection('general');
@@ -3004,6 +3197,77 @@ function setupSettingsModal() {
         });
     }
 
+    // Semantic search: endpoint fields only apply to the endpoint source
+    function syncEmbeddingRows() {
+        const source = embeddingSourceSelect?.value || 'off';
+        if (embeddingEndpointRows) embeddingEndpointRows.style.display = source === 'endpoint' ? '' : 'none';
+        if (embeddingIndexRow) embeddingIndexRow.style.display = source === 'off' ? 'none' : '';
+        refreshEmbeddingIndexStatus();
+    }
+
+    async function refreshEmbeddingIndexStatus() {
+        if (!embeddingIndexStatus || (embeddingSourceSelect?.value || 'off') === 'off') return;
+        try {
+            const status = await window.getEmbeddingIndexStatus?.();
+            if (!status || status.building) return;
+            embeddingIndexStatus.textContent = !status.count
+                ? 'No index yet'
+                : `${status.count}/${status.total} characters indexed${status.matchesConfig ? '' : ' (built with different settings)'}`;
+        } catch (e) {
+            embeddingIndexStatus.textContent = e.message;
+        }
+    }
+
+    // Building saves the embedding fields first so the index and later
+    // searches agree on source and model
+    async function runEmbeddingIndexBuild(rebuild) {
+        setSettings({
+            embeddingSource: embeddingSourceSelect.value,
+            embeddingUrl: embeddingUrlInput?.value.trim() || '',
+            embeddingModel: embeddingModelInput?.value.trim() || '',
+            embeddingApiKey: embeddingApiKeyInput?.value.trim() || null,
+        });
+        const buttons = [document.getElementById('embeddingIndexUpdateBtn'), document.getElementById('embeddingIndexRebuildBtn')];
+        buttons.forEach(b => { if (b) b.disabled = true; });
+        embeddingIndexStatus.textContent = 'Starting...';
+        try {
+            const result = await window.updateEmbeddingIndex?.({
+                rebuild,
+                onProgress: ({ done, total }) => {
+                    embeddingIndexStatus.textContent = `Embedding ${done}/${total}...`;
+                },
+            });
+            if (result) showToast(`Semantic index: ${result.embedded} embedded, ${result.total} total`, 'success');
+            await refreshEmbeddingIndexStatus();
+        } catch (e) {
+            embeddingIndexStatus.textContent = e.message;
+            showToast(`Semantic index failed: ${e.message}`, 'error', 6000);
+        } finally {
+            buttons.forEach(b => { if (b) b.disabled = false; });
+        }
+    }
+
+    if (embeddingSourceSelect) {
+        embeddingSourceSelect.addEventListener('change', syncEmbeddingRows);
+        document.getElementById('embeddingIndexUpdateBtn')?.addEventListener('click', () => runEmbeddingIndexBuild(false));
+        document.getElementById('embeddingIndexRebuildBtn')?.addEventListener('click', () => runEmbeddingIndexBuild(true));
+    }
+    const toggleEmbeddingKeyVisibility = document.getElementById('toggleEmbeddingKeyVisibility');
+    if (toggleEmbeddingKeyVisibility && embeddingApiKeyInput) {
+        toggleEmbeddingKeyVisibility.onclick = () => {
+            const isPassword = embeddingApiKeyInput.type === 'password';
+            embeddingApiKeyInput.type = isPassword ? 'text' : 'password';
+            toggleEmbeddingKeyVisibility.innerHTML = `<i class="fa-solid fa-eye${isPassword ? '-slash' : ''}"></i>`;
+        };
+    }
+
+    // Background update check interval visibility
+    if (backgroundUpdateChecksCheckbox && backgroundUpdateIntervalRow) {
+        backgroundUpdateChecksCheckbox.addEventListener('change', () => {
+            backgroundUpdateIntervalRow.style.display = backgroundUpdateChecksCheckbox.checked ? '' : 'none';
+        });
+    }
+
     // Thumbnail pre-warm sub-option visibility
     if (galleryThumbnailsCheckbox && galleryThumbPrewarmRow) {
         galleryThumbnailsCheckbox.addEventListener('change', () => {
@@ -3225,6 +3489,7 @@ function setupSettingsModal() {
             duplicateMinScore: parseInt(minScoreSlider.value),
             possibleMatchMinScore: possibleMatchScoreSlider ? parseInt(possibleMatchScoreSlider.value) : 65,
             importDirectDownloads: importDirectDownloadsCheckbox ? importDirectDownloadsCheckbox.checked : false,
+            importQueueConcurrency: importQueueConcurrencyInput ? Math.min(6, Math.max(1, parseInt(importQueueConcurrencyInput.value) || 2)) : 2,
             searchInName: searchNameCheckbox.checked,
             searchInListingName: searchListingNameCheckbox ? searchListingNameCheckbox.checked : true,
             searchInTags: searchTagsCheckbox.checked,
@@ -3246,6 +3511,7 @@ function setupSettingsModal() {
             includeLorebook: includeLorebookCheckbox ? includeLorebookCheckbox.checked : false,
             fastFilenameSkip: fastFilenameSkipCheckbox ? fastFilenameSkipCheckbox.checked : false,
             fastSkipValidateHeaders: fastSkipValidateHeadersCheckbox ? fastSkipValidateHeadersCheckbox.checked : false,
+            perceptualDedup: perceptualDedupCheckbox ? perceptualDedupCheckbox.checked : false,
             importMediaAction: importMediaActionSelect ? (importMediaActionSelect.value || 'ask') : 'ask',
             includeExternalGalleries: includeExternalGalleriesCheckbox ? includeExternalGalleriesCheckbox.checked : true,
             galleryThumbnails: galleryThumbnailsCheckbox ? galleryThumbnailsCheckbox.checked : true,
@@ -3279,6 +3545,12 @@ function setupSettingsModal() {
             chubUseV4Api: chubUseV4ApiCheckbox ? chubUseV4ApiCheckbox.checked : false,
             autoSnapshotOnEdit: autoSnapshotOnEditCheckbox ? autoSnapshotOnEditCheckbox.checked : false,
             maxAutoBackups: maxAutoBackupsInput ? parseInt(maxAutoBackupsInput.value) || 10 : 10,
+            embeddingSource: embeddingSourceSelect ? embeddingSourceSelect.value : 'off',
+            embeddingUrl: embeddingUrlInput ? embeddingUrlInput.value.trim() : '',
+            embeddingModel: embeddingModelInput ? embeddingModelInput.value.trim() : '',
+            embeddingApiKey: embeddingApiKeyInput ? (embeddingApiKeyInput.value.trim() || null) : null,
+            backgroundUpdateChecks: backgroundUpdateChecksCheckbox ? backgroundUpdateChecksCheckbox.checked : false,
+            backgroundUpdateInterval: backgroundUpdateIntervalSelect ? parseInt(backgroundUpdateIntervalSelect.value) || 24 : 24,
             ...readProviderOrderFromUI(),
             infiniteScroll: readInfiniteScrollFromUI(),
         });
@@ -3408,6 +3680,9 @@ function setupSettingsModal() {
         if (importDirectDownloadsCheckbox) {
             importDirectDownloadsCheckbox.checked = DEFAULT_SETTINGS.importDirectDownloads;
         }
+        if (importQueueConcurrencyInput) {
+            importQueueConcurrencyInput.value = DEFAULT_SETTINGS.importQueueConcurrency;
+        }
         searchNameCheckbox.checked = DEFAULT_SETTINGS.searchInName;
         if (searchListingNameCheckbox) searchListingNameCheckbox.checked = DEFAULT_SETTINGS.searchInListingName;
         searchTagsCheckbox.checked = DEFAULT_SETTINGS.searchInTags;
@@ -4560,6 +4835,7 @@ let currentView = 'characters';
 const viewEnterCallbacks = {}; // view → callback[]
 const viewExitCallbacks = {}; // view → callback[]
 let lastOnlineProviderId = null;
+let onlineActivation = null; // promise of the last registry.activateProvider() call
 let providerSelectorInitialized = false;
 
 /**
@@ -4595,7 +4871,7 @@ function activateOnlineProvider(requestedId) {
     }
 
     lastOnlineProviderId = targetId;
-    registry.activateProvider(targetId, container, filterContent);
+    onlineActivation = registry.activateProvider(targetId, container, filterContent);
 }
 
 /**
@@ -4637,6 +4913,9 @@ function switchView(view) {
         }
     }
 
+    // Query syntax errors are only reported for the character grid
+    if (view !== 'characters') setSearchQueryError(null);
+
     // Get elements
     const charFilters = document.getElementById('filterArea');
     const chatFilters = document.getElementById('chatsFilterArea');
@@ -8520,8 +8799,10 @@ function renderSidebarPlaylists(avatar) {
         const icon = pl.icon
             ? `<i class="pl-chip-icon ${escapeHtml(pl.icon)}"${iconColor}></i>`
             : '';
-        const removeBtn = `<button class="pl-chip-remove" title="Remove from playlist" aria-label="Remove from playlist"><i class="fa-solid fa-xmark"></i></button>`;
-        return `<span class="pl-chip" data-uid="${escapeHtml(pl.uid)}">${icon}${escapeHtml(pl.name)}${removeBtn}</span>`;
+        // Smart playlist membership comes from its rules, so there is nothing to remove by hand
+        const removeBtn = pl.smart ? '' : `<button class="pl-chip-remove" title="Remove from playlist" aria-label="Remove from playlist"><i class="fa-solid fa-xmark"></i></button>`;
+        const title = pl.smart ? ' title="Smart playlist"' : '';
+        return `<span class="pl-chip" data-uid="${escapeHtml(pl.uid)}"${title}>${icon}${escapeHtml(pl.name)}${removeBtn}</span>`;
     }).join('') + '<button class="pl-chip pl-chip-add" title="Add to playlist"><i class="fa-solid fa-plus"></i></button>';
 
     container.onclick = (e) => {
@@ -9418,6 +9699,11 @@ function cleanupThumbCache(folderName) {
         .catch(() => {});
 }
 
+// Re-render the gallery tab after a module changed the open character's files
+function refreshCharacterGallery(char) {
+    if (activeChar && (!char || char.avatar === activeChar.avatar)) fetchCharacterImages(activeChar);
+}
+
 function prewarmThumbnails(folderName, fileNames) {
     if (!_galleryThumbsAvailable || getSetting('galleryThumbnails') === false || getSetting('galleryThumbPrewarm') === false) return;
     const imageFiles = fileNames.filter(f => PREWARM_EXTENSIONS.test(f));
@@ -10407,6 +10693,13 @@ async function openModal(char, { navList } = {}) {
             await maybeCloseModal();
             if (modal.classList.contains('hidden')) filterLocalByCreator(author);
         };
+        const profileEl = document.getElementById('modalAuthorProfile');
+        if (profileEl) {
+            profileEl.onclick = (e) => {
+                e.preventDefault();
+                window.openCreatorProfiles?.(author);
+            };
+        }
         authContainer.style.display = 'inline';
     } else if (authContainer) {
         authContainer.style.display = 'none';
@@ -11576,6 +11869,12 @@ async function findRelatedCharacters(sourceChar) {
     const searchId = ++_relatedSearchId;
     
     resultsEl.innerHTML = '<div class="related-loading"><i class="fa-solid fa-spinner fa-spin"></i> Finding related characters...</div>';
+    setupRelatedFilters(sourceChar);
+
+    if (syncRelatedMode() === 'meaning') {
+        findRelatedByMeaning(sourceChar, searchId);
+        return;
+    }
     
     // Get filter options
     const useTags = document.getElementById('relatedFilterTags')?.checked ?? true;
@@ -11732,16 +12031,93 @@ function renderRelatedResults(related, sourceChar) {
     }
     
     resultsEl.innerHTML = html;
+    bindRelatedCardClicks(resultsEl);
+}
 
-    // Event delegation for related card clicks
-    resultsEl.addEventListener('click', (e) => {
+// Event delegation for related card clicks (assigned, not added: the pane
+// re-renders for every character and mode)
+function bindRelatedCardClicks(resultsEl) {
+    resultsEl.onclick = (e) => {
         const card = e.target.closest('.related-card[data-avatar]');
         if (!card) return;
         openRelatedCharacter(card.dataset.avatar);
+    };
+}
+
+/**
+ * Show the Related tab's active mode and hide the metadata filters in
+ * meaning mode.
+ * @returns {'metadata'|'meaning'}
+ */
+function syncRelatedMode() {
+    const mode = getSetting('relatedMode') === 'meaning' ? 'meaning' : 'metadata';
+    document.querySelectorAll('#pane-related .related-mode-btn').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.mode === mode);
     });
+    document.querySelector('#pane-related .related-filters')?.classList.toggle('hidden', mode === 'meaning');
+    return mode;
+}
 
-    // Setup filter change handlers
-    setupRelatedFilters(sourceChar);
+/**
+ * "Similar by Meaning": nearest neighbours in the embedding index.
+ */
+async function findRelatedByMeaning(sourceChar, searchId) {
+    const resultsEl = document.getElementById('relatedResults');
+    if (!resultsEl) return;
+
+    if ((getSetting('embeddingSource') || 'off') === 'off') {
+        resultsEl.innerHTML = `
+            <div class="related-empty">
+                <i class="fa-solid fa-brain"></i>
+                <p>Semantic search is off</p>
+                <span>Choose an embeddings source in Settings → Semantic Search and build the index</span>
+            </div>
+        `;
+        return;
+    }
+
+    let matches;
+    try {
+        matches = await window.findSimilarByMeaning?.(sourceChar, 20) || [];
+    } catch (e) {
+        if (searchId !== _relatedSearchId) return;
+        resultsEl.innerHTML = `
+            <div class="related-empty">
+                <i class="fa-solid fa-triangle-exclamation"></i>
+                <p>Couldn't compare by meaning</p>
+                <span>${escapeHtml(e.message)}</span>
+            </div>
+        `;
+        return;
+    }
+    if (searchId !== _relatedSearchId) return;
+
+    const byAvatar = new Map(allCharacters.map(c => [c.avatar, c]));
+    const related = matches
+        .filter(m => byAvatar.has(m.avatar))
+        .map(m => {
+            const pct = Math.round(m.score * 100);
+            return {
+                char: byAvatar.get(m.avatar),
+                score: pct,
+                breakdown: { meaning: pct },
+                matchReasons: [`${pct}% similar in meaning`],
+            };
+        });
+
+    if (related.length === 0) {
+        resultsEl.innerHTML = `
+            <div class="related-empty">
+                <i class="fa-solid fa-users-slash"></i>
+                <p>No characters close in meaning</p>
+                <span>Update the index in Settings → Semantic Search if you've added characters recently</span>
+            </div>
+        `;
+        return;
+    }
+
+    resultsEl.innerHTML = `<div class="related-section"><div class="related-section-header"><i class="fa-solid fa-brain"></i> Similar by Meaning (${related.length})</div>${renderRelatedCards(related)}</div>`;
+    bindRelatedCardClicks(resultsEl);
 }
 
 /**
@@ -11766,6 +12142,7 @@ function renderRelatedCards(related) {
         }
         if (r.breakdown.creator > 0) pills.push(`<span class="related-pill creator" title="Same creator"><i class="fa-solid fa-user-pen"></i></span>`);
         if (r.breakdown.content > 0) pills.push(`<span class="related-pill content" title="Similar content"><i class="fa-solid fa-file-lines"></i></span>`);
+        if (r.breakdown.meaning > 0) pills.push(`<span class="related-pill meaning" title="Cosine similarity of the embeddings"><i class="fa-solid fa-brain"></i></span>`);
         
         return `
             <div class="related-card" data-avatar="${escapeHtml(char.avatar)}" title="${escapeHtml(r.matchReasons.join('\n'))}">
@@ -11796,6 +12173,13 @@ function setupRelatedFilters(sourceChar) {
             el.onchange = () => findRelatedCharacters(sourceChar);
         }
     });
+    document.querySelectorAll('#pane-related .related-mode-btn').forEach(btn => {
+        btn.onclick = () => {
+            if (getSetting('relatedMode') === btn.dataset.mode) return;
+            setSetting('relatedMode', btn.dataset.mode);
+            findRelatedCharacters(sourceChar);
+        };
+    });
 }
 
 /**
@@ -14767,6 +15151,46 @@ async function saveCurrentAsFilterPreset(name) {
     showToast(`Preset "${name}" saved`, 'success', 2000);
 }
 
+// ========== SMART PLAYLISTS ==========
+// A smart playlist stores the character-view filter rules plus the search box
+// text; membership is evaluated live by matchesSmartPlaylistRules.
+
+function getCurrentSmartPlaylistDefinition() {
+    const rules = charAdvFilterRules
+        .filter(r => ADV_FILTER_NO_VALUE_OPS.has(r.operator) || !!r.value)
+        .map(({ field, operator, value }) => ({ field, operator, value }));
+    const query = (document.getElementById('searchInput')?.value || '').trim();
+    return { rules, query };
+}
+
+async function saveCurrentAsSmartPlaylist(name) {
+    name = (name || '').trim();
+    if (!name) { showToast('Type a name for the smart playlist first', 'warning'); return; }
+    const smart = getCurrentSmartPlaylistDefinition();
+    if (smart.rules.length === 0 && !smart.query) { showToast('No active filters or search to save', 'warning'); return; }
+    const uid = await window.playlistsCreateSmart?.(name, smart);
+    if (!uid) return;
+    const input = document.getElementById('advFilterPresetNameInput');
+    if (input) input.value = '';
+    rerenderAdvFilterPresets();
+    showToast(`Smart playlist "${name}" saved`, 'success', 2000);
+}
+
+// Puts a smart playlist's definition back into the search box and filter panel for editing
+function loadSmartPlaylistIntoFilters(smart) {
+    if (!smart) return;
+    if ((getCurrentView() || 'characters') !== 'characters') switchView('characters');
+    const searchInput = document.getElementById('searchInput');
+    if (searchInput) {
+        searchInput.value = smart.query || '';
+        document.getElementById('clearSearchBtn')?.classList.toggle('hidden', !searchInput.value);
+    }
+    charAdvFilterRules = (smart.rules || []).map(r => ({ ...r, id: advFilterNextId++ }));
+    rerenderAdvFilterRows();
+    updateAdvFilterIndicator();
+    performSearch();
+}
+
 async function applyFilterPreset(uid, opts = {}) {
     await loadFilterPresets();
     const preset = getFilterPresets().find(p => p.uid === uid);
@@ -14824,6 +15248,8 @@ function toggleAdvFilterPresetsPanel() {
 function openAdvFilterPresetsPanel() {
     loadFilterPresets().then(() => {
         rerenderAdvFilterPresets();
+        // Smart playlists are character-view only
+        document.getElementById('advFilterSmartPlaylistBtn')?.classList.toggle('hidden', currentView === 'chats');
         document.getElementById('advFilterPresetsPanel')?.classList.remove('hidden');
         document.getElementById('advFilterPresetsBtn')?.classList.add('active');
         if (!isMobileMode()) {
@@ -15033,8 +15459,8 @@ function buildAdvFilterValueHtml(rule, fieldDef) {
     </div>`;
 }
 
-function evaluateAdvancedFilters(c) {
-    for (const rule of charAdvFilterRules) {
+function evaluateAdvancedFilters(c, rules = charAdvFilterRules) {
+    for (const rule of rules) {
         const needsValue = !ADV_FILTER_NO_VALUE_OPS.has(rule.operator);
         if (needsValue && !rule.value) continue;
         if (!evaluateAdvFilterRule(c, rule)) return false;
@@ -15220,40 +15646,82 @@ function getAdvFilterRulesForChats() {
 }
 
 // Search and Filter Functionality (Global so it can be called from view switching)
-function performSearch() {
-    updateMobileFilterIndicator();
-    const rawQuery = document.getElementById('searchInput').value;
-    
-    const useName = document.getElementById('searchName').checked;
-    const useListingName = document.getElementById('searchListingName').checked;
-    const useTags = document.getElementById('searchTags').checked;
-    const useAuthor = document.getElementById('searchAuthor').checked;
-    const useNotes = document.getElementById('searchNotes').checked;
-    const useTagline = document.getElementById('searchTagline')?.checked;
-    
-    // ========================================================================
-    // Parse prefix tokens from query, leaving remaining text as free-text search.
-    // Supports multiple prefixes combined with free text, e.g.:
-    //   "creator:john linked:yes dark elf"
-    // ========================================================================
-    
-    const prefixPattern = /(?:^|\s)((?:creator|version|gallery|uid|favorite|fav|linked|chub|janny|charactertavern|ct|pygmalion|wyvern|datacat|dc|botbooru|bb|playlist):(?:[^\s]+))/gi;
-    
-    let creatorFilter = null;
-    let versionFilter = null;
-    let galleryFilter = null;
-    let uidFilter = null;
-    let favoriteFilter = null;
-    let filterFavoriteYes = false;
-    let filterFavoriteNo = false;
-    let linkFilterPrefix = null;
-    let linkFilterWantLinked = false;
-    let playlistSearchFilter = null;
-    
-    let query = rawQuery;
+// ========================================================================
+// Search box query language. Plain words and prefix tokens
+// ("creator:john linked:yes dark elf") read the same as they always have;
+// on top of that a query can use OR, NOT / -, parentheses, quoted phrases
+// and comparisons ("tokens:>2000", "added:<30d", tag:"slice of life").
+// Compiled once per distinct string; smart playlists store the same syntax
+// and run it through the same evaluator.
+// ========================================================================
+
+const SEARCH_PREFIX_PATTERN = /(?:^|\s)((?:creator|version|gallery|uid|favorite|fav|linked|chub|janny|charactertavern|ct|pygmalion|wyvern|datacat|dc|botbooru|bb|playlist):(?:[^\s]+))/gi;
+
+const LINK_PREFIX_PROVIDERS = {
+    chub: 'chub', janny: 'jannyai', charactertavern: 'chartavern', ct: 'chartavern', pygmalion: 'pygmalion',
+    wyvern: 'wyvern', datacat: 'datacat', dc: 'datacat', botbooru: 'botbooru', bb: 'botbooru',
+};
+
+function emptySearchPrefixes() {
+    return {
+        query: '',
+        creatorFilter: null,
+        versionFilter: null,
+        galleryFilter: null,
+        uidFilter: null,
+        favoriteFilter: null,
+        filterFavoriteYes: false,
+        filterFavoriteNo: false,
+        linkFilterPrefix: null,
+        linkFilterWantLinked: false,
+        playlistSearchFilter: null,
+    };
+}
+
+/**
+ * Record one prefix token on a parsed-prefix object.
+ * @param {Object} parsed - From emptySearchPrefixes()
+ * @param {string} prefix - Lowercase prefix name
+ * @param {string} value - Lowercase value
+ */
+function applySearchPrefix(parsed, prefix, value) {
+    if (prefix === 'creator') {
+        parsed.creatorFilter = value;
+    } else if (prefix === 'version') {
+        parsed.versionFilter = value;
+    } else if (prefix === 'gallery') {
+        parsed.galleryFilter = value;
+    } else if (prefix === 'uid') {
+        parsed.uidFilter = value;
+    } else if (prefix === 'favorite' || prefix === 'fav') {
+        parsed.favoriteFilter = value;
+        parsed.filterFavoriteYes = value === 'yes' || value === 'true';
+        parsed.filterFavoriteNo = value === 'no' || value === 'false';
+    } else if (prefix === 'linked' || LINK_PREFIX_PROVIDERS[prefix]) {
+        parsed.linkFilterPrefix = prefix;
+        parsed.linkFilterWantLinked = value === 'yes' || value === 'true' || value === 'linked';
+    } else if (prefix === 'playlist') {
+        parsed.playlistSearchFilter = value;
+    }
+    return parsed;
+}
+
+/**
+ * Split a search string into prefix filters and the leftover free text.
+ * This is the pre-grammar reading of the search box, still used when a
+ * query does not parse (e.g. an unclosed parenthesis while typing).
+ * @param {string} rawQuery
+ * @returns {Object} { query, creatorFilter, versionFilter, galleryFilter, uidFilter, favoriteFilter,
+ *   filterFavoriteYes, filterFavoriteNo, linkFilterPrefix, linkFilterWantLinked, playlistSearchFilter }
+ */
+function parseSearchPrefixes(rawQuery) {
+    const parsed = emptySearchPrefixes();
+
+    let query = rawQuery || '';
     let match;
-    
-    while ((match = prefixPattern.exec(rawQuery)) !== null) {
+    SEARCH_PREFIX_PATTERN.lastIndex = 0;
+
+    while ((match = SEARCH_PREFIX_PATTERN.exec(rawQuery || '')) !== null) {
         const token = match[1];
         const colonIdx = token.indexOf(':');
         const prefix = token.substring(0, colonIdx).toLowerCase();
@@ -15261,118 +15729,563 @@ function performSearch() {
         if (!value) continue;
         
         query = query.replace(token, '');
-        
-        if (prefix === 'creator') {
-            creatorFilter = value;
-        } else if (prefix === 'version') {
-            versionFilter = value;
-        } else if (prefix === 'gallery') {
-            galleryFilter = value;
-        } else if (prefix === 'uid') {
-            uidFilter = value;
-        } else if (prefix === 'favorite' || prefix === 'fav') {
-            favoriteFilter = value;
-            filterFavoriteYes = value === 'yes' || value === 'true';
-            filterFavoriteNo = value === 'no' || value === 'false';
-        } else if (['linked', 'chub', 'janny', 'charactertavern', 'ct', 'pygmalion', 'wyvern', 'datacat', 'dc', 'botbooru', 'bb'].includes(prefix)) {
-            linkFilterPrefix = prefix;
-            linkFilterWantLinked = value === 'yes' || value === 'true' || value === 'linked';
-        } else if (prefix === 'playlist') {
-            playlistSearchFilter = value;
+        applySearchPrefix(parsed, prefix, value);
+    }
+    
+    parsed.query = query.trim().toLowerCase();
+    return parsed;
+}
+
+/**
+ * Prefix filters from parseSearchPrefixes(); each is an AND constraint.
+ * The free-text part is not checked here.
+ */
+function matchesSearchPrefixes(c, p) {
+    if (p.creatorFilter) {
+        if (!(c._lowerCreator === p.creatorFilter || c._lowerCreator.includes(p.creatorFilter))) return false;
+    }
+    
+    if (p.versionFilter) {
+        const version = (c.character_version || (c.data ? c.data.character_version : "") || "").toLowerCase();
+        if (p.versionFilter === 'none' || p.versionFilter === 'empty') {
+            if (version) return false;
+        } else {
+            if (!(version === p.versionFilter || version.includes(p.versionFilter))) return false;
+        }
+    }
+    
+    if (p.galleryFilter) {
+        const gid = (c.data?.extensions?.gallery_id || '').toLowerCase();
+        if (p.galleryFilter === 'none' || p.galleryFilter === 'empty') {
+            if (gid) return false;
+        } else {
+            if (!(gid === p.galleryFilter || gid.includes(p.galleryFilter))) return false;
+        }
+    }
+    
+    if (p.uidFilter) {
+        const uid = (c.data?.extensions?.version_uid || '').toLowerCase();
+        if (p.uidFilter === 'none' || p.uidFilter === 'empty') {
+            if (uid) return false;
+        } else {
+            if (!(uid === p.uidFilter || uid.includes(p.uidFilter))) return false;
+        }
+    }
+    
+    if (p.favoriteFilter !== null) {
+        const isFav = isCharacterFavorite(c);
+        if (p.filterFavoriteYes && !isFav) return false;
+        if (p.filterFavoriteNo && isFav) return false;
+    }
+    
+    if (p.linkFilterPrefix !== null) {
+        let isLinked = false;
+        if (p.linkFilterPrefix === 'linked') {
+            isLinked = !!window.ProviderRegistry?.getLinkInfo(c);
+        } else {
+            const provId = LINK_PREFIX_PROVIDERS[p.linkFilterPrefix] || null;
+            const prov = provId ? window.ProviderRegistry?.getProvider(provId) : null;
+            isLinked = prov ? !!prov.getLinkInfo(c) : false;
         }
+        if (p.linkFilterWantLinked && !isLinked) return false;
+        if (!p.linkFilterWantLinked && isLinked) return false;
     }
     
-    query = query.trim().toLowerCase();
+    // playlist: search prefix
+    if (p.playlistSearchFilter) {
+        const charPls = window.playlistsGetForChar?.(c.avatar) || [];
+        if (p.playlistSearchFilter === 'none' || p.playlistSearchFilter === 'empty') {
+            if (charPls.length > 0) return false;
+        } else if (p.playlistSearchFilter === 'any' || p.playlistSearchFilter === 'yes') {
+            if (charPls.length === 0) return false;
+        } else {
+            if (!charPls.some(pl => pl.name.toLowerCase().includes(p.playlistSearchFilter))) return false;
+        }
+    }
 
-    // built once outside the per-char loop, picks up whatever the playlist
-    // actually contains right now (no stale cache between mutations).
-    const playlistAvatarSet = activePlaylistFilter
-        ? (window.playlistsGetAvatarSet?.(activePlaylistFilter) || null)
-        : null;
+    return true;
+}
 
-    // Tag filter selections are per-pass constants too; split them once here
-    const includedTags = [];
-    const excludedTags = [];
-    activeTagFilters.forEach((state, tag) => {
-        if (state === 'include') includedTags.push(tag);
-        else if (state === 'exclude') excludedTags.push(tag);
-    });
-    const includedTagSet = new Set(includedTags);
-    const excludedTagSet = new Set(excludedTags);
+// Fields the query language understands. Anything else before a colon is
+// plain text, so titles like "Re:Zero" keep searching as they always did.
+const SEARCH_TEXT_FIELDS = {
+    name: c => c._lowerName,
+    notes: c => c._lowerNotes || '',
+    tagline: c => c._lowerTagline || '',
+};
+const SEARCH_DATE_FIELDS = {
+    added: c => c._dateAdded,
+    created: c => c._createDate,
+    chatted: c => c._dateLastChat,
+    lastchat: c => c._dateLastChat,
+};
+const SEARCH_LEGACY_FIELDS = new Set(['creator', 'version', 'gallery', 'uid', 'favorite', 'fav', 'linked', 'playlist', ...Object.keys(LINK_PREFIX_PROVIDERS)]);
+const SEARCH_QUERY_FIELDS = new Set([...SEARCH_LEGACY_FIELDS, 'tag', 'tags', 'tokens', 'provider', 'avatar', ...Object.keys(SEARCH_TEXT_FIELDS), ...Object.keys(SEARCH_DATE_FIELDS)]);
 
-    const filtered = allCharacters.filter(c => {
-        
-        // Prefix filters: each is an AND constraint
-        
-        if (creatorFilter) {
-            if (!(c._lowerCreator === creatorFilter || c._lowerCreator.includes(creatorFilter))) return false;
+const SEARCH_DURATION_UNITS = { h: 3600000, d: 86400000, w: 7 * 86400000, m: 30 * 86400000, y: 365 * 86400000 };
+
+/**
+ * Split a query into tokens: ( ) OR AND NOT, quoted phrases, field terms and words.
+ * Operators are uppercase only so lowercase "or"/"not" stay searchable words.
+ * @param {string} input
+ * @returns {Array<{type: string, value?: string, field?: string}>}
+ */
+function tokenizeSearchQuery(input) {
+    const tokens = [];
+    let i = 0;
+    const readQuoted = () => {
+        const close = input.indexOf('"', i + 1);
+        if (close === -1) throw new Error('Unclosed quote');
+        const text = input.slice(i + 1, close);
+        i = close + 1;
+        return text;
+    };
+
+    while (i < input.length) {
+        const ch = input[i];
+        if (/\s/.test(ch)) { i++; continue; }
+        if (ch === '(' || ch === ')') {
+            tokens.push({ type: ch });
+            i++;
+            continue;
         }
-        
-        if (versionFilter) {
-            const version = (c.character_version || (c.data ? c.data.character_version : "") || "").toLowerCase();
-            if (versionFilter === 'none' || versionFilter === 'empty') {
-                if (version) return false;
-            } else {
-                if (!(version === versionFilter || version.includes(versionFilter))) return false;
-            }
+        if (ch === '"') {
+            tokens.push({ type: 'phrase', value: readQuoted() });
+            continue;
         }
-        
-        if (galleryFilter) {
-            const gid = (c.data?.extensions?.gallery_id || '').toLowerCase();
-            if (galleryFilter === 'none' || galleryFilter === 'empty') {
-                if (gid) return false;
-            } else {
-                if (!(gid === galleryFilter || gid.includes(galleryFilter))) return false;
-            }
+        if (ch === '|') {
+            i += input[i + 1] === '|' ? 2 : 1;
+            tokens.push({ type: 'OR' });
+            continue;
         }
-        
-        if (uidFilter) {
-            const uid = (c.data?.extensions?.version_uid || '').toLowerCase();
-            if (uidFilter === 'none' || uidFilter === 'empty') {
-                if (uid) return false;
-            } else {
-                if (!(uid === uidFilter || uid.includes(uidFilter))) return false;
-            }
+        if (ch === '&' && input[i + 1] === '&') {
+            i += 2;
+            tokens.push({ type: 'AND' });
+            continue;
         }
-        
-        if (favoriteFilter !== null) {
-            const isFav = isCharacterFavorite(c);
-            if (filterFavoriteYes && !isFav) return false;
-            if (filterFavoriteNo && isFav) return false;
+        if (ch === '-' && i + 1 < input.length && !/[\s-]/.test(input[i + 1])) {
+            tokens.push({ type: 'NOT' });
+            i++;
+            continue;
         }
-        
-        if (linkFilterPrefix !== null) {
-            let isLinked = false;
-            if (linkFilterPrefix === 'linked') {
-                isLinked = !!window.ProviderRegistry?.getLinkInfo(c);
-            } else {
-                const provId = linkFilterPrefix === 'chub' ? 'chub'
-                    : linkFilterPrefix === 'janny' ? 'jannyai'
-                    : (linkFilterPrefix === 'charactertavern' || linkFilterPrefix === 'ct') ? 'chartavern'
-                    : linkFilterPrefix === 'pygmalion' ? 'pygmalion'
-                    : linkFilterPrefix === 'wyvern' ? 'wyvern'
-                    : (linkFilterPrefix === 'datacat' || linkFilterPrefix === 'dc') ? 'datacat'
-                    : (linkFilterPrefix === 'botbooru' || linkFilterPrefix === 'bb') ? 'botbooru'
-                    : null;
-                const prov = provId ? window.ProviderRegistry?.getProvider(provId) : null;
-                isLinked = prov ? !!prov.getLinkInfo(c) : false;
-            }
-            if (linkFilterWantLinked && !isLinked) return false;
-            if (!linkFilterWantLinked && isLinked) return false;
+
+        const start = i;
+        while (i < input.length && !/[\s()"]/.test(input[i])) i++;
+        const word = input.slice(start, i);
+
+        if (word === 'OR' || word === 'AND' || word === 'NOT') {
+            tokens.push({ type: word });
+            continue;
         }
-        
-        // playlist: search prefix
-        if (playlistSearchFilter) {
-            const charPls = window.playlistsGetForChar?.(c.avatar) || [];
-            if (playlistSearchFilter === 'none' || playlistSearchFilter === 'empty') {
-                if (charPls.length > 0) return false;
-            } else if (playlistSearchFilter === 'any' || playlistSearchFilter === 'yes') {
-                if (charPls.length === 0) return false;
-            } else {
-                if (!charPls.some(p => p.name.toLowerCase().includes(playlistSearchFilter))) return false;
+
+        const fieldMatch = word.match(/^([a-z]+):(.*)$/i);
+        const field = fieldMatch?.[1].toLowerCase();
+        if (field && SEARCH_QUERY_FIELDS.has(field)) {
+            let value = fieldMatch[2];
+            // tag:"slice of life", added:>"2024-01-01"
+            if (input[i] === '"' && /^[<>=]*$/.test(value)) value += readQuoted();
+            if (value) {
+                tokens.push({ type: 'field', field, value });
+                continue;
+            }
+        }
+        tokens.push({ type: 'word', value: word });
+    }
+    return tokens;
+}
+
+/**
+ * Split a comparison value like ">=2000" into operator and operand.
+ * A bare value means "=".
+ */
+function splitSearchComparison(raw) {
+    const m = raw.match(/^(>=|<=|>|<|=)?(.*)$/);
+    return { op: m[1] || '=', operand: m[2].trim() };
+}
+
+function compareSearchNumbers(a, op, b) {
+    switch (op) {
+        case '>': return a > b;
+        case '<': return a < b;
+        case '>=': return a >= b;
+        case '<=': return a <= b;
+    }
+    return a === b;
+}
+
+/**
+ * Turn a date term into a predicate on a timestamp. Relative values compare
+ * age ("<30d" = within the last 30 days); absolute values compare the date
+ * itself (">2024-01-01" = after New Year 2024, "=2024-01-01" = that day).
+ * @returns {function(number): boolean}
+ */
+function compileSearchDateTest(field, raw) {
+    if (raw.toLowerCase() === 'never') return ts => !ts;
+    const { op, operand } = splitSearchComparison(raw);
+
+    const rel = operand.toLowerCase().match(/^(\d+(?:\.\d+)?)([hdwmy])$/);
+    if (rel) {
+        const span = parseFloat(rel[1]) * SEARCH_DURATION_UNITS[rel[2]];
+        // A bare relative value reads as "within", same as "<"
+        const ageOp = op === '=' ? '<=' : op;
+        return ts => !!ts && compareSearchNumbers(Date.now() - ts, ageOp, span);
+    }
+
+    const date = /^\d{4}-\d{2}(-\d{2})?$/.test(operand) ? new Date(`${operand.length === 7 ? `${operand}-01` : operand}T00:00:00`) : null;
+    if (!date || isNaN(date.getTime())) {
+        throw new Error(`${field}: expects an age like <30d or a date like >2024-01-01`);
+    }
+    const dayStart = date.getTime();
+    const dayEnd = operand.length === 7
+        ? new Date(date.getFullYear(), date.getMonth() + 1, 1).getTime()
+        : dayStart + 86400000;
+    return ts => {
+        if (!ts) return false;
+        switch (op) {
+            case '>': return ts >= dayEnd;
+            case '>=': return ts >= dayStart;
+            case '<': return ts < dayStart;
+            case '<=': return ts < dayEnd;
+        }
+        return ts >= dayStart && ts < dayEnd;
+    };
+}
+
+/**
+ * Compile a field term into a predicate on a character.
+ * Throws with a user-facing message when the value does not fit the field.
+ * @returns {function(Object): boolean}
+ */
+function compileSearchFieldTest(field, rawValue) {
+    const value = rawValue.toLowerCase();
+
+    if (SEARCH_LEGACY_FIELDS.has(field)) {
+        const prefixes = applySearchPrefix(emptySearchPrefixes(), field, value);
+        return c => matchesSearchPrefixes(c, prefixes);
+    }
+
+    if (field === 'tag' || field === 'tags') {
+        if (value === 'none' || value === 'empty') return c => getTags(c).length === 0;
+        return c => getTags(c).some(t => t.toLowerCase() === value);
+    }
+
+    // Any registered provider by id or display name, including ones without a yes/no prefix
+    if (field === 'provider') {
+        if (value === 'none') return c => !window.ProviderRegistry?.getLinkInfo(c);
+        return c => {
+            const provider = window.ProviderRegistry?.getCharacterProvider(c)?.provider;
+            return !!provider && (provider.id.toLowerCase() === value || provider.name.toLowerCase() === value);
+        };
+    }
+
+    // Exact card file, used by click-throughs that point at specific characters
+    if (field === 'avatar') {
+        return c => (c.avatar || '').toLowerCase() === value;
+    }
+
+    if (SEARCH_TEXT_FIELDS[field]) {
+        const read = SEARCH_TEXT_FIELDS[field];
+        if (value === 'none' || value === 'empty') return c => !read(c);
+        return c => read(c).includes(value);
+    }
+
+    if (field === 'tokens') {
+        const { op, operand } = splitSearchComparison(value);
+        const m = operand.match(/^(\d+(?:\.\d+)?)(k?)$/);
+        if (!m) throw new Error('tokens: expects a number like >2000 or <1.5k');
+        const target = parseFloat(m[1]) * (m[2] ? 1000 : 1);
+        // Shallow cards without an estimate yet never match a token comparison
+        return c => c._tokenEstimate != null && compareSearchNumbers(c._tokenEstimate, op, target);
+    }
+
+    if (SEARCH_DATE_FIELDS[field]) {
+        const read = SEARCH_DATE_FIELDS[field];
+        const test = compileSearchDateTest(field, rawValue);
+        return c => test(read(c));
+    }
+
+    throw new Error(`Unknown field "${field}"`);
+}
+
+/**
+ * Recursive-descent parser over tokenizeSearchQuery() output.
+ *   or    := and (OR and)*
+ *   and   := unary ([AND] unary)*
+ *   unary := NOT unary | primary
+ * Runs of bare words join into one text term, so "dark elf" still matches
+ * the phrase rather than two independent words.
+ * @returns {Object|null} AST node, or null for an empty query
+ */
+function parseSearchQuery(tokens) {
+    let pos = 0;
+    const peek = () => tokens[pos];
+
+    const parseOr = () => {
+        const children = [parseAnd()];
+        while (peek()?.type === 'OR') {
+            pos++;
+            if (!peek() || peek().type === 'OR' || peek().type === ')') throw new Error('OR needs a term on both sides');
+            children.push(parseAnd());
+        }
+        return children.length === 1 ? children[0] : { type: 'or', children };
+    };
+
+    const parseAnd = () => {
+        const children = [];
+        let explicitAnd = false;
+        while (peek() && peek().type !== 'OR' && peek().type !== ')') {
+            const tok = peek();
+            if (tok.type === 'AND') {
+                if (children.length === 0) throw new Error('AND needs a term on both sides');
+                pos++;
+                explicitAnd = true;
+                continue;
             }
+            const last = children[children.length - 1];
+            if (tok.type === 'word' && !explicitAnd && last?.mergeable) {
+                last.value += ` ${tok.value.toLowerCase()}`;
+                pos++;
+                continue;
+            }
+            children.push(parseUnary());
+            explicitAnd = false;
         }
+        if (explicitAnd) throw new Error('AND needs a term on both sides');
+        if (children.length === 0) {
+            if (peek()?.type === 'OR') throw new Error('OR needs a term on both sides');
+            throw new Error('Empty parentheses');
+        }
+        return children.length === 1 ? children[0] : { type: 'and', children };
+    };
+
+    const parseUnary = () => {
+        if (peek()?.type === 'NOT') {
+            pos++;
+            const next = peek();
+            if (!next || next.type === 'OR' || next.type === 'AND' || next.type === ')') throw new Error('NOT needs a term after it');
+            return { type: 'not', child: parseUnary() };
+        }
+        return parsePrimary();
+    };
+
+    const parsePrimary = () => {
+        const tok = tokens[pos++];
+        switch (tok.type) {
+            case '(': {
+                const node = parseOr();
+                if (peek()?.type !== ')') throw new Error('Missing closing parenthesis');
+                pos++;
+                return node.mergeable ? { ...node, mergeable: false } : node;
+            }
+            case 'phrase':
+                return { type: 'text', value: tok.value.toLowerCase() };
+            case 'word':
+                return { type: 'text', value: tok.value.toLowerCase(), mergeable: true };
+            case 'field':
+                return { type: 'field', test: compileSearchFieldTest(tok.field, tok.value) };
+        }
+        throw new Error(`Unexpected ${tok.type}`);
+    };
+
+    if (tokens.length === 0) return null;
+    const ast = parseOr();
+    if (pos < tokens.length) throw new Error(tokens[pos].type === ')' ? 'Unexpected closing parenthesis' : `Unexpected ${tokens[pos].type}`);
+    return ast;
+}
+
+// Search passes run on every keystroke and smart playlists re-evaluate on
+// every badge refresh, so compiled queries are cached by their text
+const _searchQueryCache = new Map();
+
+/**
+ * Compile a search string. On a syntax error the query is read the old way
+ * (prefix tokens plus one free-text phrase) so results keep showing while the
+ * user finishes typing, and the message is returned for the inline hint.
+ * @param {string} rawQuery
+ * @returns {{ast: Object|null, error: string|null}}
+ */
+function compileSearchQuery(rawQuery) {
+    const text = (rawQuery || '').trim();
+    let compiled = _searchQueryCache.get(text);
+    if (compiled) return compiled;
+
+    try {
+        compiled = { ast: parseSearchQuery(tokenizeSearchQuery(text)), error: null };
+    } catch (e) {
+        const legacy = parseSearchPrefixes(text);
+        const children = [{ type: 'field', test: c => matchesSearchPrefixes(c, legacy) }];
+        if (legacy.query) children.push({ type: 'text', value: legacy.query });
+        compiled = { ast: { type: 'and', children }, error: e.message };
+    }
+    if (_searchQueryCache.size > 200) _searchQueryCache.clear();
+    _searchQueryCache.set(text, compiled);
+    return compiled;
+}
+
+/**
+ * @param {Object|null} node - From compileSearchQuery()
+ * @param {Object} c - Character
+ * @param {function(Object, string): boolean} textMatch - Free-text matcher for text terms
+ * @returns {boolean}
+ */
+function evaluateSearchQuery(node, c, textMatch) {
+    if (!node) return true;
+    switch (node.type) {
+        case 'and': return node.children.every(n => evaluateSearchQuery(n, c, textMatch));
+        case 'or': return node.children.some(n => evaluateSearchQuery(n, c, textMatch));
+        case 'not': return !evaluateSearchQuery(node.child, c, textMatch);
+        case 'text': return textMatch(c, node.value);
+        case 'field': return node.test(c);
+    }
+    return true;
+}
+
+/**
+ * Free text of a query for semantic ranking: the positive text terms,
+ * joined. Negated terms stay lexical (see stripSemanticText).
+ * @param {Object|null} node - From compileSearchQuery()
+ * @returns {string}
+ */
+function collectSearchText(node) {
+    if (!node) return '';
+    switch (node.type) {
+        case 'and':
+        case 'or': return node.children.map(collectSearchText).filter(Boolean).join(' ');
+        case 'text': return node.value;
+    }
+    return '';
+}
+
+// Positive text terms are answered by the semantic score instead of
+// substring matching, so they drop out of the boolean tree.
+function stripSemanticText(node) {
+    if (!node) return node;
+    switch (node.type) {
+        case 'and':
+        case 'or': return { ...node, children: node.children.map(stripSemanticText) };
+        case 'text': return { type: 'field', test: () => true };
+    }
+    return node;
+}
+
+const SEMANTIC_RESULT_LIMIT = 100;
+const _semanticSearch = { text: '', result: null, pending: null };
+
+/**
+ * Semantic scores for a query text, or null while they're computed. The
+ * embeddings module is async, so the first call starts the work and
+ * re-runs performSearch when it lands.
+ * @param {string} text
+ * @returns {{scores: Map<string, number>, minScore: number}|null}
+ */
+function getSemanticSearchResult(text) {
+    const state = _semanticSearch;
+    if (state.text === text && state.result) return state.result;
+    if (state.pending === text) return null;
+    state.pending = text;
+    window.semanticSearchScores?.(text)
+        .then(result => {
+            if (state.pending !== text) return;
+            state.text = text;
+            state.result = result;
+        })
+        .catch(e => {
+            if (state.pending !== text) return;
+            const toggle = document.getElementById('searchSemantic');
+            if (toggle) toggle.checked = false;
+            showToast(`Semantic search unavailable: ${e.message}`, 'warning', 6000);
+        })
+        .finally(() => {
+            if (state.pending !== text) return;
+            state.pending = null;
+            performSearch();
+        });
+    return null;
+}
+
+/**
+ * Show or clear the query error hint inside the search box.
+ * @param {string|null} message
+ */
+function setSearchQueryError(message) {
+    const box = document.querySelector('.search-box');
+    const hint = document.getElementById('searchQueryError');
+    if (!box || !hint) return;
+    box.classList.toggle('has-query-error', !!message);
+    hint.classList.toggle('hidden', !message);
+    hint.title = message ? `${message}. Showing plain-text results until the query is fixed.` : '';
+    const label = hint.querySelector('.search-query-error-text');
+    if (label) label.textContent = message || '';
+}
+
+/**
+ * Whether a character belongs to a smart playlist: its query (search
+ * grammar, text terms matched against name, tags or creator) and its
+ * advanced filter rules must both match.
+ * @param {Object} c - Character
+ * @param {{rules: Array, query: string}} smart - Stored smart playlist definition
+ * @returns {boolean}
+ */
+function matchesSmartPlaylistRules(c, smart) {
+    if (!smart) return false;
+    const { ast } = compileSearchQuery(smart.query);
+    if (!evaluateSearchQuery(ast, c, smartPlaylistTextMatch)) return false;
+    return evaluateAdvancedFilters(c, smart.rules || []);
+}
+
+function smartPlaylistTextMatch(c, q) {
+    return c._lowerName.includes(q) || c._tagsLower.includes(q) || c._lowerCreator.includes(q);
+}
+
+function performSearch() {
+    updateMobileFilterIndicator();
+    const rawQuery = document.getElementById('searchInput').value;
+    
+    const useName = document.getElementById('searchName').checked;
+    const useListingName = document.getElementById('searchListingName').checked;
+    const useTags = document.getElementById('searchTags').checked;
+    const useAuthor = document.getElementById('searchAuthor').checked;
+    const useNotes = document.getElementById('searchNotes').checked;
+    const useTagline = document.getElementById('searchTagline')?.checked;
+    
+    // Prefix tokens combine with free text and boolean operators,
+    // e.g. "creator:john (elf OR dwarf) -tag:nsfw tokens:<2k"
+    const { ast: parsedAst, error } = compileSearchQuery(rawQuery);
+    setSearchQueryError(getCurrentView() === 'characters' ? error : null);
+
+    // Semantic mode ranks by meaning; field prefixes and operators still
+    // filter. Until the scores arrive the plain-text matches are shown.
+    const semanticText = document.getElementById('searchSemantic')?.checked ? collectSearchText(parsedAst).trim() : '';
+    const semantic = semanticText ? getSemanticSearchResult(semanticText) : null;
+    const ast = semantic ? stripSemanticText(parsedAst) : parsedAst;
+
+    // A text term matches when any of the enabled search fields contains it
+    const textMatch = (c, query) =>
+        (useName && c._lowerName.includes(query))
+        || (useListingName && !!c._lowerListingName && c._lowerListingName.includes(query))
+        || (useTags && c._tagsLower.includes(query))
+        || (useAuthor && c._lowerCreator.includes(query))
+        || (useNotes && (c._lowerNotes || '').includes(query))
+        || (!!useTagline && (c._lowerTagline || '').includes(query));
+
+    // built once outside the per-char loop, picks up whatever the playlist
+    // actually contains right now (no stale cache between mutations).
+    const playlistAvatarSet = activePlaylistFilter
+        ? (window.playlistsGetAvatarSet?.(activePlaylistFilter) || null)
+        : null;
+
+    // Tag filter selections are per-pass constants too; split them once here
+    const includedTags = [];
+    const excludedTags = [];
+    activeTagFilters.forEach((state, tag) => {
+        if (state === 'include') includedTags.push(tag);
+        else if (state === 'exclude') excludedTags.push(tag);
+    });
+    const includedTagSet = new Set(includedTags);
+    const excludedTagSet = new Set(excludedTags);
 
+    const filtered = allCharacters.filter(c => {
+        
         // Playlist filter (outermost constraint)
         if (playlistAvatarSet) {
             if (!playlistAvatarSet.has(c.avatar)) return false;
@@ -15388,18 +16301,9 @@ function performSearch() {
             if (!evaluateAdvancedFilters(c)) return false;
         }
 
-        // 1. Text Search Logic
-        let matchesSearch = false;
-        if (!query) {
-            matchesSearch = true;
-        } else {
-            if (useName && c._lowerName.includes(query)) matchesSearch = true;
-            if (!matchesSearch && useListingName && c._lowerListingName && c._lowerListingName.includes(query)) matchesSearch = true;
-            if (!matchesSearch && useTags && c._tagsLower.includes(query)) matchesSearch = true;
-            if (!matchesSearch && useAuthor && c._lowerCreator.includes(query)) matchesSearch = true;
-            if (!matchesSearch && useNotes && (c._lowerNotes || '').includes(query)) matchesSearch = true;
-            if (!matchesSearch && useTagline && (c._lowerTagline || '').includes(query)) matchesSearch = true;
-        }
+        // 1. Search query (text terms, prefix fields, boolean operators)
+        const matchesSearch = evaluateSearchQuery(ast, c, textMatch)
+            && (!semantic || (semantic.scores.get(c.avatar) ?? -1) >= semantic.minScore);
 
         // 2. Tag Filter Logic - Tri-state: include, exclude, neutral
         //    Include mode: 'any' = OR (has at least one), 'all' = AND (has every one)
@@ -15425,7 +16329,9 @@ function performSearch() {
         return matchesSearch;
     });
     
-    const sorted = [...filtered].sort(makeCharSortComparator());
+    const sorted = semantic
+        ? filtered.sort((a, b) => semantic.scores.get(b.avatar) - semantic.scores.get(a.avatar)).slice(0, SEMANTIC_RESULT_LIMIT)
+        : [...filtered].sort(makeCharSortComparator());
     
     // Keep currentCharacters in sync with sorted/filtered result
     // This ensures the sort change handler (and any other consumer) works with 
@@ -15450,35 +16356,50 @@ function updateMobileChatButtonVisibility() {
 }
 
 /**
- * Filter local cards view by creator name
- * Sets the search to "creator:Name" and ensures Author filter is checked
+ * Put a query in the search box and show the matching characters.
+ * Used by click-throughs from other views (creator links, stats charts).
+ * @param {string} query - Search box text (query language allowed)
  */
-function filterLocalByCreator(creatorName) {
-    debugLog('[Gallery] Filtering local by creator:', creatorName);
-    
+function applySearchQuery(query) {
     // Switch to characters view if not already there
     if ((getCurrentView() || 'characters') !== 'characters') {
         switchView('characters');
     }
     
-    // Set search input to creator filter syntax
     const searchInput = document.getElementById('searchInput');
     const clearSearchBtn = document.getElementById('clearSearchBtn');
     if (searchInput) {
-        searchInput.value = `creator:${creatorName}`;
+        searchInput.value = query || '';
         // Show clear button since we're populating programmatically
-        if (clearSearchBtn) clearSearchBtn.classList.remove('hidden');
+        if (clearSearchBtn) clearSearchBtn.classList.toggle('hidden', !searchInput.value);
     }
     
+    performSearch();
+}
+
+/**
+ * Filter local cards view by creator name
+ * Sets the search to "creator:Name" and ensures Author filter is checked.
+ * Several names (one person publishing under different names) are ORed.
+ * @param {string|string[]} creatorName
+ */
+function filterLocalByCreator(creatorName) {
+    debugLog('[Gallery] Filtering local by creator:', creatorName);
+    
     const authorCheckbox = document.getElementById('searchAuthor');
     if (authorCheckbox) {
         authorCheckbox.checked = true;
     }
     
-    // Trigger search
-    performSearch();
+    const names = [].concat(creatorName).map(n => String(n || '').trim()).filter(Boolean);
+    if (names.length === 0) return;
+    if (names.length === 1) {
+        applySearchQuery(`creator:${names[0]}`);
+    } else {
+        applySearchQuery(names.map(n => `creator:"${n.replace(/"/g, '')}"`).join(' OR '));
+    }
     
-    showToast(`Filtering by creator: ${creatorName}`, 'info');
+    showToast(`Filtering by creator: ${names.join(', ')}`, 'info');
 }
 
 // Debounced search for better performance (150ms delay)
@@ -15604,6 +16525,14 @@ function setupEventListeners() {
     ['searchName', 'searchListingName', 'searchTags', 'searchAuthor', 'searchNotes', 'searchTagline'].forEach(id => {
         on(id, 'change', performSearch);
     });
+    on('searchSemantic', 'change', (e) => {
+        if (e.target.checked && (getSetting('embeddingSource') || 'off') === 'off') {
+            e.target.checked = false;
+            showToast('Set up embeddings in Settings → Semantic Search first', 'info');
+            return;
+        }
+        performSearch();
+    });
 
     // Tag Filter Toggle
     const tagBtn = document.getElementById('tagFilterBtn');
@@ -15742,6 +16671,11 @@ function setupEventListeners() {
             saveCurrentAsFilterPreset(document.getElementById('advFilterPresetNameInput')?.value || '');
         });
 
+        on('advFilterSmartPlaylistBtn', 'click', (e) => {
+            e.stopPropagation();
+            saveCurrentAsSmartPlaylist(document.getElementById('advFilterPresetNameInput')?.value || '');
+        });
+
         document.getElementById('advFilterPresetNameInput')?.addEventListener('keydown', (e) => {
             if (e.key !== 'Enter') return;
             e.stopPropagation();
@@ -17259,6 +18193,7 @@ const importModal = document.getElementById('importModal');
 const importBtn = document.getElementById('importBtn');
 const closeImportModal = document.getElementById('closeImportModal');
 const startImportBtn = document.getElementById('startImportBtn');
+const queueImportBtn = document.getElementById('queueImportBtn');
 const importUrlsInput = document.getElementById('importUrlsInput');
 const importProgress = document.getElementById('importProgress');
 const importProgressCount = document.getElementById('importProgressCount');
@@ -17302,7 +18237,7 @@ function cancelActiveImport() {
 }
 
 // Open/close import modal
-importBtn?.addEventListener('click', () => {
+function openImportModal() {
     importModal.classList.add('visible');
     importUrlsInput.value = '';
     importProgress.classList.add('hidden');
@@ -17321,7 +18256,25 @@ importBtn?.addEventListener('click', () => {
     clearImportLocalFiles();
     // Reset abort state
     resetImportAbortState();
-});
+}
+importBtn?.addEventListener('click', openImportModal);
+
+/**
+ * Open the import modal with these character page URLs and start importing,
+ * so callers outside the modal get the same duplicate check and media options.
+ * @param {string[]} urls - provider page URLs (one character each)
+ */
+function importCharacterUrls(urls) {
+    if (isImporting) {
+        showToast('An import is already running', 'warning');
+        return;
+    }
+    const list = (urls || []).filter(Boolean);
+    if (list.length === 0) return;
+    openImportModal();
+    importUrlsInput.value = list.join('\n');
+    startImportBtn.click();
+}
 
 function syncImportAutoDownloadGallery() {
     if (!importAutoDownloadGallery) return;
@@ -17387,13 +18340,15 @@ function switchImportSource(source) {
     // Show/hide panels
     if (importSourceUrl) importSourceUrl.classList.toggle('hidden', source !== 'url');
     if (importSourceLocal) importSourceLocal.classList.toggle('hidden', source !== 'local');
+    // Only URL imports can be queued (local files don't survive a reload)
+    queueImportBtn?.classList.toggle('hidden', source !== 'url');
 
     // Update info hint
     if (importInfoHint) {
         if (source === 'url') {
             importInfoHint.innerHTML = '<i class="fa-solid fa-info-circle"></i><span>Supports URLs from any registered provider. Characters will be imported as PNG files.</span>';
         } else {
-            importInfoHint.innerHTML = '<i class="fa-solid fa-info-circle"></i><span>Import V2 character card PNG files directly. Card metadata will be preserved.</span>';
+            importInfoHint.innerHTML = '<i class="fa-solid fa-info-circle"></i><span>Import V2 character card PNGs or V3 CHARX archives directly. Card metadata will be preserved; CHARX assets go to the gallery.</span>';
         }
     }
 }
@@ -17435,9 +18390,9 @@ function addImportLocalFiles(files) {
         return;
     }
     for (const file of files) {
-        // Only accept PNG files
-        if (!file.name.toLowerCase().endsWith('.png')) {
-            showToast(`Skipped "${file.name}" — only PNG files are supported`, 'warning');
+        // Only accept PNG cards and CHARX archives
+        if (!/\.(png|charx)$/i.test(file.name)) {
+            showToast(`Skipped "${file.name}" — only PNG and CHARX files are supported`, 'warning');
             continue;
         }
         // Deduplicate by name + size
@@ -17487,7 +18442,7 @@ function renderImportFileList() {
     
     importFileList.innerHTML = importLocalFiles.map((file, idx) => `
         <div class="import-file-item" data-index="${idx}">
-            <i class="fa-solid fa-file-image"></i>
+            <i class="fa-solid ${/\.charx$/i.test(file.name) ? 'fa-file-zipper' : 'fa-file-image'}"></i>
             <span class="import-file-name" title="${escapeHtml(file.name)}">${escapeHtml(file.name)}</span>
             <span class="import-file-size">${formatImportFileSize(file.size)}</span>
             <button class="import-file-remove" data-index="${idx}" title="Remove file">
@@ -18064,6 +19019,324 @@ function updateLogEntry(entry, message, status) {
     updateLogEntryStatus(entry, message, status);
 }
 
+/**
+ * Resolve one pasted line to an import item: a provider page link, or a
+ * direct card download when that setting is on
+ * @param {string} line
+ * @param {boolean} [allowDirect] - treat unrecognized links as direct downloads (default: the setting)
+ * @returns {{ displayName: string, url: string, provider?: Object, identifier?: string, directUrl?: string }|null}
+ */
+function parseImportUrlLine(line, allowDirect = getSetting('importDirectDownloads') === true) {
+    const provider = window.ProviderRegistry?.getProviderForUrl(line);
+    if (provider) {
+        const identifier = provider.parseUrl(line);
+        if (!identifier) return null;
+        const slug = String(identifier).split('/').pop() || identifier;
+        return { displayName: slug, identifier, provider, url: line };
+    }
+    if (allowDirect && /^https?:\/\//i.test(line)) {
+        // Unrecognized URL: treat as a direct card download (issue #25)
+        let displayName = line;
+        try { displayName = decodeURIComponent(new URL(line).pathname.split('/').pop() || line); } catch {}
+        return { displayName: displayName.replace(/\.png$/i, ''), directUrl: line, url: line };
+    }
+    return null;
+}
+
+/**
+ * Parse the URL box of the import modal, toasting about anything skipped
+ * @returns {Array<Object>|null} import items, or null when nothing is importable
+ */
+function collectImportUrlItems() {
+    const text = importUrlsInput.value.trim();
+    if (!text) {
+        showToast('Please enter at least one URL', 'warning');
+        return null;
+    }
+
+    const items = [];
+    let skippedDirectCandidates = 0;
+    for (const line of text.split('\n').map(l => l.trim()).filter(l => l)) {
+        const item = parseImportUrlLine(line);
+        if (item) {
+            items.push(item);
+        } else if (!window.ProviderRegistry?.getProviderForUrl(line) && /^https?:\/\//i.test(line)) {
+            skippedDirectCandidates++;
+        }
+    }
+
+    if (items.length === 0) {
+        showToast(skippedDirectCandidates > 0
+            ? `No recognized provider for ${skippedDirectCandidates === 1 ? 'that link' : 'those links'}. To import plain file links (catbox, Discord, etc.), turn on Direct Downloads in Settings > General > Imports.`
+            : 'No valid character URLs found. Make sure a provider supports the URL format.', 'error');
+        return null;
+    }
+    if (skippedDirectCandidates > 0) {
+        showToast(`${skippedDirectCandidates} unrecognized link${skippedDirectCandidates === 1 ? '' : 's'} skipped. Turn on Direct Downloads in Settings > General > Imports to import plain file links.`, 'info');
+    }
+    return items;
+}
+
+/**
+ * Read a card file and look for it in the library (name/creator/definition
+ * match plus provider path), the local-file half of "Skip duplicates"
+ * @param {File} file - PNG card
+ * @param {{ pathIndex: Map, providerIndex: Map }|null} linkIndex
+ * @returns {Promise<{ existingName: string, matchReason: string }|null>}
+ */
+async function findImportFileDuplicate(file, linkIndex) {
+    const tempBuffer = await file.arrayBuffer();
+    let cardData = extractCharacterDataFromPng(tempBuffer);
+
+    // Normalize V1 (flat) cards to V2 wrapper
+    if (cardData && !cardData.data && cardData.name) {
+        cardData = { spec: 'chara_card_v2', data: cardData };
+    }
+    if (!cardData?.data) return null;
+
+    // Check all providers for path-based dedup
+    let providerFullPath = null;
+    const allProviders = window.ProviderRegistry?.getAllProviders() || [];
+    for (const provider of allProviders) {
+        const linkInfo = provider.getLinkInfo({ data: cardData.data });
+        if (linkInfo?.fullPath) { providerFullPath = linkInfo.fullPath; break; }
+    }
+
+    const duplicateMatches = checkCharacterForDuplicates({
+        name: cardData.data.name || file.name.replace(/\.png$/i, ''),
+        creator: cardData.data.creator || '',
+        fullPath: providerFullPath,
+        definition: {
+            description: cardData.data.description || '',
+            personality: cardData.data.personality || '',
+            first_mes: cardData.data.first_mes || '',
+            scenario: cardData.data.scenario || ''
+        }
+    }, linkIndex);
+    if (duplicateMatches.length === 0) return null;
+
+    const bestMatch = duplicateMatches[0];
+    return { existingName: getCharField(bestMatch.char, 'name'), matchReason: bestMatch.matchReason };
+}
+
+/**
+ * Work out where an imported card's media goes and which download phases
+ * apply, given the import modal's gallery/media checkboxes
+ * @param {Object} result - provider / local import result
+ * @param {Object|null} provider - provider the card was imported from, if any
+ * @param {{ autoDownloadGallery: boolean, autoDownloadMedia: boolean }} options
+ * @returns {{ folderName: string, phases: string[], galleryProvider: Object|null, galleryLinkInfo: Object|null }}
+ */
+function planImportMedia(result, provider, { autoDownloadGallery, autoDownloadMedia }) {
+    // Determine folder name for media downloads
+    let folderName;
+    if (result.galleryId) {
+        const safeName = result.characterName.replace(/[<>:"/\\|?*]/g, '_').trim();
+        folderName = `${safeName}_${result.galleryId}`;
+        debugLog('[Import] Using unique gallery folder:', folderName);
+    } else {
+        folderName = resolveGalleryFolderName(result.fileName || result.characterName);
+        debugLog('[Import] Using name-based folder:', folderName);
+    }
+
+    let galleryProvider = null;
+    let galleryLinkInfo = null;
+    if (provider) {
+        galleryProvider = provider;
+        galleryLinkInfo = { id: result.providerCharId, fullPath: result.fullPath };
+    } else if (result.linkedProvider) {
+        galleryProvider = window.ProviderRegistry?.getProvider(result.linkedProvider) || null;
+        galleryLinkInfo = { id: result.providerCharId, fullPath: result.fullPath };
+    }
+
+    const phases = [];
+    if (autoDownloadMedia) {
+        if (result.embeddedMediaUrls?.length > 0) phases.push('embedded');
+        if (result.lorebookMediaUrls?.length > 0) phases.push('lorebook');
+        if (getSetting('includeExternalGalleries') !== false && result.galleryPageUrls?.length > 0) phases.push('extGallery');
+    }
+    if (autoDownloadGallery && result.hasGallery && galleryProvider?.supportsGallery && galleryLinkInfo) {
+        phases.push('providerGallery');
+    }
+
+    return { folderName, phases, galleryProvider, galleryLinkInfo };
+}
+
+/**
+ * Hand an imported card's planned media phases to the background media queue
+ * @param {Object} result - import result
+ * @param {Object} plan - planImportMedia() output
+ * @returns {boolean} whether a job was queued
+ */
+function enqueueImportMedia(result, plan) {
+    return !!window.enqueueMediaDownloadJob?.({
+        avatar: result.fileName,
+        name: result.characterName,
+        folderName: plan.folderName,
+        phases: plan.phases,
+        embeddedUrls: result.embeddedMediaUrls || [],
+        lorebookUrls: result.lorebookMediaUrls || [],
+        galleryPageUrls: result.galleryPageUrls || [],
+        providerOverride: plan.galleryProvider ? { provider: plan.galleryProvider, linkInfo: plan.galleryLinkInfo } : undefined,
+        pseudoChar: { avatar: result.fileName, name: result.characterName, data: result.cardData || { extensions: {} }, _slim: false },
+    });
+}
+
+/**
+ * Bring the library (and ST's own character list) up to date after imports
+ * @param {string[]} importedFileNames - file_name of each imported card
+ */
+async function refreshLibraryAfterImport(importedFileNames) {
+    // Try lightweight incremental adds for small batches (avoids OOM on mobile).
+    // For large batches fall back to full reload - many individual fetches would be slower.
+    const INCREMENTAL_THRESHOLD = 10;
+    let incrementalDone = false;
+
+    if (importedFileNames.length > 0 && importedFileNames.length <= INCREMENTAL_THRESHOLD) {
+        let allAdded = true;
+        for (const fn of importedFileNames) {
+            const ok = await fetchAndAddCharacter(fn, { skipNotify: true });
+            if (!ok) { allAdded = false; break; }
+        }
+        incrementalDone = allAdded;
+    }
+
+    if (!incrementalDone) {
+        await fetchCharacters(true);
+    } else {
+        // Incremental adds dont touch the browse In-Library lookup; invalidate the
+        // shared base so the next Online-tab open reflects the new characters.
+        window.ProviderRegistry?.invalidateBrowseLookupBase?.();
+    }
+
+    // Also refresh the main SillyTavern window's character list (fire-and-forget)
+    try {
+        const context = getSTContext();
+        if (context && typeof context.getCharacters === 'function') {
+            debugLog('Triggering character refresh in main window...');
+            context.getCharacters().catch(e => console.warn('Main window refresh failed:', e));
+        }
+    } catch (e) {
+        console.warn('Could not refresh main window characters:', e);
+    }
+}
+
+// Link index for one-at-a-time URL imports, rebuilt when the library reloads
+// or grows. Cards imported since then are added by hand so a second link to
+// the same character is still caught before the next refresh.
+let urlImportLinkIndex = null;
+
+function getUrlImportLinkIndex() {
+    if (!urlImportLinkIndex || urlImportLinkIndex.source !== allCharacters || urlImportLinkIndex.size !== allCharacters.length) {
+        urlImportLinkIndex = { source: allCharacters, size: allCharacters.length, index: buildProviderLinkIndex() };
+    }
+    return urlImportLinkIndex.index;
+}
+
+/**
+ * Import a single character URL without the modal (the background import
+ * queue). Runs the same duplicate check; media goes to the background media
+ * queue since nobody is around to answer a download prompt.
+ * @param {string} url - provider page URL, or a direct card link when enabled
+ * @param {Object} [options]
+ * @param {boolean} [options.skipDuplicates=true]
+ * @param {boolean} [options.autoDownloadGallery=false]
+ * @param {boolean} [options.autoDownloadMedia=false]
+ * @param {boolean} [options.allowDirect] - import unrecognized links as direct downloads (default: the setting)
+ * @param {AbortSignal} [options.signal] - cancels a direct download
+ * @returns {Promise<{ status: 'imported'|'skipped'|'failed'|'deferred', message: string, displayName: string,
+ *   providerId?: string, fileName?: string, retryAt?: number|null }>} deferred = the provider's
+ *   circuit breaker is open; try again after retryAt
+ */
+async function importCharacterFromUrl(url, options = {}) {
+    const { skipDuplicates = true, autoDownloadGallery = false, autoDownloadMedia = false, allowDirect, signal } = options;
+    const item = parseImportUrlLine(String(url || '').trim(), allowDirect ?? getSetting('importDirectDownloads') === true);
+    if (!item) {
+        return { status: 'failed', displayName: url, message: 'No provider recognizes this URL' };
+    }
+    const { displayName, provider } = item;
+    const providerId = provider?.id;
+
+    const unavailable = () => {
+        const health = provider ? window.ProviderRegistry?.getProviderHealth?.(provider) : null;
+        return health?.state === 'open'
+            ? { status: 'deferred', displayName, providerId, message: `${provider.name} is unavailable`, retryAt: health.retryAt }
+            : null;
+    };
+    const blocked = unavailable();
+    if (blocked) return blocked;
+
+    try {
+        const linkIndex = skipDuplicates ? getUrlImportLinkIndex() : null;
+        const providerKey = provider ? `${provider.id}:${String(item.identifier).toLowerCase()}` : null;
+        if (linkIndex && providerKey) {
+            const existing = linkIndex.providerIndex.get(providerKey);
+            if (existing) {
+                return { status: 'skipped', displayName, providerId, message: `Already in library as "${getCharField(existing, 'name')}"` };
+            }
+        }
+
+        let file = null;
+        if (item.directUrl) {
+            file = await fetchDirectImportFile(item.directUrl, signal);
+            const duplicate = linkIndex ? await findImportFileDuplicate(file, linkIndex) : null;
+            if (duplicate) {
+                return { status: 'skipped', displayName, message: `Already in library as "${duplicate.existingName}" (${duplicate.matchReason})` };
+            }
+        }
+
+        const result = provider
+            ? await provider.importCharacter(item.identifier)
+            : await importLocalCharacter(file);
+        if (!result.success) {
+            // A failure that tripped the breaker is the provider, not the card
+            return unavailable() || { status: 'failed', displayName, providerId, message: result.error || 'Import failed' };
+        }
+
+        if (linkIndex && providerKey) {
+            linkIndex.providerIndex.set(providerKey, { avatar: result.fileName, name: result.characterName });
+        }
+
+        const plan = planImportMedia(result, provider, { autoDownloadGallery, autoDownloadMedia });
+        const mediaQueued = plan.phases.length > 0 && enqueueImportMedia(result, plan);
+        return {
+            status: 'imported',
+            displayName: result.characterName || displayName,
+            providerId,
+            fileName: result.fileName,
+            message: mediaQueued ? 'Imported, media queued' : 'Imported',
+        };
+    } catch (e) {
+        return { status: 'failed', displayName, providerId, message: e?.message || String(e) };
+    }
+}
+
+// Hand the pasted URLs to the persistent background import queue
+queueImportBtn?.addEventListener('click', () => {
+    if (isImporting) return;
+    const importItems = collectImportUrlItems();
+    if (!importItems) return;
+
+    const added = window.enqueueCharacterImports?.(
+        importItems.map(item => ({ url: item.url, label: item.displayName })),
+        {
+            skipDuplicates: document.getElementById('importSkipDuplicates')?.checked ?? true,
+            autoDownloadGallery: importAutoDownloadGallery?.checked ?? false,
+            autoDownloadMedia: importAutoDownloadMedia?.checked ?? false,
+        }
+    );
+    if (added == null) {
+        showToast('Import queue is not available', 'error');
+        return;
+    }
+    importModal.classList.remove('visible');
+    if (added > 0) {
+        showToast(`Queued ${added} import${added === 1 ? '' : 's'}. Track them from the notifications bell; the queue resumes after a reload.`, 'success');
+    } else {
+        showToast('Those links are already in the import queue', 'info');
+    }
+});
+
 // Start import process
 startImportBtn?.addEventListener('click', async () => {
     // If in "Done" / "Cancelled" state, just close the modal
@@ -18082,53 +19355,17 @@ startImportBtn?.addEventListener('click', async () => {
     let importItems = []; // Array of { displayName, identifier?, provider?, file? }
     
     if (importSourceMode === 'url') {
-        const text = importUrlsInput.value.trim();
-        if (!text) {
-            showToast('Please enter at least one URL', 'warning');
-            return;
-        }
-        
-        // Parse URLs through provider registry
-        const lines = text.split('\n').map(l => l.trim()).filter(l => l);
-        const directDownloadEnabled = getSetting('importDirectDownloads') === true;
-        let skippedDirectCandidates = 0;
-
-        for (const line of lines) {
-            const provider = window.ProviderRegistry?.getProviderForUrl(line);
-            if (provider) {
-                const identifier = provider.parseUrl(line);
-                if (identifier) {
-                    const slug = String(identifier).split('/').pop() || identifier;
-                    importItems.push({ displayName: slug, identifier, provider, url: line });
-                }
-            } else if (directDownloadEnabled && /^https?:\/\//i.test(line)) {
-                // Unrecognized URL: treat as a direct card download (issue #25)
-                let displayName = line;
-                try { displayName = decodeURIComponent(new URL(line).pathname.split('/').pop() || line); } catch {}
-                importItems.push({ displayName: displayName.replace(/\.png$/i, ''), directUrl: line });
-            } else if (/^https?:\/\//i.test(line)) {
-                skippedDirectCandidates++;
-            }
-        }
-
-        if (importItems.length === 0) {
-            showToast(skippedDirectCandidates > 0
-                ? `No recognized provider for ${skippedDirectCandidates === 1 ? 'that link' : 'those links'}. To import plain file links (catbox, Discord, etc.), turn on Direct Downloads in Settings > General > Imports.`
-                : 'No valid character URLs found. Make sure a provider supports the URL format.', 'error');
-            return;
-        }
-        if (skippedDirectCandidates > 0) {
-            showToast(`${skippedDirectCandidates} unrecognized link${skippedDirectCandidates === 1 ? '' : 's'} skipped. Turn on Direct Downloads in Settings > General > Imports to import plain file links.`, 'info');
-        }
+        importItems = collectImportUrlItems();
+        if (!importItems) return;
     } else {
         // Local PNG mode
         if (importLocalFiles.length === 0) {
-            showToast('Please select at least one PNG file', 'warning');
+            showToast('Please select at least one PNG or CHARX file', 'warning');
             return;
         }
         
         importItems = importLocalFiles.map(file => ({
-            displayName: file.name.replace(/\.png$/i, ''),
+            displayName: file.name.replace(/\.(png|charx)$/i, ''),
             file: file
         }));
     }
@@ -18152,6 +19389,7 @@ startImportBtn?.addEventListener('click', async () => {
     }
     // Disable source toggle during import
     document.querySelectorAll('.import-source-btn').forEach(btn => btn.disabled = true);
+    queueImportBtn?.classList.add('hidden');
     
     importProgress.classList.remove('hidden');
     importLog.innerHTML = '';
@@ -18228,6 +19466,24 @@ startImportBtn?.addEventListener('click', async () => {
             }
         }
 
+        // CHARX archives unpack to a PNG card first; their other assets wait for the gallery folder
+        if (item.file && /\.charx$/i.test(item.file.name)) {
+            try {
+                const unpacked = await window.unpackCharxFile?.(item.file);
+                if (!unpacked) throw new Error('CHARX support failed to load');
+                item.file = unpacked.file;
+                item.charxAssets = unpacked.assets;
+            } catch (e) {
+                errorCount++;
+                updateStats();
+                updateLogEntry(logEntry, `${displayName}: ${e.message}`, 'error');
+                const progress = ((i + 1) / importItems.length) * 100;
+                importProgressFill.style.width = `${progress}%`;
+                importProgressCount.textContent = `${i + 1}/${importItems.length}`;
+                continue;
+            }
+        }
+
         // === PRE-IMPORT DUPLICATE CHECK ===
         if (skipDuplicates) {
             try {
@@ -18271,52 +19527,19 @@ startImportBtn?.addEventListener('click', async () => {
                     }
                 } else {
                     // Local mode: read PNG to extract card data for duplicate check
-                    const tempBuffer = await item.file.arrayBuffer();
-                    let cardData = extractCharacterDataFromPng(tempBuffer);
-                    
+                    const duplicate = await findImportFileDuplicate(item.file, linkIndex);
+
                     if (shouldStop()) { wasCancelled = true; break; }
-                    
-                    // Normalize V1 (flat) cards to V2 wrapper
-                    if (cardData && !cardData.data && cardData.name) {
-                        cardData = { spec: 'chara_card_v2', data: cardData };
-                    }
-                    
-                    if (cardData && cardData.data) {
-                        const characterName = cardData.data.name || displayName;
-                        const characterCreator = cardData.data.creator || '';
-                        
-                        // Check all providers for path-based dedup
-                        let providerFullPath = null;
-                        const allProviders = window.ProviderRegistry?.getAllProviders() || [];
-                        for (const provider of allProviders) {
-                            const linkInfo = provider.getLinkInfo({ data: cardData.data });
-                            if (linkInfo?.fullPath) { providerFullPath = linkInfo.fullPath; break; }
-                        }
-                        
-                        const duplicateMatches = checkCharacterForDuplicates({
-                            name: characterName,
-                            creator: characterCreator,
-                            fullPath: providerFullPath,
-                            definition: {
-                                description: cardData.data.description || '',
-                                personality: cardData.data.personality || '',
-                                first_mes: cardData.data.first_mes || '',
-                                scenario: cardData.data.scenario || ''
-                            }
-                        }, linkIndex);
-                        
-                        if (duplicateMatches.length > 0) {
-                            const bestMatch = duplicateMatches[0];
-                            const existingName = getCharField(bestMatch.char, 'name');
-                            skippedCount++;
-                            updateStats();
-                            updateLogEntry(logEntry, `${displayName} skipped - already exists as "${existingName}" (${bestMatch.matchReason})`, 'info');
-                            
-                            const progress = ((i + 1) / importItems.length) * 100;
-                            importProgressFill.style.width = `${progress}%`;
-                            importProgressCount.textContent = `${i + 1}/${importItems.length}`;
-                            continue;
-                        }
+
+                    if (duplicate) {
+                        skippedCount++;
+                        updateStats();
+                        updateLogEntry(logEntry, `${displayName} skipped - already exists as "${duplicate.existingName}" (${duplicate.matchReason})`, 'info');
+
+                        const progress = ((i + 1) / importItems.length) * 100;
+                        importProgressFill.style.width = `${progress}%`;
+                        importProgressCount.textContent = `${i + 1}/${importItems.length}`;
+                        continue;
                     }
                 }
             } catch (e) {
@@ -18359,52 +19582,25 @@ startImportBtn?.addEventListener('click', async () => {
             updateStats();
             updateLogEntry(logEntry, `${displayName} imported successfully`, 'success');
             
-            // Determine folder name for media downloads
-            let folderName;
-            if (result.galleryId) {
-                const safeName = result.characterName.replace(/[<>:"/\\|?*]/g, '_').trim();
-                folderName = `${safeName}_${result.galleryId}`;
-                debugLog('[Import] Using unique gallery folder:', folderName);
-            } else {
-                folderName = resolveGalleryFolderName(result.fileName || result.characterName);
-                debugLog('[Import] Using name-based folder:', folderName);
+            const mediaPlan = planImportMedia(result, item.provider, { autoDownloadGallery, autoDownloadMedia });
+            const { folderName, phases: importPhases, galleryProvider, galleryLinkInfo } = mediaPlan;
+
+            // Assets bundled in a CHARX archive land in the gallery before any downloads
+            if (item.charxAssets?.length > 0) {
+                const assetLog = addImportLogEntry(`  ↳ CHARX Assets: saving ${item.charxAssets.length} file(s)...`, 'pending');
+                const assetResult = await window.uploadCharxAssets(item.charxAssets, folderName, { shouldAbort: shouldStop });
+                item.charxAssets = null;
+                mediaDownloadCount += assetResult?.success || 0;
+                updateStats();
+                updateLogEntry(assetLog, `  ↳ CHARX Assets: ${assetResult?.success || 0} saved, ${assetResult?.errors || 0} failed`,
+                    assetResult?.errors ? 'warning' : 'success');
             }
             
             // Auto-download media via unified pipeline
-            let galleryProvider = null;
-            let galleryLinkInfo = null;
-            if (item.provider) {
-                galleryProvider = item.provider;
-                galleryLinkInfo = { id: result.providerCharId, fullPath: result.fullPath };
-            } else if (result.linkedProvider) {
-                galleryProvider = window.ProviderRegistry?.getProvider(result.linkedProvider) || null;
-                galleryLinkInfo = { id: result.providerCharId, fullPath: result.fullPath };
-            }
-
-            const importPhases = [];
-            if (autoDownloadMedia) {
-                if (result.embeddedMediaUrls?.length > 0) importPhases.push('embedded');
-                if (result.lorebookMediaUrls?.length > 0) importPhases.push('lorebook');
-                if (getSetting('includeExternalGalleries') !== false && result.galleryPageUrls?.length > 0) importPhases.push('extGallery');
-            }
-            if (autoDownloadGallery && result.hasGallery && galleryProvider?.supportsGallery && galleryLinkInfo) {
-                importPhases.push('providerGallery');
-            }
-
             if (importPhases.length > 0 && getSetting('importMediaAction') === 'background') {
                 // Background mode: hand the already-computed payload to the queue
                 // and keep importing; the import itself already succeeded
-                window.enqueueMediaDownloadJob?.({
-                    avatar: result.fileName,
-                    name: result.characterName,
-                    folderName,
-                    phases: importPhases,
-                    embeddedUrls: result.embeddedMediaUrls || [],
-                    lorebookUrls: result.lorebookMediaUrls || [],
-                    galleryPageUrls: result.galleryPageUrls || [],
-                    providerOverride: galleryProvider ? { provider: galleryProvider, linkInfo: galleryLinkInfo } : undefined,
-                    pseudoChar: { avatar: result.fileName, name: result.characterName, data: result.cardData || { extensions: {} }, _slim: false },
-                });
+                enqueueImportMedia(result, mediaPlan);
                 addImportLogEntry('  ↳ Media downloads queued in background', 'info');
             } else if (importPhases.length > 0) {
                 if (shouldStop()) { wasCancelled = true; break; }
@@ -18533,38 +19729,7 @@ startImportBtn?.addEventListener('click', async () => {
         
         // Only refresh if we actually imported something
         if (successCount > 0) {
-            // Try lightweight incremental adds for small batches (avoids OOM on mobile).
-            // For large batches fall back to full reload - many individual fetches would be slower.
-            const INCREMENTAL_THRESHOLD = 10;
-            let incrementalDone = false;
-
-            if (importedFileNames.length > 0 && importedFileNames.length <= INCREMENTAL_THRESHOLD) {
-                let allAdded = true;
-                for (const fn of importedFileNames) {
-                    const ok = await fetchAndAddCharacter(fn, { skipNotify: true });
-                    if (!ok) { allAdded = false; break; }
-                }
-                incrementalDone = allAdded;
-            }
-
-            if (!incrementalDone) {
-                await fetchCharacters(true);
-            } else {
-                // Incremental adds dont touch the browse In-Library lookup; invalidate the
-                // shared base so the next Online-tab open reflects the new characters.
-                window.ProviderRegistry?.invalidateBrowseLookupBase?.();
-            }
-
-            // Also refresh the main SillyTavern window's character list (fire-and-forget)
-            try {
-                const context = getSTContext();
-                if (context && typeof context.getCharacters === 'function') {
-                    debugLog('Triggering character refresh in main window...');
-                    context.getCharacters().catch(e => console.warn('Main window refresh failed:', e));
-                }
-            } catch (e) {
-                console.warn('Could not refresh main window characters:', e);
-            }
+            await refreshLibraryAfterImport(importedFileNames);
         }
     } else if (!wasCancelled) {
         showToast(`Import failed: ${errorCount} error${errorCount > 1 ? 's' : ''}`, 'error');
@@ -19448,6 +20613,44 @@ async function unlinkFromProvider() {
     }
 }
 
+
+/**
+ * Show a provider in the Online tab and open its preview modal.
+ * @param {Object} provider
+ * @param {Object} previewObj - whatever that provider's openPreview() accepts
+ */
+function openProviderPreview(provider, previewObj) {
+    // Ensure the provider's modals exist in the DOM before switching views
+    provider.browseView?.injectModals();
+
+    // Set this provider as the target so switchView activates it
+    lastOnlineProviderId = provider.id;
+    switchView('online');
+
+    // Allow DOM to settle after view switch, then open the preview
+    requestAnimationFrame(() => {
+        provider.openPreview(previewObj);
+    });
+}
+
+/**
+ * Show a provider in the Online tab filtered to one creator's characters.
+ * @param {Object} provider
+ * @param {{id: string, name: string}} creator - as the provider's following manager lists it
+ */
+async function openProviderCreator(provider, creator) {
+    if (!provider.browseView) return;
+    provider.browseView.injectModals?.();
+    lastOnlineProviderId = provider.id;
+    switchView('online');
+
+    // switchView activates on the next frame; wait for it so the view's initial load
+    // doesn't replace the creator filter
+    await new Promise(resolve => requestAnimationFrame(resolve));
+    await onlineActivation;
+    provider.browseView.browseCreatorFromManager(creator);
+}
+
 /**
  * View character on linked provider — uses the provider's capability flags
  * to open an in-app preview or fall back to an external URL
@@ -19485,17 +20688,7 @@ async function viewOnLinkedProvider() {
             return;
         }
 
-        // Ensure the provider's modals exist in the DOM before switching views
-        provider.browseView?.injectModals();
-
-        // Set this provider as the target so switchView activates it
-        lastOnlineProviderId = provider.id;
-        switchView('online');
-
-        // Allow DOM to settle after view switch, then open the preview
-        requestAnimationFrame(() => {
-            provider.openPreview(previewObj);
-        });
+        openProviderPreview(provider, previewObj);
     } catch (error) {
         console.error(`[${provider.id}] Failed to open preview:`, error);
         showToast(`Failed to load ${provider.name} character preview`, 'error');
@@ -19835,6 +21028,7 @@ async function runBulkAutoLinkScan() {
     document.getElementById('bulkAutoLinkUncertainCount').textContent = bulkAutoLinkResults.uncertain.length;
     document.getElementById('bulkAutoLinkNoMatchCount').textContent = bulkAutoLinkResults.nomatch.length;
     
+    let deferredCount = 0;
     for (let i = 0; i < charsToScan.length; i++) {
         if (bulkAutoLinkAborted) break;
         
@@ -19843,26 +21037,44 @@ async function runBulkAutoLinkScan() {
         const charCreator = String(char.creator || char.data?.creator || '').trim();
         
         const currentProgress = alreadyScanned + i + 1;
+
+        // Providers whose circuit breaker is open are skipped; if that's all of them, pause the scan
+        const available = providers.filter(p => registry.getProviderHealth?.(p).state !== 'open');
+        if (available.length === 0) {
+            bulkAutoLinkAborted = true;
+            showToast('All providers are failing repeatedly. Scan paused; resume once they recover.', 'warning');
+            break;
+        }
+        const skippedNames = providers.filter(p => !available.includes(p)).map(p => p.name);
         
         // Update UI
         document.getElementById('bulkAutoLinkScanAvatar').src = getCharacterAvatarStThumbUrl(char.avatar);
         document.getElementById('bulkAutoLinkScanName').textContent = charName;
-        document.getElementById('bulkAutoLinkScanStatus').textContent = `Searching ${providers.length} providers for "${charName}"...`;
+        document.getElementById('bulkAutoLinkScanStatus').textContent = `Searching ${available.length} providers for "${charName}"...`
+            + (skippedNames.length ? ` (${skippedNames.join(', ')} unavailable)` : '');
         document.getElementById('bulkAutoLinkScanProgress').textContent = `${currentProgress}/${total}`;
         document.getElementById('bulkAutoLinkScanFill').style.width = `${(currentProgress / total) * 100}%`;
         
         // Search ALL providers in parallel, tag results with providerId
-        const providerPromises = providers.map(async (prov) => {
+        let unavailableHit = skippedNames.length > 0;
+        const providerPromises = available.map(async (prov) => {
             try {
                 const results = await prov.searchForBulkLink(charName, charCreator);
                 return results.map(r => ({ ...r, providerId: prov.id }));
             } catch (e) {
+                if (e?.code === 'PROVIDER_UNAVAILABLE') unavailableHit = true;
                 debugLog(`[bulkAutoLink] ${prov.name} search failed for "${charName}":`, e.message);
                 return [];
             }
         });
         const allProviderResults = await Promise.all(providerPromises);
         const searchResults = allProviderResults.flat();
+
+        // Not a real "no match" when a provider couldn't be asked: leave it for Resume
+        if (searchResults.length === 0 && unavailableHit) {
+            deferredCount++;
+            continue;
+        }
         
         // Mark this character as scanned
         bulkAutoLinkScanState.scannedAvatars.add(char.avatar);
@@ -19910,6 +21122,9 @@ async function runBulkAutoLinkScan() {
     }
     
     bulkAutoLinkIsScanning = false;
+
+    // Characters deferred by an unavailable provider make this a stopped scan, so Resume is offered
+    if (deferredCount > 0) bulkAutoLinkAborted = true;
     
     // Mark scan as complete only if we weren't aborted
     if (!bulkAutoLinkAborted) {
@@ -20616,6 +21831,8 @@ async function applyBulkAutoLinks() {
 window.openBulkAutoLinkModal = openBulkAutoLinkModal;
 document.getElementById('bulkAutoLinkBtn')?.addEventListener('click', openBulkAutoLinkModal);
 document.getElementById('recommenderBtn')?.addEventListener('click', () => window.openRecommender?.());
+document.getElementById('libraryStatsBtn')?.addEventListener('click', () => window.openLibraryStats?.());
+document.getElementById('creatorProfilesBtn')?.addEventListener('click', () => window.openCreatorProfiles?.());
 document.getElementById('creatorBtn')?.addEventListener('click', () => window.openCharacterCreator?.());
 document.getElementById('lorebooksBtn')?.addEventListener('click', () => window.openLorebookManager?.());
 document.getElementById('closeBulkAutoLinkModal')?.addEventListener('click', () => {
@@ -20896,12 +22113,14 @@ async function validateFileByHead(localPath) {
 
 /**
  * Build shared dedup state for a gallery folder. Call once per character, pass to all download phases.
+ * With perceptualDedup on, hash map entries for images also carry a `phash` for near-duplicate checks.
  * @param {string} folderName
- * @returns {Promise<{fileNameIndex: Map|null, hashMap: Map|null, ensureHashMap: function, useFastSkip: boolean, validateHeaders: boolean}>}
+ * @returns {Promise<{fileNameIndex: Map|null, hashMap: Map|null, ensureHashMap: function, useFastSkip: boolean, validateHeaders: boolean, usePerceptual: boolean}>}
  */
 async function buildDedupState(folderName) {
     const useFastSkip = getSetting('fastFilenameSkip') || false;
     const validateHeaders = useFastSkip && (getSetting('fastSkipValidateHeaders') || false);
+    const usePerceptual = getSetting('perceptualDedup') === true;
 
     let fileNameIndex = null;
     let hashMap = null;
@@ -20910,19 +22129,19 @@ async function buildDedupState(folderName) {
         fileNameIndex = await getExistingFileIndex(folderName);
         debugLog(`[DedupState] Fast skip: ${fileNameIndex.size} indexed files for ${folderName}`);
     } else {
-        hashMap = await getExistingFileHashes(folderName);
+        hashMap = await getExistingFileHashes(folderName, { perceptual: usePerceptual });
         debugLog(`[DedupState] Hash map: ${hashMap.size} entries for ${folderName}`);
     }
 
     async function ensureHashMap() {
         if (!hashMap) {
-            hashMap = await getExistingFileHashes(folderName);
+            hashMap = await getExistingFileHashes(folderName, { perceptual: usePerceptual });
             debugLog(`[DedupState] Lazy hash map built: ${hashMap.size} entries for ${folderName}`);
         }
         return hashMap;
     }
 
-    return { fileNameIndex, hashMap, ensureHashMap, useFastSkip, validateHeaders };
+    return { fileNameIndex, hashMap, ensureHashMap, useFastSkip, validateHeaders, usePerceptual };
 }
 
 /**
@@ -21115,6 +22334,21 @@ async function downloadEmbeddedMediaForCharacter(folderName, mediaUrls, options
             continue;
         }
         
+        // Near-duplicate check for gallery-style downloads only: localized_/lorebook_media files
+        // must exist under their URL-derived names for text localization, so they always save.
+        let phash = null;
+        if (dedup.usePerceptual && prefix === 'extgallery' && /^image\//.test(downloadResult.detectedType || downloadResult.contentType || '')) {
+            phash = await calculatePerceptualHash(downloadResult.arrayBuffer);
+            const similarFile = phash ? findPerceptualMatch(hashMap, phash) : null;
+            if (similarFile) {
+                skippedCount++;
+                downloadResult = null;
+                if (onLogUpdate && logEntry) onLogUpdate(logEntry, `Skipped (similar to ${similarFile.fileName}): ${displayUrl}`, 'success');
+                if (onProgress) onProgress(i + 1, mediaUrls.length);
+                continue;
+            }
+        }
+
         // Not a duplicate, save the file
         if (onLogUpdate && logEntry) onLogUpdate(logEntry, `Saving ${displayUrl}...`, 'pending');
         const result = await saveMediaFromMemory(downloadResult, url, folderName, fileIndex, prefix);
@@ -21123,7 +22357,7 @@ async function downloadEmbeddedMediaForCharacter(folderName, mediaUrls, options
         if (result.success) {
             successCount++;
             // Add to hash map to avoid downloading same file twice in this session
-            hashMap.set(contentHash, { fileName: result.filename, localPath: result.localPath });
+            hashMap.set(contentHash, { fileName: result.filename, localPath: result.localPath, phash });
             // Update filename index for cross-phase fast-skip
             if (fileNameIndex) {
                 const savedSanitized = extractSanitizedUrlName(url);
@@ -21330,9 +22564,12 @@ function findCharacterMediaUrls(character, { split = false } = {}) {
 
 /**
  * Get hashes of all existing files in a character's gallery
- * @returns {Promise<Map<string, {fileName: string, localPath: string}>>} Map of hash -> file info
+ * @param {string} characterName - Gallery folder name
+ * @param {Object} [options]
+ * @param {boolean} [options.perceptual=false] - Also compute a perceptual hash (`phash`) for images
+ * @returns {Promise<Map<string, {fileName: string, localPath: string, phash?: string|null}>>} Map of hash -> file info
  */
-async function getExistingFileHashes(characterName) {
+async function getExistingFileHashes(characterName, options = {}) {
     const hashMap = new Map();
     
     try {
@@ -21368,8 +22605,10 @@ async function getExistingFileHashes(characterName) {
                 if (fileResponse.ok) {
                     let buffer = await fileResponse.arrayBuffer();
                     const hash = await calculateHash(buffer);
+                    const phash = options.perceptual && PHASH_IMAGE_EXT_RE.test(fileName)
+                        ? await calculatePerceptualHash(buffer) : null;
                     buffer = null; // Release immediately — critical for mobile memory
-                    hashMap.set(hash, { fileName, localPath });
+                    hashMap.set(hash, { fileName, localPath, phash });
                 }
             } catch (e) {
                 console.warn(`[Localize] Could not hash existing file: ${fileName}`);
@@ -22318,6 +23557,15 @@ function closeLocalizeModalHandler() {
 closeLocalizeModal?.addEventListener('click', closeLocalizeModalHandler);
 closeLocalizeBtn?.addEventListener('click', closeLocalizeModalHandler);
 
+// Similar Images button: near-duplicate review for the open character's gallery
+document.getElementById('similarImagesBtn')?.addEventListener('click', () => {
+    if (!activeChar) {
+        showToast('No character selected', 'error');
+        return;
+    }
+    window.openSimilarImagesReview?.(activeChar);
+});
+
 // Localize Media button click handler (embedded media + linked provider gallery)
 localizeMediaBtn?.addEventListener('click', async () => {
     if (!activeChar) {
@@ -23651,6 +24899,106 @@ async function calculateHash(arrayBuffer) {
     return simpleHash(arrayBuffer);
 }
 
+// Perceptual hashing (dHash). calculateHash only matches byte-identical files; a
+// resized or re-encoded copy of the same picture (Chub vs Catbox, PNG vs WebP)
+// keeps nearly the same dHash, so a small Hamming distance flags it as a duplicate.
+const PHASH_IMAGE_EXT_RE = /\.(png|jpe?g|webp|gif|bmp)$/i;
+const PHASH_GRID_W = 9;
+const PHASH_GRID_H = 8;
+const PHASH_SAMPLE = 8; // canvas pixels averaged per grid cell, smooths out resampling noise
+const PHASH_MATCH_DISTANCE = 6; // of 64 bits
+
+/**
+ * Compute a 64-bit difference hash for an image: the picture is reduced to a 9x8
+ * grayscale grid and each bit records whether a cell is brighter than its right neighbour.
+ * @param {ArrayBuffer} arrayBuffer - Image bytes
+ * @returns {Promise<string|null>} 16-char hex hash, or null if the data doesn't decode as an image
+ */
+async function calculatePerceptualHash(arrayBuffer) {
+    let bitmap = null;
+    try {
+        bitmap = await createImageBitmap(new Blob([arrayBuffer]));
+        const w = PHASH_GRID_W * PHASH_SAMPLE;
+        const h = PHASH_GRID_H * PHASH_SAMPLE;
+        const canvas = document.createElement('canvas');
+        canvas.width = w;
+        canvas.height = h;
+        const ctx = canvas.getContext('2d', { willReadFrequently: true });
+        ctx.imageSmoothingQuality = 'high';
+        // Flatten transparency onto white so alpha-only differences don't flip bits
+        ctx.fillStyle = '#fff';
+        ctx.fillRect(0, 0, w, h);
+        ctx.drawImage(bitmap, 0, 0, w, h);
+        const px = ctx.getImageData(0, 0, w, h).data;
+
+        const cells = new Float32Array(PHASH_GRID_W * PHASH_GRID_H);
+        for (let y = 0; y < h; y++) {
+            for (let x = 0; x < w; x++) {
+                const o = (y * w + x) * 4;
+                const cell = Math.floor(y / PHASH_SAMPLE) * PHASH_GRID_W + Math.floor(x / PHASH_SAMPLE);
+                cells[cell] += 0.299 * px[o] + 0.587 * px[o + 1] + 0.114 * px[o + 2];
+            }
+        }
+
+        let hex = '';
+        for (let row = 0; row < PHASH_GRID_H; row++) {
+            let byte = 0;
+            for (let col = 0; col < PHASH_GRID_W - 1; col++) {
+                const i = row * PHASH_GRID_W + col;
+                byte = (byte << 1) | (cells[i] > cells[i + 1] ? 1 : 0);
+            }
+            hex += byte.toString(16).padStart(2, '0');
+        }
+        canvas.width = 0;
+        canvas.height = 0;
+        return hex;
+    } catch (e) {
+        debugLog('[Duplicates] Perceptual hash failed:', e?.message || e);
+        return null;
+    } finally {
+        bitmap?.close?.();
+    }
+}
+
+/**
+ * Hamming distance between two perceptual hashes (0 = same picture, 64 = opposite)
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function perceptualHashDistance(a, b) {
+    if (!a || !b || a.length !== b.length) return Infinity;
+    let dist = 0;
+    for (let i = 0; i < a.length; i += 8) {
+        let x = (parseInt(a.slice(i, i + 8), 16) ^ parseInt(b.slice(i, i + 8), 16)) >>> 0;
+        while (x) {
+            x &= x - 1;
+            dist++;
+        }
+    }
+    return dist;
+}
+
+/**
+ * Find an existing file that looks like the same picture.
+ * @param {Map<string, {fileName: string, phash?: string|null}>} hashMap - From getExistingFileHashes
+ * @param {string} phash
+ * @param {number} [maxDistance=PHASH_MATCH_DISTANCE]
+ * @returns {{fileName: string, localPath?: string, distance: number}|null} Closest match within range
+ */
+function findPerceptualMatch(hashMap, phash, maxDistance = PHASH_MATCH_DISTANCE) {
+    if (!phash || !hashMap) return null;
+    let best = null;
+    for (const entry of hashMap.values()) {
+        if (!entry?.phash) continue;
+        const distance = perceptualHashDistance(phash, entry.phash);
+        if (distance <= maxDistance && (!best || distance < best.distance)) {
+            best = { ...entry, distance };
+        }
+    }
+    return best;
+}
+
 // ========================================
 // CHARACTER DUPLICATE DETECTION SYSTEM
 // ========================================
@@ -27743,6 +29091,8 @@ window.replaceMediaUrlsInText = replaceMediaUrlsInText;
 window.getGalleryThumbUrl = getGalleryThumbUrl;
 window.createThumbLoader = createThumbLoader;
 window.getCharacterGalleryInfo = getCharacterGalleryInfo;
+window.cleanupThumbCache = cleanupThumbCache;
+window.refreshCharacterGallery = refreshCharacterGallery;
 window.getCharacterGalleryId = getCharacterGalleryId;
 window.getExistingImageFolders = getExistingImageFolders;
 window.deleteCharacter = deleteCharacter;
@@ -27768,6 +29118,11 @@ window.queueImportMediaJobs = queueImportMediaJobs;
 // View Management
 window.switchView = switchView;
 window.getCurrentView = getCurrentView;
+window.openProviderPreview = openProviderPreview;
+window.openProviderCreator = openProviderCreator;
+window.importCharacterUrls = importCharacterUrls;
+window.importCharacterFromUrl = importCharacterFromUrl;
+window.refreshLibraryAfterImport = refreshLibraryAfterImport;
 window.onViewEnter = onViewEnter;
 window.onViewExit = onViewExit;
 
@@ -27788,12 +29143,18 @@ window.formatRichText = formatRichText;
 window.loadCharInMain = loadCharInMain;
 window.debugLog = debugLog;
 window.performSearch = performSearch;
+window.applySearchQuery = applySearchQuery;
+window.filterLocalByCreator = filterLocalByCreator;
+window.getTagFrequencies = getTagFrequencies;
 window.toggleFavoritesFilter = toggleFavoritesFilter;
 window.toggleCharacterFavorite = toggleCharacterFavorite;
 window.updateCharacterCardFavoriteStatus = updateCharacterCardFavoriteStatus;
 window.toggleAdvFilterPanel = toggleAdvFilterPanel;
 window.closeAdvFilterPanel = closeAdvFilterPanel;
 window.evaluateChatAdvancedFilters = evaluateChatAdvancedFilters;
+window.matchesSmartPlaylistRules = matchesSmartPlaylistRules;
+window.getCurrentSmartPlaylistDefinition = getCurrentSmartPlaylistDefinition;
+window.loadSmartPlaylistIntoFilters = loadSmartPlaylistIntoFilters;
 window.resetChatFilterCaches = resetChatFilterCaches;
 window.getAdvFilterRulesForChats = getAdvFilterRulesForChats;
 window.refreshPlaylistFilterIfActive = refreshPlaylistFilterIfActive;
@@ -27839,6 +29200,9 @@ window.collectCardTextChunks = collectCardTextChunks;
 window.downloadMediaToMemory = downloadMediaToMemory;
 window.isUrlSafeForDownload = isUrlSafeForDownload;
 window.calculateHash = calculateHash;
+window.calculatePerceptualHash = calculatePerceptualHash;
+window.perceptualHashDistance = perceptualHashDistance;
+window.findPerceptualMatch = findPerceptualMatch;
 window.getExistingFileHashes = getExistingFileHashes;
 window.getExistingFileIndex = getExistingFileIndex;
 window.extractSanitizedUrlName = extractSanitizedUrlName;
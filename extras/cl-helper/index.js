@@ -2,12 +2,14 @@
 //
 // Provides server-side request proxying for providers that require
 // custom headers (like Origin) that browsers forbid setting.
-// Also provides gallery thumbnail generation via ST's bundled jimp.
+// Also provides gallery thumbnail generation via ST's bundled jimp, a
+// read-only catalog of card files kept in a local folder or network share,
+// and an inbox for URLs sent from a bookmarklet or the Android share sheet.
 
-import { randomUUID } from 'node:crypto';
-import { join, resolve, sep, dirname } from 'node:path';
+import { randomUUID, createHash } from 'node:crypto';
+import { join, resolve, sep, dirname, relative, basename, extname, isAbsolute } from 'node:path';
 import { existsSync, mkdirSync, readdirSync, rmSync, readFileSync, lstatSync, realpathSync } from 'node:fs';
-import { stat, lstat, readFile, writeFile, rename, unlink, readdir, open } from 'node:fs/promises';
+import { stat, lstat, readFile, writeFile, rename, unlink, readdir, open, realpath } from 'node:fs/promises';
 import { fileURLToPath, pathToFileURL } from 'node:url';
 import * as zlib from 'node:zlib';
 import { promisify } from 'node:util';
@@ -544,6 +546,44 @@ async function runAvatarPopulateJob(size, files, charactersDir, avatarThumbDir)
     console.log(`[cl-helper] Avatar thumb populate done: ${_populateJob.generated} new, ${_populateJob.skipped} cached, ${_populateJob.failed} failed (size ${size})`);
 }
 
+// =============================================================================
+// Library stats: gallery disk usage
+// =============================================================================
+
+function registerStatsRoutes(router) {
+    // Bytes + file count per top-level gallery folder. Listing one folder at a
+    // time keeps big libraries from opening thousands of handles at once.
+    router.get('/gallery-usage', async (req, res) => {
+        const imagesDir = imagesDirForReq(req);
+        if (!imagesDir || !existsSync(imagesDir)) {
+            return res.json({ available: false, folders: {} });
+        }
+        try {
+            const folders = {};
+            for (const entry of await readdir(imagesDir, { withFileTypes: true })) {
+                if (!entry.isDirectory()) continue;
+                const folderPath = join(imagesDir, entry.name);
+                let bytes = 0;
+                let count = 0;
+                try {
+                    for (const file of await readdir(folderPath, { withFileTypes: true })) {
+                        if (!file.isFile()) continue;
+                        try {
+                            bytes += (await stat(join(folderPath, file.name))).size;
+                            count++;
+                        } catch { /* skip */ }
+                    }
+                } catch { continue; }
+                folders[entry.name] = { bytes, count };
+            }
+            res.json({ available: true, folders });
+        } catch (err) {
+            console.error('[cl-helper] Gallery usage error:', err.message);
+            res.status(500).json({ error: 'Usage scan failed' });
+        }
+    });
+}
+
 // =============================================================================
 // Pygmalion: login proxy
 // =============================================================================
@@ -1819,6 +1859,635 @@ function registerDropboxRoutes(router) {
     });
 }
 
+// =============================================================================
+// Local library: read-only catalog of card files under a shared folder
+// =============================================================================
+//
+// Indexes PNG / JSON / CHARX cards under an admin-configured root (a local
+// directory or a mounted network share). Entries are keyed by their
+// root-relative POSIX path and cached on mtime+size, so re-indexing a large
+// share only re-parses files that changed. The root persists in
+// local-library.json beside the plugin; /self-update never touches it.
+// Symlinks are skipped, and every file's real path must sit under the real
+// root, so a symlinked directory can't lead outside it.
+
+const LOCAL_LIB_CONFIG_FILE = join(__dirname, 'local-library.json');
+const LOCAL_LIB_CARD_EXTENSIONS = /\.(png|json|charx)$/i;
+const LOCAL_LIB_MAX_FILES = 20000;
+const LOCAL_LIB_MAX_DEPTH = 12;
+const LOCAL_LIB_MAX_FILE_BYTES = 64 * 1024 * 1024;
+const LOCAL_LIB_MAX_ZIP_ENTRY_BYTES = 32 * 1024 * 1024;
+// Image beside a JSON card (same base name) doubles as its avatar
+const LOCAL_LIB_SIBLING_IMAGES = ['.png', '.webp', '.jpg', '.jpeg'];
+const LOCAL_LIB_IMAGE_TYPES = { '.png': 'image/png', '.webp': 'image/webp', '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.gif': 'image/gif' };
+
+let _localLibRoot = null;
+const _localLibCache = new Map();   // relPath -> summary entry, or { skip: true, mtime, size }
+let _localLibIndexedAt = 0;
+let _localLibTruncated = false;
+let _localLibIndexing = null;       // in-flight walk, shared by concurrent /index calls
+
+function loadLocalLibConfig() {
+    try {
+        const cfg = JSON.parse(readFileSync(LOCAL_LIB_CONFIG_FILE, 'utf-8'));
+        if (typeof cfg?.root === 'string' && cfg.root && existsSync(cfg.root)) {
+            _localLibRoot = realpathSync(cfg.root);
+        }
+    } catch { /* not configured */ }
+}
+
+/** Collect tEXt/iTXt chunks of a PNG as { keyword: text }. */
+function readPngTextChunks(buf) {
+    const out = {};
+    if (buf.length < 8 || buf.readUInt32BE(0) !== 0x89504E47) return out;
+    let pos = 8;
+    while (pos + 12 <= buf.length) {
+        const len = buf.readUInt32BE(pos);
+        const type = buf.toString('latin1', pos + 4, pos + 8);
+        const start = pos + 8;
+        const end = start + len;
+        if (end + 4 > buf.length) break;
+        if (type === 'tEXt') {
+            const nul = buf.indexOf(0, start);
+            if (nul > start && nul < end) out[buf.toString('latin1', start, nul)] = buf.toString('latin1', nul + 1, end);
+        } else if (type === 'iTXt') {
+            const nul = buf.indexOf(0, start);
+            if (nul > start && nul + 2 < end) {
+                const compressed = buf[nul + 1] === 1;
+                const langEnd = buf.indexOf(0, nul + 3);
+                const kwEnd = langEnd >= 0 ? buf.indexOf(0, langEnd + 1) : -1;
+                if (kwEnd >= 0 && kwEnd < end) {
+                    let text = buf.subarray(kwEnd + 1, end);
+                    try {
+                        if (compressed) text = zlib.inflateSync(text);
+                        out[buf.toString('latin1', start, nul)] = text.toString('utf-8');
+                    } catch { /* corrupt chunk */ }
+                }
+            }
+        } else if (type === 'IEND') {
+            break;
+        }
+        pos = end + 4;
+    }
+    return out;
+}
+
+/** Index a zip's central directory as name -> { method, compSize, size, localOffset }. No ZIP64. */
+function readZipDirectory(buf) {
+    const entries = new Map();
+    const minPos = Math.max(0, buf.length - 65557);
+    let eocd = -1;
+    for (let i = buf.length - 22; i >= minPos; i--) {
+        if (buf.readUInt32LE(i) === 0x06054b50) { eocd = i; break; }
+    }
+    if (eocd < 0) return entries;
+    const count = buf.readUInt16LE(eocd + 10);
+    let pos = buf.readUInt32LE(eocd + 16);
+    for (let n = 0; n < count && pos + 46 <= buf.length; n++) {
+        if (buf.readUInt32LE(pos) !== 0x02014b50) break;
+        const nameLen = buf.readUInt16LE(pos + 28);
+        const name = buf.toString('utf-8', pos + 46, pos + 46 + nameLen);
+        entries.set(name, {
+            method: buf.readUInt16LE(pos + 10),
+            compSize: buf.readUInt32LE(pos + 20),
+            size: buf.readUInt32LE(pos + 24),
+            localOffset: buf.readUInt32LE(pos + 42),
+        });
+        pos += 46 + nameLen + buf.readUInt16LE(pos + 30) + buf.readUInt16LE(pos + 32);
+    }
+    return entries;
+}
+
+function extractZipEntry(buf, entry) {
+    if (!entry || entry.size > LOCAL_LIB_MAX_ZIP_ENTRY_BYTES) return null;
+    const off = entry.localOffset;
+    if (off + 30 > buf.length || buf.readUInt32LE(off) !== 0x04034b50) return null;
+    const dataStart = off + 30 + buf.readUInt16LE(off + 26) + buf.readUInt16LE(off + 28);
+    const data = buf.subarray(dataStart, dataStart + entry.compSize);
+    if (entry.method === 0) return data;
+    if (entry.method === 8) return zlib.inflateRawSync(data, { maxOutputLength: LOCAL_LIB_MAX_ZIP_ENTRY_BYTES });
+    return null;
+}
+
+/** Wrap V1/V2/V3 card JSON as a V2 card; null when it isn't a character card. */
+function toV2Card(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+    if ((raw.spec === 'chara_card_v2' || raw.spec === 'chara_card_v3') && raw.data && typeof raw.data === 'object') {
+        if (typeof raw.data.name !== 'string') return null;
+        return { spec: 'chara_card_v2', spec_version: '2.0', data: raw.data };
+    }
+    if (typeof raw.name === 'string' && ('description' in raw || 'first_mes' in raw)) {
+        return {
+            spec: 'chara_card_v2',
+            spec_version: '2.0',
+            data: {
+                name: raw.name,
+                description: raw.description || '',
+                personality: raw.personality || '',
+                scenario: raw.scenario || '',
+                first_mes: raw.first_mes || '',
+                mes_example: raw.mes_example || '',
+                creator_notes: raw.creator_notes || '',
+                system_prompt: '',
+                post_history_instructions: '',
+                alternate_greetings: [],
+                tags: Array.isArray(raw.tags) ? raw.tags : [],
+                creator: raw.creator || '',
+                character_version: '',
+                extensions: {},
+            },
+        };
+    }
+    return null;
+}
+
+function charxIconEntry(zip, card) {
+    const assets = Array.isArray(card?.data?.assets) ? card.data.assets : [];
+    const icons = assets.filter(a => a?.type === 'icon' && typeof a.uri === 'string');
+    const icon = icons.find(a => a.name === 'main') || icons[0];
+    const m = icon?.uri.match(/^embedd?ed:\/\/(.+)$/);
+    if (m && zip.has(m[1])) return { name: m[1], entry: zip.get(m[1]) };
+    for (const [name, entry] of zip) {
+        if (/^assets\/icon\/.+\.(png|jpe?g|webp)$/i.test(name)) return { name, entry };
+    }
+    return null;
+}
+
+/**
+ * Parse a card file. Returns { card, format, buffer, zip? } or null when the
+ * file holds no character card.
+ */
+async function readLocalCardFile(absPath) {
+    const buffer = await readFile(absPath);
+    const ext = extname(absPath).toLowerCase();
+    let raw = null;
+    let zip = null;
+    if (ext === '.png') {
+        const chunks = readPngTextChunks(buffer);
+        // ccv3 first, same preference as ST's own card parser
+        const encoded = chunks.ccv3 || chunks.chara;
+        if (encoded) raw = JSON.parse(Buffer.from(encoded, 'base64').toString('utf-8'));
+    } else if (ext === '.json') {
+        raw = JSON.parse(buffer.toString('utf-8').replace(/^\uFEFF/, ''));
+    } else if (ext === '.charx') {
+        zip = readZipDirectory(buffer);
+        const cardJson = extractZipEntry(buffer, zip.get('card.json'));
+        if (cardJson) raw = JSON.parse(cardJson.toString('utf-8'));
+    }
+    const card = toV2Card(raw);
+    return card ? { card, format: ext.slice(1), buffer, zip } : null;
+}
+
+function findSiblingImage(absPath) {
+    const base = absPath.slice(0, -extname(absPath).length);
+    for (const ext of LOCAL_LIB_SIBLING_IMAGES) {
+        if (existsSync(base + ext)) return base + ext;
+    }
+    return null;
+}
+
+function summarizeLocalCard(relPath, absPath, parsed, st) {
+    const d = parsed.card.data;
+    const text = [d.description, d.personality, d.scenario, d.first_mes, d.mes_example, d.system_prompt]
+        .reduce((n, s) => n + (typeof s === 'string' ? s.length : 0), 0);
+    let hasImage = parsed.format === 'png';
+    if (parsed.format === 'charx') hasImage = !!charxIconEntry(parsed.zip, parsed.card);
+    if (parsed.format === 'json') hasImage = !!findSiblingImage(absPath);
+    return {
+        id: relPath,
+        format: parsed.format,
+        name: String(d.name || basename(relPath, extname(relPath))).slice(0, 200),
+        creator: typeof d.creator === 'string' ? d.creator.slice(0, 100) : '',
+        tags: (Array.isArray(d.tags) ? d.tags : []).filter(t => typeof t === 'string').slice(0, 50),
+        tagline: typeof d.creator_notes === 'string' ? d.creator_notes.slice(0, 300) : '',
+        tokens: Math.round(text / 4),
+        hash: createHash('sha1').update(parsed.buffer).digest('hex'),
+        size: st.size,
+        mtime: st.mtimeMs,
+        hasImage,
+    };
+}
+
+/** True when a real (symlink-free) path lies strictly under the real root. */
+function isUnderLocalLibRoot(realAbs, realRoot) {
+    return realAbs.startsWith(realRoot + sep);
+}
+
+async function walkLocalLibrary(root) {
+    const realRoot = await realpath(root);
+    const seen = new Set();
+    let truncated = false;
+    const stack = [{ dir: root, depth: 0 }];
+    while (stack.length > 0 && !truncated) {
+        const { dir, depth } = stack.pop();
+        let dirents;
+        try { dirents = await readdir(dir, { withFileTypes: true }); }
+        catch { continue; }
+        for (const d of dirents) {
+            if (d.name.startsWith('.')) continue;
+            const abs = join(dir, d.name);
+            if (d.isDirectory()) {
+                if (depth < LOCAL_LIB_MAX_DEPTH) stack.push({ dir: abs, depth: depth + 1 });
+                continue;
+            }
+            if (!d.isFile() || !LOCAL_LIB_CARD_EXTENSIONS.test(d.name)) continue;
+            if (seen.size >= LOCAL_LIB_MAX_FILES) { truncated = true; break; }
+
+            const rel = relative(root, abs).split(sep).join('/');
+            seen.add(rel);
+            let st;
+            try {
+                if (!isUnderLocalLibRoot(await realpath(abs), realRoot)) continue;
+                st = await stat(abs);
+            } catch { continue; }
+            const cached = _localLibCache.get(rel);
+            if (cached && cached.mtime === st.mtimeMs && cached.size === st.size) continue;
+            if (st.size > LOCAL_LIB_MAX_FILE_BYTES) {
+                _localLibCache.set(rel, { skip: true, mtime: st.mtimeMs, size: st.size });
+                continue;
+            }
+            try {
+                const parsed = await readLocalCardFile(abs);
+                _localLibCache.set(rel, parsed
+                    ? summarizeLocalCard(rel, abs, parsed, st)
+                    : { skip: true, mtime: st.mtimeMs, size: st.size });
+            } catch (err) {
+                console.warn(`[cl-helper] Local library: unreadable card ${rel}: ${err.message}`);
+                _localLibCache.set(rel, { skip: true, mtime: st.mtimeMs, size: st.size });
+            }
+        }
+    }
+    if (!truncated) {
+        for (const key of _localLibCache.keys()) {
+            if (!seen.has(key)) _localLibCache.delete(key);
+        }
+    }
+    _localLibTruncated = truncated;
+    _localLibIndexedAt = Date.now();
+}
+
+function indexLocalLibrary() {
+    if (!_localLibIndexing) {
+        const root = _localLibRoot;
+        _localLibIndexing = walkLocalLibrary(root).finally(() => { _localLibIndexing = null; });
+    }
+    return _localLibIndexing;
+}
+
+/** Resolve a catalog id to an absolute regular file under the root; null when invalid. */
+async function resolveLocalLibFile(id) {
+    if (!_localLibRoot || typeof id !== 'string' || !id || id.includes('\0') || id.includes('\\')) return null;
+    const abs = resolve(_localLibRoot, ...id.split('/'));
+    if (!abs.startsWith(_localLibRoot + sep)) return null;
+    try {
+        // The text check above can't see a symlinked directory on the way; the real path can.
+        const [real, realRoot] = await Promise.all([realpath(abs), realpath(_localLibRoot)]);
+        if (!isUnderLocalLibRoot(real, realRoot)) return null;
+        const st = await lstat(abs);
+        return st.isFile() ? { abs: real, st } : null;
+    } catch {
+        return null;
+    }
+}
+
+/** Avatar bytes for a card file: the PNG itself, a CHARX icon, or a JSON's sibling image. */
+async function readLocalCardImage(abs) {
+    const ext = extname(abs).toLowerCase();
+    if (ext === '.png') return { buffer: await readFile(abs), type: 'image/png' };
+    if (ext === '.json') {
+        const sibling = findSiblingImage(abs);
+        if (!sibling) return null;
+        const siblingSt = await lstat(sibling);
+        if (!siblingSt.isFile() || siblingSt.size > LOCAL_LIB_MAX_FILE_BYTES) return null;
+        return { buffer: await readFile(sibling), type: LOCAL_LIB_IMAGE_TYPES[extname(sibling).toLowerCase()] };
+    }
+    if (ext === '.charx') {
+        const parsed = await readLocalCardFile(abs);
+        const icon = parsed && charxIconEntry(parsed.zip, parsed.card);
+        const bytes = icon && extractZipEntry(parsed.buffer, icon.entry);
+        if (!bytes) return null;
+        return { buffer: bytes, type: LOCAL_LIB_IMAGE_TYPES[extname(icon.name).toLowerCase()] || 'application/octet-stream' };
+    }
+    return null;
+}
+
+function registerLocalLibraryRoutes(router) {
+    loadLocalLibConfig();
+    if (_localLibRoot) console.log(`[cl-helper] Local library: ${_localLibRoot}`);
+
+    router.get('/local-library/status', (req, res) => {
+        res.json({
+            configured: !!_localLibRoot,
+            // Server paths are only shown to admins
+            root: req.user?.profile?.admin ? _localLibRoot : null,
+            count: [..._localLibCache.values()].filter(e => !e.skip).length,
+            indexedAt: _localLibIndexedAt || null,
+            indexing: !!_localLibIndexing,
+            truncated: _localLibTruncated,
+        });
+    });
+
+    // Admin-only: this exposes a server directory to every user of the instance.
+    router.post('/local-library/set-root', async (req, res) => {
+        if (!req.user?.profile?.admin) {
+            return res.status(403).json({ ok: false, error: 'admin privilege required to change the local library folder' });
+        }
+        const { path: rawPath } = req.body ?? {};
+        if (rawPath !== '' && rawPath !== null && typeof rawPath !== 'string') {
+            return res.status(400).json({ ok: false, error: 'path must be a string' });
+        }
+        let root = null;
+        if (rawPath) {
+            if (!isAbsolute(rawPath)) return res.status(400).json({ ok: false, error: 'path must be absolute' });
+            try {
+                root = await realpath(rawPath);
+                if (!(await stat(root)).isDirectory()) throw new Error('not a directory');
+            } catch (err) {
+                return res.status(400).json({ ok: false, error: `folder not accessible: ${err.message}` });
+            }
+        }
+        _localLibRoot = root;
+        _localLibCache.clear();
+        _localLibIndexedAt = 0;
+        _localLibTruncated = false;
+        try {
+            await writeFile(LOCAL_LIB_CONFIG_FILE, JSON.stringify({ root }, null, 2));
+        } catch (err) {
+            console.warn(`[cl-helper] Local library: could not persist folder (${err.message}); kept until restart`);
+        }
+        console.log(`[cl-helper] Local library ${root ? `set to ${root}` : 'cleared'}`);
+        res.json({ ok: true, root });
+    });
+
+    router.get('/local-library/index', async (req, res) => {
+        if (!_localLibRoot) return res.status(409).json({ error: 'No local library folder configured' });
+        try {
+            if (req.query.refresh === '1' || !_localLibIndexedAt) await indexLocalLibrary();
+        } catch (err) {
+            console.error('[cl-helper] Local library index error:', err.message);
+            return res.status(500).json({ error: 'Indexing failed' });
+        }
+        const entries = [];
+        for (const entry of _localLibCache.values()) {
+            if (!entry.skip) entries.push(entry);
+        }
+        res.json({ entries, indexedAt: _localLibIndexedAt, truncated: _localLibTruncated });
+    });
+
+    router.get('/local-library/card', async (req, res) => {
+        const file = await resolveLocalLibFile(req.query.id);
+        if (!file) return res.status(404).json({ error: 'Not found' });
+        if (file.st.size > LOCAL_LIB_MAX_FILE_BYTES) return res.status(413).json({ error: 'File too large' });
+        try {
+            const parsed = await readLocalCardFile(file.abs);
+            if (!parsed) return res.status(422).json({ error: 'File does not contain a character card' });
+            res.json({
+                card: parsed.card,
+                format: parsed.format,
+                hash: createHash('sha1').update(parsed.buffer).digest('hex'),
+                mtime: file.st.mtimeMs,
+            });
+        } catch (err) {
+            res.status(422).json({ error: `Unreadable card: ${err.message}` });
+        }
+    });
+
+    // Card avatar; ?s= returns a 2:3 JPEG thumbnail (cached beside avatar thumbs) when jimp is loaded.
+    router.get('/local-library/image', async (req, res) => {
+        const file = await resolveLocalLibFile(req.query.id);
+        if (!file) return res.status(404).json({ error: 'Not found' });
+        if (file.st.size > LOCAL_LIB_MAX_FILE_BYTES) return res.status(413).json({ error: 'File too large' });
+
+        const size = req.query.s ? Math.min(Math.max(parseInt(req.query.s) || 384, 64), THUMB_MAX_SIZE) : 0;
+        const thumbDir = size && _Jimp ? avatarThumbDirForReq(req) : null;
+        const cachePath = thumbDir
+            ? join(thumbDir, 'local', `${createHash('sha1').update(req.query.id).digest('hex')}_${size}.jpg`)
+            : null;
+        if (cachePath) {
+            try {
+                const cacheStat = await stat(cachePath);
+                if (cacheStat.mtimeMs > file.st.mtimeMs) {
+                    res.set('Content-Type', 'image/jpeg');
+                    res.set('Cache-Control', 'private, max-age=3600');
+                    return res.send(await readFile(cachePath));
+                }
+            } catch { /* cache miss */ }
+        }
+
+        let image;
+        try {
+            image = await readLocalCardImage(file.abs);
+        } catch (err) {
+            return res.status(422).json({ error: `Unreadable image: ${err.message}` });
+        }
+        if (!image) return res.status(404).json({ error: 'Card has no image' });
+
+        if (cachePath) {
+            try {
+                await _thumbSemaphore();
+                const thumb = await _Jimp.read(image.buffer);
+                thumb.cover({ w: size, h: Math.round(size * 1.5) });
+                const buffer = await thumb.getBuffer('image/jpeg', { quality: THUMB_QUALITY, jpegColorSpace: 'ycbcr' });
+                _thumbRelease();
+
+                mkdirSync(dirname(cachePath), { recursive: true });
+                writeFile(cachePath, buffer).catch(() => {});
+
+                res.set('Content-Type', 'image/jpeg');
+                res.set('Cache-Control', 'private, max-age=3600');
+                return res.send(buffer);
+            } catch (err) {
+                _thumbRelease();
+                console.warn(`[cl-helper] Local library thumb failed for ${req.query.id}: ${err.message}; serving original`);
+            }
+        }
+        res.set('Content-Type', image.type || 'application/octet-stream');
+        res.set('Cache-Control', 'private, max-age=3600');
+        res.send(image.buffer);
+    });
+}
+
+// =============================================================================
+// URL intake: bookmarklet + PWA share-target inbox
+// =============================================================================
+//
+// A bookmarklet (or the Android share sheet, via a web app manifest with a
+// share_target) opens /intake/push/<token>?url=... as a top-level page. The
+// URLs land in a per-user inbox; the library polls /intake/pending, routes
+// them into its import queue and acks them. The token in the path keeps
+// other sites from pushing links with a blind GET. Inbox is in memory until
+// restart; tokens persist next to the plugin.
+
+const INTAKE_TOKENS_FILE = join(__dirname, 'intake-tokens.json');
+const INTAKE_MAX_ITEMS = 500;
+const INTAKE_MAX_URLS_PER_PUSH = 20;
+const INTAKE_MAX_URL_LENGTH = 2048;
+const INTAKE_TOKEN_RE = /^[a-f0-9]{32}$/;
+
+let _intakeTokens = {};                 // user handle -> token
+const _intakeInbox = new Map();         // user handle -> [{ id, url, title, receivedAt }]
+
+function loadIntakeTokens() {
+    try {
+        const data = JSON.parse(readFileSync(INTAKE_TOKENS_FILE, 'utf-8'));
+        if (data && typeof data === 'object') _intakeTokens = data;
+    } catch { /* none issued yet */ }
+}
+
+async function saveIntakeTokens() {
+    try {
+        await writeFile(INTAKE_TOKENS_FILE, JSON.stringify(_intakeTokens, null, 2));
+    } catch (err) {
+        console.warn(`[cl-helper] URL intake: could not persist tokens (${err.message}); kept until restart`);
+    }
+}
+
+function intakeHandle(req) {
+    return req.user?.profile?.handle || 'default-user';
+}
+
+function intakeHandleForToken(token) {
+    if (!INTAKE_TOKEN_RE.test(token || '')) return null;
+    for (const [handle, t] of Object.entries(_intakeTokens)) {
+        if (t === token) return handle;
+    }
+    return null;
+}
+
+/** Pull http(s) links out of the share fields; share sheets often put the link in text. */
+function extractIntakeUrls(...fields) {
+    const out = [];
+    for (const field of fields) {
+        if (typeof field !== 'string' || !field) continue;
+        for (const match of field.matchAll(/https?:\/\/[^\s<>"']+/gi)) {
+            const raw = match[0].replace(/[).,;!?\]]+$/, '');
+            if (raw.length > INTAKE_MAX_URL_LENGTH) continue;
+            try {
+                const u = new URL(raw);
+                if (u.protocol !== 'http:' && u.protocol !== 'https:') continue;
+                if (!out.includes(u.href)) out.push(u.href);
+            } catch { /* not a URL */ }
+            if (out.length >= INTAKE_MAX_URLS_PER_PUSH) return out;
+        }
+    }
+    return out;
+}
+
+function escapeIntakeHtml(s) {
+    return String(s).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+function intakeResultPage(title, message, { share = false, autoClose = false } = {}) {
+    return '<!doctype html><html><head><meta charset="utf-8">' +
+        '<meta name="viewport" content="width=device-width,initial-scale=1">' +
+        `<title>${escapeIntakeHtml(title)}</title>` +
+        '<style>body{margin:0;background:#1a1a2e;color:rgba(255,255,255,.85);display:flex;align-items:center;' +
+        'justify-content:center;min-height:100vh;font-family:system-ui,sans-serif;text-align:center}' +
+        'main{padding:24px;max-width:420px}h1{font-size:18px;margin:0 0 8px}p{font-size:14px;color:rgba(255,255,255,.6)}' +
+        'a{color:#4a9eff}</style></head><body><main>' +
+        `<h1>${escapeIntakeHtml(title)}</h1><p>${escapeIntakeHtml(message)}</p>` +
+        (share ? '<p><a href="/">Open SillyTavern</a></p>' : '') +
+        (autoClose ? '<script>setTimeout(() => window.close(), 1500);</script>' : '') +
+        '</main></body></html>';
+}
+
+const INTAKE_ICON_SVG = '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 512 512">' +
+    '<rect width="512" height="512" rx="96" fill="#1a1a2e"/>' +
+    '<path d="M136 112h96a32 32 0 0 1 32 32v256a24 24 0 0 0-24-24h-104z" fill="#4a9eff"/>' +
+    '<path d="M376 112h-96a32 32 0 0 0-32 32v256a24 24 0 0 1 24-24h104z" fill="#8a6bff"/>' +
+    '</svg>';
+
+function registerIntakeRoutes(router) {
+    loadIntakeTokens();
+
+    // Issue (or return) this user's push token; rotate=true invalidates old bookmarklets
+    router.post('/intake/session', async (req, res) => {
+        const handle = intakeHandle(req);
+        if (!_intakeTokens[handle] || req.body?.rotate === true) {
+            _intakeTokens[handle] = randomUUID().replace(/-/g, '');
+            await saveIntakeTokens();
+        }
+        res.json({ ok: true, token: _intakeTokens[handle], pending: (_intakeInbox.get(handle) || []).length });
+    });
+
+    router.get('/intake/pending', (req, res) => {
+        res.json({ ok: true, items: _intakeInbox.get(intakeHandle(req)) || [] });
+    });
+
+    router.post('/intake/ack', (req, res) => {
+        const ids = Array.isArray(req.body?.ids) ? req.body.ids.filter(id => typeof id === 'string') : [];
+        const handle = intakeHandle(req);
+        const inbox = _intakeInbox.get(handle) || [];
+        const remaining = inbox.filter(item => !ids.includes(item.id));
+        if (remaining.length) _intakeInbox.set(handle, remaining);
+        else _intakeInbox.delete(handle);
+        res.json({ ok: true, removed: inbox.length - remaining.length });
+    });
+
+    // Bookmarklet target (popup) and share_target action (mode "share")
+    router.get('/intake/push/:token/:mode?', (req, res) => {
+        const handle = intakeHandleForToken(req.params.token);
+        const share = req.params.mode === 'share';
+        res.set('Content-Type', 'text/html; charset=utf-8');
+        res.set('Cache-Control', 'no-store');
+        if (!handle) {
+            return res.status(403).send(intakeResultPage('Link expired',
+                'This Send to Character Library link is no longer valid. Copy a fresh one from Settings > General > Imports.', { share }));
+        }
+        const urls = extractIntakeUrls(req.query.url, req.query.text, req.query.title);
+        if (urls.length === 0) {
+            return res.status(400).send(intakeResultPage('Nothing to send', 'No web link was found in what was shared.', { share }));
+        }
+
+        const inbox = _intakeInbox.get(handle) || [];
+        const title = typeof req.query.title === 'string' ? req.query.title.slice(0, 200) : '';
+        let added = 0;
+        for (const url of urls) {
+            if (inbox.some(item => item.url === url)) continue;
+            inbox.push({ id: randomUUID(), url, title, receivedAt: Date.now() });
+            added++;
+        }
+        // Oldest drop first if nobody has opened the library in a long while
+        if (inbox.length > INTAKE_MAX_ITEMS) inbox.splice(0, inbox.length - INTAKE_MAX_ITEMS);
+        _intakeInbox.set(handle, inbox);
+
+        const message = added > 0
+            ? `${added} link${added === 1 ? '' : 's'} queued. Character Library imports ${added === 1 ? 'it' : 'them'} the next time it is open.`
+            : 'Already waiting to be imported.';
+        res.send(intakeResultPage('Sent to Character Library', message, { share, autoClose: !share }));
+    });
+
+    // Web app manifest for installing the library as a share target (Android)
+    router.get('/intake/manifest/:token', (req, res) => {
+        const token = req.params.token;
+        if (!intakeHandleForToken(token)) return res.status(404).json({ error: 'Unknown token' });
+        res.set('Content-Type', 'application/manifest+json');
+        res.set('Cache-Control', 'no-store');
+        res.send(JSON.stringify({
+            id: '/?cl-intake',
+            name: 'Character Library',
+            short_name: 'Char Library',
+            start_url: '/',
+            scope: '/',
+            display: 'standalone',
+            background_color: '#1a1a2e',
+            theme_color: '#1a1a2e',
+            icons: [{ src: '/api/plugins/cl-helper/intake/icon.svg', sizes: 'any', type: 'image/svg+xml', purpose: 'any' }],
+            share_target: {
+                action: `/api/plugins/cl-helper/intake/push/${token}/share`,
+                method: 'GET',
+                params: { title: 'title', text: 'text', url: 'url' },
+            },
+        }));
+    });
+
+    router.get('/intake/icon.svg', (_req, res) => {
+        res.set('Content-Type', 'image/svg+xml');
+        res.set('Cache-Control', 'public, max-age=86400');
+        res.send(INTAKE_ICON_SVG);
+    });
+}
+
 // =============================================================================
 // =============================================================================
 // Plugin entry
@@ -1959,6 +2628,7 @@ export async function init(router) {
     });
 
     registerThumbnailRoutes(router);
+    registerStatsRoutes(router);
     registerPygmalionRoutes(router);
     registerBotbooruRoutes(router);
     registerCharacterTavernRoutes(router);
@@ -1968,6 +2638,8 @@ export async function init(router) {
     registerPixivRoutes(router);
     registerSaucepanRoutes(router);
     registerDropboxRoutes(router);
+    registerLocalLibraryRoutes(router);
+    registerIntakeRoutes(router);
 
     console.log('[cl-helper] Character Library helper plugin loaded');
 
@@ -0,0 +1,411 @@
+import CoreAPI from './core-api.js';
+
+// ========================================
+// BATCH JOURNAL
+// Operation log for batch card writes (tags, favorites, lorebook links, card
+// updates). Each operation records the before/after value of every field it
+// touched per character, so the whole batch can be reverted in one step from
+// the notifications center. Undo only restores a field whose current value
+// still matches what the batch wrote; anything edited since is left alone.
+// ========================================
+
+const JOURNAL_FILE = '_cl_batch_journal.json';
+const STORAGE_VERSION = 1;
+const HISTORY_LIMIT = 10;
+
+const TYPE_ICONS = {
+    tags: 'fa-solid fa-tags',
+    favorites: 'fa-solid fa-star',
+    lorebook: 'fa-solid fa-book',
+    'card-updates': 'fa-solid fa-arrows-rotate',
+};
+
+let ops = [];               // newest first: { id, type, label, at, undoneAt?, chars: [{ avatar, name, paths, before, after }] }
+let loaded = false;
+let saving = false;
+let saveQueued = false;
+let undoing = false;
+let _loadingPromise = null;
+
+// ========================================
+// FILE I/O
+// ========================================
+
+async function fileUpload(name, data) {
+    const base64 = CoreAPI.utf8ToBase64(JSON.stringify(data));
+    const resp = await CoreAPI.apiRequest('/files/upload', 'POST', { name, data: base64 });
+    if (!resp.ok) {
+        const err = await resp.text().catch(() => resp.statusText);
+        throw new Error(`Journal file upload failed (${resp.status}): ${err}`);
+    }
+    return resp.json();
+}
+
+async function fileRead(name) {
+    try {
+        const resp = await fetch(`/user/files/${name}`, { cache: 'no-store' });
+        if (!resp.ok) return null;
+        const text = await resp.text();
+        if (!text || !text.trim()) return null;
+        return JSON.parse(text);
+    } catch {
+        return null;
+    }
+}
+
+// ========================================
+// PERSISTENCE
+// ========================================
+
+async function loadJournal() {
+    if (loaded) return ops;
+    if (_loadingPromise) return _loadingPromise;
+    _loadingPromise = (async () => {
+        const data = await fileRead(JOURNAL_FILE);
+        if (data && data.version === STORAGE_VERSION && Array.isArray(data.ops)) {
+            // Anything recorded this session before the read landed stays on top
+            ops = [...ops, ...data.ops].slice(0, HISTORY_LIMIT);
+        }
+        loaded = true;
+        _loadingPromise = null;
+        return ops;
+    })();
+    return _loadingPromise;
+}
+
+async function saveJournal() {
+    // Complete the boot read first so a save never clobbers history we havent seen
+    if (!loaded) await loadJournal();
+    if (saving) {
+        saveQueued = true;
+        return;
+    }
+    saving = true;
+    try {
+        await fileUpload(JOURNAL_FILE, { version: STORAGE_VERSION, ops });
+    } catch (e) {
+        console.error('[BatchJournal] Save failed:', e.message);
+    } finally {
+        saving = false;
+        if (saveQueued) {
+            saveQueued = false;
+            saveJournal();
+        }
+    }
+}
+
+// ========================================
+// FIELD ACCESS
+// Paths use the applyCardFieldUpdates convention: dot-paths relative to
+// char.data, with depth_prompt.* living under extensions.
+// ========================================
+
+function dataPath(path) {
+    return path.startsWith('depth_prompt.') ? `extensions.${path}` : path;
+}
+
+function readField(char, path) {
+    let value = char?.data || {};
+    for (const key of dataPath(path).split('.')) {
+        if (value == null || typeof value !== 'object') return undefined;
+        value = value[key];
+    }
+    return value;
+}
+
+function cloneValue(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+// Missing and null are the same state as far as a card field is concerned
+function sameValue(a, b) {
+    return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+function findCharacter(charOrAvatar) {
+    const avatar = typeof charOrAvatar === 'string' ? charOrAvatar : charOrAvatar?.avatar;
+    if (!avatar) return null;
+    return CoreAPI.getAllCharacters().find(c => c.avatar === avatar) || null;
+}
+
+function generateId() {
+    return `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// ========================================
+// RECORDING
+// ========================================
+
+/**
+ * Start journaling a batch operation. Call capture() before each character's
+ * write, settle() after it succeeds, and finish() once the batch is done.
+ * Characters that were captured but never settled are dropped, as are fields
+ * the write left unchanged.
+ * @param {Object} opts
+ * @param {string} opts.type - tags | favorites | lorebook | card-updates
+ * @param {string} opts.label - human-readable summary shown in the history
+ * @returns {{capture: Function, settle: Function, finish: Function}}
+ */
+function beginOperation({ type, label }) {
+    const pending = new Map(); // avatar -> { avatar, name, paths, before }
+    const settled = [];
+
+    return {
+        /**
+         * Record the current value of each path. Hydrates first so heavy
+         * fields are captured from the full card, not the slim list entry.
+         * @param {Object|string} charOrAvatar
+         * @param {string[]} paths
+         */
+        async capture(charOrAvatar, paths) {
+            const char = findCharacter(charOrAvatar);
+            if (!char || !paths?.length) return;
+            await CoreAPI.hydrateCharacter(char);
+            const before = {};
+            for (const path of paths) before[path] = cloneValue(readField(char, path));
+            pending.set(char.avatar, { avatar: char.avatar, name: CoreAPI.getCharacterName(char) || char.avatar, paths: [...paths], before });
+        },
+
+        /**
+         * Record the post-write value of each captured path.
+         * @param {Object|string} charOrAvatar
+         */
+        settle(charOrAvatar) {
+            const char = findCharacter(charOrAvatar);
+            const entry = char && pending.get(char.avatar);
+            if (!entry) return;
+            pending.delete(char.avatar);
+            const after = {};
+            const paths = [];
+            for (const path of entry.paths) {
+                const value = cloneValue(readField(char, path));
+                if (sameValue(value, entry.before[path])) continue;
+                paths.push(path);
+                after[path] = value;
+            }
+            if (paths.length === 0) return;
+            const before = {};
+            for (const path of paths) before[path] = entry.before[path];
+            settled.push({ avatar: entry.avatar, name: entry.name, paths, before, after });
+        },
+
+        /** Persist the operation if it changed anything. */
+        async finish() {
+            pending.clear();
+            if (settled.length === 0) return;
+            await loadJournal();
+            ops.unshift({ id: generateId(), type, label, at: Date.now(), chars: settled });
+            ops = ops.slice(0, HISTORY_LIMIT);
+            saveJournal();
+            onJournalChanged();
+        },
+    };
+}
+
+// ========================================
+// UNDO
+// ========================================
+
+function getLastUndoable() {
+    return ops.find(op => !op.undoneAt) || null;
+}
+
+/**
+ * Revert every character touched by an operation back to its recorded
+ * before-state. Fields changed since the batch ran are skipped and counted.
+ * @param {string} id - operation id
+ */
+async function undoOperation(id) {
+    if (undoing) return;
+    await loadJournal();
+    const op = ops.find(o => o.id === id);
+    if (!op || op.undoneAt) return;
+
+    const n = op.chars.length;
+    const ok = await CoreAPI.showConfirm({
+        title: 'Undo batch operation?',
+        message: `Revert "${op.label}" on ${n} character${n === 1 ? '' : 's'}? Fields edited since then are left as they are.`,
+        confirmLabel: 'Undo',
+        cancelLabel: 'Cancel',
+    });
+    if (!ok) return;
+
+    undoing = true;
+    onJournalChanged();
+
+    let reverted = 0;
+    let conflicts = 0;
+    let failed = 0;
+    let missing = 0;
+    const retry = [];
+    try {
+        const deleteValue = await CoreAPI.getExtensionDeleteValue();
+        for (const entry of op.chars) {
+            const char = findCharacter(entry.avatar);
+            if (!char) { missing++; continue; }
+            try {
+                await CoreAPI.hydrateCharacter(char);
+                const updates = {};
+                for (const path of entry.paths) {
+                    if (!sameValue(readField(char, path), entry.after[path])) { conflicts++; continue; }
+                    if (entry.before[path] !== undefined) {
+                        updates[path] = cloneValue(entry.before[path]);
+                    } else {
+                        updates[path] = dataPath(path).startsWith('extensions.') ? deleteValue : null;
+                    }
+                }
+                if (Object.keys(updates).length === 0) continue;
+                const success = await CoreAPI.applyCardFieldUpdates(entry.avatar, updates);
+                if (!success) { failed++; retry.push(entry); continue; }
+                if ('extensions.fav' in updates) {
+                    // Root fav mirrors the extension for readers that check it directly
+                    char.fav = updates['extensions.fav'] === true;
+                    CoreAPI.updateCharacterCardFavoriteStatus(char.avatar, char.fav);
+                }
+                reverted++;
+            } catch (e) {
+                console.error('[BatchJournal] Undo failed for', entry.avatar, e);
+                failed++;
+                retry.push(entry);
+            }
+        }
+        // A partly failed revert stays undoable, narrowed to the characters that didn't revert.
+        if (retry.length) op.chars = retry;
+        else op.undoneAt = Date.now();
+        saveJournal();
+    } finally {
+        undoing = false;
+        onJournalChanged();
+    }
+
+    const notes = [];
+    if (conflicts) notes.push(`${conflicts} field${conflicts === 1 ? '' : 's'} changed since, kept`);
+    if (missing) notes.push(`${missing} no longer in library`);
+    if (failed) notes.push(`${failed} failed, undo again to retry`);
+    CoreAPI.showToast(
+        `Reverted ${reverted} character${reverted === 1 ? '' : 's'}${notes.length ? ` (${notes.join(', ')})` : ''}`,
+        failed ? 'warning' : 'success', 5000,
+    );
+    if (reverted > 0) await CoreAPI.refreshCharacters();
+}
+
+function clearHistory() {
+    ops = [];
+    saveJournal();
+    onJournalChanged();
+}
+
+// ========================================
+// NOTIFICATION SECTION
+// ========================================
+
+function formatAgo(ts) {
+    const mins = Math.round((Date.now() - ts) / 60000);
+    if (mins < 1) return 'just now';
+    if (mins < 60) return `${mins} min ago`;
+    const hours = Math.round(mins / 60);
+    if (hours < 48) return `${hours} hour${hours === 1 ? '' : 's'} ago`;
+    return new Date(ts).toLocaleDateString();
+}
+
+function sectionStatus() {
+    if (undoing) return { visible: true, level: 'activity', icon: 'fa-solid fa-rotate-left', title: 'Undoing batch operation' };
+    return { visible: ops.length > 0, level: 'none', title: 'Batch history' };
+}
+
+function renderSection(el) {
+    if (!el) return;
+    const esc = CoreAPI.escapeHtml;
+    if (ops.length === 0) {
+        el.innerHTML = '';
+        return;
+    }
+    const last = getLastUndoable();
+    const parts = ['<div class="bj-section">'];
+    parts.push(`
+        <div class="bj-header">
+            <i class="fa-solid fa-clock-rotate-left"></i><span>Batch History</span>
+            <button class="bj-btn bj-clear" data-bj-clear title="Clear history"><i class="fa-solid fa-broom"></i></button>
+        </div>`);
+
+    if (last) {
+        parts.push(`
+            <button class="bj-undo-last" data-bj-undo="${esc(last.id)}" ${undoing ? 'disabled' : ''}>
+                ${undoing ? '<i class="fa-solid fa-spinner fa-spin"></i> Undoing&hellip;' : '<i class="fa-solid fa-rotate-left"></i> Undo last batch'}
+            </button>`);
+    }
+
+    for (const op of ops) {
+        const n = op.chars.length;
+        const icon = TYPE_ICONS[op.type] || 'fa-solid fa-layer-group';
+        const action = op.undoneAt
+            ? '<span class="bj-undone">Undone</span>'
+            : `<button class="bj-btn" data-bj-undo="${esc(op.id)}" title="Undo this batch" ${undoing ? 'disabled' : ''}><i class="fa-solid fa-rotate-left"></i></button>`;
+        parts.push(`
+            <div class="bj-item${op.undoneAt ? ' is-undone' : ''}">
+                <span class="bj-item-icon"><i class="${icon}"></i></span>
+                <div class="bj-item-body">
+                    <span class="bj-item-label" title="${esc(op.label)}">${esc(op.label)}</span>
+                    <span class="bj-item-sub">${n} character${n === 1 ? '' : 's'} &middot; ${esc(formatAgo(op.at))}</span>
+                </div>
+                ${action}
+            </div>`);
+    }
+    parts.push('</div>');
+    el.innerHTML = parts.join('');
+}
+
+function getSectionEl() {
+    return document.querySelector('#notificationsDropdown [data-notif-section="batch-journal"]');
+}
+
+function onJournalChanged() {
+    CoreAPI.refreshNotificationsUI();
+    const el = getSectionEl();
+    const dropdown = document.getElementById('notificationsDropdown');
+    if (!el || !dropdown || dropdown.classList.contains('hidden')) return;
+    const visible = sectionStatus().visible;
+    el.classList.toggle('hidden', !visible);
+    if (visible) renderSection(el);
+}
+
+function wireSectionEvents(el) {
+    el.addEventListener('click', (e) => {
+        const undoBtn = e.target.closest('[data-bj-undo]');
+        if (undoBtn) {
+            e.stopPropagation();
+            document.getElementById('notificationsDropdown')?.classList.add('hidden');
+            undoOperation(undoBtn.dataset.bjUndo);
+            return;
+        }
+        if (e.target.closest('[data-bj-clear]')) {
+            e.stopPropagation();
+            clearHistory();
+        }
+    });
+}
+
+// ========================================
+// INIT
+// ========================================
+
+function init() {
+    CoreAPI.registerNotificationSection({
+        id: 'batch-journal',
+        getStatus: sectionStatus,
+        onOpen: (el) => renderSection(el),
+    });
+    const sectionEl = getSectionEl();
+    if (sectionEl) wireSectionEvents(sectionEl);
+    loadJournal().then(() => CoreAPI.refreshNotificationsUI());
+}
+
+// ========================================
+// EXPORTS
+// ========================================
+
+export default {
+    init,
+    beginOperation,
+    undoOperation,
+};
@@ -236,9 +236,13 @@ async function applyBatchTags() {
     
     let successCount = 0;
     let errorCount = 0;
+
+    const changes = [...tagsToAdd.map(t => `+${t}`), ...tagsToRemove.map(t => `-${t}`)].join(', ');
+    const journal = CoreAPI.getModule('batch-journal')?.beginOperation({ type: 'tags', label: `Batch tags (${changes})` });
     
     for (const char of selected) {
         try {
+            await journal?.capture(char, ['tags']);
             let currentTags = getCharacterTags(char);
             
             const tagsToRemoveLower = tagsToRemove.map(t => t.toLowerCase());
@@ -257,6 +261,7 @@ async function applyBatchTags() {
                 tags: currentTags,
             });
             if (success) {
+                journal?.settle(char);
                 successCount++;
             } else {
                 console.error('[BatchTagging] Failed to update', char.name);
@@ -268,6 +273,8 @@ async function applyBatchTags() {
         }
     }
     
+    await journal?.finish();
+
     applyBtn.disabled = false;
     applyBtn.innerHTML = originalHtml;
     
@@ -1,4 +1,5 @@
 import * as CoreAPI from './core-api.js';
+import { ZipWriter, parseZip, readZipEntry } from './zip-utils.js';
 
 // ========================================
 // STATE
@@ -23,237 +24,6 @@ function tryParseJson(text) {
     try { return JSON.parse(text); } catch { return null; }
 }
 
-// ========================================
-// ZIP WRITER (STORE only, zip64-aware)
-// ========================================
-
-// 32-bit field ceiling. Sizes/offsets at or past this need zip64's 8-byte
-// records; the ceiling doubles as the "value lives in the extra field" sentinel.
-// card PNGs and gallery media are already compressed so STORE loses almost nothing.
-const U32_MAX = 0xFFFFFFFF;
-const U16_MAX = 0xFFFF;
-
-function dosDateTime(d) {
-    const dosTime = (d.getHours() << 11) | (d.getMinutes() << 5) | (d.getSeconds() >> 1);
-    const dosDate = (((d.getFullYear() - 1980) & 0x7f) << 9) | ((d.getMonth() + 1) << 5) | d.getDate();
-    return { dosTime, dosDate };
-}
-
-class ZipWriter {
-    constructor() {
-        this.parts = [];
-        this.central = [];
-        this.offset = 0;
-    }
-
-    addFile(name, bytes) {
-        // A single >=4GB member would need zip64 in the LOCAL header too; the bundle's
-        // real members (cards, chats, gallery files) never approach this, so we reject
-        // it clearly rather than carry the extra local-header machinery.
-        if (bytes.length >= U32_MAX) {
-            throw new Error(`"${name}" is 4GB or larger; a single file that big cannot go in the bundle`);
-        }
-        const nameBytes = enc.encode(name);
-        const crc = CoreAPI.crc32(bytes);
-        const { dosTime, dosDate } = dosDateTime(new Date());
-
-        const lh = new DataView(new ArrayBuffer(30));
-        lh.setUint32(0, 0x04034b50, true);
-        lh.setUint16(4, 20, true);
-        lh.setUint16(6, 0x0800, true); // UTF-8 filename flag
-        lh.setUint16(8, 0, true);
-        lh.setUint16(10, dosTime, true);
-        lh.setUint16(12, dosDate, true);
-        lh.setUint32(14, crc, true);
-        lh.setUint32(18, bytes.length, true);
-        lh.setUint32(22, bytes.length, true);
-        lh.setUint16(26, nameBytes.length, true);
-        lh.setUint16(28, 0, true);
-
-        this.central.push({ nameBytes, crc, size: bytes.length, offset: this.offset, dosTime, dosDate });
-        // File data goes in as a Blob part so the browser can spill big exports to disk.
-        this.parts.push(new Uint8Array(lh.buffer), nameBytes, new Blob([bytes]));
-        this.offset += 30 + nameBytes.length + bytes.length;
-    }
-
-    finalize() {
-        const cdStart = this.offset;
-        for (const e of this.central) {
-            // Only the local-header offset can overflow (each member is < 4GB); when it
-            // does, the 32-bit field holds the sentinel and the true value rides a zip64
-            // extended-information extra field (header 0x0001).
-            const offsetOverflow = e.offset >= U32_MAX;
-            const extraLen = offsetOverflow ? 12 : 0;
-
-            const cd = new DataView(new ArrayBuffer(46));
-            cd.setUint32(0, 0x02014b50, true);
-            cd.setUint16(4, offsetOverflow ? 45 : 20, true);  // version made by
-            cd.setUint16(6, offsetOverflow ? 45 : 20, true);  // version needed to extract
-            cd.setUint16(8, 0x0800, true);
-            cd.setUint16(10, 0, true);
-            cd.setUint16(12, e.dosTime, true);
-            cd.setUint16(14, e.dosDate, true);
-            cd.setUint32(16, e.crc, true);
-            cd.setUint32(20, e.size, true);
-            cd.setUint32(24, e.size, true);
-            cd.setUint16(28, e.nameBytes.length, true);
-            cd.setUint16(30, extraLen, true);
-            cd.setUint32(42, offsetOverflow ? U32_MAX : e.offset, true);
-
-            // Central-directory record layout is [fixed header][name][extra], in that order.
-            this.parts.push(new Uint8Array(cd.buffer), e.nameBytes);
-            if (offsetOverflow) {
-                const extra = new DataView(new ArrayBuffer(12));
-                extra.setUint16(0, 0x0001, true);          // zip64 extra header
-                extra.setUint16(2, 8, true);               // payload = the 8-byte offset only
-                extra.setBigUint64(4, BigInt(e.offset), true);
-                this.parts.push(new Uint8Array(extra.buffer));
-            }
-            this.offset += 46 + extraLen + e.nameBytes.length;
-        }
-
-        const cdSize = this.offset - cdStart;
-        const count = this.central.length;
-        const needZip64 = cdStart >= U32_MAX || cdSize >= U32_MAX || count >= U16_MAX;
-
-        if (needZip64) {
-            const zEocdOffset = this.offset;
-            // Zip64 end-of-central-directory record (56 bytes; the size field counts the 44 bytes after it).
-            const z = new DataView(new ArrayBuffer(56));
-            z.setUint32(0, 0x06064b50, true);
-            z.setBigUint64(4, 44n, true);
-            z.setUint16(12, 45, true);
-            z.setUint16(14, 45, true);
-            z.setUint32(16, 0, true);
-            z.setUint32(20, 0, true);
-            z.setBigUint64(24, BigInt(count), true);
-            z.setBigUint64(32, BigInt(count), true);
-            z.setBigUint64(40, BigInt(cdSize), true);
-            z.setBigUint64(48, BigInt(cdStart), true);
-            this.parts.push(new Uint8Array(z.buffer));
-            this.offset += 56;
-
-            // Zip64 end-of-central-directory locator (20 bytes).
-            const loc = new DataView(new ArrayBuffer(20));
-            loc.setUint32(0, 0x07064b50, true);
-            loc.setUint32(4, 0, true);
-            loc.setBigUint64(8, BigInt(zEocdOffset), true);
-            loc.setUint32(16, 1, true);
-            this.parts.push(new Uint8Array(loc.buffer));
-            this.offset += 20;
-        }
-
-        // Standard EOCD; overflowed fields carry the sentinel so a reader falls through to the zip64 records above.
-        const eocd = new DataView(new ArrayBuffer(22));
-        eocd.setUint32(0, 0x06054b50, true);
-        eocd.setUint16(8, Math.min(count, U16_MAX), true);
-        eocd.setUint16(10, Math.min(count, U16_MAX), true);
-        eocd.setUint32(12, Math.min(cdSize, U32_MAX), true);
-        eocd.setUint32(16, Math.min(cdStart, U32_MAX), true);
-        this.parts.push(new Uint8Array(eocd.buffer));
-        return new Blob(this.parts, { type: 'application/zip' });
-    }
-}
-
-// ========================================
-// ZIP READER
-// ========================================
-
-async function parseZip(file) {
-    // EOCD sits at the end, preceded by an up-to-64KB comment; scan the tail backwards.
-    const tailSize = Math.min(file.size, 65557);
-    if (tailSize < 22) throw new Error('Not a zip file');
-    const tail = new Uint8Array(await file.slice(file.size - tailSize).arrayBuffer());
-    let eocdPos = -1;
-    for (let i = tail.length - 22; i >= 0; i--) {
-        if (tail[i] === 0x50 && tail[i + 1] === 0x4b && tail[i + 2] === 0x05 && tail[i + 3] === 0x06) {
-            eocdPos = i;
-            break;
-        }
-    }
-    if (eocdPos < 0) throw new Error('Not a zip file (no end-of-central-directory record)');
-
-    const eocd = new DataView(tail.buffer, eocdPos);
-    let count = eocd.getUint16(10, true);
-    let cdSize = eocd.getUint32(12, true);
-    let cdOffset = eocd.getUint32(16, true);
-
-    // Any maxed-out field means the real values live in the zip64 EOCD record,
-    // reached via the 20-byte locator immediately preceding the standard EOCD.
-    if (count === U16_MAX || cdSize === U32_MAX || cdOffset === U32_MAX) {
-        const locPos = eocdPos - 20;
-        if (locPos < 0 || tail[locPos] !== 0x50 || tail[locPos + 1] !== 0x4b || tail[locPos + 2] !== 0x06 || tail[locPos + 3] !== 0x07) {
-            throw new Error('Corrupt bundle: zip64 markers present but the locator is missing');
-        }
-        const zEocdOffset = Number(new DataView(tail.buffer, locPos).getBigUint64(8, true));
-        const zBytes = new Uint8Array(await file.slice(zEocdOffset, zEocdOffset + 56).arrayBuffer());
-        const z = new DataView(zBytes.buffer);
-        if (z.getUint32(0, true) !== 0x06064b50) throw new Error('Corrupt zip64 end-of-central-directory record');
-        count = Number(z.getBigUint64(32, true));
-        cdSize = Number(z.getBigUint64(40, true));
-        cdOffset = Number(z.getBigUint64(48, true));
-    }
-
-    const cdBytes = new Uint8Array(await file.slice(cdOffset, cdOffset + cdSize).arrayBuffer());
-    const cd = new DataView(cdBytes.buffer);
-    const entries = new Map();
-    let p = 0;
-    for (let i = 0; i < count; i++) {
-        if (cd.getUint32(p, true) !== 0x02014b50) throw new Error('Corrupt zip central directory');
-        const method = cd.getUint16(p + 10, true);
-        let compSize = cd.getUint32(p + 20, true);
-        let size = cd.getUint32(p + 24, true);
-        const nameLen = cd.getUint16(p + 28, true);
-        const extraLen = cd.getUint16(p + 30, true);
-        const commentLen = cd.getUint16(p + 32, true);
-        let localOffset = cd.getUint32(p + 42, true);
-        const name = dec.decode(cdBytes.subarray(p + 46, p + 46 + nameLen));
-
-        // Resolve any sentinel'd field from the zip64 extra (header 0x0001); the 8-byte
-        // values appear in size / compressed-size / offset order, only the flagged ones.
-        if (size === U32_MAX || compSize === U32_MAX || localOffset === U32_MAX) {
-            let ep = p + 46 + nameLen;
-            const extraEnd = ep + extraLen;
-            while (ep + 4 <= extraEnd) {
-                const hid = cd.getUint16(ep, true);
-                const hlen = cd.getUint16(ep + 2, true);
-                if (hid === 0x0001) {
-                    let fp = ep + 4;
-                    if (size === U32_MAX) { size = Number(cd.getBigUint64(fp, true)); fp += 8; }
-                    if (compSize === U32_MAX) { compSize = Number(cd.getBigUint64(fp, true)); fp += 8; }
-                    if (localOffset === U32_MAX) { localOffset = Number(cd.getBigUint64(fp, true)); fp += 8; }
-                    break;
-                }
-                ep += 4 + hlen;
-            }
-        }
-
-        entries.set(name, { method, compSize, size, localOffset });
-        p += 46 + nameLen + extraLen + commentLen;
-    }
-    return { file, entries };
-}
-
-async function readZipEntry(zip, name) {
-    const e = zip.entries.get(name);
-    if (!e) return null;
-    // Name/extra lengths must come from the LOCAL header; tools can write a
-    // different extra field there than in the central directory.
-    const lh = new DataView(await zip.file.slice(e.localOffset, e.localOffset + 30).arrayBuffer());
-    if (lh.getUint32(0, true) !== 0x04034b50) throw new Error(`Corrupt zip entry: ${name}`);
-    const nameLen = lh.getUint16(26, true);
-    const extraLen = lh.getUint16(28, true);
-    const start = e.localOffset + 30 + nameLen + extraLen;
-    const blob = zip.file.slice(start, start + e.compSize);
-    if (e.method === 0) return new Uint8Array(await blob.arrayBuffer());
-    if (e.method === 8) {
-        // Deflate support so bundles re-zipped by external tools still import.
-        const stream = blob.stream().pipeThrough(new DecompressionStream('deflate-raw'));
-        return new Uint8Array(await new Response(stream).arrayBuffer());
-    }
-    throw new Error(`Unsupported zip compression method ${e.method} for ${name}`);
-}
-
 // ========================================
 // MODAL SHELL
 // ========================================
@@ -392,6 +162,13 @@ function openExportChooser() {
                     <div class="btx-option-desc">Download each card as a separate PNG file</div>
                 </div>
             </button>
+            <button class="btx-option" data-mode="charx">
+                <i class="fa-solid fa-file-zipper"></i>
+                <div class="btx-option-text">
+                    <div class="btx-option-title">CHARX archives (.charx)</div>
+                    <div class="btx-option-desc">Character Card V3 archives with each character's gallery embedded as assets</div>
+                </div>
+            </button>
             <button class="btx-option" data-mode="links">
                 <i class="fa-solid fa-link"></i>
                 <div class="btx-option-text">
@@ -418,6 +195,7 @@ function openExportChooser() {
             const contextMenu = CoreAPI.getModule('context-menu');
             if (mode === 'pngs') contextMenu?.bulkExportPngs?.();
             if (mode === 'links') contextMenu?.bulkExportLinks?.();
+            if (mode === 'charx') CoreAPI.getModule('charx')?.bulkExportCharx?.();
         });
     });
 
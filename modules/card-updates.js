@@ -1,10 +1,12 @@
 import * as CoreAPI from './core-api.js';
+import { getProviderHealth } from './providers/provider-utils.js';
 
 let isInitialized = false;
 let currentUpdateChecks = new Map(); // fullPath -> { local, remote, diffs }
 let abortController = null;
 let pendingBatchCharacters = [];
 let batchCheckPaused = false;
+let batchPauseReason = null; // set when a provider's breaker paused the batch, shown in the progress line
 let batchCheckRunning = false;
 let batchCheckedCount = 0;
 let batchSelectedAvatars = new Set(); // Characters checked for inclusion in Apply All
@@ -137,6 +139,8 @@ export function init(deps) {
 
     window.registerOverlay?.({ id: 'cardUpdateSingleModal', tier: 7, close: () => closeSingleModal(), visible: (el) => el.classList.contains('visible') });
     window.registerOverlay?.({ id: 'cardUpdateBatchModal', tier: 8, close: () => closeBatchModal(), visible: (el) => el.classList.contains('visible') });
+
+    initBackgroundChecks();
     
     isInitialized = true;
     CoreAPI.debugLog('[CardUpdates] Module initialized');
@@ -366,7 +370,7 @@ function generateSideBySideDiff(localValue, remoteValue) {
     return { localHtml, remoteHtml, stats };
 }
 
-function computeWordDiff(oldLine, newLine) {
+export function computeWordDiff(oldLine, newLine) {
     // Tokenize into words (keeping whitespace attached)
     const oldWords = tokenizeForDiff(oldLine);
     const newWords = tokenizeForDiff(newLine);
@@ -632,12 +636,15 @@ async function performSingleCheck(char) {
         
         if (!remoteCard) {
             statusEl.innerHTML = '<i class="fa-solid fa-exclamation-triangle"></i> Could not fetch remote card data';
+            recordCheckResult(char.avatar, null);
             return;
         }
 
+        recordRemoteRevision(char, remoteCard, match);
         const localData = char.data || char;
 
         const diffs = compareCards(localData, remoteCard);
+        recordCheckResult(char.avatar, diffs);
         
         if (diffs.length === 0) {
             statusEl.innerHTML = '<i class="fa-solid fa-check"></i> Character is up to date!';
@@ -1055,7 +1062,8 @@ function lorebookEntryName(entry) {
     return `Entry #${entry.id ?? '?'}`;
 }
 
-function matchLorebookEntries(localEntries, remoteEntries) {
+// Also used by the lorebook manager's world-file merge, on entries mapped to this V2 shape.
+export function matchLorebookEntries(localEntries, remoteEntries) {
     const matched = [];
     const usedRemote = new Set();
     const removed = [];
@@ -1404,6 +1412,7 @@ async function performBatchCheck(characters, allowedFields, startFrom = 0) {
     abortController = new AbortController();
     batchCheckRunning = true;
     batchCheckPaused = false;
+    batchPauseReason = null;
     updateBatchFooter('checking');
     
     let withUpdates = currentUpdateChecks.size;
@@ -1437,6 +1446,12 @@ async function performBatchCheck(characters, allowedFields, startFrom = 0) {
                 continue;
             }
 
+            // Site is failing: stop here instead of erroring out the rest of the list item by item
+            if (getProviderHealth(match.provider).state === 'open') {
+                pauseForUnavailableProvider(match.provider.name, statusEl);
+                break;
+            }
+
             await match.provider.refreshRemoteData(match.linkInfo, {
                 signal: abortController.signal,
                 onStatus: statusEl ? (msg) => {
@@ -1454,13 +1469,16 @@ async function performBatchCheck(characters, allowedFields, startFrom = 0) {
                 batchSelectedAvatars.delete(char.avatar);
                 const cb = itemEl?.querySelector('.card-update-batch-checkbox');
                 if (cb) { cb.checked = false; cb.disabled = true; }
+                if (coversAllFields(allowedFields)) recordCheckResult(char.avatar, null);
                 errors++;
             } else {
+                recordRemoteRevision(char, remoteCard, match);
                 // Ensure heavy fields are loaded before comparing card content
                 await CoreAPI.hydrateCharacter(char);
                 const localData = char.data || char;
 
                 const diffs = compareCards(localData, remoteCard, allowedFields);
+                if (coversAllFields(allowedFields)) recordCheckResult(char.avatar, diffs);
                 
                 if (diffs.length === 0) {
                     if (statusEl) statusEl.innerHTML = '<i class="fa-solid fa-check" style="color: var(--cl-success);"></i> Up to date';
@@ -1482,6 +1500,10 @@ async function performBatchCheck(characters, allowedFields, startFrom = 0) {
                 }
             }
         } catch (error) {
+            if (error?.code === 'PROVIDER_UNAVAILABLE') {
+                pauseForUnavailableProvider(CoreAPI.getCharacterProvider(char)?.provider?.name || error.host, statusEl);
+                break;
+            }
             console.error('[CardUpdates] Batch check error for:', char.avatar, error);
             if (statusEl) statusEl.innerHTML = '<i class="fa-solid fa-xmark"></i> Error';
             if (itemEl) itemEl.dataset.status = 'error';
@@ -1497,7 +1519,9 @@ async function performBatchCheck(characters, allowedFields, startFrom = 0) {
     batchCheckRunning = false;
     
     if (batchCheckPaused) {
-        progressEl.innerHTML = `Paused -- Checked ${batchCheckedCount}/${characters.length}`;
+        progressEl.innerHTML = batchPauseReason
+            ? `Paused -- ${CoreAPI.escapeHtml(batchPauseReason)}. Checked ${batchCheckedCount}/${characters.length}`
+            : `Paused -- Checked ${batchCheckedCount}/${characters.length}`;
         updateBatchFooter('paused');
     } else {
         const unavailableCount = document.querySelectorAll('#cardUpdateBatchList .card-update-batch-item[data-status="unavailable"]').length;
@@ -1614,6 +1638,7 @@ async function applySingleUpdates() {
             }
             
             currentUpdateChecks.delete(avatar);
+            forgetCheckResult(avatar);
         } else {
             CoreAPI.showToast('Failed to apply updates', 'error');
         }
@@ -1780,6 +1805,7 @@ async function applyAllBatchUpdates() {
     let errorCount = 0;
     let processed = 0;
     const total = entries.length;
+    const journal = CoreAPI.getModule('batch-journal')?.beginOperation({ type: 'card-updates', label: 'Apply card updates' });
     
     for (const [avatar, checkData] of entries) {
         const { char, diffs, remoteCard } = checkData;
@@ -1800,13 +1826,19 @@ async function applyAllBatchUpdates() {
             if (versionsModule?.autoSnapshotBeforeChange) {
                 try { await versionsModule.autoSnapshotBeforeChange(char, 'update'); } catch (_) {}
             }
+            const journalPaths = Object.keys(updatedFields);
+            const providerId = hasListingName ? CoreAPI.getCharacterProvider(char)?.provider?.id : null;
+            if (providerId) journalPaths.push(`extensions.${providerId}.pageName`);
+            await journal?.capture(char, journalPaths);
             if (hasListingName) await applyListingName(char, remoteCard);
             const hasCardFields = Object.keys(updatedFields).length > 0;
             const success = hasCardFields ? await CoreAPI.applyCardFieldUpdates(avatar, updatedFields) : true;
             
             if (success) {
+                journal?.settle(char);
                 char._lowerTagline = CoreAPI.getDisplayTagline(char).toLowerCase();
                 successCount++;
+                forgetCheckResult(avatar);
                 
                 // Update batch list
                 const batchItem = document.querySelector(`.card-update-batch-item[data-avatar="${CSS.escape(avatar)}"]`);
@@ -1836,6 +1868,7 @@ async function applyAllBatchUpdates() {
     }
     
     currentUpdateChecks.clear();
+    await journal?.finish();
     
     CoreAPI.showToast(`Updated ${successCount} character${successCount !== 1 ? 's' : ''}${errorCount > 0 ? `, ${errorCount} failed` : ''}`, 
         errorCount > 0 ? 'warning' : 'success');
@@ -1917,6 +1950,19 @@ function pauseBatchCheck() {
     abortController?.abort();
 }
 
+/**
+ * Pause the batch because a provider's circuit breaker is open. The current
+ * item goes back to Pending so Resume picks it up again.
+ * @param {string} providerName
+ * @param {HTMLElement|null} statusEl - Status cell of the item being checked
+ */
+function pauseForUnavailableProvider(providerName, statusEl) {
+    batchCheckPaused = true;
+    batchPauseReason = `${providerName || 'Provider'} is not responding, see notifications for status`;
+    if (statusEl) statusEl.innerHTML = '<i class="fa-solid fa-clock"></i> Pending';
+    CoreAPI.showToast(`${providerName || 'Provider'} is failing repeatedly. Batch check paused; resume once it recovers.`, 'warning');
+}
+
 /**
  * Resume a paused batch check
  */
@@ -2554,6 +2600,411 @@ function injectModals() {
     document.body.insertAdjacentHTML('beforeend', modalsHtml);
 }
 
+// ========================================
+// BACKGROUND CHECKS
+// Opt-in scheduler: while the library is open, linked characters that are not
+// update-locked get re-checked once their last check is older than the
+// configured interval. Results persist via the Files API, so a reload doesn't
+// start over, and characters with differences surface in the notifications bell.
+// Manual checks feed the same record; applying an update clears it.
+// ========================================
+
+const CHECKS_FILE = '_cl_update_checks.json';
+const CHECKS_STORAGE_VERSION = 1;
+const BG_TICK_MS = 5 * 60 * 1000;
+const BG_FIRST_TICK_MS = 60 * 1000;    // let startup work settle before the first pass
+const BG_CHUNK_SIZE = 5;
+const BG_CHUNK_DELAY_MS = 3000;        // keep provider traffic polite between chunks
+const BG_MAX_PER_RUN = 50;             // large libraries are worked through over several ticks
+
+let bgChecks = {};      // avatar -> { checkedAt, hasUpdate, fields, signature, dismissedSignature?, unavailable?, error? }
+let bgLastRunAt = 0;
+let bgLoaded = false;
+let bgLoadingPromise = null;
+let bgSaving = false;
+let bgSaveQueued = false;
+let bgRunning = false;
+let bgAbortController = null;
+let bgTimer = 0;
+
+async function checksFileUpload(name, data) {
+    const base64 = CoreAPI.utf8ToBase64(JSON.stringify(data));
+    const resp = await CoreAPI.apiRequest('/files/upload', 'POST', { name, data: base64 });
+    if (!resp.ok) {
+        const err = await resp.text().catch(() => resp.statusText);
+        throw new Error(`Update checks file upload failed (${resp.status}): ${err}`);
+    }
+    return resp.json();
+}
+
+async function checksFileRead(name) {
+    try {
+        const resp = await fetch(`/user/files/${name}`, { cache: 'no-store' });
+        if (!resp.ok) return null;
+        const text = await resp.text();
+        if (!text || !text.trim()) return null;
+        return JSON.parse(text);
+    } catch {
+        return null;
+    }
+}
+
+async function loadChecksFile() {
+    if (bgLoaded) return;
+    if (bgLoadingPromise) return bgLoadingPromise;
+    bgLoadingPromise = (async () => {
+        const data = await checksFileRead(CHECKS_FILE);
+        if (data && data.version === CHECKS_STORAGE_VERSION && data.checks && typeof data.checks === 'object') {
+            // Anything recorded this session before the read landed is newer
+            bgChecks = { ...data.checks, ...bgChecks };
+            bgLastRunAt = Math.max(bgLastRunAt, Number(data.lastRunAt) || 0);
+        }
+        bgLoaded = true;
+        bgLoadingPromise = null;
+    })();
+    return bgLoadingPromise;
+}
+
+async function saveChecksFile() {
+    if (!bgLoaded) await loadChecksFile();
+    if (bgSaving) {
+        bgSaveQueued = true;
+        return;
+    }
+    bgSaving = true;
+    try {
+        await checksFileUpload(CHECKS_FILE, { version: CHECKS_STORAGE_VERSION, lastRunAt: bgLastRunAt, checks: bgChecks });
+    } catch (e) {
+        console.error('[CardUpdates] Saving update checks failed:', e.message);
+    } finally {
+        bgSaving = false;
+        if (bgSaveQueued) {
+            bgSaveQueued = false;
+            saveChecksFile();
+        }
+    }
+}
+
+// Short content hash of what the remote side changed, so a dismissed update
+// comes back only when the remote card changes again
+function diffSignature(diffs) {
+    const str = JSON.stringify(diffs.map(d => [d.field, d.remote ?? null]));
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        hash ^= str.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16);
+}
+
+function coversAllFields(allowedFields) {
+    return !allowedFields || Object.keys(COMPARABLE_FIELDS).every(f => allowedFields.has(f));
+}
+
+function setCheckEntry(avatar, diffs, extra = {}) {
+    const prev = bgChecks[avatar];
+    const entry = { checkedAt: Date.now(), hasUpdate: false, fields: [], signature: '' };
+    if (diffs) {
+        entry.hasUpdate = diffs.length > 0;
+        entry.fields = diffs.map(d => d.field);
+        entry.signature = entry.hasUpdate ? diffSignature(diffs) : '';
+    } else if (extra.error && prev) {
+        // A failed check keeps the last known result; it is retried next interval
+        Object.assign(entry, { hasUpdate: prev.hasUpdate, fields: prev.fields, signature: prev.signature });
+    }
+    if (extra.unavailable) entry.unavailable = true;
+    if (extra.error) entry.error = extra.error;
+    if (prev?.dismissedSignature && prev.dismissedSignature === entry.signature) {
+        entry.dismissedSignature = prev.dismissedSignature;
+    }
+    bgChecks[avatar] = entry;
+}
+
+/**
+ * Record the outcome of a full-field check.
+ * @param {string} avatar
+ * @param {Array|null} diffs - compareCards() result, or null when the remote card is gone
+ */
+async function recordCheckResult(avatar, diffs) {
+    await loadChecksFile();
+    setCheckEntry(avatar, diffs, diffs ? {} : { unavailable: true });
+    saveChecksFile();
+    CoreAPI.refreshNotificationsUI();
+}
+
+async function forgetCheckResult(avatar) {
+    await loadChecksFile();
+    if (!bgChecks[avatar]) return;
+    delete bgChecks[avatar];
+    saveChecksFile();
+    CoreAPI.refreshNotificationsUI();
+}
+
+function dismissCheckResult(avatar) {
+    const entry = bgChecks[avatar];
+    if (!entry?.hasUpdate) return;
+    entry.dismissedSignature = entry.signature;
+    saveChecksFile();
+}
+
+/**
+ * Linked, non-locked characters whose last recorded check found updates
+ * that have not been dismissed.
+ * @returns {Array<{char: Object, entry: Object}>}
+ */
+function getPendingUpdates() {
+    // Cheap bail-out: this runs on every notifications refresh
+    if (!Object.values(bgChecks).some(e => e.hasUpdate && e.dismissedSignature !== e.signature)) return [];
+    const pending = [];
+    for (const { char } of CoreAPI.getAllLinkedCharacters()) {
+        const entry = bgChecks[char.avatar];
+        if (!entry?.hasUpdate || entry.dismissedSignature === entry.signature) continue;
+        if (CoreAPI.isUpdateLocked(char)) continue;
+        pending.push({ char, entry });
+    }
+    return pending.sort((a, b) => b.entry.checkedAt - a.entry.checkedAt);
+}
+
+/**
+ * Feed a fetched remote card into the version history's recorded timeline.
+ * Fire-and-forget: history is a side record and must never fail a check.
+ */
+function recordRemoteRevision(char, remoteCard, match) {
+    const versionsModule = CoreAPI.getModule('character-versions');
+    versionsModule?.recordRemoteRevision?.(char, remoteCard, match)?.catch?.(() => {});
+}
+
+async function compareForBackground(char, remoteCard) {
+    await CoreAPI.hydrateCharacter(char);
+    return compareCards(char.data || char, remoteCard);
+}
+
+/**
+ * One scheduler pass. Due characters are checked oldest-first, grouped by
+ * provider and in small chunks so a long run never floods a single site.
+ * @param {Object} [options]
+ * @param {boolean} [options.force] - ignore the enabled setting, tab visibility and interval
+ */
+async function runBackgroundCheck({ force = false } = {}) {
+    if (bgRunning || batchCheckRunning) return;
+    const enabled = () => CoreAPI.getSetting('backgroundUpdateChecks') === true;
+    if (!force && (!enabled() || document.hidden)) return;
+
+    await loadChecksFile();
+    const intervalMs = (Number(CoreAPI.getSetting('backgroundUpdateInterval')) || 24) * 3600000;
+    const now = Date.now();
+    const lastChecked = (item) => bgChecks[item.char.avatar]?.checkedAt || 0;
+    const due = CoreAPI.getAllLinkedCharacters()
+        .filter(item => !CoreAPI.isUpdateLocked(item.char))
+        .filter(item => force || now - lastChecked(item) >= intervalMs)
+        .sort((a, b) => lastChecked(a) - lastChecked(b))
+        .slice(0, BG_MAX_PER_RUN);
+    if (due.length === 0) return;
+
+    const byProvider = new Map();
+    for (const item of due) {
+        if (!byProvider.has(item.provider)) byProvider.set(item.provider, []);
+        byProvider.get(item.provider).push(item);
+    }
+
+    bgRunning = true;
+    bgAbortController = new AbortController();
+    const signal = bgAbortController.signal;
+    CoreAPI.refreshNotificationsUI();
+    refreshUpdatesSectionIfOpen();
+    CoreAPI.debugLog(`[CardUpdates] Background check of ${due.length} character(s) across ${byProvider.size} provider(s)`);
+
+    try {
+        let first = true;
+        for (const [provider, items] of byProvider) {
+            for (let i = 0; i < items.length; i += BG_CHUNK_SIZE) {
+                if (!first) await new Promise(r => setTimeout(r, BG_CHUNK_DELAY_MS));
+                first = false;
+                // Stop early when the user turns the feature off or starts a manual batch
+                if (signal.aborted || batchCheckRunning || (!force && !enabled())) return;
+                // Breaker open: leave this provider's characters due for the next run
+                if (getProviderHealth(provider).state === 'open') {
+                    CoreAPI.debugLog(`[CardUpdates] Background check skipping ${provider.name}: provider unavailable`);
+                    break;
+                }
+
+                const chunk = items.slice(i, i + BG_CHUNK_SIZE);
+                const results = await provider.checkForUpdates(chunk, null, { signal, compare: compareForBackground });
+                for (const [idx, result] of results.entries()) {
+                    if (!result?.avatar) continue;
+                    if (result.remoteCard) recordRemoteRevision(chunk[idx].char, result.remoteCard, chunk[idx]);
+                    if (result.error) {
+                        if (signal.aborted || result.errorCode === 'PROVIDER_UNAVAILABLE') continue;
+                        CoreAPI.debugLog('[CardUpdates] Background check failed for', result.avatar, result.error);
+                        setCheckEntry(result.avatar, null, { error: result.error });
+                    } else if (result.unavailable) {
+                        setCheckEntry(result.avatar, null, { unavailable: true });
+                    } else {
+                        setCheckEntry(result.avatar, result.diffs || []);
+                    }
+                }
+                bgLastRunAt = Date.now();
+                saveChecksFile();
+                CoreAPI.refreshNotificationsUI();
+                refreshUpdatesSectionIfOpen();
+            }
+        }
+    } catch (e) {
+        console.error('[CardUpdates] Background check failed:', e);
+    } finally {
+        bgRunning = false;
+        bgAbortController = null;
+        CoreAPI.refreshNotificationsUI();
+        refreshUpdatesSectionIfOpen();
+    }
+}
+
+function startBackgroundScheduler() {
+    if (bgTimer) return;
+    loadChecksFile().then(() => CoreAPI.refreshNotificationsUI());
+    setTimeout(() => runBackgroundCheck(), BG_FIRST_TICK_MS);
+    bgTimer = setInterval(() => runBackgroundCheck(), BG_TICK_MS);
+}
+
+// ========================================
+// NOTIFICATION SECTION
+// ========================================
+
+function formatCheckedAgo(ts) {
+    if (!ts) return 'never';
+    const mins = Math.round((Date.now() - ts) / 60000);
+    if (mins < 1) return 'just now';
+    if (mins < 60) return `${mins} min ago`;
+    const hours = Math.round(mins / 60);
+    if (hours < 48) return `${hours} hour${hours === 1 ? '' : 's'} ago`;
+    return new Date(ts).toLocaleDateString();
+}
+
+function updatesSectionStatus() {
+    const pending = getPendingUpdates();
+    if (pending.length > 0) {
+        const n = pending.length;
+        return {
+            visible: true,
+            level: 'activity',
+            icon: 'fa-solid fa-arrows-rotate',
+            title: `${n} character${n === 1 ? ' has' : 's have'} updates`,
+        };
+    }
+    if (bgRunning) {
+        return { visible: true, level: 'none', title: 'Checking linked characters for updates' };
+    }
+    return { visible: false, level: 'none', title: 'Card updates' };
+}
+
+function renderUpdatesSection(el) {
+    if (!el) return;
+    const esc = CoreAPI.escapeHtml;
+    const pending = getPendingUpdates();
+    if (pending.length === 0 && !bgRunning) {
+        el.innerHTML = '';
+        return;
+    }
+    const parts = ['<div class="cu-notif-section">'];
+    parts.push(`
+        <div class="cu-notif-header">
+            <i class="fa-solid fa-arrows-rotate"></i><span>Card Updates</span>
+            ${pending.length > 1 ? '<button class="cu-notif-btn cu-notif-review-all" data-cu-review-all title="Review all in the batch checker">Review all</button>' : ''}
+        </div>`);
+
+    for (const { char, entry } of pending) {
+        const n = entry.fields.length;
+        const icons = entry.fields.map(f => fieldIcon(f)).join('');
+        parts.push(`
+            <div class="cu-notif-item">
+                <div class="cu-notif-item-body">
+                    <div class="cu-notif-item-line">
+                        <span class="cu-notif-item-name">${esc(CoreAPI.getCharacterName(char) || 'Unknown')}</span>
+                        <span class="cu-notif-item-actions">
+                            <button class="cu-notif-btn" data-cu-review="${esc(char.avatar)}" title="Review changes"><i class="fa-solid fa-magnifying-glass"></i></button>
+                            <button class="cu-notif-btn" data-cu-dismiss="${esc(char.avatar)}" title="Dismiss until the remote card changes again"><i class="fa-solid fa-xmark"></i></button>
+                        </span>
+                    </div>
+                    <div class="cu-notif-item-sub">${n} field${n === 1 ? '' : 's'} changed <span class="cu-notif-item-fields">${icons}</span></div>
+                </div>
+            </div>`);
+    }
+
+    const status = bgRunning
+        ? '<span><i class="fa-solid fa-spinner fa-spin"></i> Checking&hellip;</span>'
+        : `<span>Last checked ${esc(formatCheckedAgo(bgLastRunAt))}</span><button class="cu-notif-btn" data-cu-check-now title="Check linked characters now"><i class="fa-solid fa-rotate-right"></i></button>`;
+    parts.push(`<div class="cu-notif-footer">${status}</div>`);
+    parts.push('</div>');
+    el.innerHTML = parts.join('');
+}
+
+function getUpdatesSectionEl() {
+    return document.querySelector('#notificationsDropdown [data-notif-section="card-updates"]');
+}
+
+function refreshUpdatesSectionIfOpen() {
+    const el = getUpdatesSectionEl();
+    const dropdown = document.getElementById('notificationsDropdown');
+    if (!el || !dropdown || dropdown.classList.contains('hidden')) return;
+    const visible = updatesSectionStatus().visible;
+    el.classList.toggle('hidden', !visible);
+    if (visible) renderUpdatesSection(el);
+}
+
+function wireUpdatesSectionEvents(el) {
+    const closeDropdown = () => document.getElementById('notificationsDropdown')?.classList.add('hidden');
+    const findChar = (avatar) => CoreAPI.getAllCharacters().find(c => c.avatar === avatar);
+    el.addEventListener('click', (e) => {
+        const reviewBtn = e.target.closest('[data-cu-review]');
+        if (reviewBtn) {
+            const char = findChar(reviewBtn.dataset.cuReview);
+            closeDropdown();
+            if (char) checkSingleCharacter(char);
+            return;
+        }
+        if (e.target.closest('[data-cu-review-all]')) {
+            const chars = getPendingUpdates().map(p => p.char);
+            closeDropdown();
+            if (chars.length > 0) showBatchCheckModal(chars);
+            return;
+        }
+        const dismissBtn = e.target.closest('[data-cu-dismiss]');
+        if (dismissBtn) {
+            e.stopPropagation();
+            dismissCheckResult(dismissBtn.dataset.cuDismiss);
+            CoreAPI.refreshNotificationsUI();
+            refreshUpdatesSectionIfOpen();
+            return;
+        }
+        if (e.target.closest('[data-cu-check-now]')) {
+            e.stopPropagation();
+            runBackgroundCheck({ force: true });
+        }
+    });
+}
+
+function initBackgroundChecks() {
+    CoreAPI.registerNotificationSection({
+        id: 'card-updates',
+        getStatus: updatesSectionStatus,
+        onOpen: (el) => renderUpdatesSection(el),
+    });
+    const sectionEl = getUpdatesSectionEl();
+    if (sectionEl) wireUpdatesSectionEvents(sectionEl);
+
+    // Comparing needs data.extensions intact (depth prompt, listing name), so
+    // under ST lazy loading wait for recovery, not just the char list
+    const start = () => {
+        if (CoreAPI.isExtensionsRecoveryInProgress()) {
+            document.addEventListener('cl-extensions-recovered', startBackgroundScheduler, { once: true });
+        } else {
+            startBackgroundScheduler();
+        }
+    };
+    if (CoreAPI.getAllCharacters().length > 0) start();
+    else document.addEventListener('cl-characters-loaded', start, { once: true });
+}
+
 // ========================================
 // EXPORTS
 // ========================================
@@ -48,6 +48,24 @@ const CARD_FIELDS = [
     'tags', 'alternate_greetings', 'nickname', 'character_book'
 ];
 
+// Fields shown in the diff preview (provider + CL namespaces are appended per render)
+const DIFF_FIELDS = [
+    { key: 'name', label: 'Name', icon: 'fa-signature' },
+    { key: 'description', label: 'Description', long: true, icon: 'fa-align-left' },
+    { key: 'personality', label: 'Personality', long: true, icon: 'fa-brain' },
+    { key: 'scenario', label: 'Scenario', long: true, icon: 'fa-map' },
+    { key: 'first_mes', label: 'First Message', long: true, icon: 'fa-comment' },
+    { key: 'mes_example', label: 'Example Messages', long: true, icon: 'fa-comment-dots' },
+    { key: 'system_prompt', label: 'System Prompt', long: true, icon: 'fa-terminal' },
+    { key: 'post_history_instructions', label: 'Post-History Instructions', long: true, icon: 'fa-clipboard-list' },
+    { key: 'creator_notes', label: 'Creator Notes', long: true, icon: 'fa-note-sticky' },
+    { key: 'creator', label: 'Creator', icon: 'fa-user-pen' },
+    { key: 'tags', label: 'Tags', isArray: true, icon: 'fa-tags' },
+    { key: 'alternate_greetings', label: 'Alternate Greetings', long: true, isArray: true, icon: 'fa-comments' },
+    { key: 'nickname', label: 'Nickname', icon: 'fa-id-badge', optional: true },
+    { key: 'character_book', label: 'Embedded Lorebook', icon: 'fa-book' },
+];
+
 // --- Low-level File I/O ---
 
 async function fileUpload(name, data) {
@@ -295,6 +313,81 @@ async function storageClearBackup(versionUid) {
     }
 }
 
+// --- Recorded Remote History ---
+// Providers without a revision API get a timeline built from what the library
+// has seen: each fetched remote card whose content differs from the last
+// recorded one becomes a revision. Keyed by provider link, not version_uid,
+// so background checks never have to write a uid into the card.
+
+const REMOTE_REVISIONS_MAX = 30;
+const remoteHistoryCache = new Map(); // file name -> history file data
+let remoteWriteChain = Promise.resolve();
+
+function remoteHistoryFileName(providerId, remoteId) {
+    // FNV-1a keeps arbitrary provider ids/paths file-name safe
+    const key = `${providerId}:${remoteId}`;
+    let h = 0x811c9dc5;
+    for (let i = 0; i < key.length; i++) {
+        h ^= key.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    const safeProvider = String(providerId).replace(/[^a-z0-9_-]/gi, '_');
+    return `${FILE_PREFIX}remote_${safeProvider}_${(h >>> 0).toString(36)}.json`;
+}
+
+function remoteIdOf(linkInfo) {
+    return String(linkInfo?.id ?? linkInfo?.fullPath ?? '');
+}
+
+async function loadRemoteHistory(providerId, remoteId) {
+    const name = remoteHistoryFileName(providerId, remoteId);
+    if (remoteHistoryCache.has(name)) return remoteHistoryCache.get(name);
+    const data = await fileRead(name);
+    const history = Array.isArray(data?.revisions)
+        ? data
+        : { version: 1, providerId, remoteId, name: '', nextId: 1, revisions: [] };
+    remoteHistoryCache.set(name, history);
+    return history;
+}
+
+function remoteContentKey(card) {
+    return JSON.stringify(CARD_FIELDS.map(f => card?.[f] ?? null));
+}
+
+function changedCardFields(prev, next) {
+    return CARD_FIELDS.filter(f => JSON.stringify(prev?.[f] ?? null) !== JSON.stringify(next?.[f] ?? null));
+}
+
+// Serialized so overlapping checks of one link can't drop a revision
+function storageRecordRemoteRevision(providerId, remoteId, charName, card) {
+    const run = remoteWriteChain.then(async () => {
+        const history = await loadRemoteHistory(providerId, remoteId);
+        const latest = history.revisions[history.revisions.length - 1];
+        if (latest && remoteContentKey(latest.data) === remoteContentKey(card)) return null;
+
+        const id = history.nextId++;
+        history.name = charName;
+        history.revisions.push({
+            id,
+            timestamp: Date.now(),
+            changed: latest ? changedCardFields(latest.data, card) : null,
+            data: JSON.parse(JSON.stringify(card))
+        });
+        if (history.revisions.length > REMOTE_REVISIONS_MAX) {
+            history.revisions.splice(0, history.revisions.length - REMOTE_REVISIONS_MAX);
+        }
+        await fileUpload(remoteHistoryFileName(providerId, remoteId), history);
+        return id;
+    });
+    remoteWriteChain = run.catch(() => {});
+    return run;
+}
+
+async function storageGetRemoteRevision(providerId, remoteId, revisionId) {
+    const history = await loadRemoteHistory(providerId, remoteId);
+    return history.revisions.find(r => r.id === revisionId) || null;
+}
+
 // ========================================
 // ========================================
 
@@ -399,7 +492,8 @@ export function renderVersionsPane(container, char) {
     currentChar = char;
 
     const match = CoreAPI.getCharacterProvider(char);
-    currentProvider = match?.provider?.supportsVersionHistory ? match.provider : null;
+    // Every linked provider gets a Remote tab; those without a revision API show recorded history
+    currentProvider = match?.provider || null;
     currentLinkInfo = match?.linkInfo || null;
 
     currentVersions = [];
@@ -460,6 +554,30 @@ export async function autoSnapshotBeforeChange(char, source = 'edit', opts = {})
     }
 }
 
+/**
+ * Record a freshly fetched remote card in the character's recorded remote
+ * history. No-op for providers with their own version API and for cards whose
+ * content matches the last recorded revision.
+ * @param {Object} char - local character the card was fetched for
+ * @param {Object} remoteCard - V2 card data returned by fetchRemoteCard()
+ * @param {{provider: Object, linkInfo: Object}} [match] - defaults to the character's provider link
+ * @returns {Promise<number|null>} new revision id, or null when nothing was stored
+ */
+export async function recordRemoteRevision(char, remoteCard, match = CoreAPI.getCharacterProvider(char)) {
+    if (!remoteCard || !match?.linkInfo || match.provider?.supportsVersionHistory) return null;
+    const remoteId = remoteIdOf(match.linkInfo);
+    if (!remoteId) return null;
+    try {
+        const charName = remoteCard.name || char?.data?.name || char?.name || '';
+        const id = await storageRecordRemoteRevision(match.provider.id, remoteId, charName, remoteCard);
+        if (id !== null) versionListCache.delete(`${match.provider.id}:${match.linkInfo.fullPath}`);
+        return id;
+    } catch (e) {
+        console.warn('[CharVersions] Failed to record remote revision:', e.message);
+        return null;
+    }
+}
+
 // ========================================
 // SCOPED DOM HELPERS
 // ========================================
@@ -623,6 +741,49 @@ function handleRefresh() {
 // REMOTE VERSIONS
 // ========================================
 
+function usesRecordedHistory() {
+    return !!currentProvider && !currentProvider.supportsVersionHistory;
+}
+
+function describeRevision(rev) {
+    if (!rev.changed) return 'First seen';
+    if (!rev.changed.length) return 'Updated';
+    const labels = rev.changed.map(f => DIFF_FIELDS.find(d => d.key === f)?.label || f);
+    return `Changed ${labels.join(', ')}`;
+}
+
+/**
+ * Version list for the active link. Providers with a revision API answer
+ * directly; the rest fetch the live card first (recording it if it changed)
+ * and return the recorded timeline, newest first.
+ * @returns {Promise<Array<{ref: string, date: string, message: string}>>}
+ */
+async function fetchRemoteVersionList() {
+    if (!usesRecordedHistory()) return currentProvider.fetchVersionList(currentLinkInfo);
+
+    const match = { provider: currentProvider, linkInfo: currentLinkInfo };
+    try {
+        const card = await currentProvider.fetchRemoteCard(currentLinkInfo);
+        if (card) await recordRemoteRevision(currentChar, card, match);
+    } catch (e) {
+        CoreAPI.debugLog('[CharVersions] Live fetch for recorded history failed:', e.message);
+    }
+
+    const history = await loadRemoteHistory(currentProvider.id, remoteIdOf(currentLinkInfo));
+    return [...history.revisions].reverse().map(rev => ({
+        ref: `r${rev.id}`,
+        date: new Date(rev.timestamp).toISOString(),
+        message: describeRevision(rev)
+    }));
+}
+
+async function fetchRemoteVersionData(ref) {
+    if (!usesRecordedHistory()) return currentProvider.fetchVersionData(currentLinkInfo, ref);
+    const id = Number(String(ref).replace(/^r/, ''));
+    const rev = await storageGetRemoteRevision(currentProvider.id, remoteIdOf(currentLinkInfo), id);
+    return rev ? JSON.parse(JSON.stringify(rev.data)) : null;
+}
+
 async function loadRemoteVersions() {
     const gen = _renderGen;
     const status = el('.vt-status');
@@ -642,11 +803,13 @@ async function loadRemoteVersions() {
         status.innerHTML = '<i class="fa-solid fa-spinner fa-spin"></i> Fetching version history...';
         list.innerHTML = '';
 
-        const versions = await currentProvider.fetchVersionList(currentLinkInfo);
+        const versions = await fetchRemoteVersionList();
         if (gen !== _renderGen) return;
 
         if (!versions.length) {
-            status.innerHTML = '<i class="fa-solid fa-info-circle"></i> No version history found';
+            status.innerHTML = usesRecordedHistory()
+                ? `<i class="fa-solid fa-info-circle"></i> No revisions recorded yet — ${esc(currentProvider.name)} could not be reached`
+                : '<i class="fa-solid fa-info-circle"></i> No version history found';
             return;
         }
 
@@ -663,7 +826,9 @@ async function loadRemoteVersions() {
 function renderRemoteList(versions) {
     const status = el('.vt-status');
     const list = el('.vt-list');
-    status.innerHTML = `<i class="fa-solid fa-clock-rotate-left"></i> ${versions.length} version${versions.length !== 1 ? 's' : ''} found`;
+    status.innerHTML = usesRecordedHistory()
+        ? `<i class="fa-solid fa-clock-rotate-left"></i> ${versions.length} revision${versions.length !== 1 ? 's' : ''} seen on ${esc(currentProvider.name)}`
+        : `<i class="fa-solid fa-clock-rotate-left"></i> ${versions.length} version${versions.length !== 1 ? 's' : ''} found`;
 
     // Provider "page" entry - shows what the provider's metadata API returns,
     // which can differ from the Git-exported card.json that versions are based on.
@@ -699,16 +864,18 @@ function renderRemoteList(versions) {
         }
     }
 
+    const recorded = usesRecordedHistory();
     const versionItems = versions.map((v, idx) => {
         const date = new Date(v.date);
         const vid = v.ref?.substring(0, 8) || v.ref;
+        const shownId = recorded ? `#${vid.slice(1)}` : vid;
         const title = v.message || 'Update';
         const isLatest = idx === 0;
         return `
             <div class="vt-item ${isLatest ? 'latest' : ''}" data-ref="${esc(vid)}" data-full-id="${esc(v.ref)}">
                 <div class="vt-item-header">
-                    <span class="vt-item-id">${esc(vid)}</span>
-                    ${isLatest ? '<span class="vt-badge latest">Latest</span>' : ''}
+                    <span class="vt-item-id">${esc(shownId)}</span>
+                    ${isLatest ? `<span class="vt-badge latest">${recorded ? 'Last Seen' : 'Latest'}</span>` : ''}
                 </div>
                 <div class="vt-item-title">${esc(CoreAPI.truncate(title, 55))}</div>
                 <div class="vt-item-date">
@@ -816,14 +983,16 @@ async function selectVersion(shortId, fullId) {
     preview.innerHTML = '<div class="vt-loading"><i class="fa-solid fa-spinner fa-spin"></i> Loading version data...</div>';
 
     const ref = fullId || shortId;
-    const cacheKey = `${currentProvider.id}:${ref}`;
+    // Recorded revision refs are only unique per link
+    const scope = usesRecordedHistory() ? `${remoteIdOf(currentLinkInfo)}:` : '';
+    const cacheKey = `${currentProvider.id}:${scope}${ref}`;
 
     try {
         let card;
         if (versionDataCache.has(cacheKey)) {
             card = versionDataCache.get(cacheKey);
         } else {
-            card = await currentProvider.fetchVersionData(currentLinkInfo, ref);
+            card = await fetchRemoteVersionData(ref);
             if (gen !== _renderGen) return;
             if (card) {
                 if (versionDataCache.size >= VERSION_DATA_CACHE_MAX)
@@ -994,22 +1163,7 @@ function renderDiffPreview(previewEl, localData, compareData) {
         return;
     }
 
-    const fields = [
-        { key: 'name', label: 'Name', icon: 'fa-signature' },
-        { key: 'description', label: 'Description', long: true, icon: 'fa-align-left' },
-        { key: 'personality', label: 'Personality', long: true, icon: 'fa-brain' },
-        { key: 'scenario', label: 'Scenario', long: true, icon: 'fa-map' },
-        { key: 'first_mes', label: 'First Message', long: true, icon: 'fa-comment' },
-        { key: 'mes_example', label: 'Example Messages', long: true, icon: 'fa-comment-dots' },
-        { key: 'system_prompt', label: 'System Prompt', long: true, icon: 'fa-terminal' },
-        { key: 'post_history_instructions', label: 'Post-History Instructions', long: true, icon: 'fa-clipboard-list' },
-        { key: 'creator_notes', label: 'Creator Notes', long: true, icon: 'fa-note-sticky' },
-        { key: 'creator', label: 'Creator', icon: 'fa-user-pen' },
-        { key: 'tags', label: 'Tags', isArray: true, icon: 'fa-tags' },
-        { key: 'alternate_greetings', label: 'Alternate Greetings', long: true, isArray: true, icon: 'fa-comments' },
-        { key: 'nickname', label: 'Nickname', icon: 'fa-id-badge', optional: true },
-        { key: 'character_book', label: 'Embedded Lorebook', icon: 'fa-book' },
-    ];
+    const fields = [...DIFF_FIELDS];
 
     // CL-owned display fallbacks (no provider); gate hides each when neither side carries one.
     fields.push({ key: 'extensions.cl.tagline', label: 'Tagline', icon: 'fa-quote-left', optional: true });
@@ -1279,7 +1433,7 @@ async function restoreVersion() {
         cardData = await currentProvider.fetchRemotePageCard(currentLinkInfo);
         label = `${currentProvider.name} metadata API state`;
     } else if (activeTab === 'remote' && selectedVersionRef && currentProvider) {
-        const raw = await currentProvider.fetchVersionData(currentLinkInfo, selectedVersionRef);
+        const raw = await fetchRemoteVersionData(selectedVersionRef);
         if (!raw) { CoreAPI.showToast('Could not fetch version data', 'error'); return; }
         cardData = raw; // provider returns flat card fields
         label = `${currentProvider.name} version ${selectedVersionRef}`;
@@ -2052,5 +2206,6 @@ export default {
     renderVersionsPane,
     cleanupVersionsPane,
     saveCurrentSnapshot,
-    autoSnapshotBeforeChange
+    autoSnapshotBeforeChange,
+    recordRemoteRevision
 };
@@ -0,0 +1,282 @@
+// CHARX - Character Card V3 archive (.charx) import and export
+//
+// A CHARX is a zip holding card.json (spec chara_card_v3) plus the files its
+// data.assets entries point at through embeded:// URIs. Import unpacks one to a
+// PNG card for the regular local pipeline and hands the other assets to the
+// gallery; export writes a card, its avatar and its gallery files back out.
+
+import * as CoreAPI from './core-api.js';
+import { ZipWriter, parseZip, readZipEntry } from './zip-utils.js';
+
+const enc = new TextEncoder();
+const dec = new TextDecoder();
+
+// The spec spells the scheme "embeded"; accept the corrected spelling some tools write.
+const EMBED_URI_RE = /^embedd?ed:\/\//i;
+
+// Extensions the gallery can show; anything else in an archive is left behind.
+const IMAGE_EXTS = new Set(['png', 'jpg', 'jpeg', 'webp', 'gif', 'bmp']);
+const AUDIO_EXTS = new Set(['mp3', 'wav', 'ogg', 'm4a']);
+const VIDEO_EXTS = new Set(['mp4', 'webm']);
+
+// Asset types whose meaning survives a round trip through the gallery via a
+// "<type>_<name>" file name. Everything else comes back out as a plain extra asset.
+const NAMED_TYPES = ['icon', 'background', 'emotion', 'user_icon'];
+const NAMED_FILE_RE = new RegExp(`^(${NAMED_TYPES.join('|')})_(.+)$`);
+
+// RisuAI's "additional asset" type; the closest thing the format has to a gallery.
+const EXTRA_ASSET_TYPE = 'x-risu-asset';
+
+function mediaKind(ext) {
+    if (IMAGE_EXTS.has(ext)) return 'images';
+    if (AUDIO_EXTS.has(ext)) return 'audio';
+    if (VIDEO_EXTS.has(ext)) return 'videos';
+    return null;
+}
+
+function safeFileBase(name) {
+    return String(name || '').replace(/[<>:"/\\|?*\x00-\x1f]/g, '_').trim().slice(0, 100) || 'asset';
+}
+
+function isPngBytes(bytes) {
+    return bytes.length > 8 && bytes[0] === 0x89 && bytes[1] === 0x50 && bytes[2] === 0x4e && bytes[3] === 0x47;
+}
+
+// ========================================
+// IMPORT
+// ========================================
+
+/**
+ * Unpack a .charx archive into a PNG card plus its gallery-bound assets.
+ * The main icon becomes the card image (converted to PNG when needed; ST's
+ * default avatar when the archive has none). Embedded assets that were
+ * extracted are dropped from data.assets; remote and ccdefault: entries stay.
+ * @param {File} file - The .charx archive
+ * @returns {Promise<{file: File, assets: Array<{fileName: string, ext: string, bytes: Uint8Array}>}>}
+ */
+async function unpackCharxFile(file) {
+    const zip = await parseZip(file);
+    const cardBytes = await readZipEntry(zip, 'card.json');
+    if (!cardBytes) throw new Error('Not a CHARX archive (card.json is missing)');
+
+    let card;
+    try {
+        card = JSON.parse(dec.decode(cardBytes));
+    } catch {
+        throw new Error('card.json is not valid JSON');
+    }
+    if (!card?.data || typeof card.data !== 'object') throw new Error('card.json has no character data');
+
+    const declared = Array.isArray(card.data.assets) ? card.data.assets : [];
+    const isEmbedded = (a) => EMBED_URI_RE.test(String(a?.uri || ''));
+    const mainIcon = declared.find(a => a?.type === 'icon' && a?.name === 'main' && isEmbedded(a))
+        || declared.find(a => a?.type === 'icon' && isEmbedded(a))
+        || null;
+
+    const kept = [];
+    const assets = [];
+    const usedNames = new Set();
+    let icon = null;
+
+    for (const asset of declared) {
+        if (!isEmbedded(asset)) {
+            kept.push(asset);
+            continue;
+        }
+        const path = String(asset.uri).replace(EMBED_URI_RE, '');
+        let bytes = null;
+        try {
+            bytes = await readZipEntry(zip, path);
+        } catch (e) {
+            CoreAPI.debugLog('[CHARX] Could not read asset', path, e.message);
+        }
+        if (!bytes) continue;
+
+        const ext = String(asset.ext || path.split('.').pop() || '').toLowerCase();
+        if (asset === mainIcon) {
+            icon = { bytes, ext };
+            continue;
+        }
+        if (!mediaKind(ext)) {
+            CoreAPI.debugLog('[CHARX] Skipping unsupported asset', path);
+            continue;
+        }
+
+        const type = String(asset.type || '');
+        const base = safeFileBase(NAMED_TYPES.includes(type) ? `${type}_${asset.name || 'asset'}` : (asset.name || path.split('/').pop().replace(/\.[^.]+$/, '')));
+        let fileName = base;
+        for (let n = 2; usedNames.has(`${fileName}.${ext}`.toLowerCase()); n++) fileName = `${base}_${n}`;
+        usedNames.add(`${fileName}.${ext}`.toLowerCase());
+        assets.push({ fileName, ext, bytes });
+    }
+
+    if (Array.isArray(card.data.assets)) card.data.assets = kept;
+
+    let png = null;
+    if (icon) {
+        try {
+            png = isPngBytes(icon.bytes) ? icon.bytes.buffer : await CoreAPI.convertImageToPng(icon.bytes.buffer);
+        } catch (e) {
+            CoreAPI.debugLog('[CHARX] Icon conversion failed, using the default avatar:', e.message);
+        }
+    }
+    if (!png) {
+        const resp = await fetch('/img/ai4.png');
+        if (!resp.ok) throw new Error('Archive has no usable icon and the default avatar could not be loaded');
+        png = await resp.arrayBuffer();
+    }
+
+    const embedded = CoreAPI.embedCharacterDataInPng(png, card);
+    const pngName = `${file.name.replace(/\.charx$/i, '')}.png`;
+    return { file: new File([embedded], pngName, { type: 'image/png' }), assets };
+}
+
+/**
+ * Upload assets from unpackCharxFile into a gallery folder.
+ * @param {Array<{fileName: string, ext: string, bytes: Uint8Array}>} assets
+ * @param {string} folderName - Target gallery folder
+ * @param {Object} [options]
+ * @param {Function} [options.shouldAbort] - Checked between uploads
+ * @returns {Promise<{success: number, errors: number}>}
+ */
+async function uploadCharxAssets(assets, folderName, options = {}) {
+    let success = 0;
+    let errors = 0;
+    for (const asset of assets || []) {
+        if (options.shouldAbort?.()) break;
+        try {
+            const resp = await CoreAPI.apiRequest('/images/upload', 'POST', {
+                image: CoreAPI.arrayBufferToBase64(asset.bytes.buffer),
+                ch_name: folderName,
+                filename: asset.fileName,
+                format: asset.ext,
+            });
+            if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+            success++;
+        } catch (e) {
+            errors++;
+            CoreAPI.debugLog(`[CHARX] Asset upload failed for ${asset.fileName}.${asset.ext}:`, e.message);
+        }
+    }
+    return { success, errors };
+}
+
+// ========================================
+// EXPORT
+// ========================================
+
+/**
+ * Build a spec-compliant CHARX for a library character: card.json, the avatar
+ * as the main icon, and every gallery file as an embedded asset.
+ * @param {Object} char - Library character
+ * @returns {Promise<{blob: Blob, fileCount: number, failedFiles: number}>}
+ */
+async function buildCharx(char) {
+    const resp = await fetch(`/characters/${encodeURIComponent(char.avatar)}`);
+    if (!resp.ok) throw new Error('Failed to fetch character file');
+    const avatarBytes = new Uint8Array(await resp.arrayBuffer());
+
+    let card = CoreAPI.extractCharacterDataFromPng(avatarBytes.buffer);
+    if (!card) throw new Error('No character card data found in the PNG');
+    if (!card.data && card.name) card = { data: card };
+
+    const data = { ...card.data };
+    const assets = (Array.isArray(data.assets) ? data.assets : []).filter(a => a?.type !== 'icon' || a?.name !== 'main');
+    const zip = new ZipWriter();
+    const usedPaths = new Set();
+
+    const iconPath = 'assets/icon/images/main.png';
+    usedPaths.add(iconPath);
+    const files = [{ path: iconPath, bytes: avatarBytes }];
+    assets.unshift({ type: 'icon', uri: `embeded://${iconPath}`, name: 'main', ext: 'png' });
+
+    let fileCount = 0;
+    let failedFiles = 0;
+    const folderName = CoreAPI.getGalleryFolderName(char);
+    const diskFolder = CoreAPI.sanitizeFolderName(folderName) || folderName;
+    if (folderName) {
+        const info = await CoreAPI.getCharacterGalleryInfo(char);
+        const names = (info.files || []).map(f => (typeof f === 'string' ? f : f?.name)).filter(Boolean);
+        for (const fileName of names) {
+            const dot = fileName.lastIndexOf('.');
+            const ext = dot > -1 ? fileName.slice(dot + 1).toLowerCase() : '';
+            const kind = mediaKind(ext);
+            if (!kind) continue;
+            const base = dot > -1 ? fileName.slice(0, dot) : fileName;
+            const named = base.match(NAMED_FILE_RE);
+            const type = named ? named[1] : EXTRA_ASSET_TYPE;
+            const name = named ? named[2] : base;
+            // Zip paths are per-type folders; a name clash only happens across case variants
+            let path = `assets/${named ? type : 'other'}/${kind}/${fileName}`;
+            for (let n = 2; usedPaths.has(path.toLowerCase()); n++) {
+                path = `assets/${named ? type : 'other'}/${kind}/${base}_${n}.${ext}`;
+            }
+            try {
+                const fileResp = await fetch(`/user/images/${encodeURIComponent(diskFolder)}/${encodeURIComponent(fileName)}`);
+                if (!fileResp.ok) throw new Error(`HTTP ${fileResp.status}`);
+                files.push({ path, bytes: new Uint8Array(await fileResp.arrayBuffer()) });
+                usedPaths.add(path.toLowerCase());
+                assets.push({ type, uri: `embeded://${path}`, name, ext });
+                fileCount++;
+            } catch (e) {
+                failedFiles++;
+                CoreAPI.debugLog(`[CHARX] Gallery file "${fileName}" skipped:`, e.message);
+            }
+        }
+    }
+
+    data.assets = assets;
+    if (!Array.isArray(data.group_only_greetings)) data.group_only_greetings = [];
+    data.modification_date = Math.floor(Date.now() / 1000);
+
+    const cardJson = { spec: 'chara_card_v3', spec_version: '3.0', data };
+    zip.addFile('card.json', enc.encode(JSON.stringify(cardJson)));
+    for (const f of files) zip.addFile(f.path, f.bytes);
+    return { blob: zip.finalize(), fileCount, failedFiles };
+}
+
+function charxFileName(char) {
+    return char.name ? `${char.name}.charx` : char.avatar.replace(/\.png$/i, '.charx');
+}
+
+async function exportCharx(char) {
+    try {
+        const { blob, fileCount, failedFiles } = await buildCharx(char);
+        CoreAPI.downloadBlobAsFile(blob, charxFileName(char));
+        let msg = `Exported CHARX with ${fileCount} gallery file${fileCount !== 1 ? 's' : ''}`;
+        if (failedFiles > 0) msg += ` (${failedFiles} failed)`;
+        CoreAPI.showToast(msg, failedFiles > 0 ? 'warning' : 'success');
+    } catch (err) {
+        console.error('[CHARX] Export failed:', err);
+        CoreAPI.showToast(`Failed to export CHARX: ${err.message}`, 'error');
+    }
+}
+
+async function bulkExportCharx(selected = null) {
+    selected = selected || CoreAPI.getSelectedCharacters();
+    if (selected.length === 0) return;
+
+    CoreAPI.showToast(`Exporting ${selected.length} CHARX archives...`, 'info');
+
+    let successCount = 0;
+    for (const char of selected) {
+        try {
+            const { blob } = await buildCharx(char);
+            CoreAPI.downloadBlobAsFile(blob, charxFileName(char));
+            successCount++;
+            // Small delay between downloads to not overwhelm browser
+            await new Promise(r => setTimeout(r, 200));
+        } catch (err) {
+            console.error('[CHARX] Export failed for:', char.name, err);
+        }
+    }
+
+    CoreAPI.showToast(`Exported ${successCount}/${selected.length} characters as CHARX`, successCount === selected.length ? 'success' : 'warning');
+}
+
+export default {
+    unpackCharxFile,
+    uploadCharxAssets,
+    exportCharx,
+    bulkExportCharx,
+};
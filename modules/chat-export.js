@@ -0,0 +1,482 @@
+// Chat Export - renders chats to standalone HTML (avatars and local media
+// inlined), Markdown or plain text, for one chat or a selection (zipped).
+
+import * as CoreAPI from './core-api.js';
+import { ZipWriter } from './zip-utils.js';
+import { BROWSE_PURIFY_CONFIG } from './providers/provider-utils.js';
+
+// ========================================
+// STATE
+// ========================================
+
+let isInitialized = false;
+
+const state = {
+    chats: [],
+    fetchMessages: null,
+    running: false,
+    abort: false,
+};
+
+const enc = new TextEncoder();
+
+const FORMATS = {
+    html: { ext: 'html', mime: 'text/html' },
+    md: { ext: 'md', mime: 'text/markdown' },
+    txt: { ext: 'txt', mime: 'text/plain' },
+};
+
+// Card-supplied <style> blocks would restyle the whole export page, so the
+// browse config is used minus that one tag
+const EXPORT_PURIFY_CONFIG = {
+    ...BROWSE_PURIFY_CONFIG,
+    ALLOWED_TAGS: BROWSE_PURIFY_CONFIG.ALLOWED_TAGS.filter(t => t !== 'style'),
+};
+
+// Inlining stops past this per file so one video-sized image can't balloon the page
+const MAX_INLINE_BYTES = 15 * 1024 * 1024;
+
+function chatTitle(chat) {
+    return (chat.file_name || '').replace('.jsonl', '');
+}
+
+function safeFileBase(name) {
+    return String(name || '').replace(/[<>:"/\\|?*\x00-\x1f]/g, '_').trim().slice(0, 120) || 'chat';
+}
+
+function formatTime(value) {
+    if (!value) return '';
+    const d = new Date(value);
+    return isNaN(d.getTime()) ? '' : d.toLocaleString();
+}
+
+function stripHtml(text) {
+    const doc = new DOMParser().parseFromString(`<body>${text}</body>`, 'text/html');
+    return doc.body.textContent || '';
+}
+
+async function blobToDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
+
+// ========================================
+// MESSAGE MODEL
+// ========================================
+
+/**
+ * Flatten ST chat lines into exportable messages. The header line (chat
+ * metadata only) is dropped; every message keeps its swipes and which one
+ * is current.
+ * @returns {Array<{name, isUser, isSystem, avatar, swipes: Array<{text, time}>, current: number}>}
+ */
+function toExportMessages(lines, chat) {
+    const out = [];
+    for (let i = 0; i < lines.length; i++) {
+        const msg = lines[i];
+        if (i === 0 && msg.chat_metadata && !msg.mes) continue;
+        const hasSwipes = Array.isArray(msg.swipes) && msg.swipes.length > 1;
+        const swipes = hasSwipes
+            ? msg.swipes.map((text, s) => ({ text: text || '', time: msg.swipe_info?.[s]?.send_date || msg.send_date }))
+            : [{ text: msg.mes || '', time: msg.send_date }];
+        const current = hasSwipes ? Math.min(msg.swipe_id ?? 0, swipes.length - 1) : 0;
+
+        let avatar = null;
+        if (msg.is_user) {
+            avatar = msg.force_avatar || null;
+        } else if (chat.isGroup && msg.original_avatar) {
+            avatar = CoreAPI.getCharacterAvatarStThumbUrl(msg.original_avatar) || null;
+        } else if (!chat.isGroup && chat.character?.avatar) {
+            avatar = CoreAPI.getCharacterAvatarStThumbUrl(chat.character.avatar) || null;
+        }
+
+        out.push({
+            name: msg.name || (msg.is_user ? 'User' : (chat.charName || chat.character?.name || 'Character')),
+            isUser: !!msg.is_user,
+            isSystem: !!msg.is_system,
+            avatar,
+            swipes,
+            current,
+        });
+    }
+    return out;
+}
+
+function pickSwipes(m, allSwipes) {
+    return allSwipes ? m.swipes.map((s, i) => ({ ...s, index: i })) : [{ ...m.swipes[m.current], index: m.current }];
+}
+
+// ========================================
+// RENDERERS
+// ========================================
+
+function renderText(chat, messages, opts) {
+    const lines = [
+        chatTitle(chat),
+        `${chat.charName || chat.character?.name || ''} - exported ${new Date().toLocaleString()}`,
+        '',
+    ];
+    for (const m of messages) {
+        for (const s of pickSwipes(m, opts.allSwipes)) {
+            const time = opts.timestamps && s.time ? `[${formatTime(s.time)}] ` : '';
+            const swipeTag = m.swipes.length > 1 && opts.allSwipes
+                ? ` (swipe ${s.index + 1}/${m.swipes.length}${s.index === m.current ? ', shown' : ''})`
+                : '';
+            lines.push(`${time}${m.name}${swipeTag}:`);
+            lines.push(stripHtml(s.text).trim());
+            lines.push('');
+        }
+    }
+    return lines.join('\n');
+}
+
+function renderMarkdown(chat, messages, opts) {
+    const parts = [
+        `# ${chatTitle(chat)}`,
+        '',
+        `**Character:** ${chat.charName || chat.character?.name || ''}  `,
+        `**Messages:** ${messages.length}  `,
+        `**Exported:** ${new Date().toLocaleString()}`,
+        '',
+        '---',
+        '',
+    ];
+    for (const m of messages) {
+        const first = m.swipes[m.current];
+        const time = opts.timestamps && first.time ? ` · ${formatTime(first.time)}` : '';
+        parts.push(`### ${m.isSystem ? '_' : ''}${m.name}${m.isSystem ? '_' : ''}${time}`, '');
+        if (opts.allSwipes && m.swipes.length > 1) {
+            for (const s of pickSwipes(m, true)) {
+                parts.push(`#### Swipe ${s.index + 1}/${m.swipes.length}${s.index === m.current ? ' (shown)' : ''}`, '', s.text.trim(), '');
+            }
+        } else {
+            parts.push(first.text.trim(), '');
+        }
+    }
+    return parts.join('\n');
+}
+
+const HTML_STYLE = `
+body { margin: 0; background: #16161c; color: #e6e6ea; font: 15px/1.55 system-ui, -apple-system, "Segoe UI", sans-serif; }
+main { max-width: 860px; margin: 0 auto; padding: 24px 16px 48px; }
+header { display: flex; gap: 14px; align-items: center; margin-bottom: 24px; padding-bottom: 16px; border-bottom: 1px solid #2c2c36; }
+header img { width: 64px; height: 64px; border-radius: 50%; object-fit: cover; }
+header h1 { margin: 0; font-size: 1.4em; }
+header p { margin: 4px 0 0; color: #9a9aa6; font-size: 0.9em; }
+.msg { display: flex; gap: 12px; margin: 0 0 16px; }
+.msg.user { flex-direction: row-reverse; }
+.avatar { flex: 0 0 40px; width: 40px; height: 40px; border-radius: 50%; object-fit: cover; background: #2c2c36; display: flex; align-items: center; justify-content: center; font-weight: 600; color: #c9c9d3; }
+.bubble { min-width: 0; max-width: 80%; padding: 10px 14px; border-radius: 12px; background: #23232c; }
+.msg.user .bubble { background: #2b3550; }
+.msg.system .bubble { background: transparent; border: 1px dashed #3a3a46; color: #a8a8b4; font-style: italic; }
+.name { font-weight: 600; margin-bottom: 4px; }
+.time { color: #8a8a96; font-size: 0.8em; margin-top: 6px; }
+.swipe { border-top: 1px solid #34343f; margin-top: 10px; padding-top: 8px; }
+.swipe:first-of-type { border-top: none; margin-top: 0; padding-top: 0; }
+.swipe-label { color: #8a8a96; font-size: 0.78em; text-transform: uppercase; letter-spacing: 0.04em; }
+.swipe.shown .swipe-label { color: #a5b4fc; }
+.text img { max-width: 100%; height: auto; border-radius: 6px; }
+.text q, .text .quote { color: #f0c987; }
+.text em { color: #b8b8c4; }
+.text pre, .text code { white-space: pre-wrap; }
+`;
+
+async function renderHtml(chat, messages, opts, ctx) {
+    const charName = chat.charName || chat.character?.name || '';
+    const avatarUrls = new Map();
+    const avatarFor = async (url) => {
+        if (!url || !opts.embedMedia) return url;
+        if (!avatarUrls.has(url)) avatarUrls.set(url, await inlineUrl(url.startsWith('/') ? url : `/${url}`));
+        return avatarUrls.get(url);
+    };
+
+    const formatText = (text) => {
+        const localized = ctx.mediaMap ? CoreAPI.replaceMediaUrlsInText(text, ctx.mediaMap) : text;
+        return CoreAPI.safePurify(CoreAPI.formatRichText(localized, charName, true), EXPORT_PURIFY_CONFIG);
+    };
+
+    const blocks = [];
+    for (const m of messages) {
+        if (state.abort) return null;
+        const avatarSrc = await avatarFor(m.avatar);
+        const avatarHtml = avatarSrc
+            ? `<img class="avatar" src="${CoreAPI.escapeHtml(avatarSrc)}" alt="">`
+            : `<div class="avatar">${CoreAPI.escapeHtml((m.name || '?').charAt(0).toUpperCase())}</div>`;
+        const swipes = pickSwipes(m, opts.allSwipes);
+        const multi = swipes.length > 1;
+        const body = swipes.map(s => `
+            <div class="swipe${s.index === m.current ? ' shown' : ''}">
+                ${multi ? `<div class="swipe-label">Swipe ${s.index + 1}/${m.swipes.length}${s.index === m.current ? ' · shown' : ''}</div>` : ''}
+                <div class="text">${formatText(s.text)}</div>
+                ${opts.timestamps && s.time ? `<div class="time">${CoreAPI.escapeHtml(formatTime(s.time))}</div>` : ''}
+            </div>`).join('');
+        const role = m.isSystem ? 'system' : (m.isUser ? 'user' : 'char');
+        blocks.push(`
+        <div class="msg ${role}">
+            ${m.isSystem ? '' : avatarHtml}
+            <div class="bubble">
+                <div class="name">${CoreAPI.escapeHtml(m.name)}</div>
+                ${body}
+            </div>
+        </div>`);
+    }
+
+    const headerAvatar = await avatarFor(chat.isGroup ? null : CoreAPI.getCharacterAvatarStThumbUrl(chat.character?.avatar));
+    let html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${CoreAPI.escapeHtml(`${charName} - ${chatTitle(chat)}`)}</title>
+<style>${HTML_STYLE}</style>
+</head>
+<body>
+<main>
+    <header>
+        ${headerAvatar ? `<img src="${CoreAPI.escapeHtml(headerAvatar)}" alt="">` : ''}
+        <div>
+            <h1>${CoreAPI.escapeHtml(chatTitle(chat))}</h1>
+            <p>${CoreAPI.escapeHtml(charName)} · ${messages.length} messages · exported ${CoreAPI.escapeHtml(new Date().toLocaleString())}</p>
+        </div>
+    </header>
+    ${blocks.join('')}
+</main>
+</body>
+</html>`;
+
+    if (opts.embedMedia) html = await inlineLocalMedia(html);
+    return html;
+}
+
+/**
+ * Fetch a same-origin URL and return it as a data: URL; the original URL on
+ * failure or when the file is over MAX_INLINE_BYTES.
+ */
+async function inlineUrl(url) {
+    try {
+        const resp = await fetch(url);
+        if (!resp.ok) return url;
+        const blob = await resp.blob();
+        if (blob.size > MAX_INLINE_BYTES) return url;
+        return await blobToDataUrl(blob);
+    } catch {
+        return url;
+    }
+}
+
+// Gallery files (localized media) only exist on this server, so they are
+// inlined; remote URLs stay as links that work anywhere
+async function inlineLocalMedia(html) {
+    const srcs = new Set();
+    for (const m of html.matchAll(/src="(\/user\/images\/[^"]+)"/g)) srcs.add(m[1]);
+    for (const src of srcs) {
+        if (state.abort) break;
+        const data = await inlineUrl(src.replace(/&amp;/g, '&'));
+        if (data !== src) html = html.split(`src="${src}"`).join(`src="${data}"`);
+    }
+    return html;
+}
+
+// ========================================
+// EXPORT
+// ========================================
+
+/**
+ * Render one chat to a file body.
+ * @returns {Promise<{name: string, text: string}|null>} null when aborted
+ */
+async function renderChat(chat, opts) {
+    const lines = await state.fetchMessages(chat);
+    const messages = toExportMessages(lines, chat);
+
+    let text;
+    if (opts.format === 'md') {
+        text = renderMarkdown(chat, messages, opts);
+    } else if (opts.format === 'txt') {
+        text = renderText(chat, messages, opts);
+    } else {
+        let mediaMap = null;
+        if (opts.embedMedia && !chat.isGroup && chat.character?.avatar && CoreAPI.isMediaLocalizationEnabled(chat.character.avatar)) {
+            try {
+                mediaMap = await CoreAPI.buildMediaLocalizationMap(CoreAPI.getGalleryFolderName(chat.character), chat.character.avatar);
+                if (mediaMap && Object.keys(mediaMap).length === 0) mediaMap = null;
+            } catch (e) {
+                CoreAPI.debugLog('[ChatExport] Media map unavailable:', e.message);
+            }
+        }
+        text = await renderHtml(chat, messages, opts, { mediaMap });
+        if (text === null) return null;
+    }
+
+    const who = chat.charName || chat.character?.name || 'chat';
+    return { name: `${safeFileBase(who)} - ${safeFileBase(chatTitle(chat))}.${FORMATS[opts.format].ext}`, folder: safeFileBase(who), text };
+}
+
+async function runExport(opts) {
+    if (state.running) return;
+    state.running = true;
+    state.abort = false;
+    const chats = state.chats;
+    const fmt = FORMATS[opts.format];
+
+    const startBtn = document.getElementById('chatExportStartBtn');
+    if (startBtn) startBtn.disabled = true;
+
+    try {
+        if (chats.length === 1) {
+            setProgress('Rendering chat...');
+            const file = await renderChat(chats[0], opts);
+            if (!file) return;
+            CoreAPI.downloadBlobAsFile(new Blob([file.text], { type: `${fmt.mime};charset=utf-8` }), file.name);
+            CoreAPI.showToast('Chat exported', 'success');
+            closeModal();
+            return;
+        }
+
+        const zip = new ZipWriter();
+        const usedPaths = new Set();
+        let done = 0;
+        let failed = 0;
+        for (const chat of chats) {
+            if (state.abort) return;
+            setProgress(`Rendering ${done + failed + 1}/${chats.length}: ${chatTitle(chat)}`);
+            try {
+                const file = await renderChat(chat, opts);
+                if (!file) return;
+                let path = `${file.folder}/${file.name}`;
+                for (let n = 2; usedPaths.has(path.toLowerCase()); n++) path = `${file.folder}/${file.name.replace(/(\.[^.]+)$/, ` (${n})$1`)}`;
+                usedPaths.add(path.toLowerCase());
+                zip.addFile(path, enc.encode(file.text));
+                done++;
+            } catch (e) {
+                failed++;
+                console.error('[ChatExport] Failed to export', chat.file_name, e);
+            }
+        }
+        if (done === 0) throw new Error('No chats could be exported');
+        const stamp = new Date().toISOString().slice(0, 10);
+        CoreAPI.downloadBlobAsFile(zip.finalize(), `chats_export_${stamp}.zip`);
+        CoreAPI.showToast(`Exported ${done}/${chats.length} chats${failed ? ` (${failed} failed)` : ''}`, failed ? 'warning' : 'success');
+        closeModal();
+    } catch (e) {
+        console.error('[ChatExport] Export failed:', e);
+        CoreAPI.showToast(`Chat export failed: ${e.message}`, 'error');
+        setProgress('');
+    } finally {
+        state.running = false;
+        if (startBtn) startBtn.disabled = false;
+    }
+}
+
+// ========================================
+// MODAL
+// ========================================
+
+function injectModal() {
+    const modalHtml = `
+    <div id="chatExportModal" class="cl-modal cl-modal-drawer cl-drawer-partial">
+        <div class="cl-modal-content cex-content" style="max-width: calc(460px * var(--modal-scale, 1));">
+            <div class="cl-modal-header">
+                <h3><i class="fa-solid fa-file-export"></i> <span id="chatExportTitle">Export Chat</span></h3>
+                <button id="chatExportCloseBtn" class="cl-modal-close"><i class="fa-solid fa-xmark"></i></button>
+            </div>
+            <div class="cl-modal-body cex-body">
+                <div class="cex-group">
+                    <div class="cex-label">Format</div>
+                    <label class="cex-row"><input type="radio" name="cexFormat" value="html" checked><span><strong>HTML</strong> - standalone page with avatars and styling</span></label>
+                    <label class="cex-row"><input type="radio" name="cexFormat" value="md"><span><strong>Markdown</strong> - headings per message, text as written</span></label>
+                    <label class="cex-row"><input type="radio" name="cexFormat" value="txt"><span><strong>Plain text</strong> - names and messages only</span></label>
+                </div>
+                <div class="cex-group">
+                    <div class="cex-label">Swipes</div>
+                    <label class="cex-row"><input type="radio" name="cexSwipes" value="current" checked><span>Current swipe only</span></label>
+                    <label class="cex-row"><input type="radio" name="cexSwipes" value="all"><span>All swipes (the shown one is marked)</span></label>
+                </div>
+                <div class="cex-group">
+                    <label class="cex-row"><input type="checkbox" id="cexTimestamps" checked><span>Include timestamps</span></label>
+                    <label class="cex-row" id="cexEmbedRow"><input type="checkbox" id="cexEmbedMedia" checked><span>Embed avatars and local gallery media</span></label>
+                </div>
+                <div class="cex-progress" id="chatExportProgress"></div>
+            </div>
+            <div class="cl-modal-footer">
+                <button id="chatExportCancelBtn" class="cl-btn cl-btn-secondary">Cancel</button>
+                <button id="chatExportStartBtn" class="cl-btn cl-btn-primary"><i class="fa-solid fa-download"></i> Export</button>
+            </div>
+        </div>
+    </div>`;
+    document.body.insertAdjacentHTML('beforeend', modalHtml);
+
+    const modal = document.getElementById('chatExportModal');
+    document.getElementById('chatExportCloseBtn')?.addEventListener('click', () => closeModal());
+    document.getElementById('chatExportCancelBtn')?.addEventListener('click', () => closeModal());
+    modal?.addEventListener('click', (e) => {
+        if (e.target.id === 'chatExportModal') closeModal();
+    });
+    modal?.querySelectorAll('input[name="cexFormat"]').forEach(r => r.addEventListener('change', syncEmbedRow));
+    document.getElementById('chatExportStartBtn')?.addEventListener('click', () => {
+        const opts = {
+            format: modal.querySelector('input[name="cexFormat"]:checked')?.value || 'html',
+            allSwipes: modal.querySelector('input[name="cexSwipes"]:checked')?.value === 'all',
+            timestamps: !!document.getElementById('cexTimestamps')?.checked,
+            embedMedia: !!document.getElementById('cexEmbedMedia')?.checked,
+        };
+        runExport(opts);
+    });
+}
+
+// Media embedding only applies to HTML
+function syncEmbedRow() {
+    const isHtml = document.querySelector('#chatExportModal input[name="cexFormat"]:checked')?.value === 'html';
+    document.getElementById('cexEmbedRow')?.classList.toggle('disabled', !isHtml);
+    const box = document.getElementById('cexEmbedMedia');
+    if (box) box.disabled = !isHtml;
+}
+
+function setProgress(text) {
+    const el = document.getElementById('chatExportProgress');
+    if (el) el.textContent = text;
+}
+
+function closeModal() {
+    state.abort = true;
+    document.getElementById('chatExportModal')?.classList.remove('visible');
+}
+
+/**
+ * Open the export dialog for one or more chats-view entries.
+ * @param {Array<Object>} chats - Chat entries ({ file_name, isGroup, character, charName, ... })
+ * @param {Object} options
+ * @param {function(Object): Promise<Array>} options.fetchMessages - Loads a chat's JSONL lines
+ */
+function openExportDialog(chats, options = {}) {
+    if (!isInitialized) init();
+    const list = (Array.isArray(chats) ? chats : [chats]).filter(Boolean);
+    if (list.length === 0) return;
+    if (state.running) {
+        CoreAPI.showToast('A chat export is already running', 'warning');
+        return;
+    }
+    state.chats = list;
+    state.fetchMessages = options.fetchMessages;
+
+    const title = document.getElementById('chatExportTitle');
+    if (title) title.textContent = list.length === 1 ? `Export: ${chatTitle(list[0])}` : `Export ${list.length} chats`;
+    setProgress(list.length > 1 ? 'Chats are saved into one .zip, one folder per character.' : '');
+    syncEmbedRow();
+    document.getElementById('chatExportModal')?.classList.add('visible');
+}
+
+function init() {
+    if (isInitialized) return;
+    injectModal();
+    isInitialized = true;
+}
+
+export default {
+    init,
+    openExportDialog,
+};
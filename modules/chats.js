@@ -94,6 +94,389 @@ function clearChatCache() {
     localStorage.removeItem(CHATS_CACHE_KEY);
 }
 
+// ========================================
+// CONTENT SEARCH INDEX
+// ========================================
+// Inverted index over the message text of every chat in the /chats/recent listing.
+// A doc is one chat, keyed the same way findChatByElement resolves it, and carries a
+// signature (message count + last_mes) so a rebuild only re-fetches chats that moved.
+// Postings hold message indexes, not text; hit snippets are fetched when a card scrolls in.
+// Kept next to the chats cache in localStorage; when that is over quota the index lives
+// in memory for the session and rebuilds incrementally on the next visit.
+
+const CHATS_INDEX_KEY = 'st_gallery_chats_search_index';
+const CHATS_INDEX_VERSION = 1;
+const INDEX_TERM_MIN = 2;
+const INDEX_TERM_MAX = 32;
+const INDEX_PREFIX_EXPANSIONS = 200;
+const HIT_SNIPPETS_PER_CHAT = 2;
+
+let contentSearchEnabled = false;
+// { version, nextId, docs: { key: { id, sig, terms[] } }, postings: { term: { id: msgIdx[] } } }
+let searchIndex = null;
+let searchIndexDirty = false;
+let searchIndexQuotaHit = false;
+let indexBuildPromise = null;
+let indexProgress = null;
+// chatKey -> { msgIdxs[], total } for the current content query (drives card hit rows)
+let currentContentHits = new Map();
+let currentContentTerms = [];
+// Terms to mark in the preview modal after a snippet jump (re-applied after media localization)
+let currentPreviewHighlight = null;
+
+// Multi-select (chats view) for bulk export, keyed by chatIndexKey
+let chatSelectMode = false;
+const selectedChatKeys = new Set();
+let _filteredChats = [];
+
+function chatIndexKey(chat) {
+    return chat.isGroup ? `g:${chat.groupId}/${chat.file_name}` : `c:${chat.charAvatar}/${chat.file_name}`;
+}
+
+function chatIndexSignature(chat) {
+    return `${chat.chat_items || chat.mes_count || 0}:${chat.last_mes || ''}`;
+}
+
+function createEmptySearchIndex() {
+    return { version: CHATS_INDEX_VERSION, nextId: 1, docs: {}, postings: {} };
+}
+
+function loadSearchIndex() {
+    if (searchIndex) return searchIndex;
+    try {
+        const raw = localStorage.getItem(CHATS_INDEX_KEY);
+        const data = raw ? JSON.parse(raw) : null;
+        searchIndex = (data && data.version === CHATS_INDEX_VERSION && data.docs && data.postings)
+            ? data
+            : createEmptySearchIndex();
+    } catch (e) {
+        console.warn('[ChatsIndex] Failed to read index:', e);
+        searchIndex = createEmptySearchIndex();
+    }
+    return searchIndex;
+}
+
+function saveSearchIndex() {
+    if (!searchIndex || !searchIndexDirty || searchIndexQuotaHit) return;
+    try {
+        localStorage.setItem(CHATS_INDEX_KEY, JSON.stringify(searchIndex));
+        searchIndexDirty = false;
+        CoreAPI.debugLog(`[ChatsIndex] Saved index (${Object.keys(searchIndex.docs).length} chats, ${Object.keys(searchIndex.postings).length} terms)`);
+    } catch (e) {
+        // Over quota: keep the in-memory copy for this session and stop retrying
+        searchIndexQuotaHit = true;
+        localStorage.removeItem(CHATS_INDEX_KEY);
+        console.warn('[ChatsIndex] Index too large for localStorage, keeping it in memory only:', e);
+    }
+}
+
+function clearSearchIndex() {
+    searchIndex = createEmptySearchIndex();
+    searchIndexDirty = false;
+    searchIndexQuotaHit = false;
+    localStorage.removeItem(CHATS_INDEX_KEY);
+}
+
+// Lowercase, strip diacritics, drop tags/markdown image syntax, split on anything that isnt a letter or digit.
+function tokenizeSearchText(text) {
+    if (!text) return [];
+    const plain = String(text)
+        .replace(/<[^>]*>/g, ' ')
+        .replace(/!\[[^\]]*\]\([^)]*\)/g, ' ')
+        .toLowerCase()
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '');
+    const out = [];
+    for (const t of plain.split(/[^\p{L}\p{N}]+/u)) {
+        if (t.length >= INDEX_TERM_MIN && t.length <= INDEX_TERM_MAX) out.push(t);
+    }
+    return out;
+}
+
+function removeSearchDoc(key) {
+    const doc = searchIndex?.docs[key];
+    if (!doc) return;
+    for (const term of doc.terms) {
+        const posting = searchIndex.postings[term];
+        if (!posting) continue;
+        delete posting[doc.id];
+        if (Object.keys(posting).length === 0) delete searchIndex.postings[term];
+    }
+    delete searchIndex.docs[key];
+    searchIndexDirty = true;
+}
+
+function addSearchDoc(key, sig, messages) {
+    removeSearchDoc(key);
+    const id = searchIndex.nextId++;
+    const termMsgs = new Map();
+    messages.forEach((msg, index) => {
+        if (!msg || (index === 0 && msg.chat_metadata && !msg.mes)) return;
+        for (const term of new Set(tokenizeSearchText(getMessageDisplayText(msg)))) {
+            let list = termMsgs.get(term);
+            if (!list) termMsgs.set(term, list = []);
+            list.push(index);
+        }
+    });
+    for (const [term, idxs] of termMsgs) {
+        (searchIndex.postings[term] ||= {})[id] = idxs;
+    }
+    searchIndex.docs[key] = { id, sig, terms: [...termMsgs.keys()] };
+    searchIndexDirty = true;
+}
+
+/**
+ * Mark a chat's doc stale so the next build re-reads it. Edits keep the message
+ * count (and so the signature) unchanged, which the build alone cant see.
+ */
+function invalidateSearchDoc(chat) {
+    if (!chat || !searchIndex?.docs) return;
+    const doc = searchIndex.docs[chatIndexKey(chat)];
+    if (doc) {
+        doc.sig = '';
+        searchIndexDirty = true;
+        saveSearchIndex();
+    }
+}
+
+async function fetchChatMessages(chat) {
+    const chatFileName = (chat.file_name || '').replace('.jsonl', '');
+    const response = chat.isGroup
+        ? await CoreAPI.apiRequest(ENDPOINTS.CHATS_GROUP_GET, 'POST', { id: chatFileName })
+        : await CoreAPI.apiRequest(ENDPOINTS.CHATS_GET, 'POST', {
+            ch_name: chat.character.name,
+            file_name: chatFileName,
+            avatar_url: chat.character.avatar
+        });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const messages = await response.json();
+    return Array.isArray(messages) ? messages : [];
+}
+
+/**
+ * Bring the index up to date with allChats: drop docs for chats that are gone,
+ * (re)index chats that are new or whose signature changed. Serial on purpose,
+ * each chat is a full JSONL read on the ST server.
+ */
+function ensureSearchIndex() {
+    if (indexBuildPromise) return indexBuildPromise;
+    indexBuildPromise = (async () => {
+        loadSearchIndex();
+        const live = new Map(allChats.map(c => [chatIndexKey(c), c]));
+        for (const key of Object.keys(searchIndex.docs)) {
+            if (!live.has(key)) removeSearchDoc(key);
+        }
+        const stale = allChats.filter(c => searchIndex.docs[chatIndexKey(c)]?.sig !== chatIndexSignature(c));
+        if (stale.length === 0) {
+            saveSearchIndex();
+            return;
+        }
+
+        CoreAPI.debugLog(`[ChatsIndex] Indexing ${stale.length} chat(s)`);
+        indexProgress = { done: 0, total: stale.length };
+        updateIndexIndicator();
+        for (const chat of stale) {
+            try {
+                const messages = await fetchChatMessages(chat);
+                addSearchDoc(chatIndexKey(chat), chatIndexSignature(chat), messages);
+            } catch (e) {
+                CoreAPI.debugLog('[ChatsIndex] Skipped chat:', chat.file_name, e.message);
+            }
+            indexProgress.done++;
+            updateIndexIndicator();
+            if (indexProgress.done % 50 === 0) saveSearchIndex();
+        }
+        saveSearchIndex();
+    })().finally(() => {
+        indexBuildPromise = null;
+        indexProgress = null;
+        updateIndexIndicator();
+        if (contentSearchEnabled && getSearchTerm()) renderChats();
+    });
+    return indexBuildPromise;
+}
+
+function updateIndexIndicator() {
+    let indicator = document.getElementById('chatsIndexIndicator');
+    if (!indexProgress) {
+        indicator?.remove();
+        return;
+    }
+    if (!indicator) {
+        indicator = document.createElement('div');
+        indicator.id = 'chatsIndexIndicator';
+        indicator.className = 'chats-refresh-indicator chats-index-indicator';
+        document.getElementById('chatsView')?.prepend(indicator);
+    }
+    indicator.innerHTML = `<i class="fa-solid fa-magnifying-glass fa-beat-fade"></i> Indexing chat messages ${indexProgress.done}/${indexProgress.total}...`;
+}
+
+/**
+ * Resolve every query term against the postings. A term matches any indexed word
+ * it prefixes (so results follow typing), a chat matches when every term hits
+ * somewhere in it. Messages are ranked by how many distinct terms they carry.
+ * @param {string} query
+ * @returns {{ terms: string[], hits: Map<string, { msgIdxs: number[], total: number }> }}
+ */
+function searchChatContents(query) {
+    const terms = [...new Set(tokenizeSearchText(query))];
+    const hits = new Map();
+    if (!terms.length || !searchIndex) return { terms, hits };
+
+    const vocabulary = Object.keys(searchIndex.postings);
+    let docMsgs = null; // id -> Map(msgIdx -> termsMatched)
+    for (const term of terms) {
+        const matched = new Map();
+        let expansions = 0;
+        for (const word of vocabulary) {
+            if (!word.startsWith(term)) continue;
+            if (++expansions > INDEX_PREFIX_EXPANSIONS) break;
+            for (const [id, idxs] of Object.entries(searchIndex.postings[word])) {
+                if (docMsgs && !docMsgs.has(id)) continue;
+                let set = matched.get(id);
+                if (!set) matched.set(id, set = new Set());
+                for (const i of idxs) set.add(i);
+            }
+        }
+        const next = new Map();
+        for (const [id, set] of matched) {
+            const prev = docMsgs?.get(id) || new Map();
+            for (const i of set) prev.set(i, (prev.get(i) || 0) + 1);
+            next.set(id, prev);
+        }
+        docMsgs = next;
+        if (docMsgs.size === 0) break;
+    }
+
+    const keyById = new Map(Object.entries(searchIndex.docs).map(([key, doc]) => [String(doc.id), key]));
+    for (const [id, msgs] of docMsgs || []) {
+        const key = keyById.get(id);
+        if (!key) continue;
+        const ranked = [...msgs.entries()].sort((a, b) => b[1] - a[1] || b[0] - a[0]).map(([i]) => i);
+        hits.set(key, { msgIdxs: ranked, total: ranked.length });
+    }
+    return { terms, hits };
+}
+
+function escapeRegex(s) {
+    return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Word-start prefix match, same rule the index lookup uses
+function buildTermRegex(terms) {
+    if (!terms?.length) return null;
+    return new RegExp(`(?<![\\p{L}\\p{N}])(?:${terms.map(escapeRegex).join('|')})[\\p{L}\\p{N}]*`, 'giu');
+}
+
+/**
+ * Escaped excerpt around the first term hit, with every hit wrapped in <mark>.
+ * @param {string} text - raw message text
+ * @param {string[]} terms
+ * @returns {string} HTML
+ */
+function buildHitSnippetHtml(text, terms) {
+    const plain = String(text || '').replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+    const re = buildTermRegex(terms);
+    if (!re) return CoreAPI.escapeHtml(plain.slice(0, 160));
+    const first = plain.search(re);
+    const start = Math.max(0, (first === -1 ? 0 : first) - 60);
+    const end = Math.min(plain.length, start + 180);
+    const excerpt = plain.slice(start, end);
+    let html = start > 0 ? '&hellip;' : '';
+    let last = 0;
+    for (const m of excerpt.matchAll(re)) {
+        html += CoreAPI.escapeHtml(excerpt.slice(last, m.index));
+        html += `<mark class="chat-search-mark">${CoreAPI.escapeHtml(m[0])}</mark>`;
+        last = m.index + m[0].length;
+    }
+    html += CoreAPI.escapeHtml(excerpt.slice(last));
+    if (end < plain.length) html += '&hellip;';
+    return html;
+}
+
+// Wrap term hits inside already-rendered message HTML; text nodes only, so markup stays intact.
+function highlightTermsInElement(root, terms) {
+    const re = buildTermRegex(terms);
+    if (!root || !re) return 0;
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+    const nodes = [];
+    while (walker.nextNode()) nodes.push(walker.currentNode);
+    let count = 0;
+    for (const node of nodes) {
+        const text = node.nodeValue;
+        re.lastIndex = 0;
+        if (!re.test(text)) continue;
+        re.lastIndex = 0;
+        const frag = document.createDocumentFragment();
+        let last = 0;
+        for (const m of text.matchAll(re)) {
+            if (m.index > last) frag.appendChild(document.createTextNode(text.slice(last, m.index)));
+            const mark = document.createElement('mark');
+            mark.className = 'chat-search-mark';
+            mark.textContent = m[0];
+            frag.appendChild(mark);
+            last = m.index + m[0].length;
+            count++;
+        }
+        if (last < text.length) frag.appendChild(document.createTextNode(text.slice(last)));
+        node.parentNode.replaceChild(frag, node);
+    }
+    return count;
+}
+
+function buildChatHitsHtml(chat) {
+    const hit = currentContentHits.get(chatIndexKey(chat));
+    if (!hit) return '';
+    const label = `${hit.total} matching message${hit.total === 1 ? '' : 's'}`;
+    return `
+        <div class="chat-card-hits">
+            <div class="chat-hits-count"><i class="fa-solid fa-magnifying-glass"></i> ${label}</div>
+            <div class="chat-hits-list"><span class="chat-hits-loading">Loading matches...</span></div>
+        </div>
+    `;
+}
+
+async function loadChatHitSnippets(el) {
+    if (!el.dataset.needsHits) return;
+    el.removeAttribute('data-needs-hits');
+    const chat = findChatByElement(el);
+    const hit = chat && currentContentHits.get(chatIndexKey(chat));
+    const listEl = el.querySelector('.chat-card-hits .chat-hits-list');
+    if (!hit || !listEl) return;
+    const terms = currentContentTerms;
+    try {
+        const messages = await fetchChatMessages(chat);
+        const rows = hit.msgIdxs.slice(0, HIT_SNIPPETS_PER_CHAT).map(idx => {
+            const msg = messages[idx];
+            if (!msg) return '';
+            const who = msg.is_user ? 'You' : (msg.name || chat.charName || 'Character');
+            return `<button class="chat-hit" data-msg-index="${idx}" title="Jump to this message">
+                <span class="chat-hit-who">${CoreAPI.escapeHtml(who)}:</span> ${buildHitSnippetHtml(getMessageDisplayText(msg), terms)}
+            </button>`;
+        }).join('');
+        listEl.innerHTML = rows || '<span class="chat-hits-loading">Matches changed, refresh to re-index</span>';
+    } catch {
+        listEl.innerHTML = '<span class="chat-hits-loading">Could not load matches</span>';
+    }
+}
+
+function getSearchTerm() {
+    return (document.getElementById('searchInput')?.value || '').toLowerCase().trim();
+}
+
+function syncContentSearchToggle() {
+    contentSearchEnabled = !!CoreAPI.getSetting('chatContentSearch');
+    const btn = document.getElementById('chatsContentSearchBtn');
+    if (btn) {
+        btn.classList.toggle('active', contentSearchEnabled);
+        btn.title = contentSearchEnabled ? 'Searching message contents (click to search names only)' : 'Search message contents';
+    }
+    const searchInput = document.getElementById('searchInput');
+    if (searchInput && CoreAPI.getCurrentView() === 'chats') {
+        searchInput.placeholder = contentSearchEnabled ? 'Search chat messages...' : 'Search chats...';
+    }
+}
+
 // ========================================
 // CHARACTER MODAL - CHATS TAB
 // ========================================
@@ -337,15 +720,22 @@ function initChatsView() {
     // Register chats lazy-load: load on first visit
     CoreAPI.onViewEnter('chats', () => {
         syncChatCardDensity();
+        syncContentSearchToggle();
         if (allChats.length === 0) {
             loadAllChats();
+        } else if (contentSearchEnabled) {
+            ensureSearchIndex();
         }
     });
     // Lazy import races switchView's synchronous enter callbacks: the first chats entry fires them before this registration exists, so catch up.
-    if (CoreAPI.getCurrentView() === 'chats') syncChatCardDensity();
+    if (CoreAPI.getCurrentView() === 'chats') {
+        syncChatCardDensity();
+        syncContentSearchToggle();
+    }
 
     CoreAPI.onViewExit('chats', () => {
         disconnectObservers();
+        if (chatSelectMode) setChatSelectMode(false);
     });
 
     // Chats Sort Select
@@ -354,6 +744,14 @@ function initChatsView() {
         renderChats();
     });
 
+    // Content search toggle (persisted). Turning it on kicks off the incremental index build.
+    CoreAPI.onElement('chatsContentSearchBtn', 'click', () => {
+        CoreAPI.setSetting('chatContentSearch', !contentSearchEnabled);
+        syncContentSearchToggle();
+        if (contentSearchEnabled) ensureSearchIndex();
+        renderChats();
+    });
+
     // Card density (persisted; class-only, cards restyle via CSS)
     CoreAPI.onElement('chatsDensitySelect', 'change', (e) => {
         CoreAPI.setSetting('chatCardDensity', e.target.value);
@@ -371,6 +769,22 @@ function initChatsView() {
         });
     });
 
+    // Selection mode (bulk export)
+    CoreAPI.onElement('chatsSelectBtn', 'click', () => setChatSelectMode(!chatSelectMode));
+    CoreAPI.onElement('chatsSelectDoneBtn', 'click', () => setChatSelectMode(false));
+    CoreAPI.onElement('chatsSelectAllBtn', 'click', () => {
+        _filteredChats.forEach(chat => selectedChatKeys.add(chatIndexKey(chat)));
+        syncChatSelectionUI();
+    });
+    CoreAPI.onElement('chatsSelectClearBtn', 'click', () => {
+        selectedChatKeys.clear();
+        syncChatSelectionUI();
+    });
+    CoreAPI.onElement('chatsSelectExportBtn', 'click', () => {
+        const chats = allChats.filter(chat => selectedChatKeys.has(chatIndexKey(chat)));
+        if (chats.length > 0) exportChats(chats);
+    });
+
     // Refresh Chats Button - force full refresh
     CoreAPI.onElement('refreshChatsViewBtn', 'click', () => {
         clearChatCache();
@@ -387,6 +801,12 @@ function initChatsView() {
         }
     });
 
+    CoreAPI.onElement('chatPreviewExportBtn', 'click', () => {
+        if (currentPreviewChat) {
+            exportChats([currentPreviewChat]);
+        }
+    });
+
     CoreAPI.onElement('chatPreviewDeleteBtn', 'click', () => {
         if (currentPreviewChat) {
             deleteChatFromView(currentPreviewChat);
@@ -468,6 +888,11 @@ function initChatsView() {
             const chat = findChatByElement(card);
             if (!chat) return;
 
+            if (chatSelectMode) {
+                toggleChatSelected(chat, card);
+                return;
+            }
+
             const charNameEl = e.target.closest('.clickable-char-name');
             if (charNameEl && !chat.isGroup) {
                 e.stopPropagation();
@@ -475,10 +900,18 @@ function initChatsView() {
                 return;
             }
 
+            const hitEl = e.target.closest('.chat-hit');
+            if (hitEl) {
+                e.stopPropagation();
+                openChatPreview(chat, { messageIndex: parseInt(hitEl.dataset.msgIndex, 10), highlightTerms: currentContentTerms });
+                return;
+            }
+
             const actionBtn = e.target.closest('.chat-card-action, .chat-lore-btn');
             if (actionBtn) {
                 e.stopPropagation();
                 if (actionBtn.dataset.action === 'open') openChatInST(chat);
+                else if (actionBtn.dataset.action === 'export') exportChats([chat]);
                 else if (actionBtn.dataset.action === 'delete') deleteChatFromView(chat);
                 else if (actionBtn.dataset.action === 'lore' && !chat.isGroup) openChatLorePicker(chat.character, chat);
                 return;
@@ -518,10 +951,23 @@ function initChatsView() {
             const chat = findChatByElement(item);
             if (!chat) return;
 
+            if (chatSelectMode) {
+                toggleChatSelected(chat, item);
+                return;
+            }
+
+            const hitEl = e.target.closest('.chat-hit');
+            if (hitEl) {
+                e.stopPropagation();
+                openChatPreview(chat, { messageIndex: parseInt(hitEl.dataset.msgIndex, 10), highlightTerms: currentContentTerms });
+                return;
+            }
+
             const actionBtn = e.target.closest('.chat-card-action, .chat-lore-btn');
             if (actionBtn) {
                 e.stopPropagation();
                 if (actionBtn.dataset.action === 'open') openChatInST(chat);
+                else if (actionBtn.dataset.action === 'export') exportChats([chat]);
                 else if (actionBtn.dataset.action === 'delete') deleteChatFromView(chat);
                 else if (actionBtn.dataset.action === 'lore' && !chat.isGroup) openChatLorePicker(chat.character, chat);
                 return;
@@ -534,6 +980,49 @@ function initChatsView() {
     CoreAPI.debugLog('Chats view initialized');
 }
 
+// ========================================
+// SELECTION & EXPORT
+// ========================================
+
+function isChatSelected(chat) {
+    return chatSelectMode && selectedChatKeys.has(chatIndexKey(chat));
+}
+
+function setChatSelectMode(enabled) {
+    chatSelectMode = enabled;
+    if (!enabled) selectedChatKeys.clear();
+    document.getElementById('chatsSelectBtn')?.classList.toggle('active', enabled);
+    document.getElementById('chatsSelectBar')?.classList.toggle('hidden', !enabled);
+    document.getElementById('chatsView')?.classList.toggle('chats-selecting', enabled);
+    syncChatSelectionUI();
+}
+
+function toggleChatSelected(chat, el) {
+    const key = chatIndexKey(chat);
+    if (selectedChatKeys.has(key)) selectedChatKeys.delete(key);
+    else selectedChatKeys.add(key);
+    el.classList.toggle('selected', selectedChatKeys.has(key));
+    syncChatSelectionUI(false);
+}
+
+// Class sync walks rendered cards only; pages appended later pick up state from isChatSelected
+function syncChatSelectionUI(updateCards = true) {
+    const count = selectedChatKeys.size;
+    const countEl = document.getElementById('chatsSelectCount');
+    if (countEl) countEl.textContent = `${count} selected`;
+    const exportBtn = document.getElementById('chatsSelectExportBtn');
+    if (exportBtn) exportBtn.disabled = count === 0;
+    if (!updateCards) return;
+    document.querySelectorAll('#chatsGrid .chat-card, #chatsGroupedView .chat-group-item').forEach(el => {
+        const chat = findChatByElement(el);
+        el.classList.toggle('selected', !!chat && isChatSelected(chat));
+    });
+}
+
+function exportChats(chats) {
+    window.openChatExportDialog?.(chats, { fetchMessages: fetchChatMessages });
+}
+
 function findChatByElement(el) {
     const chatFile = el.dataset.chatFile;
     if (!chatFile) return null;
@@ -588,6 +1077,7 @@ async function loadAllChats(forceRefresh = false) {
 
         // Render immediately from cache
         renderChats();
+        if (contentSearchEnabled) ensureSearchIndex();
 
         // If cache is old, do background refresh
         if (cacheAge > CHATS_CACHE_MAX_AGE) {
@@ -764,6 +1254,7 @@ async function fetchFreshChats(isBackground = false) {
         allChats = newChats;
         renderChats();
         saveChatCache(allChats);
+        if (contentSearchEnabled) ensureSearchIndex();
 
     } catch (e) {
         console.error('Failed to load chats:', e);
@@ -836,10 +1327,22 @@ function updateChatCardPreview(chat) {
 // ========================================
 
 function renderChats() {
-    const searchTerm = document.getElementById('searchInput').value.toLowerCase().trim();
+    const searchTerm = getSearchTerm();
     let filteredChats = allChats;
 
-    if (searchTerm) {
+    currentContentHits = new Map();
+    currentContentTerms = [];
+    if (searchTerm && contentSearchEnabled) {
+        // Name matches still count; content hits come from whatever part of the index is built so far
+        const { terms, hits } = searchChatContents(searchTerm);
+        currentContentHits = hits;
+        currentContentTerms = terms;
+        filteredChats = allChats.filter(chat => {
+            const chatName = (chat.file_name || '').toLowerCase();
+            const charName = (chat.charName || '').toLowerCase();
+            return chatName.includes(searchTerm) || charName.includes(searchTerm) || hits.has(chatIndexKey(chat));
+        });
+    } else if (searchTerm) {
         filteredChats = allChats.filter(chat => {
             const chatName = (chat.file_name || '').toLowerCase();
             const charName = (chat.charName || '').toLowerCase();
@@ -854,6 +1357,7 @@ function renderChats() {
     }
 
     filteredChats = sortChats(filteredChats);
+    _filteredChats = filteredChats;
 
     if (currentGrouping === 'flat') {
         renderFlatChats(filteredChats);
@@ -925,7 +1429,7 @@ function renderFlatChats(chats) {
             <div class="chats-empty">
                 <i class="fa-solid fa-search"></i>
                 <h3>No Matching Chats</h3>
-                <p>Try a different search term.</p>
+                <p>${indexBuildPromise ? 'Still indexing messages, more results may appear.' : 'Try a different search term.'}</p>
             </div>
         `;
         return;
@@ -1086,7 +1590,8 @@ function setupPreviewObserver() {
             if (!entry.isIntersecting) continue;
             const el = entry.target;
             _previewObserver.unobserve(el);
-            lazyLoadPreview(el);
+            if (el.dataset.needsPreview) lazyLoadPreview(el);
+            loadChatHitSnippets(el);
         }
     }, { rootMargin: '200px' });
 
@@ -1095,12 +1600,12 @@ function setupPreviewObserver() {
 
 function observeNewCards() {
     if (!_previewObserver) return;
-    // Observe flat cards that still need preview
-    document.querySelectorAll('.chat-card[data-needs-preview="1"]').forEach(card => {
+    // Observe flat cards that still need preview or content-hit snippets
+    document.querySelectorAll('.chat-card[data-needs-preview="1"], .chat-card[data-needs-hits="1"]').forEach(card => {
         _previewObserver.observe(card);
     });
-    // Observe grouped items that still need preview
-    document.querySelectorAll('.chat-group-item[data-needs-preview="1"]').forEach(item => {
+    // Observe grouped items that still need preview or content-hit snippets
+    document.querySelectorAll('.chat-group-item[data-needs-preview="1"], .chat-group-item[data-needs-hits="1"]').forEach(item => {
         _previewObserver.observe(item);
     });
 }
@@ -1315,9 +1820,10 @@ function createChatCard(chat) {
     }
 
     const groupBadge = chat.isGroup ? '<span class="chat-group-badge"><i class="fa-solid fa-users"></i> Group</span>' : '';
+    const hitsHtml = buildChatHitsHtml(chat);
 
     return `
-        <div class="chat-card ${isActive ? 'active' : ''} ${chat.isGroup ? 'group-chat' : ''}" ${chatDataAttrs(chat)}${needsPreview ? ' data-needs-preview="1"' : ''}>
+        <div class="chat-card ${isActive ? 'active' : ''} ${chat.isGroup ? 'group-chat' : ''}${isChatSelected(chat) ? ' selected' : ''}" ${chatDataAttrs(chat)}${needsPreview ? ' data-needs-preview="1"' : ''}${hitsHtml ? ' data-needs-hits="1"' : ''}>
             <div class="chat-card-header">
                 ${avatarHtml}
                 <div class="chat-card-char-info">
@@ -1327,6 +1833,7 @@ function createChatCard(chat) {
             </div>
             <div class="chat-card-body">
                 <div class="chat-card-preview">${previewHtml}</div>
+                ${hitsHtml}
             </div>
             <div class="chat-card-footer">
                 <div class="chat-card-meta">
@@ -1339,6 +1846,9 @@ function createChatCard(chat) {
                     <button class="chat-card-action" data-action="open" title="Open in SillyTavern">
                         <i class="fa-solid fa-arrow-up-right-from-square"></i>
                     </button>
+                    <button class="chat-card-action" data-action="export" title="Export chat">
+                        <i class="fa-solid fa-file-export"></i>
+                    </button>
                     <button class="chat-card-action danger" data-action="delete" title="Delete chat">
                         <i class="fa-solid fa-trash"></i>
                     </button>
@@ -1362,13 +1872,15 @@ function createGroupedChatItem(chat) {
     } else {
         previewText = '<span class="no-preview">No messages</span>';
     }
+    const hitsHtml = buildChatHitsHtml(chat);
 
     return `
-        <div class="chat-group-item" ${chatDataAttrs(chat)}${needsPreview ? ' data-needs-preview="1"' : ''}>
+        <div class="chat-group-item${isChatSelected(chat) ? ' selected' : ''}" ${chatDataAttrs(chat)}${needsPreview ? ' data-needs-preview="1"' : ''}${hitsHtml ? ' data-needs-hits="1"' : ''}>
             <div class="chat-group-item-icon"><i class="fa-solid fa-message"></i></div>
             <div class="chat-group-item-info">
                 <div class="chat-group-item-name">${CoreAPI.escapeHtml(chatName)}</div>
                 <div class="chat-group-item-preview">${previewText}</div>
+                ${hitsHtml}
                 <div class="chat-group-item-meta">
                     <span><i class="fa-solid fa-calendar"></i> ${lastDate}</span>
                     <span><i class="fa-solid fa-comment"></i> ${messageCount}</span>
@@ -1380,6 +1892,9 @@ function createGroupedChatItem(chat) {
                 <button class="chat-card-action" data-action="open" title="Open in SillyTavern">
                     <i class="fa-solid fa-arrow-up-right-from-square"></i>
                 </button>
+                <button class="chat-card-action" data-action="export" title="Export chat">
+                    <i class="fa-solid fa-file-export"></i>
+                </button>
                 <button class="chat-card-action danger" data-action="delete" title="Delete chat">
                     <i class="fa-solid fa-trash"></i>
                 </button>
@@ -1392,9 +1907,16 @@ function createGroupedChatItem(chat) {
 // CHAT PREVIEW MODAL
 // ========================================
 
-async function openChatPreview(chat) {
+/**
+ * @param {Object} chat - chats-view entry
+ * @param {Object} [opts]
+ * @param {number} [opts.messageIndex] - scroll to this message instead of the bottom
+ * @param {string[]} [opts.highlightTerms] - content-search terms to mark in the opened chat
+ */
+async function openChatPreview(chat, opts = {}) {
     currentPreviewChat = chat;
     currentPreviewChar = chat.isGroup ? null : chat.character;
+    currentPreviewHighlight = opts.highlightTerms?.length ? opts.highlightTerms : null;
 
     const modal = document.getElementById('chatPreviewModal');
     const avatarImg = document.getElementById('chatPreviewAvatar');
@@ -1497,6 +2019,7 @@ async function openChatPreview(chat) {
         }
 
         renderChatMessages(messages, chat.isGroup ? null : chat.character, chat.isGroup);
+        if (Number.isInteger(opts.messageIndex)) jumpToPreviewMessage(opts.messageIndex);
 
     } catch (e) {
         console.error('Failed to load chat:', e);
@@ -1602,6 +2125,7 @@ function renderChatMessages(messages, character, isGroupChat = false) {
     container.querySelectorAll('.chat-message-text').forEach(el => {
         const msgIndex = parseInt(el.closest('.chat-message').dataset.msgIndex, 10);
         if (formattedTexts[msgIndex]) el.innerHTML = formattedTexts[msgIndex];
+        if (currentPreviewHighlight) highlightTermsInElement(el, currentPreviewHighlight);
     });
 
     container.querySelectorAll('.chat-msg-action-btn').forEach(btn => {
@@ -1648,6 +2172,16 @@ function renderChatMessages(messages, character, isGroupChat = false) {
     }
 }
 
+// Content-search jump: center the hit message and flash it
+function jumpToPreviewMessage(messageIndex) {
+    const container = document.getElementById('chatPreviewMessages');
+    const msgEl = container?.querySelector(`.chat-message[data-msg-index="${messageIndex}"]`);
+    if (!msgEl) return;
+    msgEl.scrollIntoView({ block: 'center' });
+    msgEl.classList.add('chat-message-search-hit');
+    setTimeout(() => msgEl.classList.remove('chat-message-search-hit'), 2500);
+}
+
 function getMessageDisplayText(msg) {
     const rawSwipeId = msg.swipe_id ?? 0;
     const swipeId = msg.swipes?.length > 1 ? Math.min(rawSwipeId, msg.swipes.length - 1) : 0;
@@ -1675,6 +2209,7 @@ async function localizeChatPreviewMessages(character, gen) {
             const localized = CoreAPI.replaceMediaUrlsInText(raw, map);
             if (localized !== raw) {
                 el.innerHTML = CoreAPI.safePurify(CoreAPI.formatRichText(localized, charName, true), BROWSE_PURIFY_CONFIG);
+                if (currentPreviewHighlight) highlightTermsInElement(el, currentPreviewHighlight);
             }
         });
     } catch (e) {
@@ -1846,6 +2381,10 @@ async function deleteChatFromView(chat) {
             if (idx !== -1) {
                 allChats.splice(idx, 1);
             }
+            if (searchIndex) {
+                removeSearchDoc(chatIndexKey(chat));
+                saveSearchIndex();
+            }
 
             if (currentPreviewChat === chat) {
                 document.getElementById('chatPreviewModal').classList.add('hidden');
@@ -1938,6 +2477,7 @@ async function editChatMessage(messageIndex) {
 
             if (success) {
                 CoreAPI.showToast('Message updated', 'success');
+                invalidateSearchDoc(currentPreviewChat);
                 closeEditModal();
                 renderChatMessages(currentChatMessages, currentPreviewChat.isGroup ? null : currentPreviewChat.character, currentPreviewChat.isGroup);
                 clearChatCache();
@@ -1984,6 +2524,7 @@ async function deleteChatMessage(messageIndex) {
 
         if (success) {
             CoreAPI.showToast('Message deleted', 'success');
+            invalidateSearchDoc(currentPreviewChat);
             renderChatMessages(currentChatMessages, currentPreviewChat.isGroup ? null : currentPreviewChat.character, currentPreviewChat.isGroup);
 
             const countEl = document.getElementById('chatPreviewMessageCount');
@@ -2220,9 +2761,12 @@ async function listCharacterChatsWithMeta(char) {
  * Data-only (no DOM). Used by the Lorebook Manager to build a world -> chats reverse index
  * for its "Used by: Chats" lens. One /chats/recent call (no max = all chats) with metadata.
  * Group chats are excluded (different save path; manager shows them read-only if at all).
- * @returns {Promise<Array<{avatar, charName, char, file_name, world}>>}
+ * includeUnbound keeps chats without a book too (world: null); the stats view counts those.
+ * @param {Object} [options]
+ * @param {boolean} [options.includeUnbound]
+ * @returns {Promise<Array<{avatar, charName, char, file_name, last_mes, chat_items, world}>>}
  */
-async function listAllChatsWithMeta() {
+async function listAllChatsWithMeta(options = {}) {
     try {
         const resp = await CoreAPI.apiRequest(ENDPOINTS.CHATS_RECENT, 'POST', { metadata: true });
         if (!resp.ok) return [];
@@ -2233,8 +2777,8 @@ async function listAllChatsWithMeta() {
         const out = [];
         for (const chat of recent) {
             if (chat.group || !chat.avatar) continue; // single-char only
-            const world = chat.chat_metadata?.[CHAT_LORE_KEY];
-            if (!world) continue; // only chats that actually bind a book
+            const world = chat.chat_metadata?.[CHAT_LORE_KEY] || null;
+            if (!world && !options.includeUnbound) continue; // only chats that actually bind a book
             const char = charByAvatar.get(chat.avatar);
             out.push({
                 avatar: chat.avatar,
@@ -331,6 +331,12 @@ function buildSingleMenuItems(char, cardElement) {
         label: 'Export Character',
         action: () => exportCharacter(char)
     });
+
+    items.push({
+        icon: 'fa-solid fa-file-zipper',
+        label: 'Export as CHARX',
+        action: () => CoreAPI.getModule('charx')?.exportCharx?.(char)
+    });
     
     items.push({ type: 'separator' });
     
@@ -427,14 +433,21 @@ async function bulkToggleFavorites(setFavorite) {
 
     CoreAPI.showToast(`Updating ${selected.length} characters...`, 'info');
 
+    const journal = CoreAPI.getModule('batch-journal')?.beginOperation({
+        type: 'favorites',
+        label: setFavorite ? 'Add to favorites' : 'Remove from favorites',
+    });
+
     for (const char of selected) {
         try {
+            await journal?.capture(char, ['extensions.fav']);
             const success = await CoreAPI.applyCardFieldUpdates(char.avatar, {
                 'extensions.fav': setFavorite,
             });
             if (success) {
                 char.fav = setFavorite;
                 CoreAPI.updateCharacterCardFavoriteStatus(char.avatar, setFavorite);
+                journal?.settle(char);
                 successCount++;
             } else {
                 failCount++;
@@ -444,6 +457,7 @@ async function bulkToggleFavorites(setFavorite) {
             failCount++;
         }
     }
+    await journal?.finish();
     
     if (failCount === 0) {
         CoreAPI.showToast(`${setFavorite ? 'Added' : 'Removed'} ${successCount} favorites`, 'success');
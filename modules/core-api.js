@@ -58,6 +58,24 @@ export function switchView(view) {
     window.switchView?.(view);
 }
 
+/**
+ * Show a provider in the Online tab and open its preview modal
+ * @param {Object} provider
+ * @param {Object} previewObj - whatever that provider's openPreview() accepts
+ */
+export function openProviderPreview(provider, previewObj) {
+    window.openProviderPreview?.(provider, previewObj);
+}
+
+/**
+ * Show a provider in the Online tab filtered to one creator's characters
+ * @param {Object} provider
+ * @param {{id: string, name: string}} creator - as the provider's following manager lists it
+ */
+export function openProviderCreator(provider, creator) {
+    return window.openProviderCreator?.(provider, creator);
+}
+
 /**
  * Get current active view
  * @returns {string} 'characters' | 'chats' | 'online'
@@ -66,6 +84,22 @@ export function getCurrentView() {
     return window.getCurrentView?.() || 'characters';
 }
 
+/**
+ * Show the characters view filtered by a search query (query language allowed).
+ * @param {string} query - e.g. 'tag:"slice of life"' or 'tokens:>=2000 tokens:<4000'
+ */
+export function applySearchQuery(query) {
+    window.applySearchQuery?.(query);
+}
+
+/**
+ * Show the characters view filtered to one or more creator names (ORed).
+ * @param {string|string[]} creatorName
+ */
+export function filterLocalByCreator(creatorName) {
+    window.filterLocalByCreator?.(creatorName);
+}
+
 /**
  * Register a callback to run each time a specific view becomes active.
  * Modules use this for lazy-loading (e.g. chats loads on first visit).
@@ -294,6 +328,22 @@ export function getCharacterGalleryInfo(char) {
     return window.getCharacterGalleryInfo?.(char) || Promise.resolve({ folder: '', files: [], count: 0 });
 }
 
+/**
+ * Drop cl-helper's cached thumbnails for a gallery folder after files were removed
+ * @param {string} folderName - On-disk (sanitized) folder name
+ */
+export function cleanupThumbCache(folderName) {
+    window.cleanupThumbCache?.(folderName);
+}
+
+/**
+ * Re-render the character modal's gallery tab if it is showing this character
+ * @param {Object} [char] - Character whose files changed; omit to refresh whichever is open
+ */
+export function refreshCharacterGallery(char) {
+    window.refreshCharacterGallery?.(char);
+}
+
 /**
  * Get the unique gallery ID for a character (if assigned)
  * @param {Object} char - Character object
@@ -494,6 +544,14 @@ export function getCharacterTags(char) {
     return window.getTags?.(char) || [];
 }
 
+/**
+ * Tag usage counts across the library (lowercased tag -> number of characters).
+ * @returns {Map<string, number>}
+ */
+export function getTagFrequencies() {
+    return window.getTagFrequencies?.() || new Map();
+}
+
 /**
  * Get all unique tags across all characters
  * @returns {Array<string>} Sorted array of all unique tags
@@ -882,6 +940,54 @@ export function showImportSummaryModal(summaryData) {
     window.showImportSummaryModal?.(summaryData);
 }
 
+/**
+ * Open the saved-search manager, optionally with a new watch prefilled
+ * @param {string} [providerId]
+ * @param {Object} [draft] - BrowseView.getSavedSearchDraft() result
+ */
+export function openSavedSearchEditor(providerId, draft) {
+    window.openSavedSearchEditor?.(providerId, draft);
+}
+
+/**
+ * Import character page URLs through the import modal (duplicate check,
+ * media options and summary included)
+ * @param {string[]} urls
+ */
+export function importCharacterUrls(urls) {
+    window.importCharacterUrls?.(urls);
+}
+
+/**
+ * Import one character URL without the modal (duplicate check included;
+ * media goes to the background media queue)
+ * @param {string} url
+ * @param {Object} [options] - { skipDuplicates, autoDownloadGallery, autoDownloadMedia, signal }
+ * @returns {Promise<Object>} { status: 'imported'|'skipped'|'failed'|'deferred', message, displayName, ... }
+ */
+export function importCharacterFromUrl(url, options) {
+    return window.importCharacterFromUrl?.(url, options)
+        ?? Promise.resolve({ status: 'failed', displayName: url, message: 'Importer not loaded' });
+}
+
+/**
+ * Queue character URLs in the background import queue
+ * @param {Array<string|{url: string, label?: string}>} entries
+ * @param {Object} [options] - { skipDuplicates, autoDownloadGallery, autoDownloadMedia, allowDirect }
+ * @returns {number|null} URLs queued, or null when the queue isn't loaded
+ */
+export function enqueueCharacterImports(entries, options) {
+    return window.enqueueCharacterImports?.(entries, options) ?? null;
+}
+
+/**
+ * Reload the library after imports made outside the modal
+ * @param {string[]} fileNames - file_name of each imported card
+ */
+export function refreshLibraryAfterImport(fileNames) {
+    return window.refreshLibraryAfterImport?.(fileNames);
+}
+
 /**
  * Queue background media-download jobs for freshly imported characters
  * @param {Object} summaryData - Same {galleryCharacters, mediaCharacters} shape as the summary modal
@@ -933,10 +1039,11 @@ export function embedCharacterDataInPng(pngData, charData) {
 /**
  * Get existing file hashes for a gallery folder (dedup check)
  * @param {string} folderName - Gallery folder name
+ * @param {Object} [options] - { perceptual } also computes a `phash` per image
  * @returns {Promise<Map>} Map of hash → filename
  */
-export function getExistingFileHashes(folderName) {
-    return window.getExistingFileHashes?.(folderName) || Promise.resolve(new Map());
+export function getExistingFileHashes(folderName, options) {
+    return window.getExistingFileHashes?.(folderName, options) || Promise.resolve(new Map());
 }
 
 /**
@@ -1024,6 +1131,35 @@ export function calculateHash(arrayBuffer) {
     return window.calculateHash?.(arrayBuffer) || Promise.resolve('');
 }
 
+/**
+ * Calculate a perceptual (dHash) hash of image bytes
+ * @param {ArrayBuffer} arrayBuffer - Image data
+ * @returns {Promise<string|null>} 16-char hex hash, null when not a decodable image
+ */
+export function calculatePerceptualHash(arrayBuffer) {
+    return window.calculatePerceptualHash?.(arrayBuffer) || Promise.resolve(null);
+}
+
+/**
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} Hamming distance between two perceptual hashes
+ */
+export function perceptualHashDistance(a, b) {
+    return window.perceptualHashDistance?.(a, b) ?? Infinity;
+}
+
+/**
+ * Closest hash map entry whose `phash` is within range of the given one
+ * @param {Map} hashMap - From getExistingFileHashes with { perceptual: true }
+ * @param {string} phash
+ * @param {number} [maxDistance]
+ * @returns {Object|null}
+ */
+export function findPerceptualMatch(hashMap, phash, maxDistance) {
+    return window.findPerceptualMatch?.(hashMap, phash, maxDistance) || null;
+}
+
 /**
  * Convert an ArrayBuffer to a base64 string
  * @param {ArrayBuffer} buf - ArrayBuffer to convert
@@ -1216,10 +1352,12 @@ export function listCharacterChatsWithMeta(char) {
 
 /**
  * List ALL single-character chats (across every character) that bind a lorebook.
+ * @param {Object} [options]
+ * @param {boolean} [options.includeUnbound] - Also return chats without a bound lorebook (world: null)
  * @returns {Promise<Array<{avatar, charName, char, file_name, world}>>}
  */
-export function listAllChatsWithMeta() {
-    return window.chatsModule?.listAllChatsWithMeta?.() || Promise.resolve([]);
+export function listAllChatsWithMeta(options) {
+    return window.chatsModule?.listAllChatsWithMeta?.(options) || Promise.resolve([]);
 }
 
 // ========================================
@@ -1299,6 +1437,9 @@ export function playlistsOnCharDeleted(...args) { return window.playlistsOnCharD
 export function openPlaylistPicker(...args) { return window.openPlaylistPicker?.(...args); }
 export function refreshPlaylistFilterIfActive(...args) { return window.refreshPlaylistFilterIfActive?.(...args); }
 export function refreshPlaylistBadges() { return window.refreshPlaylistBadges?.(); }
+export function matchesSmartPlaylistRules(...args) { return window.matchesSmartPlaylistRules?.(...args) ?? false; }
+export function getCurrentSmartPlaylistDefinition() { return window.getCurrentSmartPlaylistDefinition?.() ?? { rules: [], query: '' }; }
+export function loadSmartPlaylistIntoFilters(...args) { return window.loadSmartPlaylistIntoFilters?.(...args); }
 export function closeAllTopbarDropdowns(...args) { return window.closeAllTopbarDropdowns?.(...args); }
 export function openGalleryViewerWithImages(...args) { return window.openGalleryViewerWithImages?.(...args); }
 
@@ -1321,7 +1462,11 @@ export default {
 
     // View management
     switchView,
+    openProviderPreview,
+    openProviderCreator,
     getCurrentView,
+    applySearchQuery,
+    filterLocalByCreator,
     onViewEnter,
     onViewExit,
     
@@ -1348,6 +1493,8 @@ export default {
     createThumbLoader,
     sanitizeFolderName,
     getCharacterGalleryInfo,
+    cleanupThumbCache,
+    refreshCharacterGallery,
     getCharacterGalleryId,
     getExistingImageFolders,
     generateGalleryId,
@@ -1377,6 +1524,7 @@ export default {
     isMobileMode,
     getCharacterTags,
     getAllTags,
+    getTagFrequencies,
     findCardElement,
     
     // DOM helpers
@@ -1432,6 +1580,11 @@ export default {
     ensureExtractorsLoaded,
     findCharacterGalleryUrls,
     showImportSummaryModal,
+    importCharacterUrls,
+    importCharacterFromUrl,
+    enqueueCharacterImports,
+    refreshLibraryAfterImport,
+    openSavedSearchEditor,
     queueImportMediaJobs,
     resetBrowseSectionCollapseState,
     setBrowseAltGreetings,
@@ -1451,6 +1604,9 @@ export default {
     downloadMediaToMemory,
     isUrlSafeForDownload,
     calculateHash,
+    calculatePerceptualHash,
+    perceptualHashDistance,
+    findPerceptualMatch,
     arrayBufferToBase64,
     getEndpoints,
     
@@ -1498,6 +1654,9 @@ export default {
     openPlaylistPicker,
     refreshPlaylistFilterIfActive,
     refreshPlaylistBadges,
+    matchesSmartPlaylistRules,
+    getCurrentSmartPlaylistDefinition,
+    loadSmartPlaylistIntoFilters,
     closeAllTopbarDropdowns,
 
     // Host window / Embedded mode
@@ -0,0 +1,760 @@
+import CoreAPI from './core-api.js';
+
+// ========================================
+// CREATOR PROFILES
+// A local "creator" groups one person's accounts across providers. The
+// profile page shows their cards in the library (matched on the card's
+// creator field against every name the profile knows), a recent slice of
+// each account's remote catalog, and follow state per provider, with
+// follow/unfollow applied to every account at once.
+// ========================================
+
+const CREATORS_FILE = '_cl_creators.json';
+const STORAGE_VERSION = 1;
+const LOCAL_PREVIEW_LIMIT = 48;
+const REMOTE_RESULTS_PER_ACCOUNT = 12;
+const FOLLOWS_TTL_MS = 2 * 60 * 1000;
+
+// { id, name, names: [string], accounts: [{ providerId, id, name, username }], createdAt }
+let creators = [];
+let loaded = false;
+let saving = false;
+let saveQueued = false;
+let _loadingPromise = null;
+let modalInjected = false;
+let current = null;                 // creator shown on the profile page (may be an unsaved draft)
+
+const followsCache = new Map();     // providerId -> { at, list: [{id, name, username}] }
+const remoteCache = new Map();      // accountKey -> { results, error }
+
+// ========================================
+// FILE I/O
+// ========================================
+
+async function fileUpload(name, data) {
+    const base64 = CoreAPI.utf8ToBase64(JSON.stringify(data));
+    const resp = await CoreAPI.apiRequest('/files/upload', 'POST', { name, data: base64 });
+    if (!resp.ok) {
+        const err = await resp.text().catch(() => resp.statusText);
+        throw new Error(`Creator profiles upload failed (${resp.status}): ${err}`);
+    }
+    return resp.json();
+}
+
+async function fileRead(name) {
+    try {
+        const resp = await fetch(`/user/files/${name}`, { cache: 'no-store' });
+        if (!resp.ok) return null;
+        const text = await resp.text();
+        if (!text || !text.trim()) return null;
+        return JSON.parse(text);
+    } catch {
+        return null;
+    }
+}
+
+// ========================================
+// PERSISTENCE
+// ========================================
+
+async function loadCreators() {
+    if (loaded) return creators;
+    if (_loadingPromise) return _loadingPromise;
+    _loadingPromise = (async () => {
+        const data = await fileRead(CREATORS_FILE);
+        if (data && data.version === STORAGE_VERSION && Array.isArray(data.creators)) {
+            creators = data.creators.map(normalizeCreator);
+        }
+        loaded = true;
+        _loadingPromise = null;
+        return creators;
+    })();
+    return _loadingPromise;
+}
+
+async function saveCreators() {
+    if (!loaded) await loadCreators();
+    if (saving) {
+        saveQueued = true;
+        return;
+    }
+    saving = true;
+    try {
+        await fileUpload(CREATORS_FILE, { version: STORAGE_VERSION, creators });
+    } catch (e) {
+        console.error('[CreatorProfiles] Save failed:', e.message);
+    } finally {
+        saving = false;
+        if (saveQueued) {
+            saveQueued = false;
+            saveCreators();
+        }
+    }
+}
+
+function normalizeAccount(a) {
+    return {
+        providerId: a.providerId,
+        id: a.id != null ? String(a.id) : '',
+        name: a.name || a.username || String(a.id || ''),
+        username: a.username || '',
+    };
+}
+
+function normalizeCreator(c) {
+    return {
+        id: c.id,
+        name: c.name || 'Creator',
+        names: Array.isArray(c.names) ? c.names.filter(Boolean) : [],
+        accounts: Array.isArray(c.accounts) ? c.accounts.filter(a => a?.providerId).map(normalizeAccount) : [],
+        createdAt: c.createdAt || Date.now(),
+    };
+}
+
+function newId() {
+    return `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/** Save edits to a profile; a draft becomes a stored profile on its first edit. */
+function persist(creator) {
+    if (!creators.includes(creator)) creators.push(creator);
+    saveCreators();
+}
+
+// ========================================
+// MATCHING
+// ========================================
+
+function norm(s) {
+    return String(s || '').toLowerCase().trim();
+}
+
+function accountKey(account) {
+    return `${account.providerId}:${account.id || norm(account.name)}`;
+}
+
+/** Every name this person's cards may carry in their creator field. */
+function getCreatorNames(creator) {
+    const out = new Map();
+    const add = (n) => { if (n && !out.has(norm(n))) out.set(norm(n), n.trim()); };
+    add(creator.name);
+    creator.names.forEach(add);
+    for (const a of creator.accounts) {
+        add(a.username);
+        add(a.name);
+    }
+    return [...out.values()];
+}
+
+function getLocalCards(creator) {
+    const names = new Set(getCreatorNames(creator).map(norm));
+    return CoreAPI.getAllCharacters().filter(char => names.has(norm(char.creator || char.data?.creator)));
+}
+
+function findCreatorByName(name) {
+    const n = norm(name);
+    return creators.find(c => getCreatorNames(c).some(x => norm(x) === n)) || null;
+}
+
+function isProviderEnabled(providerId) {
+    return !(CoreAPI.getSetting('disabledProviders') || []).includes(providerId);
+}
+
+function followViewOf(providerId) {
+    if (!isProviderEnabled(providerId)) return null;
+    const view = CoreAPI.getProvider(providerId)?.browseView;
+    return view?.supportsFollowingManager ? view : null;
+}
+
+/** Providers an account can be added for: anything with a creator catalog or follows. */
+function accountProviders() {
+    return CoreAPI.getAllProviders().filter(p => isProviderEnabled(p.id)
+        && (p.supportsUnifiedSearch || p.browseView?.supportsFollowingManager));
+}
+
+// ========================================
+// FOLLOW STATE
+// ========================================
+
+async function getFollows(providerId, { force = false } = {}) {
+    const view = followViewOf(providerId);
+    if (!view) return null;
+    const cached = followsCache.get(providerId);
+    if (!force && cached && Date.now() - cached.at < FOLLOWS_TTL_MS) return cached.list;
+    try {
+        const list = (await view.getFollowedCreators()) || [];
+        followsCache.set(providerId, { at: Date.now(), list });
+        return list;
+    } catch (e) {
+        CoreAPI.debugLog('[CreatorProfiles] Could not load follows for', providerId, e.message);
+        return null;
+    }
+}
+
+function findFollowEntry(account, list) {
+    if (!list) return null;
+    return list.find(f => (account.id && String(f.id) === account.id)
+        || (account.username && norm(f.username) === norm(account.username))
+        || (!account.id && norm(f.name) === norm(account.name))) || null;
+}
+
+/**
+ * Follow state of every account on a profile.
+ * @returns {Promise<Map<string, {followable: boolean, entry: Object|null}>>} by accountKey
+ */
+async function getFollowState(creator, { force = false } = {}) {
+    const state = new Map();
+    const providerIds = [...new Set(creator.accounts.map(a => a.providerId))];
+    const lists = new Map(await Promise.all(providerIds.map(async id => [id, await getFollows(id, { force })])));
+    for (const a of creator.accounts) {
+        const list = lists.get(a.providerId);
+        state.set(accountKey(a), { followable: !!list, entry: findFollowEntry(a, list) });
+    }
+    return state;
+}
+
+async function followAccount(creator, account) {
+    const view = followViewOf(account.providerId);
+    if (!view) return false;
+    const res = await view.followCreator(view.getFollowQuery(account));
+    followsCache.delete(account.providerId);
+    if (!res) return false;
+    // Follow resolved the provider's own ID; keep it over a typed name so browse and unfollow work later
+    if (res.id && (!account.id || account.id === account.name) && String(res.id) !== account.id) {
+        account.id = String(res.id);
+        persist(creator);
+    }
+    return true;
+}
+
+async function unfollowAccount(account, entry) {
+    const view = followViewOf(account.providerId);
+    if (!view || !entry) return false;
+    const ok = await view.unfollowCreator(entry.id);
+    followsCache.delete(account.providerId);
+    return ok;
+}
+
+async function followEverywhere(creator, follow) {
+    const state = await getFollowState(creator, { force: true });
+    const targets = creator.accounts.filter(a => {
+        const s = state.get(accountKey(a));
+        return s?.followable && (follow ? !s.entry : !!s.entry);
+    });
+    if (targets.length === 0) {
+        CoreAPI.showToast(follow ? 'Already following every account you can follow' : 'Not following any of these accounts', 'info');
+        renderProfile();
+        return;
+    }
+    if (!follow) {
+        const ok = await CoreAPI.showConfirm({
+            title: `Unfollow ${creator.name}?`,
+            message: `This unfollows ${targets.length} account(s) on ${[...new Set(targets.map(a => CoreAPI.getProvider(a.providerId)?.name || a.providerId))].join(', ')}.`,
+            icon: 'fa-solid fa-user-minus',
+            confirmLabel: 'Unfollow all',
+            danger: true,
+        });
+        if (!ok) {
+            renderProfile();
+            return;
+        }
+    }
+    let done = 0;
+    for (const a of targets) {
+        try {
+            if (follow ? await followAccount(creator, a) : await unfollowAccount(a, state.get(accountKey(a)).entry)) done++;
+        } catch (e) {
+            console.error('[CreatorProfiles] Follow change failed for', a, e);
+        }
+    }
+    if (targets.length > 1) {
+        CoreAPI.showToast(`${follow ? 'Followed' : 'Unfollowed'} on ${done} of ${targets.length} providers`, done === targets.length ? 'success' : 'warning');
+    }
+    renderProfile();
+}
+
+// ========================================
+// REMOTE CATALOGS
+// ========================================
+
+async function fetchRemoteCatalog(account, { force = false } = {}) {
+    const key = accountKey(account);
+    if (!force && remoteCache.has(key)) return remoteCache.get(key);
+    const provider = CoreAPI.getProvider(account.providerId);
+    let entry;
+    if (!provider?.supportsUnifiedSearch || !isProviderEnabled(account.providerId)) {
+        entry = { results: null, error: null };
+    } else {
+        try {
+            const creatorName = account.username || account.name;
+            const results = await provider.searchUnified('', { creator: creatorName, sort: 'newest', limit: REMOTE_RESULTS_PER_ACCOUNT });
+            // Providers that can't filter by creator server-side return everything; keep this creator's
+            const names = new Set([norm(account.username), norm(account.name)].filter(Boolean));
+            entry = { results: results.filter(r => !r.creator || names.has(norm(r.creator))), error: null };
+        } catch (e) {
+            entry = { results: [], error: e.message || 'Search failed' };
+        }
+    }
+    remoteCache.set(key, entry);
+    return entry;
+}
+
+// ========================================
+// MODAL
+// ========================================
+
+function injectModal() {
+    if (modalInjected) return;
+    modalInjected = true;
+
+    const html = `
+    <div id="creatorProfilesModal" class="cl-modal">
+        <div class="cl-modal-content" style="max-width: calc(760px * var(--modal-scale, 1));">
+            <div class="cl-modal-header">
+                <button id="creatorProfileBackBtn" class="crp-btn hidden" title="All creators"><i class="fa-solid fa-arrow-left"></i></button>
+                <h3><i class="fa-solid fa-users"></i> <span id="creatorProfilesTitle">Creators</span></h3>
+                <button id="creatorProfilesCloseBtn" class="cl-modal-close"><i class="fa-solid fa-xmark"></i></button>
+            </div>
+            <div class="cl-modal-body">
+                <div id="creatorProfilesListPane">
+                    <div class="crp-new">
+                        <input type="search" id="creatorProfilesNewName" class="glass-input" placeholder="Creator name, as it appears on their cards" maxlength="100" autocomplete="one-time-code">
+                        <button id="creatorProfilesNewBtn" class="glass-btn"><i class="fa-solid fa-plus"></i> New</button>
+                    </div>
+                    <div id="creatorProfilesList" class="crp-list"></div>
+                    <div id="creatorProfilesEmpty" class="crp-empty">No creator profiles yet. Open one from a character's author line, or type a name above.</div>
+                </div>
+                <div id="creatorProfilePage" class="crp-page hidden"></div>
+            </div>
+        </div>
+    </div>`;
+
+    document.body.insertAdjacentHTML('beforeend', html);
+
+    document.getElementById('creatorProfilesCloseBtn').addEventListener('click', closeCreatorProfiles);
+    document.getElementById('creatorProfilesModal').addEventListener('click', (e) => {
+        if (e.target.id === 'creatorProfilesModal') closeCreatorProfiles();
+    });
+    document.getElementById('creatorProfileBackBtn').addEventListener('click', showList);
+    document.getElementById('creatorProfilesNewBtn').addEventListener('click', createFromInput);
+    document.getElementById('creatorProfilesNewName').addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') createFromInput();
+    });
+    document.getElementById('creatorProfilesList').addEventListener('click', (e) => {
+        const row = e.target.closest('[data-crp-row]');
+        const creator = row && creators.find(c => c.id === row.dataset.crpRow);
+        if (creator) showProfile(creator);
+    });
+    wirePageEvents(document.getElementById('creatorProfilePage'));
+
+    window.registerOverlay?.({ id: 'creatorProfilesModal', tier: 7, close: () => closeCreatorProfiles(), visible: (el) => el.classList.contains('visible') });
+}
+
+function createFromInput() {
+    const input = document.getElementById('creatorProfilesNewName');
+    const name = input.value.trim();
+    if (!name) return;
+    input.value = '';
+    const existing = findCreatorByName(name);
+    if (existing) {
+        showProfile(existing);
+        return;
+    }
+    const creator = normalizeCreator({ id: newId(), name, names: [name] });
+    persist(creator);
+    showProfile(creator);
+}
+
+function showList() {
+    current = null;
+    document.getElementById('creatorProfilesTitle').textContent = 'Creators';
+    document.getElementById('creatorProfileBackBtn').classList.add('hidden');
+    document.getElementById('creatorProfilePage').classList.add('hidden');
+    document.getElementById('creatorProfilesListPane').classList.remove('hidden');
+    renderList();
+}
+
+function renderList() {
+    const listEl = document.getElementById('creatorProfilesList');
+    if (!listEl) return;
+    const esc = CoreAPI.escapeHtml;
+    document.getElementById('creatorProfilesEmpty').style.display = creators.length ? 'none' : '';
+    const sorted = [...creators].sort((a, b) => a.name.localeCompare(b.name));
+    listEl.innerHTML = sorted.map(c => {
+        const icons = [...new Set(c.accounts.map(a => a.providerId))].map(pid => {
+            const p = CoreAPI.getProvider(pid);
+            return `<i class="${esc(p?.icon || 'fa-solid fa-globe')}" title="${esc(p?.name || pid)}"></i>`;
+        }).join('');
+        const localCount = getLocalCards(c).length;
+        return `<div class="crp-row" data-crp-row="${esc(c.id)}">
+            <div class="crp-row-body">
+                <span class="crp-row-name">${esc(c.name)}</span>
+                <span class="crp-row-sub">${localCount} card${localCount === 1 ? '' : 's'} in library &middot; ${c.accounts.length} account${c.accounts.length === 1 ? '' : 's'}</span>
+            </div>
+            <span class="crp-row-icons">${icons}</span>
+            <i class="fa-solid fa-chevron-right crp-row-go"></i>
+        </div>`;
+    }).join('');
+}
+
+function showProfile(creator) {
+    current = creator;
+    document.getElementById('creatorProfilesTitle').textContent = creator.name;
+    document.getElementById('creatorProfileBackBtn').classList.remove('hidden');
+    document.getElementById('creatorProfilesListPane').classList.add('hidden');
+    document.getElementById('creatorProfilePage').classList.remove('hidden');
+    renderProfile();
+}
+
+// ========================================
+// PROFILE PAGE
+// ========================================
+
+async function renderProfile() {
+    const el = document.getElementById('creatorProfilePage');
+    const creator = current;
+    if (!el || !creator) return;
+    const esc = CoreAPI.escapeHtml;
+    const isDraft = !creators.includes(creator);
+    const localCards = getLocalCards(creator);
+    const providerOptions = accountProviders()
+        .map(p => `<option value="${esc(p.id)}">${esc(p.name)}</option>`).join('');
+
+    el.innerHTML = `
+        ${isDraft ? `<div class="crp-draft"><i class="fa-solid fa-circle-info"></i> Not saved yet. Adding a name or account saves this profile. <button class="glass-btn" data-crp-action="save">Save profile</button></div>` : ''}
+        <div class="edit-section">
+            <h4 class="section-header"><i class="fa-solid fa-signature"></i> Names on cards</h4>
+            <div class="crp-chips">
+                ${creator.names.map(n => `<span class="crp-chip">${esc(n)}<button class="crp-chip-x" data-crp-action="remove-name" data-name="${esc(n)}" title="Remove"><i class="fa-solid fa-xmark"></i></button></span>`).join('')}
+                <input type="search" class="glass-input crp-inline-input" id="creatorProfileNameInput" placeholder="Add a name..." maxlength="100" autocomplete="one-time-code">
+            </div>
+        </div>
+        <div class="edit-section">
+            <h4 class="section-header"><i class="fa-solid fa-at"></i> Accounts
+                <span class="crp-header-actions">
+                    <button class="glass-btn" data-crp-action="follow-all" title="Follow every account"><i class="fa-solid fa-user-plus"></i> Follow all</button>
+                    <button class="glass-btn" data-crp-action="unfollow-all" title="Unfollow every account"><i class="fa-solid fa-user-minus"></i> Unfollow all</button>
+                </span>
+            </h4>
+            <div id="creatorProfileAccounts" class="crp-accounts">
+                ${creator.accounts.length ? creator.accounts.map(a => renderAccountRow(a, null)).join('') : '<div class="crp-empty">No accounts yet.</div>'}
+            </div>
+            <div id="creatorProfileSuggestions" class="crp-suggestions"></div>
+            <div class="crp-add-account">
+                <select id="creatorProfileAccountProvider" class="glass-select">${providerOptions}</select>
+                <input type="search" id="creatorProfileAccountInput" class="glass-input" list="creatorProfileAccountList" placeholder="Username or ID, or pick from your follows" autocomplete="one-time-code">
+                <datalist id="creatorProfileAccountList"></datalist>
+                <button class="glass-btn" data-crp-action="add-account"><i class="fa-solid fa-plus"></i> Add</button>
+            </div>
+        </div>
+        <div class="edit-section">
+            <h4 class="section-header"><i class="fa-solid fa-folder"></i> In your library (${localCards.length})
+                ${localCards.length ? '<span class="crp-header-actions"><button class="glass-btn" data-crp-action="filter-local"><i class="fa-solid fa-filter"></i> Show in library</button></span>' : ''}
+            </h4>
+            ${localCards.length ? `<div class="crp-grid">${localCards.slice(0, LOCAL_PREVIEW_LIMIT).map(c => `
+                <button class="crp-tile" data-crp-local="${esc(c.avatar)}" title="${esc(CoreAPI.getCharacterName(c, c.name))}">
+                    <img src="${esc(CoreAPI.getCharacterAvatarStThumbUrl(c.avatar))}" loading="lazy" alt="">
+                    <span>${esc(CoreAPI.getCharacterName(c, c.name))}</span>
+                </button>`).join('')}</div>
+                ${localCards.length > LOCAL_PREVIEW_LIMIT ? `<div class="crp-more">and ${localCards.length - LOCAL_PREVIEW_LIMIT} more</div>` : ''}`
+            : '<div class="crp-empty">No cards in your library carry these names.</div>'}
+        </div>
+        <div class="edit-section">
+            <h4 class="section-header"><i class="fa-solid fa-globe"></i> On providers
+                ${creator.accounts.length ? '<span class="crp-header-actions"><button class="crp-btn" data-crp-action="refresh-remote" title="Refresh"><i class="fa-solid fa-rotate-right"></i></button></span>' : ''}
+            </h4>
+            <div id="creatorProfileRemote" class="crp-remote">
+                ${creator.accounts.length ? creator.accounts.map(a => `<div class="crp-remote-block" data-crp-remote="${esc(accountKey(a))}"><div class="crp-remote-head">${providerLabel(a)}</div><div class="crp-loading"><i class="fa-solid fa-spinner fa-spin"></i> Loading&hellip;</div></div>`).join('') : '<div class="crp-empty">Add an account to see their catalog.</div>'}
+            </div>
+        </div>
+        <div class="crp-footer">
+            ${isDraft ? '' : '<button class="glass-btn" data-crp-action="rename"><i class="fa-solid fa-pen"></i> Rename</button><button class="glass-btn crp-danger" data-crp-action="delete"><i class="fa-solid fa-trash"></i> Delete profile</button>'}
+        </div>`;
+
+    const providerSelect = document.getElementById('creatorProfileAccountProvider');
+    if (providerSelect) {
+        CoreAPI.initCustomSelect?.(providerSelect);
+        providerSelect.addEventListener('change', () => fillAccountDatalist(providerSelect.value));
+        fillAccountDatalist(providerSelect.value);
+    }
+
+    // Follow state, suggestions and catalogs fill in as they arrive
+    getFollowState(creator).then(state => {
+        if (current !== creator) return;
+        const list = document.getElementById('creatorProfileAccounts');
+        if (list && creator.accounts.length) list.innerHTML = creator.accounts.map(a => renderAccountRow(a, state.get(accountKey(a)))).join('');
+    });
+    renderSuggestions(creator);
+    for (const a of creator.accounts) {
+        fetchRemoteCatalog(a).then(entry => {
+            if (current !== creator) return;
+            const block = document.querySelector(`#creatorProfileRemote [data-crp-remote="${CSS.escape(accountKey(a))}"]`);
+            if (block) block.innerHTML = `<div class="crp-remote-head">${providerLabel(a)}${canBrowse(a) ? ' <button class="crp-btn" data-crp-action="browse" title="Browse all on the provider"><i class="fa-solid fa-arrow-up-right-from-square"></i></button>' : ''}</div>${renderRemoteResults(entry)}`;
+        });
+    }
+}
+
+function providerLabel(account) {
+    const esc = CoreAPI.escapeHtml;
+    const p = CoreAPI.getProvider(account.providerId);
+    return `<i class="${esc(p?.icon || 'fa-solid fa-globe')}"></i> <span class="crp-provider-name">${esc(p?.name || account.providerId)}</span> <span class="crp-account-name">${esc(account.name)}</span>`;
+}
+
+function canBrowse(account) {
+    return !!account.id && isProviderEnabled(account.providerId) && !!CoreAPI.getProvider(account.providerId)?.browseView;
+}
+
+function renderAccountRow(account, state) {
+    const esc = CoreAPI.escapeHtml;
+    let follow = '';
+    if (state?.followable) {
+        follow = state.entry
+            ? '<span class="crp-follow is-following"><i class="fa-solid fa-check"></i> Following</span><button class="crp-btn" data-crp-action="unfollow" title="Unfollow"><i class="fa-solid fa-user-minus"></i></button>'
+            : '<span class="crp-follow">Not following</span><button class="crp-btn" data-crp-action="follow" title="Follow"><i class="fa-solid fa-user-plus"></i></button>';
+    } else if (state) {
+        follow = '<span class="crp-follow" title="Log in to this provider to see and change follows">&mdash;</span>';
+    }
+    return `<div class="crp-account" data-crp-account="${esc(accountKey(account))}">
+        <span class="crp-account-label">${providerLabel(account)}${account.id && account.id !== account.name ? ` <span class="crp-account-id">${esc(account.id)}</span>` : ''}</span>
+        ${follow}
+        ${canBrowse(account) ? '<button class="crp-btn" data-crp-action="browse" title="Browse on provider"><i class="fa-solid fa-arrow-up-right-from-square"></i></button>' : ''}
+        <button class="crp-btn" data-crp-action="remove-account" title="Remove account"><i class="fa-solid fa-xmark"></i></button>
+    </div>`;
+}
+
+function renderRemoteResults(entry) {
+    const esc = CoreAPI.escapeHtml;
+    if (entry.error) return `<div class="crp-empty crp-error"><i class="fa-solid fa-triangle-exclamation"></i> ${esc(entry.error)}</div>`;
+    if (entry.results === null) return '<div class="crp-empty">This provider has no catalog search.</div>';
+    if (entry.results.length === 0) return '<div class="crp-empty">No public characters found.</div>';
+    return `<div class="crp-grid">${entry.results.map((r, i) => `
+        <button class="crp-tile" data-crp-result="${i}" title="${esc(r.name)}">
+            <img src="${esc(r.avatarUrl || '')}" loading="lazy" alt="">
+            <span>${esc(r.name)}</span>
+        </button>`).join('')}</div>`;
+}
+
+async function fillAccountDatalist(providerId) {
+    const listEl = document.getElementById('creatorProfileAccountList');
+    if (!listEl) return;
+    listEl.innerHTML = '';
+    const follows = await getFollows(providerId);
+    if (!follows || document.getElementById('creatorProfileAccountProvider')?.value !== providerId) return;
+    listEl.innerHTML = follows.map(f => `<option value="${CoreAPI.escapeHtml(f.name)}"></option>`).join('');
+}
+
+/** Followed accounts on any provider whose name matches this creator but aren't on the profile yet. */
+async function renderSuggestions(creator) {
+    const names = new Set(getCreatorNames(creator).map(norm));
+    const have = new Set(creator.accounts.map(accountKey));
+    const found = [];
+    await Promise.all(accountProviders().map(async p => {
+        const follows = await getFollows(p.id);
+        for (const f of follows || []) {
+            const account = normalizeAccount({ providerId: p.id, id: f.id, name: f.name, username: f.username });
+            if (!have.has(accountKey(account)) && (names.has(norm(f.name)) || names.has(norm(f.username)))) found.push(account);
+        }
+    }));
+    const el = document.getElementById('creatorProfileSuggestions');
+    if (!el || current !== creator) return;
+    el.innerHTML = found.map(a => `<div class="crp-suggestion" data-crp-suggest='${CoreAPI.escapeHtml(JSON.stringify(a))}'>
+        <span class="crp-account-label">Suggested: ${providerLabel(a)}</span>
+        <button class="crp-btn" data-crp-action="add-suggested" title="Add account"><i class="fa-solid fa-plus"></i></button>
+    </div>`).join('');
+}
+
+async function addAccountFromInput() {
+    const providerId = document.getElementById('creatorProfileAccountProvider')?.value;
+    const raw = document.getElementById('creatorProfileAccountInput')?.value.trim().replace(/^@/, '');
+    if (!providerId || !raw) return;
+    // Prefer the follow entry: it carries the provider's own ID
+    const follows = await getFollows(providerId);
+    const f = follows?.find(x => norm(x.name) === norm(raw) || norm(x.username) === norm(raw) || String(x.id) === raw);
+    const account = f
+        ? normalizeAccount({ providerId, id: f.id, name: f.name, username: f.username })
+        : normalizeAccount({ providerId, id: raw, name: raw });
+    addAccount(current, account);
+}
+
+function addAccount(creator, account) {
+    if (creator.accounts.some(a => accountKey(a) === accountKey(account))) {
+        CoreAPI.showToast('That account is already on this profile', 'info');
+        return;
+    }
+    creator.accounts.push(account);
+    persist(creator);
+    renderProfile();
+}
+
+function wirePageEvents(el) {
+    el.addEventListener('keydown', (e) => {
+        if (e.key !== 'Enter') return;
+        if (e.target.id === 'creatorProfileNameInput') {
+            const name = e.target.value.trim();
+            if (name && !current.names.some(n => norm(n) === norm(name))) {
+                current.names.push(name);
+                persist(current);
+            }
+            renderProfile();
+        } else if (e.target.id === 'creatorProfileAccountInput') {
+            addAccountFromInput();
+        }
+    });
+
+    el.addEventListener('click', async (e) => {
+        const creator = current;
+        if (!creator) return;
+
+        const localTile = e.target.closest('[data-crp-local]');
+        if (localTile) {
+            const char = CoreAPI.getAllCharacters().find(c => c.avatar === localTile.dataset.crpLocal);
+            if (char) CoreAPI.openCharModalElevated(char, getLocalCards(creator));
+            return;
+        }
+
+        const resultTile = e.target.closest('[data-crp-result]');
+        if (resultTile) {
+            const key = resultTile.closest('[data-crp-remote]')?.dataset.crpRemote;
+            const account = creator.accounts.find(a => accountKey(a) === key);
+            const result = remoteCache.get(key)?.results?.[Number(resultTile.dataset.crpResult)];
+            const provider = account && CoreAPI.getProvider(account.providerId);
+            if (result && provider?.openPreview) {
+                closeCreatorProfiles();
+                CoreAPI.openProviderPreview(provider, result.hit);
+            }
+            return;
+        }
+
+        const btn = e.target.closest('[data-crp-action]');
+        if (!btn) return;
+        const key = btn.closest('[data-crp-account]')?.dataset.crpAccount || btn.closest('[data-crp-remote]')?.dataset.crpRemote;
+        const account = key ? creator.accounts.find(a => accountKey(a) === key) : null;
+
+        switch (btn.dataset.crpAction) {
+            case 'save':
+                persist(creator);
+                renderProfile();
+                break;
+            case 'remove-name':
+                creator.names = creator.names.filter(n => n !== btn.dataset.name);
+                persist(creator);
+                renderProfile();
+                break;
+            case 'add-account':
+                addAccountFromInput();
+                break;
+            case 'add-suggested': {
+                const raw = btn.closest('[data-crp-suggest]')?.dataset.crpSuggest;
+                if (raw) addAccount(creator, normalizeAccount(JSON.parse(raw)));
+                break;
+            }
+            case 'remove-account':
+                creator.accounts = creator.accounts.filter(a => a !== account);
+                persist(creator);
+                renderProfile();
+                break;
+            case 'follow':
+                btn.disabled = true;
+                if (account) await followAccount(creator, account);
+                renderProfile();
+                break;
+            case 'unfollow': {
+                btn.disabled = true;
+                const state = account && (await getFollowState(creator, { force: true })).get(key);
+                if (state?.entry) await unfollowAccount(account, state.entry);
+                renderProfile();
+                break;
+            }
+            case 'follow-all':
+            case 'unfollow-all':
+                btn.disabled = true;
+                await followEverywhere(creator, btn.dataset.crpAction === 'follow-all');
+                break;
+            case 'browse': {
+                const provider = account && CoreAPI.getProvider(account.providerId);
+                if (!provider) break;
+                closeCreatorProfiles();
+                CoreAPI.openProviderCreator(provider, { id: account.id, name: account.name, username: account.username });
+                break;
+            }
+            case 'filter-local':
+                closeCreatorProfiles();
+                CoreAPI.filterLocalByCreator(getCreatorNames(creator));
+                break;
+            case 'refresh-remote':
+                for (const a of creator.accounts) remoteCache.delete(accountKey(a));
+                followsCache.clear();
+                renderProfile();
+                break;
+            case 'rename':
+                renameCreator(creator);
+                break;
+            case 'delete':
+                deleteCreator(creator);
+                break;
+        }
+    });
+}
+
+async function renameCreator(creator) {
+    const name = (window.prompt('Creator name', creator.name) || '').trim();
+    if (!name || name === creator.name) return;
+    creator.name = name;
+    persist(creator);
+    document.getElementById('creatorProfilesTitle').textContent = name;
+    renderProfile();
+}
+
+async function deleteCreator(creator) {
+    const ok = await CoreAPI.showConfirm({
+        title: 'Delete creator profile?',
+        message: `"${creator.name}" and its ${creator.accounts.length} account link(s) will be removed. Cards and follows are not touched.`,
+        icon: 'fa-solid fa-trash',
+        confirmLabel: 'Delete',
+        danger: true,
+    });
+    if (!ok) return;
+    creators = creators.filter(c => c !== creator);
+    saveCreators();
+    showList();
+}
+
+/**
+ * Open the creators manager. With a name, opens that creator's profile,
+ * or an unsaved draft for it when no profile carries the name yet.
+ * @param {string} [creatorName]
+ */
+async function openCreatorProfiles(creatorName = null) {
+    injectModal();
+    await loadCreators();
+    document.getElementById('creatorProfilesModal').classList.add('visible');
+    const name = String(creatorName || '').trim();
+    if (!name) {
+        showList();
+        return;
+    }
+    showProfile(findCreatorByName(name) || normalizeCreator({ id: newId(), name, names: [name] }));
+}
+
+function closeCreatorProfiles() {
+    document.getElementById('creatorProfilesModal')?.classList.remove('visible');
+    current = null;
+}
+
+// ========================================
+// INIT
+// ========================================
+
+function init() {
+    loadCreators();
+}
+
+// ========================================
+// EXPORTS
+// ========================================
+
+export default {
+    init,
+    openCreatorProfiles,
+    getCreatorNames,
+};
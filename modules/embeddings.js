@@ -0,0 +1,489 @@
+// Embeddings - per-character vectors for semantic search and "similar by
+// meaning" in the Related tab. Vectors come from an OpenAI-compatible
+// /embeddings endpoint or a built-in hashed bag-of-words stand-in, and are
+// kept in user files so only new or edited characters are embedded again.
+
+import * as CoreAPI from './core-api.js';
+
+// ========================================
+// STATE
+// ========================================
+
+const INDEX_FILE = '_cl_embeddings.json';
+const INDEX_VERSION = 1;
+
+const LOCAL_DIMS = 384;
+const LOCAL_MODEL = 'hashed-bow-384';
+
+const BATCH_SIZE = 32;          // texts per /embeddings request
+const HYDRATE_CHUNK = 40;       // parallel card fetches for slim characters
+const SAVE_EVERY = 200;         // persist partial progress during long builds
+const MAX_TEXT_CHARS = 2000;    // keeps endpoint cost bounded on long cards
+
+// Cosine floor for a semantic search hit. Hashed vectors share few dimensions
+// between unrelated texts, so their floor is much lower than a real model's.
+const MIN_SCORE = { local: 0.06, endpoint: 0.25 };
+
+let isInitialized = false;
+
+const state = {
+    index: null,            // { version, source, model, dims, entries: { [avatar]: { h, l, v, s } } }
+    vectors: new Map(),     // avatar -> Float32Array (unit length), decoded from index.entries
+    loadPromise: null,
+    building: false,
+    progress: null,         // { done, total, phase }
+    queryCache: new Map(),  // `${source}|${model}|${text}` -> Float32Array
+};
+
+const QUERY_CACHE_MAX = 30;
+
+// ========================================
+// CONFIG
+// ========================================
+
+/**
+ * Current embedding configuration from settings.
+ * @returns {{ source: 'off'|'local'|'endpoint', url: string, model: string, apiKey: string }}
+ */
+function getConfig() {
+    const source = CoreAPI.getSetting('embeddingSource') || 'off';
+    return {
+        source,
+        url: (CoreAPI.getSetting('embeddingUrl') || '').trim().replace(/\/+$/, ''),
+        model: source === 'local' ? LOCAL_MODEL : (CoreAPI.getSetting('embeddingModel') || '').trim(),
+        apiKey: CoreAPI.getSetting('embeddingApiKey') || '',
+    };
+}
+
+function indexMatchesConfig(config) {
+    return !!state.index && state.index.source === config.source && state.index.model === config.model;
+}
+
+// ========================================
+// FILE I/O
+// ========================================
+
+async function fileUpload(name, data) {
+    const base64 = CoreAPI.utf8ToBase64(JSON.stringify(data));
+    const resp = await CoreAPI.apiRequest('/files/upload', 'POST', { name, data: base64 });
+    if (!resp.ok) {
+        const err = await resp.text().catch(() => resp.statusText);
+        throw new Error(`Embedding index upload failed (${resp.status}): ${err}`);
+    }
+    return resp.json();
+}
+
+async function fileRead(name) {
+    try {
+        const resp = await fetch(`/user/files/${name}`, { cache: 'no-store' });
+        if (!resp.ok) return null;
+        const text = await resp.text();
+        if (!text || !text.trim()) return null;
+        return JSON.parse(text);
+    } catch {
+        return null;
+    }
+}
+
+// ========================================
+// VECTOR ENCODING
+// ========================================
+
+// Stored as int8 with one scale per vector: a quarter of the JSON size of
+// float arrays, and cosine ranking is unaffected at this precision.
+function encodeVector(vec) {
+    let max = 0;
+    for (let i = 0; i < vec.length; i++) max = Math.max(max, Math.abs(vec[i]));
+    const scale = max > 0 ? max / 127 : 1;
+    const bytes = new Uint8Array(vec.length);
+    for (let i = 0; i < vec.length; i++) bytes[i] = (Math.round(vec[i] / scale) + 256) & 0xff;
+    let bin = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) bin += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    return { v: btoa(bin), s: scale };
+}
+
+function decodeVector(entry) {
+    const bin = atob(entry.v);
+    const vec = new Float32Array(bin.length);
+    for (let i = 0; i < bin.length; i++) {
+        const b = bin.charCodeAt(i);
+        vec[i] = (b > 127 ? b - 256 : b) * entry.s;
+    }
+    return normalize(vec);
+}
+
+function normalize(vec) {
+    let sum = 0;
+    for (let i = 0; i < vec.length; i++) sum += vec[i] * vec[i];
+    const norm = Math.sqrt(sum);
+    if (norm > 0) for (let i = 0; i < vec.length; i++) vec[i] /= norm;
+    return vec;
+}
+
+function dot(a, b) {
+    const n = Math.min(a.length, b.length);
+    let sum = 0;
+    for (let i = 0; i < n; i++) sum += a[i] * b[i];
+    return sum;
+}
+
+// ========================================
+// INDEX LOAD / SAVE
+// ========================================
+
+function createEmptyIndex(config) {
+    return { version: INDEX_VERSION, source: config.source, model: config.model, dims: 0, entries: {} };
+}
+
+function loadIndex() {
+    if (state.index) return Promise.resolve(state.index);
+    if (!state.loadPromise) {
+        state.loadPromise = (async () => {
+            const data = await fileRead(INDEX_FILE);
+            if (data?.version === INDEX_VERSION && data.entries) {
+                state.index = data;
+                state.vectors = new Map();
+                for (const [avatar, entry] of Object.entries(data.entries)) {
+                    try {
+                        state.vectors.set(avatar, decodeVector(entry));
+                    } catch {
+                        delete data.entries[avatar];
+                    }
+                }
+                CoreAPI.debugLog(`[Embeddings] Loaded ${state.vectors.size} vectors (${data.source}/${data.model})`);
+            }
+            return state.index;
+        })().finally(() => { state.loadPromise = null; });
+    }
+    return state.loadPromise;
+}
+
+async function saveIndex() {
+    if (!state.index) return;
+    await fileUpload(INDEX_FILE, state.index);
+}
+
+// ========================================
+// CHARACTER TEXT
+// ========================================
+
+function stripHtml(html) {
+    if (!html) return '';
+    const tpl = document.createElement('template');
+    tpl.innerHTML = html;
+    return (tpl.content.textContent || '').replace(/\s+/g, ' ').trim();
+}
+
+function cleanField(value, max) {
+    return stripHtml(String(value || '')).replace(/\{\{(char|user)\}\}/gi, (m, who) => who).slice(0, max);
+}
+
+// Fields that survive the slim character list; a change here is visible
+// without fetching the full card.
+function lightText(char) {
+    const d = char.data || {};
+    return [
+        d.name || char.name || '',
+        CoreAPI.getCharacterTags(char).join(', '),
+        d.creator || char.creator || '',
+        cleanField(d.creator_notes || char.creator_notes, 400),
+    ].join('\n');
+}
+
+function fullText(char) {
+    const d = char.data || {};
+    const name = d.name || char.name || '';
+    const tags = CoreAPI.getCharacterTags(char);
+    const parts = [name];
+    if (tags.length) parts.push(`Tags: ${tags.join(', ')}`);
+    const notes = cleanField(d.creator_notes || char.creator_notes, 400);
+    if (notes) parts.push(notes);
+    for (const [field, max] of [['description', 1200], ['personality', 300], ['scenario', 300]]) {
+        const text = cleanField(d[field] ?? char[field], max);
+        if (text) parts.push(text);
+    }
+    return parts.join('\n').slice(0, MAX_TEXT_CHARS);
+}
+
+// FNV-1a
+function fnv1a(str) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        h ^= str.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+}
+
+function hashString(str) {
+    return fnv1a(str).toString(36);
+}
+
+// ========================================
+// EMBEDDING SOURCES
+// ========================================
+
+const STOPWORDS = new Set(('a an and are as at be been but by can do does for from had has have he her him his how i if in into is it its '
+    + 'me my no not of on or our she so than that the their them then there they this to too up us was we were what when where which '
+    + 'who will with you your char user').split(' '));
+
+function localTokens(text) {
+    const words = [];
+    for (const raw of text.toLowerCase().match(/[\p{L}\p{N}']+/gu) || []) {
+        let w = raw.replace(/^'+|'+$/g, '');
+        if (w.length < 2 || STOPWORDS.has(w)) continue;
+        if (w.length > 4 && w.endsWith('s') && !w.endsWith('ss')) w = w.slice(0, -1);
+        words.push(w);
+    }
+    return words;
+}
+
+function addFeature(vec, feature, weight) {
+    const h = fnv1a(feature);
+    vec[h % LOCAL_DIMS] += (h & 0x80000000) ? -weight : weight;
+}
+
+// Signed feature hashing over words and word pairs with sublinear term
+// frequency. No corpus statistics, so adding characters never invalidates
+// vectors already stored.
+function localEmbed(text) {
+    const counts = new Map();
+    const words = localTokens(text);
+    for (let i = 0; i < words.length; i++) {
+        counts.set(words[i], (counts.get(words[i]) || 0) + 1);
+        if (i > 0) {
+            const pair = `${words[i - 1]} ${words[i]}`;
+            counts.set(pair, (counts.get(pair) || 0) + 0.5);
+        }
+    }
+    const vec = new Float32Array(LOCAL_DIMS);
+    for (const [feature, tf] of counts) addFeature(vec, feature, 1 + Math.log(tf));
+    return normalize(vec);
+}
+
+async function endpointEmbed(texts, config) {
+    if (!config.url) throw new Error('No embeddings endpoint URL set');
+    if (!config.model) throw new Error('No embeddings model set');
+    const headers = { 'Content-Type': 'application/json' };
+    if (config.apiKey) headers.Authorization = `Bearer ${config.apiKey}`;
+
+    let resp;
+    try {
+        resp = await fetch(`${config.url}/embeddings`, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify({ model: config.model, input: texts }),
+        });
+    } catch (e) {
+        // Browsers report CORS rejections as a bare network error
+        throw new Error(`Could not reach ${config.url} (${e.message}); check the URL and that the server allows CORS`);
+    }
+    if (!resp.ok) {
+        const err = await resp.text().catch(() => resp.statusText);
+        throw new Error(`Embeddings request failed (${resp.status}): ${err.slice(0, 200)}`);
+    }
+    const json = await resp.json();
+    const rows = Array.isArray(json?.data) ? [...json.data] : [];
+    if (rows.length !== texts.length) throw new Error(`Endpoint returned ${rows.length} vectors for ${texts.length} inputs`);
+    rows.sort((a, b) => (a.index ?? 0) - (b.index ?? 0));
+    return rows.map(r => normalize(Float32Array.from(r.embedding || [])));
+}
+
+async function embedTexts(texts, config) {
+    if (config.source === 'local') return texts.map(localEmbed);
+    return endpointEmbed(texts, config);
+}
+
+async function embedQuery(text, config) {
+    const key = `${config.source}|${config.model}|${text}`;
+    const cached = state.queryCache.get(key);
+    if (cached) return cached;
+    const [vec] = await embedTexts([text], config);
+    if (state.queryCache.size >= QUERY_CACHE_MAX) state.queryCache.delete(state.queryCache.keys().next().value);
+    state.queryCache.set(key, vec);
+    return vec;
+}
+
+// ========================================
+// BUILD / UPDATE
+// ========================================
+
+function setProgress(done, total, phase, onProgress) {
+    state.progress = { done, total, phase };
+    onProgress?.(state.progress);
+}
+
+function storeVector(avatar, vec, h, l) {
+    state.index.entries[avatar] = { h, l, ...encodeVector(vec) };
+    state.index.dims = vec.length;
+    state.vectors.set(avatar, vec);
+}
+
+/**
+ * Bring the index up to date with the library. Characters whose text is
+ * unchanged keep their vectors; a different source or model starts over.
+ * @param {Object} [options]
+ * @param {boolean} [options.rebuild] - Re-embed every character
+ * @param {boolean} [options.onlyIfExists] - Skip when no index was ever built (background refresh)
+ * @param {function({done, total, phase})} [options.onProgress]
+ * @returns {Promise<{embedded: number, removed: number, total: number}|null>} null when skipped
+ */
+async function updateIndex(options = {}) {
+    const config = getConfig();
+    if (config.source === 'off') throw new Error('Semantic search is turned off in Settings');
+    if (state.building) throw new Error('The embedding index is already being built');
+
+    state.building = true;
+    try {
+        await loadIndex();
+        if (options.onlyIfExists && !indexMatchesConfig(config)) return null;
+        if (options.rebuild || !indexMatchesConfig(config)) {
+            state.index = createEmptyIndex(config);
+            state.vectors = new Map();
+        }
+
+        const chars = CoreAPI.getAllCharacters().filter(c => c?.avatar);
+        const live = new Set(chars.map(c => c.avatar));
+        let removed = 0;
+        for (const avatar of Object.keys(state.index.entries)) {
+            if (!live.has(avatar)) {
+                delete state.index.entries[avatar];
+                state.vectors.delete(avatar);
+                removed++;
+            }
+        }
+
+        // Slim characters are only fetched when their light fields changed
+        // (or they're new); edits to heavy fields alone are picked up once
+        // the card has been opened, or with a full rebuild.
+        const stale = [];
+        for (const c of chars) {
+            const entry = state.index.entries[c.avatar];
+            const l = hashString(lightText(c));
+            if (c._slim && entry && entry.l === l) continue;
+            if (!c._slim && entry && entry.h === hashString(fullText(c))) continue;
+            stale.push(c);
+        }
+
+        let embedded = 0;
+        let sinceSave = 0;
+        setProgress(0, stale.length, 'embed', options.onProgress);
+        for (let i = 0; i < stale.length; i += BATCH_SIZE) {
+            const batch = stale.slice(i, i + BATCH_SIZE);
+            for (let j = 0; j < batch.length; j += HYDRATE_CHUNK) {
+                await Promise.all(batch.slice(j, j + HYDRATE_CHUNK).filter(c => c._slim).map(c => CoreAPI.hydrateCharacter(c)));
+            }
+            const texts = batch.map(fullText);
+            const vectors = await embedTexts(texts, config);
+            batch.forEach((c, k) => storeVector(c.avatar, vectors[k], hashString(texts[k]), hashString(lightText(c))));
+            embedded += batch.length;
+            sinceSave += batch.length;
+            setProgress(embedded, stale.length, 'embed', options.onProgress);
+            if (sinceSave >= SAVE_EVERY) {
+                await saveIndex();
+                sinceSave = 0;
+            }
+            // Local embedding is synchronous; give the UI a frame between batches
+            if (config.source === 'local') await new Promise(r => setTimeout(r, 0));
+        }
+
+        if (embedded > 0 || removed > 0 || sinceSave > 0 || options.rebuild) await saveIndex();
+        CoreAPI.debugLog(`[Embeddings] Index updated: ${embedded} embedded, ${removed} removed, ${state.vectors.size} total`);
+        return { embedded, removed, total: state.vectors.size };
+    } finally {
+        state.building = false;
+        state.progress = null;
+    }
+}
+
+async function ensureSearchable() {
+    const config = getConfig();
+    if (config.source === 'off') throw new Error('Semantic search is turned off in Settings');
+    await loadIndex();
+    if (!state.index || state.vectors.size === 0) {
+        throw new Error('No embedding index yet; build it in Settings → Semantic Search');
+    }
+    if (!indexMatchesConfig(config)) {
+        throw new Error(`The index was built with ${state.index.model || state.index.source}; rebuild it in Settings → Semantic Search`);
+    }
+    return config;
+}
+
+// ========================================
+// QUERIES
+// ========================================
+
+/**
+ * Score every indexed character against a free-text query.
+ * @param {string} text
+ * @returns {Promise<{scores: Map<string, number>, minScore: number}>} Cosine similarity per avatar
+ */
+async function searchScores(text) {
+    const config = await ensureSearchable();
+    const query = await embedQuery(text.trim(), config);
+    const scores = new Map();
+    for (const [avatar, vec] of state.vectors) scores.set(avatar, dot(query, vec));
+    return { scores, minScore: MIN_SCORE[config.source] ?? 0 };
+}
+
+/**
+ * Characters closest in meaning to the given one. A character missing from
+ * the index (added since the last update) is embedded on the spot.
+ * @param {Object} char
+ * @param {number} [limit=20]
+ * @returns {Promise<Array<{avatar: string, score: number}>>} Best first
+ */
+async function findSimilar(char, limit = 20) {
+    const config = await ensureSearchable();
+    let source = state.vectors.get(char.avatar);
+    if (!source) {
+        await CoreAPI.hydrateCharacter(char);
+        const text = fullText(char);
+        [source] = await embedTexts([text], config);
+        storeVector(char.avatar, source, hashString(text), hashString(lightText(char)));
+        saveIndex().catch(e => console.warn('[Embeddings] Save failed:', e.message));
+    }
+    const floor = MIN_SCORE[config.source] ?? 0;
+    const results = [];
+    for (const [avatar, vec] of state.vectors) {
+        if (avatar === char.avatar) continue;
+        const score = dot(source, vec);
+        if (score >= floor) results.push({ avatar, score });
+    }
+    results.sort((a, b) => b.score - a.score);
+    return results.slice(0, limit);
+}
+
+/**
+ * @returns {Promise<{source, model, count, total, building, progress, matchesConfig}>}
+ */
+async function getStatus() {
+    await loadIndex();
+    const config = getConfig();
+    return {
+        source: state.index?.source || null,
+        model: state.index?.model || null,
+        count: state.vectors.size,
+        total: CoreAPI.getAllCharacters().length,
+        building: state.building,
+        progress: state.progress,
+        matchesConfig: indexMatchesConfig(config),
+    };
+}
+
+// ========================================
+// INIT
+// ========================================
+
+function init() {
+    if (isInitialized) return;
+    isInitialized = true;
+}
+
+export default {
+    init,
+    updateIndex,
+    searchScores,
+    findSimilar,
+    getStatus,
+};
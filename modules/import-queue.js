@@ -0,0 +1,655 @@
+import CoreAPI from './core-api.js';
+import { getProviderHealth, onHostHealthChange } from './providers/provider-utils.js';
+
+// ========================================
+// IMPORT QUEUE
+// Background runner for URL card imports ("Queue in Background" in the
+// import modal). Each job is one pasted URL run through the library's
+// single-URL importer with the options chosen at enqueue time. Unfinished and
+// failed jobs (plus the paused flag) survive reloads via a Files-API mirror,
+// so a long paste keeps going after the modal or the tab is closed.
+// ========================================
+
+const QUEUE_FILE = '_cl_import_queue.json';
+const STORAGE_VERSION = 1;
+const DEFAULT_CONCURRENCY = 2;
+const MAX_CONCURRENCY = 6;
+const REFRESH_EVERY = 50;       // imports between library reloads on long runs
+const DEFER_FALLBACK_MS = 60000;
+const MAX_LISTED = 100;         // rows rendered in the notifications section
+
+let jobs = [];                  // FIFO by enqueue order
+let paused = false;
+let ready = false;              // set once the library is loaded (duplicate check needs it)
+let activeCount = 0;
+let wakeTimer = 0;
+let refreshing = false;
+let importedSinceRefresh = [];  // file names awaiting a library refresh
+let runStats = { imported: 0, skipped: 0, failed: 0 };
+let loaded = false;
+let saving = false;
+let saveQueued = false;
+let _loadingPromise = null;
+
+const controllers = new Map();  // job id -> AbortController
+const listeners = new Set();
+let _lastNotify = 0;
+let _notifyTimer = 0;
+
+function newId() {
+    return `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+}
+
+function getConcurrency() {
+    const n = parseInt(CoreAPI.getSetting('importQueueConcurrency'), 10);
+    return Number.isFinite(n) ? Math.min(MAX_CONCURRENCY, Math.max(1, n)) : DEFAULT_CONCURRENCY;
+}
+
+// ========================================
+// FILE I/O
+// ========================================
+
+async function fileUpload(name, data) {
+    const base64 = CoreAPI.utf8ToBase64(JSON.stringify(data));
+    const resp = await CoreAPI.apiRequest('/files/upload', 'POST', { name, data: base64 });
+    if (!resp.ok) {
+        const err = await resp.text().catch(() => resp.statusText);
+        throw new Error(`Queue file upload failed (${resp.status}): ${err}`);
+    }
+    return resp.json();
+}
+
+async function fileRead(name) {
+    try {
+        const resp = await fetch(`/user/files/${name}`, { cache: 'no-store' });
+        if (!resp.ok) return null;
+        const text = await resp.text();
+        if (!text || !text.trim()) return null;
+        return JSON.parse(text);
+    } catch {
+        return null;
+    }
+}
+
+// ========================================
+// PERSISTENCE
+// Pending, active and failed jobs persist; imported/skipped are session-only.
+// Active resumes as pending (the duplicate check skips a card that landed
+// just before the reload, when Skip duplicates was on).
+// ========================================
+
+function serializeQueue() {
+    return {
+        version: STORAGE_VERSION,
+        paused,
+        jobs: jobs
+            .filter(j => j.state === 'pending' || j.state === 'active' || j.state === 'failed')
+            .map(j => ({
+                id: j.id,
+                url: j.url,
+                label: j.label,
+                options: j.options,
+                state: j.state === 'failed' ? 'failed' : 'pending',
+                message: j.state === 'failed' ? j.message : '',
+                attempts: j.attempts,
+            })),
+    };
+}
+
+async function saveQueueFile() {
+    // First write may land before the boot read finished; complete the read
+    // first so we never clobber a file we havent seen
+    if (!loaded) await loadQueueFile();
+    if (saving) {
+        saveQueued = true;
+        return;
+    }
+    saving = true;
+    try {
+        const data = serializeQueue();
+        await fileUpload(QUEUE_FILE, data);
+        CoreAPI.debugLog(`[ImportQueue] Saved queue file (${data.jobs.length} entries)`);
+    } catch (e) {
+        console.error('[ImportQueue] Save failed:', e.message);
+    } finally {
+        saving = false;
+        if (saveQueued) {
+            saveQueued = false;
+            saveQueueFile();
+        }
+    }
+}
+
+async function loadQueueFile() {
+    if (loaded) return;
+    if (_loadingPromise) return _loadingPromise;
+    _loadingPromise = (async () => {
+        const data = await fileRead(QUEUE_FILE);
+        if (data && data.version === STORAGE_VERSION && Array.isArray(data.jobs)) {
+            paused = paused || data.paused === true;
+            const known = new Set(jobs.map(j => j.url));
+            // Persisted jobs go ahead of anything enqueued during boot
+            const restored = [];
+            for (const entry of data.jobs) {
+                if (!entry?.url || known.has(entry.url)) continue;
+                known.add(entry.url);
+                restored.push(makeJob(entry.url, entry.label, entry.options, {
+                    id: entry.id,
+                    state: entry.state === 'failed' ? 'failed' : 'pending',
+                    message: entry.message || '',
+                    attempts: entry.attempts || 0,
+                }));
+            }
+            jobs = [...restored, ...jobs];
+            if (restored.length) CoreAPI.debugLog(`[ImportQueue] Restored ${restored.length} persisted job(s)`);
+        }
+        loaded = true;
+        _loadingPromise = null;
+    })();
+    return _loadingPromise;
+}
+
+// ========================================
+// CHANGE NOTIFICATION (throttled; big pastes finish jobs in quick bursts)
+// ========================================
+
+function notify(immediate = false) {
+    const fire = () => {
+        _lastNotify = Date.now();
+        for (const cb of listeners) {
+            try { cb(); } catch (e) { console.error('[ImportQueue] listener failed:', e); }
+        }
+    };
+    if (immediate || Date.now() - _lastNotify > 150) {
+        clearTimeout(_notifyTimer);
+        _notifyTimer = 0;
+        fire();
+    } else if (!_notifyTimer) {
+        _notifyTimer = setTimeout(() => { _notifyTimer = 0; fire(); }, 150);
+    }
+}
+
+export function onQueueChange(cb) {
+    if (typeof cb === 'function') listeners.add(cb);
+    return () => listeners.delete(cb);
+}
+
+// ========================================
+// QUEUE OPERATIONS
+// ========================================
+
+function makeJob(url, label, options, extra = {}) {
+    return {
+        id: extra.id || newId(),
+        url,
+        label: label || url,
+        options: {
+            skipDuplicates: options?.skipDuplicates !== false,
+            autoDownloadGallery: options?.autoDownloadGallery === true,
+            autoDownloadMedia: options?.autoDownloadMedia === true,
+            // Only set for links the user explicitly chose to fetch as plain files
+            ...(options?.allowDirect === true ? { allowDirect: true } : {}),
+        },
+        state: extra.state || 'pending',
+        message: extra.message || '',
+        attempts: extra.attempts || 0,
+        providerId: null,
+        notBefore: 0,
+        finishedAt: 0,
+    };
+}
+
+/**
+ * Queue character URLs for background import. A URL already waiting (or
+ * failed) is not added twice; a failed one is re-queued instead.
+ * @param {Array<string|{url: string, label?: string}>} entries
+ * @param {Object} [options] - { skipDuplicates, autoDownloadGallery, autoDownloadMedia, allowDirect }
+ * @returns {number} how many URLs were queued
+ */
+export function enqueueImports(entries, options = {}) {
+    let added = 0;
+    for (const entry of entries || []) {
+        const url = String(typeof entry === 'string' ? entry : entry?.url || '').trim();
+        if (!url) continue;
+        const existing = jobs.find(j => j.url === url && (j.state === 'pending' || j.state === 'active' || j.state === 'failed'));
+        if (existing) {
+            if (existing.state === 'failed') {
+                resetJob(existing);
+                added++;
+            }
+            continue;
+        }
+        jobs.push(makeJob(url, typeof entry === 'object' ? entry.label : '', options));
+        added++;
+    }
+    if (added > 0) {
+        saveQueueFile();
+        notify(true);
+        pump();
+    }
+    return added;
+}
+
+function resetJob(job) {
+    job.state = 'pending';
+    job.message = '';
+    job.notBefore = 0;
+}
+
+export function retryJob(id) {
+    const job = jobs.find(j => j.id === id && j.state === 'failed');
+    if (!job) return false;
+    resetJob(job);
+    saveQueueFile();
+    notify(true);
+    pump();
+    return true;
+}
+
+export function retryAllFailed() {
+    const failed = jobs.filter(j => j.state === 'failed');
+    failed.forEach(resetJob);
+    if (failed.length === 0) return 0;
+    saveQueueFile();
+    notify(true);
+    pump();
+    return failed.length;
+}
+
+export function removeJob(id) {
+    const job = jobs.find(j => j.id === id);
+    if (!job) return false;
+    if (job.state === 'active') {
+        // Only direct downloads can be interrupted; provider imports finish
+        // and the worker drops the job afterwards
+        job.removed = true;
+        controllers.get(id)?.abort();
+        return true;
+    }
+    jobs = jobs.filter(j => j !== job);
+    saveQueueFile();
+    notify(true);
+    return true;
+}
+
+export function clearPendingJobs() {
+    const before = jobs.length;
+    jobs = jobs.filter(j => j.state !== 'pending');
+    if (jobs.length === before) return 0;
+    saveQueueFile();
+    notify(true);
+    return before - jobs.length;
+}
+
+export function clearFinishedJobs() {
+    jobs = jobs.filter(j => j.state === 'pending' || j.state === 'active' || j.state === 'failed');
+    notify(true);
+}
+
+export function pauseQueue() {
+    if (paused) return;
+    paused = true;
+    saveQueueFile();
+    notify(true);
+}
+
+export function resumeQueue() {
+    if (!paused) return;
+    paused = false;
+    saveQueueFile();
+    notify(true);
+    pump();
+}
+
+export function isPaused() {
+    return paused;
+}
+
+export function getQueueState() {
+    return {
+        paused,
+        concurrency: getConcurrency(),
+        active: jobs.filter(j => j.state === 'active'),
+        pending: jobs.filter(j => j.state === 'pending'),
+        failed: jobs.filter(j => j.state === 'failed'),
+        imported: jobs.filter(j => j.state === 'imported'),
+        skipped: jobs.filter(j => j.state === 'skipped'),
+    };
+}
+
+// ========================================
+// WORKER
+// Up to N imports in flight; per-host pacing and retries are the shared
+// scheduler's job. Jobs for a provider whose breaker is open wait until it
+// closes instead of failing one by one.
+// ========================================
+
+function nextRunnable(now) {
+    return jobs.find(j => j.state === 'pending' && j.notBefore <= now);
+}
+
+function scheduleWake() {
+    clearTimeout(wakeTimer);
+    wakeTimer = 0;
+    if (paused) return;
+    const waiting = jobs.filter(j => j.state === 'pending' && j.notBefore > Date.now());
+    if (waiting.length === 0) return;
+    const at = Math.min(...waiting.map(j => j.notBefore));
+    wakeTimer = setTimeout(() => { wakeTimer = 0; pump(); }, Math.max(1000, at - Date.now()));
+}
+
+function pump() {
+    if (!ready) return;
+    while (!paused && activeCount < getConcurrency()) {
+        const job = nextRunnable(Date.now());
+        if (!job) break;
+        runJob(job);
+    }
+    scheduleWake();
+    maybeFinishRun();
+}
+
+async function runJob(job) {
+    activeCount++;
+    job.state = 'active';
+    job.message = '';
+    job.attempts++;
+    const controller = new AbortController();
+    controllers.set(job.id, controller);
+    notify(true);
+
+    let result;
+    try {
+        result = await CoreAPI.importCharacterFromUrl(job.url, { ...job.options, signal: controller.signal });
+    } catch (e) {
+        result = { status: 'failed', message: e?.message || 'Import failed' };
+    } finally {
+        controllers.delete(job.id);
+        activeCount--;
+    }
+
+    job.providerId = result.providerId || job.providerId;
+    if (result.displayName && result.status !== 'failed') job.label = result.displayName;
+    job.message = result.message || '';
+
+    // An import that landed still needs the library refresh, removed or not
+    if (result.status === 'imported' && result.fileName) importedSinceRefresh.push(result.fileName);
+
+    if (job.removed) {
+        jobs = jobs.filter(j => j !== job);
+    } else if (result.status === 'deferred') {
+        // Provider paused by the scheduler: put it back without burning an attempt
+        job.state = 'pending';
+        job.attempts--;
+        job.notBefore = result.retryAt && result.retryAt > Date.now() ? result.retryAt : Date.now() + DEFER_FALLBACK_MS;
+    } else {
+        job.state = result.status === 'imported' || result.status === 'skipped' ? result.status : 'failed';
+        job.finishedAt = Date.now();
+        runStats[job.state]++;
+    }
+
+    saveQueueFile();
+    notify();
+    if (importedSinceRefresh.length >= REFRESH_EVERY) refreshLibrary();
+    pump();
+}
+
+async function refreshLibrary() {
+    if (refreshing || importedSinceRefresh.length === 0) return;
+    refreshing = true;
+    const fileNames = importedSinceRefresh;
+    importedSinceRefresh = [];
+    try {
+        await CoreAPI.refreshLibraryAfterImport(fileNames);
+    } catch (e) {
+        console.error('[ImportQueue] Library refresh failed:', e);
+    } finally {
+        refreshing = false;
+    }
+}
+
+// Idle (drained, paused or only waiting on a provider): catch the library up
+// and report the run once nothing is left to do
+function maybeFinishRun() {
+    if (activeCount > 0) return;
+    refreshLibrary();
+    if (paused || jobs.some(j => j.state === 'pending')) return;
+    const { imported, skipped, failed } = runStats;
+    if (imported + skipped + failed === 0) return;
+    runStats = { imported: 0, skipped: 0, failed: 0 };
+    const parts = [];
+    if (imported > 0) parts.push(`${imported} imported`);
+    if (skipped > 0) parts.push(`${skipped} skipped`);
+    if (failed > 0) parts.push(`${failed} failed`);
+    CoreAPI.showToast(`Import queue finished: ${parts.join(', ')}`, failed > 0 ? 'warning' : 'success');
+}
+
+// A breaker closing (recovery or "Retry now") releases the jobs waiting on it
+function onHealthChanged() {
+    let released = false;
+    for (const job of jobs) {
+        if (job.state !== 'pending' || job.notBefore <= Date.now() || !job.providerId) continue;
+        const provider = CoreAPI.getProvider(job.providerId);
+        if (provider && getProviderHealth(provider).state !== 'open') {
+            job.notBefore = 0;
+            released = true;
+        }
+    }
+    if (released) {
+        notify(true);
+        pump();
+    }
+}
+
+// ========================================
+// NOTIFICATIONS SECTION
+// ========================================
+
+const STATE_ICONS = {
+    active: 'fa-solid fa-spinner fa-spin',
+    pending: 'fa-solid fa-hourglass-half',
+    waiting: 'fa-solid fa-plug-circle-exclamation',
+    imported: 'fa-solid fa-circle-check',
+    skipped: 'fa-solid fa-forward',
+    failed: 'fa-solid fa-triangle-exclamation',
+};
+
+function sectionStatus() {
+    const s = getQueueState();
+    const remaining = s.active.length + s.pending.length;
+    if (remaining > 0) {
+        return {
+            visible: true,
+            level: s.paused ? 'none' : 'activity',
+            icon: s.paused ? 'fa-solid fa-pause' : 'fa-solid fa-file-import',
+            title: `${s.paused ? 'Import queue paused' : 'Importing in background'} (${remaining} left)`,
+        };
+    }
+    if (s.failed.length > 0) {
+        return {
+            visible: true,
+            level: 'warning',
+            badge: s.failed.length,
+            title: `${s.failed.length} queued import${s.failed.length === 1 ? '' : 's'} failed`,
+        };
+    }
+    // Finished jobs stay reviewable until cleared
+    return { visible: s.imported.length + s.skipped.length > 0, level: 'none', title: 'Background imports' };
+}
+
+function renderJobRow(job, esc) {
+    const waiting = job.state === 'pending' && job.notBefore > Date.now();
+    const iconKey = waiting ? 'waiting' : job.state;
+    let sub = '';
+    if (job.state === 'failed') sub = `<div class="iq-job-sub iq-error">${esc(job.message || 'Failed')}${job.attempts > 1 ? ` <span class="iq-job-meta">&times;${job.attempts}</span>` : ''}</div>`;
+    else if (waiting) sub = `<div class="iq-job-sub">${esc(job.message || 'Waiting for provider')}</div>`;
+    else if (job.state === 'skipped' || job.state === 'imported') sub = `<div class="iq-job-sub">${esc(job.message)}</div>`;
+
+    const actions = [];
+    if (job.state === 'failed') {
+        actions.push(`<button class="iq-btn" data-iq-retry="${esc(job.id)}" title="Retry"><i class="fa-solid fa-rotate-right"></i></button>`);
+    }
+    if (job.state !== 'imported' && job.state !== 'skipped') {
+        actions.push(`<button class="iq-btn" data-iq-remove="${esc(job.id)}" title="${job.state === 'failed' ? 'Dismiss' : 'Remove from queue'}"><i class="fa-solid fa-xmark"></i></button>`);
+    }
+
+    return `
+        <div class="iq-job iq-${iconKey}">
+            <span class="iq-job-icon"><i class="${STATE_ICONS[iconKey]}"></i></span>
+            <div class="iq-job-body">
+                <div class="iq-job-line">
+                    <span class="iq-job-name" title="${esc(job.url)}">${esc(job.label)}</span>
+                    ${actions.length ? `<span class="iq-job-actions">${actions.join('')}</span>` : ''}
+                </div>
+                ${sub}
+            </div>
+        </div>`;
+}
+
+function renderSection(el) {
+    if (!el) return;
+    const esc = CoreAPI.escapeHtml;
+    const s = getQueueState();
+    const finished = s.imported.length + s.skipped.length;
+    const total = s.active.length + s.pending.length + s.failed.length + finished;
+    if (total === 0) {
+        el.innerHTML = '';
+        return;
+    }
+    const remaining = s.active.length + s.pending.length;
+    const pct = Math.round(((total - remaining) / total) * 100);
+
+    const parts = ['<div class="iq-section">'];
+    parts.push(`
+        <div class="iq-header">
+            <i class="fa-solid fa-file-import"></i><span>Import Queue</span>
+            <span class="iq-header-actions">
+                ${remaining > 0 ? (s.paused
+                    ? '<button class="iq-btn" data-iq-resume title="Resume importing"><i class="fa-solid fa-play"></i> Resume</button>'
+                    : '<button class="iq-btn" data-iq-pause title="Finish the imports in progress, then stop"><i class="fa-solid fa-pause"></i> Pause</button>') : ''}
+                ${s.pending.length > 0 ? '<button class="iq-btn" data-iq-cancel title="Remove everything still waiting"><i class="fa-solid fa-ban"></i></button>' : ''}
+            </span>
+        </div>`);
+
+    if (remaining > 0) {
+        const status = s.paused
+            ? (s.active.length ? `Pausing after ${s.active.length} in progress` : 'Paused')
+            : `${s.active.length} running &middot; up to ${s.concurrency} at once`;
+        parts.push(`
+            <div class="iq-summary">
+                <span>${status}</span>
+                <span class="iq-job-meta">${total - remaining}/${total} &middot; ${pct}%</span>
+            </div>
+            <div class="iq-progress"><div class="iq-progress-fill" style="width:${pct}%"></div></div>`);
+    }
+
+    // Running, then failed, then waiting, then most recent finished
+    const finishedJobs = [...s.imported, ...s.skipped].sort((a, b) => b.finishedAt - a.finishedAt);
+    const ordered = [...s.active, ...s.failed, ...s.pending, ...finishedJobs];
+    parts.push('<div class="iq-list">');
+    for (const job of ordered.slice(0, MAX_LISTED)) parts.push(renderJobRow(job, esc));
+    if (ordered.length > MAX_LISTED) {
+        parts.push(`<div class="iq-more">+${ordered.length - MAX_LISTED} more</div>`);
+    }
+    parts.push('</div>');
+
+    if (s.failed.length > 1) {
+        parts.push(`
+            <div class="iq-foot-row">
+                <span class="iq-failed-count"><i class="fa-solid fa-triangle-exclamation"></i> ${s.failed.length} failed</span>
+                <button class="iq-btn" data-iq-retry-all title="Retry every failed URL"><i class="fa-solid fa-rotate-right"></i> Retry all</button>
+            </div>`);
+    }
+    if (finished > 0) {
+        parts.push(`
+            <div class="iq-foot-row">
+                <span><i class="fa-solid fa-circle-check"></i> ${s.imported.length} imported${s.skipped.length ? `, ${s.skipped.length} skipped` : ''}</span>
+                <button class="iq-btn" data-iq-clear title="Clear finished"><i class="fa-solid fa-broom"></i></button>
+            </div>`);
+    }
+    parts.push('</div>');
+    el.innerHTML = parts.join('');
+}
+
+function wireSectionEvents(el) {
+    // One delegated listener on the persistent section node
+    el.addEventListener('click', async (e) => {
+        const btn = e.target.closest('.iq-btn');
+        if (!btn) return;
+        e.stopPropagation();
+        if (btn.hasAttribute('data-iq-pause')) pauseQueue();
+        else if (btn.hasAttribute('data-iq-resume')) resumeQueue();
+        else if (btn.hasAttribute('data-iq-retry-all')) retryAllFailed();
+        else if (btn.hasAttribute('data-iq-clear')) clearFinishedJobs();
+        else if (btn.dataset.iqRetry) retryJob(btn.dataset.iqRetry);
+        else if (btn.dataset.iqRemove) removeJob(btn.dataset.iqRemove);
+        else if (btn.hasAttribute('data-iq-cancel')) {
+            const count = jobs.filter(j => j.state === 'pending').length;
+            const ok = await CoreAPI.showConfirm({
+                title: 'Cancel queued imports?',
+                message: `Remove ${count} URL${count === 1 ? '' : 's'} that haven't been imported yet? Imports already running will finish.`,
+                icon: 'fa-solid fa-ban',
+                confirmLabel: 'Remove',
+                danger: true,
+            });
+            if (ok) clearPendingJobs();
+        }
+    });
+}
+
+function isSectionShowing(el) {
+    const dropdown = document.getElementById('notificationsDropdown');
+    return !!el && !!dropdown && !dropdown.classList.contains('hidden');
+}
+
+// ========================================
+// INIT
+// ========================================
+
+function init() {
+    CoreAPI.registerNotificationSection({
+        id: 'import-queue',
+        getStatus: sectionStatus,
+        onOpen: (el) => renderSection(el),
+    });
+    const sectionEl = document.querySelector('#notificationsDropdown [data-notif-section="import-queue"]');
+    if (sectionEl) wireSectionEvents(sectionEl);
+    onQueueChange(() => {
+        CoreAPI.refreshNotificationsUI();
+        if (isSectionShowing(sectionEl)) renderSection(sectionEl);
+    });
+    onHostHealthChange(onHealthChanged);
+
+    // Restore immediately so the bell shows the backlog; running waits for
+    // the character list, which the duplicate check reads
+    loadQueueFile().then(() => notify(true));
+
+    const start = async () => {
+        await loadQueueFile();
+        ready = true;
+        const pending = jobs.filter(j => j.state === 'pending').length;
+        CoreAPI.debugLog(`[ImportQueue] Ready (${pending} pending${paused ? ', paused' : ''})`);
+        notify(true);
+        pump();
+    };
+    if (CoreAPI.getAllCharacters().length > 0) {
+        start();
+    } else {
+        document.addEventListener('cl-characters-loaded', start, { once: true });
+    }
+}
+
+export default {
+    init,
+    enqueueImports,
+    retryJob,
+    retryAllFailed,
+    removeJob,
+    clearPendingJobs,
+    clearFinishedJobs,
+    pauseQueue,
+    resumeQueue,
+    isPaused,
+    getQueueState,
+    onQueueChange,
+};
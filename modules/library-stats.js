@@ -0,0 +1,595 @@
+// Library Stats - aggregate dashboard over characters, chats and gallery
+// folders. Every bar, column, slice and heatmap cell carries a search query;
+// clicking it closes the dashboard and filters the grid with that query.
+
+import * as CoreAPI from './core-api.js';
+
+// ========================================
+// STATE
+// ========================================
+
+let isInitialized = false;
+
+const state = {
+    open: false,
+    chats: null,            // [{ avatar, charName, file_name, last_mes, chat_items }] once loaded
+    chatsLoading: false,
+    galleryUsage: null,     // { byAvatar: Map<avatar, {bytes, count}>, measuredAt, source }
+    measuring: false,
+    abortMeasure: false,
+};
+
+const TOP_N = 15;
+const TOKEN_EDGES = [0, 500, 1000, 2000, 3000, 4000, 6000, 8000, 12000, Infinity];
+const HEATMAP_WEEKS = 53;
+// Monthly columns up to this span, yearly beyond it
+const MAX_MONTH_COLUMNS = 36;
+const HEAD_CONCURRENCY = 6;
+
+function formatSize(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1048576) return `${(bytes / 1024).toFixed(1)} KB`;
+    if (bytes < 1073741824) return `${(bytes / 1048576).toFixed(1)} MB`;
+    return `${(bytes / 1073741824).toFixed(2)} GB`;
+}
+
+function formatTokens(n) {
+    return n >= 1000 ? `${+(n / 1000).toFixed(1)}k` : String(n);
+}
+
+function esc(text) {
+    return CoreAPI.escapeHtml(String(text ?? ''));
+}
+
+function pad2(n) {
+    return String(n).padStart(2, '0');
+}
+
+function dayKey(date) {
+    return `${date.getFullYear()}-${pad2(date.getMonth() + 1)}-${pad2(date.getDate())}`;
+}
+
+/**
+ * Quote a value for the search query language when it has spaces or syntax
+ * characters. The grammar has no escape for a literal quote, so those are dropped.
+ */
+function queryValue(value) {
+    const v = String(value ?? '').replace(/"/g, '');
+    return /[\s()|&]/.test(v) || !v ? `"${v}"` : v;
+}
+
+function avatarsQuery(avatars) {
+    return [...avatars].map(a => `avatar:${queryValue(a)}`).join(' OR ');
+}
+
+// ST writes the flag as a boolean or the string 'true', at the root or under extensions
+function isFavorite(c) {
+    return c.fav === true || c.fav === 'true' || c.data?.extensions?.fav === true || c.data?.extensions?.fav === 'true';
+}
+
+function parseChatTime(lastMes) {
+    if (!lastMes) return 0;
+    const t = new Date(lastMes).getTime();
+    return isNaN(t) ? 0 : t;
+}
+
+// ========================================
+// MODAL SHELL
+// ========================================
+
+function injectModal() {
+    const modalHtml = `
+    <div id="libraryStatsModal" class="cl-modal cl-modal-drawer">
+        <div class="cl-modal-content ls-content" style="max-width: calc(980px * var(--modal-scale, 1));">
+            <div class="cl-modal-header">
+                <h3><i class="fa-solid fa-chart-simple"></i> Library Stats</h3>
+                <button id="libraryStatsCloseBtn" class="cl-modal-close"><i class="fa-solid fa-xmark"></i></button>
+            </div>
+            <div class="cl-modal-body ls-body" id="libraryStatsBody"></div>
+        </div>
+    </div>`;
+    document.body.insertAdjacentHTML('beforeend', modalHtml);
+
+    const modal = document.getElementById('libraryStatsModal');
+    document.getElementById('libraryStatsCloseBtn')?.addEventListener('click', () => closeModal());
+    modal?.addEventListener('click', (e) => {
+        if (e.target.id === 'libraryStatsModal') {
+            closeModal();
+            return;
+        }
+        const segment = e.target.closest('[data-query]');
+        if (segment) {
+            closeModal();
+            CoreAPI.applySearchQuery(segment.dataset.query);
+            return;
+        }
+        if (e.target.closest('#lsMeasureGalleryBtn')) measureGalleryUsage();
+        if (e.target.closest('#lsReloadChatsBtn')) loadChats(true);
+    });
+}
+
+function closeModal() {
+    state.open = false;
+    state.abortMeasure = true;
+    document.getElementById('libraryStatsModal')?.classList.remove('visible');
+}
+
+/**
+ * Open the dashboard. Character sections render immediately; chat sections
+ * fill in once the chat listing arrives.
+ */
+function openStats() {
+    if (!isInitialized) init();
+    state.open = true;
+    render();
+    document.getElementById('libraryStatsModal')?.classList.add('visible');
+    if (!state.chats) loadChats(false);
+}
+
+async function loadChats(force) {
+    if (state.chatsLoading) return;
+    if (force) state.chats = null;
+    state.chatsLoading = true;
+    renderChatSections();
+    try {
+        const all = await CoreAPI.listAllChatsWithMeta({ includeUnbound: true });
+        state.chats = Array.isArray(all) ? all : [];
+    } catch (e) {
+        console.error('[LibraryStats] Chat listing failed:', e);
+        state.chats = [];
+    } finally {
+        state.chatsLoading = false;
+    }
+    if (state.open) renderChatSections();
+}
+
+// ========================================
+// AGGREGATION
+// ========================================
+
+function buildAddedSeries(chars) {
+    const stamps = chars.map(c => c._dateAdded).filter(t => t > 0);
+    if (stamps.length === 0) return { columns: [], unit: 'month' };
+
+    const first = new Date(stamps.reduce((a, b) => Math.min(a, b)));
+    const now = new Date();
+    const months = (now.getFullYear() - first.getFullYear()) * 12 + (now.getMonth() - first.getMonth()) + 1;
+
+    if (months <= MAX_MONTH_COLUMNS) {
+        const counts = new Map();
+        for (const t of stamps) {
+            const d = new Date(t);
+            const key = `${d.getFullYear()}-${pad2(d.getMonth() + 1)}`;
+            counts.set(key, (counts.get(key) || 0) + 1);
+        }
+        const columns = [];
+        for (let i = 0; i < months; i++) {
+            const d = new Date(first.getFullYear(), first.getMonth() + i, 1);
+            const key = `${d.getFullYear()}-${pad2(d.getMonth() + 1)}`;
+            columns.push({
+                label: d.toLocaleDateString(undefined, { month: 'short', year: '2-digit' }),
+                value: counts.get(key) || 0,
+                query: `added:${key}`,
+            });
+        }
+        return { columns, unit: 'month' };
+    }
+
+    const counts = new Map();
+    for (const t of stamps) {
+        const y = new Date(t).getFullYear();
+        counts.set(y, (counts.get(y) || 0) + 1);
+    }
+    const columns = [];
+    for (let y = first.getFullYear(); y <= now.getFullYear(); y++) {
+        columns.push({ label: String(y), value: counts.get(y) || 0, query: `added:>=${y}-01-01 added:<${y + 1}-01-01` });
+    }
+    return { columns, unit: 'year' };
+}
+
+function buildTokenSeries(chars) {
+    const counts = new Array(TOKEN_EDGES.length - 1).fill(0);
+    let unknown = 0;
+    let total = 0;
+    let known = 0;
+    for (const c of chars) {
+        const t = c._tokenEstimate;
+        if (t == null) { unknown++; continue; }
+        known++;
+        total += t;
+        for (let i = 0; i < counts.length; i++) {
+            if (t < TOKEN_EDGES[i + 1]) { counts[i]++; break; }
+        }
+    }
+    const columns = counts.map((value, i) => {
+        const lo = TOKEN_EDGES[i];
+        const hi = TOKEN_EDGES[i + 1];
+        let label, query;
+        if (lo === 0) {
+            label = `<${formatTokens(hi)}`;
+            query = `tokens:<${hi}`;
+        } else if (hi === Infinity) {
+            label = `${formatTokens(lo)}+`;
+            query = `tokens:>=${lo}`;
+        } else {
+            label = `${formatTokens(lo)}-${formatTokens(hi)}`;
+            query = `tokens:>=${lo} tokens:<${hi}`;
+        }
+        return { label, value, query };
+    });
+    return { columns, unknown, average: known ? Math.round(total / known) : 0 };
+}
+
+function buildTopTags() {
+    return [...CoreAPI.getTagFrequencies().entries()]
+        .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+        .slice(0, TOP_N)
+        .map(([tag, value]) => ({ label: tag, value, query: `tag:${queryValue(tag)}` }));
+}
+
+function buildTopCreators(chars) {
+    const byKey = new Map();
+    for (const c of chars) {
+        const key = c._lowerCreator;
+        if (!key) continue;
+        const entry = byKey.get(key);
+        if (entry) entry.value++;
+        else byKey.set(key, { label: String(c.creator || c.data?.creator || key), value: 1 });
+    }
+    return [...byKey.values()]
+        .sort((a, b) => b.value - a.value || a.label.localeCompare(b.label))
+        .slice(0, TOP_N)
+        .map(e => ({ ...e, query: `creator:${queryValue(e.label)}` }));
+}
+
+function buildProviderBreakdown(chars) {
+    const byId = new Map();
+    let unlinked = 0;
+    for (const c of chars) {
+        const provider = CoreAPI.getCharacterProvider(c)?.provider;
+        if (!provider) { unlinked++; continue; }
+        const entry = byId.get(provider.id);
+        if (entry) entry.value++;
+        else byId.set(provider.id, { label: provider.name, icon: provider.icon, value: 1, query: `provider:${queryValue(provider.id)}` });
+    }
+    const segments = [...byId.values()].sort((a, b) => b.value - a.value);
+    if (unlinked > 0) segments.push({ label: 'Not linked', icon: 'fa-solid fa-link-slash', value: unlinked, query: 'linked:no', muted: true });
+    return segments;
+}
+
+function buildChatAggregates(chats) {
+    const byDay = new Map();        // dayKey -> { count, avatars:Set }
+    const byAvatar = new Map();     // avatar -> { chats, messages, name }
+    let messages = 0;
+    for (const chat of chats) {
+        const items = Number(chat.chat_items) || 0;
+        messages += items;
+        const entry = byAvatar.get(chat.avatar);
+        if (entry) {
+            entry.chats++;
+            entry.messages += items;
+        } else {
+            byAvatar.set(chat.avatar, { chats: 1, messages: items, name: chat.charName });
+        }
+        const t = parseChatTime(chat.last_mes);
+        if (!t) continue;
+        const key = dayKey(new Date(t));
+        const day = byDay.get(key) || { count: 0, avatars: new Set() };
+        day.count++;
+        day.avatars.add(chat.avatar);
+        byDay.set(key, day);
+    }
+    const topChatted = [...byAvatar.entries()]
+        .sort((a, b) => b[1].messages - a[1].messages || b[1].chats - a[1].chats)
+        .slice(0, TOP_N)
+        .map(([avatar, e]) => ({
+            label: CoreAPI.getCharacterByAvatar(avatar)?.name || e.name || avatar,
+            value: e.messages,
+            display: `${e.messages.toLocaleString()} msgs · ${e.chats} chat${e.chats !== 1 ? 's' : ''}`,
+            query: avatarsQuery([avatar]),
+        }));
+    return { byDay, topChatted, messages, characters: byAvatar.size };
+}
+
+// ========================================
+// CHART PRIMITIVES
+// ========================================
+
+function emptyNote(text) {
+    return `<div class="ls-empty">${esc(text)}</div>`;
+}
+
+/** Vertical columns for ordered series (time, buckets). */
+function renderColumns(columns, unitLabel) {
+    if (!columns.length || columns.every(c => c.value === 0)) return emptyNote('Nothing to chart yet');
+    const max = Math.max(...columns.map(c => c.value), 1);
+    return `<div class="ls-columns" style="--ls-cols: ${columns.length}">
+        ${columns.map(c => `
+        <button type="button" class="ls-column" data-query="${esc(c.query)}" title="${esc(`${c.label}: ${c.value} ${unitLabel}`)}">
+            <span class="ls-column-value">${c.value || ''}</span>
+            <span class="ls-column-bar" style="height: ${(c.value / max) * 100}%"></span>
+            <span class="ls-column-label">${esc(c.label)}</span>
+        </button>`).join('')}
+    </div>`;
+}
+
+/** Horizontal ranked bars (top-N lists). */
+function renderBars(items, emptyText) {
+    if (!items.length) return emptyNote(emptyText);
+    const max = Math.max(...items.map(i => i.value), 1);
+    return `<div class="ls-bars">
+        ${items.map(i => `
+        <button type="button" class="ls-bar-row" data-query="${esc(i.query)}" title="${esc(i.label)}">
+            <span class="ls-bar-label">${esc(i.label)}</span>
+            <span class="ls-bar-track"><span class="ls-bar-fill" style="width: ${(i.value / max) * 100}%"></span></span>
+            <span class="ls-bar-value">${esc(i.display ?? i.value.toLocaleString())}</span>
+        </button>`).join('')}
+    </div>`;
+}
+
+/** One stacked bar plus a legend; both are clickable. */
+function renderStack(segments, total) {
+    if (!segments.length) return emptyNote('No characters');
+    const pct = v => (total ? (v / total) * 100 : 0);
+    return `
+    <div class="ls-stack">
+        ${segments.map((s, i) => `<button type="button" class="ls-stack-seg ls-seg-${s.muted ? 'muted' : i % 8}" data-query="${esc(s.query)}" style="width: ${pct(s.value)}%" title="${esc(`${s.label}: ${s.value}`)}"></button>`).join('')}
+    </div>
+    <div class="ls-legend">
+        ${segments.map((s, i) => `
+        <button type="button" class="ls-legend-item" data-query="${esc(s.query)}">
+            <span class="ls-legend-swatch ls-seg-${s.muted ? 'muted' : i % 8}"></span>
+            <i class="${esc(s.icon || 'fa-solid fa-link')}"></i>
+            <span>${esc(s.label)}</span>
+            <span class="ls-legend-count">${s.value.toLocaleString()} (${pct(s.value).toFixed(1)}%)</span>
+        </button>`).join('')}
+    </div>`;
+}
+
+/** GitHub-style calendar of the last HEATMAP_WEEKS weeks, one cell per day. */
+function renderHeatmap(byDay) {
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    const start = new Date(today);
+    start.setDate(start.getDate() - start.getDay() - (HEATMAP_WEEKS - 1) * 7);
+
+    let max = 0;
+    for (const d of byDay.values()) max = Math.max(max, d.count);
+
+    const cells = [];
+    for (let d = new Date(start); d <= today; d.setDate(d.getDate() + 1)) {
+        const key = dayKey(d);
+        const day = byDay.get(key);
+        const count = day?.count || 0;
+        const level = count === 0 ? 0 : Math.min(4, Math.ceil((count / max) * 4));
+        const label = `${d.toLocaleDateString()}: ${count} chat${count !== 1 ? 's' : ''}`;
+        cells.push(day
+            ? `<button type="button" class="ls-heat-cell ls-heat-${level}" data-query="${esc(avatarsQuery(day.avatars))}" title="${esc(label)}"></button>`
+            : `<span class="ls-heat-cell ls-heat-0" title="${esc(label)}"></span>`);
+    }
+    return `<div class="ls-heatmap">${cells.join('')}</div>
+        <div class="ls-heat-scale">Less ${[0, 1, 2, 3, 4].map(l => `<span class="ls-heat-cell ls-heat-${l}"></span>`).join('')} More</div>`;
+}
+
+function sectionHtml(id, icon, title, content, extra = '') {
+    return `
+    <section class="ls-section" id="${id}">
+        <div class="ls-section-header">
+            <h4><i class="${icon}"></i> ${esc(title)}</h4>
+            ${extra}
+        </div>
+        <div class="ls-section-body">${content}</div>
+    </section>`;
+}
+
+// ========================================
+// RENDER
+// ========================================
+
+function render() {
+    const body = document.getElementById('libraryStatsBody');
+    if (!body) return;
+
+    const chars = CoreAPI.getAllCharacters();
+    const added = buildAddedSeries(chars);
+    const tokens = buildTokenSeries(chars);
+    const providers = buildProviderBreakdown(chars);
+    const linked = providers.filter(p => !p.muted).reduce((n, p) => n + p.value, 0);
+    const favorites = chars.filter(isFavorite).length;
+
+    const summary = [
+        { label: 'Characters', value: chars.length.toLocaleString(), query: '' },
+        { label: 'Favorites', value: favorites.toLocaleString(), query: 'fav:yes' },
+        { label: 'Linked', value: linked.toLocaleString(), query: 'linked:yes' },
+        { label: 'Tags', value: CoreAPI.getTagFrequencies().size.toLocaleString() },
+        { label: 'Avg. tokens', value: formatTokens(tokens.average) },
+    ];
+
+    const tokenNote = tokens.unknown > 0
+        ? `<span class="ls-note" title="Cards loaded without their full text have no estimate yet">${tokens.unknown} not estimated</span>`
+        : '';
+
+    body.innerHTML = `
+        <div class="ls-summary">
+            ${summary.map(s => s.query !== undefined
+                ? `<button type="button" class="ls-stat" data-query="${esc(s.query)}"><span class="ls-stat-value">${esc(s.value)}</span><span class="ls-stat-label">${esc(s.label)}</span></button>`
+                : `<div class="ls-stat"><span class="ls-stat-value">${esc(s.value)}</span><span class="ls-stat-label">${esc(s.label)}</span></div>`).join('')}
+            <div class="ls-stat" id="lsChatCountStat"><span class="ls-stat-value">…</span><span class="ls-stat-label">Chats</span></div>
+            <div class="ls-stat" id="lsMessageCountStat"><span class="ls-stat-value">…</span><span class="ls-stat-label">Messages</span></div>
+        </div>
+        ${sectionHtml('lsAddedSection', 'fa-solid fa-calendar-plus', `Characters added per ${added.unit}`, renderColumns(added.columns, 'added'))}
+        ${sectionHtml('lsTokensSection', 'fa-solid fa-coins', 'Token count distribution', renderColumns(tokens.columns, 'characters'), tokenNote)}
+        <div class="ls-two-col">
+            ${sectionHtml('lsTagsSection', 'fa-solid fa-tags', 'Top tags', renderBars(buildTopTags(), 'No tags yet'))}
+            ${sectionHtml('lsCreatorsSection', 'fa-solid fa-user-pen', 'Top creators', renderBars(buildTopCreators(chars), 'No creators recorded'))}
+        </div>
+        ${sectionHtml('lsProvidersSection', 'fa-solid fa-link', 'Provider links', renderStack(providers, chars.length))}
+        <div id="lsChatSections"></div>
+        <div id="lsGallerySection"></div>
+    `;
+    renderChatSections();
+    renderGallerySection();
+}
+
+function renderChatSections() {
+    const host = document.getElementById('lsChatSections');
+    if (!host) return;
+    const reloadBtn = `<button type="button" id="lsReloadChatsBtn" class="cl-btn cl-btn-secondary cl-btn-sm" title="Reload chat listing"${state.chatsLoading ? ' disabled' : ''}><i class="fa-solid fa-rotate"></i></button>`;
+
+    if (!state.chats) {
+        const loading = `<div class="ls-loading"><i class="fa-solid fa-spinner fa-spin"></i> Loading chats...</div>`;
+        host.innerHTML = sectionHtml('lsHeatmapSection', 'fa-solid fa-fire', 'Chat activity', loading, reloadBtn);
+        return;
+    }
+
+    const agg = buildChatAggregates(state.chats);
+    const setStat = (id, value) => {
+        const el = document.querySelector(`#${id} .ls-stat-value`);
+        if (el) el.textContent = value;
+    };
+    setStat('lsChatCountStat', state.chats.length.toLocaleString());
+    setStat('lsMessageCountStat', agg.messages.toLocaleString());
+
+    const heatNote = `<span class="ls-note" title="Chat files only record when their last message was sent">by each chat's last message</span>`;
+    host.innerHTML = `
+        ${sectionHtml('lsHeatmapSection', 'fa-solid fa-fire', 'Chat activity', state.chats.length ? renderHeatmap(agg.byDay) : emptyNote('No chats found'), `<div class="ls-section-actions">${heatNote}${reloadBtn}</div>`)}
+        ${sectionHtml('lsChattedSection', 'fa-solid fa-comments', 'Most chatted characters', renderBars(agg.topChatted, 'No chats found'))}
+    `;
+}
+
+function renderGallerySection() {
+    const host = document.getElementById('lsGallerySection');
+    if (!host) return;
+
+    const usage = state.galleryUsage;
+    const measureBtn = `<button type="button" id="lsMeasureGalleryBtn" class="cl-btn cl-btn-secondary cl-btn-sm"${state.measuring ? ' disabled' : ''}>
+        <i class="fa-solid fa-hard-drive"></i> ${usage ? 'Measure again' : 'Measure'}</button>`;
+
+    let content;
+    if (state.measuring) {
+        content = `<div class="ls-loading" id="lsGalleryProgress"><i class="fa-solid fa-spinner fa-spin"></i> Measuring gallery folders...</div>`;
+    } else if (!usage) {
+        content = emptyNote('Gallery sizes are measured on request. With cl-helper installed this is a single call; without it every file is checked.');
+    } else {
+        let totalBytes = 0;
+        let totalFiles = 0;
+        const rows = [];
+        for (const [avatar, u] of usage.byAvatar) {
+            totalBytes += u.bytes;
+            totalFiles += u.count;
+            if (u.bytes > 0) rows.push({ avatar, ...u });
+        }
+        rows.sort((a, b) => b.bytes - a.bytes);
+        const items = rows.slice(0, TOP_N).map(r => ({
+            label: CoreAPI.getCharacterByAvatar(r.avatar)?.name || r.avatar,
+            value: r.bytes,
+            display: `${formatSize(r.bytes)} · ${r.count} file${r.count !== 1 ? 's' : ''}`,
+            query: avatarsQuery([r.avatar]),
+        }));
+        content = `<div class="ls-gallery-total">${formatSize(totalBytes)} in ${totalFiles.toLocaleString()} files across ${rows.length.toLocaleString()} galleries</div>
+            ${renderBars(items, 'No gallery files found')}`;
+    }
+    host.innerHTML = sectionHtml('lsGalleryUsageSection', 'fa-solid fa-images', 'Gallery disk usage', content, measureBtn);
+}
+
+// ========================================
+// GALLERY USAGE
+// ========================================
+
+function galleryFolderFor(char) {
+    const folder = CoreAPI.getGalleryFolderName(char);
+    return folder ? (CoreAPI.sanitizeFolderName(folder) || folder) : '';
+}
+
+async function fetchUsageFromHelper() {
+    try {
+        const resp = await CoreAPI.apiRequest('/plugins/cl-helper/gallery-usage');
+        if (!resp.ok) return null;
+        const data = await resp.json();
+        return data?.available ? (data.folders || {}) : null;
+    } catch {
+        return null;
+    }
+}
+
+function setMeasureProgress(text) {
+    const el = document.getElementById('lsGalleryProgress');
+    if (el) el.innerHTML = `<i class="fa-solid fa-spinner fa-spin"></i> ${esc(text)}`;
+}
+
+// Without cl-helper: list each folder and read Content-Length with HEAD requests
+async function measureWithHeadRequests(chars) {
+    const byFolder = new Map();
+    for (let i = 0; i < chars.length; i++) {
+        if (state.abortMeasure) return null;
+        const folder = galleryFolderFor(chars[i]);
+        if (!folder || byFolder.has(folder)) continue;
+        setMeasureProgress(`Measuring gallery folders... ${i}/${chars.length}`);
+        const info = await CoreAPI.getCharacterGalleryInfo(chars[i]);
+        const names = (info.files || []).map(f => (typeof f === 'string' ? f : f?.name)).filter(Boolean);
+        let bytes = 0;
+        let count = 0;
+        for (let j = 0; j < names.length; j += HEAD_CONCURRENCY) {
+            if (state.abortMeasure) return null;
+            const sizes = await Promise.all(names.slice(j, j + HEAD_CONCURRENCY).map(async (name) => {
+                try {
+                    const resp = await fetch(`/user/images/${encodeURIComponent(folder)}/${encodeURIComponent(name)}`, { method: 'HEAD' });
+                    return resp.ok ? (parseInt(resp.headers.get('Content-Length'), 10) || 0) : null;
+                } catch {
+                    return null;
+                }
+            }));
+            for (const size of sizes) {
+                if (size === null) continue;
+                bytes += size;
+                count++;
+            }
+        }
+        byFolder.set(folder, { bytes, count });
+    }
+    return Object.fromEntries(byFolder);
+}
+
+async function measureGalleryUsage() {
+    if (state.measuring) return;
+    state.measuring = true;
+    state.abortMeasure = false;
+    renderGallerySection();
+
+    const chars = CoreAPI.getAllCharacters();
+    try {
+        let folders = await fetchUsageFromHelper();
+        const source = folders ? 'cl-helper' : 'http';
+        if (!folders) folders = await measureWithHeadRequests(chars);
+        if (!folders) return;
+
+        const byAvatar = new Map();
+        for (const c of chars) {
+            const folder = galleryFolderFor(c);
+            const usage = folder ? folders[folder] : null;
+            if (usage) byAvatar.set(c.avatar, { bytes: usage.bytes || 0, count: usage.count || 0 });
+        }
+        state.galleryUsage = { byAvatar, measuredAt: Date.now(), source };
+    } catch (e) {
+        console.error('[LibraryStats] Gallery measurement failed:', e);
+        CoreAPI.showToast(`Could not measure galleries: ${e.message}`, 'error');
+    } finally {
+        state.measuring = false;
+        if (state.open) renderGallerySection();
+    }
+}
+
+// ========================================
+// INIT
+// ========================================
+
+function init() {
+    if (isInitialized) return;
+    injectModal();
+    isInitialized = true;
+}
+
+export default {
+    init,
+    openStats,
+};
@@ -0,0 +1,614 @@
+// Lorebook Formats - conversion between SillyTavern world files and other apps' lorebooks
+//
+// Pure: parses a file's text into a native world file, or serializes a native world into
+// another format. Both directions return the settings that had no counterpart on the other
+// side, so the manager can tell the user what was left behind instead of dropping it quietly.
+//
+// Formats: SillyTavern world files and embedded character books (V2/V3 cards), NovelAI
+// .lorebook, Agnai memory books, RisuAI lorebook exports, and structured Markdown (a heading
+// per entry, a front-matter block of keys and settings, then the content).
+
+// ========================================
+// NATIVE ENTRY (ST world-info.js newWorldInfoEntryDefinition)
+// ========================================
+
+export function newEntry(uid, displayIndex) {
+    return {
+        uid,
+        key: [], keysecondary: [],
+        comment: '', content: '',
+        constant: false, vectorized: false,
+        selective: true, selectiveLogic: 0,
+        addMemo: false,
+        order: 100, position: 0,
+        disable: false, ignoreBudget: false,
+        excludeRecursion: false, preventRecursion: false,
+        matchPersonaDescription: false, matchCharacterDescription: false,
+        matchCharacterPersonality: false, matchCharacterDepthPrompt: false,
+        matchScenario: false, matchCreatorNotes: false,
+        delayUntilRecursion: 0,
+        probability: 100, useProbability: true,
+        depth: 4, outletName: '',
+        group: '', groupOverride: false, groupWeight: 100,
+        scanDepth: null, caseSensitive: null, matchWholeWords: null, useGroupScoring: null,
+        automationId: '', role: 0,
+        sticky: null, cooldown: null, delay: null,
+        triggers: [],
+        displayIndex,
+    };
+}
+
+// Port of ST's convertCharacterBook: embedded character_book (entries ARRAY) -> native
+// world file (entries OBJECT keyed by id). Lets the user import a card's V2/V3 JSON directly.
+export function convertCharacterBookToNative(book) {
+    const result = { entries: {} };
+    const list = Array.isArray(book?.entries) ? book.entries : [];
+    list.forEach((entry, index) => {
+        const id = entry.id === undefined ? index : entry.id;
+        const ext = entry.extensions || {};
+        const posFromString = entry.position === 'before_char' ? 0 : 1;
+        result.entries[id] = {
+            ...newEntry(id, ext.display_index ?? index),
+            key: Array.isArray(entry.keys) ? entry.keys : [],
+            keysecondary: entry.secondary_keys || [],
+            comment: entry.comment || '',
+            content: entry.content || '',
+            constant: entry.constant || false,
+            selective: entry.selective || false,
+            order: entry.insertion_order ?? 100,
+            position: ext.position ?? posFromString,
+            excludeRecursion: ext.exclude_recursion ?? false,
+            preventRecursion: ext.prevent_recursion ?? false,
+            delayUntilRecursion: ext.delay_until_recursion ?? 0,
+            disable: !entry.enabled,
+            addMemo: !!entry.comment,
+            probability: ext.probability ?? 100,
+            useProbability: ext.useProbability ?? true,
+            depth: ext.depth ?? 4,
+            selectiveLogic: ext.selectiveLogic ?? 0,
+            group: ext.group ?? '',
+            groupOverride: ext.group_override ?? false,
+            groupWeight: ext.group_weight ?? 100,
+            scanDepth: ext.scan_depth ?? null,
+            caseSensitive: ext.case_sensitive ?? null,
+            matchWholeWords: ext.match_whole_words ?? null,
+            useGroupScoring: ext.use_group_scoring ?? null,
+            automationId: ext.automation_id ?? '',
+            role: ext.role ?? 0,
+            vectorized: ext.vectorized ?? false,
+            sticky: ext.sticky ?? null,
+            cooldown: ext.cooldown ?? null,
+            delay: ext.delay ?? null,
+            outletName: ext.outlet_name ?? '',
+            ignoreBudget: ext.ignore_budget ?? false,
+            triggers: ext.triggers ?? [],
+            matchPersonaDescription: ext.match_persona_description ?? false,
+            matchCharacterDescription: ext.match_character_description ?? false,
+            matchCharacterPersonality: ext.match_character_personality ?? false,
+            matchCharacterDepthPrompt: ext.match_character_depth_prompt ?? false,
+            matchScenario: ext.match_scenario ?? false,
+            matchCreatorNotes: ext.match_creator_notes ?? false,
+        };
+    });
+    return result;
+}
+
+
+// ========================================
+// SHARED
+// ========================================
+
+const ENTRY_DEFAULTS = newEntry(0, 0);
+
+export const EXPORT_FORMATS = {
+    native: { label: 'SillyTavern JSON', suffix: '.json', mime: 'application/json' },
+    novelai: { label: 'NovelAI', suffix: '.lorebook', mime: 'application/json' },
+    agnai: { label: 'Agnai memory book', suffix: '.agnai.json', mime: 'application/json' },
+    risu: { label: 'RisuAI lorebook', suffix: '.risu.json', mime: 'application/json' },
+    markdown: { label: 'Markdown', suffix: '.md', mime: 'text/markdown' },
+};
+
+// Native fields as the user knows them from the entry editor; used in loss reports.
+const FIELD_LABELS = {
+    keysecondary: 'Optional filter keys',
+    selectiveLogic: 'Filter logic',
+    constant: 'Constant',
+    disable: 'Disabled',
+    position: 'Insertion position',
+    depth: 'Depth',
+    role: 'Depth role',
+    outletName: 'Outlet name',
+    probability: 'Trigger %',
+    group: 'Inclusion group',
+    groupOverride: 'Group prioritize',
+    groupWeight: 'Group weight',
+    useGroupScoring: 'Group scoring',
+    scanDepth: 'Scan depth',
+    caseSensitive: 'Case-sensitive',
+    matchWholeWords: 'Whole words',
+    sticky: 'Sticky',
+    cooldown: 'Cooldown',
+    delay: 'Delay',
+    excludeRecursion: 'Non-recursable',
+    preventRecursion: 'Prevent further recursion',
+    delayUntilRecursion: 'Delay until recursion',
+    ignoreBudget: 'Ignore budget',
+    vectorized: 'Vectorized',
+    automationId: 'Automation ID',
+    triggers: 'Generation triggers',
+    matchPersonaDescription: 'Match persona description',
+    matchCharacterDescription: 'Match character description',
+    matchCharacterPersonality: 'Match character personality',
+    matchCharacterDepthPrompt: 'Match character depth prompt',
+    matchScenario: 'Match scenario',
+    matchCreatorNotes: 'Match creator notes',
+};
+
+// Fields no other app models; every export except Markdown drops them.
+const ST_ONLY_FIELDS = [
+    'position', 'depth', 'role', 'outletName', 'group', 'groupOverride', 'groupWeight', 'useGroupScoring',
+    'scanDepth', 'matchWholeWords', 'sticky', 'cooldown', 'delay', 'excludeRecursion', 'preventRecursion',
+    'delayUntilRecursion', 'ignoreBudget', 'vectorized', 'automationId', 'triggers',
+    'matchPersonaDescription', 'matchCharacterDescription', 'matchCharacterPersonality',
+    'matchCharacterDepthPrompt', 'matchScenario', 'matchCreatorNotes',
+];
+
+// Counts dropped settings per label; list() reads "Search range (3 entries)".
+function lossReport() {
+    const counts = new Map();
+    return {
+        add(label) { counts.set(label, (counts.get(label) || 0) + 1); },
+        list() { return [...counts].map(([label, n]) => `${label} (${n} ${n === 1 ? 'entry' : 'entries'})`); },
+    };
+}
+
+function isDefault(e, field) {
+    const v = e[field] === undefined ? ENTRY_DEFAULTS[field] : e[field];
+    return JSON.stringify(v ?? null) === JSON.stringify(ENTRY_DEFAULTS[field] ?? null);
+}
+
+// Report every listed field the entry sets away from ST's default; the trigger chance only
+// counts while it is switched on.
+function noteDropped(e, fields, loss) {
+    for (const f of fields) {
+        if (f === 'probability') {
+            if (e.useProbability !== false && Number(e.probability ?? 100) < 100) loss.add(FIELD_LABELS.probability);
+        } else if (!isDefault(e, f)) {
+            loss.add(FIELD_LABELS[f] || f);
+        }
+    }
+}
+
+function listOf(v) {
+    return (Array.isArray(v) ? v : []).map(k => String(k ?? '').trim()).filter(Boolean);
+}
+
+function splitKeys(str) {
+    return String(str ?? '').split(',').map(k => k.trim()).filter(Boolean);
+}
+
+function exportOrder(world) {
+    return Object.values(world?.entries || {})
+        .filter(e => e && typeof e === 'object')
+        .sort((a, b) => (a.displayIndex ?? a.uid) - (b.displayIndex ?? b.uid) || a.uid - b.uid);
+}
+
+// Build a native world from a list of partial entries (uids assigned in list order).
+function nativeFrom(list) {
+    const world = { entries: {} };
+    list.forEach((fields, index) => {
+        const e = { ...newEntry(index, index), ...fields };
+        e.addMemo = !!String(e.comment || '').trim();
+        world.entries[index] = e;
+    });
+    return world;
+}
+
+function uuid() {
+    return globalThis.crypto?.randomUUID?.()
+        ?? 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, c => {
+            const r = Math.random() * 16 | 0;
+            return (c === 'x' ? r : (r & 0x3 | 0x8)).toString(16);
+        });
+}
+
+// ========================================
+// NOVELAI (.lorebook)
+// ========================================
+
+const NAI_CONTEXT_DEFAULTS = {
+    prefix: '', suffix: '\n', tokenBudget: 1, reservedTokens: 0, budgetPriority: 400,
+    trimDirection: 'trimBottom', insertionType: 'newline', maximumTrimType: 'sentence', insertionPosition: -1,
+};
+
+function fromNovelAI(json, loss) {
+    const categories = new Map((json.categories || []).map(c => [c.id, c.name]));
+    const world = nativeFrom((json.entries || []).filter(Boolean).map(src => {
+        const cfg = src.contextConfig || {};
+        if ((src.searchRange ?? 1000) !== 1000) loss.add('Search range (characters)');
+        if ((cfg.prefix || '') !== '' || (cfg.suffix ?? '\n') !== '\n') loss.add('Prefix / suffix');
+        if ((cfg.insertionPosition ?? -1) !== -1) loss.add('Insertion position');
+        if (cfg.reservedTokens) loss.add('Reserved tokens');
+        if (src.keyRelative) loss.add('Key-relative insertion');
+        if (src.nonStoryActivatable) loss.add('Cascading-only activation');
+        if (src.category && categories.has(src.category)) loss.add('Category');
+        if ((src.loreBiasGroups || []).some(g => g?.phrases?.length)) loss.add('Phrase bias');
+        // NovelAI regex keys already use the /pattern/flags form ST understands.
+        return {
+            key: listOf(src.keys),
+            comment: src.displayName || '',
+            content: src.text || '',
+            disable: src.enabled === false,
+            constant: !!src.forceActivation,
+            selective: false,
+            order: Number.isFinite(cfg.budgetPriority) ? cfg.budgetPriority : NAI_CONTEXT_DEFAULTS.budgetPriority,
+        };
+    }));
+    if (json.settings?.orderByKeyLocations) loss.add('Order by key location (book setting)');
+    return world;
+}
+
+function toNovelAI(world, loss) {
+    const now = Date.now();
+    const entries = exportOrder(world).map(e => {
+        noteDropped(e, ['keysecondary', 'probability', 'caseSensitive', ...ST_ONLY_FIELDS], loss);
+        return {
+            text: e.content || '',
+            contextConfig: { ...NAI_CONTEXT_DEFAULTS, budgetPriority: Number(e.order ?? 100) },
+            lastUpdatedAt: now,
+            displayName: e.comment || listOf(e.key)[0] || `Entry ${e.uid}`,
+            id: uuid(),
+            keys: listOf(e.key),
+            searchRange: 1000,
+            enabled: !e.disable,
+            forceActivation: !!e.constant,
+            keyRelative: false,
+            nonStoryActivatable: false,
+            category: '',
+            loreBiasGroups: [],
+        };
+    });
+    return { lorebookVersion: 5, entries, settings: { orderByKeyLocations: false }, categories: [] };
+}
+
+// ========================================
+// AGNAI (memory book)
+// ========================================
+
+// Agnai's weight places an entry (higher = closer to the end of the prompt) the way ST's
+// order does, and priority decides what survives the budget, which ST also ties to order.
+function fromAgnai(json, loss) {
+    if (String(json.description || '').trim()) loss.add('Book description');
+    return nativeFrom((json.entries || []).filter(Boolean).map(src => {
+        const weight = Number(src.weight ?? 0);
+        if (src.priority !== undefined && Number(src.priority) !== weight) loss.add('Priority (order follows weight)');
+        return {
+            key: listOf(src.keywords),
+            comment: src.name || '',
+            content: src.entry || '',
+            disable: src.enabled === false,
+            selective: false,
+            order: weight,
+        };
+    }));
+}
+
+function toAgnai(world, name, loss) {
+    const entries = exportOrder(world).map(e => {
+        noteDropped(e, ['keysecondary', 'constant', 'probability', 'caseSensitive', ...ST_ONLY_FIELDS], loss);
+        const order = Number(e.order ?? 100);
+        return {
+            name: e.comment || listOf(e.key)[0] || `Entry ${e.uid}`,
+            entry: e.content || '',
+            keywords: listOf(e.key),
+            priority: order,
+            weight: order,
+            enabled: !e.disable,
+        };
+    });
+    return { kind: 'memory', name, description: '', entries };
+}
+
+// ========================================
+// RISUAI (lorebook export)
+// ========================================
+
+// Risu keeps keys comma-joined; with useRegex each key is a bare pattern.
+function risuKeys(str, useRegex) {
+    return splitKeys(str).map(k => (useRegex && !/^\/.+\/[a-z]*$/i.test(k) ? `/${k}/` : k));
+}
+
+function fromRisu(json, loss) {
+    const list = (json.data || []).filter(Boolean);
+    if (list.some(src => src.mode === 'folder')) loss.add('Folders (entries are flattened)');
+    return nativeFrom(list.filter(src => src.mode !== 'folder').map(src => {
+        if (/^@@/m.test(src.content || '')) loss.add('Content decorators (kept as text)');
+        const secondary = risuKeys(src.secondkey, src.useRegex);
+        const chance = Number(src.activationPercent);
+        const hasChance = Number.isFinite(chance) && chance < 100;
+        return {
+            key: risuKeys(src.key, src.useRegex),
+            keysecondary: src.selective ? secondary : [],
+            selective: !!src.selective && secondary.length > 0,
+            comment: src.comment || '',
+            content: src.content || '',
+            constant: !!src.alwaysActive,
+            order: Number(src.insertorder ?? 100),
+            probability: hasChance ? Math.max(0, chance) : 100,
+            useProbability: true,
+            caseSensitive: src.extentions?.risu_case_sensitive ? true : null,
+        };
+    }));
+}
+
+function toRisu(world, loss) {
+    const data = exportOrder(world).map(e => {
+        noteDropped(e, ['disable', ...ST_ONLY_FIELDS], loss);
+        if (listOf(e.keysecondary).length && Number(e.selectiveLogic ?? 0) !== 0) loss.add(FIELD_LABELS.selectiveLogic);
+        const secondary = listOf(e.keysecondary);
+        // Keys with commas can't survive Risu's comma-joined key string.
+        if ([...listOf(e.key), ...secondary].some(k => k.includes(','))) loss.add('Keys containing commas');
+        return {
+            key: listOf(e.key).join(', '),
+            secondkey: secondary.join(', '),
+            insertorder: Number(e.order ?? 100),
+            comment: e.comment || '',
+            content: e.content || '',
+            mode: 'normal',
+            alwaysActive: !!e.constant,
+            selective: secondary.length > 0,
+            extentions: { risu_case_sensitive: e.caseSensitive === true },
+            activationPercent: e.useProbability !== false ? Number(e.probability ?? 100) : 100,
+        };
+    });
+    return { type: 'risu', ver: 1, data };
+}
+
+// ========================================
+// MARKDOWN
+// ========================================
+//
+//   ---
+//   name: Book name
+//   ---
+//
+//   # Entry title
+//   ---
+//   keys: dragon, wyrm
+//   order: 100
+//   position: depth
+//   depth: 2
+//   ---
+//   Content, with any line that would read as a heading escaped as \#.
+//
+// Settings ST's entry editor names get friendly keys below; any other native field is
+// written under its own name as JSON, so a round trip through Markdown loses nothing.
+
+const MD_POSITIONS = ['before', 'after', 'an_top', 'an_bottom', 'depth', 'em_top', 'em_bottom', 'outlet'];
+const MD_LOGIC = ['and_any', 'not_all', 'not_any', 'and_all'];
+const MD_ROLES = ['system', 'user', 'assistant'];
+const MD_FIELDS = {
+    keys: 'key',
+    secondary_keys: 'keysecondary',
+    logic: 'selectiveLogic',
+    constant: 'constant',
+    enabled: 'disable',
+    order: 'order',
+    position: 'position',
+    depth: 'depth',
+    role: 'role',
+    outlet: 'outletName',
+    probability: 'probability',
+    group: 'group',
+    group_weight: 'groupWeight',
+    group_override: 'groupOverride',
+    scan_depth: 'scanDepth',
+    case_sensitive: 'caseSensitive',
+    whole_words: 'matchWholeWords',
+    sticky: 'sticky',
+    cooldown: 'cooldown',
+    delay: 'delay',
+};
+const MD_NATIVE_TO_KEY = Object.fromEntries(Object.entries(MD_FIELDS).map(([k, f]) => [f, k]));
+const MD_HEADING_RE = /^(#{1,6})(?:[ \t]+(.*?))?[ \t]*$/;
+const MD_ESCAPED_HEADING_RE = /^\\*#{1,6}(\s|$)/;
+
+function mdKeyList(keys) {
+    // Comma-joined reads best; fall back to a JSON array when a key would not split back cleanly.
+    return keys.some(k => k.includes(',') || /^["[]/.test(k)) ? JSON.stringify(keys) : keys.join(', ');
+}
+
+function mdEntry(e) {
+    const lines = [];
+    const put = (key, value) => lines.push(`${key}: ${value}`);
+    put('keys', mdKeyList(listOf(e.key)));
+    const secondary = listOf(e.keysecondary);
+    if (secondary.length) {
+        put('secondary_keys', mdKeyList(secondary));
+        put('logic', MD_LOGIC[Number(e.selectiveLogic ?? 0)] ?? e.selectiveLogic);
+    }
+    if (e.constant) put('constant', 'true');
+    if (e.disable) put('enabled', 'false');
+    put('order', Number(e.order ?? 100));
+    const position = Number(e.position ?? 0);
+    put('position', MD_POSITIONS[position] ?? position);
+    if (position === 4) {
+        put('depth', Number(e.depth ?? 4));
+        put('role', MD_ROLES[Number(e.role ?? 0)] ?? e.role);
+    }
+    if (position === 7) put('outlet', e.outletName || '');
+    if (e.useProbability !== false && Number(e.probability ?? 100) < 100) put('probability', Number(e.probability));
+    for (const f of ['group', 'groupWeight', 'groupOverride', 'scanDepth', 'caseSensitive', 'matchWholeWords', 'sticky', 'cooldown', 'delay']) {
+        if (f === 'groupWeight' && !e.group) continue;
+        if (!isDefault(e, f)) put(MD_NATIVE_TO_KEY[f], f === 'group' ? e.group : JSON.stringify(e[f]));
+    }
+    // Everything else that differs from ST's default, under its native name.
+    const handled = new Set(['uid', 'displayIndex', 'addMemo', 'comment', 'content', 'selective', 'useProbability', 'outletName', 'depth', 'role', 'selectiveLogic', ...Object.values(MD_FIELDS)]);
+    for (const f of Object.keys(ENTRY_DEFAULTS)) {
+        if (!handled.has(f) && !isDefault(e, f)) put(f, JSON.stringify(e[f]));
+    }
+    const content = String(e.content || '').split('\n')
+        .map(line => (MD_ESCAPED_HEADING_RE.test(line) ? `\\${line}` : line))
+        .join('\n');
+    const title = String(e.comment || '').replace(/\s*\n\s*/g, ' ').trim();
+    return `#${title ? ` ${title}` : ''}\n---\n${lines.join('\n')}\n---\n${content}\n`;
+}
+
+function toMarkdown(world, name) {
+    const header = `---\nname: ${String(name || '').replace(/\n/g, ' ')}\n---\n`;
+    return [header, ...exportOrder(world).map(mdEntry)].join('\n');
+}
+
+function mdScalar(raw) {
+    const v = raw.trim();
+    if (/^[[{"]/.test(v)) {
+        try { return JSON.parse(v); } catch { /* plain text that happens to start with a bracket */ }
+    }
+    if (v === 'true' || v === 'false') return v === 'true';
+    if (v === 'null') return null;
+    if (v !== '' && Number.isFinite(Number(v))) return Number(v);
+    return v;
+}
+
+function mdNamed(value, names) {
+    if (typeof value === 'number') return value;
+    const i = names.indexOf(String(value).toLowerCase().replace(/[\s-]+/g, '_'));
+    return i >= 0 ? i : null;
+}
+
+// Front-matter lines ("key: value") -> native fields; unknown keys are reported, not guessed.
+function mdApplyFields(lines, loss) {
+    const e = {};
+    for (const line of lines) {
+        const m = line.match(/^\s*([A-Za-z_][\w -]*?)\s*:\s?(.*)$/);
+        if (!m) continue;
+        const name = m[1].toLowerCase().replace(/[\s-]+/g, '_');
+        const value = mdScalar(m[2]);
+        const field = MD_FIELDS[name] || (m[1] in ENTRY_DEFAULTS ? m[1] : null);
+        if (!field || field === 'uid' || field === 'displayIndex') {
+            loss.add(`Unknown field "${m[1]}"`);
+            continue;
+        }
+        if (field === 'key' || field === 'keysecondary') e[field] = Array.isArray(value) ? listOf(value) : splitKeys(value);
+        else if (name === 'enabled') e.disable = value === false;
+        else if (field === 'position' || field === 'selectiveLogic' || field === 'role') {
+            const n = mdNamed(value, field === 'position' ? MD_POSITIONS : field === 'role' ? MD_ROLES : MD_LOGIC);
+            if (n === null) loss.add(`Unknown ${name} "${value}"`);
+            else e[field] = n;
+        } else if (field === 'group' || field === 'outletName' || field === 'automationId') e[field] = value === null ? '' : String(value);
+        else e[field] = value;
+    }
+    if (e.keysecondary?.length) e.selective = true;
+    if (e.probability !== undefined) e.useProbability = true;
+    return e;
+}
+
+function fromMarkdown(text, loss) {
+    const lines = String(text).replace(/\r\n?/g, '\n').split('\n');
+    let i = 0;
+    let name = '';
+    const readFrontMatter = () => {
+        const end = lines.indexOf('---', i + 1);
+        if (lines[i] !== '---' || end < 0) return null;
+        const block = lines.slice(i + 1, end);
+        i = end + 1;
+        return block;
+    };
+    while (i < lines.length && !lines[i].trim()) i++;
+    const bookFields = readFrontMatter();
+    if (bookFields) {
+        for (const line of bookFields) {
+            const m = line.match(/^\s*name\s*:\s*(.*)$/i);
+            if (m) name = m[1].trim();
+        }
+    }
+    // Entries split at headings of the level the first one uses, so deeper headings in
+    // hand-written content stay content.
+    let level = 0;
+    const list = [];
+    let current = null;
+    const finish = () => {
+        if (!current) return;
+        const content = current.body.join('\n').replace(/^\n+|\s+$/g, '');
+        list.push({ ...current.fields, comment: current.title, content });
+    };
+    for (; i < lines.length; i++) {
+        const m = lines[i].match(MD_HEADING_RE);
+        if (m && (!level || m[1].length === level)) {
+            finish();
+            level = m[1].length;
+            current = { title: (m[2] || '').trim(), fields: {}, body: [] };
+            i++;
+            const block = readFrontMatter();
+            if (block) current.fields = mdApplyFields(block, loss);
+            i--;
+            continue;
+        }
+        if (!current) continue;
+        current.body.push(/^\\+#{1,6}(\s|$)/.test(lines[i]) ? lines[i].slice(1) : lines[i]);
+    }
+    finish();
+    if (!list.length) return null;
+    return { world: nativeFrom(list), name };
+}
+
+// ========================================
+// PUBLIC
+// ========================================
+
+/**
+ * Parse an imported file into a native world file.
+ * @param {string} text - file contents
+ * @param {string} fileName
+ * @returns {{ world: Object, name: string, format: string, lossy: string[] } | null} null when
+ *          the file is no lorebook format this module knows; malformed JSON throws
+ */
+export function parseLorebookFile(text, fileName = '') {
+    const baseName = fileName.replace(/\.(json|lorebook|md|markdown)$/i, '').replace(/\.(agnai|risu)$/i, '').trim();
+    const loss = lossReport();
+    const done = (world, name, format) => ({ world, name: String(name || '').trim() || baseName, format, lossy: loss.list() });
+
+    if (/\.(md|markdown)$/i.test(fileName) || !/^\s*[[{]/.test(text)) {
+        const parsed = fromMarkdown(text, loss);
+        return parsed ? done(parsed.world, parsed.name, 'markdown') : null;
+    }
+    const json = JSON.parse(text);
+    if (json?.entries && !Array.isArray(json.entries) && typeof json.entries === 'object') {
+        // Native ST world file (entries object)
+        return done(json, json.name, 'native');
+    }
+    if (json?.kind === 'memory' && Array.isArray(json.entries)) return done(fromAgnai(json, loss), json.name, 'agnai');
+    if (json?.type === 'risu' && Array.isArray(json.data)) return done(fromRisu(json, loss), json.name, 'risu');
+    if (json?.lorebookVersion !== undefined && Array.isArray(json.entries)) return done(fromNovelAI(json, loss), '', 'novelai');
+    if (Array.isArray(json?.entries)) {
+        // Embedded character_book (entries array)
+        return done(convertCharacterBookToNative(json), json.name, 'character_book');
+    }
+    if (json?.data?.character_book?.entries) {
+        // Full V2/V3 card JSON: pull the embedded book
+        return done(convertCharacterBookToNative(json.data.character_book), json.data.character_book.name || json.data?.name, 'card');
+    }
+    return null;
+}
+
+/**
+ * Serialize a native world file into one of EXPORT_FORMATS.
+ * @param {Object} world - native world ({ entries: {...} })
+ * @param {string} format - key of EXPORT_FORMATS
+ * @param {string} name - book name, written where the format has a slot for it
+ * @returns {{ text: string, fileName: string, mime: string, lossy: string[] }}
+ */
+export function serializeLorebook(world, format, name) {
+    const spec = EXPORT_FORMATS[format];
+    if (!spec) throw new Error(`Unknown lorebook format: ${format}`);
+    const loss = lossReport();
+    let text;
+    switch (format) {
+        case 'novelai': text = JSON.stringify(toNovelAI(world, loss), null, 2); break;
+        case 'agnai': text = JSON.stringify(toAgnai(world, name, loss), null, 2); break;
+        case 'risu': text = JSON.stringify(toRisu(world, loss), null, 2); break;
+        case 'markdown': text = toMarkdown(world, name); break;
+        default: text = JSON.stringify(world, null, 4);
+    }
+    return { text, fileName: `${name}${spec.suffix}`, mime: spec.mime, lossy: loss.list() };
+}
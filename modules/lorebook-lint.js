@@ -0,0 +1,202 @@
+// Lorebook Lint - key conflict and quality checks for a world file's entries
+//
+// Pure: takes entries (and optionally the entries of other books that load alongside this
+// one) and returns a flat issue list the manager renders. Each issue names the entries it
+// concerns so the UI can jump to them, and carries a fix when one is unambiguous.
+
+import { compileRegexKey } from './lorebook-scan.js';
+
+// Words that show up in nearly every message; as a key they make an entry close to constant.
+const GENERIC_WORDS = new Set([
+    'a', 'an', 'the', 'and', 'or', 'but', 'if', 'of', 'to', 'in', 'on', 'at', 'by', 'for', 'with',
+    'from', 'as', 'is', 'are', 'was', 'were', 'be', 'been', 'am', 'it', 'its', 'he', 'she', 'him',
+    'her', 'his', 'they', 'them', 'their', 'we', 'us', 'our', 'you', 'your', 'i', 'me', 'my', 'this',
+    'that', 'these', 'those', 'there', 'here', 'what', 'who', 'how', 'why', 'when', 'where', 'yes',
+    'no', 'not', 'so', 'do', 'does', 'did', 'have', 'has', 'had', 'can', 'will', 'would', 'just',
+    'like', 'said', 'say', 'says', 'get', 'got', 'go', 'one', 'all', 'some', 'up', 'out', 'then',
+    'now', 'oh', 'ok', 'okay', 'hey', 'hi', 'hello', 'look', 'looks', 'smile', 'smiles', 'eyes',
+]);
+const MACRO_KEY_RE = /^\{\{(char|user)\}\}$/i;
+const MIN_KEY_LENGTH = 3;
+
+const NEAR_DUP_THRESHOLD = 0.8;  // word-trigram Jaccard similarity
+const NEAR_DUP_MIN_WORDS = 12;   // shorter contents are too small to compare meaningfully
+const NEAR_DUP_MAX_ENTRIES = 800; // pairwise beyond this gets slow; exact duplicates still run
+
+function entryLabel(e) {
+    return e.comment?.trim() || (Array.isArray(e.key) && e.key.length ? e.key.join(', ') : `Entry ${e.uid}`);
+}
+
+function keysOf(e, field = 'key') {
+    return (Array.isArray(e[field]) ? e[field] : []).map((k, index) => ({ key: String(k ?? '').trim(), index })).filter(k => k.key);
+}
+
+// Collision identity: regex keys compare by source, plain keys case-folded unless the entry
+// is explicitly case-sensitive.
+function normalizeKey(key, e) {
+    if (compileRegexKey(key)) return key;
+    return e.caseSensitive === true ? key : key.toLowerCase();
+}
+
+function sharesGroup(entries) {
+    const sets = entries.map(e => new Set(String(e.group || '').split(/,\s*/).map(g => g.trim()).filter(Boolean)));
+    if (sets.some(s => !s.size)) return false;
+    return [...sets[0]].some(g => sets.every(s => s.has(g)));
+}
+
+function shingles(text) {
+    const words = String(text || '').toLowerCase().match(/[\p{L}\p{N}']+/gu) || [];
+    const out = new Set();
+    for (let i = 0; i + 2 < words.length; i++) out.add(`${words[i]} ${words[i + 1]} ${words[i + 2]}`);
+    return { words: words.length, set: out };
+}
+
+function jaccard(a, b) {
+    const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+    let inter = 0;
+    for (const s of small) if (large.has(s)) inter++;
+    return inter / (a.size + b.size - inter);
+}
+
+/**
+ * Lint a world's entries.
+ * @param {Object[]} entries - native world entries
+ * @param {Object} [options]
+ * @param {Array<{ world: string, entries: Object[] }>} [options.related] - other books that load with this one
+ * @returns {{ issues: Object[], notes: string[] }} issues: { id, severity, kind, message, uids, refs?, fix? }
+ */
+export function lintEntries(entries, { related = [] } = {}) {
+    const list = (entries || []).filter(e => e && typeof e === 'object');
+    const issues = [];
+    const notes = [];
+    const push = (issue) => issues.push({ id: `${issue.kind}:${issues.length}`, ...issue });
+
+    // --- per-entry: regex compile, generic keys, disabled constants ---
+    for (const e of list) {
+        for (const field of ['key', 'keysecondary']) {
+            for (const { key, index } of keysOf(e, field)) {
+                const compiled = compileRegexKey(key);
+                if (compiled?.error) {
+                    push({
+                        severity: 'error', kind: 'regex', uids: [e.uid], field,
+                        message: `"${entryLabel(e)}": regex key ${key} does not compile (${compiled.error}), so it never matches`,
+                    });
+                    continue;
+                }
+                if (field !== 'key' || e.constant) continue;
+                let why = null;
+                if (compiled?.regex) {
+                    if (compiled.regex.test('')) why = 'matches an empty string, so it fires on every message';
+                } else if (MACRO_KEY_RE.test(key)) {
+                    why = 'is a name macro that appears in nearly every message';
+                } else if (GENERIC_WORDS.has(key.toLowerCase())) {
+                    why = 'is a common word that fires on most messages';
+                } else if (key.length < MIN_KEY_LENGTH && e.matchWholeWords !== true) {
+                    why = 'is so short it matches inside other words unless whole-word matching is on';
+                } else if (/^\d+$/.test(key)) {
+                    why = 'is a bare number';
+                }
+                if (why) {
+                    push({
+                        severity: 'warning', kind: 'generic', uids: [e.uid], field,
+                        message: `"${entryLabel(e)}": key "${key}" ${why}`,
+                        fix: { label: 'Remove key', type: 'remove-key', uid: e.uid, field, index, key },
+                    });
+                }
+            }
+        }
+        if (e.disable && e.constant) {
+            push({
+                severity: 'info', kind: 'disabled-constant', uids: [e.uid],
+                message: `"${entryLabel(e)}" is constant but disabled, so it is never sent`,
+                fix: { label: 'Enable', type: 'enable', uid: e.uid },
+            });
+        }
+    }
+
+    // --- key collisions inside this book ---
+    const active = list.filter(e => !e.disable && !e.constant);
+    const byKey = new Map();
+    for (const e of active) {
+        for (const { key } of keysOf(e)) {
+            const norm = normalizeKey(key, e);
+            if (!byKey.has(norm)) byKey.set(norm, { key, entries: [] });
+            const slot = byKey.get(norm);
+            if (!slot.entries.includes(e)) slot.entries.push(e);
+        }
+    }
+    for (const { key, entries: owners } of byKey.values()) {
+        // Entries in one inclusion group are meant to compete on the same key.
+        if (owners.length < 2 || sharesGroup(owners)) continue;
+        push({
+            severity: 'warning', kind: 'collision', uids: owners.map(e => e.uid), field: 'key',
+            message: `Key "${key}" triggers ${owners.length} entries: ${owners.map(entryLabel).map(t => `"${t}"`).join(', ')}`,
+        });
+    }
+
+    // --- collisions with other books loaded for the same character ---
+    for (const book of related) {
+        const theirs = new Map();
+        for (const e of (book.entries || []).filter(x => x && !x.disable && !x.constant)) {
+            for (const { key } of keysOf(e)) {
+                const norm = normalizeKey(key, e);
+                if (!theirs.has(norm)) theirs.set(norm, []);
+                theirs.get(norm).push(e);
+            }
+        }
+        for (const [norm, { key, entries: owners }] of byKey) {
+            const other = theirs.get(norm);
+            if (!other) continue;
+            push({
+                severity: 'info', kind: 'cross-collision', uids: owners.map(e => e.uid), field: 'key',
+                refs: other.map(e => ({ world: book.world, uid: e.uid, label: entryLabel(e) })),
+                message: `Key "${key}" also triggers ${other.length === 1 ? `"${entryLabel(other[0])}"` : `${other.length} entries`} in "${book.world}"`,
+            });
+        }
+    }
+
+    // --- near-duplicate content ---
+    const withText = list.filter(e => String(e.content || '').trim());
+    const exact = new Map();
+    for (const e of withText) {
+        const norm = String(e.content).trim().replace(/\s+/g, ' ').toLowerCase();
+        if (!exact.has(norm)) exact.set(norm, []);
+        exact.get(norm).push(e);
+    }
+    for (const dupes of exact.values()) {
+        if (dupes.length < 2) continue;
+        push({
+            severity: 'warning', kind: 'duplicate', uids: dupes.map(e => e.uid), field: 'content',
+            message: `Identical content in ${dupes.map(entryLabel).map(t => `"${t}"`).join(', ')}`,
+        });
+    }
+    // One representative per identical group, so a copy isn't reported twice.
+    const candidates = [...exact.values()]
+        .map(dupes => dupes[0])
+        .map(e => ({ e, ...shingles(e.content) }))
+        .filter(c => c.words >= NEAR_DUP_MIN_WORDS);
+    if (candidates.length > NEAR_DUP_MAX_ENTRIES) {
+        notes.push(`Near-duplicate check skipped: more than ${NEAR_DUP_MAX_ENTRIES} entries with content (exact duplicates are still checked).`);
+    } else {
+        // Sorted by size, a pair can only reach the threshold while the smaller set is at
+        // least threshold x the larger one, so the inner loop stops early.
+        candidates.sort((a, b) => a.set.size - b.set.size);
+        for (let i = 0; i < candidates.length; i++) {
+            const a = candidates[i];
+            for (let j = i + 1; j < candidates.length; j++) {
+                const b = candidates[j];
+                if (a.set.size < b.set.size * NEAR_DUP_THRESHOLD) break;
+                const sim = jaccard(a.set, b.set);
+                if (sim < NEAR_DUP_THRESHOLD) continue;
+                push({
+                    severity: 'warning', kind: 'near-duplicate', uids: [a.e.uid, b.e.uid], field: 'content',
+                    message: `"${entryLabel(a.e)}" and "${entryLabel(b.e)}" have ${Math.round(sim * 100)}% similar content`,
+                });
+            }
+        }
+    }
+
+    const rank = { error: 0, warning: 1, info: 2 };
+    issues.sort((a, b) => rank[a.severity] - rank[b.severity]);
+    return { issues, notes };
+}
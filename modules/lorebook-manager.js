@@ -3,6 +3,10 @@
 
 import CoreAPI from './core-api.js';
 import { proxyEncode } from './providers/provider-utils.js';
+import { simulateScan, parseChatText, characterSources, SCAN_DEFAULTS } from './lorebook-scan.js';
+import { lintEntries } from './lorebook-lint.js';
+import { matchLorebookEntries, computeWordDiff } from './card-updates.js';
+import { newEntry, convertCharacterBookToNative, parseLorebookFile, serializeLorebook, EXPORT_FORMATS } from './lorebook-formats.js';
 
 const esc = (s) => CoreAPI.escapeHtml(String(s ?? ''));
 
@@ -69,87 +73,6 @@ function sanitizeWorldName(name) {
     return s.replace(/\.json$/i, '');
 }
 
-function newEntry(uid, displayIndex) {
-    return {
-        uid,
-        key: [], keysecondary: [],
-        comment: '', content: '',
-        constant: false, vectorized: false,
-        selective: true, selectiveLogic: 0,
-        addMemo: false,
-        order: 100, position: 0,
-        disable: false, ignoreBudget: false,
-        excludeRecursion: false, preventRecursion: false,
-        matchPersonaDescription: false, matchCharacterDescription: false,
-        matchCharacterPersonality: false, matchCharacterDepthPrompt: false,
-        matchScenario: false, matchCreatorNotes: false,
-        delayUntilRecursion: 0,
-        probability: 100, useProbability: true,
-        depth: 4, outletName: '',
-        group: '', groupOverride: false, groupWeight: 100,
-        scanDepth: null, caseSensitive: null, matchWholeWords: null, useGroupScoring: null,
-        automationId: '', role: 0,
-        sticky: null, cooldown: null, delay: null,
-        triggers: [],
-        displayIndex,
-    };
-}
-
-// Port of ST's convertCharacterBook: embedded character_book (entries ARRAY) -> native
-// world file (entries OBJECT keyed by id). Lets the user import a card's V2/V3 JSON directly.
-function convertCharacterBookToNative(book) {
-    const result = { entries: {} };
-    const list = Array.isArray(book?.entries) ? book.entries : [];
-    list.forEach((entry, index) => {
-        const id = entry.id === undefined ? index : entry.id;
-        const ext = entry.extensions || {};
-        const posFromString = entry.position === 'before_char' ? 0 : 1;
-        result.entries[id] = {
-            ...newEntry(id, ext.display_index ?? index),
-            key: Array.isArray(entry.keys) ? entry.keys : [],
-            keysecondary: entry.secondary_keys || [],
-            comment: entry.comment || '',
-            content: entry.content || '',
-            constant: entry.constant || false,
-            selective: entry.selective || false,
-            order: entry.insertion_order ?? 100,
-            position: ext.position ?? posFromString,
-            excludeRecursion: ext.exclude_recursion ?? false,
-            preventRecursion: ext.prevent_recursion ?? false,
-            delayUntilRecursion: ext.delay_until_recursion ?? 0,
-            disable: !entry.enabled,
-            addMemo: !!entry.comment,
-            probability: ext.probability ?? 100,
-            useProbability: ext.useProbability ?? true,
-            depth: ext.depth ?? 4,
-            selectiveLogic: ext.selectiveLogic ?? 0,
-            group: ext.group ?? '',
-            groupOverride: ext.group_override ?? false,
-            groupWeight: ext.group_weight ?? 100,
-            scanDepth: ext.scan_depth ?? null,
-            caseSensitive: ext.case_sensitive ?? null,
-            matchWholeWords: ext.match_whole_words ?? null,
-            useGroupScoring: ext.use_group_scoring ?? null,
-            automationId: ext.automation_id ?? '',
-            role: ext.role ?? 0,
-            vectorized: ext.vectorized ?? false,
-            sticky: ext.sticky ?? null,
-            cooldown: ext.cooldown ?? null,
-            delay: ext.delay ?? null,
-            outletName: ext.outlet_name ?? '',
-            ignoreBudget: ext.ignore_budget ?? false,
-            triggers: ext.triggers ?? [],
-            matchPersonaDescription: ext.match_persona_description ?? false,
-            matchCharacterDescription: ext.match_character_description ?? false,
-            matchCharacterPersonality: ext.match_character_personality ?? false,
-            matchCharacterDepthPrompt: ext.match_character_depth_prompt ?? false,
-            matchScenario: ext.match_scenario ?? false,
-            matchCreatorNotes: ext.match_creator_notes ?? false,
-        };
-    });
-    return result;
-}
-
 // ========================================
 // MODULE STATE
 // ========================================
@@ -244,10 +167,10 @@ function createModal() {
                                 </button>
                             </div>
                         </div>
-                        <button class="lb-import-btn" id="lbImportBtn" title="Import a lorebook file (.json)">
+                        <button class="lb-import-btn" id="lbImportBtn" title="Import a lorebook file (SillyTavern, NovelAI, Agnai, RisuAI or Markdown)">
                             <i class="fa-solid fa-file-import"></i> Import
                         </button>
-                        <input type="file" id="lbImportInput" accept=".json,application/json" multiple style="display:none;">
+                        <input type="file" id="lbImportInput" accept=".json,.lorebook,.md,.markdown,application/json,text/markdown" multiple style="display:none;">
                     </div>
                     <div class="lb-sidebar-tools">
                         <div class="lb-search-wrap">
@@ -383,6 +306,13 @@ function forceClose() {
     linkSelection = new Set();
     linkChatList = [];
     linkChatChar = null;
+    simChar = null;
+    simWorld = null;
+    mergeSources = { theirs: null, base: null };
+    mergeWorld = null;
+    mergeResult = null;
+    bulkMode = false;
+    bulkSelected.clear();
     // Drop the chat reverse index (can be large); it rebuilds lazily on next Chats toggle.
     invalidateChatIndex();
     // Reset the lens to match the freshly-built toggle DOM (defaults to Characters) on reopen.
@@ -658,11 +588,16 @@ async function selectWorld(fileId) {
     currentWorld = fileId;
     workingWorld = JSON.parse(JSON.stringify(data));
     originalSnapshot = JSON.stringify(workingWorld);
+    lintWorld = null; // fresh copy: re-lint and re-gather related books on render
+    lintRelatedWorld = null;
     dirty = false;
     expandedUids.clear();
     advancedUids.clear();
     entrySearch = '';
     entrySort = 'order';
+    bulkSelected.clear(); // select mode itself carries over to the next book
+    bulkSetting = '';
+    bulkLastUid = null;
 
     setEditingMode(true);
     renderEditor();
@@ -712,14 +647,9 @@ function sortedEntries() {
     const list = Object.values(workingWorld.entries).filter(e => e && typeof e === 'object');
     const q = entrySearch.trim().toLowerCase();
     let filtered = list;
-    if (q) {
-        filtered = list.filter(e =>
-            (e.comment || '').toLowerCase().includes(q) ||
-            (e.content || '').toLowerCase().includes(q) ||
-            (Array.isArray(e.key) ? e.key.join(' ') : '').toLowerCase().includes(q) ||
-            (Array.isArray(e.keysecondary) ? e.keysecondary.join(' ') : '').toLowerCase().includes(q)
-        );
-    }
+    // The search scope and setting filter belong to the bulk bar; outside select mode search matches everything.
+    if (q) filtered = filtered.filter(e => entryMatchesSearch(e, q, bulkMode ? bulkScope : 'all'));
+    if (bulkMode && bulkSetting) filtered = filtered.filter(e => entryMatchesSetting(e, bulkSetting));
     switch (entrySort) {
         case 'title':
             filtered.sort((a, b) => (a.comment || '').localeCompare(b.comment || '')); break;
@@ -740,6 +670,10 @@ function renderEditor() {
     const entries = sortedEntries();
     const total = Object.keys(workingWorld.entries).length;
     const displayName = currentWorld; // the filename (file_id) is the canonical name, matching ST
+    if (lintWorld !== currentWorld) {
+        lintRelated = [];
+        runLint();
+    }
     const usingChats = usedByMode === 'chats';
 
     el.innerHTML = `
@@ -756,7 +690,11 @@ function renderEditor() {
                         </button>
                         <button class="lb-icon-btn lb-action-desktop" data-action="rename-world" title="Rename"><i class="fa-solid fa-pen"></i></button>
                         <button class="lb-icon-btn lb-action-desktop" data-action="duplicate-world" title="Duplicate"><i class="fa-solid fa-clone"></i></button>
-                        <button class="lb-icon-btn lb-action-desktop" data-action="export-world" title="Export JSON"><i class="fa-solid fa-file-export"></i></button>
+                        <button class="lb-icon-btn lb-action-desktop" data-action="merge-world" title="Compare &amp; merge with another lorebook"><i class="fa-solid fa-code-compare"></i></button>
+                        <div class="lb-export-wrap lb-action-desktop">
+                            <button class="lb-icon-btn" data-action="export-menu" title="Export"><i class="fa-solid fa-file-export"></i></button>
+                            <div class="lb-split-menu lb-editor-overflow-menu hidden" id="lbExportMenu">${exportMenuItems()}</div>
+                        </div>
                         <button class="lb-icon-btn danger lb-action-desktop" data-action="delete-world" title="Delete"><i class="fa-solid fa-trash"></i></button>
                         <div class="lb-editor-overflow lb-action-mobile">
                             <button class="lb-icon-btn" data-action="editor-overflow" aria-label="More actions" title="More"><i class="fa-solid fa-ellipsis-vertical"></i></button>
@@ -764,7 +702,8 @@ function renderEditor() {
                                 <button class="dropdown-item" data-action="${usingChats ? 'bind-chats' : 'link-chars'}"><i class="fa-solid fa-${usingChats ? 'comments' : 'link'}"></i> ${usingChats ? 'Bind to chats' : 'Link to characters'}</button>
                                 <button class="dropdown-item" data-action="rename-world"><i class="fa-solid fa-pen"></i> Rename</button>
                                 <button class="dropdown-item" data-action="duplicate-world"><i class="fa-solid fa-clone"></i> Duplicate</button>
-                                <button class="dropdown-item" data-action="export-world"><i class="fa-solid fa-file-export"></i> Export JSON</button>
+                                <button class="dropdown-item" data-action="merge-world"><i class="fa-solid fa-code-compare"></i> Compare &amp; merge</button>
+                                ${exportMenuItems()}
                                 <button class="dropdown-item lb-overflow-danger" data-action="delete-world"><i class="fa-solid fa-trash"></i> Delete</button>
                             </div>
                         </div>
@@ -792,10 +731,17 @@ function renderEditor() {
                     const allExpanded = entries.length > 0 && entries.every(e => expandedUids.has(e.uid));
                     return `<button class="lb-icon-btn" data-action="toggle-all" title="${allExpanded ? 'Collapse all' : 'Expand all'}"><i class="fa-solid ${allExpanded ? 'fa-up-right-and-down-left-from-center' : 'fa-down-left-and-up-right-to-center fa-rotate-90'}"></i></button>`;
                 })()}
+                <button class="lb-icon-btn lb-bulk-btn${bulkMode ? ' active' : ''}" data-action="toggle-bulk" title="${bulkMode ? 'Leave select mode' : 'Select entries to edit in bulk'}"><i class="fa-solid fa-list-check"></i></button>
+                ${lintButtonHtml()}
+                <button class="lb-icon-btn" data-action="test-bench" title="Test which entries fire for a chat"><i class="fa-solid fa-flask"></i></button>
                 <button class="lb-ai-entry-btn" data-action="ai-generate" title="Generate entries with AI"><i class="fa-solid fa-wand-magic-sparkles"></i><span class="lb-ai-entry-label">AI</span></button>
                 <button class="lb-add-entry-btn" data-action="add-entry" title="Add entry"><i class="fa-solid fa-plus"></i><span class="lb-add-full">Add Entry</span><span class="lb-add-short">Add</span></button>
             </div>
 
+            <div class="lb-lint-panel${lintOpen ? '' : ' hidden'}" id="lbLintPanel">${lintOpen ? lintPanelHtml() : ''}</div>
+
+            ${bulkMode ? `<div class="lb-bulk-bar" id="lbBulkBar">${bulkBarHtml()}</div>` : ''}
+
             <div class="lb-entries" id="lbEntries">
                 ${entries.length ? entries.map(e => renderEntryRow(e)).join('') : renderNoEntries(total)}
             </div>
@@ -803,7 +749,14 @@ function renderEditor() {
 
     const sortSel = document.getElementById('lbEntrySort');
     if (sortSel) CoreAPI.initCustomSelect(sortSel);
+    document.querySelectorAll('#lbBulkBar select').forEach(sel => CoreAPI.initCustomSelect(sel));
     growVisibleContentFields(); // fit each open entry's content field to its text
+    if (lintOpen && lintRelatedWorld !== currentWorld) loadLintRelated();
+}
+
+function exportMenuItems() {
+    return Object.entries(EXPORT_FORMATS).map(([format, f]) =>
+        `<button class="dropdown-item" data-action="export-world" data-format="${format}"><i class="fa-solid fa-file-export"></i> Export as ${esc(f.label)}</button>`).join('');
 }
 
 function renderNoEntries(total) {
@@ -813,7 +766,7 @@ function renderNoEntries(total) {
                 <p>This lorebook is empty.</p>
                 <button class="lb-add-entry-btn" data-action="add-entry"><i class="fa-solid fa-plus"></i> Add your first entry</button>
            </div>`
-        : `<div class="lb-entries-empty"><i class="fa-solid fa-magnifying-glass"></i><p>No entries match "${esc(entrySearch)}".</p></div>`;
+        : `<div class="lb-entries-empty"><i class="fa-solid fa-magnifying-glass"></i><p>${entrySearch.trim() ? `No entries match "${esc(entrySearch)}".` : 'No entries match this filter.'}</p></div>`;
 }
 
 function renderLinkedChips(linked) {
@@ -873,6 +826,10 @@ function entryRowHtml(e) {
 
     return `
         <div class="lb-entry-head" data-action="toggle-entry" data-uid="${esc(e.uid)}">
+            ${bulkMode ? `<label class="lb-check lb-bulk-check" title="Select" data-stop>
+                <input type="checkbox" data-bulk-uid="${esc(e.uid)}"${bulkSelected.has(e.uid) ? ' checked' : ''}>
+                <span class="lb-check-box"></span>
+            </label>` : ''}
             <label class="lb-switch" title="${e.disable ? 'Disabled' : 'Enabled'}" data-stop>
                 <input type="checkbox" data-field="disable" data-uid="${esc(e.uid)}" data-type="bool-inv" ${e.disable ? '' : 'checked'}>
                 <span class="lb-switch-track"></span>
@@ -899,7 +856,7 @@ function entryRowHtml(e) {
 
 function renderEntryRow(e) {
     const expanded = expandedUids.has(e.uid);
-    return `<div class="lb-entry${expanded ? ' expanded' : ''}${e.disable ? ' disabled' : ''}" id="lbEntry-${esc(e.uid)}">${entryRowHtml(e)}</div>`;
+    return `<div class="lb-entry${expanded ? ' expanded' : ''}${e.disable ? ' disabled' : ''}${bulkMode && bulkSelected.has(e.uid) ? ' selected' : ''}" id="lbEntry-${esc(e.uid)}">${entryRowHtml(e)}</div>`;
 }
 
 function refreshRow(uid) {
@@ -907,7 +864,7 @@ function refreshRow(uid) {
     const rowEl = document.getElementById(`lbEntry-${uid}`);
     if (!e || !rowEl) return;
     const expanded = expandedUids.has(uid);
-    rowEl.className = `lb-entry${expanded ? ' expanded' : ''}${e.disable ? ' disabled' : ''}`;
+    rowEl.className = `lb-entry${expanded ? ' expanded' : ''}${e.disable ? ' disabled' : ''}${bulkMode && bulkSelected.has(uid) ? ' selected' : ''}`;
     rowEl.innerHTML = entryRowHtml(e);
     if (expanded) growVisibleContentFields(rowEl);
 }
@@ -1138,6 +1095,7 @@ function tristateValue(v) {
 // ========================================
 
 function markDirty() {
+    scheduleLint();
     // Once dirty, stay dirty until save resets the snapshot. Skips a full
     // JSON.stringify of the working copy on every keystroke for large books.
     if (dirty) return;
@@ -1216,6 +1174,7 @@ async function deleteEntry(uid) {
     delete workingWorld.entries[uid];
     expandedUids.delete(uid);
     advancedUids.delete(uid);
+    bulkSelected.delete(uid);
     markDirty();
     renderEditor();
 }
@@ -1372,10 +1331,20 @@ async function duplicateWorld() {
     CoreAPI.showToast(`Duplicated as "${name}"`, 'success');
 }
 
-function exportWorld() {
+async function exportWorld(format = 'native') {
     if (!workingWorld || !currentWorld) return;
-    const blob = new Blob([JSON.stringify(workingWorld, null, 4)], { type: 'application/json' });
-    CoreAPI.downloadBlobAsFile(blob, `${currentWorld}.json`);
+    const { text, fileName, mime, lossy } = serializeLorebook(workingWorld, format, currentWorld);
+    if (lossy.length) {
+        const ok = await CoreAPI.showConfirm({
+            title: `Export as ${EXPORT_FORMATS[format].label}?`,
+            messageHtml: `<p>These settings have no equivalent there and will be left out:</p><ul>${lossy.map(l => `<li>${esc(l)}</li>`).join('')}</ul>`,
+            icon: 'fa-solid fa-file-export',
+            confirmLabel: 'Export',
+            cancelLabel: 'Cancel',
+        });
+        if (!ok) return;
+    }
+    CoreAPI.downloadBlobAsFile(new Blob([text], { type: mime }), fileName);
 }
 
 async function deleteWorld() {
@@ -1497,31 +1466,15 @@ async function importFiles(fileList) {
     let imported = 0;
     for (const file of files) {
         try {
-            const text = await file.text();
-            const json = JSON.parse(text);
-            const baseName = file.name.replace(/\.json$/i, '').trim();
-
-            let native;
-            let name = baseName;
-            if (json && json.entries && !Array.isArray(json.entries) && typeof json.entries === 'object') {
-                // Native ST world file (entries object)
-                native = json;
-                name = json.name || baseName;
-            } else if (json && Array.isArray(json.entries)) {
-                // Embedded character_book (entries array)
-                native = convertCharacterBookToNative(json);
-                name = json.name || baseName;
-            } else if (json?.data?.character_book?.entries) {
-                // Full V2/V3 card JSON: pull the embedded book
-                native = convertCharacterBookToNative(json.data.character_book);
-                name = json.data.character_book.name || json.data?.name || baseName;
-            } else {
+            const parsed = parseLorebookFile(await file.text(), file.name);
+            if (!parsed) {
                 CoreAPI.showToast(`"${file.name}" is not a recognized lorebook`, 'warning');
                 continue;
             }
+            const { world: native, name, lossy } = parsed;
 
             // Use the name ST will store on disk; fall back if it sanitizes to empty.
-            const baseId = sanitizeWorldName(name) || sanitizeWorldName(baseName) || 'Imported Lorebook';
+            const baseId = sanitizeWorldName(name) || sanitizeWorldName(file.name.replace(/\.[^.]+$/, '')) || 'Imported Lorebook';
             // Avoid clobbering an existing world silently (compare sanitized ids).
             let finalName = baseId;
             let n = 2;
@@ -1532,6 +1485,9 @@ async function importFiles(fileList) {
             if (ok) {
                 imported++;
                 worldsList.push({ file_id: finalName, name: finalName, extensions: {} });
+                if (lossy.length) {
+                    CoreAPI.showToast(`"${finalName}": not carried over from ${EXPORT_FORMATS[parsed.format]?.label || 'the file'}: ${lossy.join(', ')}`, 'warning', 9000);
+                }
             }
         } catch (err) {
             console.error('[Lorebooks] Import failed for', file.name, err);
@@ -2006,12 +1962,15 @@ async function applyLinks() {
     if (applyBtn) { applyBtn.disabled = true; applyBtn.innerHTML = '<i class="fa-solid fa-spinner fa-spin"></i> Linking...'; }
 
     let done = 0;
+    const journal = CoreAPI.getModule('batch-journal')?.beginOperation({ type: 'lorebook', label: `Link lorebook "${linkBook}"` });
     try {
         for (const c of toLink) {
+            await journal?.capture(c, ['extensions.world']);
             const ok = await CoreAPI.applyCardFieldUpdates(c.avatar, { 'extensions.world': linkBook });
-            if (ok) done++;
+            if (ok) { done++; journal?.settle(c); }
         }
     } finally {
+        await journal?.finish();
         if (applyBtn) { applyBtn.innerHTML = applyBtnHtml; applyBtn.disabled = false; }
     }
 
@@ -2120,6 +2079,7 @@ async function applyUnlinks() {
     if (applyBtn) { applyBtn.disabled = true; applyBtn.innerHTML = '<i class="fa-solid fa-spinner fa-spin"></i> Unlinking...'; }
 
     let done = 0;
+    let journal = null; // character unlinks only; chat bindings live outside the card
     try {
         if (isChat) {
             for (const key of linkSelection) {
@@ -2134,12 +2094,15 @@ async function applyUnlinks() {
                 }
             }
         } else {
+            journal = CoreAPI.getModule('batch-journal')?.beginOperation({ type: 'lorebook', label: `Unlink lorebook "${linkBook}"` });
             for (const avatar of linkSelection) {
+                await journal?.capture(avatar, ['extensions.world']);
                 const okU = await CoreAPI.applyCardFieldUpdates(avatar, { 'extensions.world': '' });
-                if (okU) done++;
+                if (okU) { done++; journal?.settle(avatar); }
             }
         }
     } finally {
+        await journal?.finish();
         if (applyBtn) { applyBtn.innerHTML = applyBtnHtml; applyBtn.disabled = false; }
     }
 
@@ -2283,10 +2246,12 @@ function attachEvents() {
         content.addEventListener('keydown', onContentKeydown);
     }
 
-    // Close the editor overflow (kebab) menu on any outside click.
+    // Close the editor overflow (kebab) and export menus on any outside click.
     document.addEventListener('click', (e) => {
         const menu = document.getElementById('lbEditorOverflowMenu');
         if (menu && !menu.classList.contains('hidden') && !e.target.closest('.lb-editor-overflow')) menu.classList.add('hidden');
+        const exportMenu = document.getElementById('lbExportMenu');
+        if (exportMenu && !exportMenu.classList.contains('hidden') && !e.target.closest('.lb-export-wrap')) exportMenu.classList.add('hidden');
     });
 
     // Link picker
@@ -2378,6 +2343,11 @@ function attachEvents() {
 }
 
 function onContentClick(e) {
+    const bulkBox = e.target.closest('input[data-bulk-uid]');
+    if (bulkBox) {
+        bulkToggle(Number(bulkBox.dataset.bulkUid), bulkBox.checked, e.shiftKey);
+        return;
+    }
     const stop = e.target.closest('[data-stop]');
     const actionEl = e.target.closest('[data-action]');
     if (!actionEl) return;
@@ -2386,6 +2356,7 @@ function onContentClick(e) {
 
     // Any action other than opening it dismisses the editor overflow (kebab) menu.
     if (action !== 'editor-overflow') document.getElementById('lbEditorOverflowMenu')?.classList.add('hidden');
+    if (action !== 'export-menu') document.getElementById('lbExportMenu')?.classList.add('hidden');
 
     // Entry expand/collapse: ignore clicks that originate inside the toggle switch or head actions
     if (action === 'toggle-entry') {
@@ -2404,11 +2375,26 @@ function onContentClick(e) {
         case 'bind-chats': openLinkPicker('chats'); break;
         case 'manage-links': openLinkPicker(usedByMode === 'chats' ? 'chats' : 'characters', { manage: true }); break;
         case 'duplicate-world': duplicateWorld(); break;
-        case 'export-world': exportWorld(); break;
+        case 'merge-world': mergeOpen(); break;
+        case 'export-menu': e.stopPropagation(); document.getElementById('lbExportMenu')?.classList.toggle('hidden'); break;
+        case 'export-world': exportWorld(actionEl.dataset.format); break;
         case 'delete-world': deleteWorld(); break;
         case 'add-entry': addEntry(); break;
         case 'editor-overflow': e.stopPropagation(); document.getElementById('lbEditorOverflowMenu')?.classList.toggle('hidden'); break;
         case 'ai-generate': aiOpenGenerate('current'); break;
+        case 'test-bench': simOpen(); break;
+        case 'toggle-bulk': toggleBulkMode(); break;
+        case 'bulk-select-shown': bulkSelectShown(); break;
+        case 'bulk-clear': bulkSelected.clear(); renderEntriesOnly(); refreshBulkBar(); break;
+        case 'bulk-enable': bulkSetEnabled(true); break;
+        case 'bulk-disable': bulkSetEnabled(false); break;
+        case 'bulk-props': bulkPropsOpen(); break;
+        case 'bulk-replace': replaceOpen(); break;
+        case 'bulk-delete': bulkDelete(); break;
+        case 'toggle-lint': toggleLint(); break;
+        case 'lint-jump': jumpToEntry(uid, actionEl.dataset.field); break;
+        case 'lint-fix': applyLintFix(actionEl.dataset.issue); break;
+        case 'lint-open-ref': openWorldEntry(actionEl.dataset.world, Number(actionEl.dataset.uid)); break;
         case 'toggle-all': {
             const ents = sortedEntries();
             const allExpanded = ents.length > 0 && ents.every(en => expandedUids.has(en.uid));
@@ -2500,6 +2486,7 @@ function onContentInput(e) {
     if (target.id === 'lbEntrySearch') {
         entrySearch = target.value;
         renderEntriesOnly();
+        refreshBulkBar();
         return;
     }
     const field = target.dataset.field;
@@ -2520,6 +2507,13 @@ function onContentChange(e) {
         renderEntriesOnly();
         return;
     }
+    if (target.id === 'lbBulkScope' || target.id === 'lbBulkSetting') {
+        if (target.id === 'lbBulkScope') bulkScope = target.value;
+        else bulkSetting = target.value;
+        renderEntriesOnly();
+        refreshBulkBar();
+        return;
+    }
     const field = target.dataset.field;
     if (!field) return;
     const uid = Number(target.dataset.uid);
@@ -2581,6 +2575,1596 @@ function renderEntriesOnly() {
     growVisibleContentFields(wrap);
 }
 
+// Jump the editor to one entry: clear a search that hides it, expand it, scroll it into view and
+// flash it. Used by the test bench and lint rows to go from a finding to the entry itself; a
+// field name also focuses that control (the key pill input for key fields).
+function jumpToEntry(uid, field = '') {
+    const e = workingWorld?.entries?.[uid];
+    if (!e) return;
+    if ((entrySearch || bulkSetting) && !sortedEntries().some(x => x.uid === e.uid)) {
+        entrySearch = '';
+        const searchEl = document.getElementById('lbEntrySearch');
+        if (searchEl) searchEl.value = '';
+        bulkSetting = '';
+        renderEntriesOnly();
+        refreshBulkBar();
+    }
+    expandedUids.add(e.uid);
+    refreshRow(e.uid);
+    const rowEl = document.getElementById(`lbEntry-${e.uid}`);
+    if (!rowEl) return;
+    rowEl.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    rowEl.classList.remove('lb-entry-flash');
+    void rowEl.offsetWidth; // restart the animation on repeat jumps
+    rowEl.classList.add('lb-entry-flash');
+    if (field) {
+        const sel = field === 'key' || field === 'keysecondary'
+            ? `.lb-pill-input[data-field="${field}"]`
+            : `[data-field="${field}"]`;
+        rowEl.querySelector(sel)?.focus({ preventScroll: true });
+    }
+}
+
+// ========================================
+// TEST BENCH (activation simulator over a pasted or picked chat; scan logic in lorebook-scan.js)
+// ========================================
+
+const SIM_CHAT_MAX_MESSAGES = 100; // a picked chat loads its tail; scan depth never reaches further
+const SIM_PICK_CAP = 60;           // character rows shown in the chat picker
+
+const SIM_SKIP_LABELS = {
+    secondary: 'Optional filter',
+    group: 'Lost inclusion group',
+    probability: 'Failed trigger roll',
+    budget: 'Over token budget',
+    delayed: 'Delayed until recursion',
+    delay: 'Chat too short (delay)',
+    decorator: 'Blocked by decorator',
+    'no-match': 'No keyword found',
+    'no-keys': 'No keywords',
+    disabled: 'Disabled',
+};
+// Reasons that are expected for most of a book; folded away below the near misses.
+const SIM_QUIET_REASONS = new Set(['no-match', 'no-keys', 'disabled']);
+
+let simBuilt = false;
+let simWorld = null;         // book the bench last ran against; a new book drops the old character
+let simChar = null;          // character whose card feeds the extra match sources and {{char}}
+let simPickChar = null;      // picker: character whose chats are listed
+let simPickChats = null;     // picker: that character's chats, null while loading
+let simRunTimer = 0;
+let simSettings = { ...SCAN_DEFAULTS };
+
+function simLoadSettings() {
+    const saved = CoreAPI.getSetting('lorebook_simSettings');
+    simSettings = { ...SCAN_DEFAULTS, ...(saved && typeof saved === 'object' ? saved : {}) };
+}
+
+function simBuildModal() {
+    if (simBuilt) return;
+    simBuilt = true;
+    const num = (id, label, field, attrs, hint) => `
+        <div class="lb-ai-field lb-ai-field-narrow">
+            <label class="lb-ai-label" for="${id}" title="${esc(hint)}">${esc(label)}</label>
+            <input type="number" id="${id}" class="cl-input lb-ai-num" data-sim="${field}" ${attrs}>
+        </div>`;
+    const check = (field, label, hint) => `
+        <label class="lb-check" title="${esc(hint)}">
+            <input type="checkbox" data-sim="${field}">
+            <span class="lb-check-box"></span>
+            <span class="lb-check-label">${esc(label)}</span>
+        </label>`;
+    const html = `
+    <div id="lbSimModal" class="cl-modal">
+        <div class="cl-modal-content lb-sim-modal-content">
+            <div class="cl-modal-header">
+                <h3><i class="fa-solid fa-flask cl-modal-header-icon"></i> Test bench <strong id="lbSimBookName"></strong></h3>
+                <button class="cl-modal-close" id="lbSimClose" title="Close"><i class="fa-solid fa-xmark"></i></button>
+            </div>
+            <div class="cl-modal-body lb-sim-body">
+                <div class="lb-sim-grid">
+                    <div class="lb-sim-col-input">
+                        <section class="lb-ai-section">
+                            <div class="lb-ai-section-head">
+                                Chat
+                                <span class="lb-sim-head-actions">
+                                    <button class="cl-btn" data-action="sim-pick" title="Load messages from one of a character's chats"><i class="fa-solid fa-comments"></i> Load chat</button>
+                                </span>
+                            </div>
+                            <div class="lb-sim-picker hidden" id="lbSimPicker">
+                                <div class="lb-search-wrap"><i class="fa-solid fa-magnifying-glass"></i><input type="search" id="lbSimPickSearch" class="cl-input" placeholder="Search characters..." autocomplete="off"></div>
+                                <div class="lb-ai-st-list" id="lbSimPickList"></div>
+                            </div>
+                            <textarea id="lbSimChat" class="lb-ai-textarea lb-ai-textarea-tall" rows="10" placeholder="Paste a chat, oldest first. One message per line as &quot;Name: text&quot;, or separate messages with a blank line."></textarea>
+                            <div class="lb-sim-char hidden" id="lbSimChar"></div>
+                        </section>
+                        <section class="lb-ai-section">
+                            <div class="lb-ai-section-head">Scan settings <span class="lb-ai-section-sub">match your SillyTavern World Info settings</span></div>
+                            <div class="lb-ai-settings-row">
+                                ${num('lbSimDepth', 'Scan depth', 'scanDepth', 'min="0" max="1000" step="1"', 'Messages scanned for keywords, newest first. Entries with their own scan depth override this.')}
+                                ${num('lbSimContext', 'Context', 'contextSize', 'min="512" step="512"', 'Your model context size in tokens; the budget is a percentage of it.')}
+                                ${num('lbSimBudget', 'Budget %', 'budgetPercent', 'min="1" max="100" step="1"', 'World Info budget as a percentage of the context.')}
+                                ${num('lbSimCap', 'Budget cap', 'budgetCap', 'min="0" step="100"', 'Hard token cap on the budget; 0 = no cap.')}
+                                ${num('lbSimSteps', 'Max recursion', 'maxRecursionSteps', 'min="0" max="20" step="1"', 'Maximum recursion steps; 0 = unlimited.')}
+                            </div>
+                            <div class="lb-toggle-grid">
+                                ${check('recursive', 'Recursive scan', 'Activated entries can trigger other entries through their content.')}
+                                ${check('includeNames', 'Include names', 'Scan "Name: message" instead of the bare message.')}
+                                ${check('caseSensitive', 'Case-sensitive keys', 'Global default; entries can override it.')}
+                                ${check('matchWholeWords', 'Match whole words', 'Global default; entries can override it.')}
+                                ${check('useGroupScoring', 'Group scoring', 'Global default; entries can override it.')}
+                                ${check('roll', 'Roll trigger % and group weights', 'Off: entries with a trigger chance pass and the heaviest group member wins. On: roll like a real generation.')}
+                            </div>
+                        </section>
+                    </div>
+                    <section class="lb-ai-section lb-sim-col-results">
+                        <div class="lb-ai-section-head">Result <span class="lb-ai-section-sub">uses unsaved edits</span></div>
+                        <div class="lb-sim-results" id="lbSimResults"></div>
+                    </section>
+                </div>
+            </div>
+            <div class="cl-modal-footer">
+                <button class="cl-btn" id="lbSimCloseBtn">Close</button>
+                <button class="cl-btn cl-btn-primary" id="lbSimRunBtn"><i class="fa-solid fa-play"></i> <span>Run</span></button>
+            </div>
+        </div>
+    </div>`;
+    const wrap = document.createElement('div');
+    wrap.innerHTML = html;
+    Array.from(wrap.children).forEach(el => document.body.appendChild(el));
+    simAttachEvents();
+}
+
+function simOpen() {
+    if (!workingWorld) return;
+    simBuildModal();
+    simLoadSettings();
+    document.getElementById('lbSimBookName').textContent = currentWorld;
+    document.querySelectorAll('#lbSimModal [data-sim]').forEach(el => {
+        const v = simSettings[el.dataset.sim];
+        if (el.type === 'checkbox') el.checked = !!v;
+        else el.value = v;
+    });
+    if (simWorld !== currentWorld) {
+        simWorld = currentWorld;
+        simChar = null;
+    }
+    // Default the character to the book's only linked character so its card fields and
+    // {{char}} work without a picked chat.
+    if (!simChar) {
+        const linked = linkedMap.get(currentWorld) || [];
+        if (linked.length === 1) simChar = linked[0].char;
+    }
+    simRenderChar();
+    document.getElementById('lbSimPicker').classList.add('hidden');
+    document.getElementById('lbSimModal').classList.add('visible');
+    simRun();
+    if (!matchMedia('(pointer: coarse)').matches) document.getElementById('lbSimChat')?.focus();
+    // The linked character is a slim list copy; re-run once its card fields are in.
+    const char = simChar;
+    if (char?._slim) simHydrateChar(char).then(() => { if (simChar === char) simRun(); });
+}
+
+// Library characters are slimmed (no description, personality, scenario or creator notes), so
+// the card-field match sources would be empty and those entries never fire. Fill them in first.
+async function simHydrateChar(char) {
+    try {
+        await CoreAPI.hydrateCharacter(char);
+    } catch (err) {
+        console.warn('[Lorebooks] Test bench could not load card fields for', char?.avatar, err);
+    }
+}
+
+function simClose() {
+    clearTimeout(simRunTimer);
+    document.getElementById('lbSimModal')?.classList.remove('visible');
+}
+
+function simReadSettings() {
+    const next = { ...simSettings };
+    document.querySelectorAll('#lbSimModal [data-sim]').forEach(el => {
+        const field = el.dataset.sim;
+        if (el.type === 'checkbox') { next[field] = el.checked; return; }
+        const n = Number(el.value);
+        next[field] = el.value === '' || !Number.isFinite(n) ? SCAN_DEFAULTS[field] : Math.max(0, n);
+    });
+    simSettings = next;
+    CoreAPI.setSetting('lorebook_simSettings', next);
+}
+
+function simScheduleRun() {
+    clearTimeout(simRunTimer);
+    simRunTimer = setTimeout(simRun, 250);
+}
+
+function simRun() {
+    clearTimeout(simRunTimer);
+    const resultsEl = document.getElementById('lbSimResults');
+    if (!resultsEl || !workingWorld) return;
+    const messages = parseChatText(document.getElementById('lbSimChat')?.value || '');
+    const result = simulateScan({
+        entries: Object.values(workingWorld.entries || {}),
+        messages,
+        sources: characterSources(simChar),
+        settings: { ...simSettings, charName: simChar?.name || '' },
+    });
+    document.querySelector('#lbSimRunBtn span').textContent = simSettings.roll ? 'Re-roll' : 'Run';
+    resultsEl.innerHTML = simResultsHtml(result, messages.length);
+}
+
+function simEntryTitle(uid) {
+    const e = workingWorld?.entries?.[uid];
+    return e ? entryTitle(e) : `#${uid}`;
+}
+
+function simReasonText(r) {
+    const parts = [];
+    const why = r.reason;
+    if (why.type === 'constant') parts.push('Constant');
+    else if (why.type === 'decorator') parts.push('@@activate');
+    else {
+        let text = `Key "${why.key}"`;
+        if (why.secondary) {
+            text += why.secondary.matched.length
+                ? ` + ${why.secondary.logic} (${why.secondary.matched.join(', ')})`
+                : ` + ${why.secondary.logic}`;
+        }
+        parts.push(text);
+    }
+    if (why.via !== null && why.via !== undefined) parts.push(`recursion via "${simEntryTitle(why.via)}"`);
+    else if (r.pass > 0) parts.push(`recursion pass ${r.pass}`);
+    if (r.group && r.group.how !== 'only') {
+        const how = r.group.how === 'override' ? 'prioritized'
+            : r.group.how === 'score' ? 'best score'
+                : r.group.chance !== null ? `${r.group.chance}% weight` : 'weight';
+        parts.push(`won group "${r.group.name}" (${how}) over ${r.group.rivals.length}`);
+    }
+    if (r.chance !== null) parts.push(`${r.chance}% chance`);
+    if (r.ignoreBudget) parts.push('ignores budget');
+    return parts.join(' · ');
+}
+
+// Bucket fired entries by where they land in the prompt; @Depth and outlets split further.
+function simPlacementKey(e) {
+    const pos = Number(e.position) || 0;
+    if (pos === 4) {
+        const role = (ROLE_OPTIONS.find(r => r[0] === Number(e.role)) || ROLE_OPTIONS[0])[1];
+        return { key: `4:${e.depth ?? 4}:${role}`, label: `@ Depth ${e.depth ?? 4} (${role})`, sort: [4, -(e.depth ?? 4)] };
+    }
+    if (pos === 7) return { key: `7:${e.outletName || ''}`, label: `Outlet: ${e.outletName || '(unnamed)'}`, sort: [7, 0] };
+    const label = (POSITION_OPTIONS.find(p => p[0] === pos) || [0, 'Before Character Defs'])[1];
+    return { key: String(pos), label, sort: [pos, 0] };
+}
+
+function simResultsHtml(result, messageCount) {
+    const { activated, skipped, budget, used } = result;
+    const pct = Math.min(100, Math.round(used / budget * 100));
+    const summary = `
+        <div class="lb-sim-summary">
+            <div class="lb-sim-stats">
+                <span><strong>${activated.length}</strong> fired</span>
+                <span>~${used.toLocaleString()} / ${budget.toLocaleString()} tokens</span>
+                <span>${messageCount} message${messageCount === 1 ? '' : 's'}</span>
+                ${result.passes > 1 ? `<span>${result.passes} passes</span>` : ''}
+            </div>
+            <div class="lb-sim-budget${result.overflowed ? ' over' : ''}" title="Token budget used"><div class="lb-sim-budget-fill" style="width:${pct}%"></div></div>
+        </div>
+        ${result.notes.map(n => `<div class="lb-sim-note"><i class="fa-solid fa-circle-info"></i> ${esc(n)}</div>`).join('')}`;
+
+    const buckets = new Map();
+    for (const r of activated) {
+        const place = simPlacementKey(r.entry);
+        if (!buckets.has(place.key)) buckets.set(place.key, { ...place, rows: [], tokens: 0 });
+        const b = buckets.get(place.key);
+        b.rows.push(r);
+        b.tokens += r.tokens;
+    }
+    const fired = [...buckets.values()]
+        .sort((a, b) => a.sort[0] - b.sort[0] || a.sort[1] - b.sort[1] || a.label.localeCompare(b.label))
+        .map(b => {
+            // Lower order inserts higher, so this is the order the text appears in the prompt.
+            b.rows.sort((x, y) => (x.entry.order ?? 100) - (y.entry.order ?? 100) || Number(x.entry.uid) - Number(y.entry.uid));
+            return `
+            <div class="lb-sim-bucket">
+                <div class="lb-sim-bucket-head"><i class="fa-solid fa-location-dot"></i> ${esc(b.label)} <span>~${b.tokens} tokens</span></div>
+                ${b.rows.map(r => `
+                <button class="lb-sim-row" data-action="sim-jump" data-uid="${esc(r.entry.uid)}" title="Open this entry">
+                    <span class="lb-sim-order">#${esc(r.entry.order ?? 100)}</span>
+                    <span class="lb-sim-main">
+                        <span class="lb-sim-title">${esc(entryTitle(r.entry))}</span>
+                        <span class="lb-sim-why">${esc(simReasonText(r))}</span>
+                    </span>
+                    <span class="lb-sim-tokens">~${r.tokens}</span>
+                </button>`).join('')}
+            </div>`;
+        }).join('');
+
+    const near = skipped.filter(s => !SIM_QUIET_REASONS.has(s.reason));
+    const quiet = skipped.filter(s => SIM_QUIET_REASONS.has(s.reason));
+    const skipRow = (s) => `
+        <button class="lb-sim-row lb-sim-row-skip" data-action="sim-jump" data-uid="${esc(s.entry.uid)}" title="Open this entry">
+            <span class="lb-sim-main">
+                <span class="lb-sim-title">${esc(entryTitle(s.entry))}</span>
+                <span class="lb-sim-why">${esc(SIM_SKIP_LABELS[s.reason] || s.reason)}${s.detail ? `: ${esc(s.detail)}` : ''}</span>
+            </span>
+        </button>`;
+
+    return `
+        ${summary}
+        ${fired || `<div class="lb-link-empty">Nothing fires for this chat.</div>`}
+        ${near.length ? `
+        <div class="lb-sim-bucket">
+            <div class="lb-sim-bucket-head lb-sim-miss"><i class="fa-solid fa-triangle-exclamation"></i> Near misses <span>${near.length}</span></div>
+            ${near.map(skipRow).join('')}
+        </div>` : ''}
+        ${quiet.length ? `
+        <details class="lb-sim-quiet">
+            <summary>${quiet.length} other entr${quiet.length === 1 ? 'y' : 'ies'} did not fire</summary>
+            ${quiet.map(skipRow).join('')}
+        </details>` : ''}`;
+}
+
+function simRenderChar() {
+    const el = document.getElementById('lbSimChar');
+    if (!el) return;
+    el.classList.toggle('hidden', !simChar);
+    if (!simChar) { el.innerHTML = ''; return; }
+    el.innerHTML = `
+        <img class="lb-link-avatar" src="${esc(CoreAPI.getCharacterAvatarStThumbUrl(simChar.avatar))}" alt="" loading="lazy">
+        <span>Card fields and {{char}} from <strong>${esc(simChar.name || simChar.avatar)}</strong></span>
+        <button class="lb-icon-btn small" data-action="sim-clear-char" title="Don't use a character"><i class="fa-solid fa-xmark"></i></button>`;
+}
+
+function simTogglePicker() {
+    const picker = document.getElementById('lbSimPicker');
+    if (!picker) return;
+    const show = picker.classList.contains('hidden');
+    picker.classList.toggle('hidden', !show);
+    if (!show) return;
+    simPickChar = null;
+    simPickChats = null;
+    const searchEl = document.getElementById('lbSimPickSearch');
+    if (searchEl) searchEl.value = '';
+    simRenderPicker();
+    if (!matchMedia('(pointer: coarse)').matches) searchEl?.focus();
+}
+
+function simRenderPicker() {
+    const listEl = document.getElementById('lbSimPickList');
+    if (!listEl) return;
+    if (simPickChar) {
+        const back = `<button class="lb-ai-st-row" data-action="sim-pick-back"><i class="fa-solid fa-arrow-left"></i> <span class="lb-link-name">${esc(simPickChar.name)}</span></button>`;
+        if (!simPickChats) { listEl.innerHTML = `${back}<div class="lb-ai-st-loading"><i class="fa-solid fa-spinner fa-spin"></i> Loading chats...</div>`; return; }
+        if (!simPickChats.length) { listEl.innerHTML = `${back}<div class="lb-link-empty">No chats for this character.</div>`; return; }
+        listEl.innerHTML = back + simPickChats.map((ch, i) => {
+            const name = (ch.file_name || '').replace(/\.jsonl$/i, '');
+            return `
+            <button class="lb-ai-st-row" data-action="sim-pick-chat" data-idx="${i}" title="${esc(name)}">
+                <span class="lb-ai-st-chatmeta"><span class="lb-link-name">${esc(name)}</span><span class="lb-ai-st-sub">${ch.chat_items || 0} msg</span></span>
+            </button>`;
+        }).join('');
+        return;
+    }
+    // Characters that use this book come first; a search reaches the rest of the library.
+    const q = (document.getElementById('lbSimPickSearch')?.value || '').trim().toLowerCase();
+    const linked = (linkedMap.get(currentWorld) || []).map(l => l.char).filter(Boolean);
+    const bound = (chatBoundMap.get(currentWorld) || []).map(c => c.char).filter(Boolean);
+    const seen = new Set();
+    const pool = [...linked, ...bound, ...(q ? CoreAPI.getAllCharacters() || [] : [])].filter(c => {
+        if (!c?.avatar || seen.has(c.avatar)) return false;
+        seen.add(c.avatar);
+        return !q || (c.name || '').toLowerCase().includes(q);
+    }).slice(0, SIM_PICK_CAP);
+    if (!pool.length) {
+        listEl.innerHTML = `<div class="lb-link-empty">${q ? 'No characters match.' : 'No characters use this lorebook. Search to pick any character.'}</div>`;
+        return;
+    }
+    listEl.innerHTML = pool.map(c => `
+        <button class="lb-ai-st-row" data-action="sim-pick-char" data-avatar="${esc(c.avatar)}" title="${esc(c.name)}">
+            <img class="lb-link-avatar" src="${esc(CoreAPI.getCharacterAvatarStThumbUrl(c.avatar))}" alt="" loading="lazy">
+            <span class="lb-link-name">${esc(c.name || c.avatar)}</span>
+        </button>`).join('');
+}
+
+async function simPickCharacter(avatar) {
+    const char = (CoreAPI.getAllCharacters() || []).find(c => c.avatar === avatar);
+    if (!char) return;
+    simPickChar = char;
+    simPickChats = null;
+    simRenderPicker();
+    const [chats] = await Promise.all([CoreAPI.listCharacterChatsWithMeta(char), simHydrateChar(char)]);
+    if (simPickChar !== char) return; // user went back while loading
+    simPickChats = chats.filter(ch => (ch.chat_items || 0) > 0);
+    simRenderPicker();
+}
+
+async function simLoadChat(idx) {
+    const char = simPickChar;
+    const chat = simPickChats?.[idx];
+    if (!char || !chat) return;
+    const fileName = (chat.file_name || '').replace(/\.jsonl$/i, '');
+    try {
+        const resp = await CoreAPI.apiRequest('/chats/get', 'POST', { ch_name: char.name, file_name: fileName, avatar_url: char.avatar });
+        if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+        const msgs = await resp.json();
+        if (!Array.isArray(msgs)) throw new Error('Unexpected chat format');
+        // One line per message keeps the "Name: text" split unambiguous when re-parsed.
+        const lines = msgs
+            .filter(m => m && !m.is_system && (m.mes || '').trim())
+            .slice(-SIM_CHAT_MAX_MESSAGES)
+            .map(m => `${m.name || (m.is_user ? 'User' : char.name)}: ${(m.mes || '').replace(/\s+/g, ' ').trim()}`);
+        document.getElementById('lbSimChat').value = lines.join('\n');
+        simChar = char;
+        simRenderChar();
+        document.getElementById('lbSimPicker').classList.add('hidden');
+        simRun();
+    } catch (err) {
+        console.error('[Lorebooks] Test bench chat load failed', err);
+        CoreAPI.showToast('Could not load that chat', 'error');
+    }
+}
+
+function simAttachEvents() {
+    const modal = document.getElementById('lbSimModal');
+    document.getElementById('lbSimClose')?.addEventListener('click', simClose);
+    document.getElementById('lbSimCloseBtn')?.addEventListener('click', simClose);
+    modal?.addEventListener('click', (e) => { if (e.target === modal) simClose(); });
+    document.getElementById('lbSimRunBtn')?.addEventListener('click', simRun);
+    document.getElementById('lbSimChat')?.addEventListener('input', simScheduleRun);
+    document.getElementById('lbSimPickSearch')?.addEventListener('input', simRenderPicker);
+    modal?.addEventListener('change', (e) => {
+        if (!e.target.dataset?.sim) return;
+        simReadSettings();
+        simRun();
+    });
+    modal?.addEventListener('click', (e) => {
+        const actionEl = e.target.closest('[data-action]');
+        if (!actionEl) return;
+        switch (actionEl.dataset.action) {
+            case 'sim-pick': simTogglePicker(); break;
+            case 'sim-pick-char': simPickCharacter(actionEl.dataset.avatar); break;
+            case 'sim-pick-back': simPickChar = null; simPickChats = null; simRenderPicker(); break;
+            case 'sim-pick-chat': simLoadChat(Number(actionEl.dataset.idx)); break;
+            case 'sim-clear-char': simChar = null; simRenderChar(); simRun(); break;
+            case 'sim-jump': simClose(); jumpToEntry(Number(actionEl.dataset.uid)); break;
+        }
+    });
+}
+
+// ========================================
+// LINT (key conflicts and entry quality; checks in lorebook-lint.js)
+// ========================================
+
+const LINT_RELATED_MAX = 12;  // other books fetched for cross-book key collisions
+const LINT_ROW_CAP = 200;
+
+let lintOpen = false;
+let lintResult = null;        // { issues, notes } for lintWorld
+let lintWorld = null;
+let lintTimer = 0;
+let lintRelated = [];         // [{ world, entries }] books that load alongside the open one
+let lintRelatedWorld = null;  // world the related books were (or are being) gathered for
+let lintRelatedLoading = false;
+
+const LINT_ICONS = {
+    error: 'fa-circle-xmark',
+    warning: 'fa-triangle-exclamation',
+    info: 'fa-circle-info',
+};
+
+function runLint() {
+    if (!workingWorld) return;
+    lintResult = lintEntries(Object.values(workingWorld.entries || {}), { related: lintRelated });
+    lintWorld = currentWorld;
+}
+
+// Mutations re-lint on a debounce so typing in a big book stays smooth.
+function scheduleLint() {
+    clearTimeout(lintTimer);
+    lintTimer = setTimeout(() => {
+        if (!workingWorld) return;
+        runLint();
+        refreshLint();
+    }, 400);
+}
+
+function lintProblemCount() {
+    return (lintResult?.issues || []).filter(i => i.severity !== 'info').length;
+}
+
+function lintButtonHtml() {
+    const n = lintProblemCount();
+    return `<button class="lb-icon-btn lb-lint-btn${lintOpen ? ' active' : ''}" id="lbLintBtn" data-action="toggle-lint" title="Check keys and entries for problems"><i class="fa-solid fa-stethoscope"></i>${n ? `<span class="lb-lint-badge">${n > 99 ? '99+' : n}</span>` : ''}</button>`;
+}
+
+// Books loaded with this one for the same character: chat lore bound in the chats of the
+// characters that link this book, and the primary book of characters whose chats bind it.
+function lintRelatedWorlds() {
+    const out = new Set();
+    const avatars = new Set((linkedMap.get(currentWorld) || []).map(l => l.avatar));
+    for (const [world, chats] of chatBoundMap) {
+        if (world !== currentWorld && chats.some(c => avatars.has(c.avatar))) out.add(world);
+    }
+    for (const c of chatBoundMap.get(currentWorld) || []) {
+        const world = c.char?.data?.extensions?.world;
+        if (world && world !== currentWorld) out.add(world);
+    }
+    return [...out].filter(w => worldsList.some(x => x.file_id === w)).slice(0, LINT_RELATED_MAX);
+}
+
+async function loadLintRelated() {
+    const world = currentWorld;
+    lintRelatedWorld = world;
+    lintRelated = [];
+    if (!chatIndexLoaded) {
+        if (chatIndexLoading) {
+            // Someone else is building the index; its finishing renderEditor retries us.
+            lintRelatedWorld = null;
+            return;
+        }
+        lintRelatedLoading = true;
+        refreshLint();
+        await ensureChatIndex();
+    }
+    lintRelatedLoading = true;
+    refreshLint();
+    const related = [];
+    for (const name of lintRelatedWorlds()) {
+        try {
+            const data = await CoreAPI.getWorldInfoData(name);
+            if (data?.entries) related.push({ world: name, entries: Object.values(data.entries) });
+        } catch { /* unreadable book: skip it */ }
+    }
+    lintRelatedLoading = false;
+    if (currentWorld !== world) return;
+    lintRelated = related;
+    runLint();
+    refreshLint();
+}
+
+function lintPanelHtml() {
+    const { issues = [], notes = [] } = lintResult || {};
+    const chips = (issue) => issue.uids.map(uid => {
+        const e = workingWorld.entries[uid];
+        if (!e) return '';
+        return `<button class="lb-lint-chip" data-action="lint-jump" data-uid="${esc(uid)}" data-field="${esc(issue.field || '')}" title="Go to entry">${esc(entryTitle(e))}</button>`;
+    }).join('') + (issue.refs || []).map(ref =>
+        `<button class="lb-lint-chip external" data-action="lint-open-ref" data-world="${esc(ref.world)}" data-uid="${esc(ref.uid)}" title="Open in ${esc(ref.world)}"><i class="fa-solid fa-book"></i> ${esc(ref.label)}</button>`).join('');
+
+    const relatedLine = lintRelatedLoading
+        ? `<i class="fa-solid fa-spinner fa-spin"></i> Checking other lorebooks used by the same characters...`
+        : lintRelated.length
+            ? `Also checked against ${lintRelated.map(r => `"${esc(r.world)}"`).join(', ')}.`
+            : 'No other lorebooks load with this one for its characters.';
+
+    const rows = issues.slice(0, LINT_ROW_CAP).map(issue => `
+        <div class="lb-lint-row sev-${issue.severity}">
+            <i class="fa-solid ${LINT_ICONS[issue.severity]} lb-lint-icon"></i>
+            <div class="lb-lint-main">
+                <span class="lb-lint-msg">${esc(issue.message)}</span>
+                <span class="lb-lint-targets">${chips(issue)}</span>
+            </div>
+            ${issue.fix ? `<button class="cl-btn lb-lint-fix" data-action="lint-fix" data-issue="${esc(issue.id)}">${esc(issue.fix.label)}</button>` : ''}
+        </div>`).join('');
+
+    return `
+        <div class="lb-lint-head">
+            <span>${issues.length ? `${issues.length} issue${issues.length === 1 ? '' : 's'}` : '<i class="fa-solid fa-check"></i> No issues found'}</span>
+            <span class="lb-lint-related">${relatedLine}</span>
+        </div>
+        ${notes.map(n => `<div class="lb-lint-note">${esc(n)}</div>`).join('')}
+        ${rows}
+        ${issues.length > LINT_ROW_CAP ? `<div class="lb-lint-note">Showing the first ${LINT_ROW_CAP} issues.</div>` : ''}`;
+}
+
+// Patch the badge and panel in place; the editor around them keeps focus and scroll.
+function refreshLint() {
+    const btn = document.getElementById('lbLintBtn');
+    if (btn) btn.outerHTML = lintButtonHtml();
+    const panel = document.getElementById('lbLintPanel');
+    if (!panel) return;
+    panel.classList.toggle('hidden', !lintOpen);
+    panel.innerHTML = lintOpen ? lintPanelHtml() : '';
+}
+
+function toggleLint() {
+    lintOpen = !lintOpen;
+    if (lintOpen) {
+        runLint();
+        if (lintRelatedWorld !== currentWorld) loadLintRelated();
+    }
+    refreshLint();
+}
+
+function applyLintFix(issueId) {
+    const fix = lintResult?.issues.find(i => i.id === issueId)?.fix;
+    const e = fix && workingWorld.entries[fix.uid];
+    if (!e) return;
+    if (fix.type === 'remove-key' && Array.isArray(e[fix.field])) {
+        // The panel can lag behind an edit (lint is debounced); never remove a key other than the one flagged
+        if (String(e[fix.field][fix.index] ?? '').trim() !== fix.key) {
+            clearTimeout(lintTimer);
+            runLint();
+            refreshLint();
+            return;
+        }
+        e[fix.field].splice(fix.index, 1);
+    } else if (fix.type === 'enable') e.disable = false;
+    else return;
+    markDirty();
+    refreshRow(fix.uid);
+    refreshRowHeader(fix.uid);
+    clearTimeout(lintTimer);
+    runLint();
+    refreshLint();
+}
+
+async function openWorldEntry(world, uid) {
+    await selectWorld(world);
+    if (currentWorld === world) jumpToEntry(uid, 'key');
+}
+
+// ========================================
+// MERGE (two- or three-way diff of the open book against another world file or a character's
+// embedded book; entry matching is card-updates.js's, accepted rows land in the working copy)
+// ========================================
+
+const MERGE_ENTRY_DEFAULTS = newEntry(0, 0);
+// Identity and bookkeeping fields never count as a change.
+const MERGE_SKIP_FIELDS = new Set(['uid', 'displayIndex', 'addMemo']);
+const MERGE_FIELDS = Object.keys(MERGE_ENTRY_DEFAULTS).filter(f => !MERGE_SKIP_FIELDS.has(f));
+const MERGE_FIELD_LABELS = {
+    key: 'Keys', keysecondary: 'Secondary keys', comment: 'Title', content: 'Content',
+    disable: 'Disabled', selectiveLogic: 'Key logic', order: 'Order', position: 'Position',
+    probability: 'Trigger %', useProbability: 'Use trigger %', groupOverride: 'Prioritize in group',
+    outletName: 'Outlet', ...Object.fromEntries(MATCH_SOURCES),
+};
+const MERGE_KINDS = {
+    conflict: { label: 'Conflict', order: 0 },
+    changed: { label: 'Changed', order: 1 },
+    differs: { label: 'Differs', order: 2 },
+    added: { label: 'New', order: 3 },
+    'removed-there': { label: 'Removed', order: 4 },
+    'deleted-here': { label: 'Deleted here', order: 5 },
+    'only-here': { label: 'Only here', order: 6 },
+};
+const MERGE_PICK_CAP = 60;
+const MERGE_WORD_DIFF_MAX = 1500; // tokens per side; the word diff is a quadratic LCS
+
+let mergeBuilt = false;
+let mergeWorld = null;       // book the sources were picked for; a new book starts over
+let mergeSources = { theirs: null, base: null }; // { type: 'world'|'char', id, label, entries }
+let mergePickSlot = null;    // slot the picker is choosing for
+let mergeLoading = false;
+let mergeResult = null;      // { rows, identical, keptHere }
+
+function mergeFieldLabel(f) {
+    return MERGE_FIELD_LABELS[f] || f.replace(/([A-Z])/g, ' $1').replace(/^./, c => c.toUpperCase());
+}
+
+// Comparable value of a field; files written by older ST versions can miss fields entirely.
+function mergeValue(e, f) {
+    const v = e?.[f] === undefined ? MERGE_ENTRY_DEFAULTS[f] : e[f];
+    if (f === 'key' || f === 'keysecondary') {
+        return (Array.isArray(v) ? v : []).map(k => String(k ?? '').trim()).filter(Boolean).sort();
+    }
+    return v ?? null;
+}
+
+function mergeSame(a, b, f) {
+    return JSON.stringify(mergeValue(a, f)) === JSON.stringify(mergeValue(b, f));
+}
+
+function mergeDiffFields(a, b) {
+    return MERGE_FIELDS.filter(f => !mergeSame(a, b, f));
+}
+
+// matchLorebookEntries speaks the V2 card shape; each view carries its native entry along.
+function mergeViews(entries) {
+    return entries.map(e => ({ keys: Array.isArray(e.key) ? e.key : [], comment: e.comment || '', content: e.content || '', entry: e }));
+}
+
+function mergePairs(from, to) {
+    const { matched } = matchLorebookEntries(mergeViews(from), mergeViews(to));
+    return new Map(matched.map(m => [m.local.entry, m.remote.entry]));
+}
+
+/**
+ * Classify every difference between the open book and the incoming one. With a base (the
+ * version both descend from) a change is attributed to the side that made it: changes only
+ * the incoming side made are pre-accepted, ones only this book made are left alone, and
+ * fields both sides changed are conflicts. Without a base every difference is offered
+ * unaccepted, except entries that only exist in the incoming book.
+ */
+function mergeCompute(ours, theirs, base) {
+    const rows = [];
+    let identical = 0;
+    let keptHere = 0;
+    const push = (row) => rows.push({ id: rows.length, ours: null, theirs: null, base: null, fields: [], conflicts: [], ...row });
+    const { matched, added, removed } = matchLorebookEntries(mergeViews(ours), mergeViews(theirs));
+    const oursBase = base ? mergePairs(ours, base) : null;
+    const theirsBase = base ? mergePairs(theirs, base) : null;
+
+    for (const { local, remote } of matched) {
+        const o = local.entry;
+        const t = remote.entry;
+        const fields = mergeDiffFields(o, t);
+        if (!fields.length) { identical++; continue; }
+        const b = oursBase?.get(o);
+        // Both sides have to descend from the same base entry for the change to be attributed.
+        if (!b || theirsBase.get(t) !== b) {
+            push({ kind: 'differs', action: 'update', ours: o, theirs: t, fields, accept: false });
+            continue;
+        }
+        const theirsChanged = fields.filter(f => !mergeSame(t, b, f));
+        if (!theirsChanged.length) { keptHere++; continue; }
+        const conflicts = theirsChanged.filter(f => !mergeSame(o, b, f));
+        push({ kind: conflicts.length ? 'conflict' : 'changed', action: 'update', ours: o, theirs: t, base: b, fields: theirsChanged, conflicts, accept: !conflicts.length });
+    }
+    for (const { entry: t } of added) {
+        const b = theirsBase?.get(t);
+        if (!b) { push({ kind: 'added', action: 'add', theirs: t, accept: true }); continue; }
+        // It was in the base, so this book deleted it.
+        const edited = mergeDiffFields(t, b).length > 0;
+        push({ kind: edited ? 'conflict' : 'deleted-here', action: 'add', theirs: t, base: b, accept: false });
+    }
+    for (const { entry: o } of removed) {
+        const b = oursBase?.get(o);
+        if (!b) { push({ kind: 'only-here', action: 'delete', ours: o, accept: false }); continue; }
+        const edited = mergeDiffFields(o, b).length > 0;
+        push({ kind: edited ? 'conflict' : 'removed-there', action: 'delete', ours: o, base: b, accept: !edited });
+    }
+    rows.sort((a, b) => MERGE_KINDS[a.kind].order - MERGE_KINDS[b.kind].order || a.id - b.id);
+    return { rows, identical, keptHere };
+}
+
+function mergeBuildModal() {
+    if (mergeBuilt) return;
+    mergeBuilt = true;
+    const source = (slot, label, hint) => `
+        <div class="lb-merge-source" data-slot="${slot}">
+            <span class="lb-ai-label" title="${esc(hint)}">${esc(label)}</span>
+            <span class="lb-merge-source-name" id="lbMergeSource-${slot}"></span>
+            <button class="cl-btn" data-action="merge-pick" data-slot="${slot}"><i class="fa-solid fa-folder-open"></i> Choose</button>
+            ${slot === 'base' ? '<button class="lb-icon-btn small hidden" data-action="merge-clear-base" id="lbMergeClearBase" title="Compare without a base"><i class="fa-solid fa-xmark"></i></button>' : ''}
+        </div>`;
+    const html = `
+    <div id="lbMergeModal" class="cl-modal">
+        <div class="cl-modal-content lb-merge-modal-content">
+            <div class="cl-modal-header">
+                <h3><i class="fa-solid fa-code-compare cl-modal-header-icon"></i> Compare &amp; merge into <strong id="lbMergeBookName"></strong></h3>
+                <button class="cl-modal-close" id="lbMergeClose" title="Close"><i class="fa-solid fa-xmark"></i></button>
+            </div>
+            <div class="cl-modal-body lb-merge-body">
+                <section class="lb-ai-section">
+                    <div class="lb-ai-section-head">Sources <span class="lb-ai-section-sub">accepted changes go into this book's unsaved edits</span></div>
+                    ${source('theirs', 'Incoming', 'The lorebook whose changes you want to bring in.')}
+                    ${source('base', 'Base (optional)', 'The version both books started from, such as the original import. With a base, changes are attributed to the side that made them and only real conflicts need a decision.')}
+                    <div class="lb-merge-picker hidden" id="lbMergePicker">
+                        <div class="lb-search-wrap"><i class="fa-solid fa-magnifying-glass"></i><input type="search" id="lbMergePickSearch" class="cl-input" placeholder="Search lorebooks or characters..." autocomplete="off"></div>
+                        <div class="lb-ai-st-list" id="lbMergePickList"></div>
+                    </div>
+                </section>
+                <section class="lb-ai-section">
+                    <div class="lb-ai-section-head">
+                        Entries <span class="lb-ai-section-sub" id="lbMergeStats"></span>
+                        <span class="lb-merge-head-actions">
+                            <button class="cl-btn" data-action="merge-all" title="Accept every row">All</button>
+                            <button class="cl-btn" data-action="merge-none" title="Reject every row">None</button>
+                        </span>
+                    </div>
+                    <div class="lb-merge-rows" id="lbMergeRows"></div>
+                </section>
+            </div>
+            <div class="cl-modal-footer">
+                <button class="cl-btn" id="lbMergeCloseBtn">Close</button>
+                <button class="cl-btn cl-btn-primary" id="lbMergeApplyBtn" disabled><i class="fa-solid fa-code-merge"></i> <span>Apply</span></button>
+            </div>
+        </div>
+    </div>`;
+    const wrap = document.createElement('div');
+    wrap.innerHTML = html;
+    Array.from(wrap.children).forEach(el => document.body.appendChild(el));
+    mergeAttachEvents();
+}
+
+function mergeOpen() {
+    if (!workingWorld) return;
+    mergeBuildModal();
+    if (mergeWorld !== currentWorld) {
+        mergeWorld = currentWorld;
+        mergeSources = { theirs: null, base: null };
+    }
+    document.getElementById('lbMergeBookName').textContent = currentWorld;
+    mergePickSlot = null;
+    document.getElementById('lbMergePicker').classList.add('hidden');
+    document.getElementById('lbMergeModal').classList.add('visible');
+    // Recompute on every open: the working copy may have changed since the last one.
+    mergeRecompute();
+    if (!mergeSources.theirs) mergeTogglePicker('theirs');
+}
+
+function mergeClose() {
+    document.getElementById('lbMergeModal')?.classList.remove('visible');
+}
+
+function mergeRecompute() {
+    const { theirs, base } = mergeSources;
+    mergeResult = theirs && workingWorld
+        ? mergeCompute(Object.values(workingWorld.entries || {}), theirs.entries, base?.entries || null)
+        : null;
+    mergeRenderSources();
+    mergeRenderRows();
+}
+
+function mergeRenderSources() {
+    for (const slot of ['theirs', 'base']) {
+        const el = document.getElementById(`lbMergeSource-${slot}`);
+        const src = mergeSources[slot];
+        if (!el) continue;
+        el.classList.toggle('empty', !src);
+        el.innerHTML = src
+            ? `<i class="fa-solid fa-${src.type === 'char' ? 'user' : 'book'}"></i> ${esc(src.label)} <span class="lb-ai-st-sub">${src.entries.length} ${src.entries.length === 1 ? 'entry' : 'entries'}</span>`
+            : slot === 'base' ? 'None: two-way compare' : 'Not chosen';
+    }
+    document.getElementById('lbMergeClearBase')?.classList.toggle('hidden', !mergeSources.base);
+}
+
+function mergeTogglePicker(slot) {
+    const picker = document.getElementById('lbMergePicker');
+    if (!picker) return;
+    const show = picker.classList.contains('hidden') || mergePickSlot !== slot;
+    picker.classList.toggle('hidden', !show);
+    mergePickSlot = show ? slot : null;
+    document.querySelectorAll('#lbMergeModal .lb-merge-source').forEach(el => el.classList.toggle('picking', el.dataset.slot === mergePickSlot));
+    if (!show) return;
+    const searchEl = document.getElementById('lbMergePickSearch');
+    if (searchEl) searchEl.value = '';
+    mergeRenderPicker();
+    if (!matchMedia('(pointer: coarse)').matches) searchEl?.focus();
+}
+
+function mergeRenderPicker() {
+    const listEl = document.getElementById('lbMergePickList');
+    if (!listEl) return;
+    const q = (document.getElementById('lbMergePickSearch')?.value || '').trim().toLowerCase();
+    // Embedded books of the characters using this world come first: the usual divergent pair.
+    const seen = new Set();
+    const chars = [
+        ...(linkedMap.get(currentWorld) || []).map(l => l.char),
+        ...(q ? CoreAPI.getAllCharacters() || [] : []),
+    ].filter(c => {
+        if (!c?.avatar || seen.has(c.avatar)) return false;
+        seen.add(c.avatar);
+        return !q || (c.name || '').toLowerCase().includes(q);
+    });
+    const worlds = worldsList.filter(w => w.file_id !== currentWorld && (!q || w.file_id.toLowerCase().includes(q)));
+    const rows = [
+        ...chars.map(c => `
+        <button class="lb-ai-st-row" data-action="merge-pick-item" data-type="char" data-id="${esc(c.avatar)}" title="${esc(c.name)}">
+            <img class="lb-link-avatar" src="${esc(CoreAPI.getCharacterAvatarStThumbUrl(c.avatar))}" alt="" loading="lazy">
+            <span class="lb-ai-st-chatmeta"><span class="lb-link-name">${esc(c.name || c.avatar)}</span><span class="lb-ai-st-sub">Embedded lorebook</span></span>
+        </button>`),
+        ...worlds.map(w => {
+            const count = entryCountOf(w);
+            return `
+        <button class="lb-ai-st-row" data-action="merge-pick-item" data-type="world" data-id="${esc(w.file_id)}" title="${esc(w.file_id)}">
+            <i class="fa-solid fa-book lb-merge-pick-icon"></i>
+            <span class="lb-ai-st-chatmeta"><span class="lb-link-name">${esc(w.file_id)}</span><span class="lb-ai-st-sub">Lorebook${count != null ? ` · ${count} ${count === 1 ? 'entry' : 'entries'}` : ''}</span></span>
+        </button>`;
+        }),
+    ].slice(0, MERGE_PICK_CAP);
+    listEl.innerHTML = rows.length
+        ? rows.join('')
+        : `<div class="lb-link-empty">${q ? 'Nothing matches.' : 'No other lorebooks. Search to pick any character\'s embedded lorebook.'}</div>`;
+}
+
+async function mergePickSource(type, id) {
+    const slot = mergePickSlot;
+    if (!slot || mergeLoading) return;
+    mergeLoading = true;
+    mergeRenderRows();
+    try {
+        let source = null;
+        if (type === 'world') {
+            const data = await CoreAPI.getWorldInfoData(id);
+            if (!data?.entries) { CoreAPI.showToast(`Could not read "${id}"`, 'error'); return; }
+            source = { type, id, label: id, entries: Object.values(data.entries).filter(e => e && typeof e === 'object') };
+        } else {
+            const char = (CoreAPI.getAllCharacters() || []).find(c => c.avatar === id);
+            if (!char) return;
+            await CoreAPI.hydrateCharacter(char);
+            const book = char.data?.character_book;
+            if (!book?.entries?.length) { CoreAPI.showToast(`${char.name} has no embedded lorebook`, 'warning'); return; }
+            source = { type, id, label: `${char.name} (embedded)`, entries: Object.values(convertCharacterBookToNative(book).entries) };
+        }
+        mergeSources[slot] = source;
+        mergeTogglePicker(slot);
+    } catch (err) {
+        console.error('[Lorebooks] Merge source load failed', err);
+        CoreAPI.showToast('Could not load that lorebook', 'error');
+    } finally {
+        mergeLoading = false;
+        mergeRecompute();
+    }
+}
+
+function mergeRowSummary(r) {
+    const from = mergeSources.theirs?.label || 'incoming';
+    const names = r.fields.map(mergeFieldLabel).join(', ');
+    switch (r.kind) {
+        case 'changed': return `Changed in ${from}: ${names}`;
+        case 'differs': return `Differs: ${names}`;
+        case 'added': return `Only in ${from}; accept to add it`;
+        case 'only-here': return `Only in this book; accept to delete it`;
+        case 'removed-there': return `Deleted in ${from}; accept to delete it here`;
+        case 'deleted-here': return `Deleted in this book, still in ${from}; accept to restore it`;
+        default:
+            if (r.action === 'add') return `Deleted in this book but edited in ${from}; accept to restore it`;
+            if (r.action === 'delete') return `Deleted in ${from} but edited here; accept to delete it`;
+            return `Both changed ${r.conflicts.map(mergeFieldLabel).join(', ')}${r.fields.length > r.conflicts.length ? `; ${from} also changed ${r.fields.filter(f => !r.conflicts.includes(f)).map(mergeFieldLabel).join(', ')}` : ''}`;
+    }
+}
+
+function mergeDisplayValue(f, v) {
+    if (Array.isArray(v)) return v.length ? v.join(', ') : '(none)';
+    if (v === null) return 'Use global';
+    if (typeof v === 'boolean') return v ? 'Yes' : 'No';
+    const options = f === 'position' ? POSITION_OPTIONS : f === 'selectiveLogic' ? LOGIC_OPTIONS : f === 'role' ? ROLE_OPTIONS : null;
+    if (options) return (options.find(o => o[0] === Number(v)) || [v, String(v)])[1];
+    return v === '' ? '(empty)' : String(v);
+}
+
+function mergeValueHtml(f, ours, theirs) {
+    const a = mergeValue(ours, f);
+    const b = mergeValue(theirs, f);
+    if (typeof a === 'string' && typeof b === 'string' && (f === 'content' || f === 'comment')) {
+        const size = (s) => (s.match(/\S+|\s+/g) || []).length;
+        if (size(a) <= MERGE_WORD_DIFF_MAX && size(b) <= MERGE_WORD_DIFF_MAX) {
+            const { oldHtml, newHtml } = computeWordDiff(a, b);
+            return [oldHtml || '(empty)', newHtml || '(empty)'];
+        }
+    }
+    return [esc(mergeDisplayValue(f, a)), esc(mergeDisplayValue(f, b))];
+}
+
+function mergeDetailHtml(r) {
+    if (r.action !== 'update') {
+        const e = r.theirs || r.ours;
+        return `
+            <div class="lb-merge-field">
+                <div class="lb-merge-field-name">Keys</div>
+                <div class="lb-merge-val">${esc(mergeDisplayValue('key', mergeValue(e, 'key')))}</div>
+            </div>
+            <div class="lb-merge-field">
+                <div class="lb-merge-field-name">Content</div>
+                <div class="lb-merge-val">${esc(e.content || '(empty)')}</div>
+            </div>`;
+    }
+    const from = mergeSources.theirs?.label || 'Incoming';
+    return r.fields.map(f => {
+        const [oursHtml, theirsHtml] = mergeValueHtml(f, r.ours, r.theirs);
+        return `
+            <div class="lb-merge-field">
+                <div class="lb-merge-field-name">${esc(mergeFieldLabel(f))}${r.conflicts.includes(f) ? ' <span class="lb-merge-both">changed on both sides</span>' : ''}</div>
+                <div class="lb-merge-cols">
+                    <div class="lb-merge-col"><span class="lb-merge-col-head">This book</span><div class="lb-merge-val">${oursHtml}</div></div>
+                    <div class="lb-merge-col"><span class="lb-merge-col-head">${esc(from)}</span><div class="lb-merge-val">${theirsHtml}</div></div>
+                </div>
+            </div>`;
+    }).join('');
+}
+
+function mergeRenderRows() {
+    const listEl = document.getElementById('lbMergeRows');
+    const statsEl = document.getElementById('lbMergeStats');
+    if (!listEl) return;
+    if (mergeLoading) {
+        listEl.innerHTML = '<div class="lb-ai-st-loading"><i class="fa-solid fa-spinner fa-spin"></i> Loading...</div>';
+        return;
+    }
+    if (!mergeResult) {
+        if (statsEl) statsEl.textContent = '';
+        listEl.innerHTML = '<div class="lb-link-empty">Choose another lorebook or a character\'s embedded lorebook to compare with.</div>';
+        mergeSyncApply();
+        return;
+    }
+    const { rows, identical, keptHere } = mergeResult;
+    const counts = {};
+    rows.forEach(r => { counts[r.kind] = (counts[r.kind] || 0) + 1; });
+    const parts = Object.keys(MERGE_KINDS).filter(k => counts[k]).map(k => `${counts[k]} ${MERGE_KINDS[k].label.toLowerCase()}`);
+    parts.push(`${identical} identical`);
+    if (keptHere) parts.push(`${keptHere} changed only here`);
+    if (statsEl) statsEl.textContent = parts.join(' · ');
+    listEl.innerHTML = rows.length ? rows.map(r => `
+        <div class="lb-merge-row kind-${r.kind}${r.accept ? ' accepted' : ''}" data-id="${r.id}">
+            <div class="lb-merge-row-head">
+                <label class="lb-check" title="Accept this change">
+                    <input type="checkbox" data-merge-accept="${r.id}"${r.accept ? ' checked' : ''}>
+                    <span class="lb-check-box"></span>
+                </label>
+                <span class="lb-merge-badge">${esc(MERGE_KINDS[r.kind].label)}</span>
+                <span class="lb-merge-main">
+                    <span class="lb-merge-title">${esc(entryTitle(r.ours || r.theirs))}</span>
+                    <span class="lb-merge-why">${esc(mergeRowSummary(r))}</span>
+                </span>
+                <button class="lb-icon-btn small" data-action="merge-detail" data-id="${r.id}" title="Show details"><i class="fa-solid fa-chevron-down"></i></button>
+            </div>
+            <div class="lb-merge-detail hidden"></div>
+        </div>`).join('')
+        : '<div class="lb-link-empty">Nothing to merge: every difference is a change made only in this book.</div>';
+    mergeSyncApply();
+}
+
+function mergeSyncApply() {
+    const btn = document.getElementById('lbMergeApplyBtn');
+    if (!btn) return;
+    const n = mergeResult?.rows.filter(r => r.accept).length || 0;
+    btn.disabled = n === 0;
+    btn.querySelector('span').textContent = n ? `Apply ${n}` : 'Apply';
+}
+
+function mergeToggleDetail(id) {
+    const row = document.querySelector(`#lbMergeRows .lb-merge-row[data-id="${id}"]`);
+    const r = mergeResult?.rows.find(x => x.id === id);
+    if (!row || !r) return;
+    const detail = row.querySelector('.lb-merge-detail');
+    const show = detail.classList.contains('hidden');
+    if (show && !detail.innerHTML) detail.innerHTML = mergeDetailHtml(r);
+    detail.classList.toggle('hidden', !show);
+    row.querySelector('[data-action="merge-detail"] i')?.classList.toggle('fa-rotate-180', show);
+}
+
+function mergeSetAll(accept) {
+    if (!mergeResult) return;
+    mergeResult.rows.forEach(r => { r.accept = accept; });
+    document.querySelectorAll('#lbMergeRows .lb-merge-row').forEach(el => {
+        el.classList.toggle('accepted', accept);
+        const box = el.querySelector('[data-merge-accept]');
+        if (box) box.checked = accept;
+    });
+    mergeSyncApply();
+}
+
+function mergeApply() {
+    const rows = mergeResult?.rows.filter(r => r.accept) || [];
+    if (!rows.length || !workingWorld) return;
+    const clone = (v) => (v && typeof v === 'object' ? JSON.parse(JSON.stringify(v)) : v);
+    let applied = 0;
+    for (const r of rows) {
+        if (r.action === 'update') {
+            const e = workingWorld.entries[r.ours.uid];
+            if (e !== r.ours) continue;
+            for (const f of r.fields) e[f] = clone(r.theirs[f] === undefined ? MERGE_ENTRY_DEFAULTS[f] : r.theirs[f]);
+            e.addMemo = !!String(e.comment || '').trim();
+        } else if (r.action === 'add') {
+            const uid = nextUid();
+            workingWorld.entries[uid] = { ...newEntry(uid, uid), ...clone(r.theirs), uid, displayIndex: uid };
+        } else {
+            if (workingWorld.entries[r.ours.uid] !== r.ours) continue;
+            delete workingWorld.entries[r.ours.uid];
+            expandedUids.delete(r.ours.uid);
+            advancedUids.delete(r.ours.uid);
+        }
+        applied++;
+    }
+    const from = mergeSources.theirs?.label || 'the incoming lorebook';
+    mergeClose();
+    markDirty();
+    renderEditor();
+    CoreAPI.showToast(`Merged ${applied} change${applied === 1 ? '' : 's'} from ${from}. Save to keep them.`, 'success');
+}
+
+function mergeAttachEvents() {
+    const modal = document.getElementById('lbMergeModal');
+    document.getElementById('lbMergeClose')?.addEventListener('click', mergeClose);
+    document.getElementById('lbMergeCloseBtn')?.addEventListener('click', mergeClose);
+    document.getElementById('lbMergeApplyBtn')?.addEventListener('click', mergeApply);
+    document.getElementById('lbMergePickSearch')?.addEventListener('input', mergeRenderPicker);
+    modal?.addEventListener('click', (e) => { if (e.target === modal) mergeClose(); });
+    modal?.addEventListener('change', (e) => {
+        const id = e.target.dataset?.mergeAccept;
+        const r = id !== undefined && mergeResult?.rows.find(x => x.id === Number(id));
+        if (!r) return;
+        r.accept = e.target.checked;
+        e.target.closest('.lb-merge-row')?.classList.toggle('accepted', r.accept);
+        mergeSyncApply();
+    });
+    modal?.addEventListener('click', (e) => {
+        const actionEl = e.target.closest('[data-action]');
+        if (!actionEl) return;
+        switch (actionEl.dataset.action) {
+            case 'merge-pick': mergeTogglePicker(actionEl.dataset.slot); break;
+            case 'merge-pick-item': mergePickSource(actionEl.dataset.type, actionEl.dataset.id); break;
+            case 'merge-clear-base': mergeSources.base = null; mergeRecompute(); break;
+            case 'merge-detail': mergeToggleDetail(Number(actionEl.dataset.id)); break;
+            case 'merge-all': mergeSetAll(true); break;
+            case 'merge-none': mergeSetAll(false); break;
+        }
+    });
+}
+
+// ========================================
+// BULK EDIT (select mode over the entry list: property editor, find & replace, enable/disable/
+// delete; every change lands in the working copy for one save)
+// ========================================
+
+const BULK_SCOPES = [
+    ['all', 'Search all text'],
+    ['keys', 'Search keys'],
+    ['content', 'Search content'],
+    ['title', 'Search titles'],
+];
+const BULK_SETTINGS = [
+    ['', 'Any setting'],
+    ['enabled', 'Enabled'],
+    ['disabled', 'Disabled'],
+    ['constant', 'Constant'],
+    ['keyed', 'Keyword-triggered'],
+    ['nokeys', 'No keys'],
+    ['group', 'In a group'],
+    ['nogroup', 'No group'],
+    ['chance', 'Trigger % below 100'],
+    ...POSITION_OPTIONS.map(([v, label]) => [`pos:${v}`, `Position: ${label}`]),
+];
+const REPLACE_PREVIEW_CAP = 100; // entries listed in the preview
+const REPLACE_LINES_CAP = 3;     // changed content lines shown per entry
+
+let bulkMode = false;
+let bulkScope = 'all';
+let bulkSetting = '';
+let bulkLastUid = null;         // anchor for shift-click ranges
+const bulkSelected = new Set(); // uids
+let bulkPropsBuilt = false;
+let replaceBuilt = false;
+let replaceTimer = 0;
+
+function entryMatchesSearch(e, q, scope) {
+    const keys = () => [...(Array.isArray(e.key) ? e.key : []), ...(Array.isArray(e.keysecondary) ? e.keysecondary : [])].join(' ').toLowerCase();
+    switch (scope) {
+        case 'keys': return keys().includes(q);
+        case 'content': return (e.content || '').toLowerCase().includes(q);
+        case 'title': return (e.comment || '').toLowerCase().includes(q);
+        default:
+            return (e.comment || '').toLowerCase().includes(q) || (e.content || '').toLowerCase().includes(q) || keys().includes(q);
+    }
+}
+
+function entryMatchesSetting(e, setting) {
+    const keyed = Array.isArray(e.key) && e.key.some(k => String(k).trim());
+    switch (setting) {
+        case 'enabled': return !e.disable;
+        case 'disabled': return !!e.disable;
+        case 'constant': return !!e.constant;
+        case 'keyed': return !e.constant && keyed;
+        case 'nokeys': return !keyed;
+        case 'group': return !!String(e.group || '').trim();
+        case 'nogroup': return !String(e.group || '').trim();
+        case 'chance': return e.useProbability !== false && Number(e.probability ?? 100) < 100;
+        default:
+            if (setting.startsWith('pos:')) return Number(e.position ?? 0) === Number(setting.slice(4));
+            return true;
+    }
+}
+
+function bulkBarHtml() {
+    const shown = sortedEntries();
+    const allShown = shown.length > 0 && shown.every(e => bulkSelected.has(e.uid));
+    const n = bulkTargets().length;
+    const none = n ? '' : ' disabled';
+    return `
+        <div class="lb-bulk-row">
+            <select id="lbBulkScope" class="lb-sort-select" title="What the search box matches">
+                ${BULK_SCOPES.map(([v, label]) => `<option value="${v}"${bulkScope === v ? ' selected' : ''}>${esc(label)}</option>`).join('')}
+            </select>
+            <select id="lbBulkSetting" class="lb-sort-select" title="Only show entries with this setting">
+                ${BULK_SETTINGS.map(([v, label]) => `<option value="${esc(v)}"${bulkSetting === v ? ' selected' : ''}>${esc(label)}</option>`).join('')}
+            </select>
+            <button class="cl-btn" data-action="bulk-select-shown">${allShown ? 'Deselect shown' : `Select shown (${shown.length})`}</button>
+            <span class="lb-bulk-count">${n} selected</span>
+            ${n ? '<button class="lb-icon-btn small" data-action="bulk-clear" title="Clear selection"><i class="fa-solid fa-xmark"></i></button>' : ''}
+        </div>
+        <div class="lb-bulk-row">
+            <button class="cl-btn" data-action="bulk-enable"${none}><i class="fa-solid fa-toggle-on"></i> Enable</button>
+            <button class="cl-btn" data-action="bulk-disable"${none}><i class="fa-solid fa-toggle-off"></i> Disable</button>
+            <button class="cl-btn" data-action="bulk-props"${none}><i class="fa-solid fa-sliders"></i> Properties</button>
+            <button class="cl-btn" data-action="bulk-replace" title="${n ? 'Find and replace in the selected entries' : 'Find and replace in every entry'}"><i class="fa-solid fa-arrow-right-arrow-left"></i> Find &amp; replace</button>
+            <button class="cl-btn cl-btn-danger" data-action="bulk-delete"${none}><i class="fa-solid fa-trash"></i> Delete</button>
+        </div>`;
+}
+
+function refreshBulkBar() {
+    const bar = document.getElementById('lbBulkBar');
+    if (!bar) return;
+    bar.innerHTML = bulkBarHtml();
+    bar.querySelectorAll('select').forEach(sel => CoreAPI.initCustomSelect(sel));
+}
+
+function toggleBulkMode() {
+    bulkMode = !bulkMode;
+    if (!bulkMode) {
+        bulkSelected.clear();
+        bulkSetting = '';
+        bulkScope = 'all';
+    }
+    bulkLastUid = null;
+    renderEditor();
+}
+
+function bulkToggle(uid, on, range) {
+    const shown = sortedEntries().map(e => e.uid);
+    const from = shown.indexOf(bulkLastUid);
+    const to = shown.indexOf(uid);
+    const uids = range && from >= 0 && to >= 0 ? shown.slice(Math.min(from, to), Math.max(from, to) + 1) : [uid];
+    for (const u of uids) {
+        if (on) bulkSelected.add(u);
+        else bulkSelected.delete(u);
+        const rowEl = document.getElementById(`lbEntry-${u}`);
+        rowEl?.classList.toggle('selected', on);
+        const box = rowEl?.querySelector('input[data-bulk-uid]');
+        if (box) box.checked = on;
+    }
+    bulkLastUid = uid;
+    refreshBulkBar();
+}
+
+function bulkSelectShown() {
+    const shown = sortedEntries();
+    const allShown = shown.length > 0 && shown.every(e => bulkSelected.has(e.uid));
+    shown.forEach(e => (allShown ? bulkSelected.delete(e.uid) : bulkSelected.add(e.uid)));
+    renderEntriesOnly();
+    refreshBulkBar();
+}
+
+// Selected uids that still exist (a delete or merge can drop entries under the selection).
+function bulkTargets() {
+    return [...bulkSelected].map(uid => workingWorld.entries[uid]).filter(Boolean);
+}
+
+function bulkSetEnabled(enabled) {
+    const targets = bulkTargets();
+    if (!targets.length) return;
+    targets.forEach(e => { e.disable = !enabled; });
+    markDirty();
+    renderEntriesOnly();
+    CoreAPI.showToast(`${enabled ? 'Enabled' : 'Disabled'} ${targets.length} ${targets.length === 1 ? 'entry' : 'entries'}`, 'success');
+}
+
+async function bulkDelete() {
+    const targets = bulkTargets();
+    if (!targets.length) return;
+    const ok = await CoreAPI.showConfirm({
+        title: `Delete ${targets.length} ${targets.length === 1 ? 'entry' : 'entries'}?`,
+        message: 'They are removed from this lorebook when you save.',
+        confirmLabel: 'Delete',
+        cancelLabel: 'Cancel',
+        danger: true,
+    });
+    if (!ok) return;
+    for (const e of targets) {
+        delete workingWorld.entries[e.uid];
+        expandedUids.delete(e.uid);
+        advancedUids.delete(e.uid);
+    }
+    bulkSelected.clear();
+    markDirty();
+    renderEditor();
+}
+
+// --- property editor ---
+
+function bulkPropsBuildModal() {
+    if (bulkPropsBuilt) return;
+    bulkPropsBuilt = true;
+    const prop = (field, label, control, hint) => `
+        <div class="lb-bulk-prop" title="${esc(hint)}">
+            <label class="lb-check">
+                <input type="checkbox" data-bulk-set="${field}">
+                <span class="lb-check-box"></span>
+                <span class="lb-check-label">${esc(label)}</span>
+            </label>
+            ${control}
+        </div>`;
+    const html = `
+    <div id="lbBulkPropsModal" class="cl-modal">
+        <div class="cl-modal-content lb-bulk-modal-content">
+            <div class="cl-modal-header">
+                <h3><i class="fa-solid fa-sliders cl-modal-header-icon"></i> Edit <strong id="lbBulkPropsCount"></strong></h3>
+                <button class="cl-modal-close" id="lbBulkPropsClose" title="Close"><i class="fa-solid fa-xmark"></i></button>
+            </div>
+            <div class="cl-modal-body lb-bulk-body">
+                <div class="lb-ai-section-sub">Checked settings are written to every selected entry; the rest stay as they are.</div>
+                ${prop('position', 'Position', `<select class="cl-input" data-bulk-value="position">${POSITION_OPTIONS.map(([v, l]) => `<option value="${v}">${esc(l)}</option>`).join('')}</select>`, 'Where the entry is inserted in the prompt.')}
+                ${prop('depth', 'Depth', '<input type="number" class="cl-input lb-ai-num" data-bulk-value="depth" min="0" max="1000" step="1" value="4">', 'Messages from the end of the chat; used by the @ Depth position.')}
+                ${prop('order', 'Order', '<input type="number" class="cl-input lb-ai-num" data-bulk-value="order" step="1" value="100">', 'Insertion order; higher goes closer to the end of the prompt.')}
+                ${prop('probability', 'Trigger %', '<input type="number" class="cl-input lb-ai-num" data-bulk-value="probability" min="0" max="100" step="1" value="100">', 'Chance the entry is inserted when it triggers.')}
+                ${prop('group', 'Inclusion group', '<input type="text" class="cl-input" data-bulk-value="group" placeholder="Empty removes the group">', 'Only one entry of a group is inserted per generation.')}
+            </div>
+            <div class="cl-modal-footer">
+                <button class="cl-btn" id="lbBulkPropsCancel">Cancel</button>
+                <button class="cl-btn cl-btn-primary" id="lbBulkPropsApply"><i class="fa-solid fa-check"></i> Apply</button>
+            </div>
+        </div>
+    </div>`;
+    const wrap = document.createElement('div');
+    wrap.innerHTML = html;
+    Array.from(wrap.children).forEach(el => document.body.appendChild(el));
+
+    const modal = document.getElementById('lbBulkPropsModal');
+    CoreAPI.initCustomSelect(modal.querySelector('select[data-bulk-value="position"]'));
+    document.getElementById('lbBulkPropsClose')?.addEventListener('click', bulkPropsClose);
+    document.getElementById('lbBulkPropsCancel')?.addEventListener('click', bulkPropsClose);
+    document.getElementById('lbBulkPropsApply')?.addEventListener('click', bulkPropsApply);
+    modal?.addEventListener('click', (e) => { if (e.target === modal) bulkPropsClose(); });
+    // Touching a value opts that setting in.
+    const optIn = (e) => {
+        const field = e.target.dataset?.bulkValue;
+        const box = field && modal.querySelector(`[data-bulk-set="${field}"]`);
+        if (box) box.checked = true;
+    };
+    modal?.addEventListener('input', optIn);
+    modal?.addEventListener('change', optIn);
+}
+
+function bulkPropsOpen() {
+    const targets = bulkTargets();
+    if (!targets.length) return;
+    bulkPropsBuildModal();
+    const modal = document.getElementById('lbBulkPropsModal');
+    document.getElementById('lbBulkPropsCount').textContent = `${targets.length} ${targets.length === 1 ? 'entry' : 'entries'}`;
+    modal.querySelectorAll('[data-bulk-set]').forEach(box => { box.checked = false; });
+    // Start from the first selected entry's values so a single tweak doesn't need retyping.
+    const first = targets[0];
+    modal.querySelectorAll('[data-bulk-value]').forEach(el => {
+        const v = first[el.dataset.bulkValue];
+        el.value = v ?? newEntry(0, 0)[el.dataset.bulkValue] ?? '';
+    });
+    modal.classList.add('visible');
+}
+
+function bulkPropsClose() {
+    document.getElementById('lbBulkPropsModal')?.classList.remove('visible');
+}
+
+function bulkPropsApply() {
+    const modal = document.getElementById('lbBulkPropsModal');
+    const targets = bulkTargets();
+    const set = {};
+    for (const box of modal.querySelectorAll('[data-bulk-set]:checked')) {
+        const field = box.dataset.bulkSet;
+        const raw = modal.querySelector(`[data-bulk-value="${field}"]`)?.value ?? '';
+        if (field === 'group') { set.group = raw.trim(); continue; }
+        const n = Number(raw);
+        if (raw === '' || !Number.isFinite(n)) {
+            CoreAPI.showToast(`Enter a number for ${box.closest('.lb-bulk-prop').querySelector('.lb-check-label').textContent}`, 'warning');
+            return;
+        }
+        set[field] = field === 'probability' ? Math.min(100, Math.max(0, n)) : field === 'depth' ? Math.max(0, Math.round(n)) : n;
+    }
+    if (!Object.keys(set).length) {
+        CoreAPI.showToast('Check at least one setting to change', 'info');
+        return;
+    }
+    for (const e of targets) {
+        Object.assign(e, set);
+        if ('probability' in set) e.useProbability = true;
+    }
+    bulkPropsClose();
+    markDirty();
+    renderEntriesOnly();
+    CoreAPI.showToast(`Updated ${targets.length} ${targets.length === 1 ? 'entry' : 'entries'}`, 'success');
+}
+
+// --- find & replace ---
+
+function replaceBuildModal() {
+    if (replaceBuilt) return;
+    replaceBuilt = true;
+    const check = (id, label, checked = false) => `
+        <label class="lb-check">
+            <input type="checkbox" id="${id}"${checked ? ' checked' : ''}>
+            <span class="lb-check-box"></span>
+            <span class="lb-check-label">${esc(label)}</span>
+        </label>`;
+    const html = `
+    <div id="lbReplaceModal" class="cl-modal">
+        <div class="cl-modal-content lb-replace-modal-content">
+            <div class="cl-modal-header">
+                <h3><i class="fa-solid fa-arrow-right-arrow-left cl-modal-header-icon"></i> Find &amp; replace <strong id="lbReplaceScope"></strong></h3>
+                <button class="cl-modal-close" id="lbReplaceClose" title="Close"><i class="fa-solid fa-xmark"></i></button>
+            </div>
+            <div class="cl-modal-body lb-bulk-body">
+                <div class="lb-replace-fields">
+                    <input type="text" id="lbReplaceFind" class="cl-input" placeholder="Find" autocomplete="off" spellcheck="false">
+                    <input type="text" id="lbReplaceWith" class="cl-input" placeholder="Replace with" autocomplete="off" spellcheck="false">
+                </div>
+                <div class="lb-toggle-grid">
+                    ${check('lbReplaceContent', 'Content', true)}
+                    ${check('lbReplaceKeys', 'Keys', true)}
+                    ${check('lbReplaceTitles', 'Titles')}
+                    ${check('lbReplaceRegex', 'Regular expression')}
+                    ${check('lbReplaceCase', 'Match case')}
+                </div>
+                <div class="lb-replace-error hidden" id="lbReplaceError"></div>
+                <div class="lb-replace-preview" id="lbReplacePreview"></div>
+            </div>
+            <div class="cl-modal-footer">
+                <button class="cl-btn" id="lbReplaceCancel">Cancel</button>
+                <button class="cl-btn cl-btn-primary" id="lbReplaceApply" disabled><i class="fa-solid fa-check"></i> <span>Replace</span></button>
+            </div>
+        </div>
+    </div>`;
+    const wrap = document.createElement('div');
+    wrap.innerHTML = html;
+    Array.from(wrap.children).forEach(el => document.body.appendChild(el));
+
+    const modal = document.getElementById('lbReplaceModal');
+    document.getElementById('lbReplaceClose')?.addEventListener('click', replaceClose);
+    document.getElementById('lbReplaceCancel')?.addEventListener('click', replaceClose);
+    document.getElementById('lbReplaceApply')?.addEventListener('click', replaceApply);
+    modal?.addEventListener('click', (e) => { if (e.target === modal) replaceClose(); });
+    modal?.addEventListener('input', replaceSchedulePreview);
+    modal?.addEventListener('change', replaceSchedulePreview);
+}
+
+function replaceOpen() {
+    if (!workingWorld) return;
+    replaceBuildModal();
+    const n = bulkTargets().length;
+    document.getElementById('lbReplaceScope').textContent = n
+        ? `in ${n} selected ${n === 1 ? 'entry' : 'entries'}`
+        : 'in all entries';
+    document.getElementById('lbReplaceModal').classList.add('visible');
+    replacePreview();
+    if (!matchMedia('(pointer: coarse)').matches) document.getElementById('lbReplaceFind')?.focus();
+}
+
+function replaceClose() {
+    clearTimeout(replaceTimer);
+    document.getElementById('lbReplaceModal')?.classList.remove('visible');
+}
+
+function replaceSchedulePreview() {
+    clearTimeout(replaceTimer);
+    replaceTimer = setTimeout(replacePreview, 200);
+}
+
+function replaceOptions() {
+    const checked = (id) => !!document.getElementById(id)?.checked;
+    return {
+        find: document.getElementById('lbReplaceFind')?.value || '',
+        replacement: document.getElementById('lbReplaceWith')?.value || '',
+        content: checked('lbReplaceContent'),
+        keys: checked('lbReplaceKeys'),
+        titles: checked('lbReplaceTitles'),
+        regex: checked('lbReplaceRegex'),
+        caseSensitive: checked('lbReplaceCase'),
+    };
+}
+
+/**
+ * Work out every change a replace would make, without touching the entries.
+ * @returns {{ changes: Array<{ entry, fields: Object<string, { before, after }> }>, matches: number, error?: string }}
+ */
+function replacePlan(opts) {
+    if (!opts.find) return { changes: [], matches: 0 };
+    let re;
+    try {
+        const source = opts.regex ? opts.find : opts.find.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        re = new RegExp(source, opts.caseSensitive ? 'g' : 'gi');
+    } catch (err) {
+        return { changes: [], matches: 0, error: err.message };
+    }
+    let matches = 0;
+    // Regex mode expands $1 / $& in the replacement; literal mode inserts it as typed.
+    const replaceIn = (text) => {
+        const str = String(text);
+        const found = str.match(re)?.length || 0;
+        if (!found) return str;
+        matches += found;
+        return opts.regex ? str.replace(re, opts.replacement) : str.replace(re, () => opts.replacement);
+    };
+    const selected = bulkTargets();
+    const pool = selected.length ? selected : Object.values(workingWorld.entries).filter(e => e && typeof e === 'object');
+    const changes = [];
+    for (const e of pool) {
+        const fields = {};
+        if (opts.content && e.content) {
+            const after = replaceIn(e.content);
+            if (after !== e.content) fields.content = { before: e.content, after };
+        }
+        if (opts.titles && e.comment) {
+            const after = replaceIn(e.comment);
+            if (after !== e.comment) fields.comment = { before: e.comment, after };
+        }
+        if (opts.keys) {
+            for (const f of ['key', 'keysecondary']) {
+                const before = Array.isArray(e[f]) ? e[f] : [];
+                // Only keys the replace touched are normalized: one replaced down to nothing is
+                // dropped, one that now equals another key is merged. The rest stay exactly as they were.
+                const replaced = before.map(k => {
+                    const next = replaceIn(k);
+                    return next === String(k) ? { key: k, touched: false } : { key: next.trim(), touched: true };
+                });
+                if (!replaced.some(r => r.touched)) continue;
+                const untouched = new Set(replaced.filter(r => !r.touched).map(r => r.key));
+                const after = [];
+                for (const { key, touched } of replaced) {
+                    if (touched && (!key || untouched.has(key) || after.includes(key))) continue;
+                    after.push(key);
+                }
+                fields[f] = { before, after };
+            }
+        }
+        if (Object.keys(fields).length) changes.push({ entry: e, fields });
+    }
+    return { changes, matches };
+}
+
+function replaceFieldPreviewHtml(field, { before, after }) {
+    if (field === 'key' || field === 'keysecondary') {
+        return `<div class="lb-replace-line"><span class="lb-replace-field">${field === 'key' ? 'Keys' : 'Secondary keys'}</span>
+            <span class="word-removed">${esc(before.join(', ') || '(none)')}</span> <i class="fa-solid fa-arrow-right"></i> <span class="word-added">${esc(after.join(', ') || '(none)')}</span></div>`;
+    }
+    const label = field === 'comment' ? 'Title' : 'Content';
+    const oldLines = before.split('\n');
+    const newLines = after.split('\n');
+    // Same line count: show only the lines that changed; otherwise diff the text as a whole.
+    const pairs = oldLines.length === newLines.length
+        ? oldLines.map((line, i) => [line, newLines[i]]).filter(([a, b]) => a !== b)
+        : [[before, after]];
+    const shown = pairs.slice(0, REPLACE_LINES_CAP).map(([a, b]) => {
+        const size = (s) => (s.match(/\S+|\s+/g) || []).length;
+        const { oldHtml, newHtml } = size(a) <= MERGE_WORD_DIFF_MAX && size(b) <= MERGE_WORD_DIFF_MAX
+            ? computeWordDiff(a, b)
+            : { oldHtml: esc(a), newHtml: esc(b) };
+        return `<div class="lb-replace-line"><span class="lb-replace-field">${label}</span>
+            <div class="lb-replace-diff"><div>${oldHtml}</div><div>${newHtml}</div></div></div>`;
+    }).join('');
+    const more = pairs.length - REPLACE_LINES_CAP;
+    return shown + (more > 0 ? `<div class="lb-replace-more">${more} more changed line${more === 1 ? '' : 's'}</div>` : '');
+}
+
+function replacePreview() {
+    clearTimeout(replaceTimer);
+    const previewEl = document.getElementById('lbReplacePreview');
+    const errorEl = document.getElementById('lbReplaceError');
+    const applyBtn = document.getElementById('lbReplaceApply');
+    if (!previewEl || !workingWorld) return;
+    const opts = replaceOptions();
+    const plan = replacePlan(opts);
+    errorEl.classList.toggle('hidden', !plan.error);
+    errorEl.textContent = plan.error ? `Invalid pattern: ${plan.error}` : '';
+    const n = plan.changes.length;
+    applyBtn.disabled = n === 0;
+    applyBtn.querySelector('span').textContent = n ? `Replace in ${n} ${n === 1 ? 'entry' : 'entries'}` : 'Replace';
+    if (!opts.find || plan.error) { previewEl.innerHTML = ''; return; }
+    if (!n) { previewEl.innerHTML = '<div class="lb-link-empty">No matches.</div>'; return; }
+    const rows = plan.changes.slice(0, REPLACE_PREVIEW_CAP).map(({ entry, fields }) => `
+        <div class="lb-replace-entry">
+            <div class="lb-replace-title">${esc(entryTitle(entry))}</div>
+            ${Object.entries(fields).map(([f, change]) => replaceFieldPreviewHtml(f, change)).join('')}
+        </div>`).join('');
+    const more = n - REPLACE_PREVIEW_CAP;
+    previewEl.innerHTML = `
+        <div class="lb-replace-summary">${plan.matches} match${plan.matches === 1 ? '' : 'es'} in ${n} ${n === 1 ? 'entry' : 'entries'}</div>
+        ${rows}
+        ${more > 0 ? `<div class="lb-replace-more">and ${more} more ${more === 1 ? 'entry' : 'entries'}</div>` : ''}`;
+}
+
+function replaceApply() {
+    const plan = replacePlan(replaceOptions());
+    if (plan.error || !plan.changes.length) return;
+    for (const { entry, fields } of plan.changes) {
+        for (const [f, { after }] of Object.entries(fields)) entry[f] = after;
+        if (fields.comment) entry.addMemo = !!entry.comment.trim();
+    }
+    replaceClose();
+    markDirty();
+    renderEntriesOnly();
+    CoreAPI.showToast(`Replaced ${plan.matches} match${plan.matches === 1 ? '' : 'es'} in ${plan.changes.length} ${plan.changes.length === 1 ? 'entry' : 'entries'}`, 'success');
+}
+
 // ========================================
 // AI: CONNECTION (delegates request/parse to the shared CoreAPI.callLLM + getLlmSettings;
 // only the panel's own profile <select> + selection live here.)
@@ -4135,6 +5719,30 @@ function init() {
             close: () => aiCloseStaging(),
             visible: (el) => el.classList.contains('visible'),
         });
+        window.registerOverlay?.({
+            id: 'lbSimModal',
+            tier: 5,
+            close: () => simClose(),
+            visible: (el) => el.classList.contains('visible'),
+        });
+        window.registerOverlay?.({
+            id: 'lbMergeModal',
+            tier: 5,
+            close: () => mergeClose(),
+            visible: (el) => el.classList.contains('visible'),
+        });
+        window.registerOverlay?.({
+            id: 'lbBulkPropsModal',
+            tier: 5,
+            close: () => bulkPropsClose(),
+            visible: (el) => el.classList.contains('visible'),
+        });
+        window.registerOverlay?.({
+            id: 'lbReplaceModal',
+            tier: 5,
+            close: () => replaceClose(),
+            visible: (el) => el.classList.contains('visible'),
+        });
         window.registerOverlay?.({
             id: 'lbAiGenerateModal',
             tier: 5,
@@ -0,0 +1,385 @@
+// Lorebook Scan - offline approximation of SillyTavern's world-info activation pass
+//
+// Mirrors checkWorldInfo in ST's world-info.js closely enough to answer "which entries
+// would fire for this chat, and why": key matching (plain, whole-word, /regex/), the
+// selective secondary-key logic, constants, @@activate decorators, delay, inclusion
+// groups, trigger %, recursion with its per-entry flags, and the token budget. Sticky,
+// cooldown and vector matches depend on chat state this side doesn't have, so they are
+// reported rather than simulated. Tokens are estimated at ~4 chars each.
+
+export const SCAN_DEFAULTS = {
+    scanDepth: 2,
+    contextSize: 8192,
+    budgetPercent: 25,
+    budgetCap: 0,
+    recursive: true,
+    maxRecursionSteps: 0,
+    caseSensitive: false,
+    matchWholeWords: false,
+    useGroupScoring: false,
+    includeNames: true,
+    roll: false,
+    charName: '',
+    userName: 'User',
+};
+
+// ST joins scan-buffer chunks with this so a key can't match across a message boundary.
+const MATCHER = '\x01';
+const MAX_PASSES = 20;
+const DEFAULT_GROUP_WEIGHT = 100;
+
+// selectiveLogic values (ST world_info_logic)
+const AND_ANY = 0;
+const NOT_ALL = 1;
+const NOT_ANY = 2;
+const AND_ALL = 3;
+
+const LOGIC_LABELS = { [AND_ANY]: 'AND ANY', [NOT_ALL]: 'NOT ALL', [NOT_ANY]: 'NOT ANY', [AND_ALL]: 'AND ALL' };
+
+// Entry flag -> scan source it adds to the haystack (ST's "Additional Matching Sources").
+const SOURCE_FLAGS = [
+    ['matchPersonaDescription', 'personaDescription'],
+    ['matchCharacterDescription', 'characterDescription'],
+    ['matchCharacterPersonality', 'characterPersonality'],
+    ['matchCharacterDepthPrompt', 'characterDepthPrompt'],
+    ['matchScenario', 'scenario'],
+    ['matchCreatorNotes', 'creatorNotes'],
+];
+
+/**
+ * Rough token count for budget math (~4 chars/token, English).
+ * @param {string} text
+ * @returns {number}
+ */
+export function estimateTokens(text) {
+    return Math.ceil(String(text || '').length / 4);
+}
+
+/**
+ * Compile a "/pattern/flags" key the way ST's parseRegexFromString does.
+ * @param {string} key
+ * @returns {{ regex: RegExp|null, error: string|null }|null} null when the key isn't regex-shaped
+ */
+export function compileRegexKey(key) {
+    const match = String(key ?? '').match(/^\/([\w\W]+?)\/([gimsuy]*)$/);
+    if (!match) return null;
+    let [, pattern, flags] = match;
+    // ST rejects an unescaped slash inside the body rather than guessing where it ends.
+    if (/(^|[^\\])\//.test(pattern)) return { regex: null, error: 'Unescaped "/" inside the pattern' };
+    pattern = pattern.replace('\\/', '/');
+    try {
+        return { regex: new RegExp(pattern, flags), error: null };
+    } catch (err) {
+        return { regex: null, error: err.message };
+    }
+}
+
+function escapeRegex(s) {
+    return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function substituteMacros(text, settings) {
+    return String(text ?? '')
+        .replace(/\{\{char\}\}/gi, settings.charName || '{{char}}')
+        .replace(/\{\{user\}\}/gi, settings.userName || '{{user}}');
+}
+
+function matchKey(haystack, rawKey, entry, settings) {
+    const key = substituteMacros(rawKey, settings).trim();
+    if (!key) return false;
+    const compiled = compileRegexKey(key);
+    if (compiled) {
+        if (!compiled.regex) return false;
+        compiled.regex.lastIndex = 0;
+        return compiled.regex.test(haystack);
+    }
+    const caseSensitive = entry.caseSensitive ?? settings.caseSensitive;
+    const hay = caseSensitive ? haystack : haystack.toLowerCase();
+    const needle = caseSensitive ? key : key.toLowerCase();
+    const wholeWords = entry.matchWholeWords ?? settings.matchWholeWords;
+    if (!wholeWords || needle.split(/\s+/).length > 1) return hay.includes(needle);
+    return new RegExp(`(?:^|\\W)(${escapeRegex(needle)})(?:$|\\W)`).test(hay);
+}
+
+function keyList(v) {
+    return (Array.isArray(v) ? v : []).map(k => String(k ?? '').trim()).filter(Boolean);
+}
+
+function groupNames(entry) {
+    return String(entry.group || '').split(/,\s*/).map(g => g.trim()).filter(Boolean);
+}
+
+function delayLevel(entry) {
+    const d = entry.delayUntilRecursion;
+    if (d === true) return 1;
+    const n = Number(d);
+    return Number.isFinite(n) && n > 0 ? Math.floor(n) : 0;
+}
+
+/**
+ * Split pasted chat text into messages. A line that opens with "Name: " starts a new
+ * message; text with no speaker prefixes at all falls back to blank-line paragraphs.
+ * @param {string} text
+ * @returns {Array<{ name: string, mes: string }>} oldest first
+ */
+export function parseChatText(text) {
+    const lines = String(text || '').replace(/\r\n?/g, '\n').split('\n');
+    const speakerRe = /^([^:\n]{1,40}):\s(.*)$/;
+    if (lines.some(l => speakerRe.test(l))) {
+        const out = [];
+        for (const line of lines) {
+            const m = line.match(speakerRe);
+            if (m) out.push({ name: m[1].trim(), mes: m[2] });
+            else if (out.length) out[out.length - 1].mes += `\n${line}`;
+            else if (line.trim()) out.push({ name: '', mes: line });
+        }
+        return out.map(m => ({ ...m, mes: m.mes.trim() })).filter(m => m.mes);
+    }
+    return String(text || '').split(/\n\s*\n/).map(p => p.trim()).filter(Boolean).map(mes => ({ name: '', mes }));
+}
+
+/**
+ * The card-field haystacks for simulateScan's sources. Needs a hydrated
+ * character: the library's slim copies carry none of these fields.
+ * @param {Object} [char] - library character
+ * @returns {{ characterDescription: string, characterPersonality: string, characterDepthPrompt: string, scenario: string, creatorNotes: string }}
+ */
+export function characterSources(char) {
+    const data = char?.data || char || {};
+    return {
+        characterDescription: data.description || '',
+        characterPersonality: data.personality || '',
+        characterDepthPrompt: data.extensions?.depth_prompt?.prompt || '',
+        scenario: data.scenario || '',
+        creatorNotes: data.creator_notes || '',
+    };
+}
+
+/**
+ * Run one simulated activation pass over a world's entries.
+ * @param {Object} options
+ * @param {Object[]} options.entries - native world entries (workingWorld.entries values)
+ * @param {Array<{ name: string, mes: string }>} options.messages - chat, oldest first
+ * @param {Object} [options.sources] - extra haystacks keyed like SOURCE_FLAGS (characterDescription, ...)
+ * @param {Object} [options.settings] - overrides for SCAN_DEFAULTS
+ * @returns {{ activated: Object[], skipped: Object[], budget: number, used: number, overflowed: boolean, passes: number, notes: string[] }}
+ */
+export function simulateScan({ entries, messages, sources = {}, settings = {} }) {
+    const s = { ...SCAN_DEFAULTS, ...settings };
+    const list = (entries || []).filter(e => e && typeof e === 'object');
+    const chat = (messages || []).slice().reverse(); // newest first, like ST's buffer
+
+    let budget = Math.round(s.budgetPercent * s.contextSize / 100) || 1;
+    if (s.budgetCap > 0 && budget > s.budgetCap) budget = s.budgetCap;
+
+    const chatText = (depth) => chat.slice(0, Math.max(0, depth))
+        .map(m => (s.includeNames && m.name ? `${m.name}: ${m.mes}` : m.mes))
+        .join(MATCHER);
+
+    const skipped = new Map();  // uid -> { entry, reason, detail }
+    const activated = new Map(); // uid -> record
+    const notes = [];
+    let recurseBuffer = [];     // [{ uid, text }] content of recursable activations so far
+    let used = 0;
+    let overflowed = false;
+    let pass = 0;
+
+    const skip = (entry, reason, detail = '') => {
+        if (!activated.has(entry.uid)) skipped.set(entry.uid, { entry, reason, detail });
+    };
+
+    // Entries that can never fire in this scan are settled up front.
+    const candidates = [];
+    for (const e of list) {
+        if (e.disable) { skip(e, 'disabled'); continue; }
+        const content = String(e.content || '');
+        if (/^@@dont_activate\b/.test(content)) { skip(e, 'decorator', '@@dont_activate'); continue; }
+        if (e.delay && chat.length < Number(e.delay)) { skip(e, 'delay', `Needs ${e.delay} messages, chat has ${chat.length}`); continue; }
+        candidates.push(e);
+    }
+    if (list.some(e => !e.disable && (e.sticky || e.cooldown))) notes.push('Sticky and cooldown depend on earlier generations and are not simulated.');
+    if (list.some(e => !e.disable && e.vectorized)) notes.push('Vectorized entries are only checked by keyword here; vector similarity is not simulated.');
+
+    const maxDelay = s.recursive ? Math.max(0, ...candidates.map(delayLevel)) : 0;
+    const passLimit = s.recursive
+        ? Math.min(MAX_PASSES, s.maxRecursionSteps > 0 ? s.maxRecursionSteps : MAX_PASSES)
+        : 1;
+
+    while (pass < passLimit) {
+        const recursion = pass > 0;
+        const recurseText = recurseBuffer.map(r => r.text).join(MATCHER);
+        const hits = [];
+
+        for (const e of candidates) {
+            if (activated.has(e.uid)) continue;
+            const prior = skipped.get(e.uid);
+            if (prior && (prior.reason === 'probability' || prior.reason === 'group' || prior.reason === 'budget')) continue;
+            const level = delayLevel(e);
+            if (level && (!s.recursive || pass < level)) { skip(e, 'delayed', `Waits for recursion level ${level}`); continue; }
+
+            const content = String(e.content || '');
+            if (/^@@activate\b/.test(content)) { hits.push({ entry: e, reason: { type: 'decorator' }, score: 0 }); continue; }
+            if (e.constant) { hits.push({ entry: e, reason: { type: 'constant' }, score: 0 }); continue; }
+
+            const keys = keyList(e.key);
+            if (!keys.length) { skip(e, 'no-keys'); continue; }
+
+            const depth = e.scanDepth ?? s.scanDepth;
+            const chatPart = chatText(depth);
+            const extra = SOURCE_FLAGS.filter(([flag, src]) => e[flag] && sources[src]).map(([, src]) => sources[src]);
+            const chatHay = [chatPart, ...extra].filter(Boolean).join(MATCHER);
+            const useRecursion = recursion && !e.excludeRecursion;
+            const hay = useRecursion && recurseText ? [chatHay, recurseText].filter(Boolean).join(MATCHER) : chatHay;
+
+            const primary = keys.find(k => matchKey(hay, k, e, s));
+            if (!primary) { skip(e, 'no-match', recursion && e.excludeRecursion ? 'Non-recursable, so only the chat is scanned' : ''); continue; }
+
+            let score = keys.filter(k => matchKey(hay, k, e, s)).length;
+            const reason = { type: 'key', key: primary, secondary: null, via: null };
+            const secondary = keyList(e.keysecondary);
+            if (e.selective !== false && secondary.length) {
+                const logic = Number(e.selectiveLogic) || AND_ANY;
+                const matched = secondary.filter(k => matchKey(hay, k, e, s));
+                const pass2 = logic === AND_ANY ? matched.length > 0
+                    : logic === NOT_ALL ? matched.length < secondary.length
+                        : logic === NOT_ANY ? matched.length === 0
+                            : matched.length === secondary.length;
+                if (!pass2) {
+                    const detail = logic === AND_ANY ? 'No optional filter key matched'
+                        : logic === AND_ALL ? `Optional filter matched ${matched.length} of ${secondary.length}`
+                            : `Optional filter matched: ${matched.join(', ')}`;
+                    skip(e, 'secondary', `${LOGIC_LABELS[logic]}: ${detail}`);
+                    continue;
+                }
+                if (logic === AND_ANY || logic === AND_ALL) score += matched.length;
+                reason.secondary = { logic: LOGIC_LABELS[logic], matched };
+            }
+
+            // Activated by recursion when the key only shows up in another entry's content.
+            if (recursion && !matchKey(chatHay, primary, e, s)) {
+                const src = recurseBuffer.find(r => matchKey(r.text, primary, e, s));
+                reason.via = src ? src.uid : null;
+            }
+            hits.push({ entry: e, reason, score });
+        }
+
+        // ST processes the highest order first; that's what survives a tight budget.
+        hits.sort((a, b) => (b.entry.order ?? 100) - (a.entry.order ?? 100));
+        const winners = applyInclusionGroups(hits, activated, s, skip);
+
+        const added = [];
+        for (const hit of winners) {
+            const e = hit.entry;
+            const prob = Number(e.probability ?? 100);
+            const usesProb = e.useProbability !== false && prob < 100;
+            if (usesProb && s.roll && Math.random() * 100 > prob) {
+                skip(e, 'probability', `Rolled above ${prob}%`);
+                continue;
+            }
+            const content = substituteMacros(String(e.content || '').replace(/^@@(dont_)?activate\b\s*/, ''), s);
+            const tokens = estimateTokens(content);
+            if (!e.ignoreBudget && (overflowed || used + tokens > budget)) {
+                overflowed = true;
+                skip(e, 'budget', `Needs ~${tokens} tokens, ${Math.max(0, budget - used)} left`);
+                continue;
+            }
+            if (!e.ignoreBudget) used += tokens;
+            const record = {
+                entry: e,
+                pass,
+                reason: hit.reason,
+                group: hit.group || null,
+                chance: usesProb && !s.roll ? prob : null,
+                tokens,
+                ignoreBudget: !!e.ignoreBudget,
+            };
+            activated.set(e.uid, record);
+            skipped.delete(e.uid);
+            added.push(record);
+        }
+
+        pass++;
+        if (!s.recursive || overflowed) break;
+        const recursable = added.filter(r => !r.entry.preventRecursion);
+        recursable.forEach(r => recurseBuffer.push({ uid: r.entry.uid, text: substituteMacros(r.entry.content, s) }));
+        if (!recursable.length && pass > maxDelay) break;
+    }
+
+    if (overflowed) notes.push(`Token budget of ~${budget} reached; lower-order entries were dropped.`);
+
+    return {
+        activated: [...activated.values()],
+        skipped: [...skipped.values()],
+        budget,
+        used,
+        overflowed,
+        passes: pass,
+        notes,
+    };
+}
+
+// Port of ST's filterByInclusionGroups: at most one entry per group fires per scan.
+function applyInclusionGroups(hits, alreadyActivated, s, skip) {
+    const grouped = new Map();
+    for (const hit of hits) {
+        for (const g of groupNames(hit.entry)) {
+            if (!grouped.has(g)) grouped.set(g, []);
+            grouped.get(g).push(hit);
+        }
+    }
+    if (!grouped.size) return hits;
+
+    const losers = new Set();
+    const activeGroups = new Set([...alreadyActivated.values()].flatMap(r => groupNames(r.entry)));
+    const title = (e) => e.comment?.trim() || keyList(e.key).join(', ') || `#${e.uid}`;
+
+    for (const [name, members] of grouped) {
+        if (activeGroups.has(name)) {
+            members.forEach(h => { losers.add(h); skip(h.entry, 'group', `Group "${name}" already fired in an earlier pass`); });
+            continue;
+        }
+        const live = members.filter(h => !losers.has(h));
+        if (live.length <= 1) {
+            live.forEach(h => { h.group = h.group || { name, how: 'only', rivals: [] }; });
+            continue;
+        }
+
+        let pool = live;
+        let how = 'weight';
+        const scored = pool.filter(h => h.entry.useGroupScoring ?? s.useGroupScoring);
+        if (scored.length) {
+            const top = Math.max(...scored.map(h => h.score));
+            pool = pool.filter(h => !scored.includes(h) || h.score === top);
+            if (pool.length < live.length) how = 'score';
+        }
+
+        let winner;
+        const overrides = pool.filter(h => h.entry.groupOverride);
+        if (overrides.length) {
+            winner = overrides[0]; // hits are already sorted by order, highest first
+            how = 'override';
+        } else if (pool.length === 1) {
+            winner = pool[0];
+        } else {
+            const weight = (h) => Number(h.entry.groupWeight ?? DEFAULT_GROUP_WEIGHT) || 0;
+            const total = pool.reduce((acc, h) => acc + weight(h), 0);
+            if (s.roll) {
+                const roll = Math.random() * total;
+                let acc = 0;
+                winner = pool.find(h => (acc += weight(h)) >= roll) || pool[pool.length - 1];
+            } else {
+                // Deterministic view: the heaviest weight is the most likely winner.
+                winner = pool.reduce((best, h) => (weight(h) > weight(best) ? h : best), pool[0]);
+            }
+            winner.groupChance = total > 0 ? Math.round(weight(winner) / total * 100) : null;
+        }
+
+        const rivals = live.filter(h => h !== winner);
+        winner.group = { name, how, rivals: rivals.map(h => h.entry.uid), chance: winner.groupChance ?? null };
+        for (const h of rivals) {
+            losers.add(h);
+            skip(h.entry, 'group', `Lost group "${name}" to "${title(winner.entry)}"`);
+        }
+    }
+    return hits.filter(h => !losers.has(h));
+}
@@ -14,7 +14,7 @@ import CoreAPI from './core-api.js';
 // CSS LOADER
 // ========================================
 
-const MODULE_CSS_VERSION = 79;
+const MODULE_CSS_VERSION = 97;
 
 function loadModuleCSS(path) {
     return new Promise((resolve) => {
@@ -306,6 +306,7 @@ async function initModuleSystem() {
         window.playlistsPruneDeleted = playlistsModule.pruneDeletedCharacters;
         window.openPlaylistPicker = playlistsModule.openPlaylistPicker;
         window.openPlaylistManager = playlistsModule.openPlaylistManager;
+        window.playlistsCreateSmart = playlistsModule.createSmartPlaylist;
     } catch (err) {
         console.warn('[ModuleLoader] Could not load playlists module:', err);
     }
@@ -321,6 +322,60 @@ async function initModuleSystem() {
         console.warn('[ModuleLoader] Could not load media-download-queue module:', err);
     }
 
+    try {
+        loadModuleCSS('./import-queue.css');
+        const importQueueModule = await import('./import-queue.js');
+        ModuleLoader.register('import-queue', importQueueModule.default);
+
+        window.enqueueCharacterImports = importQueueModule.enqueueImports;
+    } catch (err) {
+        console.warn('[ModuleLoader] Could not load import-queue module:', err);
+    }
+
+    try {
+        loadModuleCSS('./url-intake.css');
+        const urlIntakeModule = await import('./url-intake.js');
+        ModuleLoader.register('url-intake', urlIntakeModule.default);
+    } catch (err) {
+        console.warn('[ModuleLoader] Could not load url-intake module:', err);
+    }
+
+    try {
+        loadModuleCSS('./batch-journal.css');
+        const batchJournalModule = await import('./batch-journal.js');
+        ModuleLoader.register('batch-journal', batchJournalModule.default);
+    } catch (err) {
+        console.warn('[ModuleLoader] Could not load batch-journal module:', err);
+    }
+
+    try {
+        loadModuleCSS('./saved-searches.css');
+        const savedSearchesModule = await import('./saved-searches.js');
+        ModuleLoader.register('saved-searches', savedSearchesModule.default);
+
+        window.openSavedSearchEditor = savedSearchesModule.default.openSavedSearchEditor;
+    } catch (err) {
+        console.warn('[ModuleLoader] Could not load saved-searches module:', err);
+    }
+
+    try {
+        loadModuleCSS('./creator-profiles.css');
+        const creatorProfilesModule = await import('./creator-profiles.js');
+        ModuleLoader.register('creator-profiles', creatorProfilesModule.default);
+
+        window.openCreatorProfiles = creatorProfilesModule.default.openCreatorProfiles;
+    } catch (err) {
+        console.warn('[ModuleLoader] Could not load creator-profiles module:', err);
+    }
+
+    try {
+        loadModuleCSS('./provider-health.css');
+        const providerHealthModule = await import('./provider-health.js');
+        ModuleLoader.register('provider-health', providerHealthModule.default);
+    } catch (err) {
+        console.warn('[ModuleLoader] Could not load provider-health module:', err);
+    }
+
     // Gallery Extractors - lazy-loaded on first use to save memory
     // All call sites guard with typeof window.extractGalleryImages === 'function'
     let _extractorsLoaded = false;
@@ -361,6 +416,7 @@ async function initModuleSystem() {
     loadModuleCSS('./providers/wyvern/wyvern-browse.css');
     loadModuleCSS('./providers/datacat/datacat-browse.css');
     loadModuleCSS('./providers/botbooru/botbooru-browse.css');
+    loadModuleCSS('./providers/unified/unified-browse.css');
     {
         const providerImports = [
             { name: 'chub', load: () => import('./providers/chub/chub-provider.js') },
@@ -370,6 +426,8 @@ async function initModuleSystem() {
             { name: 'wyvern', load: () => import('./providers/wyvern/wyvern-provider.js') },
             { name: 'datacat', load: () => import('./providers/datacat/datacat-provider.js') },
             { name: 'botbooru', load: () => import('./providers/botbooru/botbooru-provider.js') },
+            { name: 'local', load: () => import('./providers/local/local-provider.js') },
+            { name: 'unified', load: () => import('./providers/unified/unified-provider.js') },
         ];
         const results = await Promise.allSettled(providerImports.map(p => p.load()));
         for (let i = 0; i < results.length; i++) {
@@ -379,6 +437,22 @@ async function initModuleSystem() {
                 console.warn(`[ModuleLoader] Failed to load ${providerImports[i].name} provider:`, results[i].reason);
             }
         }
+        // Declarative providers from the user's JSON definitions; registered after the
+        // built-ins so a definition can never shadow one of them
+        let customCount = 0;
+        try {
+            const custom = await import('./providers/custom/custom-provider.js');
+            const builtInIds = ProviderRegistry.getAllProviders().map(p => p.id);
+            for (const provider of await custom.loadCustomProviders(builtInIds)) {
+                ProviderRegistry.registerProvider(provider);
+                customCount++;
+            }
+            window.getCustomProviderDefinitions = custom.getCustomProviderDefinitions;
+            window.saveCustomProviderDefinition = (def) => custom.saveCustomProviderDefinition(def, builtInIds);
+            window.removeCustomProviderDefinition = custom.removeCustomProviderDefinition;
+        } catch (err) {
+            console.warn('[ModuleLoader] Failed to load custom providers:', err);
+        }
         try {
             await ProviderRegistry.initProviders(CoreAPI);
         } catch (err) {
@@ -386,7 +460,7 @@ async function initModuleSystem() {
         }
         window.ProviderRegistry = ProviderRegistry;
         window.closeActiveBrowseDropdowns = ProviderRegistry.closeActiveBrowseDropdowns;
-        window.debugLog?.(`[ModuleLoader] Providers registered and initialized (${ProviderRegistry.getAllProviders().length}/${providerImports.length})`);
+        window.debugLog?.(`[ModuleLoader] Providers registered and initialized (${ProviderRegistry.getAllProviders().length}/${providerImports.length + customCount})`);
     }
 
     // ============================
@@ -395,6 +469,12 @@ async function initModuleSystem() {
 
     setupLazyBatchTagging();
     setupLazyBatchTransfer();
+    setupLazyCharx();
+    setupLazySimilarImages();
+    setupLazyLibraryStats();
+    setupLazyChatExport();
+    setupLazyEmbeddings();
+    setupLazyProviderReplay();
     loadModuleCSS('./chats.css');
     setupLazyChats();
 
@@ -441,6 +521,141 @@ function setupLazyBatchTransfer() {
 }
 
 
+// ========================================
+// LAZY: CHARX (Character Card V3 archives)
+// ========================================
+
+function setupLazyCharx() {
+    ModuleLoader._registerLazy('charx', async () => {
+        const mod = await import('./charx.js');
+        ModuleLoader.register('charx', mod.default);
+        window.debugLog?.('[ModuleLoader] Lazy-loaded charx');
+    });
+
+    // library.js's local import unpacks dropped .charx archives through these
+    window.unpackCharxFile = (...args) =>
+        ModuleLoader.ensureLoaded('charx').then(mod => mod?.unpackCharxFile?.(...args));
+    window.uploadCharxAssets = (...args) =>
+        ModuleLoader.ensureLoaded('charx').then(mod => mod?.uploadCharxAssets?.(...args));
+}
+
+
+// ========================================
+// LAZY: SIMILAR IMAGES (near-duplicate gallery review)
+// ========================================
+
+function setupLazySimilarImages() {
+    ModuleLoader._registerLazy('similar-images', async () => {
+        const mod = await import('./similar-images.js');
+        loadModuleCSS('./similar-images.css');
+        ModuleLoader.register('similar-images', mod.default);
+        await mod.default.init({});
+        mod.default._mlInitDone = true;
+        window.debugLog?.('[ModuleLoader] Lazy-loaded similar-images');
+    });
+
+    // Gallery tab's "Similar" button
+    window.openSimilarImagesReview = (...args) =>
+        ModuleLoader.ensureLoaded('similar-images').then(mod => mod?.openReview?.(...args));
+}
+
+
+// ========================================
+// LAZY: LIBRARY STATS (dashboard)
+// ========================================
+
+function setupLazyLibraryStats() {
+    ModuleLoader._registerLazy('library-stats', async () => {
+        const mod = await import('./library-stats.js');
+        loadModuleCSS('./library-stats.css');
+        ModuleLoader.register('library-stats', mod.default);
+        await mod.default.init({});
+        mod.default._mlInitDone = true;
+        window.debugLog?.('[ModuleLoader] Lazy-loaded library-stats');
+    });
+
+    // More-options menu "Library Stats"
+    window.openLibraryStats = (...args) =>
+        ModuleLoader.ensureLoaded('library-stats').then(mod => mod?.openStats?.(...args));
+}
+
+// ========================================
+// LAZY: CHAT EXPORT (HTML / Markdown / TXT)
+// ========================================
+
+function setupLazyChatExport() {
+    ModuleLoader._registerLazy('chat-export', async () => {
+        const mod = await import('./chat-export.js');
+        loadModuleCSS('./chat-export.css');
+        ModuleLoader.register('chat-export', mod.default);
+        await mod.default.init({});
+        mod.default._mlInitDone = true;
+        window.debugLog?.('[ModuleLoader] Lazy-loaded chat-export');
+    });
+
+    // Chat cards, chat preview and chats-view selection bar
+    window.openChatExportDialog = (...args) =>
+        ModuleLoader.ensureLoaded('chat-export').then(mod => mod?.openExportDialog?.(...args));
+}
+
+// ========================================
+// LAZY: EMBEDDINGS (semantic search, similar by meaning)
+// ========================================
+
+function setupLazyEmbeddings() {
+    ModuleLoader._registerLazy('embeddings', async () => {
+        const mod = await import('./embeddings.js');
+        ModuleLoader.register('embeddings', mod.default);
+        await mod.default.init({});
+        mod.default._mlInitDone = true;
+        window.debugLog?.('[ModuleLoader] Lazy-loaded embeddings');
+    });
+
+    const withEmbeddings = (fn) => (...args) =>
+        ModuleLoader.ensureLoaded('embeddings').then(mod => mod?.[fn]?.(...args));
+
+    // Search bar semantic mode, Related tab, Settings → Semantic Search
+    window.semanticSearchScores = withEmbeddings('searchScores');
+    window.findSimilarByMeaning = withEmbeddings('findSimilar');
+    window.updateEmbeddingIndex = withEmbeddings('updateIndex');
+    window.getEmbeddingIndexStatus = withEmbeddings('getStatus');
+
+    // Pick up new and edited characters after each library load, but never
+    // start a first build on its own (that can mean thousands of API calls)
+    document.addEventListener('cl-characters-loaded', () => {
+        const source = window.getSetting?.('embeddingSource');
+        if (!source || source === 'off') return;
+        window.updateEmbeddingIndex({ onlyIfExists: true })
+            .catch(e => console.warn('[Embeddings] Background update failed:', e.message));
+    });
+}
+
+
+// ========================================
+// LAZY: PROVIDER REPLAY (console-only record/replay harness)
+// ========================================
+
+function setupLazyProviderReplay() {
+    ModuleLoader._registerLazy('provider-replay', async () => {
+        const mod = await import('./providers/provider-replay.js');
+        ModuleLoader.register('provider-replay', mod.default);
+        window.debugLog?.('[ModuleLoader] Lazy-loaded provider-replay');
+    });
+
+    const withReplay = (fn) => (...args) =>
+        ModuleLoader.ensureLoaded('provider-replay').then(mod => mod?.[fn]?.(...args));
+
+    // Browser console only; nothing in the UI calls these
+    window.clProviderReplay = {
+        record: withReplay('record'),
+        run: withReplay('run'),
+        list: withReplay('list'),
+        remove: withReplay('remove'),
+        exportFixtures: withReplay('exportFixtures'),
+    };
+}
+
+
 // ========================================
 // LAZY: CHATS
 // ========================================
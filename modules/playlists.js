@@ -9,7 +9,7 @@ const esc = (s) => CoreAPI.escapeHtml(s);
 const PLAYLISTS_FILE = '_cl_playlists.json';
 const STORAGE_VERSION = 1;
 
-let playlistsData = null;   // { version, playlists: {}, order: [] }
+let playlistsData = null;   // { version, playlists: {}, order: [] }; smart playlists carry smart: { rules, query }
 let loaded = false;
 let saving = false;
 let saveQueued = false;
@@ -124,6 +124,47 @@ async function createPlaylist(name, description = '') {
     return uid;
 }
 
+/**
+ * Create a smart playlist from a filter definition.
+ * @param {string} name
+ * @param {{rules: Array<{field: string, operator: string, value: string}>, query: string}} smart
+ * @returns {Promise<string|null>} uid, or null when the name is taken
+ */
+async function createSmartPlaylist(name, smart) {
+    await loadPlaylists();
+    if (playlistNameExists(name)) {
+        CoreAPI.showToast(`A playlist named "${name.trim()}" already exists`, 'warning');
+        return null;
+    }
+    const uid = generateUid();
+    playlistsData.playlists[uid] = {
+        name: name.trim(),
+        description: '',
+        icon: 'fa-solid fa-wand-magic-sparkles',
+        color: '',
+        created: Date.now(),
+        modified: Date.now(),
+        characters: [],
+        smart: normalizeSmartDefinition(smart),
+    };
+    playlistsData.order.push(uid);
+    await savePlaylists();
+    CoreAPI.refreshPlaylistBadges();
+    return uid;
+}
+
+async function updateSmartPlaylist(uid, smart) {
+    await loadPlaylists();
+    const pl = playlistsData.playlists[uid];
+    if (!pl?.smart) return false;
+    pl.smart = normalizeSmartDefinition(smart);
+    pl.modified = Date.now();
+    await savePlaylists();
+    CoreAPI.refreshPlaylistFilterIfActive(uid);
+    CoreAPI.refreshPlaylistBadges();
+    return true;
+}
+
 async function deletePlaylist(uid) {
     await loadPlaylists();
     if (!playlistsData.playlists[uid]) return false;
@@ -152,7 +193,7 @@ async function updatePlaylist(uid, updates) {
 async function addToPlaylist(uid, avatars) {
     await loadPlaylists();
     const pl = playlistsData.playlists[uid];
-    if (!pl) return false;
+    if (!pl || pl.smart) return false;
     const existing = new Set(pl.characters);
     let added = 0;
     for (const avatar of avatars) {
@@ -174,7 +215,7 @@ async function addToPlaylist(uid, avatars) {
 async function removeFromPlaylist(uid, avatars) {
     await loadPlaylists();
     const pl = playlistsData.playlists[uid];
-    if (!pl) return false;
+    if (!pl || pl.smart) return false;
     const removeSet = new Set(avatars);
     const before = pl.characters.length;
     pl.characters = pl.characters.filter(a => !removeSet.has(a));
@@ -187,6 +228,73 @@ async function removeFromPlaylist(uid, avatars) {
     return before - pl.characters.length;
 }
 
+// ========================================
+// SMART PLAYLISTS
+// Membership is a saved filter definition (advanced filter rules + search
+// prefixes) evaluated against the live library. Sets are memoized for the
+// current task only: one search pass or badge refresh asks for the same set
+// many times, while the next one has to see edits to characters.
+// ========================================
+
+const smartSetCache = new Map();
+const smartEvaluating = new Set();
+let smartCacheClearQueued = false;
+
+function normalizeSmartDefinition(smart) {
+    const rules = Array.isArray(smart?.rules) ? smart.rules : [];
+    return {
+        rules: rules.map(({ field, operator, value }) => ({ field, operator, value: value ?? '' })),
+        query: String(smart?.query || '').trim(),
+    };
+}
+
+function getSmartAvatarSet(uid) {
+    const cached = smartSetCache.get(uid);
+    if (cached) return cached;
+    const pl = playlistsData?.playlists[uid];
+    // A rule pointing back at a playlist that is mid-evaluation sees it as empty
+    if (!pl?.smart || smartEvaluating.has(uid)) return new Set();
+
+    smartEvaluating.add(uid);
+    let set;
+    try {
+        const all = CoreAPI.getAllCharacters() || [];
+        set = new Set(all.filter(c => CoreAPI.matchesSmartPlaylistRules(c, pl.smart)).map(c => c.avatar));
+    } finally {
+        smartEvaluating.delete(uid);
+    }
+
+    smartSetCache.set(uid, set);
+    if (!smartCacheClearQueued) {
+        smartCacheClearQueued = true;
+        setTimeout(() => {
+            smartSetCache.clear();
+            smartCacheClearQueued = false;
+        }, 0);
+    }
+    return set;
+}
+
+function playlistHas(uid, avatar) {
+    const pl = playlistsData?.playlists[uid];
+    if (!pl) return false;
+    return pl.smart ? getSmartAvatarSet(uid).has(avatar) : pl.characters.includes(avatar);
+}
+
+// Public shape: smart playlists report their live members as `characters`
+function toPublicPlaylist(uid) {
+    const pl = playlistsData.playlists[uid];
+    return pl.smart ? { uid, ...pl, characters: [...getSmartAvatarSet(uid)] } : { uid, ...pl };
+}
+
+function describeSmartDefinition(smart) {
+    const parts = [];
+    if (smart.query) parts.push(`Search: ${smart.query}`);
+    const n = smart.rules.length;
+    if (n > 0) parts.push(`${n} filter rule${n !== 1 ? 's' : ''}`);
+    return parts.join(' + ') || 'No rules (matches everyone)';
+}
+
 // ========================================
 // QUERY FUNCTIONS
 // ========================================
@@ -203,42 +311,43 @@ function getAllPlaylists() {
     if (!playlistsData) return [];
     return playlistsData.order
         .filter(id => playlistsData.playlists[id])
-        .map(id => ({ uid: id, ...playlistsData.playlists[id] }));
+        .map(id => toPublicPlaylist(id));
 }
 
 function getPlaylist(uid) {
     if (!playlistsData?.playlists[uid]) return null;
-    return { uid, ...playlistsData.playlists[uid] };
+    return toPublicPlaylist(uid);
 }
 
 function getPlaylistCharacters(uid) {
-    if (!playlistsData?.playlists[uid]) return [];
-    const avatars = playlistsData.playlists[uid].characters;
+    const pl = playlistsData?.playlists[uid];
+    if (!pl) return [];
     const all = CoreAPI.getAllCharacters() || [];
+    if (pl.smart) {
+        const set = getSmartAvatarSet(uid);
+        return all.filter(c => set.has(c.avatar));
+    }
     const byAvatar = new Map(all.map(c => [c.avatar, c]));
-    return avatars.map(a => byAvatar.get(a)).filter(Boolean);
+    return pl.characters.map(a => byAvatar.get(a)).filter(Boolean);
 }
 
 function getPlaylistAvatarSet(uid) {
-    if (!playlistsData?.playlists[uid]) return new Set();
-    return new Set(playlistsData.playlists[uid].characters);
+    const pl = playlistsData?.playlists[uid];
+    if (!pl) return new Set();
+    return new Set(pl.smart ? getSmartAvatarSet(uid) : pl.characters);
 }
 
 function getPlaylistsForChar(avatar) {
     if (!playlistsData) return [];
     return playlistsData.order
-        .filter(id => {
-            const pl = playlistsData.playlists[id];
-            return pl && pl.characters.includes(avatar);
-        })
+        .filter(id => playlistHas(id, avatar))
         .map(id => ({ uid: id, ...playlistsData.playlists[id] }));
 }
 
 function isCharInAnyPlaylist(avatar) {
     if (!playlistsData) return false;
     for (const id of playlistsData.order) {
-        const pl = playlistsData.playlists[id];
-        if (pl && pl.characters.includes(avatar)) return true;
+        if (playlistHas(id, avatar)) return true;
     }
     return false;
 }
@@ -361,7 +470,8 @@ function closePlaylistPicker() {
 function renderPickerList() {
     const listEl = document.getElementById('playlistPickerList');
     const emptyEl = document.getElementById('playlistPickerEmpty');
-    const playlists = getAllPlaylists();
+    // Smart playlists pick their own members
+    const playlists = getAllPlaylists().filter(pl => !pl.smart);
 
     if (!playlists.length) {
         listEl.innerHTML = '';
@@ -406,7 +516,7 @@ async function handlePickerRowClick(e) {
     if (!row) return;
     const uid = row.dataset.uid;
     const pl = getPlaylist(uid);
-    if (!pl) return;
+    if (!pl || pl.smart) return;
 
     const targetSet = new Set(pickerAvatars);
     const inCount = pl.characters.filter(a => targetSet.has(a)).length;
@@ -535,6 +645,20 @@ function injectManageModal() {
             return;
         }
 
+        // Smart playlist: edit rules in the main filters / overwrite from them
+        const smartEditBtn = e.target.closest('.pl-manage-smart-edit');
+        if (smartEditBtn) {
+            const row = smartEditBtn.closest('.pl-manage-row');
+            if (row) handleManageSmartEdit(row.dataset.uid);
+            return;
+        }
+        const smartUpdateBtn = e.target.closest('.pl-manage-smart-update');
+        if (smartUpdateBtn) {
+            const row = smartUpdateBtn.closest('.pl-manage-row');
+            if (row) handleManageSmartUpdate(row.dataset.uid);
+            return;
+        }
+
         // Delete button
         const delBtn = e.target.closest('.pl-manage-delete');
         if (delBtn) {
@@ -604,9 +728,13 @@ function renderManageList() {
         const iconColor = pl.color ? ` style="color:${esc(pl.color)}"` : '';
         const iconInner = pl.icon ? `<i class="${esc(pl.icon)}"${iconColor}></i>` : `<i class="fa-solid fa-icons" style="opacity:0.3"></i>`;
         const count = pl.characters.length;
-        return `<div class="pl-manage-row" data-uid="${esc(pl.uid)}">
+        const smartBtns = pl.smart ? `
+            <button class="pl-manage-smart-btn pl-manage-smart-edit" title="Smart playlist (${esc(describeSmartDefinition(pl.smart))}). Load its rules into the search and filters"><i class="fa-solid fa-sliders"></i></button>
+            <button class="pl-manage-smart-btn pl-manage-smart-update" title="Replace its rules with the current search and filters"><i class="fa-solid fa-arrows-rotate"></i></button>` : '';
+        return `<div class="pl-manage-row${pl.smart ? ' pl-manage-row-smart' : ''}" data-uid="${esc(pl.uid)}">
             <button class="pl-manage-icon-btn" title="Change icon">${iconInner}</button>
             <input type="text" class="pl-manage-name cl-input" value="${esc(pl.name)}" maxlength="100" autocomplete="one-time-code">
+            ${smartBtns}
             <span class="pl-manage-count">${count}</span>
             <button class="pl-manage-delete" title="Delete playlist"><i class="fa-solid fa-trash"></i></button>
         </div>`;
@@ -712,10 +840,31 @@ async function handleManageRename(uid, newName) {
     await updatePlaylist(uid, { name: trimmed });
 }
 
+function handleManageSmartEdit(uid) {
+    const pl = getPlaylist(uid);
+    if (!pl?.smart) return;
+    closePlaylistManager();
+    CoreAPI.loadSmartPlaylistIntoFilters(pl.smart);
+    CoreAPI.showToast(`Loaded "${pl.name}" rules. Adjust them, then use the refresh button in Manage Playlists to save.`, 'info', 5000);
+}
+
+async function handleManageSmartUpdate(uid) {
+    const pl = getPlaylist(uid);
+    if (!pl?.smart) return;
+    const smart = CoreAPI.getCurrentSmartPlaylistDefinition();
+    if (smart.rules.length === 0 && !smart.query) {
+        CoreAPI.showToast('No active filters or search to save', 'warning');
+        return;
+    }
+    await updateSmartPlaylist(uid, smart);
+    renderManageList();
+    CoreAPI.showToast(`Updated "${pl.name}" rules`, 'success');
+}
+
 async function handleManageDelete(uid) {
     const pl = getPlaylist(uid);
     if (!pl) return;
-    const count = pl.characters.length;
+    const count = pl.smart ? 0 : pl.characters.length;
     const msg = count > 0
         ? `Delete "${pl.name}"? (${count} character${count !== 1 ? 's' : ''} will be removed from this playlist)`
         : `Delete "${pl.name}"?`;
@@ -773,6 +922,7 @@ export {
     pruneDeletedCharacters,
     openPlaylistPicker,
     openPlaylistManager,
+    createSmartPlaylist,
 };
 
 export default { init };
@@ -0,0 +1,161 @@
+import CoreAPI from './core-api.js';
+import { getProviderHealth, resetHostBreaker, onHostHealthChange } from './providers/provider-utils.js';
+
+// ========================================
+// PROVIDER HEALTH
+// Notifications section for the shared request scheduler. Lists providers
+// whose hosts are retrying (degraded) or have a tripped circuit breaker
+// (paused), with the last error, a countdown to the next attempt and a
+// "Retry now" button that closes the breaker early.
+// ========================================
+
+const TICK_MS = 1000;
+
+let tickTimer = null;
+
+// ========================================
+// STATE
+// ========================================
+
+function getUnhealthyProviders() {
+    const out = [];
+    for (const provider of CoreAPI.getAllProviders()) {
+        if (!provider.requestHosts?.length) continue;
+        const health = getProviderHealth(provider);
+        if (health.state !== 'ok') out.push({ provider, health });
+    }
+    // Paused first, then by name
+    return out.sort((a, b) => (a.health.state === 'open' ? 0 : 1) - (b.health.state === 'open' ? 0 : 1)
+        || a.provider.name.localeCompare(b.provider.name));
+}
+
+function formatWait(retryAt) {
+    if (!retryAt) return '';
+    const secs = Math.ceil((retryAt - Date.now()) / 1000);
+    if (secs <= 0) return 'retrying on next request';
+    if (secs < 60) return `retry in ${secs}s`;
+    return `retry in ${Math.ceil(secs / 60)}m`;
+}
+
+// ========================================
+// NOTIFICATIONS SECTION
+// ========================================
+
+function sectionStatus() {
+    const unhealthy = getUnhealthyProviders();
+    const open = unhealthy.filter(u => u.health.state === 'open');
+    if (open.length > 0) {
+        return {
+            visible: true,
+            level: 'warning',
+            icon: 'fa-solid fa-plug-circle-exclamation',
+            title: `${open.map(u => u.provider.name).join(', ')} paused after repeated errors`,
+        };
+    }
+    if (unhealthy.length > 0) {
+        return { visible: true, level: 'none', title: `${unhealthy.map(u => u.provider.name).join(', ')} retrying` };
+    }
+    return { visible: false, level: 'none', title: 'Provider health' };
+}
+
+function renderSection(el) {
+    if (!el) return;
+    const esc = CoreAPI.escapeHtml;
+    const unhealthy = getUnhealthyProviders();
+    if (unhealthy.length === 0) {
+        el.innerHTML = '';
+        return;
+    }
+    const parts = ['<div class="ph-section">'];
+    parts.push(`
+        <div class="ph-header">
+            <i class="fa-solid fa-heart-pulse"></i><span>Provider Health</span>
+        </div>`);
+    for (const { provider, health } of unhealthy) {
+        const paused = health.state === 'open';
+        const status = paused ? 'Paused' : 'Retrying';
+        const wait = formatWait(health.retryAt);
+        parts.push(`
+            <div class="ph-row ${paused ? 'ph-open' : 'ph-degraded'}" data-ph-host="${esc(health.host)}">
+                <div class="ph-line">
+                    <span class="ph-dot"></span>
+                    <span class="ph-name">${esc(provider.name)}</span>
+                    <span class="ph-state">${status}</span>
+                    ${paused ? '<button class="ph-btn" data-ph-retry title="Close the breaker and allow requests again"><i class="fa-solid fa-rotate-right"></i> Retry now</button>' : ''}
+                </div>
+                <div class="ph-detail">
+                    ${esc(health.host)}${health.lastError ? ` &middot; ${esc(health.lastError)}` : ''}${health.failures > 1 ? ` &times;${health.failures}` : ''}${wait ? ` &middot; <span class="ph-wait">${esc(wait)}</span>` : ''}
+                </div>
+            </div>`);
+    }
+    parts.push('</div>');
+    el.innerHTML = parts.join('');
+}
+
+function getSectionEl() {
+    return document.querySelector('#notificationsDropdown [data-notif-section="provider-health"]');
+}
+
+function isDropdownOpen() {
+    const dropdown = document.getElementById('notificationsDropdown');
+    return !!dropdown && !dropdown.classList.contains('hidden');
+}
+
+function onHealthChanged() {
+    CoreAPI.refreshNotificationsUI();
+    const el = getSectionEl();
+    if (el && isDropdownOpen()) {
+        const visible = sectionStatus().visible;
+        el.classList.toggle('hidden', !visible);
+        if (visible) renderSection(el);
+    }
+    syncTicker();
+}
+
+// Countdown refresh, only while something is unhealthy
+function syncTicker() {
+    const needed = getUnhealthyProviders().length > 0;
+    if (needed && !tickTimer) {
+        tickTimer = setInterval(() => {
+            if (isDropdownOpen()) renderSection(getSectionEl());
+            if (getUnhealthyProviders().length === 0) onHealthChanged();
+        }, TICK_MS);
+    } else if (!needed && tickTimer) {
+        clearInterval(tickTimer);
+        tickTimer = null;
+    }
+}
+
+function wireSectionEvents(el) {
+    el.addEventListener('click', (e) => {
+        const btn = e.target.closest('[data-ph-retry]');
+        if (!btn) return;
+        e.stopPropagation();
+        const host = btn.closest('[data-ph-host]')?.dataset.phHost;
+        if (host) resetHostBreaker(host);
+    });
+}
+
+// ========================================
+// INIT
+// ========================================
+
+function init() {
+    CoreAPI.registerNotificationSection({
+        id: 'provider-health',
+        getStatus: sectionStatus,
+        onOpen: (el) => renderSection(el),
+    });
+    const sectionEl = getSectionEl();
+    if (sectionEl) wireSectionEvents(sectionEl);
+    onHostHealthChange(onHealthChanged);
+}
+
+// ========================================
+// EXPORTS
+// ========================================
+
+export default {
+    init,
+    getUnhealthyProviders,
+};
@@ -8,7 +8,7 @@
 // (the first direct attempt rejects, the origin is cached, ST's /proxy/
 // carries everything after; Authorization survives the proxy).
 
-import { fetchWithProxy as _rawFetchWithProxy, CL_HELPER_PLUGIN_BASE } from '../provider-utils.js';
+import { fetchWithProxy as _rawFetchWithProxy, CL_HELPER_PLUGIN_BASE, scheduleRequest } from '../provider-utils.js';
 
 // ========================================
 // CONSTANTS
@@ -95,7 +95,10 @@ export async function fetchWithProxy(url, opts = {}) {
                 'X-CL-Botbooru-Auth': auth,
             };
             if (opts.body != null) headers['Content-Type'] = 'application/json';
-            const r = await _apiRequest(`${BOTBOORU_PROXY_BASE}${path}`, opts.method || 'GET', null, { headers, body: opts.body });
+            const method = opts.method || 'GET';
+            const r = await scheduleRequest('botbooru.com',
+                () => _apiRequest(`${BOTBOORU_PROXY_BASE}${path}`, method, null, { headers, body: opts.body }),
+                { idempotent: method === 'GET' || method === 'HEAD' });
             if (!r.ok) {
                 const detail = await r.text().catch(() => '');
                 throw new Error(`HTTP ${r.status}${detail ? ': ' + detail.slice(0, 200) : ''}`);
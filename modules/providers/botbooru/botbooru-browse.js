@@ -487,6 +487,10 @@ class BotbooruBrowseView extends BrowseView {
     getSearchInputId(mode) {
         return mode === 'creator' ? 'botbooruUploaderSearchInput' : 'botbooruSearchInput';
     }
+
+    getSavedSearchDraft() {
+        return { query: bbCurrentSearch, tags: [...bbTagFilters].filter(([, state]) => state === 'include').map(([tag]) => tag), minTokens: bbMinTokens, nsfw: bbNsfwEnabled };
+    }
     getSearchPlaceholder(mode) {
         return mode === 'creator' ? 'Uploader profile URL or id...' : 'Characters or tags...';
     }
@@ -248,6 +248,8 @@ class BotbooruProvider extends ProviderBase {
 
     // ── Remote Data ─────────────────────────────────────────
 
+    get requestHosts() { return ['botbooru.com']; }
+
     /**
      * Resolve a parsed URL handle (the post id) to its metadata. The link-by-URL
      * flow calls this to obtain the numeric id and listing name before saving;
@@ -599,6 +601,38 @@ class BotbooruProvider extends ProviderBase {
         return result.avatarUrl || null;
     }
 
+    // ── Unified Search ──────────────────────────────────────
+
+    get supportsUnifiedSearch() { return true; }
+
+    async searchUnified(query, options = {}) {
+        const nsfw = (options.nsfw ?? api?.getSetting('botbooruNsfw') === true) && !!api?.getSetting('botbooruToken');
+        // q matches names and tags alike; tag names are underscore-joined
+        const tagTerms = (options.tags || []).map(t => t.trim().replace(/\s+/g, '_'));
+        const data = await fetchBotbooruPosts({
+            q: [query, ...tagTerms].filter(Boolean).join(' '),
+            sort: options.sort === 'newest' ? 'latest' : 'downloads',
+            limit: options.limit || 24,
+            sfwOnly: !nsfw,
+            minTokens: options.minTokens || undefined,
+        });
+        // fetchBotbooruPosts swallows transport errors into null
+        if (!data) throw new Error('Botbooru search failed');
+        // The posts list only carries uploader_id, so the writer tag is the sole creator signal
+        return (data.posts || []).map(post => ({
+            id: post.id,
+            name: post.character_name || '',
+            creator: getBotbooruWriterTag(post) || '',
+            avatarUrl: post.filename ? getBotbooruPreviewUrl(post.filename, post.card_image_revision) : '',
+            tagline: post.creator_notes_excerpt || post.description_excerpt || '',
+            nTokens: post.token_count || 0,
+            starCount: post.favorite_count || 0,
+            tags: (post.tags || []).map(t => (typeof t === 'string' ? t : t.name)).filter(Boolean),
+            url: this.getCharacterUrl({ id: post.id }),
+            hit: post,
+        }));
+    }
+
     // ── Import Pipeline ─────────────────────────────────────
 
     get supportsImport() { return true; }
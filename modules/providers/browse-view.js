@@ -620,6 +620,9 @@ export class BrowseView {
         if (this.creatorDownloadEnabled()) {
             this._injectCreatorDownloadButton(container);
         }
+        if (this.provider?.supportsUnifiedSearch) {
+            this._injectSaveSearchButton(container);
+        }
     }
 
     /**
@@ -694,6 +697,30 @@ export class BrowseView {
         }
     }
 
+    // ── Saved Searches ──────────────────────────────────────
+
+    /**
+     * The view's current query as a starting point for a saved search, or
+     * null when the provider can't run one. The base version only reads the
+     * inline search box; views with tag or token filters add those.
+     * @returns {{ query: string, tags?: string[], minTokens?: number, creator?: string, nsfw?: boolean } | null}
+     */
+    getSavedSearchDraft() {
+        const inputId = this.getSearchInputId('character');
+        return { query: (inputId ? document.getElementById(inputId)?.value || '' : '').trim() };
+    }
+
+    _injectSaveSearchButton(container) {
+        const wrapper = container?.querySelector('.browse-search-input-wrapper');
+        if (!wrapper || wrapper.querySelector('.browse-save-search-btn')) return;
+        const btn = document.createElement('button');
+        btn.className = 'browse-search-clear browse-save-search-btn';
+        btn.title = 'Save this search and get notified about new results';
+        btn.innerHTML = '<i class="fa-regular fa-bookmark"></i>';
+        btn.addEventListener('click', () => CoreAPI.openSavedSearchEditor(this.provider.id, this.getSavedSearchDraft()));
+        wrapper.insertBefore(btn, wrapper.querySelector('.browse-search-submit'));
+    }
+
     // ── Library Lookup ───────────────────────────────────────
 
     /**
@@ -1394,6 +1421,14 @@ export class BrowseView {
      */
     async unfollowCreator(id) { return false; }
 
+    /**
+     * Query that followCreator() resolves back to this creator. Most
+     * providers follow by ID; override where followCreator() searches by name.
+     * @param {{id: string, name: string, username?: string}} creator
+     * @returns {string}
+     */
+    getFollowQuery(creator) { return creator.id || creator.username || creator.name; }
+
     /**
      * @param {{id: string, avatar?: string}} creator
      * @returns {string}
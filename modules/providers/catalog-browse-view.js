@@ -0,0 +1,686 @@
+// CatalogBrowseView - shared browse UI for catalog-style providers (custom, local)
+//
+// These views have no creator pages, following feed or provider-specific
+// filters: a search box, a sort select, the library feature filters, a grid of
+// cards and one preview modal that imports through provider.importCharacter.
+// Subclasses supply the data source, the card details and the DOM id prefix.
+
+import { BrowseView } from './browse-view.js';
+import CoreAPI from '../core-api.js';
+import { IMG_PLACEHOLDER, formatNumber, BROWSE_PURIFY_CONFIG, skeletonLines, deferRender, deferCall, isMobileMode, finishBrowseImport, stripHtml } from './provider-utils.js';
+
+const {
+    onElement: on,
+    showToast,
+    escapeHtml,
+    debugLog,
+    getSetting,
+    checkCharacterForDuplicatesAsync,
+    showPreImportDuplicateWarning,
+    deleteCharacter,
+    getCharacterGalleryId,
+    formatRichText,
+    safePurify,
+    renderCreatorNotesSecure,
+    cleanupCreatorNotesContainer,
+} = CoreAPI;
+
+export class CatalogBrowseView extends BrowseView {
+
+    constructor(provider) {
+        super(provider);
+        this._isLoading = false;
+        this._loadToken = 0;
+        this._search = '';
+        this._sort = '';
+        this._hideOwned = false;
+        this._hidePossible = false;
+        this._selected = null;
+        this._detailToken = 0;
+        this._delegatesInitialized = false;
+        this._modalEventsAttached = false;
+    }
+
+    // ── Subclass Hooks ──────────────────────────────────────
+
+    /** DOM id for a named element of this view. */
+    _id(name) { throw new Error('CatalogBrowseView subclass must implement _id()'); }
+
+    /** Prefix for console and debug log lines. */
+    get _logTag() { return '[CatalogBrowse]'; }
+
+    /** Sort choices as `{ value, label }` strings; empty hides the select. */
+    _sortOptions() { return []; }
+
+    /** The hit behind a grid card id, or null. */
+    _findHit(id) { return null; }
+
+    /** First load after init. */
+    _load() {}
+
+    /** Re-run the current search, sort and filters. */
+    _reload() {}
+
+    /** Refresh button handler. */
+    _refresh() { this._reload(); }
+
+    /** Clear loaded results when the DOM was recreated. */
+    _resetResults() {}
+
+    _thumbUrl(hit) { return hit.avatar || '/img/ai4.png'; }
+
+    /** Full-size image for the preview modal. */
+    _previewAvatarUrl(hit) { return this._thumbUrl(hit); }
+
+    /** Footer stats for a grid card. */
+    _cardFooterHtml(hit) { return ''; }
+
+    /** Card title tooltip, before escaping. */
+    _cardTitle(hit) { return stripHtml(hit.tagline); }
+
+    _searchPlaceholder() { return `Search ${this.provider.name}...`; }
+
+    /** Filter bar controls shown before the sort select. */
+    _renderLeadingFilters() { return ''; }
+
+    get _refreshTitle() { return 'Refresh'; }
+
+    /** Extra lines under the creator in the preview header. */
+    _renderPreviewMeta() { return ''; }
+
+    /** Extra buttons before Import in the preview header. */
+    _renderPreviewControls() { return ''; }
+
+    /** Fill the parts of the preview header rendered by the two hooks above. */
+    _fillPreviewHeader(hit) {}
+
+    get _detailUnavailableHtml() {
+        return '<em style="color: var(--text-secondary, #888)">Could not load character definition. The character can still be imported if the download works.</em>';
+    }
+
+    /** Wire controls added by the subclass; called once per view DOM. */
+    _wireExtraControls() {}
+
+    // ── Shared Surface ──────────────────────────────────────
+
+    _el(name) { return document.getElementById(this._id(name)); }
+
+    get previewModalId() { return this._id('charModal'); }
+
+    getSettingsConfig() {
+        return {
+            browseSortOptions: this._sortOptions(),
+            followingSortOptions: [],
+            viewModes: [],
+        };
+    }
+
+    closePreview() {
+        this._closePreviewModal();
+    }
+
+    get mobileFilterIds() {
+        return {
+            sort: this._sortOptions().length ? this._id('sortSelect') : null,
+            filters: this._id('filtersBtn'),
+            refresh: this._id('refreshBtn')
+        };
+    }
+
+    // ── Library Lookup ──────────────────────────────────────
+
+    _isInLibrary(hit) {
+        if (hit.id && this._lookup.byProviderId.has(String(hit.id))) return true;
+        const name = (hit.name || '').toLowerCase().trim();
+        const creator = (hit.creator || '').toLowerCase().trim();
+        return !!(name && creator && this._lookup.byNameAndCreator.has(`${name}|${creator}`));
+    }
+
+    _isPossibleMatch(hit) {
+        if (this._isInLibrary(hit)) return false;
+        return this.isCharPossibleMatch(hit.name || '', hit.creator || '');
+    }
+
+    // ── Card Rendering ──────────────────────────────────────
+
+    _createCard(hit) {
+        const name = hit.name || 'Unknown';
+        const inLibrary = this._isInLibrary(hit);
+        const possibleTier = inLibrary ? null : this.getPossibleMatchTier(hit.name || '', hit.creator);
+        const possibleMatch = !!possibleTier?.show;
+
+        let badge = '';
+        if (inLibrary) {
+            badge = '<span class="browse-feature-badge in-library" title="In Your Library"><i class="fa-solid fa-check"></i></span>';
+        } else if (possibleMatch) {
+            badge = `<span class="browse-feature-badge possible-library pl-${possibleTier.tier}" title="${possibleTier.tooltip}"><i class="fa-solid fa-check"></i></span>`;
+        }
+
+        const cardClass = inLibrary ? 'browse-card in-library' : possibleMatch ? 'browse-card possible-library' : 'browse-card';
+        const title = this._cardTitle(hit);
+
+        return `
+            <div class="${cardClass}" data-catalog-id="${escapeHtml(hit.id)}" ${title ? `title="${escapeHtml(title)}"` : ''}>
+                <div class="browse-card-image">
+                    <img data-src="${escapeHtml(this._thumbUrl(hit))}" src="${IMG_PLACEHOLDER}" alt="${escapeHtml(name)}" decoding="async" fetchpriority="low" onerror="this.dataset.failed='1';this.src='/img/ai4.png'">
+                    ${badge ? `<div class="browse-feature-badges">${badge}</div>` : ''}
+                </div>
+                <div class="browse-card-body">
+                    <div class="browse-card-name">${escapeHtml(name)}</div>
+                    ${hit.creator ? `<span class="browse-card-creator-link" data-author="${escapeHtml(hit.creator)}">${escapeHtml(hit.creator)}</span>` : ''}
+                    <div class="browse-card-tags">
+                        ${hit.tags.slice(0, 3).map(t => `<span class="browse-card-tag" title="${escapeHtml(t)}">${escapeHtml(t)}</span>`).join('')}
+                    </div>
+                </div>
+                <div class="browse-card-footer">
+                    ${this._cardFooterHtml(hit)}
+                </div>
+            </div>
+        `;
+    }
+
+    _messageHtml(icon, title, detail = '') {
+        return `
+            <div style="grid-column: 1 / -1; padding: 40px; text-align: center; color: var(--text-muted);">
+                <i class="${icon}" style="font-size: 2rem; opacity: 0.5;"></i>
+                <p style="margin-top: 12px; font-weight: 600;">${escapeHtml(title)}</p>
+                ${detail ? `<p style="margin-top: 6px;">${escapeHtml(detail)}</p>` : ''}
+            </div>
+        `;
+    }
+
+    /** Error block with a Retry button wired to `retry`. */
+    _renderGridError(grid, message, retry) {
+        grid.innerHTML = `
+            <div style="grid-column: 1 / -1; padding: 40px; text-align: center; color: var(--text-muted);">
+                <i class="fa-solid fa-exclamation-triangle" style="font-size: 2rem; color: var(--cl-error-bright);"></i>
+                <p style="margin-top: 12px;">${escapeHtml(message)}</p>
+                <button class="glass-btn" style="margin-top: 12px;" id="${this._id('retryBtn')}">
+                    <i class="fa-solid fa-redo"></i> Retry
+                </button>
+            </div>
+        `;
+        this._el('retryBtn')?.addEventListener('click', retry);
+    }
+
+    _doSearch() {
+        const input = this._el('searchInput');
+        this._search = (input?.value || '').trim();
+        this._el('clearSearchBtn')?.classList.toggle('hidden', !this._search);
+        this._reload();
+    }
+
+    // ── Preview Modal ───────────────────────────────────────
+
+    _openPreviewModal(hit) {
+        this._selected = hit;
+        const modal = this._el('charModal');
+        if (!modal) return;
+        CoreAPI.resetBrowseSectionCollapseState(modal);
+
+        const name = hit.name || 'Unknown';
+        const avatarImg = this._el('charAvatar');
+        avatarImg.src = this._previewAvatarUrl(hit);
+        avatarImg.onerror = () => { avatarImg.src = '/img/ai4.png'; };
+        BrowseView.adjustPortraitPosition(avatarImg);
+        this._el('charName').textContent = name;
+        this._el('charCreator').textContent = hit.creator || 'Unknown';
+        this._fillPreviewHeader(hit);
+
+        this._el('charTokens').textContent = formatNumber(hit.tokens || 0);
+        this._el('charTags').innerHTML = hit.tags.map(t => `<span class="browse-tag">${escapeHtml(t)}</span>`).join('');
+
+        for (const [section, lines] of [['Description', 3], ['Scenario', 2], ['FirstMsg', 4]]) {
+            const sectionEl = this._el(`char${section}Section`);
+            const el = this._el(`char${section}`);
+            if (sectionEl && el) { sectionEl.style.display = 'block'; el.innerHTML = skeletonLines(lines); }
+        }
+        this._el('charCreatorNotesSection').style.display = 'none';
+        this._el('charExamplesSection').style.display = 'none';
+
+        const importBtn = this._el('importBtn');
+        const inLibrary = this._isInLibrary(hit);
+        const possibleMatch = !inLibrary && this._isPossibleMatch(hit);
+        if (inLibrary) {
+            importBtn.innerHTML = '<i class="fa-solid fa-check"></i> In Library';
+            importBtn.classList.add('secondary');
+            importBtn.classList.remove('primary', 'warning');
+        } else if (possibleMatch) {
+            importBtn.innerHTML = '<i class="fa-solid fa-download"></i> Import (Possible Match)';
+            importBtn.classList.add('warning');
+            importBtn.classList.remove('primary', 'secondary');
+        } else {
+            importBtn.innerHTML = '<i class="fa-solid fa-download"></i> Import';
+            importBtn.classList.add('primary');
+            importBtn.classList.remove('secondary', 'warning');
+        }
+        importBtn.disabled = false;
+
+        modal.classList.remove('hidden');
+        const charBody = modal.querySelector('.browse-char-body');
+        if (charBody) charBody.scrollTop = 0;
+
+        this._populateDetails(hit, ++this._detailToken);
+    }
+
+    async _populateDetails(hit, token) {
+        let card = null;
+        try {
+            card = await this.provider.fetchRemoteCard({ id: hit.id });
+        } catch (e) {
+            debugLog(`${this._logTag} Detail fetch error:`, e);
+        }
+        if (token !== this._detailToken) return;
+
+        const name = hit.name || 'Unknown';
+        if (!card) {
+            const descEl = this._el('charDescription');
+            if (descEl) descEl.innerHTML = this._detailUnavailableHtml;
+            for (const section of ['Scenario', 'FirstMsg']) this._el(`char${section}Section`).style.display = 'none';
+            return;
+        }
+
+        const data = card.data;
+        if (this._selected?.id === hit.id) this._selected._card = card;
+
+        const notesSection = this._el('charCreatorNotesSection');
+        const notesEl = this._el('charCreatorNotes');
+        if (data.creator_notes.trim()) {
+            notesSection.style.display = 'block';
+            notesEl.innerHTML = skeletonLines(3);
+            deferCall(notesEl, () => renderCreatorNotesSecure(data.creator_notes, name, notesEl));
+        }
+
+        const fill = (section, text) => {
+            const sectionEl = this._el(`char${section}Section`);
+            const el = this._el(`char${section}`);
+            if (!sectionEl || !el) return;
+            if (!text) { sectionEl.style.display = 'none'; return; }
+            sectionEl.style.display = 'block';
+            deferRender(el, () => safePurify(formatRichText(text, name, true), BROWSE_PURIFY_CONFIG));
+        };
+        fill('Description', data.description || data.personality);
+        fill('Scenario', data.scenario);
+        fill('Examples', data.mes_example);
+        fill('FirstMsg', data.first_mes);
+        const firstMsgEl = this._el('charFirstMsg');
+        if (firstMsgEl) firstMsgEl.dataset.fullContent = data.first_mes;
+        CoreAPI.setBrowseAltGreetings(data.alternate_greetings.length ? data.alternate_greetings : null);
+    }
+
+    _closePreviewModal() {
+        this._detailToken++;
+        BrowseView.closeAvatarViewer();
+        CoreAPI.setBrowseAltGreetings(null);
+        for (const name of ['charDescription', 'charScenario', 'charFirstMsg', 'charExamples', 'charTags']) {
+            const el = this._el(name);
+            if (el) el.innerHTML = '';
+        }
+        const notesEl = this._el('charCreatorNotes');
+        if (notesEl) cleanupCreatorNotesContainer(notesEl);
+        this._el('charModal')?.classList.add('hidden');
+        this._selected = null;
+    }
+
+    // ── Import ──────────────────────────────────────────────
+
+    async _importCharacter(hit) {
+        if (!hit?.id) return;
+        const importBtn = this._el('importBtn');
+        const resetBtn = () => {
+            if (!importBtn) return;
+            importBtn.disabled = false;
+            importBtn.innerHTML = '<i class="fa-solid fa-download"></i> Import';
+        };
+        if (importBtn) {
+            importBtn.disabled = true;
+            importBtn.innerHTML = '<i class="fa-solid fa-spinner fa-spin"></i> Checking...';
+        }
+
+        let inheritedGalleryId = null;
+        try {
+            const data = hit._card?.data;
+            const duplicateMatches = await checkCharacterForDuplicatesAsync({
+                name: data?.name || hit.name,
+                creator: data?.creator || hit.creator,
+                fullPath: hit.id,
+                description: data?.description || '',
+                first_mes: data?.first_mes || '',
+                scenario: data?.scenario || ''
+            });
+
+            if (duplicateMatches && duplicateMatches.length > 0) {
+                if (importBtn) importBtn.innerHTML = '<i class="fa-solid fa-exclamation-triangle"></i> Duplicate found...';
+                const result = await showPreImportDuplicateWarning({
+                    name: hit.name,
+                    creator: hit.creator,
+                    fullPath: hit.id,
+                    avatarUrl: this._thumbUrl(hit)
+                }, duplicateMatches);
+
+                if (result.choice === 'skip') {
+                    showToast('Import cancelled', 'info');
+                    resetBtn();
+                    return;
+                }
+                if (result.choice === 'replace') {
+                    const toReplace = duplicateMatches[0].char;
+                    inheritedGalleryId = getCharacterGalleryId(toReplace);
+                    if (importBtn) importBtn.innerHTML = '<i class="fa-solid fa-spinner fa-spin"></i> Replacing...';
+                    const deleteSuccess = await deleteCharacter(toReplace, false);
+                    if (!deleteSuccess) {
+                        console.warn(`${this._logTag} Could not delete existing character, proceeding with import anyway`);
+                    }
+                }
+            }
+
+            if (importBtn) importBtn.innerHTML = '<i class="fa-solid fa-spinner fa-spin"></i> Importing...';
+
+            const result = await this.provider.importCharacter(hit.id, hit, { inheritedGalleryId });
+            if (!result.success) throw new Error(result.error || 'Import failed');
+
+            const mediaUrls = result.embeddedMediaUrls || [];
+            await finishBrowseImport({
+                view: this,
+                summaryArgs: {
+                    mediaCharacters: [{
+                        characterName: result.characterName,
+                        name: result.characterName,
+                        fileName: result.fileName,
+                        avatar: result.fileName,
+                        galleryId: result.galleryId,
+                        mediaUrls,
+                        galleryPageUrls: [],
+                        cardData: result.cardData
+                    }]
+                },
+                showSummary: mediaUrls.length > 0 && getSetting('importMediaAction') !== 'none',
+                closePreview: () => this._closePreviewModal(),
+                importBtn,
+                characterName: result.characterName,
+                avatarFileName: result.fileName,
+                // finishBrowseImport's own badge re-grade covers the single grid
+                markImported: () => {},
+            });
+        } catch (err) {
+            console.error(`${this._logTag} Import failed:`, err);
+            showToast(`Import failed: ${err.message}`, 'error');
+            resetBtn();
+        }
+    }
+
+    // ── Filter Bar ──────────────────────────────────────────
+
+    renderFilterBar() {
+        const sorts = this._sortOptions();
+        const sortSelect = sorts.length ? `
+            <div class="browse-sort-container">
+                <select id="${this._id('sortSelect')}" class="glass-select" title="Sort order">
+                    ${sorts.map(s => `<option value="${escapeHtml(s.value)}" ${s.value === this._sort ? 'selected' : ''}>${escapeHtml(s.label)}</option>`).join('')}
+                </select>
+            </div>` : '';
+
+        return `
+            ${this._renderLeadingFilters()}
+            ${sortSelect}
+
+            <!-- Feature Filters -->
+            <div class="browse-more-filters" style="position: relative;">
+                <button id="${this._id('filtersBtn')}" class="glass-btn" title="Additional filters">
+                    <i class="fa-solid fa-sliders"></i> <span>Features</span>
+                </button>
+                <div id="${this._id('filtersDropdown')}" class="dropdown-menu browse-features-dropdown hidden" style="width: 240px;">
+                    <div class="dropdown-section-title">Library:</div>
+                    <label class="filter-checkbox"><input type="checkbox" id="${this._id('filterHideOwned')}"> <i class="fa-solid fa-check"></i> Hide Owned Characters</label>
+                    <label class="filter-checkbox"><input type="checkbox" id="${this._id('filterHidePossible')}"> <i class="fa-solid fa-check" style="color: #f0a500;"></i> Hide Possible Matches</label>
+                </div>
+            </div>
+
+            <!-- Refresh -->
+            <button id="${this._id('refreshBtn')}" class="glass-btn icon-only" title="${escapeHtml(this._refreshTitle)}">
+                <i class="fa-solid fa-sync"></i>
+            </button>
+        `;
+    }
+
+    _updateFiltersButton() {
+        const btn = this._el('filtersBtn');
+        if (!btn) return;
+        const count = [this._hideOwned, this._hidePossible].filter(Boolean).length;
+        btn.classList.toggle('has-filters', count > 0);
+        const span = btn.querySelector('span');
+        if (span) span.textContent = count > 0 ? `Features (${count})` : 'Features';
+    }
+
+    // ── Main View ───────────────────────────────────────────
+
+    renderView() {
+        return `
+            <div id="${this._id('browseSection')}" class="browse-section">
+                <div class="browse-search-bar">
+                    <div class="browse-search-input-wrapper">
+                        <i class="fa-solid fa-search"></i>
+                        <input type="search" id="${this._id('searchInput')}" placeholder="${escapeHtml(this._searchPlaceholder())}" autocomplete="one-time-code">
+                        <button id="${this._id('clearSearchBtn')}" class="browse-search-clear hidden" title="Clear search">
+                            <i class="fa-solid fa-xmark"></i>
+                        </button>
+                        <button id="${this._id('searchBtn')}" class="browse-search-submit">
+                            <i class="fa-solid fa-arrow-right"></i>
+                        </button>
+                    </div>
+                </div>
+
+                <div id="${this._id('grid')}" class="browse-grid"></div>
+
+                <div class="browse-load-more" id="${this._id('loadMore')}" style="display: none;">
+                    <button id="${this._id('loadMoreBtn')}" class="glass-btn">
+                        <i class="fa-solid fa-plus"></i> Load More
+                    </button>
+                </div>
+            </div>
+        `;
+    }
+
+    // ── Modals ──────────────────────────────────────────────
+
+    renderModals() {
+        const section = (key, icon, label, extraClass = '') => `
+                <div class="browse-char-section${extraClass}" id="${this._id(`char${key}Section`)}" style="display: none;">
+                    <h3 class="browse-section-title" data-section="${this._id(`char${key}`)}" data-label="${label}" data-icon="${icon}" title="Click to expand">
+                        <i class="${icon}"></i> ${label}
+                    </h3>
+                    <div id="${this._id(`char${key}`)}" class="scrolling-text${key === 'FirstMsg' ? ' first-message-preview' : ''}"></div>
+                </div>`;
+
+        return `
+    <div id="${this._id('charModal')}" class="modal-overlay hidden">
+        <div class="modal-glass browse-char-modal">
+            <div class="modal-header">
+                <div class="browse-char-header-info">
+                    <img id="${this._id('charAvatar')}" src="/img/ai4.png" alt="" class="browse-char-avatar">
+                    <div>
+                        <h2 id="${this._id('charName')}">Character Name</h2>
+                        <p class="browse-char-meta">
+                            by <span id="${this._id('charCreator')}" class="browse-meta-identity">Creator</span>
+                        </p>${this._renderPreviewMeta()}
+                    </div>
+                </div>
+                <div class="modal-controls">${this._renderPreviewControls()}
+                    <button id="${this._id('importBtn')}" class="action-btn primary" title="Import to SillyTavern">
+                        <i class="fa-solid fa-download"></i> Import
+                    </button>
+                    <button class="close-btn" id="${this._id('charClose')}">&times;</button>
+                </div>
+            </div>
+            <div class="browse-char-body">
+                <div class="browse-char-meta-grid">
+                    <div class="browse-char-stats">
+                        <div class="browse-stat">
+                            <i class="fa-solid fa-message"></i>
+                            <span id="${this._id('charTokens')}">0</span> tokens
+                        </div>
+                    </div>
+                    <div class="browse-char-tags" id="${this._id('charTags')}"></div>
+                </div>
+                ${section('CreatorNotes', 'fa-solid fa-feather-pointed', "Creator's Notes")}
+                ${section('Description', 'fa-solid fa-scroll', 'Description')}
+                ${section('Scenario', 'fa-solid fa-theater-masks', 'Scenario')}
+                ${section('Examples', 'fa-solid fa-comments', 'Example Dialogs', ' browse-section-collapsed')}
+                ${section('FirstMsg', 'fa-solid fa-message', 'First Message')}
+            </div>
+        </div>
+    </div>`;
+    }
+
+    // ── Event Wiring ────────────────────────────────────────
+
+    _initView() {
+        if (this._delegatesInitialized) return;
+        this._delegatesInitialized = true;
+
+        const sortEl = this._el('sortSelect');
+        if (sortEl) CoreAPI.initCustomSelect?.(sortEl);
+
+        this._el('grid')?.addEventListener('click', (e) => {
+            const card = e.target.closest('.browse-card');
+            if (!card?.dataset.catalogId) return;
+            const hit = this._findHit(card.dataset.catalogId);
+            if (hit) this._openPreviewModal(hit);
+        });
+
+        on(this._id('searchInput'), 'keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this._doSearch();
+            }
+        });
+        on(this._id('searchInput'), 'input', (e) => {
+            this._el('clearSearchBtn')?.classList.toggle('hidden', !e.target.value.trim());
+        });
+        on(this._id('searchBtn'), 'click', () => this._doSearch());
+        on(this._id('clearSearchBtn'), 'click', () => {
+            const input = this._el('searchInput');
+            if (input) input.value = '';
+            this._doSearch();
+        });
+
+        on(this._id('loadMoreBtn'), 'click', () => this.loadMore());
+        on(this._id('refreshBtn'), 'click', () => this._refresh());
+        on(this._id('sortSelect'), 'change', () => {
+            this._sort = this._el('sortSelect')?.value || this._sortOptions()[0]?.value || '';
+            this._reload();
+        });
+
+        const filtersDropdown = this._el('filtersDropdown');
+        on(this._id('filtersBtn'), 'click', (e) => {
+            e.stopPropagation();
+            CoreAPI.closeAllTopbarDropdowns();
+            filtersDropdown?.classList.toggle('hidden');
+        });
+        filtersDropdown?.addEventListener('click', (e) => e.stopPropagation());
+        on(this._id('filterHideOwned'), 'change', (e) => {
+            this._hideOwned = e.target.checked;
+            this._updateFiltersButton();
+            this._reload();
+        });
+        on(this._id('filterHidePossible'), 'change', (e) => {
+            this._hidePossible = e.target.checked;
+            this._updateFiltersButton();
+            this._reload();
+        });
+        this._registerDropdownDismiss([
+            { dropdownId: this._id('filtersDropdown'), buttonId: this._id('filtersBtn') }
+        ]);
+
+        this._wireExtraControls();
+
+        // Modal DOM persists across provider switches; wire it once
+        if (!this._modalEventsAttached) {
+            this._modalEventsAttached = true;
+            const overlay = this._el('charModal');
+            BrowseView.wireTitleScroll(this._el('charName'), overlay, overlay?.querySelector('.browse-char-modal'));
+            on(this._id('charClose'), 'click', () => this._closePreviewModal());
+            on(this._id('importBtn'), 'click', () => {
+                if (this._selected) this._importCharacter(this._selected);
+            });
+            const avatar = this._el('charAvatar');
+            avatar?.addEventListener('click', (e) => {
+                if (isMobileMode()) return;
+                e.stopPropagation();
+                if (!avatar.src || avatar.src.endsWith('/img/ai4.png')) return;
+                BrowseView.openAvatarViewer(avatar.src);
+            });
+            overlay?.addEventListener('click', (e) => {
+                if (e.target === overlay) this._closePreviewModal();
+            });
+            window.registerOverlay?.({ id: this._id('charModal'), tier: 7, close: () => this._closePreviewModal() });
+        }
+    }
+
+    // ── Lifecycle ───────────────────────────────────────────
+
+    _getImageGridIds() { return [this._id('grid')]; }
+
+    init() {
+        super.init();
+        this.buildLocalLibraryLookup();
+        this._initView();
+        this._load();
+    }
+
+    getSearchInputId(mode) {
+        return mode === 'character' ? this._id('searchInput') : null;
+    }
+
+    applyDefaults(defaults) {
+        if (defaults.sort && this._sortOptions().some(s => s.value === defaults.sort)) {
+            this._sort = defaults.sort;
+            const el = this._el('sortSelect');
+            if (el) el.value = defaults.sort;
+        }
+        if (defaults.hideOwned) {
+            this._hideOwned = true;
+            const el = this._el('filterHideOwned');
+            if (el) el.checked = true;
+        }
+        if (defaults.hidePossible) {
+            this._hidePossible = true;
+            const el = this._el('filterHidePossible');
+            if (el) el.checked = true;
+        }
+        if (defaults.hideOwned || defaults.hidePossible) this._updateFiltersButton();
+    }
+
+    activate(container, options = {}) {
+        if (options.domRecreated) {
+            this._search = '';
+            this._isLoading = false;
+            this._resetResults();
+            this._delegatesInitialized = false;
+        }
+        const wasInitialized = this._initialized;
+        super.activate(container, options);
+
+        if (wasInitialized && this._initialized) {
+            this._delegatesInitialized = true;
+            this.buildLocalLibraryLookup();
+            this.reconnectImageObserver();
+        }
+    }
+
+    refreshInLibraryBadges() {
+        super.refreshInLibraryBadges(card => {
+            const id = card.dataset.catalogId;
+            const name = card.querySelector('.browse-card-name')?.textContent || '';
+            const creator = card.querySelector('.browse-card-creator-link')?.textContent || '';
+            return this._isInLibrary({ id, name, creator });
+        });
+    }
+
+    deactivate() {
+        this._detailToken++;
+        this._delegatesInitialized = false;
+        super.deactivate();
+        this.disconnectImageObserver();
+    }
+}
@@ -27,7 +27,7 @@ export const CT_SORT_OPTIONS = {
 // NETWORK (shared)
 // ========================================
 
-import { fetchWithProxy } from '../provider-utils.js';
+import { fetchWithProxy, scheduleRequest } from '../provider-utils.js';
 export { fetchWithProxy };
 
 // ========================================
@@ -143,8 +143,7 @@ async function ctFetch(url, apiRequest) {
     if (ctSessionActive && apiRequest) {
         // Route through cl-helper proxy: strip the CT origin, prepend proxy path
         const path = url.replace(CT_SITE_BASE, '');
-        const resp = await apiRequest(`${CL_HELPER_CT_BASE}/ct-proxy${path}`);
-        return resp;
+        return scheduleRequest('character-tavern.com', () => apiRequest(`${CL_HELPER_CT_BASE}/ct-proxy${path}`));
     }
     return fetchWithProxy(url);
 }
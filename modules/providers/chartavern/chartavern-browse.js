@@ -1903,6 +1903,10 @@ class ChartavernBrowseView extends BrowseView {
         return mode === 'character' ? 'ctSearchInput' : null;
     }
 
+    getSavedSearchDraft() {
+        return { query: ctCurrentSearch, tags: [...ctIncludeTags], minTokens: ctMinTokens, nsfw: ctNsfwEnabled };
+    }
+
     applyDefaults(defaults) {
         if (defaults.sort) {
             ctSortMode = defaults.sort;
@@ -358,6 +358,8 @@ class ChartavernProvider extends ProviderBase {
 
     // ── Remote Data ─────────────────────────────────────────
 
+    get requestHosts() { return ['character-tavern.com']; }
+
     async fetchMetadata(fullPath) {
         if (!fullPath) return null;
         try {
@@ -507,6 +509,34 @@ class ChartavernProvider extends ProviderBase {
         return result.avatarUrl || '';
     }
 
+    // ── Unified Search ──────────────────────────────────────
+
+    get supportsUnifiedSearch() { return true; }
+
+    async searchUnified(query, options = {}) {
+        const data = await searchCards({
+            query,
+            sort: options.sort === 'newest' ? 'newest' : 'most_popular',
+            page: 1,
+            limit: options.limit || 24,
+            tags: options.tags?.join(',') || '',
+            minimumTokens: options.minTokens || undefined,
+            nsfw: options.nsfw ?? api?.getSetting('ctNsfw') === true
+        }, api?.apiRequest);
+        return (data?.hits || []).map(hit => ({
+            id: hit.path,
+            name: hit.name || 'Unnamed',
+            creator: hit.author || hit.path?.split('/')[0] || '',
+            avatarUrl: hit.path ? getAvatarUrl(hit.path) : '',
+            tagline: stripHtml(hit.tagline || hit.pageDescription || ''),
+            nTokens: hit.totalTokens || 0,
+            starCount: hit.likes || 0,
+            tags: parseTags(hit.tags),
+            url: this.getCharacterUrl({ fullPath: hit.path }),
+            hit,
+        }));
+    }
+
     // ── Import Pipeline ─────────────────────────────────────
 
     get supportsImport() { return true; }
@@ -52,7 +52,7 @@ export function getChubHeaders(includeAuth = true) {
 }
 
 export { fetchWithProxy } from '../provider-utils.js';
-import { proxyEncode } from '../provider-utils.js';
+import { proxyEncode, scheduledFetch } from '../provider-utils.js';
 
 // ========================================
 // RESPONSE HELPERS
@@ -101,11 +101,11 @@ export async function fetchChubMetadata(fullPath) {
 
         let response;
         try {
-            response = await fetch(url, { headers: getChubHeaders(true) });
+            response = await scheduledFetch(url, { headers: getChubHeaders(true) });
         } catch (directError) {
             debugLog('[Chub] Direct fetch failed, trying proxy:', directError.message);
             const proxyUrl = `/proxy/${proxyEncode(url)}`;
-            response = await fetch(proxyUrl, { headers: getChubHeaders(true) });
+            response = await scheduledFetch(proxyUrl, { headers: getChubHeaders(true) });
         }
 
         if (!response.ok) {
@@ -190,10 +190,10 @@ export async function fetchChubLinkedLorebook(projectId) {
         const commitsUrl = `${CHUB_API_BASE}/api/v4/projects/${projectId}/repository/commits`;
         let commitsResp;
         try {
-            commitsResp = await fetch(commitsUrl, { headers });
+            commitsResp = await scheduledFetch(commitsUrl, { headers });
             if (!commitsResp.ok) throw new Error(`HTTP ${commitsResp.status}`);
         } catch (_) {
-            commitsResp = await fetch(`/proxy/${proxyEncode(commitsUrl)}`, { headers });
+            commitsResp = await scheduledFetch(`/proxy/${proxyEncode(commitsUrl)}`, { headers });
             if (!commitsResp.ok) return null;
         }
         const commits = await commitsResp.json();
@@ -203,10 +203,10 @@ export async function fetchChubLinkedLorebook(projectId) {
         const cardUrl = `${CHUB_API_BASE}/api/v4/projects/${projectId}/repository/files/raw%252Fcard.json/raw?ref=${ref}`;
         let cardResp;
         try {
-            cardResp = await fetch(cardUrl, { headers });
+            cardResp = await scheduledFetch(cardUrl, { headers });
             if (!cardResp.ok) throw new Error(`HTTP ${cardResp.status}`);
         } catch (_) {
-            cardResp = await fetch(`/proxy/${proxyEncode(cardUrl)}`, { headers });
+            cardResp = await scheduledFetch(`/proxy/${proxyEncode(cardUrl)}`, { headers });
             if (!cardResp.ok) return null;
         }
         const card = await cardResp.json();
@@ -815,6 +815,16 @@ class ChubBrowseView extends BrowseView {
         return mode === 'creator' ? 'chubCreatorSearchInput' : 'chubSearchInput';
     }
 
+    getSavedSearchDraft() {
+        return {
+            query: chubCurrentSearch,
+            tags: [...chubTagFilters].filter(([, state]) => state === 'include').map(([tag]) => tag),
+            minTokens: chubMinTokens > 50 ? chubMinTokens : 0,
+            creator: chubAuthorFilter || '',
+            nsfw: chubNsfwEnabled,
+        };
+    }
+
     applyDefaults(defaults) {
         if (defaults.view === 'timeline') {
             chubViewMode = 'timeline';
@@ -5,7 +5,7 @@
 
 import { ProviderBase } from '../provider-interface.js';
 import CoreAPI from '../../core-api.js';
-import { assignGalleryId, importFromPng, slugify, proxyEncode } from '../provider-utils.js';
+import { assignGalleryId, importFromPng, slugify, proxyEncode, scheduledFetch } from '../provider-utils.js';
 import chubBrowseView, { openChubTokenModal } from './chub-browse.js';
 import {
     initChubApi,
@@ -239,6 +239,8 @@ class ChubProvider extends ProviderBase {
 
     // ── Remote Data ─────────────────────────────────────────
 
+    get requestHosts() { return ['api.chub.ai', 'gateway.chub.ai']; }
+
     async fetchMetadata(fullPath) {
         return fetchChubMetadata(fullPath);
     }
@@ -295,8 +297,11 @@ class ChubProvider extends ProviderBase {
             // Last resort: PNG extraction
             const pngUrl = `${CHUB_AVATAR_BASE}${fullPath}/chara_card_v2.png`;
             let response;
-            try { response = await fetch(pngUrl); }
-            catch { response = await fetch(`/proxy/${proxyEncode(pngUrl)}`); }
+            try { response = await scheduledFetch(pngUrl); }
+            catch (e) {
+                if (e?.code === 'PROVIDER_UNAVAILABLE') throw e;
+                response = await scheduledFetch(`/proxy/${proxyEncode(pngUrl)}`);
+            }
             if (response.ok) {
                 const buffer = await response.arrayBuffer();
                 const cardData = api?.extractCharacterDataFromPng?.(buffer);
@@ -619,7 +624,7 @@ class ChubProvider extends ProviderBase {
                     username: creatorLower
                 });
                 try {
-                    const authorResp = await fetch(`${CHUB_API_BASE}/search?${authorParams}`, { method: 'GET', headers });
+                    const authorResp = await scheduledFetch(`${CHUB_API_BASE}/search?${authorParams}`, { method: 'GET', headers });
                     if (authorResp.ok) {
                         const authorData = await authorResp.json();
                         const authorNodes = this._extractNodes(authorData);
@@ -650,7 +655,7 @@ class ChubProvider extends ProviderBase {
                 search: searchTerm, first: '10', sort: 'download_count',
                 nsfw: 'true', nsfl: 'true', include_forks: 'true', min_tokens: '50'
             });
-            const resp = await fetch(`${CHUB_API_BASE}/search?${params}`, { method: 'GET', headers });
+            const resp = await scheduledFetch(`${CHUB_API_BASE}/search?${params}`, { method: 'GET', headers });
             if (resp.ok) {
                 const data = await resp.json();
                 for (const node of this._extractNodes(data)) {
@@ -666,7 +671,7 @@ class ChubProvider extends ProviderBase {
                     search: name, first: '15', sort: 'download_count',
                     nsfw: 'true', nsfl: 'true', include_forks: 'true', min_tokens: '50'
                 });
-                const nameResp = await fetch(`${CHUB_API_BASE}/search?${nameParams}`, { method: 'GET', headers });
+                const nameResp = await scheduledFetch(`${CHUB_API_BASE}/search?${nameParams}`, { method: 'GET', headers });
                 if (nameResp.ok) {
                     const nameData = await nameResp.json();
                     allResults = this._extractNodes(nameData).map(n => this._normalizeSearchResult(n, CHUB_AVATAR_BASE));
@@ -684,6 +689,36 @@ class ChubProvider extends ProviderBase {
         return result.avatarUrl || `${CHUB_AVATAR_BASE}${result.fullPath}/avatar`;
     }
 
+    // ── Unified Search ──────────────────────────────────────
+
+    get supportsUnifiedSearch() { return true; }
+
+    async searchUnified(query, options = {}) {
+        const nsfw = String(options.nsfw ?? api?.getSetting('chubNsfw') === true);
+        const params = new URLSearchParams({
+            search: query, first: String(options.limit || 24),
+            sort: options.sort === 'newest' ? 'id' : 'download_count',
+            nsfw, nsfl: nsfw, include_forks: 'true',
+            min_tokens: String(Math.max(50, options.minTokens || 0))
+        });
+        if (options.tags?.length) params.set('topics', options.tags.join(','));
+        if (options.creator) params.set('username', options.creator);
+        const resp = await scheduledFetch(`${CHUB_API_BASE}/search?${params}`, { method: 'GET', headers: this._getHeaders() });
+        if (!resp.ok) throw new Error(`ChubAI search returned HTTP ${resp.status}`);
+        return this._extractNodes(await resp.json()).map(node => ({
+            id: node.fullPath,
+            name: node.name || node.fullPath?.split('/').pop() || '',
+            creator: node.fullPath?.split('/')[0] || '',
+            avatarUrl: node.avatar_url || `${CHUB_AVATAR_BASE}${node.fullPath}/avatar`,
+            tagline: node.tagline || '',
+            nTokens: node.nTokens || node.n_tokens || 0,
+            starCount: node.starCount || 0,
+            tags: node.topics || [],
+            url: this.getCharacterUrl({ fullPath: node.fullPath }),
+            hit: node,
+        }));
+    }
+
     // ── Import Pipeline ─────────────────────────────────────
 
     get supportsImport() { return true; }
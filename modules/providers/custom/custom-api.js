@@ -0,0 +1,408 @@
+// Shared custom provider utilities - used by custom-provider.js and custom-browse.js
+//
+// A custom provider is a JSON definition (no code) describing a self-hosted or
+// niche card repository: where to search, how to page, where the fields live in
+// the responses, and how to download a full card. Definitions are stored in a
+// user file so they are available before gallery settings finish loading.
+
+import CoreAPI from '../../core-api.js';
+import { fetchWithProxy } from '../provider-utils.js';
+
+// ========================================
+// CONSTANTS
+// ========================================
+
+export const CUSTOM_PROVIDERS_FILE = '_cl_custom_providers.json';
+const STORAGE_VERSION = 1;
+
+const ID_PATTERN = /^[a-z][a-z0-9_-]{1,31}$/;
+const ICON_PATTERN = /^fa-(solid|regular|brands) fa-[a-z0-9-]+$/;
+
+// Extension keys already owned by SillyTavern, this library or a built-in provider.
+// A custom provider stores its link at data.extensions[id], so these are off limits.
+const RESERVED_IDS = new Set([
+    'fav', 'world', 'depth_prompt', 'talkativeness', 'regex_scripts', 'cl', 'gallery_id',
+    'chub', 'jannyai', 'janny', 'chartavern', 'pygmalion', 'wyvern', 'datacat', 'botbooru',
+    'custom', 'local',
+]);
+
+/** V2 data keys a definition's card.fields map may target. */
+export const CARD_FIELD_KEYS = [
+    'name', 'description', 'personality', 'scenario', 'first_mes', 'mes_example',
+    'creator_notes', 'system_prompt', 'post_history_instructions', 'alternate_greetings',
+    'tags', 'creator', 'character_version', 'character_book',
+];
+
+// ========================================
+// PATHS & TEMPLATES
+// ========================================
+
+/**
+ * Read a dot-path (numeric segments index arrays) from a response object.
+ * An empty path returns the object itself.
+ * @param {*} obj
+ * @param {string} [path]
+ * @returns {*}
+ */
+export function readPath(obj, path) {
+    if (!path) return obj;
+    let cur = obj;
+    for (const seg of String(path).split('.')) {
+        if (cur == null) return undefined;
+        cur = cur[seg];
+    }
+    return cur;
+}
+
+/**
+ * Expand {placeholder} tokens in a URL template. Values are URL-encoded;
+ * unknown placeholders expand to an empty string.
+ * @param {string} template
+ * @param {Object} vars
+ * @returns {string}
+ */
+export function fillTemplate(template, vars) {
+    return String(template || '').replace(/\{(\w+)\}/g, (_, key) =>
+        vars[key] == null ? '' : encodeURIComponent(String(vars[key])));
+}
+
+/**
+ * Expand placeholders inside a JSON request body. A string that is exactly one
+ * placeholder takes the raw value (so "{page}" stays a number); other strings
+ * are interpolated without encoding.
+ * @param {*} body
+ * @param {Object} vars
+ * @returns {*}
+ */
+export function fillBody(body, vars) {
+    if (typeof body === 'string') {
+        const whole = body.match(/^\{(\w+)\}$/);
+        if (whole) return vars[whole[1]] ?? '';
+        return body.replace(/\{(\w+)\}/g, (_, key) => vars[key] == null ? '' : String(vars[key]));
+    }
+    if (Array.isArray(body)) return body.map(v => fillBody(v, vars));
+    if (body && typeof body === 'object') {
+        const out = {};
+        for (const [k, v] of Object.entries(body)) out[k] = fillBody(v, vars);
+        return out;
+    }
+    return body;
+}
+
+/**
+ * Coerce a tags value (string array, object array or comma list) into strings.
+ * @param {*} value
+ * @returns {string[]}
+ */
+export function toTagList(value) {
+    if (!value) return [];
+    if (typeof value === 'string') return value.split(',').map(t => t.trim()).filter(Boolean);
+    if (!Array.isArray(value)) return [];
+    return value
+        .map(t => (t && typeof t === 'object') ? (t.name || t.label || t.title || '') : String(t ?? ''))
+        .map(t => t.trim())
+        .filter(Boolean);
+}
+
+// ========================================
+// VALIDATION
+// ========================================
+
+function isHttpTemplate(value) {
+    if (typeof value !== 'string' || !value) return false;
+    // Placeholders are not valid URL characters everywhere; test with them filled in
+    try {
+        const u = new URL(value.replace(/\{(\w+)\}/g, 'x'));
+        return u.protocol === 'http:' || u.protocol === 'https:';
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Validate a definition and return a cleaned copy. Names and icons end up in
+ * topbar markup, so they are restricted to plain text / Font Awesome classes.
+ * @param {Object} def - parsed definition JSON
+ * @param {Object} [options]
+ * @param {Iterable<string>} [options.takenIds] - provider ids already in use
+ * @returns {{ definition: Object|null, errors: string[] }}
+ */
+export function validateDefinition(def, options = {}) {
+    const errors = [];
+    if (!def || typeof def !== 'object' || Array.isArray(def)) {
+        return { definition: null, errors: ['Definition must be a JSON object'] };
+    }
+
+    const id = String(def.id || '').trim();
+    if (!ID_PATTERN.test(id)) {
+        errors.push('"id" must be 2-32 lowercase letters, digits, "-" or "_", starting with a letter');
+    } else if (RESERVED_IDS.has(id)) {
+        errors.push(`"id" "${id}" is reserved`);
+    } else if (options.takenIds && new Set(options.takenIds).has(id)) {
+        errors.push(`A provider with id "${id}" already exists`);
+    }
+
+    const name = String(def.name || '').replace(/<[^>]*>/g, '').replace(/[<>"&]/g, '').trim().slice(0, 40);
+    if (!name) errors.push('"name" is required');
+
+    const icon = def.icon && ICON_PATTERN.test(def.icon) ? def.icon : 'fa-solid fa-globe';
+    if (def.icon && icon !== def.icon) errors.push('"icon" must be a Font Awesome class like "fa-solid fa-server"');
+    if (def.iconUrl && (!isHttpTemplate(def.iconUrl) || /["'<>]/.test(def.iconUrl))) {
+        errors.push('"iconUrl" must be an http(s) URL');
+    }
+
+    if (def.headers && (typeof def.headers !== 'object' || Array.isArray(def.headers))) {
+        errors.push('"headers" must be an object of header names to values');
+    }
+
+    const search = def.search;
+    if (!search || !isHttpTemplate(search.url)) {
+        errors.push('"search.url" must be an http(s) URL template');
+    } else {
+        const method = String(search.method || 'GET').toUpperCase();
+        if (method !== 'GET' && method !== 'POST') errors.push('"search.method" must be GET or POST');
+        if (search.pagination && !['page', 'offset', 'none'].includes(search.pagination)) {
+            errors.push('"search.pagination" must be "page", "offset" or "none"');
+        }
+        if (search.sorts && !Array.isArray(search.sorts)) errors.push('"search.sorts" must be an array of { value, label }');
+    }
+
+    if (!def.fields?.id) errors.push('"fields.id" is required so results can be linked');
+
+    const hasCard = isHttpTemplate(def.card?.url);
+    const hasDownload = isHttpTemplate(def.download?.url);
+    if (!hasCard && !hasDownload) errors.push('Either "card.url" or "download.url" is required');
+    if (def.card?.fields) {
+        for (const key of Object.keys(def.card.fields)) {
+            if (!CARD_FIELD_KEYS.includes(key)) errors.push(`"card.fields.${key}" is not a V2 card field`);
+        }
+    }
+    if (def.download?.format && !['png', 'json'].includes(def.download.format)) {
+        errors.push('"download.format" must be "png" or "json"');
+    }
+
+    const patterns = [];
+    for (const src of (Array.isArray(def.urlPatterns) ? def.urlPatterns : [])) {
+        try {
+            patterns.push(new RegExp(src, 'i').source);
+        } catch {
+            errors.push(`"urlPatterns" entry is not a valid regular expression: ${src}`);
+        }
+    }
+    if (def.pageUrl && !isHttpTemplate(def.pageUrl)) errors.push('"pageUrl" must be an http(s) URL template');
+    if (def.avatarUrl && !isHttpTemplate(def.avatarUrl)) errors.push('"avatarUrl" must be an http(s) URL template');
+
+    if (errors.length) return { definition: null, errors };
+
+    return {
+        definition: {
+            ...def,
+            id,
+            name,
+            icon,
+            urlPatterns: patterns,
+            search: {
+                ...search,
+                method: String(search.method || 'GET').toUpperCase(),
+                pagination: search.pagination || 'page',
+                pageSize: Math.max(1, Math.min(200, parseInt(search.pageSize, 10) || 40)),
+                firstPage: Number.isFinite(search.firstPage) ? search.firstPage : 1,
+                sorts: Array.isArray(search.sorts) ? search.sorts.filter(s => s && s.value != null) : [],
+            },
+        },
+        errors: [],
+    };
+}
+
+// ========================================
+// MAPPING
+// ========================================
+
+/**
+ * Map one raw search result onto the browse-card shape via definition.fields.
+ * @param {Object} def
+ * @param {Object} raw
+ * @returns {{ id: string, name: string, creator: string, avatar: string, tagline: string, tags: string[], tokens: number, date: string, raw: Object }}
+ */
+export function mapHit(def, raw) {
+    const f = def.fields || {};
+    const id = readPath(raw, f.id);
+    const avatarPath = f.avatar ? readPath(raw, f.avatar) : null;
+    return {
+        id: id == null ? '' : String(id),
+        name: String(readPath(raw, f.name || 'name') || ''),
+        creator: String(readPath(raw, f.creator || 'creator') || ''),
+        avatar: avatarPath || (def.avatarUrl && id != null ? fillTemplate(def.avatarUrl, { id }) : ''),
+        tagline: String(readPath(raw, f.tagline || 'tagline') || ''),
+        tags: toTagList(readPath(raw, f.tags || 'tags')),
+        tokens: Number(readPath(raw, f.tokens)) || 0,
+        date: f.date ? String(readPath(raw, f.date) || '') : '',
+        raw,
+    };
+}
+
+/**
+ * Turn a raw card response into a V2-wrapped card. Already-wrapped V2/V3 cards
+ * are taken as-is; otherwise card.fields maps each V2 key to a response path
+ * (unmapped keys are read from the same-named property).
+ * @param {Object} def
+ * @param {Object} raw
+ * @returns {{ spec: string, spec_version: string, data: Object }|null}
+ */
+export function buildCardFromData(def, raw) {
+    if (!raw || typeof raw !== 'object') return null;
+
+    let data;
+    if (typeof raw.spec === 'string' && raw.spec.startsWith('chara_card_v') && raw.data) {
+        data = { ...raw.data };
+    } else {
+        const map = def.card?.fields || {};
+        data = {};
+        for (const key of CARD_FIELD_KEYS) {
+            const value = readPath(raw, map[key] || key);
+            if (value !== undefined) data[key] = value;
+        }
+    }
+
+    data.name = String(data.name || '');
+    for (const key of ['description', 'personality', 'scenario', 'first_mes', 'mes_example',
+        'creator_notes', 'system_prompt', 'post_history_instructions', 'creator', 'character_version']) {
+        data[key] = data[key] == null ? '' : String(data[key]);
+    }
+    data.tags = toTagList(data.tags);
+    data.alternate_greetings = Array.isArray(data.alternate_greetings) ? data.alternate_greetings.map(String) : [];
+    if (!data.character_book || typeof data.character_book !== 'object') delete data.character_book;
+    data.extensions = (data.extensions && typeof data.extensions === 'object') ? { ...data.extensions } : {};
+
+    return { spec: 'chara_card_v2', spec_version: '2.0', data };
+}
+
+// ========================================
+// STORAGE
+// ========================================
+
+async function fileUpload(name, data) {
+    const base64 = CoreAPI.utf8ToBase64(JSON.stringify(data));
+    const resp = await CoreAPI.apiRequest('/files/upload', 'POST', { name, data: base64 });
+    if (!resp.ok) {
+        const err = await resp.text().catch(() => resp.statusText);
+        throw new Error(`Custom provider file upload failed (${resp.status}): ${err}`);
+    }
+    return resp.json();
+}
+
+async function fileRead(name) {
+    try {
+        const resp = await fetch(`/user/files/${name}`, { cache: 'no-store' });
+        if (!resp.ok) return null;
+        const text = await resp.text();
+        if (!text || !text.trim()) return null;
+        return JSON.parse(text);
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Read the stored definitions (unvalidated, as the user entered them).
+ * @returns {Promise<Object[]>}
+ */
+export async function readDefinitions() {
+    const stored = await fileRead(CUSTOM_PROVIDERS_FILE);
+    return Array.isArray(stored?.providers) ? stored.providers : [];
+}
+
+/**
+ * Replace the stored definitions.
+ * @param {Object[]} providers
+ */
+export async function writeDefinitions(providers) {
+    await fileUpload(CUSTOM_PROVIDERS_FILE, { version: STORAGE_VERSION, providers });
+}
+
+// ========================================
+// REQUESTS
+// ========================================
+
+function requestHeaders(def, extra = {}) {
+    return { Accept: 'application/json', ...(def.headers || {}), ...extra };
+}
+
+/**
+ * Run one search page against a definition's endpoint.
+ * @param {Object} def - validated definition
+ * @param {Object} opts
+ * @param {string} [opts.query]
+ * @param {number} [opts.page] - 1-based page index (mapped onto firstPage / offset)
+ * @param {string} [opts.sort]
+ * @returns {Promise<{ hits: Object[], hasMore: boolean }>} raw result objects
+ */
+export async function searchCustom(def, { query = '', page = 1, sort = '' } = {}) {
+    const s = def.search;
+    const limit = s.pageSize;
+    const vars = {
+        query,
+        page: s.firstPage + page - 1,
+        offset: (page - 1) * limit,
+        limit,
+        sort: sort || s.sorts[0]?.value || '',
+    };
+
+    const opts = { headers: requestHeaders(def) };
+    if (s.method === 'POST') {
+        opts.method = 'POST';
+        opts.headers['Content-Type'] = 'application/json';
+        opts.body = JSON.stringify(fillBody(s.body || {}, vars));
+    }
+
+    const resp = await fetchWithProxy(fillTemplate(s.url, vars), opts);
+    const data = await resp.json();
+    const results = readPath(data, s.results);
+    const hits = Array.isArray(results) ? results : [];
+
+    let hasMore;
+    if (s.pagination === 'none') {
+        hasMore = false;
+    } else if (s.hasMore) {
+        hasMore = !!readPath(data, s.hasMore);
+    } else if (s.total) {
+        const total = Number(readPath(data, s.total)) || 0;
+        hasMore = page * limit < total;
+    } else {
+        hasMore = hits.length >= limit;
+    }
+
+    return { hits, hasMore };
+}
+
+/**
+ * Fetch the raw card object from the definition's card endpoint.
+ * @param {Object} def
+ * @param {string} id
+ * @returns {Promise<Object|null>}
+ */
+export async function fetchCustomCardData(def, id) {
+    if (!def.card?.url) return null;
+    const resp = await fetchWithProxy(fillTemplate(def.card.url, { id }), { headers: requestHeaders(def) });
+    const data = await resp.json();
+    return readPath(data, def.card.root) || null;
+}
+
+/**
+ * Download the card file. PNG downloads return both the embedded card and the
+ * image so it can become the avatar; JSON downloads return the parsed card.
+ * @param {Object} def
+ * @param {string} id
+ * @returns {Promise<{ card: Object|null, imageBuffer: ArrayBuffer|null }|null>}
+ */
+export async function downloadCustomCard(def, id) {
+    if (!def.download?.url) return null;
+    const url = fillTemplate(def.download.url, { id });
+    if (def.download.format === 'json') {
+        const resp = await fetchWithProxy(url, { headers: requestHeaders(def) });
+        return { card: await resp.json(), imageBuffer: null };
+    }
+    const resp = await fetchWithProxy(url, { headers: requestHeaders(def, { Accept: 'image/png,*/*' }) });
+    const imageBuffer = await resp.arrayBuffer();
+    return { card: CoreAPI.extractCharacterDataFromPng(imageBuffer), imageBuffer };
+}
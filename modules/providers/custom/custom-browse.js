@@ -0,0 +1,192 @@
+// CustomBrowseView - browse/search UI for definition-driven providers
+//
+// Unlike the built-in views (one module-level singleton each), several custom
+// providers can be registered at once, so all state lives on the instance and
+// every DOM id is prefixed with the provider id.
+
+import { CatalogBrowseView } from '../catalog-browse-view.js';
+import CoreAPI from '../../core-api.js';
+import { formatNumber } from '../provider-utils.js';
+import { searchCustom, mapHit } from './custom-api.js';
+
+const {
+    showToast,
+    escapeHtml,
+    debugLog,
+    getProviderExcludeTags,
+    renderSkeletonGrid,
+} = CoreAPI;
+
+// Client-side filters may eat a whole page; fetch at most this many extra pages to refill it
+const MAX_AUTO_FETCHES = 3;
+
+export class CustomBrowseView extends CatalogBrowseView {
+
+    constructor(provider) {
+        super(provider);
+        this._hits = [];
+        this._page = 1;
+        this._hasMore = true;
+        this._sort = this._sortOptions()[0]?.value || '';
+        this._renderedCount = 0;
+    }
+
+    /** DOM id for a named element of this provider's view. */
+    _id(name) { return `custom_${this.provider.id}_${name}`; }
+
+    get _logTag() { return `[CustomBrowse:${this.provider.id}]`; }
+
+    _sortOptions() {
+        return this.provider.definition.search.sorts.map(s => ({ value: String(s.value), label: String(s.label || s.value) }));
+    }
+
+    _findHit(id) { return this._hits.find(h => h.id === id) || null; }
+
+    _extractProviderIds(char, idSet) {
+        const ext = char.data?.extensions?.[this.provider.id];
+        if (ext?.id) idSet.add(String(ext.id));
+    }
+
+    // ── Card Rendering ──────────────────────────────────────
+
+    _cardFooterHtml(hit) {
+        const parsedDate = hit.date ? new Date(hit.date) : null;
+        const createdDate = parsedDate && !isNaN(parsedDate) ? parsedDate.toLocaleDateString() : '';
+        return `
+                    ${hit.tokens ? `<span class="browse-card-stat" title="Tokens"><i class="fa-solid fa-font"></i> ${formatNumber(hit.tokens)}</span>` : ''}
+                    ${createdDate ? `<span class="browse-card-date"><i class="fa-solid fa-clock"></i> ${createdDate}</span>` : ''}`;
+    }
+
+    _renderGrid(append = false) {
+        const grid = this._el('grid');
+        if (!grid) return;
+
+        if (!append) {
+            grid.innerHTML = '';
+            this._renderedCount = 0;
+        }
+
+        const html = this._hits.slice(this._renderedCount).map(h => this._createCard(h)).join('');
+        grid.insertAdjacentHTML('beforeend', html);
+        this._renderedCount = this._hits.length;
+
+        this.observeImages(grid);
+        this.updateLoadMoreVisibility(this._id('loadMore'), this._hasMore, this._hits.length > 0);
+    }
+
+    // ── Search / Load ───────────────────────────────────────
+
+    /** Map and client-filter one page of raw results. */
+    _filterHits(rawHits) {
+        let hits = rawHits.map(raw => mapHit(this.provider.definition, raw)).filter(h => h.id);
+        const exclude = getProviderExcludeTags(this.provider.id).map(t => t.toLowerCase());
+        if (exclude.length > 0) {
+            hits = hits.filter(h => !h.tags.some(t => exclude.includes(t.toLowerCase())));
+        }
+        if (this._hideOwned) hits = hits.filter(h => !this._isInLibrary(h));
+        if (this._hidePossible) hits = hits.filter(h => !this._isPossibleMatch(h));
+        return hits;
+    }
+
+    async _loadCharacters(append = false) {
+        if (append && this._isLoading) return;
+        const thisToken = ++this._loadToken;
+        this._isLoading = true;
+
+        const grid = this._el('grid');
+        const loadMoreBtn = this._el('loadMoreBtn');
+        if (!append && grid) renderSkeletonGrid(grid);
+        if (loadMoreBtn) {
+            loadMoreBtn.disabled = true;
+            loadMoreBtn.innerHTML = '<i class="fa-solid fa-spinner fa-spin"></i> Loading...';
+        }
+
+        const definition = this.provider.definition;
+        try {
+            const query = { query: this._search, sort: this._sort };
+            let { hits: rawHits, hasMore } = await searchCustom(definition, { ...query, page: this._page });
+            if (thisToken !== this._loadToken || !this._delegatesInitialized) return;
+            let hits = this._filterHits(rawHits);
+
+            let autoFetches = 0;
+            while (hits.length < definition.search.pageSize / 2 && hasMore && autoFetches < MAX_AUTO_FETCHES) {
+                autoFetches++;
+                this._page++;
+                const more = await searchCustom(definition, { ...query, page: this._page });
+                if (thisToken !== this._loadToken || !this._delegatesInitialized) return;
+                hits = hits.concat(this._filterHits(more.hits));
+                hasMore = more.hasMore;
+            }
+
+            if (append) {
+                const existingIds = new Set(this._hits.map(h => h.id));
+                this._hits = this._hits.concat(hits.filter(h => !existingIds.has(h.id)));
+            } else {
+                this._hits = hits;
+            }
+            this._hasMore = hasMore;
+
+            this._renderGrid(append);
+
+            if (!append && this._hits.length === 0 && grid) {
+                grid.innerHTML = this._messageHtml('fa-solid fa-ghost', `No matches on ${this.provider.name}`);
+            }
+
+            debugLog(`${this._logTag} Loaded`, hits.length, 'characters, page', this._page);
+        } catch (err) {
+            if (thisToken !== this._loadToken) return;
+            console.error(`${this._logTag} Search error:`, err);
+            showToast(`${this.provider.name} search failed: ${err.message}`, 'error');
+            if (!append && grid) this._renderGridError(grid, `Search failed: ${err.message}`, () => this._loadCharacters(false));
+        } finally {
+            if (thisToken === this._loadToken) {
+                this._isLoading = false;
+                if (loadMoreBtn) {
+                    loadMoreBtn.disabled = false;
+                    loadMoreBtn.innerHTML = '<i class="fa-solid fa-plus"></i> Load More';
+                }
+            }
+        }
+    }
+
+    _load() {
+        this._loadCharacters(false);
+    }
+
+    _reload() {
+        this._page = 1;
+        this._loadCharacters(false);
+    }
+
+    _resetResults() {
+        this._hits = [];
+        this._page = 1;
+        this._hasMore = true;
+        this._renderedCount = 0;
+    }
+
+    // ── Preview Modal ───────────────────────────────────────
+
+    _renderPreviewControls() {
+        return `
+                    <a id="${this._id('openInBrowserBtn')}" href="#" target="_blank" rel="noopener" class="action-btn secondary" title="Open on ${escapeHtml(this.provider.name)}">
+                        <i class="fa-solid fa-external-link"></i> Open
+                    </a>`;
+    }
+
+    _fillPreviewHeader(hit) {
+        const pageUrl = this.provider.getCharacterUrl({ id: hit.id });
+        const openBtn = this._el('openInBrowserBtn');
+        openBtn.classList.toggle('hidden', !pageUrl);
+        openBtn.href = pageUrl || '#';
+    }
+
+    // ── Lifecycle ───────────────────────────────────────────
+
+    canLoadMore() { return this._hasMore && !this._isLoading; }
+
+    loadMore() {
+        this._page++;
+        this._loadCharacters(true);
+    }
+}
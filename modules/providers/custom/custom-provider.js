@@ -0,0 +1,376 @@
+// Custom Provider - declarative provider built from a JSON definition
+//
+// One instance per stored definition. Browsing, linking, update checks and
+// imports all run through the shared provider/browse-view machinery; the
+// definition only says where things live (see custom-api.js).
+
+import { ProviderBase } from '../provider-interface.js';
+import CoreAPI from '../../core-api.js';
+import { assignGalleryId, importFromPng, fetchWithProxy, slugify } from '../provider-utils.js';
+import { CustomBrowseView } from './custom-browse.js';
+import {
+    validateDefinition,
+    readDefinitions,
+    writeDefinitions,
+    fillTemplate,
+    searchCustom,
+    fetchCustomCardData,
+    downloadCustomCard,
+    mapHit,
+    buildCardFromData,
+} from './custom-api.js';
+
+let api = null; // CoreAPI reference
+
+export class CustomProvider extends ProviderBase {
+    /**
+     * @param {Object} definition - validated definition from validateDefinition()
+     */
+    constructor(definition) {
+        super();
+        this.definition = definition;
+        this._urlPatterns = definition.urlPatterns.map(src => new RegExp(src, 'i'));
+        this._browseView = new CustomBrowseView(this);
+    }
+
+    // ── Identity ────────────────────────────────────────────
+
+    get id() { return this.definition.id; }
+    get name() { return this.definition.name; }
+    get icon() { return this.definition.icon; }
+    get iconUrl() { return this.definition.iconUrl || null; }
+    get beta() { return true; }
+    get browseView() { return this._browseView; }
+
+    /** Marks definition-driven providers for the settings UI. */
+    get isCustom() { return true; }
+
+    // ── Lifecycle ───────────────────────────────────────────
+
+    async init(coreAPI) {
+        super.init(coreAPI);
+        api = coreAPI;
+    }
+
+    async activate(container, options = {}) {
+        await this._browseView.activate(container, options);
+    }
+
+    deactivate() {
+        this._browseView.deactivate();
+    }
+
+    // ── View ────────────────────────────────────────────────
+
+    get hasView() { return true; }
+
+    renderFilterBar() { return this._browseView.renderFilterBar(); }
+    renderView() { return this._browseView.renderView(); }
+    renderModals() { return this._browseView.renderModals(); }
+
+    // ── Character Linking ───────────────────────────────────
+
+    getLinkInfo(char) {
+        if (!char) return null;
+        const extensions = char.data?.extensions || char.extensions;
+        const ext = extensions?.[this.id];
+        if (!ext?.id) return null;
+
+        return {
+            providerId: this.id,
+            id: ext.id,
+            fullPath: ext.id,
+            linkedAt: ext.linkedAt || null
+        };
+    }
+
+    setLinkInfo(char, linkInfo) {
+        if (!char) return;
+        if (!char.data) char.data = {};
+        if (!char.data.extensions) char.data.extensions = {};
+
+        if (linkInfo) {
+            const existing = char.data.extensions[this.id] || {};
+            char.data.extensions[this.id] = {
+                id: String(linkInfo.id || linkInfo.fullPath),
+                linkedAt: linkInfo.linkedAt || new Date().toISOString(),
+                pageName: linkInfo.pageName || existing.pageName || null,
+            };
+        } else {
+            delete char.data.extensions[this.id];
+        }
+    }
+
+    getCharacterUrl(linkInfo) {
+        const charId = linkInfo?.id || linkInfo?.fullPath;
+        if (!charId || !this.definition.pageUrl) return null;
+        return fillTemplate(this.definition.pageUrl, { id: charId });
+    }
+
+    openLinkUI(char) {
+        CoreAPI.openProviderLinkModal?.(char);
+    }
+
+    // ── Local Import Enrichment ──────────────────────────────
+
+    async enrichLocalImport(cardData, _fileName) {
+        const ext = cardData.data?.extensions?.[this.id];
+        if (!ext?.id) return null;
+
+        return {
+            cardData,
+            providerInfo: {
+                providerId: this.id,
+                charId: ext.id,
+                fullPath: ext.id,
+                hasGallery: false,
+                avatarUrl: null
+            }
+        };
+    }
+
+    // ── Remote Data ─────────────────────────────────────────
+
+    /**
+     * Listing metadata for the link modal: { id, name, card }. The id is always
+     * the one the definition links by, never whatever "id" the card endpoint
+     * happens to return. Null when the definition only has a download URL.
+     */
+    async fetchMetadata(charId) {
+        const card = buildCardFromData(this.definition, await fetchCustomCardData(this.definition, charId));
+        if (!card?.data.name) return null;
+        return { id: String(charId), name: card.data.name, card };
+    }
+
+    /**
+     * Fetch the remote card for update comparison.
+     * Returns V2-wrapped format: { spec, spec_version, data }.
+     */
+    async fetchRemoteCard(linkInfo) {
+        const charId = linkInfo?.id || linkInfo?.fullPath;
+        if (!charId) return null;
+
+        try {
+            const fetched = await this._fetchCard(charId);
+            if (!fetched) return null;
+            const result = fetched.card;
+            result._listingName = result.data.name || null;
+            return result;
+        } catch (e) {
+            console.error(`[CustomProvider:${this.id}] fetchRemoteCard failed:`, charId, e);
+            return null;
+        }
+    }
+
+    normalizeRemoteCard(rawData) {
+        return buildCardFromData(this.definition, rawData);
+    }
+
+    // ── URL Handling ────────────────────────────────────────
+
+    canHandleUrl(url) {
+        if (!url) return false;
+        return this._urlPatterns.some(re => re.test(url));
+    }
+
+    parseUrl(url) {
+        for (const re of this._urlPatterns) {
+            const m = url?.match(re);
+            if (m?.[1]) return decodeURIComponent(m[1]);
+        }
+        return null;
+    }
+
+    // ── Bulk Linking ────────────────────────────────────────
+
+    get supportsBulkLink() { return true; }
+
+    openBulkLinkUI() {
+        CoreAPI.openBulkAutoLinkModal?.();
+    }
+
+    /**
+     * Search the definition's endpoint for characters matching name/creator.
+     */
+    async searchForBulkLink(name, creator) {
+        try {
+            const normalizedName = name.toLowerCase().trim();
+            const normalizedCreator = creator ? creator.toLowerCase().trim() : '';
+            const { hits } = await searchCustom(this.definition, { query: name.trim() });
+
+            const results = [];
+            for (const raw of hits) {
+                const hit = mapHit(this.definition, raw);
+                if (!hit.id) continue;
+                const hitName = hit.name.toLowerCase().trim();
+                const hitCreator = hit.creator.toLowerCase().trim();
+                const nameMatch = !!hitName && (hitName === normalizedName || hitName.includes(normalizedName) || normalizedName.includes(hitName));
+                const creatorMatch = !normalizedCreator || !hitCreator || hitCreator.includes(normalizedCreator);
+                if (nameMatch && creatorMatch) {
+                    results.push({
+                        id: hit.id,
+                        fullPath: hit.id,
+                        name: hit.name,
+                        avatarUrl: hit.avatar || '/img/ai4.png',
+                        rating: 0,
+                        starCount: 0,
+                        description: hit.tagline,
+                        tagline: hit.tagline,
+                        nTokens: hit.tokens,
+                    });
+                }
+            }
+            return results;
+        } catch (error) {
+            console.error(`[CustomProvider:${this.id}] searchForBulkLink error:`, error);
+            return [];
+        }
+    }
+
+    getResultAvatarUrl(result) {
+        return result.avatarUrl || '/img/ai4.png';
+    }
+
+    // ── Import Pipeline ─────────────────────────────────────
+
+    get supportsImport() { return true; }
+
+    async importCharacter(charId, hitData, options = {}) {
+        try {
+            const fetched = await this._fetchCard(charId, { withImage: true });
+            if (!fetched) throw new Error('Could not fetch character data');
+
+            const characterCard = fetched.card;
+            const characterName = characterCard.data.name || hitData?.name || 'Unknown';
+            characterCard.data.name = characterName;
+
+            characterCard.data.extensions[this.id] = {
+                id: String(charId),
+                pageName: characterName,
+                linkedAt: new Date().toISOString()
+            };
+
+            assignGalleryId(characterCard, options, api);
+
+            // A PNG download already is the avatar; otherwise fetch it separately
+            let imageBuffer = fetched.imageBuffer;
+            const avatarUrl = hitData?.avatar
+                || (this.definition.avatarUrl ? fillTemplate(this.definition.avatarUrl, { id: charId }) : null);
+            if (!imageBuffer && avatarUrl) {
+                try {
+                    const resp = await fetchWithProxy(avatarUrl);
+                    imageBuffer = await resp.arrayBuffer();
+                } catch { /* placeholder will be generated */ }
+            }
+
+            return await importFromPng({
+                characterCard,
+                imageBuffer,
+                fileName: `${this.id}_${slugify(characterName)}.png`,
+                characterName,
+                hasGallery: false,
+                providerCharId: String(charId),
+                fullPath: String(charId),
+                avatarUrl,
+                api
+            });
+        } catch (error) {
+            console.error(`[CustomProvider:${this.id}] importCharacter failed for ${charId}:`, error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    // ── Private Helpers ─────────────────────────────────────
+
+    /**
+     * Resolve the full card, preferring the card endpoint and falling back to
+     * the download URL. With withImage, a PNG download is also fetched so it can
+     * become the avatar; imageBuffer is null otherwise.
+     * @returns {Promise<{ card: Object, imageBuffer: ArrayBuffer|null }|null>}
+     */
+    async _fetchCard(charId, { withImage = false } = {}) {
+        const { card: cardSource, download } = this.definition;
+        if (cardSource?.url) {
+            let card = null;
+            try {
+                card = (await this.fetchMetadata(charId))?.card;
+            } catch (e) {
+                if (!download?.url) throw e;
+                api?.debugLog?.(`[CustomProvider:${this.id}] Card endpoint failed, trying download:`, e.message);
+            }
+            if (card) {
+                if (withImage && download?.url && download.format !== 'json') {
+                    try {
+                        const dl = await downloadCustomCard(this.definition, charId);
+                        return { card, imageBuffer: dl?.imageBuffer || null };
+                    } catch { /* fall back to avatarUrl */ }
+                }
+                return { card, imageBuffer: null };
+            }
+        }
+        if (!download?.url) return null;
+        const dl = await downloadCustomCard(this.definition, charId);
+        const card = buildCardFromData(this.definition, dl?.card);
+        if (!card) return null;
+        return { card, imageBuffer: dl.imageBuffer };
+    }
+}
+
+// ========================================
+// DEFINITION MANAGEMENT
+// ========================================
+
+/**
+ * Build providers from the stored definitions. Invalid or clashing entries are
+ * skipped with a warning so one bad definition can't block the others.
+ * @param {Iterable<string>} builtInIds - ids of providers already registered
+ * @returns {Promise<CustomProvider[]>}
+ */
+export async function loadCustomProviders(builtInIds) {
+    const taken = new Set(builtInIds);
+    const result = [];
+    for (const raw of await readDefinitions()) {
+        const { definition, errors } = validateDefinition(raw, { takenIds: taken });
+        if (!definition) {
+            console.warn(`[CustomProvider] Skipping definition "${raw?.id || '?'}":`, errors.join('; '));
+            continue;
+        }
+        taken.add(definition.id);
+        result.push(new CustomProvider(definition));
+    }
+    return result;
+}
+
+/**
+ * Stored definitions for the settings list.
+ * @returns {Promise<Object[]>}
+ */
+export async function getCustomProviderDefinitions() {
+    return readDefinitions();
+}
+
+/**
+ * Validate and store a definition, replacing any stored one with the same id.
+ * Takes effect on the next reload.
+ * @param {Object} raw - parsed definition JSON
+ * @param {Iterable<string>} builtInIds - ids of non-custom providers
+ * @returns {Promise<{ ok: boolean, errors: string[], id?: string }>}
+ */
+export async function saveCustomProviderDefinition(raw, builtInIds) {
+    const { definition, errors } = validateDefinition(raw, { takenIds: builtInIds });
+    if (!definition) return { ok: false, errors };
+    const stored = (await readDefinitions()).filter(d => d?.id !== definition.id);
+    stored.push({ ...raw, id: definition.id });
+    await writeDefinitions(stored);
+    return { ok: true, errors: [], id: definition.id };
+}
+
+/**
+ * Remove a stored definition by id. Takes effect on the next reload; links
+ * already written into cards are left alone.
+ * @param {string} id
+ */
+export async function removeCustomProviderDefinition(id) {
+    const stored = await readDefinitions();
+    await writeDefinitions(stored.filter(d => d?.id !== id));
+}
@@ -3,7 +3,7 @@
 // Sections: Network, Metadata, Browse/Search, Tags, V2 Card Builder, Extraction, MeiliSearch
 
 import CoreAPI from '../../core-api.js';
-import { CL_HELPER_PLUGIN_BASE, slugify, stripHtml, fetchWithProxy } from '../provider-utils.js';
+import { CL_HELPER_PLUGIN_BASE, slugify, stripHtml, fetchWithProxy, scheduledFetch, scheduleRequest } from '../provider-utils.js';
 import { getSearchToken, JANNY_SEARCH_URL, JANNY_SITE_BASE, TAG_MAP as JANNY_TAG_MAP } from '../janny/janny-api.js';
 import { isJanitorBridgeAvailable, janitorBridgeFetch } from './janitor-bridge.js';
 
@@ -87,6 +87,8 @@ export const MIN_TOTAL_TOKENS = 889;
 // ========================================
 
 const DC_PROXY_BASE = `${CL_HELPER_PLUGIN_BASE}/dc-proxy`;
+/** Scheduler host key for dc-proxy calls (they leave ST for datacat.run) */
+const DC_REQUEST_HOST = 'datacat.run';
 
 let _apiRequest = null;
 let _getSavedToken = null;
@@ -135,10 +137,11 @@ async function tryBootstrapSession() {
  */
 async function dcFetch(apiPath) {
     if (!_apiRequest) throw new Error('DataCat: apiRequest not bound (cl-helper required)');
-    let resp = await _apiRequest(`${DC_PROXY_BASE}${apiPath}`);
+    const send = () => _apiRequest(`${DC_PROXY_BASE}${apiPath}`);
+    let resp = await scheduleRequest(DC_REQUEST_HOST, send);
     if (resp.status === 401 || resp.status === 403) {
         if (await tryBootstrapSession()) {
-            resp = await _apiRequest(`${DC_PROXY_BASE}${apiPath}`);
+            resp = await scheduleRequest(DC_REQUEST_HOST, send);
         }
     }
     if (!resp.ok) {
@@ -970,8 +973,9 @@ export async function searchMeiliJanny(opts = {}) {
 
     let response;
     try {
-        response = await fetch(JANNY_SEARCH_URL, { method: 'POST', headers, body: JSON.stringify(body) });
-    } catch (_) {
+        response = await scheduledFetch(JANNY_SEARCH_URL, { method: 'POST', headers, body: JSON.stringify(body) });
+    } catch (e) {
+        if (e?.code === 'PROVIDER_UNAVAILABLE') throw e;
         response = await fetchWithProxy(JANNY_SEARCH_URL, { method: 'POST', headers, body: JSON.stringify(body) });
     }
 
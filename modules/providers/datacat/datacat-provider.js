@@ -20,6 +20,7 @@ import {
     resolveTagNames,
     fetchDatacatCharacter,
     fetchDatacatDownload,
+    fetchRecentPublic,
     validateDcSession,
     clearDcSession,
     initDcSession,
@@ -167,6 +168,8 @@ class DatacatProvider extends ProviderBase {
 
     // ── Remote Data ─────────────────────────────────────────
 
+    get requestHosts() { return ['datacat.run']; }
+
     async fetchMetadata(characterId) {
         const char = await fetchDatacatCharacter(characterId);
         if (!char) return null;
@@ -565,6 +568,32 @@ class DatacatProvider extends ProviderBase {
     // ── Bulk Linking ────────────────────────────────────────
 
     get supportsBulkLink() { return false; }
+
+    // ── Unified Search ──────────────────────────────────────
+
+    get supportsUnifiedSearch() { return true; }
+
+    async searchUnified(query, options = {}) {
+        const data = await fetchRecentPublic({ limit: options.limit || 24, offset: 0, search: query });
+        // fetchRecentPublic swallows transport errors into null
+        if (!data) throw new Error('DataCat search failed');
+        // recent-public is newest-first with no NSFW parameter; the browse grid filters client-side too
+        const sfwOnly = !(options.nsfw ?? api?.getSetting('datacatNsfw') === true);
+        return data.characters
+            .filter(c => !sfwOnly || !(c.isNsfw || c.is_nsfw))
+            .map(c => ({
+                id: c.characterId || c.character_id || c.id,
+                name: c.name || c.chat_name || 'Unnamed',
+                creator: c.creatorName || c.creator_name || '',
+                avatarUrl: resolveDatacatAvatarUrl(c, { width: 400 }) || '',
+                tagline: stripHtml(c.description || '').slice(0, 300),
+                nTokens: parseInt(c.totalTokens || c.total_tokens || c.token_counts?.total_tokens, 10) || 0,
+                starCount: parseInt(c.chatCount || c.chat_count, 10) || 0,
+                tags: resolveTagNames(c.tags),
+                url: this.getCharacterUrl({ id: c.characterId || c.character_id || c.id }),
+                hit: c,
+            }));
+    }
 }
 
 const datacatProvider = new DatacatProvider();
@@ -5,7 +5,7 @@
 
 import { ProviderBase } from '../provider-interface.js';
 import CoreAPI from '../../core-api.js';
-import { assignGalleryId, importFromPng, proxyEncode } from '../provider-utils.js';
+import { assignGalleryId, importFromPng, proxyEncode, scheduledFetch } from '../provider-utils.js';
 import jannyBrowseView from './janny-browse.js';
 import {
     JANNY_SEARCH_URL,
@@ -176,7 +176,7 @@ function isPuterAvailable() {
 
 async function stProxyFetchHtml(url) {
     const proxyUrl = `/proxy/${proxyEncode(url)}`;
-    const r = await fetch(proxyUrl, {
+    const r = await scheduledFetch(proxyUrl, {
         headers: {
             'Accept': 'text/html,application/xhtml+xml,*/*',
             'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
@@ -253,13 +253,16 @@ function decodeAstroValue(value) {
  * @param {string} [opts.search='']
  * @param {number} [opts.page=1]
  * @param {number} [opts.limit=40]
+ * @param {boolean} [opts.sfwOnly=false] - drop isNsfw hits server-side
+ * @param {boolean} [opts.relevance=false] - rank by match quality instead of newest first
  * @returns {Promise<Object>} MeiliSearch multi-search response
  */
 async function searchJanny(opts = {}) {
-    const { search = '', page = 1, limit = 40 } = opts;
+    const { search = '', page = 1, limit = 40, sfwOnly = false, relevance = false } = opts;
 
     // Browse view ceiling is 100000 (janny-browse.js:65-66); 4101 was an old default that excluded heavy cards from fetchLinkStats / buildPreviewObject / searchForBulkLink.
     const filters = ['totalToken >= 29'];
+    if (sfwOnly) filters.push('isNsfw = false');
     const body = {
         queries: [{
             indexUid: 'janny-characters',
@@ -273,9 +276,9 @@ async function searchJanny(opts = {}) {
             highlightPostTag: '__/ais-highlight__',
             hitsPerPage: limit,
             page,
-            sort: ['createdAtStamp:desc']
         }]
     };
+    if (!relevance) body.queries[0].sort = ['createdAtStamp:desc'];
 
     const token = await getSearchToken();
     const headers = {
@@ -289,8 +292,9 @@ async function searchJanny(opts = {}) {
 
     let response;
     try {
-        response = await fetch(JANNY_SEARCH_URL, { method: 'POST', headers, body: JSON.stringify(body) });
-    } catch (_) {
+        response = await scheduledFetch(JANNY_SEARCH_URL, { method: 'POST', headers, body: JSON.stringify(body) });
+    } catch (e) {
+        if (e?.code === 'PROVIDER_UNAVAILABLE') throw e;
         response = await fetchWithProxy(JANNY_SEARCH_URL, { method: 'POST', headers, body: JSON.stringify(body) });
     }
 
@@ -507,6 +511,8 @@ class JannyProvider extends ProviderBase {
 
     // ── Remote Data ─────────────────────────────────────────
 
+    get requestHosts() { return ['search.jannyai.com', 'jannyai.com']; }
+
     async fetchMetadata(fullPath) {
         if (!fullPath) return null;
         try {
@@ -872,6 +878,32 @@ class JannyProvider extends ProviderBase {
         return result.avatarUrl || '';
     }
 
+    // ── Unified Search ──────────────────────────────────────
+
+    get supportsUnifiedSearch() { return true; }
+
+    async searchUnified(query, options = {}) {
+        const data = await searchJanny({
+            search: query,
+            page: 1,
+            limit: options.limit || 24,
+            sfwOnly: !(options.nsfw ?? api?.getSetting('jannyNsfw') === true),
+            relevance: options.sort !== 'newest'
+        });
+        return (data?.results?.[0]?.hits || []).map(hit => ({
+            id: hit.id,
+            name: hit.name || 'Unnamed',
+            creator: hit.creatorUsername || '',
+            avatarUrl: hit.avatar ? `${JANNY_IMAGE_BASE}${hit.avatar}` : '',
+            tagline: stripHtml(hit.description) || '',
+            nTokens: hit.totalToken || 0,
+            starCount: 0,
+            tags: resolveTagNames(hit.tagIds),
+            url: this.getCharacterUrl({ fullPath: this._normalizeSearchResult(hit).fullPath }),
+            hit,
+        }));
+    }
+
     // ── Private Helpers ─────────────────────────────────────
 
     _normalizeSearchResult(hit) {
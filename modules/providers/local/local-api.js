@@ -0,0 +1,129 @@
+// Shared Local Folder API utilities - used by local-provider.js and local-browse.js
+//
+// Everything goes through cl-helper's /local-library routes: the plugin walks
+// the configured folder, parses PNG/JSON/CHARX cards and serves thumbnails.
+// Catalog ids are root-relative POSIX paths ("Team/Alice.png").
+
+import CoreAPI from '../../core-api.js';
+import { CL_HELPER_PLUGIN_BASE } from '../provider-utils.js';
+
+const LOCAL_BASE = `${CL_HELPER_PLUGIN_BASE}/local-library`;
+
+// Link URLs users can paste into the link modal: local://Team/Alice.png
+export const LOCAL_URL_PREFIX = 'local://';
+
+async function localRequest(path, method = 'GET', data = null) {
+    let resp;
+    try {
+        resp = await CoreAPI.apiRequest(`${LOCAL_BASE}${path}`, method, data);
+    } catch (e) {
+        throw new Error(`cl-helper not reachable: ${e.message}`);
+    }
+    if (!resp) throw new Error('cl-helper not reachable');
+    let body = null;
+    try { body = await resp.json(); } catch { /* non-JSON error page */ }
+    if (!resp.ok) {
+        if (resp.status === 404 && !body) throw new Error('cl-helper is missing or too old (needs 1.10.0+)');
+        const err = new Error(body?.error || `HTTP ${resp.status}`);
+        err.status = resp.status;
+        throw err;
+    }
+    return body;
+}
+
+/**
+ * Folder status; root is only filled in for admins.
+ * @returns {Promise<{configured: boolean, root: string|null, count: number, indexedAt: number|null, indexing: boolean, truncated: boolean}>}
+ */
+export function getLocalLibraryStatus() {
+    return localRequest('/status');
+}
+
+/**
+ * Point cl-helper at a folder (admin only). Empty path clears it.
+ * @param {string} path - absolute server-side path
+ * @returns {Promise<{ok: boolean, root: string|null}>}
+ */
+export function setLocalLibraryRoot(path) {
+    return localRequest('/set-root', 'POST', { path: path || '' });
+}
+
+/**
+ * Catalog entries for the whole folder. cl-helper caches by mtime+size, so a
+ * refresh only re-parses files that changed.
+ * @param {Object} [options]
+ * @param {boolean} [options.refresh=false] - rescan the folder first
+ * @returns {Promise<{entries: Object[], indexedAt: number, truncated: boolean}>}
+ */
+export function fetchLocalIndex({ refresh = false } = {}) {
+    return localRequest(`/index${refresh ? '?refresh=1' : ''}`);
+}
+
+/**
+ * Full card for one catalog entry, V2-wrapped by cl-helper.
+ * @param {string} id
+ * @returns {Promise<{card: Object, format: string, hash: string, mtime: number}>}
+ */
+export function fetchLocalCard(id) {
+    return localRequest(`/card?id=${encodeURIComponent(id)}`);
+}
+
+/**
+ * Image URL for a catalog entry. With size, cl-helper serves a 2:3 JPEG
+ * thumbnail; without, the original avatar bytes.
+ * @param {string} id
+ * @param {Object} [options]
+ * @param {number} [options.size]
+ * @param {number} [options.version] - entry mtime, busts the browser cache when the file changes
+ * @returns {string}
+ */
+export function getLocalImageUrl(id, { size = 0, version = 0 } = {}) {
+    let url = `/api${LOCAL_BASE}/image?id=${encodeURIComponent(id)}`;
+    if (size) url += `&s=${size}`;
+    if (version) url += `&v=${Math.round(version)}`;
+    return url;
+}
+
+/**
+ * Download the original avatar for import.
+ * @param {string} id
+ * @returns {Promise<ArrayBuffer|null>}
+ */
+export async function downloadLocalImage(id) {
+    const resp = await fetch(getLocalImageUrl(id), { cache: 'no-store' });
+    if (!resp.ok) return null;
+    return resp.arrayBuffer();
+}
+
+/**
+ * Fill in the V2 fields a loose card file may be missing, so update diffs
+ * and imports see the same shape as every other provider.
+ * @param {Object} card - V2 wrapper from cl-helper
+ * @returns {Object|null}
+ */
+export function normalizeLocalCard(card) {
+    const data = card?.data;
+    if (!data || typeof data.name !== 'string') return null;
+    const str = (v) => typeof v === 'string' ? v : '';
+    return {
+        spec: 'chara_card_v2',
+        spec_version: '2.0',
+        data: {
+            ...data,
+            name: data.name,
+            description: str(data.description),
+            personality: str(data.personality),
+            scenario: str(data.scenario),
+            first_mes: str(data.first_mes),
+            mes_example: str(data.mes_example),
+            creator_notes: str(data.creator_notes),
+            system_prompt: str(data.system_prompt),
+            post_history_instructions: str(data.post_history_instructions),
+            alternate_greetings: Array.isArray(data.alternate_greetings) ? data.alternate_greetings.filter(g => typeof g === 'string') : [],
+            tags: Array.isArray(data.tags) ? data.tags.filter(t => typeof t === 'string') : [],
+            creator: str(data.creator),
+            character_version: str(data.character_version),
+            extensions: data.extensions && typeof data.extensions === 'object' ? { ...data.extensions } : {},
+        },
+    };
+}
@@ -0,0 +1,250 @@
+// LocalBrowseView - browse UI for the Local Folder provider
+//
+// cl-helper returns the whole folder catalog in one response, so search, sort,
+// folder filter and paging all run client-side over that list. Refresh asks
+// cl-helper to rescan; unchanged files come back from its mtime cache.
+
+import { CatalogBrowseView } from '../catalog-browse-view.js';
+import CoreAPI from '../../core-api.js';
+import { formatNumber } from '../provider-utils.js';
+import { fetchLocalIndex, getLocalImageUrl } from './local-api.js';
+
+const {
+    onElement: on,
+    showToast,
+    escapeHtml,
+    debugLog,
+    getProviderExcludeTags,
+    renderSkeletonGrid,
+} = CoreAPI;
+
+const PAGE_SIZE = 60;
+const THUMB_SIZE = 384;
+
+const SORT_OPTIONS = [
+    { value: 'name', label: 'Name (A-Z)' },
+    { value: 'newest', label: 'Recently Modified' },
+    { value: 'tokens', label: 'Most Tokens' },
+    { value: 'path', label: 'Folder Path' },
+];
+
+const FORMAT_ICONS = { png: 'fa-file-image', json: 'fa-file-code', charx: 'fa-file-zipper' };
+
+function folderOf(id) {
+    const slash = id.lastIndexOf('/');
+    return slash > 0 ? id.slice(0, slash) : '';
+}
+
+class LocalBrowseView extends CatalogBrowseView {
+
+    constructor(provider) {
+        super(provider);
+        this._entries = [];
+        this._filtered = [];
+        this._shown = 0;
+        this._sort = 'name';
+        this._folder = '';
+    }
+
+    _id(name) { return `local_${name}`; }
+
+    get _logTag() { return '[LocalBrowse]'; }
+
+    _sortOptions() { return SORT_OPTIONS; }
+
+    _findHit(id) { return this._filtered.find(e => e.id === id) || null; }
+
+    _extractProviderIds(char, idSet) {
+        const ext = char.data?.extensions?.local;
+        if (ext?.id) idSet.add(String(ext.id));
+    }
+
+    // ── Card Rendering ──────────────────────────────────────
+
+    _thumbUrl(entry) {
+        return entry.hasImage ? getLocalImageUrl(entry.id, { size: THUMB_SIZE, version: entry.mtime }) : '/img/ai4.png';
+    }
+
+    _previewAvatarUrl(entry) {
+        return entry.hasImage ? getLocalImageUrl(entry.id, { version: entry.mtime }) : '/img/ai4.png';
+    }
+
+    _cardTitle(entry) { return super._cardTitle(entry) || entry.id; }
+
+    _cardFooterHtml(entry) {
+        const modified = entry.mtime ? new Date(entry.mtime).toLocaleDateString() : '';
+        const folder = folderOf(entry.id);
+        return `
+                    <span class="browse-card-stat" title="${escapeHtml(entry.format.toUpperCase())}${folder ? ` in ${escapeHtml(folder)}` : ''}"><i class="fa-solid ${FORMAT_ICONS[entry.format] || 'fa-file'}"></i></span>
+                    ${entry.tokens ? `<span class="browse-card-stat" title="Approx. tokens"><i class="fa-solid fa-font"></i> ${formatNumber(entry.tokens)}</span>` : ''}
+                    ${modified ? `<span class="browse-card-date" title="Modified"><i class="fa-solid fa-clock"></i> ${modified}</span>` : ''}`;
+    }
+
+    _renderGrid(append = false) {
+        const grid = this._el('grid');
+        if (!grid) return;
+
+        if (!append) {
+            grid.innerHTML = '';
+            this._shown = 0;
+        }
+
+        const next = Math.min(this._filtered.length, this._shown + PAGE_SIZE);
+        grid.insertAdjacentHTML('beforeend', this._filtered.slice(this._shown, next).map(e => this._createCard(e)).join(''));
+        this._shown = next;
+
+        this.observeImages(grid);
+        this.updateLoadMoreVisibility(this._id('loadMore'), this._shown < this._filtered.length, this._filtered.length > 0);
+
+        if (!append && this._filtered.length === 0) {
+            grid.innerHTML = this._entries.length === 0
+                ? this._messageHtml('fa-solid fa-folder-open', 'No character cards found in the folder', 'PNG, JSON and CHARX files are indexed, including subfolders.')
+                : this._messageHtml('fa-solid fa-ghost', 'No matches in the folder');
+        }
+    }
+
+    // ── Filtering ───────────────────────────────────────────
+
+    _applyFilters() {
+        const query = this._search.toLowerCase();
+        const exclude = getProviderExcludeTags('local').map(t => t.toLowerCase());
+        let list = this._entries.filter(e => {
+            if (this._folder && e.id !== this._folder && !e.id.startsWith(this._folder + '/')) return false;
+            if (exclude.length > 0 && e.tags.some(t => exclude.includes(t.toLowerCase()))) return false;
+            if (query) {
+                const haystack = `${e.name}\n${e.creator}\n${e.tags.join('\n')}\n${e.id}`.toLowerCase();
+                if (!haystack.includes(query)) return false;
+            }
+            return true;
+        });
+        if (this._hideOwned) list = list.filter(e => !this._isInLibrary(e));
+        if (this._hidePossible) list = list.filter(e => !this._isPossibleMatch(e));
+
+        const byName = (a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' });
+        if (this._sort === 'newest') list.sort((a, b) => b.mtime - a.mtime || byName(a, b));
+        else if (this._sort === 'tokens') list.sort((a, b) => b.tokens - a.tokens || byName(a, b));
+        else if (this._sort === 'path') list.sort((a, b) => a.id.localeCompare(b.id));
+        else list.sort(byName);
+
+        this._filtered = list;
+        this._renderGrid(false);
+    }
+
+    _renderFolderOptions() {
+        const select = this._el('folderSelect');
+        if (!select) return;
+        const folders = new Set();
+        for (const e of this._entries) {
+            // every ancestor, so a parent folder can be picked even if it holds no cards itself
+            let folder = folderOf(e.id);
+            while (folder && !folders.has(folder)) {
+                folders.add(folder);
+                folder = folderOf(folder);
+            }
+        }
+        if (this._folder && !folders.has(this._folder)) this._folder = '';
+        select.innerHTML = '<option value="">All Folders</option>'
+            + [...folders].sort().map(f => `<option value="${escapeHtml(f)}" ${f === this._folder ? 'selected' : ''}>${escapeHtml(f)}</option>`).join('');
+        select._customSelect?.refresh();
+        select.closest('.browse-sort-container')?.classList.toggle('hidden', folders.size === 0);
+    }
+
+    // ── Load ────────────────────────────────────────────────
+
+    async _loadCatalog({ refresh = false } = {}) {
+        const thisToken = ++this._loadToken;
+        this._isLoading = true;
+
+        const grid = this._el('grid');
+        if (grid) renderSkeletonGrid(grid);
+        const refreshIcon = this._el('refreshBtn')?.querySelector('i');
+        refreshIcon?.classList.add('fa-spin');
+
+        try {
+            const { entries, truncated } = await fetchLocalIndex({ refresh });
+            if (thisToken !== this._loadToken || !this._delegatesInitialized) return;
+            this._entries = entries.map(e => ({ ...e, tags: Array.isArray(e.tags) ? e.tags : [] }));
+            this._renderFolderOptions();
+            this._applyFilters();
+            if (truncated) showToast('Local folder has too many files; only part of it was indexed', 'warning');
+            debugLog(`${this._logTag} Catalog loaded:`, this._entries.length, 'cards');
+        } catch (err) {
+            if (thisToken !== this._loadToken) return;
+            console.error(`${this._logTag} Catalog error:`, err);
+            if (!grid) return;
+            if (err.status === 409) {
+                grid.innerHTML = this._messageHtml('fa-solid fa-folder-tree', 'No folder configured',
+                    'An admin can choose the folder in Settings → Online → Local Folder.');
+                return;
+            }
+            this._renderGridError(grid, `Could not read the folder: ${err.message}`, () => this._loadCatalog());
+        } finally {
+            if (thisToken === this._loadToken) {
+                this._isLoading = false;
+                refreshIcon?.classList.remove('fa-spin');
+            }
+        }
+    }
+
+    _load() { this._loadCatalog(); }
+
+    _reload() { this._applyFilters(); }
+
+    _refresh() { this._loadCatalog({ refresh: true }); }
+
+    _resetResults() {
+        this._entries = [];
+        this._filtered = [];
+        this._shown = 0;
+    }
+
+    // ── Filter Bar / Preview ────────────────────────────────
+
+    _searchPlaceholder() { return 'Search names, creators, tags and paths...'; }
+
+    get _refreshTitle() { return 'Rescan folder'; }
+
+    _renderLeadingFilters() {
+        return `
+            <div class="browse-sort-container hidden">
+                <select id="${this._id('folderSelect')}" class="glass-select" title="Folder">
+                    <option value="">All Folders</option>
+                </select>
+            </div>`;
+    }
+
+    _wireExtraControls() {
+        const folderEl = this._el('folderSelect');
+        if (folderEl) CoreAPI.initCustomSelect?.(folderEl);
+        on(this._id('folderSelect'), 'change', (e) => {
+            this._folder = e.target.value || '';
+            this._applyFilters();
+        });
+    }
+
+    get _detailUnavailableHtml() {
+        return '<em style="color: var(--text-secondary, #888)">Could not read this file. It may have been moved or deleted since the last scan.</em>';
+    }
+
+    _renderPreviewMeta() {
+        return `
+                        <p class="browse-char-meta" title="Path in the shared folder">
+                            <i class="fa-solid fa-folder-tree"></i> <span id="${this._id('charPath')}"></span>
+                        </p>`;
+    }
+
+    _fillPreviewHeader(entry) {
+        this._el('charPath').textContent = entry.id;
+    }
+
+    // ── Lifecycle ───────────────────────────────────────────
+
+    canLoadMore() { return !this._isLoading && this._shown < this._filtered.length; }
+
+    loadMore() {
+        this._renderGrid(true);
+    }
+}
+
+const localBrowseView = new LocalBrowseView(null);
+export default localBrowseView;
@@ -0,0 +1,261 @@
+// Local Folder Provider - card files in a local directory or network share
+//
+// cl-helper indexes the configured folder server-side (see local-api.js), so
+// the shared collection browses like any online source. Links store the
+// file's root-relative path; update checks re-read the file and diff it
+// against the library copy, so edits to the shared card surface as updates.
+
+import { ProviderBase } from '../provider-interface.js';
+import CoreAPI from '../../core-api.js';
+import { assignGalleryId, importFromPng, slugify } from '../provider-utils.js';
+import localBrowseView from './local-browse.js';
+import {
+    LOCAL_URL_PREFIX,
+    fetchLocalIndex,
+    fetchLocalCard,
+    getLocalImageUrl,
+    downloadLocalImage,
+    normalizeLocalCard,
+} from './local-api.js';
+
+let api = null; // CoreAPI reference
+
+class LocalProvider extends ProviderBase {
+    // ── Identity ────────────────────────────────────────────
+
+    get id() { return 'local'; }
+    get name() { return 'Local Folder'; }
+    get icon() { return 'fa-solid fa-folder-tree'; }
+    get beta() { return true; }
+    get disabledByDefault() { return true; }
+    get enableWarning() {
+        return 'Local Folder needs the cl-helper server plugin (1.10.0+) and an admin to choose the folder in Settings → Online → Local Folder.';
+    }
+    get browseView() { return localBrowseView; }
+
+    // ── Lifecycle ───────────────────────────────────────────
+
+    async init(coreAPI) {
+        super.init(coreAPI);
+        api = coreAPI;
+    }
+
+    async activate(container, options = {}) {
+        await localBrowseView.activate(container, options);
+    }
+
+    deactivate() {
+        localBrowseView.deactivate();
+    }
+
+    // ── View ────────────────────────────────────────────────
+
+    get hasView() { return true; }
+
+    renderFilterBar() { return localBrowseView.renderFilterBar(); }
+    renderView() { return localBrowseView.renderView(); }
+    renderModals() { return localBrowseView.renderModals(); }
+
+    // ── Character Linking ───────────────────────────────────
+
+    getLinkInfo(char) {
+        if (!char) return null;
+        const extensions = char.data?.extensions || char.extensions;
+        const ext = extensions?.local;
+        if (!ext?.id) return null;
+
+        return {
+            providerId: 'local',
+            id: ext.id,
+            fullPath: ext.id,
+            linkedAt: ext.linkedAt || null
+        };
+    }
+
+    setLinkInfo(char, linkInfo) {
+        if (!char) return;
+        if (!char.data) char.data = {};
+        if (!char.data.extensions) char.data.extensions = {};
+
+        if (linkInfo) {
+            const existing = char.data.extensions.local || {};
+            char.data.extensions.local = {
+                id: String(linkInfo.id || linkInfo.fullPath),
+                linkedAt: linkInfo.linkedAt || new Date().toISOString(),
+                pageName: linkInfo.pageName || existing.pageName || null,
+            };
+        } else {
+            delete char.data.extensions.local;
+        }
+    }
+
+    // Files have no web page; the link modal shows the path instead
+    getCharacterUrl() { return null; }
+
+    openLinkUI(char) {
+        CoreAPI.openProviderLinkModal?.(char);
+    }
+
+    // ── Local Import Enrichment ──────────────────────────────
+
+    async enrichLocalImport(cardData, _fileName) {
+        const ext = cardData.data?.extensions?.local;
+        if (!ext?.id) return null;
+
+        return {
+            cardData,
+            providerInfo: {
+                providerId: 'local',
+                charId: ext.id,
+                fullPath: ext.id,
+                hasGallery: false,
+                avatarUrl: null
+            }
+        };
+    }
+
+    // ── Remote Data ─────────────────────────────────────────
+
+    /**
+     * Listing metadata for the link modal: { id, name, card }.
+     * Null when the path no longer holds a card.
+     */
+    async fetchMetadata(charId) {
+        const id = String(charId);
+        const card = normalizeLocalCard((await fetchLocalCard(id))?.card);
+        if (!card) return null;
+        return { id, name: card.data.name, card };
+    }
+
+    /**
+     * Re-read the shared file for update comparison.
+     * Returns V2-wrapped format: { spec, spec_version, data }.
+     */
+    async fetchRemoteCard(linkInfo) {
+        const charId = linkInfo?.id || linkInfo?.fullPath;
+        if (!charId) return null;
+
+        try {
+            const result = normalizeLocalCard((await fetchLocalCard(String(charId)))?.card);
+            if (!result) return null;
+            result._listingName = result.data.name;
+            return result;
+        } catch (e) {
+            // A moved or deleted file is "unavailable", not an error worth a stack trace
+            if (e.status !== 404) console.error('[LocalProvider] fetchRemoteCard failed:', charId, e);
+            return null;
+        }
+    }
+
+    normalizeRemoteCard(rawData) {
+        return normalizeLocalCard(rawData);
+    }
+
+    // ── URL Handling ────────────────────────────────────────
+
+    canHandleUrl(url) {
+        return typeof url === 'string' && url.startsWith(LOCAL_URL_PREFIX) && url.length > LOCAL_URL_PREFIX.length;
+    }
+
+    parseUrl(url) {
+        if (!this.canHandleUrl(url)) return null;
+        return url.slice(LOCAL_URL_PREFIX.length).replace(/\\/g, '/').replace(/^\/+/, '') || null;
+    }
+
+    // ── Bulk Linking ────────────────────────────────────────
+
+    get supportsBulkLink() { return true; }
+
+    openBulkLinkUI() {
+        CoreAPI.openBulkAutoLinkModal?.();
+    }
+
+    /**
+     * Match library characters against the folder catalog by name/creator.
+     */
+    async searchForBulkLink(name, creator) {
+        try {
+            const normalizedName = name.toLowerCase().trim();
+            const normalizedCreator = creator ? creator.toLowerCase().trim() : '';
+            const { entries } = await fetchLocalIndex();
+
+            const results = [];
+            for (const entry of entries) {
+                const entryName = (entry.name || '').toLowerCase().trim();
+                const entryCreator = (entry.creator || '').toLowerCase().trim();
+                const nameMatch = !!entryName && (entryName === normalizedName || entryName.includes(normalizedName) || normalizedName.includes(entryName));
+                const creatorMatch = !normalizedCreator || !entryCreator || entryCreator.includes(normalizedCreator);
+                if (nameMatch && creatorMatch) {
+                    results.push({
+                        id: entry.id,
+                        fullPath: entry.id,
+                        name: entry.name,
+                        avatarUrl: entry.hasImage ? getLocalImageUrl(entry.id, { size: 256, version: entry.mtime }) : '/img/ai4.png',
+                        rating: 0,
+                        starCount: 0,
+                        description: entry.tagline,
+                        tagline: entry.id,
+                        nTokens: entry.tokens,
+                    });
+                }
+            }
+            return results;
+        } catch (error) {
+            console.error('[LocalProvider] searchForBulkLink error:', error);
+            return [];
+        }
+    }
+
+    getResultAvatarUrl(result) {
+        return result.avatarUrl || '/img/ai4.png';
+    }
+
+    // ── Import Pipeline ─────────────────────────────────────
+
+    get supportsImport() { return true; }
+
+    async importCharacter(charId, hitData, options = {}) {
+        try {
+            const id = String(charId);
+            const characterCard = normalizeLocalCard((await fetchLocalCard(id))?.card);
+            if (!characterCard) throw new Error('File does not contain a character card');
+
+            const characterName = characterCard.data.name || hitData?.name || 'Unknown';
+            characterCard.data.name = characterName;
+
+            characterCard.data.extensions.local = {
+                id,
+                pageName: characterName,
+                linkedAt: new Date().toISOString()
+            };
+
+            assignGalleryId(characterCard, options, api);
+
+            // CHARX archives contribute only their icon; other embedded assets stay in the share
+            let imageBuffer = null;
+            if (hitData?.hasImage !== false) {
+                try {
+                    imageBuffer = await downloadLocalImage(id);
+                } catch { /* placeholder will be generated */ }
+            }
+
+            return await importFromPng({
+                characterCard,
+                imageBuffer,
+                fileName: `local_${slugify(characterName)}.png`,
+                characterName,
+                hasGallery: false,
+                providerCharId: id,
+                fullPath: id,
+                avatarUrl: null,
+                api
+            });
+        } catch (error) {
+            console.error(`[LocalProvider] importCharacter failed for ${charId}:`, error);
+            return { success: false, error: error.message };
+        }
+    }
+}
+
+const localProvider = new LocalProvider();
+export default localProvider;
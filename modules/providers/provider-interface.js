@@ -25,7 +25,10 @@ import { saveGalleryImage } from './provider-utils.js';
  * @property {string} avatar       - character avatar filename
  * @property {boolean} hasUpdate   - whether an update is available
  * @property {Object} [remoteCard] - full remote card data if fetched
+ * @property {Array} [diffs]       - field differences reported by options.compare
+ * @property {boolean} [unavailable] - remote card is gone (removed or private)
  * @property {string} [error]      - error message if check failed
+ * @property {string} [errorCode]  - err.code of the failure (e.g. 'PROVIDER_UNAVAILABLE')
  */
 
 /**
@@ -44,6 +47,20 @@ import { saveGalleryImage } from './provider-utils.js';
  * @property {boolean} [optional]  - if true, excluded from diff by default
  */
 
+/**
+ * @typedef {Object} ProviderSearchResult
+ * @property {string|number} id    - provider-internal ID
+ * @property {string} name         - character display name
+ * @property {string} creator      - creator display name ('' when the listing has none)
+ * @property {string} avatarUrl    - thumbnail URL for the results grid
+ * @property {string} [tagline]    - short plain-text blurb
+ * @property {number} [nTokens]    - token count if the listing reports one
+ * @property {number} [starCount]  - the provider's main popularity figure (likes, stars, favorites)
+ * @property {string[]} [tags]     - tag names, when the listing carries them
+ * @property {string} [url]        - character page URL, importable through parseUrl()
+ * @property {Object} hit          - raw browse hit, handed back to openPreview() unchanged
+ */
+
 /**
  * Base class for external character source providers.
  *
@@ -213,6 +230,14 @@ export class ProviderBase {
 
     // ── Remote Data ─────────────────────────────────────────
 
+    /**
+     * Hostnames this provider's API traffic goes to. The shared request
+     * scheduler tracks rate limits and breaker state per host; health for
+     * the provider is the worst state across these.
+     * @returns {string[]}
+     */
+    get requestHosts() { return []; }
+
     /**
      * Refresh/re-extract remote data before an update check.
      * Providers that cache or aggregate stale data (e.g. DataCat) can
@@ -292,13 +317,23 @@ export class ProviderBase {
     // ── Update Checking ─────────────────────────────────────
 
     /**
-     * Check one character for available updates.
+     * Check one character for available updates. Default refreshes and fetches
+     * the remote card, then asks options.compare for the differences; without
+     * a comparator a fetched card never counts as an update.
      * @param {Object} char - local character object
      * @param {ProviderLinkInfo} linkInfo
+     * @param {Object} [options]
+     * @param {function(Object, Object):Promise<Array>} [options.compare] - (char, remoteCard) => diffs
+     * @param {AbortSignal} [options.signal] - abort signal passed to refreshRemoteData()
      * @returns {Promise<ProviderUpdateResult>}
      */
-    async checkForUpdate(char, linkInfo) {
-        return { avatar: char.avatar, hasUpdate: false };
+    async checkForUpdate(char, linkInfo, options = {}) {
+        await this.refreshRemoteData(linkInfo, { signal: options.signal });
+        if (options.signal?.aborted) return { avatar: char.avatar, hasUpdate: false, error: 'Aborted' };
+        const remoteCard = await this.fetchRemoteCard(linkInfo);
+        if (!remoteCard) return { avatar: char.avatar, hasUpdate: false, unavailable: true };
+        const diffs = options.compare ? await options.compare(char, remoteCard) : [];
+        return { avatar: char.avatar, hasUpdate: diffs.length > 0, remoteCard, diffs };
     }
 
     /**
@@ -306,21 +341,23 @@ export class ProviderBase {
      * parallel with concurrency control. Override for provider-native batch APIs.
      * @param {Array<{char: Object, linkInfo: ProviderLinkInfo}>} items
      * @param {function} [onProgress] - called with (completed, total)
+     * @param {Object} [options] - forwarded to checkForUpdate()
      * @returns {Promise<ProviderUpdateResult[]>}
      */
-    async checkForUpdates(items, onProgress) {
+    async checkForUpdates(items, onProgress, options = {}) {
         const results = [];
         const CONCURRENCY = 3;
         let idx = 0;
 
         const next = async () => {
             while (idx < items.length) {
+                if (options.signal?.aborted) break;
                 const i = idx++;
                 const { char, linkInfo } = items[i];
                 try {
-                    results[i] = await this.checkForUpdate(char, linkInfo);
+                    results[i] = await this.checkForUpdate(char, linkInfo, options);
                 } catch (err) {
-                    results[i] = { avatar: char.avatar, hasUpdate: false, error: err.message };
+                    results[i] = { avatar: char.avatar, hasUpdate: false, error: err.message, errorCode: err.code };
                 }
                 onProgress?.(results.filter(Boolean).length, items.length);
             }
@@ -471,6 +508,36 @@ export class ProviderBase {
      */
     getResultAvatarUrl(result) { return result.avatarUrl || ''; }
 
+    // ── Unified Search ──────────────────────────────────────
+
+    /**
+     * Whether this provider takes part in the All Providers search.
+     * If true, searchUnified() must work and openPreview() must accept
+     * the raw hits it returns.
+     * @returns {boolean}
+     */
+    get supportsUnifiedSearch() { return false; }
+
+    /**
+     * Free-text character search for the All Providers view and saved
+     * searches. NSFW follows the provider's own setting unless options.nsfw
+     * is given, and never goes past what the current session can see.
+     * Tag, token and creator filters are applied server-side where the API
+     * takes them; callers re-check results, so unsupported ones may be
+     * ignored. Errors should propagate so the caller can report which
+     * providers failed.
+     * @param {string} query
+     * @param {Object} [options]
+     * @param {number} [options.limit]
+     * @param {'relevance'|'newest'} [options.sort='relevance']
+     * @param {string[]} [options.tags] - tag names every result must carry
+     * @param {number} [options.minTokens]
+     * @param {string} [options.creator]
+     * @param {boolean} [options.nsfw] - override the provider's NSFW setting
+     * @returns {Promise<ProviderSearchResult[]>}
+     */
+    async searchUnified(query, options = {}) { return []; }
+
     // ── Import Pipeline ─────────────────────────────────────
 
     /**
@@ -645,13 +712,27 @@ export class ProviderBase {
                 continue;
             }
 
+            // Re-encoded / resized copy of a picture already in the folder (perceptualDedup setting)
+            let phash = null;
+            if (dedup.usePerceptual && /^image\//.test(dl.detectedType || dl.contentType || '')) {
+                phash = await api.calculatePerceptualHash?.(dl.arrayBuffer) || null;
+                const similar = phash ? api.findPerceptualMatch?.(hashMap, phash) : null;
+                if (similar) {
+                    skippedCount++;
+                    dl = null;
+                    if (onLogUpdate && imgLog) onLogUpdate(imgLog, `Skipped (similar to ${similar.fileName}): ${displayUrl}`, 'success');
+                    onProgress?.(i + 1, galleryImages.length);
+                    continue;
+                }
+            }
+
             if (onLogUpdate && imgLog) onLogUpdate(imgLog, `Saving ${displayUrl}...`, 'pending');
             const saveResult = await saveGalleryImage(dl, image, folderName, contentHash, this.galleryFilePrefix, api);
             dl = null;
 
             if (saveResult.success) {
                 successCount++;
-                hashMap.set(contentHash, { fileName: saveResult.filename });
+                hashMap.set(contentHash, { fileName: saveResult.filename, phash });
                 if (fileNameIndex) {
                     const savedSanitized = api.extractSanitizedUrlName?.(image.url) || '';
                     if (savedSanitized) fileNameIndex.set(savedSanitized.toLowerCase(), { fileName: saveResult.filename, localPath: saveResult.localPath || '' });
@@ -1,6 +1,7 @@
 // Provider Registry - manages external source providers for the Online tab
 
 import { invalidateSharedBaseLookup } from './browse-view.js';
+import { getProviderHealth } from './provider-utils.js';
 
 /** @type {Map<string, import('./provider-interface.js').ProviderBase>} */
 const providers = new Map();
@@ -419,6 +420,7 @@ export default {
     getActiveTaglineNamespace,
     getAllLinkedCharacters,
     getProviderForUrl,
+    getProviderHealth,
     renderProviderSelector,
     initProviderSelector,
     rebuildAllBrowseLookups,
@@ -0,0 +1,496 @@
+// Provider Record/Replay - fixture capture and offline regression runs
+//
+// A fetch interposer slides under every provider API client while a session
+// runs: direct cross-origin calls, the /proxy/ CORS fallback and the cl-helper
+// plugin routes. Record mode saves the real responses next to what each
+// provider produced from them; replay mode answers only from the fixture, so
+// a run is deterministic and never touches the network. Writes back into
+// SillyTavern (character import, merge-attributes, world files) are sandboxed
+// in both modes, so recording an import never creates a character; a recording
+// whose import got past the sandbox is refused.
+//
+// There is no UI. The module loads lazily behind window.clProviderReplay:
+//   await clProviderReplay.record('https://…')  capture one character page
+//   await clProviderReplay.run()                replay every case, print a report
+//   await clProviderReplay.run('chub')          one provider only
+//   await clProviderReplay.list()               cases per provider
+//   await clProviderReplay.remove('chub', id)   drop a case
+//   await clProviderReplay.exportFixtures('chub')  download the fixture file
+//
+// Cases worth keeping go in tests/providers/fixtures/<provider>.json (the
+// exported file as-is), where tests/providers.test.mjs replays them headless
+// through replayCase() with no app and no network.
+
+import CoreAPI from '../core-api.js';
+import ProviderRegistry from './provider-registry.js';
+
+// ========================================
+// CONSTANTS
+// ========================================
+
+const FIXTURE_PREFIX = '_cl_fixtures_';
+const STORAGE_VERSION = 1;
+const CL_HELPER_PATH = '/api/plugins/cl-helper/';
+const PROXY_PATH = '/proxy/';
+// Avatars up to this size replay byte-exact; larger ones replay as 404 and the
+// import falls back to the generated placeholder, same as a dead CDN link.
+const BINARY_LIMIT = 256 * 1024;
+// Cache busters that would make every recording unique
+const VOLATILE_PARAMS = new Set(['_', 't', 'ts', 'timestamp', 'cb', 'cacheBust', 'nocache']);
+// SillyTavern writes an import may make; answered locally during a session
+const SANDBOXED_WRITES = [/^\/api\/characters\//, /^\/api\/worldinfo\//, /^\/api\/images\/upload/];
+const NO_BODY_STATUSES = new Set([101, 204, 205, 304]);
+
+// Card fields compared between recording and replay. Extensions are left out:
+// they carry link timestamps and random gallery ids.
+const SUMMARY_FIELDS = [
+    'name', 'description', 'personality', 'scenario', 'first_mes', 'mes_example',
+    'system_prompt', 'post_history_instructions', 'creator_notes', 'creator',
+    'tags', 'alternate_greetings'
+];
+
+let session = null; // { mode, responses, cursors, misses, pending, importSeq }
+
+// ========================================
+// FETCH INTERPOSER
+// ========================================
+
+function fnv1a(str) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        h ^= str.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    return (h >>> 0).toString(36);
+}
+
+function normalizeTarget(u) {
+    const params = [...u.searchParams.entries()]
+        .filter(([k]) => !VOLATILE_PARAMS.has(k))
+        .sort(([a], [b]) => a.localeCompare(b));
+    const qs = new URLSearchParams(params).toString();
+    return `${u.origin === location.origin ? '' : u.origin}${u.pathname}${qs ? `?${qs}` : ''}`;
+}
+
+/**
+ * Classify a fetch call. Provider traffic gets a stable key; the /proxy/
+ * fallback keys on its target so a recording replays whether or not the
+ * origin was marked as needing the proxy at the time.
+ * @returns {{kind: 'provider'|'write'|'other', key?: string, path?: string}}
+ */
+function classifyRequest(input, init) {
+    const rawUrl = typeof input === 'string' ? input : (input?.url || String(input));
+    const method = (init?.method || (input instanceof Request ? input.method : 'GET')).toUpperCase();
+    let u;
+    try { u = new URL(rawUrl, location.origin); } catch { return { kind: 'other' }; }
+
+    let target = null;
+    if (u.origin !== location.origin) {
+        target = u;
+    } else if (u.pathname.startsWith(PROXY_PATH)) {
+        try { target = new URL(decodeURIComponent(u.pathname.slice(PROXY_PATH.length))); } catch { return { kind: 'other' }; }
+    } else if (u.pathname.startsWith(CL_HELPER_PATH)) {
+        target = u;
+    } else {
+        if (method !== 'GET' && SANDBOXED_WRITES.some(re => re.test(u.pathname))) {
+            return { kind: 'write', path: u.pathname };
+        }
+        return { kind: 'other' };
+    }
+
+    const body = typeof init?.body === 'string' ? init.body : '';
+    const key = `${method} ${normalizeTarget(target)}${body ? ` #${fnv1a(body)}` : ''}`;
+    return { kind: 'provider', key };
+}
+
+async function serializeResponse(resp) {
+    const headers = {};
+    // Bodies are stored decoded, so transfer headers would lie on replay
+    resp.headers.forEach((value, name) => {
+        if (!['set-cookie', 'content-encoding', 'content-length'].includes(name)) headers[name] = value;
+    });
+    const base = { status: resp.status, statusText: resp.statusText, headers };
+    const type = headers['content-type'] || '';
+    const copy = resp.clone();
+    if (!type || /^text\/|json|xml|javascript/i.test(type)) {
+        return { ...base, text: await copy.text() };
+    }
+    const buf = await copy.arrayBuffer();
+    if (buf.byteLength > BINARY_LIMIT) return { ...base, omitted: true };
+    return { ...base, base64: CoreAPI.arrayBufferToBase64(buf) };
+}
+
+function deserializeResponse(rec) {
+    if (rec.omitted) return new Response(null, { status: 404, statusText: 'Omitted from fixture' });
+    let body = null;
+    if (!NO_BODY_STATUSES.has(rec.status)) {
+        body = rec.base64 != null
+            ? Uint8Array.from(atob(rec.base64), c => c.charCodeAt(0))
+            : (rec.text ?? '');
+    }
+    return new Response(body, { status: rec.status, statusText: rec.statusText, headers: rec.headers });
+}
+
+function sandboxedWrite(path) {
+    if (path === '/api/characters/import') {
+        session.importSeq++;
+        return new Response(JSON.stringify({ file_name: `cl_replay_${session.importSeq}` }), {
+            status: 200, headers: { 'content-type': 'application/json' }
+        });
+    }
+    return new Response('{}', { status: 200, headers: { 'content-type': 'application/json' } });
+}
+
+function makeInterposer(realFetch) {
+    return async function replayFetch(input, init) {
+        if (!session) return realFetch(input, init);
+        const req = classifyRequest(input, init);
+        if (req.kind === 'write') return sandboxedWrite(req.path);
+        if (req.kind !== 'provider') return realFetch(input, init);
+
+        if (session.mode === 'replay') {
+            const list = session.responses[req.key];
+            if (!list?.length) {
+                session.misses.push(req.key);
+                return new Response('No fixture for this request', { status: 404, statusText: 'Replay miss' });
+            }
+            // Sequential per key; the last response repeats once the list runs out
+            const idx = session.cursors.get(req.key) || 0;
+            session.cursors.set(req.key, idx + 1);
+            return deserializeResponse(list[Math.min(idx, list.length - 1)]);
+        }
+
+        // Reserve the slot before awaiting so concurrent calls keep their call order;
+        // a rejected fetch leaves it empty and withSession() drops it
+        const slot = (session.responses[req.key] ||= []);
+        const at = slot.push(null) - 1;
+        const active = session;
+        const resp = await realFetch(input, init);
+        const job = serializeResponse(resp)
+            .then(rec => { slot[at] = rec; })
+            .catch(e => { slot[at] = { status: 599, statusText: 'Unreadable', headers: {}, text: String(e?.message || e) }; })
+            .finally(() => active.pending.delete(job));
+        active.pending.add(job);
+        return resp;
+    };
+}
+
+/**
+ * Run fn with the interposer installed. Only one session runs at a time;
+ * window.fetch is restored even when fn throws.
+ */
+async function withSession(mode, responses, fn) {
+    if (session) throw new Error('A provider record/replay session is already running');
+    const realFetch = window.fetch;
+    session = { mode, responses, cursors: new Map(), misses: [], pending: new Set(), importSeq: 0 };
+    window.fetch = makeInterposer(realFetch);
+    const active = session;
+    try {
+        const value = await fn();
+        while (active.pending.size) await Promise.all([...active.pending]);
+        for (const [key, list] of Object.entries(responses)) {
+            const kept = list.filter(Boolean);
+            if (kept.length) responses[key] = kept;
+            else delete responses[key];
+        }
+        return { value, misses: active.misses, sandboxedImports: active.importSeq };
+    } finally {
+        window.fetch = realFetch;
+        session = null;
+    }
+}
+
+// ========================================
+// FIXTURE FILES
+// ========================================
+
+function fixtureFileName(providerId) {
+    return `${FIXTURE_PREFIX}${String(providerId).replace(/[^a-z0-9_-]/gi, '_')}.json`;
+}
+
+async function loadFixtureFile(providerId) {
+    try {
+        const resp = await fetch(`/user/files/${fixtureFileName(providerId)}`, { cache: 'no-store' });
+        if (resp.ok) {
+            const data = JSON.parse(await resp.text());
+            if (Array.isArray(data?.cases)) return data;
+        }
+    } catch { /* missing or unreadable - start fresh */ }
+    return { version: STORAGE_VERSION, providerId, cases: [] };
+}
+
+async function saveFixtureFile(providerId, fixture) {
+    const base64 = CoreAPI.utf8ToBase64(JSON.stringify(fixture));
+    const resp = await CoreAPI.apiRequest('/files/upload', 'POST', { name: fixtureFileName(providerId), data: base64 });
+    if (!resp.ok) {
+        const err = await resp.text().catch(() => resp.statusText);
+        throw new Error(`Fixture upload failed (${resp.status}): ${err}`);
+    }
+}
+
+// ========================================
+// EXERCISE
+// ========================================
+
+/**
+ * The card fields a case compares, plus the lorebook entry count.
+ * @param {Object} card - V2 card or its data block
+ * @returns {Object|null}
+ */
+export function summarizeCard(card) {
+    const data = card?.data || card;
+    if (!data || typeof data !== 'object') return null;
+    const out = {};
+    for (const f of SUMMARY_FIELDS) out[f] = data[f] ?? null;
+    out.lorebookEntries = data.character_book?.entries?.length ?? 0;
+    return out;
+}
+
+function diffSummaries(a, b) {
+    if (!a || !b) return a === b ? [] : ['(missing)'];
+    return Object.keys({ ...a, ...b }).filter(k => JSON.stringify(a[k]) !== JSON.stringify(b[k]));
+}
+
+// Stand-in for the card-updates comparator: enough to see whether a freshly
+// imported card already differs from the remote it came from.
+async function compareForReplay(char, remoteCard) {
+    return diffSummaries(summarizeCard(char.data), summarizeCard(remoteCard)).map(field => ({ field }));
+}
+
+/** Capture normalizeRemoteCard input/output while fetchRemoteCard runs. */
+function spyNormalize(provider) {
+    const calls = [];
+    const original = provider.normalizeRemoteCard;
+    provider.normalizeRemoteCard = function (raw) {
+        const output = original.call(this, raw);
+        calls.push({ input: JSON.parse(JSON.stringify(raw ?? null)), output: summarizeCard(output) });
+        return output;
+    };
+    return { calls, restore: () => { delete provider.normalizeRemoteCard; } };
+}
+
+/**
+ * Walk one character page URL through parseUrl → importCharacter →
+ * getLinkInfo → checkForUpdate, noting what the provider produced at each step.
+ * @returns {Promise<Object>} observations, stored as a case's expectations when recording
+ */
+async function exercise(provider, url) {
+    const out = { identifier: provider.parseUrl(url) ?? null };
+    if (!out.identifier) return out;
+
+    const spy = spyNormalize(provider);
+    try {
+        const result = await provider.importCharacter(out.identifier);
+        if (!result?.success) {
+            out.import = { error: result?.error || 'Import failed' };
+            return out;
+        }
+        out.import = summarizeCard(result.cardData);
+
+        const char = { avatar: result.fileName, name: result.characterName, data: result.cardData };
+        const linkInfo = provider.getLinkInfo(char);
+        out.linkInfo = linkInfo ? { id: linkInfo.id ?? null, fullPath: linkInfo.fullPath ?? null } : null;
+        if (!linkInfo) return out;
+
+        spy.calls.length = 0;
+        const check = await provider.checkForUpdate(char, linkInfo, { compare: compareForReplay });
+        out.update = {
+            hasUpdate: !!check?.hasUpdate,
+            unavailable: !!check?.unavailable,
+            fields: (check?.diffs || []).map(d => d.field)
+        };
+        if (spy.calls.length) out.normalize = spy.calls[0];
+    } catch (e) {
+        out.error = e?.message || String(e);
+    } finally {
+        spy.restore();
+    }
+    return out;
+}
+
+function stage(name, status, detail = '') {
+    return { stage: name, status, detail };
+}
+
+function compareStages(provider, expected, observed) {
+    const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+    const rows = [];
+
+    rows.push(same(expected.identifier, observed.identifier)
+        ? stage('parseUrl', 'pass')
+        : stage('parseUrl', 'fail', `expected ${JSON.stringify(expected.identifier)}, got ${JSON.stringify(observed.identifier)}`));
+
+    if (expected.import === undefined) {
+        rows.push(stage('importCharacter', 'skip', 'not reached when recorded'));
+    } else if (expected.import?.error || observed.import?.error) {
+        rows.push(same(expected.import?.error, observed.import?.error)
+            ? stage('importCharacter', 'pass', `fails as recorded: ${expected.import.error}`)
+            : stage('importCharacter', 'fail', observed.import?.error || observed.error || 'no longer fails'));
+    } else {
+        const fields = diffSummaries(expected.import, observed.import);
+        rows.push(fields.length
+            ? stage('importCharacter', 'fail', `differs: ${fields.join(', ')}${observed.error ? ` (${observed.error})` : ''}`)
+            : stage('importCharacter', 'pass'));
+    }
+
+    if (expected.update === undefined) {
+        rows.push(stage('checkForUpdate', 'skip', 'not reached when recorded'));
+    } else if (!same(expected.update, observed.update) || !same(expected.linkInfo, observed.linkInfo)) {
+        rows.push(stage('checkForUpdate', 'fail',
+            `expected ${JSON.stringify({ ...expected.update, linkInfo: expected.linkInfo })}, got ${JSON.stringify(observed.update ? { ...observed.update, linkInfo: observed.linkInfo } : observed.error || null)}`));
+    } else {
+        rows.push(stage('checkForUpdate', 'pass'));
+    }
+
+    // Pure function: replayed straight from the captured input, no network
+    if (!expected.normalize) {
+        rows.push(stage('normalizeRemoteCard', 'skip', 'not called by fetchRemoteCard'));
+    } else {
+        try {
+            const output = summarizeCard(provider.normalizeRemoteCard(expected.normalize.input));
+            const fields = diffSummaries(expected.normalize.output, output);
+            rows.push(fields.length
+                ? stage('normalizeRemoteCard', 'fail', `differs: ${fields.join(', ')}`)
+                : stage('normalizeRemoteCard', 'pass'));
+        } catch (e) {
+            rows.push(stage('normalizeRemoteCard', 'fail', e?.message || String(e)));
+        }
+    }
+    return rows;
+}
+
+// ========================================
+// PUBLIC API
+// ========================================
+
+/**
+ * Record one character page URL as a fixture case. Re-recording a URL
+ * replaces its previous case.
+ * @param {string} url - character page URL any provider's parseUrl() accepts
+ * @returns {Promise<{providerId: string, caseId: string, requests: number, observed: Object}>}
+ */
+export async function record(url) {
+    const provider = ProviderRegistry.getProviderForUrl(url);
+    if (!provider) throw new Error(`No provider handles ${url}`);
+
+    const responses = {};
+    const { value: observed, sandboxedImports } = await withSession('record', responses, () => exercise(provider, url));
+    if (!observed.identifier) throw new Error(`${provider.name} could not parse ${url}`);
+    // A successful import that never reached the sandbox went to the real library
+    if (observed.import && !observed.import.error && !sandboxedImports) {
+        throw new Error(`${provider.name} imported without going through the sandboxed /api/characters/import; case not saved`);
+    }
+    if (observed.error) console.warn(`[ProviderReplay] ${provider.name} failed while recording:`, observed.error);
+
+    const fixture = await loadFixtureFile(provider.id);
+    // A custom provider exists only as its definition; keep it so the file replays anywhere
+    if (provider.isCustom) fixture.definition = provider.definition;
+    const caseId = fnv1a(`${provider.id}:${observed.identifier}`);
+    fixture.cases = fixture.cases.filter(c => c.id !== caseId);
+    fixture.cases.push({ id: caseId, url, recordedAt: new Date().toISOString(), expected: observed, responses });
+    await saveFixtureFile(provider.id, fixture);
+
+    const requests = Object.values(responses).reduce((n, list) => n + list.length, 0);
+    CoreAPI.debugLog(`[ProviderReplay] Recorded ${provider.id} case ${caseId} (${requests} responses)`);
+    return { providerId: provider.id, caseId, requests, observed };
+}
+
+/**
+ * Replay one fixture case against the provider. Needs no app state: every
+ * provider request is answered from the case, anything else goes to whatever
+ * fetch is installed (the headless runner installs one that refuses).
+ * @param {Object} provider
+ * @param {{url: string, expected?: Object, responses?: Object}} fixtureCase
+ * @returns {Promise<{observed: Object, rows: Array<{stage: string, status: string, detail: string}>, misses: string[]}>}
+ */
+export async function replayCase(provider, fixtureCase) {
+    let observed;
+    let misses = [];
+    try {
+        const res = await withSession('replay', structuredClone(fixtureCase.responses || {}), () => exercise(provider, fixtureCase.url));
+        observed = res.value;
+        misses = res.misses;
+    } catch (e) {
+        observed = { error: e?.message || String(e) };
+    }
+    return { observed, rows: compareStages(provider, fixtureCase.expected || {}, observed), misses };
+}
+
+/**
+ * Replay fixture cases offline and print a report table.
+ * @param {string} [providerId] - limit to one provider; default all registered
+ * @returns {Promise<{passed: number, failed: number, skipped: number, rows: Array, misses: Array}>}
+ */
+export async function run(providerId) {
+    const providers = providerId
+        ? [ProviderRegistry.getProvider(providerId)].filter(Boolean)
+        : ProviderRegistry.getAllProviders();
+    if (providerId && !providers.length) throw new Error(`Unknown provider: ${providerId}`);
+
+    const rows = [];
+    const misses = [];
+    for (const provider of providers) {
+        const fixture = await loadFixtureFile(provider.id);
+        for (const c of fixture.cases) {
+            const res = await replayCase(provider, c);
+            for (const key of res.misses) misses.push({ provider: provider.id, case: c.id, request: key });
+            for (const r of res.rows) {
+                rows.push({ provider: provider.id, case: c.id, url: c.url, ...r });
+            }
+        }
+    }
+
+    const count = (s) => rows.filter(r => r.status === s).length;
+    const report = { passed: count('pass'), failed: count('fail'), skipped: count('skip'), rows, misses };
+    if (!rows.length) {
+        console.info('[ProviderReplay] No fixture cases. Record one with clProviderReplay.record(url).');
+    } else {
+        console.table(rows.map(({ url, ...r }) => r));
+        console.info(`[ProviderReplay] ${report.passed} passed, ${report.failed} failed, ${report.skipped} skipped`);
+    }
+    if (misses.length) {
+        console.warn(`[ProviderReplay] ${misses.length} request(s) had no recorded response; re-record those cases:`, misses);
+    }
+    return report;
+}
+
+/**
+ * Recorded cases per provider.
+ * @returns {Promise<Object<string, Array<{id: string, url: string, recordedAt: string}>>>}
+ */
+export async function list() {
+    const out = {};
+    for (const provider of ProviderRegistry.getAllProviders()) {
+        const fixture = await loadFixtureFile(provider.id);
+        if (fixture.cases.length) {
+            out[provider.id] = fixture.cases.map(({ id, url, recordedAt }) => ({ id, url, recordedAt }));
+        }
+    }
+    return out;
+}
+
+export async function remove(providerId, caseId) {
+    const fixture = await loadFixtureFile(providerId);
+    const before = fixture.cases.length;
+    fixture.cases = fixture.cases.filter(c => c.id !== caseId);
+    if (fixture.cases.length === before) return false;
+    await saveFixtureFile(providerId, fixture);
+    return true;
+}
+
+/** Download a provider's fixture file, e.g. to attach to a bug report. */
+export async function exportFixtures(providerId) {
+    const fixture = await loadFixtureFile(providerId);
+    const blob = new Blob([JSON.stringify(fixture, null, 2)], { type: 'application/json' });
+    CoreAPI.downloadBlobAsFile(blob, fixtureFileName(providerId));
+    return fixture.cases.length;
+}
+
+export default {
+    record,
+    run,
+    list,
+    remove,
+    exportFixtures,
+    replayCase
+};
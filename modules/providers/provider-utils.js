@@ -132,6 +132,299 @@ export function deferCall(el, run) {
     _enqueueDeferJob({ el, run });
 }
 
+// ========================================
+// REQUEST SCHEDULER
+// ========================================
+//
+// Provider traffic is queued per upstream host: a concurrency cap, a token
+// bucket for the sustained rate, retries with exponential backoff on 429/5xx
+// (Retry-After wins when the site sends one) and a circuit breaker. After
+// BREAKER_THRESHOLD failures in a row the breaker opens and requests fail fast
+// with code 'PROVIDER_UNAVAILABLE' until the cooldown ends; then one half-open
+// probe decides whether to close it or back off longer. Network/CORS
+// rejections pass straight through - they say nothing about the host.
+
+const HOST_DEFAULTS = { concurrency: 4, ratePerSec: 4, burst: 8 };
+const MAX_RETRIES = 3;
+const BACKOFF_BASE_MS = 1000;
+const BACKOFF_MAX_MS = 30000;
+const BREAKER_THRESHOLD = 5;
+const BREAKER_COOLDOWN_MS = 60000;
+const BREAKER_COOLDOWN_MAX_MS = 10 * 60000;
+
+const _hostLimits = new Map();      // host -> partial HOST_DEFAULTS override
+const _hosts = new Map();           // host -> scheduler state
+const _healthListeners = new Set();
+
+function _hostState(host) {
+    let s = _hosts.get(host);
+    if (!s) {
+        const limits = { ...HOST_DEFAULTS, ..._hostLimits.get(host) };
+        s = {
+            host, limits,
+            active: 0, waiters: [],
+            tokens: limits.burst, refilledAt: Date.now(), backoffUntil: 0,
+            failures: 0, breaker: 'closed', openUntil: 0, cooldown: BREAKER_COOLDOWN_MS, probing: false,
+            lastError: null
+        };
+        _hosts.set(host, s);
+    }
+    return s;
+}
+
+/**
+ * Override scheduler limits for one host. Call at module load, before the
+ * first request; later calls apply to the next request.
+ * @param {string} host - e.g. 'api.chub.ai'
+ * @param {{concurrency?: number, ratePerSec?: number, burst?: number}} limits
+ */
+export function configureHost(host, limits) {
+    _hostLimits.set(host, limits);
+    const s = _hosts.get(host);
+    if (s) s.limits = { ...HOST_DEFAULTS, ...limits };
+}
+
+function _sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) { reject(signal.reason ?? new DOMException('Aborted', 'AbortError')); return; }
+        const onAbort = () => { clearTimeout(timer); reject(signal.reason ?? new DOMException('Aborted', 'AbortError')); };
+        const timer = setTimeout(() => { signal?.removeEventListener('abort', onAbort); resolve(); }, ms);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+// ms until a token is free (0 = took one)
+function _takeToken(s) {
+    const now = Date.now();
+    s.tokens = Math.min(s.limits.burst, s.tokens + (now - s.refilledAt) / 1000 * s.limits.ratePerSec);
+    s.refilledAt = now;
+    if (s.tokens >= 1) { s.tokens -= 1; return 0; }
+    return Math.ceil((1 - s.tokens) / s.limits.ratePerSec * 1000);
+}
+
+async function _acquire(s, signal) {
+    while (s.active >= s.limits.concurrency) {
+        await new Promise(resolve => s.waiters.push(resolve));
+    }
+    s.active++;
+    try {
+        // A 429 pauses the whole host, not just the request that got it
+        for (;;) {
+            const wait = Math.max(s.backoffUntil - Date.now(), 0) || _takeToken(s);
+            if (!wait) return;
+            await _sleep(wait, signal);
+        }
+    } catch (e) {
+        _release(s);
+        throw e;
+    }
+}
+
+function _release(s) {
+    s.active--;
+    s.waiters.shift()?.();
+}
+
+function _emitHealth(s) {
+    for (const fn of _healthListeners) {
+        try { fn(s.host); } catch (e) { console.error('[ProviderScheduler] Health listener failed:', e); }
+    }
+}
+
+function _unavailableError(s) {
+    const secs = Math.max(1, Math.ceil((s.openUntil - Date.now()) / 1000));
+    const err = new Error(`${s.host} is failing (${s.lastError || 'errors'}); paused for ${secs}s`);
+    err.code = 'PROVIDER_UNAVAILABLE';
+    err.host = s.host;
+    err.retryAt = s.openUntil;
+    return err;
+}
+
+function _breakerGate(s) {
+    if (s.breaker === 'closed') return;
+    if (s.breaker === 'open' && Date.now() >= s.openUntil) {
+        s.breaker = 'half-open';
+        s.probing = false;
+    }
+    if (s.breaker === 'half-open' && !s.probing) {
+        s.probing = true;
+        return;
+    }
+    throw _unavailableError(s);
+}
+
+function _recordSuccess(s) {
+    const changed = s.breaker !== 'closed' || s.failures > 0;
+    s.failures = 0;
+    s.breaker = 'closed';
+    s.probing = false;
+    s.cooldown = BREAKER_COOLDOWN_MS;
+    s.lastError = null;
+    if (changed) _emitHealth(s);
+}
+
+function _recordFailure(s, reason, retryAfterMs) {
+    s.failures++;
+    s.lastError = reason;
+    if (s.breaker === 'half-open' || s.failures >= BREAKER_THRESHOLD) {
+        // A failed probe doubles the cooldown; a fresh trip starts from the base
+        if (s.breaker === 'half-open') s.cooldown = Math.min(s.cooldown * 2, BREAKER_COOLDOWN_MAX_MS);
+        s.breaker = 'open';
+        s.probing = false;
+        s.openUntil = Date.now() + Math.max(s.cooldown, retryAfterMs || 0);
+        console.warn(`[ProviderScheduler] ${s.host} breaker open for ${Math.round((s.openUntil - Date.now()) / 1000)}s after ${reason}`);
+    }
+    _emitHealth(s);
+}
+
+function _retryAfterMs(resp) {
+    const v = resp.headers?.get?.('retry-after');
+    if (!v) return null;
+    const secs = Number(v);
+    if (Number.isFinite(secs)) return Math.max(0, secs * 1000);
+    const at = Date.parse(v);
+    return Number.isNaN(at) ? null : Math.max(0, at - Date.now());
+}
+
+/**
+ * Run one request through a host's queue. send() is called once per attempt
+ * and must return a fresh Response. 429 and 5xx are retried (non-idempotent
+ * requests only on 429, which the server never processed); when retries run
+ * out the last failing Response is returned so callers keep their own error
+ * handling. Throws an error with code 'PROVIDER_UNAVAILABLE' while the host's
+ * breaker is open.
+ * @param {string} host
+ * @param {function(): Promise<Response>} send
+ * @param {Object} [options]
+ * @param {boolean} [options.idempotent=true]
+ * @param {AbortSignal} [options.signal] - cancels queue waits and backoff sleeps
+ * @returns {Promise<Response>}
+ */
+export async function scheduleRequest(host, send, { idempotent = true, signal } = {}) {
+    const s = _hostState(host);
+    for (let attempt = 0; ; attempt++) {
+        _breakerGate(s);
+        try {
+            await _acquire(s, signal);
+        } catch (e) {
+            // An aborted wait never sent the probe; free the slot for the next request
+            if (s.breaker === 'half-open') s.probing = false;
+            throw e;
+        }
+        let resp;
+        try {
+            resp = await send();
+        } catch (e) {
+            if (s.breaker === 'half-open') s.probing = false;
+            throw e;
+        } finally {
+            _release(s);
+        }
+
+        if (resp.status !== 429 && resp.status < 500) {
+            _recordSuccess(s);
+            return resp;
+        }
+
+        const retryAfter = _retryAfterMs(resp);
+        _recordFailure(s, `HTTP ${resp.status}`, retryAfter);
+        const retryable = idempotent || resp.status === 429;
+        if (!retryable || attempt >= MAX_RETRIES || s.breaker === 'open') return resp;
+
+        const backoff = Math.min(BACKOFF_BASE_MS * 2 ** attempt, BACKOFF_MAX_MS) * (0.75 + Math.random() * 0.5);
+        const delay = retryAfter ?? backoff;
+        if (resp.status === 429) s.backoffUntil = Math.max(s.backoffUntil, Date.now() + delay);
+        await _sleep(delay, signal);
+    }
+}
+
+/**
+ * Scheduler key for a URL: the upstream host, including for /proxy/ URLs.
+ * @param {string} url
+ * @returns {string}
+ */
+export function requestHostOf(url) {
+    try {
+        const u = new URL(url, location.origin);
+        if (u.origin === location.origin && u.pathname.startsWith('/proxy/')) {
+            return new URL(decodeURIComponent(u.pathname.slice('/proxy/'.length))).host;
+        }
+        return u.host;
+    } catch {
+        return 'unknown';
+    }
+}
+
+/**
+ * fetch() through the scheduler, keyed by the URL's upstream host.
+ * @param {string} url
+ * @param {Object} [opts] - fetch options
+ * @returns {Promise<Response>}
+ */
+export function scheduledFetch(url, opts = {}) {
+    const method = (opts.method || 'GET').toUpperCase();
+    return scheduleRequest(requestHostOf(url), () => fetch(url, opts), {
+        idempotent: method === 'GET' || method === 'HEAD',
+        signal: opts.signal
+    });
+}
+
+/**
+ * Combined health of one or more hosts; the worst one wins.
+ * @param {string|string[]} hosts
+ * @returns {{state: 'ok'|'degraded'|'open', host: string|null, failures: number, retryAt: number|null, lastError: string|null}}
+ */
+export function getHostHealth(hosts) {
+    const rank = { ok: 0, degraded: 1, open: 2 };
+    let worst = { state: 'ok', host: null, failures: 0, retryAt: null, lastError: null };
+    for (const host of [].concat(hosts)) {
+        const s = _hosts.get(host);
+        if (!s) continue;
+        const now = Date.now();
+        const state = s.breaker !== 'closed' ? 'open'
+            : (s.failures > 0 || s.backoffUntil > now) ? 'degraded' : 'ok';
+        if (rank[state] > rank[worst.state]) {
+            worst = {
+                state, host,
+                failures: s.failures,
+                retryAt: state === 'open' ? s.openUntil : (s.backoffUntil > now ? s.backoffUntil : null),
+                lastError: s.lastError
+            };
+        }
+    }
+    return worst;
+}
+
+/**
+ * Health of a provider's API hosts (ProviderBase.requestHosts).
+ * @param {Object} provider
+ */
+export function getProviderHealth(provider) {
+    return getHostHealth(provider?.requestHosts || []);
+}
+
+/** Close a host's breaker now, e.g. from a "retry now" button. */
+export function resetHostBreaker(host) {
+    const s = _hosts.get(host);
+    if (!s) return;
+    s.breaker = 'closed';
+    s.failures = 0;
+    s.probing = false;
+    s.backoffUntil = 0;
+    s.cooldown = BREAKER_COOLDOWN_MS;
+    s.lastError = null;
+    _emitHealth(s);
+}
+
+/**
+ * Subscribe to breaker/failure changes. Returns an unsubscribe function.
+ * @param {function(string): void} fn - called with the host that changed
+ */
+export function onHostHealthChange(fn) {
+    _healthListeners.add(fn);
+    return () => _healthListeners.delete(fn);
+}
+
 // ========================================
 // NETWORK
 // ========================================
@@ -183,8 +476,10 @@ export async function fetchWithProxy(url, opts = {}) {
     if (!_proxyOrigins.has(origin)) {
         let directResponse;
         try {
-            directResponse = await fetch(url, opts);
-        } catch (_) {
+            directResponse = await scheduledFetch(url, opts);
+        } catch (e) {
+            // An open breaker or an abort is not a CORS verdict; the proxy would fail the same way
+            if (e?.code === 'PROVIDER_UNAVAILABLE' || e?.name === 'AbortError') throw e;
             // fetch() rejects on CORS/network errors - fall through to proxy
             _proxyOrigins.add(origin);
         }
@@ -193,7 +488,7 @@ export async function fetchWithProxy(url, opts = {}) {
             return directResponse;
         }
     }
-    const r = await fetch(`/proxy/${proxyEncode(url)}`, opts);
+    const r = await scheduledFetch(`/proxy/${proxyEncode(url)}`, opts);
     if (!r.ok) {
         const t = await r.text().catch(() => '');
         if (r.status === 404 && t.includes('CORS proxy is disabled')) {
@@ -2844,6 +2844,10 @@ class PygmalionBrowseView extends BrowseView {
         return mode === 'character' ? 'pygSearchInput' : null;
     }
 
+    getSavedSearchDraft() {
+        return { query: pygCurrentSearch, tags: [...pygIncludeTags], nsfw: pygNsfwEnabled };
+    }
+
     applyDefaults(defaults) {
         if (defaults.view === 'following') {
             pygViewMode = 'following';
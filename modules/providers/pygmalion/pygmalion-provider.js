@@ -237,6 +237,8 @@ class PygmalionProvider extends ProviderBase {
 
     // ── Remote Data ─────────────────────────────────────────
 
+    get requestHosts() { return ['server.pygmalion.chat']; }
+
     async fetchMetadata(fullPath) {
         if (!fullPath) return null;
         try {
@@ -485,6 +487,37 @@ class PygmalionProvider extends ProviderBase {
         return result.avatarUrl || '';
     }
 
+    // ── Unified Search ──────────────────────────────────────
+
+    get supportsUnifiedSearch() { return true; }
+
+    async searchUnified(query, options = {}) {
+        // Sensitive results need a session; without one the search stays SFW
+        const nsfw = options.nsfw ?? api?.getSetting('pygmalionNsfw') === true;
+        const token = nsfw ? api?.getSetting('pygmalionToken') || null : null;
+        const data = await searchCharacters({
+            query,
+            orderBy: options.sort === 'newest' ? 'approved_at' : 'downloads',
+            tagsNamesInclude: options.tags,
+            includeSensitive: !!token,
+            token: token || undefined,
+            pageSize: options.limit || 24,
+            page: 0
+        });
+        return (data?.characters || []).map(hit => ({
+            id: hit.id,
+            name: hit.displayName || 'Unnamed',
+            creator: hit.owner?.username || hit.owner?.displayName || '',
+            avatarUrl: hit.avatarUrl ? getAvatarUrl(hit.avatarUrl) : '',
+            tagline: hit.description || '',
+            nTokens: hit.personalityTokenCount || 0,
+            starCount: hit.stars || 0,
+            tags: hit.tags || [],
+            url: this.getCharacterUrl({ id: hit.id }),
+            hit,
+        }));
+    }
+
     // ── Import Pipeline ─────────────────────────────────────
 
     get supportsImport() { return true; }
@@ -0,0 +1,541 @@
+// UnifiedBrowseView - the All Providers search grid in the Online tab
+//
+// One query goes to every enabled provider's searchUnified() in parallel. Each
+// answer is merged as it arrives: hits whose normalized names agree and whose
+// creators match collapse into one card that carries a badge per provider.
+// Previews are not reimplemented here; opening a card switches to the owning
+// provider and calls its openPreview(), so import works exactly as it does there.
+
+import { BrowseView } from '../browse-view.js';
+import CoreAPI from '../../core-api.js';
+import { IMG_PLACEHOLDER, formatNumber, normalizeBrowseName, stripHtml } from '../provider-utils.js';
+import { getViewProviders, getProvider } from '../provider-registry.js';
+
+const {
+    onElement: on,
+    showToast,
+    escapeHtml,
+    debugLog,
+    renderSkeletonGrid,
+} = CoreAPI;
+
+const PAGE_SIZE = 60;
+const PER_PROVIDER_LIMIT = 24;
+
+const SORT_OPTIONS = [
+    { value: 'relevance', label: 'Best Match' },
+    { value: 'sources', label: 'Most Providers' },
+    { value: 'name', label: 'Name (A-Z)' },
+    { value: 'tokens', label: 'Most Tokens' },
+];
+
+class UnifiedBrowseView extends BrowseView {
+
+    constructor(provider) {
+        super(provider);
+        this._query = '';
+        this._perProvider = [];
+        this._status = new Map(); // providerId → { state: 'loading'|'done'|'error', count, error }
+        this._groups = [];
+        this._filtered = [];
+        this._shown = 0;
+        this._searchToken = 0;
+        this._sort = 'relevance';
+        this._hideOwned = false;
+        this._hidePossible = false;
+        this._idsByProvider = new Map();
+        this._delegatesInitialized = false;
+    }
+
+    getSettingsConfig() {
+        return {
+            browseSortOptions: SORT_OPTIONS,
+            followingSortOptions: [],
+            viewModes: [],
+        };
+    }
+
+    get mobileFilterIds() {
+        return {
+            sort: 'unifiedSortSelect',
+            filters: 'unifiedFiltersBtn',
+        };
+    }
+
+    /** Enabled providers that can answer a unified search, in the user's saved order. */
+    _sourceProviders() {
+        return getViewProviders().filter(p => p.id !== this.provider.id && p.supportsUnifiedSearch);
+    }
+
+    // ── Library Lookup ──────────────────────────────────────
+
+    // Provider IDs come from each source's own view, so a card counts as owned
+    // exactly when that provider's grid would badge it.
+    buildLocalLibraryLookup() {
+        super.buildLocalLibraryLookup();
+        this._idsByProvider = new Map();
+        const sources = this._sourceProviders().filter(p => p.browseView);
+        for (const p of sources) this._idsByProvider.set(p.id, new Set());
+        for (const char of CoreAPI.getAllCharacters()) {
+            if (!char) continue;
+            for (const p of sources) p.browseView._extractProviderIds(char, this._idsByProvider.get(p.id));
+        }
+    }
+
+    _isInLibrary(group) {
+        for (const { providerId, result } of group.sources) {
+            const ids = this._idsByProvider.get(providerId);
+            if (!ids) continue;
+            const id = String(result.id);
+            if (ids.has(id) || ids.has(id.toLowerCase())) return true;
+        }
+        const name = group.name.toLowerCase().trim();
+        const creator = group.creator.toLowerCase().trim();
+        return !!(name && creator && this._lookup.byNameAndCreator.has(`${name}|${creator}`));
+    }
+
+    _isPossibleMatch(group) {
+        if (this._isInLibrary(group)) return false;
+        return this.isCharPossibleMatch(group.name, group.creator);
+    }
+
+    // ── Merging ─────────────────────────────────────────────
+
+    /**
+     * Interleave the per-provider lists by rank and fold duplicates together.
+     * A hit joins an existing card only when the normalized names are equal,
+     * both creators are known and match, and that card has no hit from the
+     * same provider yet; a name alone is too weak across sites.
+     */
+    _mergeResults() {
+        const groups = [];
+        const byName = new Map();
+        const longest = Math.max(0, ...this._perProvider.map(p => p.results.length));
+
+        for (let rank = 0; rank < longest; rank++) {
+            for (const { provider, results } of this._perProvider) {
+                const result = results[rank];
+                if (!result) continue;
+                const normName = normalizeBrowseName(result.name);
+                const creator = (result.creator || '').toLowerCase().trim();
+
+                const candidates = normName ? (byName.get(normName) || []) : [];
+                let group = candidates.find(g =>
+                    creator && g.creatorKey && this._isCreatorMatch(creator, g.creatorKey)
+                    && !g.sources.some(s => s.providerId === provider.id));
+
+                if (!group) {
+                    group = {
+                        index: groups.length,
+                        rank,
+                        name: result.name || 'Unknown',
+                        creator: result.creator || '',
+                        creatorKey: creator,
+                        sources: [],
+                    };
+                    groups.push(group);
+                    if (normName) {
+                        candidates.push(group);
+                        byName.set(normName, candidates);
+                    }
+                }
+                group.sources.push({ providerId: provider.id, result });
+            }
+        }
+        this._groups = groups;
+    }
+
+    _applyFilters() {
+        let list = this._groups;
+        if (this._hideOwned) list = list.filter(g => !this._isInLibrary(g));
+        if (this._hidePossible) list = list.filter(g => !this._isPossibleMatch(g));
+
+        const tokens = (g) => Math.max(...g.sources.map(s => s.result.nTokens || 0));
+        const byName = (a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' });
+        list = [...list];
+        if (this._sort === 'sources') list.sort((a, b) => b.sources.length - a.sources.length || a.index - b.index);
+        else if (this._sort === 'name') list.sort(byName);
+        else if (this._sort === 'tokens') list.sort((a, b) => tokens(b) - tokens(a) || a.index - b.index);
+        else list.sort((a, b) => a.index - b.index);
+
+        this._filtered = list;
+        this._renderGrid(false);
+    }
+
+    // ── Card Rendering ──────────────────────────────────────
+
+    _sourceBadge(providerId) {
+        const provider = getProvider(providerId);
+        if (!provider) return '';
+        const glyph = provider.iconUrl
+            ? `<img src="${escapeHtml(provider.iconUrl)}" alt="">`
+            : `<i class="${escapeHtml(provider.icon)}"></i>`;
+        return `<span class="browse-feature-badge unified-source-badge" data-provider-id="${escapeHtml(providerId)}" title="Open on ${escapeHtml(provider.name)}">${glyph}</span>`;
+    }
+
+    _createCard(group) {
+        const primary = group.sources[0].result;
+        const inLibrary = this._isInLibrary(group);
+        const possibleTier = inLibrary ? null : this.getPossibleMatchTier(group.name, group.creator);
+        const possibleMatch = !!possibleTier?.show;
+
+        let badge = '';
+        if (inLibrary) {
+            badge = '<span class="browse-feature-badge in-library" title="In Your Library"><i class="fa-solid fa-check"></i></span>';
+        } else if (possibleMatch) {
+            badge = `<span class="browse-feature-badge possible-library pl-${possibleTier.tier}" title="${possibleTier.tooltip}"><i class="fa-solid fa-check"></i></span>`;
+        }
+
+        const avatarUrl = group.sources.map(s => s.result.avatarUrl).find(Boolean) || '/img/ai4.png';
+        const tagline = stripHtml(group.sources.map(s => s.result.tagline).find(Boolean) || '');
+        const nTokens = Math.max(...group.sources.map(s => s.result.nTokens || 0));
+        const cardClass = inLibrary ? 'browse-card in-library' : possibleMatch ? 'browse-card possible-library' : 'browse-card';
+
+        return `
+            <div class="${cardClass}" data-unified-index="${group.index}" ${tagline ? `title="${escapeHtml(tagline)}"` : ''}>
+                <div class="browse-card-image">
+                    <img data-src="${escapeHtml(avatarUrl)}" src="${IMG_PLACEHOLDER}" alt="${escapeHtml(group.name)}" decoding="async" fetchpriority="low" onerror="this.dataset.failed='1';this.src='/img/ai4.png'">
+                    <div class="browse-feature-badges browse-feature-badges-tl">${group.sources.map(s => this._sourceBadge(s.providerId)).join('')}</div>
+                    ${badge ? `<div class="browse-feature-badges">${badge}</div>` : ''}
+                </div>
+                <div class="browse-card-body">
+                    <div class="browse-card-name">${escapeHtml(group.name)}</div>
+                    ${group.creator ? `<span class="browse-card-creator-link" data-author="${escapeHtml(group.creator)}">${escapeHtml(group.creator)}</span>` : ''}
+                </div>
+                <div class="browse-card-footer">
+                    ${nTokens ? `<span class="browse-card-stat" title="Tokens"><i class="fa-solid fa-font"></i> ${formatNumber(nTokens)}</span>` : ''}
+                    ${primary.starCount ? `<span class="browse-card-stat" title="${escapeHtml(getProvider(group.sources[0].providerId)?.name || '')} popularity"><i class="fa-solid fa-heart"></i> ${formatNumber(primary.starCount)}</span>` : ''}
+                </div>
+            </div>
+        `;
+    }
+
+    _renderGrid(append = false) {
+        const grid = document.getElementById('unifiedGrid');
+        if (!grid) return;
+
+        if (!append) {
+            grid.innerHTML = '';
+            this._shown = 0;
+        }
+
+        const next = Math.min(this._filtered.length, this._shown + PAGE_SIZE);
+        grid.insertAdjacentHTML('beforeend', this._filtered.slice(this._shown, next).map(g => this._createCard(g)).join(''));
+        this._shown = next;
+
+        this.observeImages(grid);
+        this.updateLoadMoreVisibility('unifiedLoadMore', this._shown < this._filtered.length, this._filtered.length > 0);
+
+        if (!append && this._filtered.length === 0) {
+            const pending = [...this._status.values()].some(s => s.state === 'loading');
+            if (pending) {
+                renderSkeletonGrid(grid);
+            } else if (!this._query) {
+                const names = this._sourceProviders().map(p => p.name).join(', ');
+                grid.innerHTML = names
+                    ? this._messageHtml('fa-solid fa-layer-group', 'Search every enabled provider at once', names)
+                    : this._messageHtml('fa-solid fa-layer-group', 'No enabled provider supports unified search', 'Enable providers in Settings → Online.');
+            } else {
+                grid.innerHTML = this._messageHtml('fa-solid fa-ghost', `No results for "${this._query}"`);
+            }
+        }
+    }
+
+    _messageHtml(icon, title, detail = '') {
+        return `
+            <div style="grid-column: 1 / -1; padding: 40px; text-align: center; color: var(--text-muted);">
+                <i class="${icon}" style="font-size: 2rem; opacity: 0.5;"></i>
+                <p style="margin-top: 12px; font-weight: 600;">${escapeHtml(title)}</p>
+                ${detail ? `<p style="margin-top: 6px;">${escapeHtml(detail)}</p>` : ''}
+            </div>
+        `;
+    }
+
+    _renderStatus() {
+        const el = document.getElementById('unifiedSourceStatus');
+        if (!el) return;
+        if (this._status.size === 0) {
+            el.innerHTML = '';
+            el.classList.add('hidden');
+            return;
+        }
+        el.classList.remove('hidden');
+        el.innerHTML = [...this._status].map(([providerId, s]) => {
+            const name = escapeHtml(getProvider(providerId)?.name || providerId);
+            if (s.state === 'loading') {
+                return `<span class="unified-source-chip"><i class="fa-solid fa-spinner fa-spin"></i> ${name}</span>`;
+            }
+            if (s.state === 'error') {
+                return `<span class="unified-source-chip error" title="${escapeHtml(s.error)}"><i class="fa-solid fa-triangle-exclamation"></i> ${name}</span>`;
+            }
+            return `<span class="unified-source-chip"><i class="fa-solid fa-check"></i> ${name} <span class="unified-source-count">${s.count}</span></span>`;
+        }).join('');
+    }
+
+    // ── Search ──────────────────────────────────────────────
+
+    async _runSearch() {
+        const input = document.getElementById('unifiedSearchInput');
+        const query = (input?.value || '').trim();
+        document.getElementById('unifiedClearSearchBtn')?.classList.toggle('hidden', !query);
+
+        const thisToken = ++this._searchToken;
+        this._query = query;
+        this._perProvider = [];
+        this._groups = [];
+        this._status = new Map();
+
+        const providers = query ? this._sourceProviders() : [];
+        for (const p of providers) {
+            this._perProvider.push({ provider: p, results: [] });
+            this._status.set(p.id, { state: 'loading', count: 0, error: null });
+        }
+        this._renderStatus();
+        this._applyFilters();
+        if (providers.length === 0) return;
+
+        await Promise.all(providers.map(async (p, i) => {
+            let status;
+            try {
+                const results = await p.searchUnified(query, { limit: PER_PROVIDER_LIMIT });
+                if (thisToken !== this._searchToken) return;
+                this._perProvider[i].results = results;
+                status = { state: 'done', count: results.length, error: null };
+            } catch (err) {
+                if (thisToken !== this._searchToken) return;
+                debugLog(`[UnifiedSearch] ${p.name} failed:`, err.message);
+                status = { state: 'error', count: 0, error: err.message || 'Search failed' };
+            }
+            this._status.set(p.id, status);
+            this._mergeResults();
+            this._renderStatus();
+            this._applyFilters();
+        }));
+
+        if (thisToken !== this._searchToken) return;
+        const failed = [...this._status.values()].filter(s => s.state === 'error').length;
+        if (failed === providers.length) showToast('Search failed on every provider', 'error');
+    }
+
+    // ── Open ────────────────────────────────────────────────
+
+    /**
+     * Hand a hit to its provider: switch the Online tab over, then open that
+     * provider's own preview (its modal and import wiring live in its view).
+     */
+    _openSource(source) {
+        const provider = getProvider(source.providerId);
+        if (!provider) return;
+        try {
+            CoreAPI.openProviderPreview(provider, source.result.hit);
+        } catch (err) {
+            console.error(`[UnifiedSearch] Failed to open ${provider.id} preview:`, err);
+            showToast(`Failed to open ${provider.name} preview`, 'error');
+        }
+    }
+
+    // ── Filter Bar ──────────────────────────────────────────
+
+    renderFilterBar() {
+        return `
+            <div class="browse-sort-container">
+                <select id="unifiedSortSelect" class="glass-select" title="Sort order">
+                    ${SORT_OPTIONS.map(s => `<option value="${s.value}" ${s.value === this._sort ? 'selected' : ''}>${s.label}</option>`).join('')}
+                </select>
+            </div>
+
+            <!-- Feature Filters -->
+            <div class="browse-more-filters" style="position: relative;">
+                <button id="unifiedFiltersBtn" class="glass-btn" title="Additional filters">
+                    <i class="fa-solid fa-sliders"></i> <span>Features</span>
+                </button>
+                <div id="unifiedFiltersDropdown" class="dropdown-menu browse-features-dropdown hidden" style="width: 240px;">
+                    <div class="dropdown-section-title">Library:</div>
+                    <label class="filter-checkbox"><input type="checkbox" id="unifiedFilterHideOwned" ${this._hideOwned ? 'checked' : ''}> <i class="fa-solid fa-check"></i> Hide Owned Characters</label>
+                    <label class="filter-checkbox"><input type="checkbox" id="unifiedFilterHidePossible" ${this._hidePossible ? 'checked' : ''}> <i class="fa-solid fa-check" style="color: #f0a500;"></i> Hide Possible Matches</label>
+                </div>
+            </div>
+        `;
+    }
+
+    _updateFiltersButton() {
+        const btn = document.getElementById('unifiedFiltersBtn');
+        if (!btn) return;
+        const count = [this._hideOwned, this._hidePossible].filter(Boolean).length;
+        btn.classList.toggle('has-filters', count > 0);
+        const span = btn.querySelector('span');
+        if (span) span.textContent = count > 0 ? `Features (${count})` : 'Features';
+    }
+
+    // ── Main View ───────────────────────────────────────────
+
+    renderView() {
+        return `
+            <div id="unifiedBrowseSection" class="browse-section">
+                <div class="browse-search-bar">
+                    <div class="browse-search-input-wrapper">
+                        <i class="fa-solid fa-search"></i>
+                        <input type="search" id="unifiedSearchInput" placeholder="Search all enabled providers..." autocomplete="one-time-code" value="${escapeHtml(this._query)}">
+                        <button id="unifiedClearSearchBtn" class="browse-search-clear${this._query ? '' : ' hidden'}" title="Clear search">
+                            <i class="fa-solid fa-xmark"></i>
+                        </button>
+                        <button id="unifiedSearchBtn" class="browse-search-submit">
+                            <i class="fa-solid fa-arrow-right"></i>
+                        </button>
+                    </div>
+                </div>
+
+                <div id="unifiedSourceStatus" class="unified-source-status hidden"></div>
+
+                <div id="unifiedGrid" class="browse-grid"></div>
+
+                <div class="browse-load-more" id="unifiedLoadMore" style="display: none;">
+                    <button id="unifiedLoadMoreBtn" class="glass-btn">
+                        <i class="fa-solid fa-plus"></i> Load More
+                    </button>
+                </div>
+            </div>
+        `;
+    }
+
+    // ── Event Wiring ────────────────────────────────────────
+
+    _initView() {
+        if (this._delegatesInitialized) return;
+        this._delegatesInitialized = true;
+
+        const sortEl = document.getElementById('unifiedSortSelect');
+        if (sortEl) CoreAPI.initCustomSelect?.(sortEl);
+
+        document.getElementById('unifiedGrid')?.addEventListener('click', (e) => {
+            const card = e.target.closest('.browse-card');
+            if (!card?.dataset.unifiedIndex) return;
+            const group = this._groups[Number(card.dataset.unifiedIndex)];
+            if (!group) return;
+            // A provider badge opens that provider's copy; the rest of the card opens the first one
+            const badge = e.target.closest('.unified-source-badge');
+            const source = (badge && group.sources.find(s => s.providerId === badge.dataset.providerId)) || group.sources[0];
+            if (badge) e.stopPropagation();
+            this._openSource(source);
+        });
+
+        on('unifiedSearchInput', 'keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this._runSearch();
+            }
+        });
+        on('unifiedSearchInput', 'input', (e) => {
+            document.getElementById('unifiedClearSearchBtn')?.classList.toggle('hidden', !e.target.value.trim());
+        });
+        on('unifiedSearchBtn', 'click', () => this._runSearch());
+        on('unifiedClearSearchBtn', 'click', () => {
+            const input = document.getElementById('unifiedSearchInput');
+            if (input) input.value = '';
+            this._runSearch();
+        });
+
+        on('unifiedLoadMoreBtn', 'click', () => this.loadMore());
+        on('unifiedSortSelect', 'change', (e) => {
+            this._sort = e.target.value || 'relevance';
+            this._applyFilters();
+        });
+
+        const filtersDropdown = document.getElementById('unifiedFiltersDropdown');
+        on('unifiedFiltersBtn', 'click', (e) => {
+            e.stopPropagation();
+            CoreAPI.closeAllTopbarDropdowns();
+            filtersDropdown?.classList.toggle('hidden');
+        });
+        filtersDropdown?.addEventListener('click', (e) => e.stopPropagation());
+        on('unifiedFilterHideOwned', 'change', (e) => {
+            this._hideOwned = e.target.checked;
+            this._updateFiltersButton();
+            this._applyFilters();
+        });
+        on('unifiedFilterHidePossible', 'change', (e) => {
+            this._hidePossible = e.target.checked;
+            this._updateFiltersButton();
+            this._applyFilters();
+        });
+        this._registerDropdownDismiss([
+            { dropdownId: 'unifiedFiltersDropdown', buttonId: 'unifiedFiltersBtn' }
+        ]);
+    }
+
+    // ── Lifecycle ───────────────────────────────────────────
+
+    _getImageGridIds() { return ['unifiedGrid']; }
+
+    canLoadMore() { return this._shown < this._filtered.length; }
+
+    loadMore() {
+        this._renderGrid(true);
+    }
+
+    init() {
+        super.init();
+        this.buildLocalLibraryLookup();
+        this._initView();
+        this._updateFiltersButton();
+        // Results survive a trip to a provider's preview and back
+        this._renderStatus();
+        this._applyFilters();
+    }
+
+    getSearchInputId(mode) {
+        return mode === 'character' ? 'unifiedSearchInput' : null;
+    }
+
+    applyDefaults(defaults) {
+        if (defaults.sort && SORT_OPTIONS.some(s => s.value === defaults.sort)) {
+            this._sort = defaults.sort;
+            const el = document.getElementById('unifiedSortSelect');
+            if (el) el.value = defaults.sort;
+        }
+        if (defaults.hideOwned) {
+            this._hideOwned = true;
+            const el = document.getElementById('unifiedFilterHideOwned');
+            if (el) el.checked = true;
+        }
+        if (defaults.hidePossible) {
+            this._hidePossible = true;
+            const el = document.getElementById('unifiedFilterHidePossible');
+            if (el) el.checked = true;
+        }
+        if (defaults.hideOwned || defaults.hidePossible) {
+            this._updateFiltersButton();
+            this._applyFilters();
+        }
+    }
+
+    activate(container, options = {}) {
+        if (options.domRecreated) {
+            this._delegatesInitialized = false;
+        }
+        const wasInitialized = this._initialized;
+        super.activate(container, options);
+
+        if (wasInitialized && this._initialized) {
+            this._delegatesInitialized = true;
+            this.buildLocalLibraryLookup();
+            this.reconnectImageObserver();
+        }
+    }
+
+    refreshInLibraryBadges() {
+        super.refreshInLibraryBadges(card => {
+            const group = this._groups[Number(card.dataset.unifiedIndex)];
+            return !!group && this._isInLibrary(group);
+        });
+    }
+
+    deactivate() {
+        this._delegatesInitialized = false;
+        super.deactivate();
+        this.disconnectImageObserver();
+    }
+}
+
+const unifiedBrowseView = new UnifiedBrowseView(null);
+export default unifiedBrowseView;
@@ -0,0 +1,38 @@
+// All Providers - pseudo-provider that fans one search out to every enabled source
+//
+// Owns no characters: it never links, imports or checks updates. The browse
+// view asks each enabled provider that supports unified search, merges the
+// answers into one grid, and hands previews back to the owning provider.
+
+import { ProviderBase } from '../provider-interface.js';
+import unifiedBrowseView from './unified-browse.js';
+
+class UnifiedProvider extends ProviderBase {
+    // ── Identity ────────────────────────────────────────────
+
+    get id() { return 'unified'; }
+    get name() { return 'All Providers'; }
+    get icon() { return 'fa-solid fa-layer-group'; }
+    get browseView() { return unifiedBrowseView; }
+
+    // ── Lifecycle ───────────────────────────────────────────
+
+    async activate(container, options = {}) {
+        await unifiedBrowseView.activate(container, options);
+    }
+
+    deactivate() {
+        unifiedBrowseView.deactivate();
+    }
+
+    // ── View ────────────────────────────────────────────────
+
+    get hasView() { return true; }
+
+    renderFilterBar() { return unifiedBrowseView.renderFilterBar(); }
+    renderView() { return unifiedBrowseView.renderView(); }
+    renderModals() { return unifiedBrowseView.renderModals(); }
+}
+
+const unifiedProvider = new UnifiedProvider();
+export default unifiedProvider;
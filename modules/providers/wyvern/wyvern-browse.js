@@ -637,6 +637,10 @@ class WyvernBrowseView extends BrowseView {
         return mode === 'creator' ? 'wyvernCreatorSearchInput' : 'wyvernSearchInput';
     }
 
+    getSavedSearchDraft() {
+        return { query: wyvernCurrentSearch, tags: [...wyvernTagFilters].filter(([, state]) => state === 'include').map(([tag]) => tag), nsfw: wyvernNsfwEnabled };
+    }
+
     applyDefaults(defaults) {
         if (defaults.view === 'following') {
             wyvernViewMode = 'following';
@@ -806,6 +810,9 @@ class WyvernBrowseView extends BrowseView {
         }
     }
 
+    // followCreator() goes through user search, which doesn't match uids
+    getFollowQuery(creator) { return creator.username || creator.name || creator.id; }
+
     browseCreatorFromManager(creator) {
         switchWyvernViewMode('browse');
         _returnToFollowing = true;
@@ -161,6 +161,8 @@ class WyvernProvider extends ProviderBase {
 
     // ── Remote Data ─────────────────────────────────────────
 
+    get requestHosts() { return ['api.wyvern.chat']; }
+
     async fetchMetadata(charId) {
         return fetchWyvernMetadata(charId);
     }
@@ -369,6 +371,45 @@ class WyvernProvider extends ProviderBase {
         return result.avatarUrl || '/img/ai4.png';
     }
 
+    // ── Unified Search ──────────────────────────────────────
+
+    get supportsUnifiedSearch() { return true; }
+
+    async searchUnified(query, options = {}) {
+        const nsfw = (options.nsfw ?? api?.getSetting('wyvernNsfw') === true) && this.isAuthenticated;
+        const params = new URLSearchParams({
+            limit: String(options.limit || 24),
+            sort: options.sort === 'newest' ? 'created_at' : 'votes',
+            order: 'DESC',
+            q: query,
+        });
+        if (options.tags?.length) params.set('tags', options.tags.join(','));
+        // Same rule as the browse grid: explicit content only for a signed-in NSFW session
+        if (!nsfw) params.set('rating', 'none');
+        let resp;
+        try {
+            resp = await fetchWithProxy(`${WYVERN_API_BASE}/exploreSearch/characters?${params}`, { headers: this._getHeaders() });
+        } catch (e) {
+            // fetchWithProxy throws on a non-2xx status with only "HTTP n" in the message
+            if (e?.code === 'PROVIDER_UNAVAILABLE' || e?.name === 'AbortError') throw e;
+            throw new Error(`Wyvern search failed: ${e.message}`);
+        }
+        const data = await resp.json().catch(() => null);
+        if (!data) throw new Error('Wyvern search returned an unreadable response');
+        return (data.results || []).map(char => ({
+            id: char.id,
+            name: char.name || '',
+            creator: char.creator?.displayName || char.creator?.username || '',
+            avatarUrl: getAvatarUrl(char) || '',
+            tagline: char.tagline || '',
+            nTokens: 0,
+            starCount: char.likes || 0,
+            tags: char.tags || [],
+            url: this.getCharacterUrl({ id: char.id }),
+            hit: char,
+        }));
+    }
+
     // ── Import Pipeline ─────────────────────────────────────
 
     get supportsImport() { return true; }
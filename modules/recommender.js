@@ -82,6 +82,7 @@ const DEFAULT_SETTINGS = {
     filterDateTo: '',
     filterTagsInclude: [],
     filterTagsExclude: [],
+    filterPlaylist: '',
     apiMode: 'sillytavern',
     stProfileId: '',
     customApiUrl: '',
@@ -251,6 +252,11 @@ function createModal() {
                                 </div>
                             </div>
 
+                            <div class="recommender-filter-row">
+                                <label class="recommender-filter-label" for="recommenderFilterPlaylist">Playlist</label>
+                                <select id="recommenderFilterPlaylist" class="recommender-field recommender-field-sm"></select>
+                            </div>
+
                             <div class="recommender-filter-row recommender-filter-row-col">
                                 <label class="recommender-filter-label">Include Tags</label>
                                 <div class="recommender-tag-input-wrap">
@@ -448,6 +454,8 @@ function loadSettingsIntoUI() {
     document.getElementById('recommenderFilterDateFrom').value = getOpt('filterDateFrom');
     document.getElementById('recommenderFilterDateTo').value = getOpt('filterDateTo');
 
+    populatePlaylistFilter(getOpt('filterPlaylist'));
+
     // Tag pills
     renderTagPills('recommenderTagIncludePills', getOpt('filterTagsInclude'));
     renderTagPills('recommenderTagExcludePills', getOpt('filterTagsExclude'));
@@ -497,6 +505,7 @@ function saveSettingsFromUI() {
     setOpt('filterDateTo', document.getElementById('recommenderFilterDateTo')?.value || '');
     setOpt('filterTagsInclude', getTagPills('recommenderTagIncludePills'));
     setOpt('filterTagsExclude', getTagPills('recommenderTagExcludePills'));
+    setOpt('filterPlaylist', document.getElementById('recommenderFilterPlaylist')?.value || '');
 
     const activeMode = document.querySelector('.recommender-api-mode-btn.active')?.dataset.mode || 'sillytavern';
     setOpt('apiMode', activeMode);
@@ -652,6 +661,7 @@ function attachEvents() {
     });
     document.getElementById('recommenderFilterDateFrom')?.addEventListener('change', updatePoolCount);
     document.getElementById('recommenderFilterDateTo')?.addEventListener('change', updatePoolCount);
+    document.getElementById('recommenderFilterPlaylist')?.addEventListener('change', updatePoolCount);
 
     // Tag include/exclude inputs
     setupTagInput('recommenderTagIncludeInput', 'recommenderTagIncludePills', 'recommenderTagIncludeAC');
@@ -923,8 +933,21 @@ function setupTagInput(inputId, pillsId, acId) {
 // POOL FILTERING
 // ========================================
 
+// Playlists (manual and smart) as a pool source; a deleted selection falls back to Any
+function populatePlaylistFilter(selected) {
+    const select = document.getElementById('recommenderFilterPlaylist');
+    if (!select) return;
+    const playlists = CoreAPI.playlistsGetAll() || [];
+    select.innerHTML = '<option value="">Any</option>' + playlists
+        .map(pl => `<option value="${CoreAPI.escapeHtml(pl.uid)}">${CoreAPI.escapeHtml(pl.name)}${pl.smart ? ' (smart)' : ''}</option>`)
+        .join('');
+    select.value = playlists.some(pl => pl.uid === selected) ? selected : '';
+}
+
 function getFilteredPool() {
     const allChars = CoreAPI.getAllCharacters();
+    const playlistUid = document.getElementById('recommenderFilterPlaylist')?.value || '';
+    const playlistSet = playlistUid ? CoreAPI.playlistsGetAvatarSet(playlistUid) : null;
     const hasChats = getTristate('recommenderFilterHasChats');
     const favorite = getTristate('recommenderFilterFavorite');
     const dateEnabled = document.getElementById('recommenderFilterDateEnabled')?.checked;
@@ -937,6 +960,8 @@ function getFilteredPool() {
     const dateToTs = dateTo ? new Date(dateTo + 'T23:59:59').getTime() : Infinity;
 
     return allChars.filter(c => {
+        if (playlistSet && !playlistSet.has(c.avatar)) return false;
+
         if (hasChats === 'yes' && !c.date_last_chat) return false;
         if (hasChats === 'no' && c.date_last_chat) return false;
 
@@ -0,0 +1,747 @@
+import CoreAPI from './core-api.js';
+
+// ========================================
+// SAVED SEARCHES
+// Named provider queries ("watches") that re-run in the background. Each
+// watch remembers the result IDs it has already seen; anything new lands in
+// the notifications center with preview and import buttons. The first run of
+// a watch only records what is already there, so saving a search never
+// floods the bell with the whole current result page.
+// ========================================
+
+const WATCHES_FILE = '_cl_saved_searches.json';
+const STORAGE_VERSION = 1;
+const RESULTS_PER_RUN = 48;
+const SEEN_LIMIT = 1000;        // per watch; IDs not returned for the longest fall off first
+const PENDING_LIMIT = 30;       // per watch; oldest alerts fall off first
+const TICK_MS = 10 * 60 * 1000;
+const FIRST_TICK_MS = 90 * 1000;
+const RUN_GAP_MS = 3000;        // between watches in one pass, so one site never gets a burst
+const INTERVAL_OPTIONS = [1, 3, 6, 12, 24];
+
+// { id, name, providerId, query, tags, creator, minTokens, nsfw, sort, paused,
+//   createdAt, baselined, lastRunAt, lastFailedAt, lastError, seen: [id], pending: [{ id, name, creator, avatarUrl, nTokens, url, hit, foundAt }] }
+let watches = [];
+let loaded = false;
+let saving = false;
+let saveQueued = false;
+let _loadingPromise = null;
+let running = false;
+let runningWatchId = null;
+let lastPassAt = 0;
+let timer = null;
+let modalInjected = false;
+let editingId = null;
+
+// ========================================
+// FILE I/O
+// ========================================
+
+async function fileUpload(name, data) {
+    const base64 = CoreAPI.utf8ToBase64(JSON.stringify(data));
+    const resp = await CoreAPI.apiRequest('/files/upload', 'POST', { name, data: base64 });
+    if (!resp.ok) {
+        const err = await resp.text().catch(() => resp.statusText);
+        throw new Error(`Saved searches upload failed (${resp.status}): ${err}`);
+    }
+    return resp.json();
+}
+
+async function fileRead(name) {
+    try {
+        const resp = await fetch(`/user/files/${name}`, { cache: 'no-store' });
+        if (!resp.ok) return null;
+        const text = await resp.text();
+        if (!text || !text.trim()) return null;
+        return JSON.parse(text);
+    } catch {
+        return null;
+    }
+}
+
+// ========================================
+// PERSISTENCE
+// ========================================
+
+async function loadWatches() {
+    if (loaded) return watches;
+    if (_loadingPromise) return _loadingPromise;
+    _loadingPromise = (async () => {
+        const data = await fileRead(WATCHES_FILE);
+        if (data && data.version === STORAGE_VERSION && Array.isArray(data.watches)) {
+            watches = data.watches.map(normalizeWatch);
+        }
+        loaded = true;
+        _loadingPromise = null;
+        return watches;
+    })();
+    return _loadingPromise;
+}
+
+async function saveWatches() {
+    if (!loaded) await loadWatches();
+    if (saving) {
+        saveQueued = true;
+        return;
+    }
+    saving = true;
+    try {
+        await fileUpload(WATCHES_FILE, { version: STORAGE_VERSION, watches });
+    } catch (e) {
+        console.error('[SavedSearches] Save failed:', e.message);
+    } finally {
+        saving = false;
+        if (saveQueued) {
+            saveQueued = false;
+            saveWatches();
+        }
+    }
+}
+
+function normalizeWatch(w) {
+    return {
+        id: w.id,
+        name: w.name || 'Saved search',
+        providerId: w.providerId,
+        query: w.query || '',
+        tags: Array.isArray(w.tags) ? w.tags.filter(Boolean) : [],
+        creator: w.creator || '',
+        minTokens: Number(w.minTokens) || 0,
+        nsfw: w.nsfw === true,
+        sort: w.sort === 'relevance' ? 'relevance' : 'newest',
+        paused: w.paused === true,
+        createdAt: w.createdAt || Date.now(),
+        // Watches saved before the flag existed are baselined once they have seen results
+        baselined: w.baselined ?? (Array.isArray(w.seen) && w.seen.length > 0),
+        lastRunAt: w.lastRunAt || 0,
+        lastFailedAt: w.lastFailedAt || 0,
+        lastError: w.lastError || null,
+        seen: Array.isArray(w.seen) ? w.seen : [],
+        pending: Array.isArray(w.pending) ? w.pending : [],
+    };
+}
+
+function newId() {
+    return `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// ========================================
+// RUNNING
+// ========================================
+
+function normTag(tag) {
+    return String(tag || '').toLowerCase().replace(/[\s_-]+/g, ' ').trim();
+}
+
+/**
+ * Re-check a result against the watch. Providers apply what their API
+ * supports server-side; this catches the rest. Tags are only enforced when
+ * the listing carries tags at all.
+ */
+function matchesWatch(watch, result) {
+    if (watch.minTokens && result.nTokens && result.nTokens < watch.minTokens) return false;
+    if (watch.creator && (result.creator || '').toLowerCase().trim() !== watch.creator.toLowerCase().trim()) return false;
+    if (watch.tags.length && Array.isArray(result.tags) && result.tags.length) {
+        const have = new Set(result.tags.map(normTag));
+        if (!watch.tags.every(t => have.has(normTag(t)))) return false;
+    }
+    return true;
+}
+
+/** Last attempt, successful or not; the interval counts from here. */
+function lastAttemptAt(watch) {
+    return Math.max(watch.lastRunAt, watch.lastFailedAt);
+}
+
+function isProviderEnabled(providerId) {
+    return !(CoreAPI.getSetting('disabledProviders') || []).includes(providerId);
+}
+
+/**
+ * Run one watch and fold new results into its pending list.
+ * @returns {Promise<number>} count of new results (0 on the baseline run)
+ */
+async function runWatch(watch) {
+    const provider = CoreAPI.getProvider(watch.providerId);
+    if (!provider?.supportsUnifiedSearch) throw new Error('Provider not available');
+    if (!isProviderEnabled(watch.providerId)) throw new Error(`${provider.name} is disabled`);
+
+    const results = await provider.searchUnified(watch.query, {
+        limit: RESULTS_PER_RUN,
+        sort: watch.sort,
+        tags: watch.tags,
+        minTokens: watch.minTokens,
+        creator: watch.creator,
+        nsfw: watch.nsfw,
+    });
+
+    // Only a successful run records the baseline; a failed first run leaves it to the next one
+    const baseline = !watch.baselined;
+    const seen = new Set(watch.seen);
+    const fresh = results.filter(r => r?.id != null && !seen.has(String(r.id)) && matchesWatch(watch, r));
+    // Re-insert everything returned so IDs still in the results stay newest
+    for (const r of results) {
+        if (r?.id == null) continue;
+        seen.delete(String(r.id));
+        seen.add(String(r.id));
+    }
+    watch.seen = [...seen].slice(-SEEN_LIMIT);
+    watch.baselined = true;
+    watch.lastRunAt = Date.now();
+    watch.lastError = null;
+    if (baseline || fresh.length === 0) return 0;
+
+    const foundAt = Date.now();
+    watch.pending = [
+        ...fresh.map(r => ({
+            id: String(r.id),
+            name: r.name || 'Unnamed',
+            creator: r.creator || '',
+            avatarUrl: r.avatarUrl || '',
+            nTokens: r.nTokens || 0,
+            url: r.url || '',
+            hit: r.hit,
+            foundAt,
+        })),
+        ...watch.pending,
+    ].slice(0, PENDING_LIMIT);
+    return fresh.length;
+}
+
+/**
+ * One scheduler pass over the due watches, oldest-checked first.
+ * @param {Object} [options]
+ * @param {boolean} [options.force] - ignore the interval and tab visibility
+ * @param {string} [options.watchId] - run only this watch
+ */
+async function runDueWatches({ force = false, watchId = null } = {}) {
+    if (running) return;
+    if (!force && document.hidden) return;
+    await loadWatches();
+
+    const intervalMs = (Number(CoreAPI.getSetting('savedSearchInterval')) || 6) * 3600000;
+    const now = Date.now();
+    const due = watches
+        .filter(w => watchId ? w.id === watchId : !w.paused)
+        .filter(w => force || now - lastAttemptAt(w) >= intervalMs)
+        .sort((a, b) => lastAttemptAt(a) - lastAttemptAt(b));
+    if (due.length === 0) return;
+
+    running = true;
+    onWatchesChanged();
+    let found = 0;
+    try {
+        for (let i = 0; i < due.length; i++) {
+            if (i > 0) await new Promise(r => setTimeout(r, RUN_GAP_MS));
+            const watch = due[i];
+            // Deleted while the pass was waiting
+            if (!watches.includes(watch)) continue;
+            runningWatchId = watch.id;
+            onWatchesChanged();
+            try {
+                found += await runWatch(watch);
+            } catch (e) {
+                CoreAPI.debugLog('[SavedSearches] Run failed for', watch.name, e.message);
+                watch.lastFailedAt = Date.now();
+                watch.lastError = e.message || 'Search failed';
+            }
+            saveWatches();
+        }
+    } finally {
+        running = false;
+        runningWatchId = null;
+        lastPassAt = Date.now();
+        onWatchesChanged();
+    }
+    if (found > 0) {
+        CoreAPI.showToast(`${found} new result${found === 1 ? '' : 's'} for your saved searches`, 'info');
+    } else if (force) {
+        CoreAPI.showToast('No new results', 'info');
+    }
+}
+
+function startScheduler() {
+    if (timer) return;
+    setTimeout(() => runDueWatches(), FIRST_TICK_MS);
+    timer = setInterval(() => runDueWatches(), TICK_MS);
+}
+
+// ========================================
+// PENDING RESULTS
+// ========================================
+
+function getPendingCount() {
+    return watches.reduce((n, w) => n + w.pending.length, 0);
+}
+
+function findPending(watchId, itemId) {
+    const watch = watches.find(w => w.id === watchId);
+    const item = watch?.pending.find(p => p.id === itemId);
+    return watch && item ? { watch, item } : null;
+}
+
+function dismissPending(watchId, itemId = null) {
+    const watch = watches.find(w => w.id === watchId);
+    if (!watch) return;
+    watch.pending = itemId ? watch.pending.filter(p => p.id !== itemId) : [];
+    saveWatches();
+    onWatchesChanged();
+}
+
+function previewPending(watchId, itemId) {
+    const found = findPending(watchId, itemId);
+    if (!found) return;
+    const provider = CoreAPI.getProvider(found.watch.providerId);
+    if (!provider?.openPreview) {
+        CoreAPI.showToast('Provider not available', 'error');
+        return;
+    }
+    document.getElementById('notificationsDropdown')?.classList.add('hidden');
+    CoreAPI.openProviderPreview(provider, found.item.hit);
+}
+
+function importPending(watchId, itemId = null) {
+    const watch = watches.find(w => w.id === watchId);
+    if (!watch) return;
+    const items = itemId ? watch.pending.filter(p => p.id === itemId) : watch.pending;
+    const urls = items.map(p => p.url).filter(Boolean);
+    if (urls.length === 0) {
+        CoreAPI.showToast('No importable link for this result', 'warning');
+        return;
+    }
+    document.getElementById('notificationsDropdown')?.classList.add('hidden');
+    CoreAPI.importCharacterUrls(urls);
+    // The import modal takes it from here (duplicate check included)
+    dismissPending(watchId, itemId);
+}
+
+// ========================================
+// NOTIFICATION SECTION
+// ========================================
+
+function formatAgo(ts) {
+    if (!ts) return 'never';
+    const mins = Math.round((Date.now() - ts) / 60000);
+    if (mins < 1) return 'just now';
+    if (mins < 60) return `${mins} min ago`;
+    const hours = Math.round(mins / 60);
+    if (hours < 48) return `${hours} hour${hours === 1 ? '' : 's'} ago`;
+    return new Date(ts).toLocaleDateString();
+}
+
+function sectionStatus() {
+    const n = getPendingCount();
+    if (n > 0) {
+        return {
+            visible: true,
+            level: 'activity',
+            icon: 'fa-solid fa-bookmark',
+            title: `${n} new result${n === 1 ? '' : 's'} for saved searches`,
+        };
+    }
+    if (running) return { visible: true, level: 'none', title: 'Running saved searches' };
+    return { visible: false, level: 'none', title: 'Saved searches' };
+}
+
+function renderSection(el) {
+    if (!el) return;
+    const esc = CoreAPI.escapeHtml;
+    const withPending = watches.filter(w => w.pending.length > 0);
+    if (withPending.length === 0 && !running) {
+        el.innerHTML = '';
+        return;
+    }
+    const parts = ['<div class="ss-section">'];
+    parts.push(`
+        <div class="ss-header">
+            <i class="fa-solid fa-bookmark"></i><span>Saved Searches</span>
+            <button class="ss-btn ss-manage" data-ss-manage title="Manage saved searches"><i class="fa-solid fa-gear"></i></button>
+        </div>`);
+
+    for (const watch of withPending) {
+        const provider = CoreAPI.getProvider(watch.providerId);
+        parts.push(`
+            <div class="ss-watch" data-ss-watch="${esc(watch.id)}">
+                <div class="ss-watch-line">
+                    <span class="ss-watch-name" title="${esc(provider?.name || watch.providerId)}">${esc(watch.name)}</span>
+                    <span class="ss-watch-count">${watch.pending.length} new</span>
+                    ${watch.pending.length > 1 ? '<button class="ss-btn" data-ss-action="import-all" title="Import all new results"><i class="fa-solid fa-download"></i></button>' : ''}
+                    <button class="ss-btn" data-ss-action="dismiss-all" title="Dismiss all"><i class="fa-solid fa-xmark"></i></button>
+                </div>`);
+        for (const item of watch.pending) {
+            parts.push(`
+                <div class="ss-item" data-ss-item="${esc(item.id)}">
+                    <img class="ss-item-avatar" src="${esc(item.avatarUrl || '/img/ai4.png')}" alt="" loading="lazy" onerror="this.src='/img/ai4.png'">
+                    <div class="ss-item-body">
+                        <span class="ss-item-name" title="${esc(item.name)}">${esc(item.name)}</span>
+                        <span class="ss-item-sub">${item.creator ? `${esc(item.creator)} &middot; ` : ''}${esc(formatAgo(item.foundAt))}</span>
+                    </div>
+                    <button class="ss-btn" data-ss-action="preview" title="Preview"><i class="fa-solid fa-eye"></i></button>
+                    <button class="ss-btn" data-ss-action="import" title="Import" ${item.url ? '' : 'disabled'}><i class="fa-solid fa-download"></i></button>
+                    <button class="ss-btn" data-ss-action="dismiss" title="Dismiss"><i class="fa-solid fa-xmark"></i></button>
+                </div>`);
+        }
+        parts.push('</div>');
+    }
+
+    const status = running
+        ? '<span><i class="fa-solid fa-spinner fa-spin"></i> Searching&hellip;</span>'
+        : `<span>Last run ${esc(formatAgo(lastPassAt))}</span><button class="ss-btn" data-ss-run-all title="Run all saved searches now"><i class="fa-solid fa-rotate-right"></i></button>`;
+    parts.push(`<div class="ss-footer">${status}</div>`);
+    parts.push('</div>');
+    el.innerHTML = parts.join('');
+}
+
+function getSectionEl() {
+    return document.querySelector('#notificationsDropdown [data-notif-section="saved-searches"]');
+}
+
+function onWatchesChanged() {
+    CoreAPI.refreshNotificationsUI();
+    const el = getSectionEl();
+    const dropdown = document.getElementById('notificationsDropdown');
+    if (el && dropdown && !dropdown.classList.contains('hidden')) {
+        const visible = sectionStatus().visible;
+        el.classList.toggle('hidden', !visible);
+        if (visible) renderSection(el);
+    }
+    if (document.getElementById('savedSearchModal')?.classList.contains('visible')) renderWatchList();
+}
+
+function wireSectionEvents(el) {
+    el.addEventListener('click', (e) => {
+        if (e.target.closest('[data-ss-manage]')) {
+            e.stopPropagation();
+            document.getElementById('notificationsDropdown')?.classList.add('hidden');
+            openSavedSearchEditor();
+            return;
+        }
+        if (e.target.closest('[data-ss-run-all]')) {
+            e.stopPropagation();
+            runDueWatches({ force: true });
+            return;
+        }
+        const btn = e.target.closest('[data-ss-action]');
+        if (!btn) return;
+        e.stopPropagation();
+        const watchId = btn.closest('[data-ss-watch]')?.dataset.ssWatch;
+        const itemId = btn.closest('[data-ss-item]')?.dataset.ssItem || null;
+        switch (btn.dataset.ssAction) {
+            case 'preview': previewPending(watchId, itemId); break;
+            case 'import': importPending(watchId, itemId); break;
+            case 'import-all': importPending(watchId); break;
+            case 'dismiss': dismissPending(watchId, itemId); break;
+            case 'dismiss-all': dismissPending(watchId); break;
+        }
+    });
+}
+
+// ========================================
+// MANAGER MODAL
+// ========================================
+
+function searchableProviders() {
+    return CoreAPI.getAllProviders().filter(p => p.supportsUnifiedSearch);
+}
+
+function describeWatch(watch) {
+    const bits = [];
+    if (watch.query) bits.push(`"${watch.query}"`);
+    if (watch.tags.length) bits.push(watch.tags.map(t => `#${t}`).join(' '));
+    if (watch.creator) bits.push(`by ${watch.creator}`);
+    if (watch.minTokens) bits.push(`${watch.minTokens}+ tokens`);
+    if (watch.nsfw) bits.push('NSFW');
+    bits.push(watch.sort === 'newest' ? 'newest' : 'best match');
+    return bits.join(' · ');
+}
+
+function injectModal() {
+    if (modalInjected) return;
+    modalInjected = true;
+
+    const intervalOptions = INTERVAL_OPTIONS.map(h => `<option value="${h}">Every ${h} hour${h === 1 ? '' : 's'}</option>`).join('');
+    const html = `
+    <div id="savedSearchModal" class="cl-modal">
+        <div class="cl-modal-content" style="max-width: calc(620px * var(--modal-scale, 1));">
+            <div class="cl-modal-header">
+                <h3><i class="fa-solid fa-bookmark"></i> Saved Searches</h3>
+                <button id="savedSearchCloseBtn" class="cl-modal-close"><i class="fa-solid fa-xmark"></i></button>
+            </div>
+            <div class="cl-modal-body">
+                <div id="savedSearchList" class="ss-list"></div>
+                <div id="savedSearchEmpty" class="ss-empty">No saved searches yet. Use the bookmark button in a provider's search bar, or fill in the form below.</div>
+
+                <div class="edit-section ss-form">
+                    <h4 class="section-header"><i class="fa-solid fa-pen"></i> <span id="savedSearchFormTitle">New Saved Search</span></h4>
+                    <div class="form-row">
+                        <div class="form-group half">
+                            <label>Name</label>
+                            <input type="search" id="savedSearchName" class="glass-input" placeholder="Niche tag watch" maxlength="100" autocomplete="one-time-code">
+                        </div>
+                        <div class="form-group half">
+                            <label>Provider</label>
+                            <select id="savedSearchProvider" class="glass-select"></select>
+                        </div>
+                    </div>
+                    <div class="form-group">
+                        <label>Search text</label>
+                        <input type="search" id="savedSearchQuery" class="glass-input" placeholder="Leave empty to watch by tags or creator" autocomplete="one-time-code">
+                    </div>
+                    <div class="form-row">
+                        <div class="form-group half">
+                            <label>Tags <span class="ss-hint">(comma-separated, all required)</span></label>
+                            <input type="search" id="savedSearchTags" class="glass-input" placeholder="fantasy, monster girl" autocomplete="one-time-code">
+                        </div>
+                        <div class="form-group half">
+                            <label>Creator</label>
+                            <input type="search" id="savedSearchCreator" class="glass-input" placeholder="Any" autocomplete="one-time-code">
+                        </div>
+                    </div>
+                    <div class="form-row">
+                        <div class="form-group half">
+                            <label>Min tokens</label>
+                            <input type="number" id="savedSearchMinTokens" class="glass-input" min="0" step="100" placeholder="0">
+                        </div>
+                        <div class="form-group half">
+                            <label>Order</label>
+                            <select id="savedSearchSort" class="glass-select">
+                                <option value="newest">Newest first</option>
+                                <option value="relevance">Best match</option>
+                            </select>
+                        </div>
+                    </div>
+                    <label class="ss-check">
+                        <input type="checkbox" id="savedSearchNsfw">
+                        <span>Include NSFW results (only where your provider login allows them)</span>
+                    </label>
+                    <div class="ss-form-actions">
+                        <button id="savedSearchCancelEditBtn" class="glass-btn hidden">Cancel</button>
+                        <button id="savedSearchSaveBtn" class="glass-btn ss-primary"><i class="fa-solid fa-bookmark"></i> Save</button>
+                    </div>
+                </div>
+            </div>
+            <div class="cl-modal-footer ss-modal-footer">
+                <label class="ss-interval">
+                    <span>Check</span>
+                    <select id="savedSearchInterval" class="glass-select">${intervalOptions}</select>
+                </label>
+                <button id="savedSearchRunAllBtn" class="glass-btn"><i class="fa-solid fa-rotate-right"></i> Run all now</button>
+            </div>
+        </div>
+    </div>`;
+
+    document.body.insertAdjacentHTML('beforeend', html);
+
+    document.getElementById('savedSearchCloseBtn').addEventListener('click', closeSavedSearchEditor);
+    document.getElementById('savedSearchModal').addEventListener('click', (e) => {
+        if (e.target.id === 'savedSearchModal') closeSavedSearchEditor();
+    });
+    document.getElementById('savedSearchSaveBtn').addEventListener('click', saveForm);
+    document.getElementById('savedSearchCancelEditBtn').addEventListener('click', () => fillForm(null));
+    document.getElementById('savedSearchRunAllBtn').addEventListener('click', () => runDueWatches({ force: true }));
+    document.getElementById('savedSearchInterval').addEventListener('change', (e) => {
+        CoreAPI.setSetting('savedSearchInterval', parseInt(e.target.value, 10) || 6);
+    });
+
+    document.getElementById('savedSearchList').addEventListener('click', (e) => {
+        const btn = e.target.closest('[data-ss-row-action]');
+        if (!btn) return;
+        const watch = watches.find(w => w.id === btn.closest('[data-ss-row]')?.dataset.ssRow);
+        if (!watch) return;
+        switch (btn.dataset.ssRowAction) {
+            case 'run':
+                runDueWatches({ force: true, watchId: watch.id });
+                break;
+            case 'pause':
+                watch.paused = !watch.paused;
+                saveWatches();
+                renderWatchList();
+                break;
+            case 'edit':
+                fillForm(watch);
+                break;
+            case 'delete':
+                deleteWatch(watch);
+                break;
+        }
+    });
+
+    window.registerOverlay?.({ id: 'savedSearchModal', tier: 7, close: () => closeSavedSearchEditor(), visible: (el) => el.classList.contains('visible') });
+}
+
+function renderWatchList() {
+    const listEl = document.getElementById('savedSearchList');
+    const emptyEl = document.getElementById('savedSearchEmpty');
+    if (!listEl) return;
+    const esc = CoreAPI.escapeHtml;
+    emptyEl.style.display = watches.length ? 'none' : '';
+    listEl.innerHTML = watches.map(w => {
+        const provider = CoreAPI.getProvider(w.providerId);
+        const isRunning = runningWatchId === w.id;
+        let status;
+        if (isRunning) status = '<i class="fa-solid fa-spinner fa-spin"></i> Searching&hellip;';
+        else if (w.lastError) status = `<span class="ss-row-error" title="${esc(w.lastError)}"><i class="fa-solid fa-triangle-exclamation"></i> ${esc(w.lastError)}</span>`;
+        else status = `Checked ${esc(formatAgo(w.lastRunAt))}${w.pending.length ? ` &middot; <strong>${w.pending.length} new</strong>` : ''}`;
+        return `<div class="ss-row${w.paused ? ' is-paused' : ''}" data-ss-row="${esc(w.id)}">
+            <i class="${esc(provider?.icon || 'fa-solid fa-globe')} ss-row-icon" title="${esc(provider?.name || w.providerId)}"></i>
+            <div class="ss-row-body">
+                <span class="ss-row-name">${esc(w.name)}${w.paused ? ' <span class="ss-row-paused">paused</span>' : ''}</span>
+                <span class="ss-row-sub">${esc(describeWatch(w))}</span>
+                <span class="ss-row-sub">${status}</span>
+            </div>
+            <button class="ss-btn" data-ss-row-action="run" title="Run now" ${running ? 'disabled' : ''}><i class="fa-solid fa-rotate-right"></i></button>
+            <button class="ss-btn" data-ss-row-action="pause" title="${w.paused ? 'Resume' : 'Pause'}"><i class="fa-solid ${w.paused ? 'fa-play' : 'fa-pause'}"></i></button>
+            <button class="ss-btn" data-ss-row-action="edit" title="Edit"><i class="fa-solid fa-pen"></i></button>
+            <button class="ss-btn" data-ss-row-action="delete" title="Delete"><i class="fa-solid fa-trash"></i></button>
+        </div>`;
+    }).join('');
+}
+
+/**
+ * Load a watch (or a draft for a new one) into the form.
+ * @param {Object|null} watch - existing watch to edit, or null/draft for a new one
+ */
+function fillForm(watch, { providerId = null, draft = null } = {}) {
+    editingId = watch?.id || null;
+    const src = watch || draft || {};
+    const provider = CoreAPI.getProvider(watch?.providerId || providerId) || searchableProviders()[0];
+    const defaultName = src.query || src.tags?.join(', ') || src.creator || '';
+
+    document.getElementById('savedSearchFormTitle').textContent = watch ? `Edit "${watch.name}"` : 'New Saved Search';
+    document.getElementById('savedSearchName').value = watch?.name || defaultName;
+    document.getElementById('savedSearchProvider').value = provider?.id || '';
+    document.getElementById('savedSearchQuery').value = src.query || '';
+    document.getElementById('savedSearchTags').value = (src.tags || []).join(', ');
+    document.getElementById('savedSearchCreator').value = src.creator || '';
+    document.getElementById('savedSearchMinTokens').value = src.minTokens || '';
+    document.getElementById('savedSearchSort').value = src.sort || 'newest';
+    document.getElementById('savedSearchNsfw').checked = src.nsfw === true;
+    document.getElementById('savedSearchCancelEditBtn').classList.toggle('hidden', !watch);
+}
+
+function readForm() {
+    const tags = document.getElementById('savedSearchTags').value
+        .split(',').map(t => t.trim()).filter(Boolean);
+    return {
+        name: document.getElementById('savedSearchName').value.trim(),
+        providerId: document.getElementById('savedSearchProvider').value,
+        query: document.getElementById('savedSearchQuery').value.trim(),
+        tags,
+        creator: document.getElementById('savedSearchCreator').value.trim().replace(/^@/, ''),
+        minTokens: Math.max(0, parseInt(document.getElementById('savedSearchMinTokens').value, 10) || 0),
+        sort: document.getElementById('savedSearchSort').value,
+        nsfw: document.getElementById('savedSearchNsfw').checked,
+    };
+}
+
+async function saveForm() {
+    await loadWatches();
+    const form = readForm();
+    if (!CoreAPI.getProvider(form.providerId)) {
+        CoreAPI.showToast('Pick a provider', 'warning');
+        return;
+    }
+    if (!form.query && !form.tags.length && !form.creator) {
+        CoreAPI.showToast('Add search text, tags or a creator to watch', 'warning');
+        return;
+    }
+    form.name = form.name || form.query || form.tags.join(', ') || form.creator;
+
+    const existing = editingId ? watches.find(w => w.id === editingId) : null;
+    let watch;
+    if (existing) {
+        const criteriaChanged = ['providerId', 'query', 'creator', 'minTokens', 'sort', 'nsfw']
+            .some(k => existing[k] !== form[k]) || existing.tags.join('\n') !== form.tags.join('\n');
+        Object.assign(existing, form);
+        // New criteria mean a new result set; start over from a fresh baseline
+        if (criteriaChanged) {
+            existing.seen = [];
+            existing.pending = [];
+            existing.baselined = false;
+            existing.lastRunAt = 0;
+            existing.lastFailedAt = 0;
+            existing.lastError = null;
+        }
+        watch = existing;
+    } else {
+        watch = normalizeWatch({ ...form, id: newId(), createdAt: Date.now() });
+        watches.push(watch);
+    }
+    saveWatches();
+    fillForm(null, { providerId: watch.providerId });
+    onWatchesChanged();
+    CoreAPI.showToast(existing ? 'Saved search updated' : `Watching "${watch.name}"`, 'success');
+    // Record the baseline right away so the first background pass can already report new cards
+    if (!watch.baselined) runDueWatches({ force: true, watchId: watch.id });
+}
+
+async function deleteWatch(watch) {
+    const ok = await CoreAPI.showConfirm({
+        title: 'Delete saved search?',
+        message: `"${watch.name}" and its ${watch.pending.length} unseen result(s) will be removed.`,
+        icon: 'fa-solid fa-trash',
+        confirmLabel: 'Delete',
+        danger: true,
+    });
+    if (!ok) return;
+    watches = watches.filter(w => w !== watch);
+    if (editingId === watch.id) fillForm(null);
+    saveWatches();
+    onWatchesChanged();
+}
+
+/**
+ * Open the saved-search manager. With a provider and draft, the form starts
+ * as a new watch prefilled from that provider's current browse filters.
+ * @param {string} [providerId]
+ * @param {Object} [draft] - BrowseView.getSavedSearchDraft() result
+ */
+async function openSavedSearchEditor(providerId = null, draft = null) {
+    injectModal();
+    await loadWatches();
+
+    const providerSelect = document.getElementById('savedSearchProvider');
+    providerSelect.innerHTML = searchableProviders()
+        .map(p => `<option value="${CoreAPI.escapeHtml(p.id)}">${CoreAPI.escapeHtml(p.name)}</option>`).join('');
+    const intervalSelect = document.getElementById('savedSearchInterval');
+    intervalSelect.value = String(CoreAPI.getSetting('savedSearchInterval') || 6);
+    for (const el of [providerSelect, intervalSelect, document.getElementById('savedSearchSort')]) {
+        if (el._customSelect) el._customSelect.refresh?.();
+        else CoreAPI.initCustomSelect?.(el);
+    }
+
+    fillForm(null, { providerId, draft });
+    renderWatchList();
+    document.getElementById('savedSearchModal').classList.add('visible');
+}
+
+function closeSavedSearchEditor() {
+    document.getElementById('savedSearchModal')?.classList.remove('visible');
+    editingId = null;
+}
+
+// ========================================
+// INIT
+// ========================================
+
+function init() {
+    CoreAPI.registerNotificationSection({
+        id: 'saved-searches',
+        getStatus: sectionStatus,
+        onOpen: (el) => renderSection(el),
+    });
+    const sectionEl = getSectionEl();
+    if (sectionEl) wireSectionEvents(sectionEl);
+    loadWatches().then(() => CoreAPI.refreshNotificationsUI());
+    startScheduler();
+}
+
+// ========================================
+// EXPORTS
+// ========================================
+
+export default {
+    init,
+    openSavedSearchEditor,
+    runDueWatches,
+};
@@ -0,0 +1,353 @@
+// Similar Images - groups near-duplicate pictures in a character's gallery
+// (perceptual hash distance) and lets the user keep one copy per group.
+
+import * as CoreAPI from './core-api.js';
+
+// ========================================
+// STATE
+// ========================================
+
+let isInitialized = false;
+
+const state = {
+    char: null,
+    folder: '',
+    scanning: false,
+    abort: false,
+    deleting: false,
+    files: [],      // [{ fileName, size, phash }]
+    groups: [],     // [{ files: [...], keep: fileName }]
+    distance: 8,
+};
+
+const IMAGE_EXT_RE = /\.(png|jpe?g|webp|gif|bmp)$/i;
+
+// Bits of the 64-bit hash that may differ; the review is looser than the
+// download-time skip because a human confirms every deletion.
+const STRICTNESS = [
+    { value: 4, label: 'Strict (near-identical)' },
+    { value: 8, label: 'Normal' },
+    { value: 12, label: 'Loose (also crops / edits)' },
+];
+
+// Localized card media backs URL replacement in the card text; deleting it
+// un-localizes that URL, so it wins the default "keep" pick.
+const CARD_MEDIA_RE = /^(localized_media|lorebook_media)_/;
+
+function formatSize(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1048576) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / 1048576).toFixed(1)} MB`;
+}
+
+function fileUrl(fileName) {
+    return `/user/images/${encodeURIComponent(state.folder)}/${encodeURIComponent(fileName)}`;
+}
+
+// ========================================
+// MODAL SHELL
+// ========================================
+
+function injectModal() {
+    const modalHtml = `
+    <div id="similarImagesModal" class="cl-modal cl-modal-drawer">
+        <div class="cl-modal-content sim-content" style="max-width: calc(760px * var(--modal-scale, 1));">
+            <div class="cl-modal-header">
+                <h3><i class="fa-solid fa-clone"></i> <span id="similarImagesTitle">Similar Images</span></h3>
+                <button id="similarImagesCloseBtn" class="cl-modal-close"><i class="fa-solid fa-xmark"></i></button>
+            </div>
+            <div class="cl-modal-body sim-body" id="similarImagesBody"></div>
+            <div class="cl-modal-footer sim-footer" id="similarImagesFooter"></div>
+        </div>
+    </div>`;
+    document.body.insertAdjacentHTML('beforeend', modalHtml);
+
+    document.getElementById('similarImagesCloseBtn')?.addEventListener('click', () => closeModal());
+    document.getElementById('similarImagesModal')?.addEventListener('click', (e) => {
+        if (e.target.id === 'similarImagesModal') closeModal();
+    });
+}
+
+function closeModal() {
+    if (state.deleting) return;
+    state.abort = true;
+    document.getElementById('similarImagesModal')?.classList.remove('visible');
+}
+
+// ========================================
+// SCAN
+// ========================================
+
+/**
+ * Open the review for a character's gallery: hash every image, then group.
+ * @param {Object} char - Library character
+ */
+async function openReview(char) {
+    if (!isInitialized) init();
+    if (state.scanning || state.deleting) {
+        CoreAPI.showToast('A similar-image scan is already running', 'warning');
+        return;
+    }
+
+    state.char = char;
+    state.folder = CoreAPI.sanitizeFolderName(CoreAPI.getGalleryFolderName(char)) || CoreAPI.getGalleryFolderName(char);
+    state.files = [];
+    state.groups = [];
+    state.abort = false;
+
+    const title = document.getElementById('similarImagesTitle');
+    if (title) title.textContent = `Similar Images: ${char.name || char.avatar}`;
+    const body = document.getElementById('similarImagesBody');
+    const footer = document.getElementById('similarImagesFooter');
+    body.innerHTML = `
+        <div class="sim-progress-label" id="simProgressLabel">Listing gallery...</div>
+        <div class="sim-bar"><div class="sim-bar-fill" id="simBarFill"></div></div>`;
+    footer.innerHTML = `<button id="simCancelBtn" class="cl-btn cl-btn-secondary"><i class="fa-solid fa-ban"></i> Cancel</button>`;
+    document.getElementById('simCancelBtn')?.addEventListener('click', () => closeModal());
+    document.getElementById('similarImagesModal')?.classList.add('visible');
+
+    state.scanning = true;
+    try {
+        const info = await CoreAPI.getCharacterGalleryInfo(char);
+        const names = (info.files || [])
+            .map(f => (typeof f === 'string' ? f : f?.name))
+            .filter(n => n && IMAGE_EXT_RE.test(n));
+
+        for (let i = 0; i < names.length; i++) {
+            if (state.abort) return;
+            setProgress(i / names.length, `Hashing images... ${i}/${names.length}`);
+            try {
+                const resp = await fetch(fileUrl(names[i]));
+                if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+                let buffer = await resp.arrayBuffer();
+                const size = buffer.byteLength;
+                const phash = await CoreAPI.calculatePerceptualHash(buffer);
+                buffer = null;
+                if (phash) state.files.push({ fileName: names[i], size, phash });
+            } catch (e) {
+                CoreAPI.debugLog(`[SimilarImages] Skipped ${names[i]}:`, e.message);
+            }
+        }
+        if (state.abort) return;
+        buildGroups();
+        renderReview();
+    } catch (err) {
+        body.innerHTML = `<div class="sim-error"><i class="fa-solid fa-triangle-exclamation"></i> ${CoreAPI.escapeHtml(err.message || String(err))}</div>`;
+        footer.innerHTML = '';
+    } finally {
+        state.scanning = false;
+    }
+}
+
+function setProgress(fraction, label) {
+    const fill = document.getElementById('simBarFill');
+    if (fill) fill.style.width = `${Math.round(Math.max(0, Math.min(1, fraction)) * 100)}%`;
+    const labelEl = document.getElementById('simProgressLabel');
+    if (labelEl && label) labelEl.textContent = label;
+}
+
+// Single-linkage grouping (union-find): A~B and B~C put all three together,
+// which is what a chain of re-encodes of the same picture looks like.
+function buildGroups() {
+    const files = state.files;
+    const parent = files.map((_, i) => i);
+    const find = (i) => {
+        while (parent[i] !== i) {
+            parent[i] = parent[parent[i]];
+            i = parent[i];
+        }
+        return i;
+    };
+    for (let i = 0; i < files.length; i++) {
+        for (let j = i + 1; j < files.length; j++) {
+            if (CoreAPI.perceptualHashDistance(files[i].phash, files[j].phash) <= state.distance) {
+                parent[find(i)] = find(j);
+            }
+        }
+    }
+
+    const byRoot = new Map();
+    files.forEach((f, i) => {
+        const root = find(i);
+        if (!byRoot.has(root)) byRoot.set(root, []);
+        byRoot.get(root).push(f);
+    });
+
+    state.groups = [...byRoot.values()]
+        .filter(g => g.length > 1)
+        .map(g => {
+            const ranked = [...g].sort((a, b) =>
+                (CARD_MEDIA_RE.test(b.fileName) - CARD_MEDIA_RE.test(a.fileName))
+                || (b.size - a.size)
+                || a.fileName.localeCompare(b.fileName));
+            return { files: ranked, keep: ranked[0].fileName };
+        })
+        .sort((a, b) => b.files.length - a.files.length);
+}
+
+// ========================================
+// REVIEW
+// ========================================
+
+function redundantCount() {
+    return state.groups.reduce((n, g) => n + g.files.length - 1, 0);
+}
+
+function renderReview() {
+    const body = document.getElementById('similarImagesBody');
+    const footer = document.getElementById('similarImagesFooter');
+    if (!body || !footer) return;
+
+    const strictness = `
+        <label class="sim-strictness">
+            <span>Match</span>
+            <select id="simStrictness" class="glass-select">
+                ${STRICTNESS.map(s => `<option value="${s.value}"${s.value === state.distance ? ' selected' : ''}>${s.label}</option>`).join('')}
+            </select>
+        </label>`;
+
+    if (state.groups.length === 0) {
+        body.innerHTML = `
+            <div class="sim-toolbar"><span class="sim-summary">${state.files.length} image${state.files.length !== 1 ? 's' : ''} checked, no similar images found</span>${strictness}</div>`;
+    } else {
+        const extra = redundantCount();
+        body.innerHTML = `
+            <div class="sim-toolbar">
+                <span class="sim-summary">${state.groups.length} group${state.groups.length !== 1 ? 's' : ''}, ${extra} redundant cop${extra !== 1 ? 'ies' : 'y'} in ${state.files.length} images</span>
+                ${strictness}
+            </div>
+            <div class="sim-groups">
+                ${state.groups.map((g, gi) => `
+                    <div class="sim-group" data-group="${gi}">
+                        <div class="sim-group-header">
+                            <span>${g.files.length} similar images</span>
+                            <button class="cl-btn cl-btn-secondary cl-btn-sm sim-delete-group" data-group="${gi}">
+                                <i class="fa-solid fa-trash"></i> Delete others
+                            </button>
+                        </div>
+                        <div class="sim-group-items">
+                            ${g.files.map(f => renderItem(f, f.fileName === g.keep, gi)).join('')}
+                        </div>
+                    </div>`).join('')}
+            </div>`;
+    }
+
+    footer.innerHTML = state.groups.length > 0
+        ? `<button id="simCloseBtn" class="cl-btn cl-btn-secondary">Close</button>
+           <button id="simDeleteAllBtn" class="cl-btn cl-btn-danger"><i class="fa-solid fa-trash"></i> Delete ${redundantCount()} duplicate${redundantCount() !== 1 ? 's' : ''}</button>`
+        : `<button id="simCloseBtn" class="cl-btn cl-btn-primary"><i class="fa-solid fa-check"></i> Done</button>`;
+
+    document.getElementById('simStrictness')?.addEventListener('change', (e) => {
+        state.distance = parseInt(e.target.value, 10) || 8;
+        buildGroups();
+        renderReview();
+    });
+    document.getElementById('simCloseBtn')?.addEventListener('click', () => closeModal());
+    document.getElementById('simDeleteAllBtn')?.addEventListener('click', () => deleteUnkept(state.groups));
+}
+
+function renderItem(file, kept, groupIndex) {
+    const thumb = CoreAPI.getGalleryThumbUrl(state.folder, file.fileName) || fileUrl(file.fileName);
+    const cardMedia = CARD_MEDIA_RE.test(file.fileName);
+    return `
+        <button class="sim-item${kept ? ' kept' : ''}" data-group="${groupIndex}" data-file="${CoreAPI.escapeHtml(file.fileName)}" title="${kept ? 'Kept' : 'Click to keep this one instead'}">
+            <img src="${CoreAPI.escapeHtml(thumb)}" loading="lazy" alt="">
+            <span class="sim-item-badge">${kept ? '<i class="fa-solid fa-check"></i> Keep' : '<i class="fa-solid fa-trash"></i> Delete'}</span>
+            <span class="sim-item-name" title="${CoreAPI.escapeHtml(file.fileName)}">${CoreAPI.escapeHtml(file.fileName)}</span>
+            <span class="sim-item-meta">${formatSize(file.size)}${cardMedia ? ' · card media' : ''}</span>
+        </button>`;
+}
+
+function onBodyClick(e) {
+    if (state.deleting) return;
+    const delBtn = e.target.closest('.sim-delete-group');
+    if (delBtn) {
+        const group = state.groups[parseInt(delBtn.dataset.group, 10)];
+        if (group) deleteUnkept([group]);
+        return;
+    }
+    const item = e.target.closest('.sim-item');
+    if (item) {
+        const group = state.groups[parseInt(item.dataset.group, 10)];
+        if (!group) return;
+        group.keep = item.dataset.file;
+        renderReview();
+    }
+}
+
+// ========================================
+// DELETE
+// ========================================
+
+async function deleteUnkept(groups) {
+    const targets = groups.flatMap(g => g.files.filter(f => f.fileName !== g.keep).map(f => f.fileName));
+    if (targets.length === 0) return;
+
+    const losesCardMedia = targets.some(n => CARD_MEDIA_RE.test(n));
+    const confirmed = await CoreAPI.showConfirm({
+        title: `Delete ${targets.length} image${targets.length !== 1 ? 's' : ''}?`,
+        message: `The kept copy in each group stays; the others are removed from the gallery permanently.${losesCardMedia ? ' Some of these are localized card media, so the matching URLs in the card will show the remote image again.' : ''}`,
+        icon: 'fa-solid fa-trash',
+        iconColor: 'var(--cl-error-bright)',
+        confirmLabel: 'Delete',
+        danger: true,
+    });
+    if (!confirmed) return;
+
+    state.deleting = true;
+    const deleteBtn = document.getElementById('simDeleteAllBtn');
+    if (deleteBtn) {
+        deleteBtn.disabled = true;
+        deleteBtn.innerHTML = '<i class="fa-solid fa-spinner fa-spin"></i> Deleting...';
+    }
+
+    const deleted = new Set();
+    let errors = 0;
+    for (const fileName of targets) {
+        try {
+            const resp = await CoreAPI.apiRequest('/images/delete', 'POST', { path: `/user/images/${state.folder}/${fileName}` });
+            await resp.text().catch(() => {});
+            if (resp.ok) deleted.add(fileName);
+            else errors++;
+        } catch {
+            errors++;
+        }
+    }
+    state.deleting = false;
+
+    if (deleted.size > 0) {
+        state.files = state.files.filter(f => !deleted.has(f.fileName));
+        for (const g of state.groups) g.files = g.files.filter(f => !deleted.has(f.fileName));
+        state.groups = state.groups.filter(g => g.files.length > 1);
+        CoreAPI.cleanupThumbCache(state.folder);
+        CoreAPI.refreshCharacterGallery(state.char);
+        CoreAPI.showToast(`Deleted ${deleted.size} duplicate image${deleted.size !== 1 ? 's' : ''}`, 'success');
+    }
+    if (errors > 0) {
+        CoreAPI.showToast(`Failed to delete ${errors} image${errors !== 1 ? 's' : ''}`, 'error');
+    }
+    renderReview();
+}
+
+// ========================================
+// INIT
+// ========================================
+
+function init() {
+    if (isInitialized) return;
+    injectModal();
+    document.getElementById('similarImagesBody')?.addEventListener('click', onBodyClick);
+    window.registerOverlay?.({
+        id: 'similarImagesModal',
+        tier: 7,
+        close: () => closeModal(),
+        visible: (el) => el.classList.contains('visible'),
+    });
+    isInitialized = true;
+    CoreAPI.debugLog('[SimilarImages] Module initialized');
+}
+
+export default {
+    init,
+    openReview,
+};
@@ -0,0 +1,358 @@
+import CoreAPI from './core-api.js';
+
+// ========================================
+// URL INTAKE
+// Client side of cl-helper's /intake inbox. Links pushed from the
+// bookmarklet or the Android share sheet (the library installed as a PWA
+// with a share_target) wait on the server; this module polls them, routes
+// each through the providers' canHandleUrl/parseUrl and hands matches to the
+// import queue. Links no provider recognizes are offered as direct downloads
+// in the notifications bell and stay in the inbox until answered.
+// ========================================
+
+const INTAKE_BASE = '/plugins/cl-helper/intake';
+const POLL_MS = 5000;
+const RETRY_UNAVAILABLE_MS = 5 * 60 * 1000;
+
+let token = null;
+let available = false;
+let pollTimer = 0;
+let polling = false;
+let manifestLink = null;
+const offers = new Map();       // inbox id -> { id, url, title } awaiting a decision
+const handledIds = new Set();   // acked locally; the server may still list them for one poll
+
+// ========================================
+// SERVER
+// ========================================
+
+async function startSession(rotate = false) {
+    try {
+        const resp = await CoreAPI.apiRequest(`${INTAKE_BASE}/session`, 'POST', rotate ? { rotate: true } : {});
+        if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+        const data = await resp.json();
+        token = data?.token || null;
+        available = !!token;
+    } catch (e) {
+        CoreAPI.debugLog('[UrlIntake] cl-helper intake unavailable:', e.message);
+        token = null;
+        available = false;
+    }
+    syncManifestLink();
+    renderSettings();
+    return available;
+}
+
+async function ack(ids) {
+    if (!ids.length) return;
+    ids.forEach(id => handledIds.add(id));
+    try {
+        await CoreAPI.apiRequest(`${INTAKE_BASE}/ack`, 'POST', { ids });
+    } catch (e) {
+        console.warn('[UrlIntake] Ack failed:', e.message);
+    }
+}
+
+// ========================================
+// ROUTING
+// ========================================
+
+/**
+ * First provider that claims the URL and can parse an identifier from it
+ * @param {string} url
+ * @returns {Object|null}
+ */
+function findProviderForUrl(url) {
+    for (const provider of CoreAPI.getAllProviders()) {
+        try {
+            if (provider.canHandleUrl(url) && provider.parseUrl(url)) return provider;
+        } catch { /* provider parse error: not a match */ }
+    }
+    return null;
+}
+
+// Same auto-download defaults the import modal starts with
+function importOptions(extra = {}) {
+    return {
+        skipDuplicates: true,
+        autoDownloadGallery: CoreAPI.getSetting('includeProviderGallery') !== false,
+        autoDownloadMedia: CoreAPI.getSetting('mediaLocalizationEnabled') !== false,
+        ...extra,
+    };
+}
+
+async function routeItems(items) {
+    const matched = [];
+    const ids = [];
+    let newOffers = 0;
+    for (const item of items) {
+        if (!item?.id || handledIds.has(item.id) || offers.has(item.id)) continue;
+        const provider = findProviderForUrl(item.url);
+        if (provider) {
+            matched.push({ url: item.url, label: item.title || item.url });
+            ids.push(item.id);
+        } else {
+            offers.set(item.id, item);
+            newOffers++;
+        }
+    }
+
+    if (matched.length > 0) {
+        const queued = CoreAPI.enqueueCharacterImports(matched, importOptions());
+        // Queue not loaded: leave them in the inbox for the next session
+        if (queued == null) return;
+        await ack(ids);
+        CoreAPI.showToast(queued > 0
+            ? `Queued ${queued} shared link${queued === 1 ? '' : 's'} for import`
+            : 'Shared links are already in the import queue', queued > 0 ? 'success' : 'info');
+    }
+    if (newOffers > 0) {
+        CoreAPI.showToast(`${newOffers} shared link${newOffers === 1 ? " isn't" : "s aren't"} from a known provider. Check the notifications bell to import as direct downloads.`, 'info');
+        notifyChanged();
+    }
+}
+
+async function poll() {
+    if (polling) return;
+    if (!available) {
+        schedulePoll();
+        return;
+    }
+    polling = true;
+    try {
+        const resp = await CoreAPI.apiRequest(`${INTAKE_BASE}/pending`);
+        if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+        const data = await resp.json();
+        const items = Array.isArray(data?.items) ? data.items : [];
+        // Forget ids the server no longer lists (acked elsewhere, or dropped)
+        const live = new Set(items.map(i => i.id));
+        for (const id of handledIds) if (!live.has(id)) handledIds.delete(id);
+        let dropped = false;
+        for (const id of offers.keys()) {
+            if (!live.has(id)) { offers.delete(id); dropped = true; }
+        }
+        if (dropped) notifyChanged();
+        await routeItems(items);
+    } catch (e) {
+        CoreAPI.debugLog('[UrlIntake] Poll failed:', e.message);
+        available = false;
+    } finally {
+        polling = false;
+        schedulePoll();
+    }
+}
+
+function schedulePoll() {
+    clearTimeout(pollTimer);
+    if (document.hidden) return;
+    pollTimer = setTimeout(async () => {
+        if (!available && !(await startSession())) {
+            schedulePoll();
+            return;
+        }
+        poll();
+    }, available ? POLL_MS : RETRY_UNAVAILABLE_MS);
+}
+
+// ========================================
+// OFFERS (unrecognized links)
+// ========================================
+
+async function acceptOffers(ids) {
+    const chosen = ids.map(id => offers.get(id)).filter(Boolean);
+    if (!chosen.length) return;
+    const queued = CoreAPI.enqueueCharacterImports(
+        chosen.map(o => ({ url: o.url, label: o.title || o.url })),
+        importOptions({ allowDirect: true })
+    );
+    if (queued == null) {
+        CoreAPI.showToast('Import queue is not available', 'error');
+        return;
+    }
+    chosen.forEach(o => offers.delete(o.id));
+    await ack(chosen.map(o => o.id));
+    notifyChanged();
+}
+
+async function dismissOffers(ids) {
+    ids.forEach(id => offers.delete(id));
+    await ack(ids);
+    notifyChanged();
+}
+
+// ========================================
+// NOTIFICATIONS SECTION
+// ========================================
+
+function getSectionEl() {
+    return document.querySelector('#notificationsDropdown [data-notif-section="url-intake"]');
+}
+
+function isDropdownOpen() {
+    const dropdown = document.getElementById('notificationsDropdown');
+    return !!dropdown && !dropdown.classList.contains('hidden');
+}
+
+function notifyChanged() {
+    CoreAPI.refreshNotificationsUI();
+    const el = getSectionEl();
+    if (el && isDropdownOpen()) renderSection(el);
+}
+
+function sectionStatus() {
+    if (offers.size === 0) return { visible: false, level: 'none', title: 'Shared links' };
+    return {
+        visible: true,
+        level: 'warning',
+        badge: offers.size,
+        icon: 'fa-solid fa-share-nodes',
+        title: `${offers.size} shared link${offers.size === 1 ? '' : 's'} need${offers.size === 1 ? 's' : ''} a decision`,
+    };
+}
+
+function renderSection(el) {
+    if (!el) return;
+    const esc = CoreAPI.escapeHtml;
+    if (offers.size === 0) {
+        el.innerHTML = '';
+        return;
+    }
+    const parts = ['<div class="uin-section">'];
+    parts.push(`
+        <div class="uin-header">
+            <i class="fa-solid fa-share-nodes"></i><span>Shared Links</span>
+            ${offers.size > 1 ? `<span class="uin-header-actions">
+                <button class="uin-btn" data-uin-accept-all title="Import every link below as a direct download"><i class="fa-solid fa-download"></i> All</button>
+                <button class="uin-btn" data-uin-dismiss-all title="Dismiss every link below"><i class="fa-solid fa-xmark"></i> All</button>
+            </span>` : ''}
+        </div>
+        <div class="uin-hint">No provider recognizes these. Import them as direct card downloads?</div>`);
+    for (const offer of offers.values()) {
+        parts.push(`
+            <div class="uin-row" data-uin-id="${esc(offer.id)}">
+                <div class="uin-body">
+                    ${offer.title ? `<span class="uin-title">${esc(offer.title)}</span>` : ''}
+                    <span class="uin-url" title="${esc(offer.url)}">${esc(offer.url)}</span>
+                </div>
+                <button class="uin-btn" data-uin-accept title="Import as a direct download"><i class="fa-solid fa-download"></i></button>
+                <button class="uin-btn" data-uin-dismiss title="Dismiss"><i class="fa-solid fa-xmark"></i></button>
+            </div>`);
+    }
+    parts.push('</div>');
+    el.innerHTML = parts.join('');
+}
+
+function wireSectionEvents(el) {
+    el.addEventListener('click', (e) => {
+        const btn = e.target.closest('.uin-btn');
+        if (!btn) return;
+        e.stopPropagation();
+        const id = btn.closest('[data-uin-id]')?.dataset.uinId;
+        if (btn.hasAttribute('data-uin-accept-all')) acceptOffers([...offers.keys()]);
+        else if (btn.hasAttribute('data-uin-dismiss-all')) dismissOffers([...offers.keys()]);
+        else if (id && btn.hasAttribute('data-uin-accept')) acceptOffers([id]);
+        else if (id && btn.hasAttribute('data-uin-dismiss')) dismissOffers([id]);
+    });
+}
+
+// ========================================
+// BOOKMARKLET + SHARE TARGET
+// ========================================
+
+function pushUrl() {
+    return `${location.origin}/api${INTAKE_BASE}/push/${token}`;
+}
+
+function bookmarkletCode() {
+    return `javascript:(()=>{window.open('${pushUrl()}?url='+encodeURIComponent(location.href)+'&title='+encodeURIComponent(document.title),'clIntake','width=440,height=260')})()`;
+}
+
+// The manifest carries the share_target; Chrome offers "Install app" for it
+function syncManifestLink() {
+    if (!token) {
+        manifestLink?.remove();
+        manifestLink = null;
+        return;
+    }
+    if (!manifestLink) {
+        manifestLink = document.createElement('link');
+        manifestLink.rel = 'manifest';
+        manifestLink.crossOrigin = 'use-credentials';
+        document.head.appendChild(manifestLink);
+    }
+    manifestLink.href = `/api${INTAKE_BASE}/manifest/${token}`;
+}
+
+function renderSettings() {
+    const link = document.getElementById('urlIntakeBookmarklet');
+    const copyBtn = document.getElementById('urlIntakeCopyBtn');
+    const resetBtn = document.getElementById('urlIntakeResetBtn');
+    const status = document.getElementById('urlIntakeStatus');
+    if (link) {
+        link.href = available ? bookmarkletCode() : '#';
+        link.classList.toggle('cl-helper-fields-disabled', !available);
+    }
+    if (copyBtn) copyBtn.disabled = !available;
+    if (resetBtn) resetBtn.disabled = !available;
+    if (status) status.classList.toggle('cl-hidden', available);
+}
+
+function wireSettings() {
+    document.getElementById('urlIntakeBookmarklet')?.addEventListener('click', (e) => {
+        // Only meaningful when dragged to the bookmarks bar
+        e.preventDefault();
+        CoreAPI.showToast('Drag this button to your bookmarks bar, then click it on a character page', 'info');
+    });
+    document.getElementById('urlIntakeCopyBtn')?.addEventListener('click', async () => {
+        if (!token) return;
+        try {
+            await navigator.clipboard.writeText(bookmarkletCode());
+            CoreAPI.showToast('Bookmarklet copied. Paste it as the URL of a new bookmark.', 'success');
+        } catch {
+            CoreAPI.showToast('Clipboard unavailable; drag the button to your bookmarks bar instead', 'warning');
+        }
+    });
+    document.getElementById('urlIntakeResetBtn')?.addEventListener('click', async () => {
+        const ok = await CoreAPI.showConfirm({
+            title: 'Reset send link?',
+            message: 'Existing bookmarklets and the installed share target stop working until you set them up again.',
+            icon: 'fa-solid fa-rotate',
+            confirmLabel: 'Reset',
+            danger: true,
+        });
+        if (!ok) return;
+        if (await startSession(true)) CoreAPI.showToast('Send link reset', 'success');
+    });
+}
+
+// ========================================
+// INIT
+// ========================================
+
+function init() {
+    CoreAPI.registerNotificationSection({
+        id: 'url-intake',
+        getStatus: sectionStatus,
+        onOpen: (el) => renderSection(el),
+    });
+    const sectionEl = getSectionEl();
+    if (sectionEl) wireSectionEvents(sectionEl);
+    wireSettings();
+
+    // Pick links up as soon as the user comes back from the bookmarklet popup
+    document.addEventListener('visibilitychange', () => {
+        if (!document.hidden) poll();
+        else clearTimeout(pollTimer);
+    });
+    window.addEventListener('focus', () => poll());
+
+    startSession().then(ok => {
+        if (ok) poll();
+        else schedulePoll();
+    });
+}
+
+export default {
+    init,
+    findProviderForUrl,
+};
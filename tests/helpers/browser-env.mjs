@@ -0,0 +1,70 @@
+// Browser stand-ins for loading the extension's modules under Node
+//
+// Just enough for CoreAPI and the provider modules to load and for an import
+// to run through to SillyTavern's upload: no DOM, no real canvas, and a fetch
+// that refuses every request, so a test can never reach the network. Import
+// this before any app module.
+
+// 1x1 transparent PNG: the avatar a canvas would have drawn
+export const TINY_PNG_BASE64 = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=';
+const TINY_PNG = Uint8Array.from(Buffer.from(TINY_PNG_BASE64, 'base64'));
+
+globalThis.window = globalThis;
+globalThis.location = new URL('http://127.0.0.1:8000/');
+
+const events = new EventTarget();
+window.addEventListener = events.addEventListener.bind(events);
+window.removeEventListener = events.removeEventListener.bind(events);
+window.dispatchEvent = events.dispatchEvent.bind(events);
+// Nothing listens: page bridges (the JanitorAI userscript) stay undetected
+window.postMessage = () => {};
+
+globalThis.fetch = async (input) => {
+    const url = typeof input === 'string' ? input : input?.url;
+    throw new TypeError(`Network is disabled in tests (${url})`);
+};
+
+// Placeholder avatars and WebP -> PNG conversion both go through OffscreenCanvas
+globalThis.OffscreenCanvas = class {
+    getContext() {
+        return new Proxy({}, { get: () => () => {} });
+    }
+    async convertToBlob() {
+        return new Blob([TINY_PNG], { type: 'image/png' });
+    }
+};
+globalThis.createImageBitmap = async () => ({ width: 1, height: 1, close() {} });
+
+// The window.* hooks core-api.js forwards to; library.js defines them in the app
+window.getSetting = () => undefined;
+window.debugLog = () => {};
+window.showToast = () => {};
+window.getCSRFToken = () => 'test-csrf';
+window.apiRequest = (endpoint, method = 'GET', data = null, options = {}) => fetch(`/api${endpoint}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', ...options.headers },
+    ...options,
+    ...(data !== null ? { body: JSON.stringify(data) } : {}),
+});
+window.embedCharacterDataInPng = (png) => new Uint8Array(png);
+// Reads the V2 'chara' tEXt chunk, as the app's reader does for cards providers serve as PNG
+window.extractCharacterDataFromPng = (png) => {
+    const bytes = new Uint8Array(png);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    for (let pos = 8; pos + 8 <= bytes.length; pos += 12 + view.getUint32(pos)) {
+        const length = view.getUint32(pos);
+        if (Buffer.from(bytes.subarray(pos + 4, pos + 8)).toString('latin1') !== 'tEXt') continue;
+        const chunk = Buffer.from(bytes.subarray(pos + 8, pos + 8 + length)).toString('latin1');
+        const sep = chunk.indexOf('\0');
+        if (chunk.slice(0, sep).toLowerCase() !== 'chara') continue;
+        try { return JSON.parse(Buffer.from(chunk.slice(sep + 1), 'base64').toString('utf-8')); } catch { return null; }
+    }
+    return null;
+};
+window.arrayBufferToBase64 = (buf) => Buffer.from(buf).toString('base64');
+window.utf8ToBase64 = (str) => Buffer.from(str, 'utf-8').toString('base64');
+// Fixtures only name public https hosts; the app's private-address checks have nothing to catch
+window.isUrlSafeForDownload = (url) => {
+    try { return /^https?:$/.test(new URL(url).protocol) ? { ok: true } : { ok: false, reason: 'blocked scheme' }; } catch { return { ok: false, reason: 'invalid URL' }; }
+};
+window.escapeHtml = (text) => String(text ?? '').replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
@@ -0,0 +1,55 @@
+// Lorebook test bench scan: node --test tests/
+
+import './helpers/browser-env.mjs';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+const { simulateScan, characterSources } = await import('../modules/lorebook-scan.js');
+const CoreAPI = (await import('../modules/core-api.js')).default;
+
+// The library keeps slim copies; hydration fills the card fields back in from the server
+const FULL_DATA = {
+    name: 'Mara Quill',
+    description: 'Mara keeps the Greywater light.',
+    personality: 'gruff',
+    scenario: '',
+    creator_notes: '',
+    extensions: {},
+};
+window.hydrateCharacter = async (char) => {
+    if (!char?._slim) return char;
+    Object.assign(char.data, FULL_DATA);
+    char.description = FULL_DATA.description;
+    delete char._slim;
+    return char;
+};
+
+const slimChar = () => ({ avatar: 'mara.png', name: 'Mara Quill', _slim: true, data: { name: 'Mara Quill' } });
+
+const entries = [
+    { uid: 1, key: ['Greywater'], content: 'A fishing town on a cold northern coast.', matchCharacterDescription: true },
+    { uid: 2, key: ['Greywater'], content: 'Same key, chat only.' },
+];
+const messages = [{ name: 'User', mes: 'Evening. Any tea?' }];
+
+const fired = (char) => simulateScan({ entries, messages, sources: characterSources(char) })
+    .activated.map(r => r.entry.uid);
+
+test('a description-only entry stays silent on a slim character', () => {
+    assert.deepEqual(fired(slimChar()), []);
+});
+
+test('a description-only entry fires once the character is hydrated', async () => {
+    const char = slimChar();
+    await CoreAPI.hydrateCharacter(char);
+    assert.deepEqual(fired(char), [1]);
+});
+
+test('character sources read the depth prompt and the card fields', () => {
+    const sources = characterSources({
+        data: { description: 'd', personality: 'p', scenario: 's', creator_notes: 'n', extensions: { depth_prompt: { prompt: 'dp' } } },
+    });
+    assert.deepEqual(sources, {
+        characterDescription: 'd', characterPersonality: 'p', characterDepthPrompt: 'dp', scenario: 's', creatorNotes: 'n',
+    });
+});
@@ -0,0 +1,89 @@
+// Provider fixture replay: node --test tests/
+//
+// Replays every case in tests/providers/fixtures/<provider>.json through
+// parseUrl, importCharacter, getLinkInfo, checkForUpdate and
+// normalizeRemoteCard, answering each provider request from the fixture. The
+// same cases the browser harness records (clProviderReplay.exportFixtures)
+// drop in unchanged.
+//
+// UPDATE_FIXTURES=1 rewrites each case's expectations from what the providers
+// produce now; review the diff before committing it.
+
+import './helpers/browser-env.mjs';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readdirSync, readFileSync, writeFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { join, dirname } from 'node:path';
+
+const FIXTURE_DIR = join(dirname(fileURLToPath(import.meta.url)), 'providers', 'fixtures');
+const UPDATE = process.env.UPDATE_FIXTURES === '1';
+
+// Registry first, as module-loader.js does: the providers and provider-utils
+// import each other, and this order is the one that resolves.
+const ProviderRegistry = (await import('../modules/providers/provider-registry.js')).default;
+const CoreAPI = (await import('../modules/core-api.js')).default;
+const { replayCase, summarizeCard } = await import('../modules/providers/provider-replay.js');
+const { CustomProvider } = await import('../modules/providers/custom/custom-provider.js');
+const { validateDefinition } = await import('../modules/providers/custom/custom-api.js');
+
+// Provider directories; the fixtures are keyed by provider id, which can differ (janny → jannyai)
+const BUILT_IN = ['chub', 'janny', 'chartavern', 'pygmalion', 'wyvern', 'datacat', 'botbooru', 'local', 'unified'];
+const builtInIds = [];
+for (const dir of BUILT_IN) {
+    const provider = (await import(`../modules/providers/${dir}/${dir}-provider.js`)).default;
+    await provider.init(CoreAPI);
+    ProviderRegistry.registerProvider(provider);
+    builtInIds.push(provider.id);
+}
+
+// Custom providers are user-defined; a fixture carries the definition it was recorded with
+async function providerFor(fixture) {
+    if (fixture.definition) {
+        const { definition, errors } = validateDefinition(fixture.definition);
+        assert.ok(definition, `invalid definition: ${errors.join('; ')}`);
+        const provider = new CustomProvider(definition);
+        await provider.init(CoreAPI);
+        return provider;
+    }
+    return ProviderRegistry.getProvider(fixture.providerId);
+}
+
+const files = readdirSync(FIXTURE_DIR).filter(f => f.endsWith('.json')).sort();
+
+test('every built-in provider, and a custom one, has a fixture', () => {
+    const fixtures = files.map(f => JSON.parse(readFileSync(join(FIXTURE_DIR, f), 'utf-8')));
+    const covered = new Set(fixtures.filter(f => !f.definition).map(f => f.providerId));
+    assert.deepEqual(builtInIds.filter(id => !covered.has(id)), []);
+    assert.ok(fixtures.some(f => f.definition), 'no custom provider fixture');
+});
+
+for (const file of files) {
+    const path = join(FIXTURE_DIR, file);
+    const fixture = JSON.parse(readFileSync(path, 'utf-8'));
+
+    test(`${fixture.providerId} (${file})`, async (t) => {
+        const provider = await providerFor(fixture);
+        assert.ok(provider, `no provider registered as "${fixture.providerId}"`);
+        assert.ok(fixture.cases?.length, 'fixture has no cases');
+
+        for (const c of fixture.cases) {
+            await t.test(c.note || c.url, async () => {
+                const { observed, rows, misses } = await replayCase(provider, c);
+                if (UPDATE) {
+                    // A hand-written normalizeRemoteCard input survives for providers whose
+                    // update check never calls it; only its output is regenerated.
+                    const input = c.expected?.normalize?.input;
+                    c.expected = !observed.normalize && input !== undefined
+                        ? { ...observed, normalize: { input, output: summarizeCard(provider.normalizeRemoteCard(input)) } }
+                        : observed;
+                    return;
+                }
+                assert.deepEqual(misses, [], 'requests with no recorded response');
+                const failed = rows.filter(r => r.status === 'fail').map(r => `${r.stage}: ${r.detail}`);
+                assert.deepEqual(failed, []);
+            });
+        }
+        if (UPDATE) writeFileSync(path, `${JSON.stringify(fixture, null, 2)}\n`);
+    });
+}
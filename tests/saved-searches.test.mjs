@@ -0,0 +1,81 @@
+// Saved search baseline: node --test tests/
+
+import './helpers/browser-env.mjs';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// The scheduler only reads tab visibility and redraws open panels; none are open here
+globalThis.document = { hidden: false, getElementById: () => null, querySelector: () => null };
+
+const WATCH = {
+    id: 'w1', name: 'Lighthouses', providerId: 'stub', query: 'lighthouse',
+    createdAt: 1, lastRunAt: 0, lastError: null, seen: [], pending: [],
+};
+
+// The watches file is served once and every save is kept, so a test reads back what was persisted
+let saved = null;
+globalThis.fetch = async (input, init = {}) => {
+    const url = typeof input === 'string' ? input : input?.url;
+    if (url === '/user/files/_cl_saved_searches.json') {
+        return new Response(JSON.stringify({ version: 1, watches: [WATCH] }));
+    }
+    if (url === '/api/files/upload') {
+        saved = JSON.parse(Buffer.from(JSON.parse(init.body).data, 'base64').toString('utf-8'));
+        return new Response('{}');
+    }
+    throw new TypeError(`Network is disabled in tests (${url})`);
+};
+
+const toasts = [];
+window.showToast = (message) => toasts.push(message);
+
+let respond = null;
+let calls = 0;
+const ProviderRegistry = (await import('../modules/providers/provider-registry.js')).default;
+ProviderRegistry.registerProvider({
+    id: 'stub',
+    name: 'Stub',
+    supportsUnifiedSearch: true,
+    searchUnified: async () => {
+        calls++;
+        return respond();
+    },
+});
+
+const SavedSearches = (await import('../modules/saved-searches.js')).default;
+
+const results = (...ids) => ids.map(id => ({ id, name: `Card ${id}` }));
+// Saves are not awaited by the scheduler; let the upload go out before reading it back
+const run = async (options) => {
+    await SavedSearches.runDueWatches(options);
+    await new Promise(r => setTimeout(r, 0));
+};
+const persisted = () => saved.watches.find(w => w.id === WATCH.id);
+
+test('a failed first run leaves the baseline to the next successful run', async () => {
+    respond = () => { throw new Error('HTTP 503'); };
+    await run({ force: true, watchId: WATCH.id });
+    assert.equal(persisted().baselined, false);
+    assert.equal(persisted().lastError, 'HTTP 503');
+    assert.equal(persisted().lastRunAt, 0);
+    assert.ok(persisted().lastFailedAt > 0);
+
+    // The failure counts for the interval: a scheduled pass right after does not retry
+    const before = calls;
+    await run();
+    assert.equal(calls, before);
+
+    toasts.length = 0;
+    respond = () => results(1, 2, 3, 4, 5);
+    await run({ force: true, watchId: WATCH.id });
+    assert.deepEqual(toasts, ['No new results']);
+    assert.deepEqual(persisted().pending, []);
+    assert.equal(persisted().baselined, true);
+    assert.equal(persisted().seen.length, 5);
+});
+
+test('results after the baseline are reported as new', async () => {
+    respond = () => results(6, 1, 2);
+    await run({ force: true, watchId: WATCH.id });
+    assert.deepEqual(persisted().pending.map(p => p.id), ['6']);
+});